@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for CredentialMapper
+ * Tests:
+ * - Credential reference extraction (object and legacy string formats)
+ * - Matching by name + type and by explicit mapping file
+ * - node.credentials rewrite without mutating the source workflow
+ * - Unmatched credential reporting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CredentialMapper = require('../../src/services/credential-mapper');
+
+describe('CredentialMapper', () => {
+  let mapper;
+  let mockLogger;
+  let workflows;
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+
+    mapper = new CredentialMapper(mockLogger);
+
+    workflows = [
+      {
+        name: 'Sync Orders',
+        nodes: [
+          {
+            name: 'HTTP Request',
+            type: 'n8n-nodes-base.httpRequest',
+            credentials: { httpHeaderAuth: { id: '1', name: 'Orders API' } }
+          },
+          {
+            name: 'Query',
+            type: 'n8n-nodes-base.postgres',
+            credentials: { postgres: { id: '2', name: 'DB staging' } }
+          }
+        ]
+      },
+      {
+        name: 'Notify',
+        nodes: [
+          {
+            name: 'HTTP Request',
+            type: 'n8n-nodes-base.httpRequest',
+            credentials: { httpHeaderAuth: { id: '1', name: 'Orders API' } }
+          },
+          {
+            name: 'Slack',
+            type: 'n8n-nodes-base.slack',
+            credentials: { slackApi: 'Team Slack' }
+          }
+        ]
+      }
+    ];
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('extractCredentialReferences()', () => {
+    it('should list unique references with the workflows using them', () => {
+      const refs = mapper.extractCredentialReferences(workflows);
+
+      expect(refs).toHaveLength(3);
+      expect(refs[0]).toEqual({
+        type: 'httpHeaderAuth',
+        id: '1',
+        name: 'Orders API',
+        workflows: ['Sync Orders', 'Notify']
+      });
+    });
+
+    it('should support legacy string credential references', () => {
+      const refs = mapper.extractCredentialReferences(workflows);
+
+      expect(refs.find(ref => ref.type === 'slackApi')).toMatchObject({ id: null, name: 'Team Slack' });
+    });
+  });
+
+  describe('buildMapping()', () => {
+    const targetCredentials = [
+      { id: '10', name: 'Orders API', type: 'httpHeaderAuth' },
+      { id: '20', name: 'DB production', type: 'postgres' },
+      { id: '30', name: 'Team Slack', type: 'slackApi' },
+      { id: '40', name: 'Orders API', type: 'httpBasicAuth' }
+    ];
+
+    it('should match credentials by name and type', () => {
+      const result = mapper.buildMapping(mapper.extractCredentialReferences(workflows), targetCredentials);
+
+      expect(result.matched).toHaveLength(2);
+      expect(mapper.resolve('httpHeaderAuth', { id: '1', name: 'Orders API' })).toEqual({ id: '10', name: 'Orders API' });
+      expect(mapper.resolve('slackApi', 'Team Slack')).toEqual({ id: '30', name: 'Team Slack' });
+    });
+
+    it('should report credentials without a match', () => {
+      const result = mapper.buildMapping(mapper.extractCredentialReferences(workflows), targetCredentials);
+
+      expect(result.unmatched).toHaveLength(1);
+      expect(result.unmatched[0]).toMatchObject({ type: 'postgres', name: 'DB staging', workflows: ['Sync Orders'] });
+    });
+
+    it('should use explicit mappings for names that differ', () => {
+      mapper.addExplicitMapping('postgres', 'DB staging', 'DB production');
+
+      const result = mapper.buildMapping(mapper.extractCredentialReferences(workflows), targetCredentials);
+
+      expect(result.unmatched).toHaveLength(0);
+      expect(mapper.resolve('postgres', { id: '2', name: 'DB staging' })).toEqual({ id: '20', name: 'DB production' });
+    });
+
+    it('should accept source IDs and the "*" type in explicit mappings', () => {
+      mapper.addExplicitMapping('*', '2', '20');
+
+      mapper.buildMapping(mapper.extractCredentialReferences(workflows), targetCredentials);
+
+      expect(mapper.resolve('postgres', { id: '2', name: 'DB staging' })).toEqual({ id: '20', name: 'DB production' });
+    });
+
+    it('should not match credentials of a different type', () => {
+      mapper.buildMapping(
+        [{ type: 'httpHeaderAuth', id: '1', name: 'Orders API', workflows: [] }],
+        [{ id: '40', name: 'Orders API', type: 'httpBasicAuth' }]
+      );
+
+      expect(mapper.resolve('httpHeaderAuth', { id: '1', name: 'Orders API' })).toBeNull();
+    });
+  });
+
+  describe('loadMappingFile()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credential-mapper-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load explicit mappings keyed by credential type', async () => {
+      const filePath = path.join(tmpDir, 'mapping.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        postgres: { 'DB staging': 'DB production' },
+        '*': { 'Orders API': 'Orders API v2' }
+      }));
+
+      const count = await mapper.loadMappingFile(filePath);
+
+      expect(count).toBe(2);
+      expect(mapper.explicitMappings.get('postgres').get('DB staging')).toBe('DB production');
+    });
+
+    it('should reject files with an invalid format', async () => {
+      const filePath = path.join(tmpDir, 'mapping.json');
+      fs.writeFileSync(filePath, JSON.stringify({ postgres: ['DB staging'] }));
+
+      await expect(mapper.loadMappingFile(filePath)).rejects.toThrow('Invalid credential mapping for type "postgres"');
+    });
+
+    it('should reject missing files', async () => {
+      await expect(mapper.loadMappingFile(path.join(tmpDir, 'missing.json')))
+        .rejects.toThrow('Failed to load credential mapping file');
+    });
+  });
+
+  describe('remapWorkflowCredentials()', () => {
+    it('should rewrite matched credentials without mutating the original workflow', () => {
+      mapper.buildMapping(mapper.extractCredentialReferences(workflows), [
+        { id: '10', name: 'Orders API', type: 'httpHeaderAuth' }
+      ]);
+
+      const remapped = mapper.remapWorkflowCredentials(workflows[0]);
+
+      expect(remapped.nodes[0].credentials.httpHeaderAuth).toEqual({ id: '10', name: 'Orders API' });
+      expect(remapped.nodes[1].credentials.postgres).toEqual({ id: '2', name: 'DB staging' });
+      expect(workflows[0].nodes[0].credentials.httpHeaderAuth.id).toBe('1');
+    });
+  });
+
+  describe('findUnmatched()', () => {
+    it('should list unmatched references per node', () => {
+      mapper.buildMapping(mapper.extractCredentialReferences(workflows), [
+        { id: '10', name: 'Orders API', type: 'httpHeaderAuth' }
+      ]);
+
+      expect(mapper.findUnmatched(workflows[1])).toEqual([
+        { nodeName: 'Slack', type: 'slackApi', id: null, name: 'Team Slack' }
+      ]);
+    });
+  });
+
+  describe('collectCredentialsFromWorkflows()', () => {
+    it('should derive credentials with ID and name from workflows', () => {
+      expect(mapper.collectCredentialsFromWorkflows(workflows)).toEqual([
+        { id: '1', name: 'Orders API', type: 'httpHeaderAuth' },
+        { id: '2', name: 'DB staging', type: 'postgres' }
+      ]);
+    });
+  });
+});
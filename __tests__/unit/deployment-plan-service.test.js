@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for DeploymentPlanService
+ * Tests:
+ * - Field-level change summary
+ * - Drift check (versionId, updatedAt, workflows created since the plan, source changes)
+ * - Save / load (kind and version checks)
+ * - n8n:upload --plan-out decisions (create, update with --force, skip)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeploymentPlanService = require('../../src/services/deployment-plan-service');
+const { N8nUploadApp } = require('../../src/commands/n8n-upload');
+
+describe('DeploymentPlanService', () => {
+  let tmpDir;
+  let logger;
+  let planner;
+
+  const workflow = (id, name, url, extra = {}) => ({
+    id,
+    name,
+    nodes: [{ id: 'n1', name: 'HTTP', type: 'n8n-nodes-base.httpRequest', parameters: { url } }],
+    connections: {},
+    settings: {},
+    ...extra
+  });
+
+  const uploadPlan = () => {
+    const plan = planner.create({ kind: 'upload', target: 'https://n8n.example.com/', source: { inputDir: tmpDir } });
+    planner.addWorkflow(plan, {
+      name: 'Pedidos',
+      action: 'update',
+      target: { id: 't-1', name: 'Pedidos', versionId: 'v1', updatedAt: '2025-10-01T00:00:00.000Z' }
+    });
+    planner.addWorkflow(plan, { name: 'Novo', action: 'create' }, [{ id: 't-5', name: 'Novo' }]);
+    return plan;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plans-'));
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), success: jest.fn() };
+    planner = new DeploymentPlanService(logger);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should describe field-level changes of an update', () => {
+    const target = workflow('t-1', 'Pedidos', 'https://api.example.com/v1', { active: true });
+    const local = workflow('1', 'Pedidos', 'https://api.example.com/v2', { settings: { timezone: 'UTC' } });
+    local.nodes.push({ id: 'n2', name: 'Set', type: 'n8n-nodes-base.set', parameters: {} });
+
+    expect(planner.describeChanges(target, local)).toEqual([
+      { path: 'nodes["Set"]', change: 'added', before: null, after: 'n8n-nodes-base.set' },
+      { path: 'nodes["HTTP"].parameters.url', change: 'changed', before: 'https://api.example.com/v1', after: 'https://api.example.com/v2' },
+      { path: 'settings.timezone', change: 'added', before: null, after: 'UTC' }
+    ]);
+  });
+
+  it('should report workflows changed, deleted or created on the target since the plan', () => {
+    const plan = uploadPlan();
+    const unchanged = [
+      { id: 't-1', name: 'Pedidos', versionId: 'v1', updatedAt: '2025-10-01T00:00:00.000Z' },
+      { id: 't-5', name: 'Novo' }
+    ];
+
+    expect(planner.checkDrift(plan, unchanged)).toEqual([]);
+    expect(planner.checkDrift(plan, [{ ...unchanged[0], versionId: 'v2' }])).toEqual([
+      { name: 'Pedidos', reason: 'changed on target since the plan (versionId v1 → v2)' }
+    ]);
+    expect(planner.checkDrift(plan, [{ ...unchanged[0], updatedAt: '2025-10-02T00:00:00.000Z' }])[0].reason)
+      .toContain('updatedAt');
+    expect(planner.checkDrift(plan, [{ id: 't-9', name: 'Novo' }])).toEqual([
+      { name: 'Pedidos', reason: 'deleted from target since the plan (t-1)' },
+      { name: 'Novo', reason: 'created on target since the plan (t-9)' }
+    ]);
+    expect(() => planner.assertNoDrift(plan, [])).toThrow(/out of date/);
+  });
+
+  it('should check source versions when source workflows are given', () => {
+    const plan = planner.create({ kind: 'transfer', target: 'https://target', source: { url: 'https://source' } });
+    planner.addWorkflow(plan, { name: 'Pedidos', action: 'create', source: { id: 1, versionId: 'a' } });
+
+    expect(planner.checkDrift(plan, [], [{ id: '1', versionId: 'a' }])).toEqual([]);
+    expect(planner.checkDrift(plan, [], [{ id: '1', versionId: 'b' }])[0].reason)
+      .toBe('changed on source since the plan (versionId a → b)');
+    expect(planner.checkDrift(plan, [])).toEqual([]);
+  });
+
+  it('should save and load plans, refusing other kinds and targets', async () => {
+    const planPath = await planner.save(uploadPlan(), path.join(tmpDir, 'nested', 'plan.json'));
+    const loaded = await planner.load(planPath, 'upload');
+
+    expect(loaded.summary).toEqual({ total: 2, create: 1, update: 1, skip: 0, delete: 0, archive: 0 });
+    expect(() => planner.assertUrl(loaded, 'target', 'https://n8n.example.com')).not.toThrow();
+    expect(() => planner.assertUrl(loaded, 'target', 'https://prod.example.com')).toThrow(/made for target/);
+    await expect(planner.load(planPath, 'transfer')).rejects.toThrow('is for upload, not transfer');
+
+    fs.writeFileSync(planPath, JSON.stringify({ version: 99 }));
+    await expect(planner.load(planPath)).rejects.toThrow(/Invalid deployment plan/);
+  });
+
+  it('should format plans for review', () => {
+    const plan = uploadPlan();
+    plan.workflows[0].changes = [{ path: 'nodes["HTTP"].parameters.url', change: 'changed', before: 'a', after: 'b' }];
+
+    expect(planner.format(plan)).toContain('~ update  Pedidos');
+    expect(planner.format(plan, 'markdown')).toContain('- `nodes["HTTP"].parameters.url` (changed): "a" → "b"');
+    expect(() => planner.format(plan, 'html')).toThrow(/Unknown format/);
+  });
+
+  it('should plan n8n:upload with the same decisions as the upload', async () => {
+    const app = new N8nUploadApp(['node', 'cli.js']);
+    app.logger = logger;
+    app.config = { baseUrl: 'https://n8n.example.com', inputDir: tmpDir, force: true };
+    app.syncTags = true;
+    app.workflowService = {
+      listWorkflows: jest.fn().mockResolvedValue([{ id: 't-1', name: 'Pedidos', versionId: 'v1', updatedAt: 'u1' }]),
+      getWorkflow: jest.fn().mockResolvedValue(workflow('t-1', 'Pedidos', 'https://api.example.com/v1'))
+    };
+
+    const caller = workflow('2', 'Novo', 'https://api.example.com/new', { tags: [{ name: 'prod' }] });
+    caller.nodes.push({ name: 'Run', type: 'n8n-nodes-base.executeWorkflow', parameters: { workflowId: { value: '1' } } });
+
+    const plan = await app.buildDeploymentPlan([workflow('1', 'Pedidos', 'https://api.example.com/v2'), caller]);
+
+    expect(plan.workflows.map(item => [item.name, item.action])).toEqual([['Pedidos', 'update'], ['Novo', 'create']]);
+    expect(plan.workflows[0].target).toEqual({ id: 't-1', name: 'Pedidos', versionId: 'v1', updatedAt: 'u1' });
+    expect(plan.workflows[0].changes).toHaveLength(1);
+    expect(plan.workflows[1]).toMatchObject({
+      remapReferences: [{ workflowId: '1', name: 'Pedidos' }],
+      tags: ['prod'],
+      workflow: caller
+    });
+
+    app.config.force = false;
+    const withoutForce = await app.buildDeploymentPlan([workflow('1', 'Pedidos', 'https://api.example.com/v2')]);
+    expect(withoutForce.workflows[0]).toMatchObject({ action: 'skip', tags: [], remapReferences: [] });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for DownloadManifestService
+ * Tests:
+ * - Delta computation (added / changed / unchanged / removed)
+ * - Change detection by versionId and updatedAt
+ * - Scope checks (source URL and tag filter)
+ * - Persistence (save / load round-trip, missing and invalid files)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DownloadManifestService = require('../../src/services/download-manifest-service');
+
+describe('DownloadManifestService', () => {
+  let tmpDir;
+  let manifestPath;
+  let manifest;
+  let mockLogger;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-manifest-'));
+    manifestPath = DownloadManifestService.pathFor(tmpDir);
+
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+
+    manifest = new DownloadManifestService(mockLogger, manifestPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should require a manifest file path', () => {
+      expect(() => new DownloadManifestService(mockLogger)).toThrow(TypeError);
+    });
+
+    it('should use an underscore-prefixed file name so n8n:upload ignores it', () => {
+      expect(path.basename(manifestPath)).toBe('_download-manifest.json');
+    });
+  });
+
+  describe('computeDelta()', () => {
+    beforeEach(() => {
+      manifest.set({ id: '1', name: 'Same', versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' }, 'no-tag/Same (1).json');
+      manifest.set({ id: '2', name: 'Edited', versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' }, 'no-tag/Edited (2).json');
+      manifest.set({ id: '3', name: 'Deleted', versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' }, 'no-tag/Deleted (3).json');
+    });
+
+    it('should group workflows by state', () => {
+      const delta = manifest.computeDelta([
+        { id: '1', name: 'Same', versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' },
+        { id: '2', name: 'Edited', versionId: 'v2', updatedAt: '2025-02-01T00:00:00.000Z' },
+        { id: '4', name: 'New', versionId: 'v1', updatedAt: '2025-02-01T00:00:00.000Z' }
+      ]);
+
+      expect(delta.unchanged.map(w => w.id)).toEqual(['1']);
+      expect(delta.changed.map(w => w.id)).toEqual(['2']);
+      expect(delta.added.map(w => w.id)).toEqual(['4']);
+      expect(delta.removed).toEqual([
+        {
+          id: '3',
+          name: 'Deleted',
+          versionId: 'v1',
+          updatedAt: '2025-01-01T00:00:00.000Z',
+          file: 'no-tag/Deleted (3).json'
+        }
+      ]);
+    });
+
+    it('should treat numeric IDs from the API like string IDs', () => {
+      const delta = manifest.computeDelta([
+        { id: 1, versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' }
+      ]);
+
+      expect(delta.unchanged).toHaveLength(1);
+    });
+  });
+
+  describe('hasChanged()', () => {
+    beforeEach(() => {
+      manifest.set({ id: '1', name: 'WF', versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' }, 'WF (1).json');
+    });
+
+    it('should detect a new versionId', () => {
+      expect(manifest.hasChanged({ id: '1', versionId: 'v2', updatedAt: '2025-01-01T00:00:00.000Z' })).toBe(true);
+    });
+
+    it('should detect a new updatedAt when versionId is the same', () => {
+      expect(manifest.hasChanged({ id: '1', versionId: 'v1', updatedAt: '2025-03-01T00:00:00.000Z' })).toBe(true);
+    });
+
+    it('should fall back to downloading when the API returns no version information', () => {
+      expect(manifest.hasChanged({ id: '1' })).toBe(true);
+    });
+
+    it('should report unknown workflows as changed', () => {
+      expect(manifest.hasChanged({ id: '99', versionId: 'v1' })).toBe(true);
+    });
+  });
+
+  describe('scope', () => {
+    it('should not match scope before a manifest is loaded', () => {
+      expect(manifest.matchesScope('https://n8n.example.com', null)).toBe(false);
+    });
+
+    it('should match only the same source and tag filter', async () => {
+      manifest.setScope('https://n8n.example.com', 'jana');
+      await manifest.save();
+
+      const reloaded = new DownloadManifestService(mockLogger, manifestPath);
+      await reloaded.load();
+
+      expect(reloaded.matchesScope('https://n8n.example.com', 'jana')).toBe(true);
+      expect(reloaded.matchesScope('https://n8n.example.com', null)).toBe(false);
+      expect(reloaded.matchesScope('https://other.example.com', 'jana')).toBe(false);
+    });
+  });
+
+  describe('save() / load()', () => {
+    it('should round-trip workflow entries', async () => {
+      manifest.setScope('https://n8n.example.com', null);
+      manifest.set({ id: '1', name: 'WF', versionId: 'v1', updatedAt: '2025-01-01T00:00:00.000Z' }, '(A) Layer/WF (1).json');
+      await manifest.save();
+
+      const reloaded = new DownloadManifestService(mockLogger, manifestPath);
+      const loaded = await reloaded.load();
+
+      expect(loaded).toBe(true);
+      expect(reloaded.get('1')).toEqual({
+        name: 'WF',
+        versionId: 'v1',
+        updatedAt: '2025-01-01T00:00:00.000Z',
+        file: '(A) Layer/WF (1).json'
+      });
+    });
+
+    it('should start empty when the manifest does not exist', async () => {
+      const loaded = await manifest.load();
+
+      expect(loaded).toBe(false);
+      expect(manifest.loaded).toBe(false);
+      expect(manifest.workflows.size).toBe(0);
+    });
+
+    it('should reject invalid manifests', async () => {
+      fs.writeFileSync(manifestPath, '{ not json');
+
+      await expect(manifest.load()).rejects.toThrow('Invalid download manifest');
+    });
+
+    it('should remove entries', () => {
+      manifest.set({ id: '1', name: 'WF' }, 'WF (1).json');
+
+      expect(manifest.remove('1')).toBe(true);
+      expect(manifest.get('1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for EnvironmentOverrideService
+ * Tests:
+ * - Selector parsing
+ * - Overrides by node type, node name and workflow scope
+ * - replace and {placeholder} values (PlaceholderResolver)
+ * - Unresolved placeholders and unused rules
+ * - Override file validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnvironmentOverrideService = require('../../src/services/environment-override-service');
+const PlaceholderResolver = require('../../src/utils/placeholder-resolver');
+
+describe('EnvironmentOverrideService', () => {
+  let service;
+
+  const workflow = () => ({
+    id: 'wf-1',
+    name: 'Sync Pedidos {SUFFIX}',
+    nodes: [
+      { name: 'Webhook Pedidos', type: 'n8n-nodes-base.webhook', parameters: { path: 'pedidos-dev' } },
+      {
+        name: 'Buscar API',
+        type: 'n8n-nodes-base.httpRequest',
+        parameters: {
+          url: 'https://api.dev.example.com/orders',
+          headerParameters: { parameters: [{ name: 'X-Env', value: 'dev' }, { name: 'X-Team', value: 'dev' }] }
+        }
+      },
+      { name: 'Directus', type: 'n8n-nodes-directus.directus', parameters: { collection: 'orders_dev' } },
+      { name: 'Code', type: 'n8n-nodes-base.code', parameters: { jsCode: 'return {json};' } },
+      { name: 'Expressão', type: 'n8n-nodes-base.set', parameters: { value: '={{value}}' } }
+    ]
+  });
+
+  beforeEach(() => {
+    service = new EnvironmentOverrideService({ debug: jest.fn() });
+  });
+
+  it('should parse JSONPath-like selectors', () => {
+    expect(EnvironmentOverrideService.parseSelector('$.parameters.url')).toEqual(['parameters', 'url']);
+    expect(EnvironmentOverrideService.parseSelector('parameters.rules[*].value')).toEqual(['parameters', 'rules', '*', 'value']);
+    expect(EnvironmentOverrideService.parseSelector('parameters["a.b"][0]')).toEqual(['parameters', 'a.b', 0]);
+    expect(() => EnvironmentOverrideService.parseSelector('parameters..url')).toThrow('Invalid selector');
+  });
+
+  it('should apply type, node and workflow-scoped overrides with values and replace', () => {
+    const overrides = service.normalize({
+      values: { SUFFIX: 'prod', API_BASE: 'https://api.example.com' },
+      types: {
+        httpRequest: { 'parameters.headerParameters.parameters[*].value': 'prod' },
+        'n8n-nodes-directus.directus': { 'parameters.collection': 'orders_shared' }
+      },
+      nodes: { 'Webhook Pedidos': { '$.parameters.path': 'pedidos-{SUFFIX}', 'parameters.options.rawBody': true } },
+      workflows: {
+        'Sync Pedidos {SUFFIX}': { nodes: { Directus: { 'parameters.collection': 'orders_{SUFFIX}' } } }
+      },
+      replace: { 'https://api.dev.example.com': '{API_BASE}' }
+    });
+    const original = workflow();
+
+    const { workflows, changes, unused } = service.applyAll([original], overrides);
+    const [promoted] = workflows;
+    const parameters = name => promoted.nodes.find(node => node.name === name).parameters;
+
+    expect(promoted.name).toBe('Sync Pedidos prod');
+    expect(parameters('Webhook Pedidos')).toEqual({ path: 'pedidos-prod', options: { rawBody: true } });
+    expect(parameters('Buscar API').url).toBe('https://api.example.com/orders');
+    expect(parameters('Buscar API').headerParameters.parameters.map(header => header.value)).toEqual(['prod', 'prod']);
+    expect(parameters('Directus').collection).toBe('orders_prod');
+    expect(changes).toContainEqual({
+      workflow: 'Sync Pedidos {SUFFIX}', node: 'Buscar API', path: 'parameters.url',
+      before: 'https://api.dev.example.com/orders', after: 'https://api.example.com/orders'
+    });
+    expect(unused).toEqual([]);
+    expect(original.nodes[0].parameters.path).toBe('pedidos-dev');
+  });
+
+  it('should report unresolved placeholders, ignoring code and N8N expressions', () => {
+    const { workflows } = service.applyAll([workflow()], service.normalize({
+      nodes: { Directus: { 'parameters.collection': 'orders_{COLLECTION_SUFFIX}' } }
+    }));
+
+    expect(service.findUnresolvedPlaceholders(workflows[0])).toEqual([
+      { node: null, path: 'name', placeholder: 'SUFFIX' },
+      { node: 'Directus', path: 'parameters.collection', placeholder: 'COLLECTION_SUFFIX' }
+    ]);
+  });
+
+  it('should report rules that matched nothing', () => {
+    const { unused } = service.applyAll([workflow()], service.normalize({
+      nodes: { 'Webhok Pedidos': { 'parameters.path': 'x' } },
+      types: { httpRequest: { 'parameters.queryParameters.parameters[*].value': 'x' } },
+      workflows: { Outro: { nodes: { Directus: { 'parameters.collection': 'x' } } } }
+    }));
+
+    expect(unused).toEqual([
+      'types["httpRequest"]["parameters.queryParameters.parameters[*].value"]',
+      'nodes["Webhok Pedidos"]',
+      'workflows["Outro"]'
+    ]);
+  });
+
+  it('should validate override files', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+    const filePath = EnvironmentOverrideService.pathFor('prod', tmpDir);
+
+    try {
+      expect(() => service.load(filePath)).toThrow('Override file not found');
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({ nodes: { Webhook: 'pedidos' } }));
+      expect(() => service.load(filePath)).toThrow('nodes["Webhook"] must map selectors to values');
+
+      fs.writeFileSync(filePath, JSON.stringify({ values: { SUFFIX: 'prod' }, types: { webhook: { 'parameters.path': 'x' } } }));
+      expect(service.load(filePath)).toEqual({
+        values: { SUFFIX: 'prod' }, types: { webhook: { 'parameters.path': 'x' } }, nodes: {}, workflows: {}, replace: {}
+      });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should resolve custom values with PlaceholderResolver', () => {
+    expect(PlaceholderResolver.resolve('./{env}-out', { customValues: { env: 'prod' } })).toBe('./prod-out');
+    expect(PlaceholderResolver.resolveKnown('{A}/{B}/{{C}}', { A: 'a' })).toBe('a/{B}/{{C}}');
+    expect(PlaceholderResolver.extractPlaceholders('={{value}} {name}')).toEqual(['name']);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for GitSnapshotService
+ * Tests (against a temporary git repository):
+ * - Repository initialization and local excludes
+ * - Snapshot commits with generated message (added / modified / removed by name)
+ * - No commit when nothing changed
+ * - Workflow history across tag folder moves
+ * - Reading and restoring versions
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitSnapshotService = require('../../src/services/git-snapshot-service');
+
+const gitAvailable = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const describeIfGit = gitAvailable ? describe : describe.skip;
+
+describeIfGit('GitSnapshotService', () => {
+  let tmpDir;
+  let git;
+  let mockLogger;
+
+  const writeWorkflow = (relativeFile, workflow) => {
+    const filePath = path.join(tmpDir, relativeFile);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(workflow, null, 2));
+  };
+
+  const lastCommitMessage = () =>
+    execFileSync('git', ['log', '-1', '--format=%B'], { cwd: tmpDir, encoding: 'utf8' });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-snapshot-'));
+
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      success: jest.fn()
+    };
+
+    git = new GitSnapshotService(mockLogger, tmpDir);
+    git.ensureRepository();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should require a repository directory', () => {
+      expect(() => new GitSnapshotService(mockLogger)).toThrow(TypeError);
+    });
+  });
+
+  describe('ensureRepository()', () => {
+    it('should initialize the repository only once', () => {
+      expect(git.isRepository()).toBe(true);
+      expect(git.ensureRepository()).toBe(false);
+    });
+  });
+
+  describe('commitSnapshot()', () => {
+    it('should commit added workflows with their names and the source URL', () => {
+      writeWorkflow('no-tag/Sync Orders (1).json', { id: '1', name: 'Sync Orders' });
+      writeWorkflow('no-tag/Notify (2).json', { id: '2', name: 'Notify' });
+
+      const result = git.commitSnapshot('https://n8n.example.com');
+
+      expect(result.changes.added.sort()).toEqual(['Notify', 'Sync Orders']);
+      expect(lastCommitMessage()).toBe(
+        'n8n snapshot: 2 added, 0 modified, 0 removed\n\n' +
+        'Source: https://n8n.example.com\n\n' +
+        'Added:\n- Notify\n- Sync Orders\n\n'
+      );
+    });
+
+    it('should report modified and removed workflows by name', () => {
+      writeWorkflow('no-tag/Sync Orders (1).json', { id: '1', name: 'Sync Orders', nodes: [] });
+      writeWorkflow('no-tag/Legacy (2).json', { id: '2', name: 'Legacy' });
+      git.commitSnapshot('https://n8n.example.com');
+
+      writeWorkflow('no-tag/Sync Orders (1).json', { id: '1', name: 'Sync Orders', nodes: [{ name: 'Start' }] });
+      fs.rmSync(path.join(tmpDir, 'no-tag', 'Legacy (2).json'));
+
+      const result = git.commitSnapshot('https://n8n.example.com');
+
+      expect(result.changes).toEqual({ added: [], modified: ['Sync Orders'], removed: ['Legacy'] });
+    });
+
+    it('should return null when nothing changed', () => {
+      writeWorkflow('no-tag/Sync Orders (1).json', { id: '1', name: 'Sync Orders' });
+      git.commitSnapshot('https://n8n.example.com');
+
+      expect(git.commitSnapshot('https://n8n.example.com')).toBeNull();
+    });
+
+    it('should ignore excluded files', () => {
+      git.excludePaths(['/_download-manifest.json']);
+      git.excludePaths(['/_download-manifest.json']);
+
+      writeWorkflow('_download-manifest.json', { workflows: {} });
+
+      expect(git.commitSnapshot('https://n8n.example.com')).toBeNull();
+      expect(fs.readFileSync(path.join(tmpDir, '.git', 'info', 'exclude'), 'utf8').match(/_download-manifest/g)).toHaveLength(1);
+    });
+  });
+
+  describe('getWorkflowHistory()', () => {
+    it('should list versions newest first, following moves between tag folders', () => {
+      writeWorkflow('no-tag/Sync Orders (1).json', { id: '1', name: 'Sync Orders', version: 1 });
+      writeWorkflow('no-tag/Other (11).json', { id: '11', name: 'Other' });
+      git.commitSnapshot('src');
+
+      fs.rmSync(path.join(tmpDir, 'no-tag', 'Sync Orders (1).json'));
+      writeWorkflow('(A) Layer/Sync Orders (1).json', { id: '1', name: 'Sync Orders', version: 2 });
+      git.commitSnapshot('src');
+
+      const versions = git.getWorkflowHistory('1');
+
+      expect(versions).toHaveLength(2);
+      expect(versions[0]).toMatchObject({ status: 'moved', file: '(A) Layer/Sync Orders (1).json' });
+      expect(versions[1]).toMatchObject({ status: 'added', file: 'no-tag/Sync Orders (1).json' });
+      expect(git.getWorkflowHistory('1', 1)).toHaveLength(1);
+    });
+
+    it('should return an empty list for a repository without commits', () => {
+      expect(git.getWorkflowHistory('1')).toEqual([]);
+    });
+  });
+
+  describe('resolveWorkflow()', () => {
+    it('should resolve by ID or case-insensitive name', () => {
+      writeWorkflow('no-tag/Sync Orders (abc).json', { id: 'abc', name: 'Sync Orders' });
+
+      expect(git.resolveWorkflow('sync orders')).toEqual({ id: 'abc', name: 'Sync Orders', file: 'no-tag/Sync Orders (abc).json' });
+      expect(git.resolveWorkflow('abc').name).toBe('Sync Orders');
+      expect(git.resolveWorkflow('gone')).toEqual({ id: 'gone', name: null, file: null });
+    });
+  });
+
+  describe('restoreVersion()', () => {
+    it('should write an older version to disk', () => {
+      writeWorkflow('no-tag/WF (1).json', { id: '1', name: 'WF', version: 1 });
+      const first = git.commitSnapshot('src');
+      writeWorkflow('no-tag/WF (1).json', { id: '1', name: 'WF', version: 2 });
+      git.commitSnapshot('src');
+
+      const restored = git.restoreVersion(first.commit, 'no-tag/WF (1).json');
+      expect(JSON.parse(fs.readFileSync(restored, 'utf8')).version).toBe(1);
+
+      const exported = git.restoreVersion(first.commit, 'no-tag/WF (1).json', path.join(tmpDir, 'out', 'old.json'));
+      expect(exported).toBe(path.join(tmpDir, 'out', 'old.json'));
+    });
+  });
+});
@@ -6,6 +6,7 @@
  * - Empty response handling
  * - Exponential backoff calculation
  * - Retry behavior on different HTTP status codes
+ * - Binary downloads with redirects (credentials kept on the API origin)
  */
 
 const HttpClient = require('../../src/utils/http-client');
@@ -502,6 +503,56 @@ describe('HttpClient', () => {
     });
   });
 
+  describe('Binary Downloads', () => {
+    const servers = [];
+
+    const listen = handler => new Promise(resolve => {
+      const server = http.createServer(handler);
+      servers.push(server);
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+
+    afterEach(async () => {
+      await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    it('should follow redirects and send credentials only to the API origin', async () => {
+      const content = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe]);
+      const received = [];
+
+      const storage = await listen((req, res) => {
+        received.push({ url: req.url, authorization: req.headers.authorization });
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(content);
+      });
+      const api = await listen((req, res) => {
+        received.push({ url: req.url, authorization: req.headers.authorization });
+        res.writeHead(302, { Location: `${storage}/uploads/diagram.png?signature=abc` });
+        res.end();
+      });
+
+      const client = new HttpClient(api, { Authorization: 'Bearer token' }, { maxRetries: 1, timeout: 5000 });
+      const result = await client.download('/api/attachments.redirect?id=123');
+
+      expect(result).toEqual({ data: content, contentType: 'image/png', url: `${storage}/uploads/diagram.png?signature=abc` });
+      expect(received).toEqual([
+        { url: '/api/attachments.redirect?id=123', authorization: 'Bearer token' },
+        { url: '/uploads/diagram.png?signature=abc', authorization: undefined }
+      ]);
+    });
+
+    it('should reject downloads with an error status', async () => {
+      const api = await listen((req, res) => {
+        res.writeHead(404);
+        res.end('Not Found');
+      });
+
+      const client = new HttpClient(api, {}, { maxRetries: 1, timeout: 5000 });
+
+      await expect(client.download('/api/attachments.redirect?id=404')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle null/undefined options', async () => {
       httpClient.executeRequest = jest.fn().mockResolvedValue({ data: 'test' });
@@ -40,6 +40,9 @@ jest.mock('../../../../../scripts/admin/n8n-transfer/cli/ui/progress-bar', () =>
 });
 
 const transfer = require('../../../../../scripts/admin/n8n-transfer/cli/commands/transfer');
+const components = require('../../../../../scripts/admin/n8n-transfer/cli/ui/components');
+const TransferManager = require('../../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+const ProgressBar = require('../../../../../scripts/admin/n8n-transfer/cli/ui/progress-bar');
 
 describe('Transfer Command', () => {
   it('deve exportar função', () => {
@@ -49,4 +52,48 @@ describe('Transfer Command', () => {
   it('deve ser função async', () => {
     expect(transfer.constructor.name).toBe('AsyncFunction');
   });
+
+  describe('flags', () => {
+    const originalArgv = process.argv;
+    let manager;
+
+    beforeEach(() => {
+      manager = {
+        sourceHttpClient: { getWorkflows: jest.fn().mockResolvedValue([{ id: '1' }]) },
+        getProgress: jest.fn(),
+        transfer: jest.fn().mockResolvedValue({ transferred: 1, skipped: 0, failed: 0 })
+      };
+      TransferManager.mockImplementation(() => manager);
+      ProgressBar.mockImplementation(() => ({ increment: jest.fn(), stop: jest.fn() }));
+      components.createSpinner.mockReturnValue({ start: jest.fn().mockReturnThis(), succeed: jest.fn(), fail: jest.fn() });
+      components.select.mockResolvedValueOnce('all').mockResolvedValueOnce('create-only').mockResolvedValueOnce('standard-deduplicator');
+      components.multiSelect.mockResolvedValue([]);
+      components.confirm.mockResolvedValue(true);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.argv = originalArgv;
+      jest.restoreAllMocks();
+    });
+
+    it('deve repassar --credential-mapping como credentialMappingFile', async () => {
+      process.argv = ['node', 'transfer', '--credential-mapping', 'credential-mapping.json'];
+
+      await transfer();
+
+      expect(manager.transfer).toHaveBeenCalledWith(expect.objectContaining({
+        mode: 'create-only',
+        credentialMappingFile: 'credential-mapping.json'
+      }));
+    });
+
+    it('não deve definir credentialMappingFile sem a flag', async () => {
+      process.argv = ['node', 'transfer'];
+
+      await transfer();
+
+      expect(manager.transfer.mock.calls[0][0]).not.toHaveProperty('credentialMappingFile');
+    });
+  });
 });
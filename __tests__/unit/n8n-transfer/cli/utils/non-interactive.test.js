@@ -44,6 +44,12 @@ describe('Non-Interactive Utils', () => {
       process.argv.push('--parallelism=5');
       expect(getFlag('parallelism')).toBe('5');
     });
+
+    it('deve aceitar valor separado por espaço', () => {
+      process.argv.push('--resume', 'journals/transfer.jsonl', '--dry-run');
+      expect(getFlag('resume')).toBe('journals/transfer.jsonl');
+      expect(getFlag('dry-run')).toBe(null);
+    });
   });
 
   describe('EXIT_CODES', () => {
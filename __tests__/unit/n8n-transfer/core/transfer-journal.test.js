@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Testes unitários para o TransferJournal
+ * @module tests/unit/core/transfer-journal.test
+ *
+ * Cobre:
+ * - Criação do journal e registro de itens (JSON Lines)
+ * - Leitura para retomada (itens concluídos, falhas reprocessadas, linha truncada)
+ * - Validação de SOURCE/TARGET e de arquivos inválidos
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferJournal = require('../../../../scripts/admin/n8n-transfer/core/transfer-journal');
+
+describe('TransferJournal', () => {
+  let tmpDir;
+  let journalPath;
+
+  const servers = { source: 'https://source.n8n.io', target: 'https://target.n8n.io' };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-journal-'));
+    journalPath = path.join(tmpDir, 'transfer.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('deve gravar um evento por linha', () => {
+    const journal = TransferJournal.create({ ...servers, options: { parallelism: 1 } }, journalPath);
+    journal.recordItem({ sourceId: 1, name: 'WF', status: 'transferred', targetId: 99 });
+    journal.finish('completed');
+
+    const events = fs.readFileSync(journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    expect(events.map(e => e.type)).toEqual(['start', 'item', 'end']);
+    expect(events[0]).toMatchObject({ version: 1, ...servers, options: { parallelism: 1 } });
+    expect(events[1]).toMatchObject({ sourceId: '1', status: 'transferred', targetId: '99' });
+  });
+
+  it('deve retomar com itens concluídos e reprocessar falhas', () => {
+    const journal = TransferJournal.create(servers, journalPath);
+    journal.recordItem({ sourceId: 'a', name: 'A', status: 'transferred', targetId: 't-a' });
+    journal.recordItem({ sourceId: 'b', name: 'B', status: 'skipped', reason: 'Duplicate detected' });
+    journal.recordItem({ sourceId: 'c', name: 'C', status: 'failed', error: 'HTTP 500' });
+
+    const reopened = TransferJournal.open(journalPath);
+
+    expect(reopened.isCompleted('a')).toBe(true);
+    expect(reopened.isCompleted('b')).toBe(true);
+    expect(reopened.isCompleted('c')).toBe(false);
+    expect(reopened.getResult('a')).toEqual({ name: 'A', sourceId: 'a', status: 'transferred', targetId: 't-a', resumed: true });
+    expect(reopened.getCompletedItems()).toHaveLength(2);
+  });
+
+  it('deve usar o último resultado registrado de cada workflow', () => {
+    const journal = TransferJournal.create(servers, journalPath);
+    journal.recordItem({ sourceId: 'c', name: 'C', status: 'failed', error: 'HTTP 500' });
+    journal.recordResume();
+    journal.recordItem({ sourceId: 'c', name: 'C', status: 'transferred', targetId: 't-c' });
+
+    expect(TransferJournal.open(journalPath).isCompleted('c')).toBe(true);
+  });
+
+  it('deve ignorar uma última linha truncada', () => {
+    const journal = TransferJournal.create(servers, journalPath);
+    journal.recordItem({ sourceId: 'a', name: 'A', status: 'transferred', targetId: 't-a' });
+    fs.appendFileSync(journalPath, '{"type":"item","sourceId":"b","sta');
+
+    const reopened = TransferJournal.open(journalPath);
+
+    expect(reopened.isCompleted('a')).toBe(true);
+    expect(reopened.isCompleted('b')).toBe(false);
+  });
+
+  it('deve rejeitar journals inexistentes, inválidos ou de outros servidores', () => {
+    expect(() => TransferJournal.open(path.join(tmpDir, 'missing.jsonl'))).toThrow('Transfer journal not found');
+
+    fs.writeFileSync(journalPath, '{"type":"item"}\n');
+    expect(() => TransferJournal.open(journalPath)).toThrow('missing start event');
+
+    TransferJournal.create(servers, journalPath);
+    expect(() => TransferJournal.open(journalPath).assertSameServers(servers.source, 'https://other.n8n.io'))
+      .toThrow('was recorded for');
+  });
+});
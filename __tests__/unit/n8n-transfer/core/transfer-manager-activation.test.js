@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Testes unitários da política de ativação do TransferManager
+ * @module tests/unit/core/transfer-manager-activation.test
+ *
+ * Cobre:
+ * - Sem a opção activation, nada é ativado ou desativado
+ * - preserve ativa como no SOURCE, depois do remapeamento, e reporta falhas à parte
+ * - Colisões de webhook com workflows ativos no TARGET (exceto os removidos pelo mirror)
+ * - Dry-run informa o que seria feito sem chamar a API
+ */
+
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+const StandardDeduplicator = require('../../../../scripts/admin/n8n-transfer/plugins/deduplicators/standard-deduplicator');
+
+describe('TransferManager - ativação', () => {
+  let manager;
+  let mockTargetClient;
+  let sourceWorkflows;
+  let targetWorkflows;
+
+  const webhook = (path) => ({ id: 'n1', name: 'Webhook', type: 'n8n-nodes-base.webhook', parameters: { path } });
+
+  const workflow = (id, name, path, extra = {}) => ({
+    id,
+    name,
+    nodes: [webhook(path)],
+    connections: {},
+    settings: {},
+    tags: ['prod'],
+    ...extra
+  });
+
+  const baseOptions = (options = {}) => ({
+    parallelism: 1,
+    validators: [],
+    reporters: [],
+    skipCredentials: true,
+    ...options
+  });
+
+  beforeEach(() => {
+    const deduplicator = new StandardDeduplicator();
+
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), setLevel: jest.fn() },
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn().mockReturnValue(deduplicator) }
+      }
+    );
+
+    sourceWorkflows = [
+      workflow('1', 'Pedidos', 'orders', { active: true }),
+      workflow('2', 'Clientes', 'customers', { active: false }),
+      workflow('3', 'Novo', 'new', { active: true })
+    ];
+    targetWorkflows = [
+      workflow('t-1', 'Pedidos', 'orders-v1', { active: false }),
+      workflow('t-2', 'Clientes', 'customers-v1', { active: true }),
+      workflow('t-9', 'Legado', 'new', { active: true })
+    ];
+
+    manager.sourceClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue(sourceWorkflows)
+    };
+
+    mockTargetClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue(targetWorkflows),
+      createWorkflow: jest.fn().mockResolvedValue({ id: 't-new' }),
+      updateWorkflow: jest.fn().mockImplementation(async (id, payload) => ({ id, ...payload })),
+      deleteWorkflow: jest.fn().mockResolvedValue(undefined),
+      activateWorkflow: jest.fn().mockResolvedValue({}),
+      deactivateWorkflow: jest.fn().mockResolvedValue({})
+    };
+    manager.targetClient = mockTargetClient;
+  });
+
+  it('não deve mudar a ativação sem a opção activation', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'upsert' }));
+
+    expect(summary.activation).toBeNull();
+    expect(mockTargetClient.activateWorkflow).not.toHaveBeenCalled();
+    expect(mockTargetClient.deactivateWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('deve preservar a ativação do SOURCE e reportar colisões e falhas à parte', async () => {
+    mockTargetClient.activateWorkflow.mockRejectedValueOnce(new Error('HTTP 400: Workflow has issues'));
+
+    const summary = await manager.transfer(baseOptions({ mode: 'upsert', activation: 'preserve' }));
+
+    // Novo usa o webhook de Legado (ativo no TARGET): fica inativo
+    expect(summary.activation).toMatchObject({
+      policy: 'preserve',
+      activated: [],
+      deactivated: ['Clientes'],
+      collisions: [{ name: 'Novo', method: 'GET', path: 'new', conflictsWith: 'Legado' }],
+      failed: [{ name: 'Pedidos', action: 'activate', error: 'HTTP 400: Workflow has issues' }]
+    });
+    expect(summary.failed).toBe(0);
+    expect(mockTargetClient.activateWorkflow.mock.calls).toEqual([['t-1']]);
+    expect(mockTargetClient.activateWorkflow.mock.invocationCallOrder[0])
+      .toBeGreaterThan(Math.max(...mockTargetClient.updateWorkflow.mock.invocationCallOrder));
+  });
+
+  it('deve liberar webhooks de workflows removidos pelo mirror', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'mirror', mirrorAction: 'delete', activation: 'all' }));
+
+    expect(summary.activation.activated).toEqual(['Pedidos', 'Novo']);
+    expect(summary.activation.collisions).toEqual([]);
+    expect(mockTargetClient.activateWorkflow.mock.calls).toEqual([['t-1'], ['t-new']]);
+  });
+
+  it('deve simular a ativação em dry-run', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'upsert', activation: 'none', dryRun: true }));
+
+    expect(summary.activation).toMatchObject({ simulated: true, deactivated: ['Clientes'] });
+    expect(mockTargetClient.deactivateWorkflow).not.toHaveBeenCalled();
+  });
+});
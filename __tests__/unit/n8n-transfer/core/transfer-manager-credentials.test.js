@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Testes unitários para o mapeamento de credenciais do TransferManager
+ * @module tests/unit/core/transfer-manager-credentials.test
+ *
+ * Cobre:
+ * - Resolução de credenciais do TARGET (API e fallback pelos workflows)
+ * - Reescrita de node.credentials antes do createWorkflow
+ * - Credenciais sem correspondente como finding do credential-validator
+ * - skipCredentials desativa o mapeamento
+ */
+
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+const IntegrityValidator = require('../../../../scripts/admin/n8n-transfer/plugins/validators/integrity-validator');
+
+describe('TransferManager - mapeamento de credenciais', () => {
+  let manager;
+  let mockTargetClient;
+  let plugins;
+  let sourceWorkflows;
+
+  beforeEach(() => {
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), setLevel: jest.fn() },
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn() }
+      }
+    );
+
+    mockTargetClient = {
+      getCredentials: jest.fn().mockResolvedValue([
+        { id: 'tgt-cred-1', name: 'Orders API', type: 'httpHeaderAuth' }
+      ]),
+      createWorkflow: jest.fn().mockResolvedValue({ id: 'tgt-wf-1' })
+    };
+    manager.targetClient = mockTargetClient;
+
+    plugins = {
+      deduplicator: { isDuplicate: jest.fn().mockReturnValue(false), getReason: jest.fn() },
+      validators: [new IntegrityValidator()],
+      reporters: []
+    };
+
+    sourceWorkflows = [
+      {
+        id: 'src-1',
+        name: 'Sync Orders',
+        nodes: [
+          {
+            id: 'n1',
+            name: 'HTTP Request',
+            type: 'n8n-nodes-base.httpRequest',
+            credentials: { httpHeaderAuth: { id: 'src-cred-1', name: 'Orders API' } }
+          }
+        ],
+        connections: {}
+      },
+      {
+        id: 'src-2',
+        name: 'Nightly Report',
+        nodes: [
+          {
+            id: 'n1',
+            name: 'Query',
+            type: 'n8n-nodes-base.postgres',
+            credentials: { postgres: { id: 'src-cred-2', name: 'DB staging' } }
+          }
+        ],
+        connections: {}
+      }
+    ];
+  });
+
+  it('deve mapear credenciais por nome + tipo e adicionar o credential-validator', async () => {
+    const result = await manager._prepareCredentialMapping(sourceWorkflows, [], plugins, {});
+
+    expect(result).toMatchObject({ references: 2, matched: 1, targetSource: 'api' });
+    expect(result.unmatched[0]).toMatchObject({ type: 'postgres', name: 'DB staging' });
+    expect(plugins.validators.map(v => v.getName())).toEqual(['integrity-validator', 'credential-validator']);
+  });
+
+  it('deve usar credenciais referenciadas pelos workflows do TARGET se a API não listar credenciais', async () => {
+    mockTargetClient.getCredentials.mockRejectedValue(new Error('HTTP 405'));
+    const targetWorkflows = [
+      {
+        id: 'tgt-9',
+        name: 'Existing',
+        nodes: [{ name: 'Query', credentials: { postgres: { id: 'tgt-cred-2', name: 'DB staging' } } }]
+      }
+    ];
+
+    const result = await manager._prepareCredentialMapping(sourceWorkflows, targetWorkflows, plugins, {});
+
+    expect(result.targetSource).toBe('workflows');
+    expect(result.matched).toBe(1);
+    expect(result.unmatched[0]).toMatchObject({ type: 'httpHeaderAuth' });
+
+    // Lista incompleta: reportado no summary, mas sem bloquear a transferência
+    expect(plugins.validators.map(v => v.getName())).toEqual(['integrity-validator']);
+  });
+
+  it('deve enviar o workflow com as credenciais do TARGET', async () => {
+    await manager._prepareCredentialMapping(sourceWorkflows, [], plugins, {});
+
+    const result = await manager._processWorkflow(sourceWorkflows[0], [], plugins, { dryRun: false });
+
+    expect(result.status).toBe('transferred');
+    const payload = mockTargetClient.createWorkflow.mock.calls[0][0];
+    expect(payload.nodes[0].credentials.httpHeaderAuth).toEqual({ id: 'tgt-cred-1', name: 'Orders API' });
+    expect(sourceWorkflows[0].nodes[0].credentials.httpHeaderAuth.id).toBe('src-cred-1');
+  });
+
+  it('deve pular workflows com credenciais sem correspondente informando o motivo', async () => {
+    await manager._prepareCredentialMapping(sourceWorkflows, [], plugins, {});
+
+    const result = await manager._processWorkflow(sourceWorkflows[1], [], plugins, { dryRun: false });
+
+    expect(result.status).toBe('skipped');
+    expect(result.reason).toContain('Credencial sem correspondente no TARGET: postgres "DB staging"');
+    expect(mockTargetClient.createWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('não deve mapear credenciais quando skipCredentials=true', async () => {
+    const result = await manager._prepareCredentialMapping(sourceWorkflows, [], plugins, { skipCredentials: true });
+
+    expect(result).toBeNull();
+    expect(mockTargetClient.getCredentials).not.toHaveBeenCalled();
+    expect(plugins.validators).toHaveLength(1);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Testes unitários da ordem de dependência do TransferManager
+ * @module tests/unit/core/transfer-manager-dependency-order.test
+ *
+ * Cobre:
+ * - Sub-workflows chamados são criados antes de quem os chama
+ * - Referências são remapeadas na criação (sem re-envio na Fase 3)
+ * - Ciclos de referências continuam sendo resolvidos pelo re-envio
+ * - Batches paralelos não misturam níveis de dependência
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+
+describe('TransferManager - ordem de dependência', () => {
+  let tmpDir;
+  let manager;
+  let mockTargetClient;
+  let sourceWorkflows;
+
+  const deduplicator = {
+    getName: () => 'standard-deduplicator',
+    isEnabled: () => true,
+    isDuplicate: () => false,
+    getReason: () => null
+  };
+
+  const workflow = (id, ...calls) => ({
+    id,
+    name: `Workflow ${id}`,
+    nodes: calls.map(callee => ({
+      id: `call-${callee}`,
+      name: `Call ${callee}`,
+      type: 'n8n-nodes-base.executeWorkflow',
+      parameters: { workflowId: { __rl: true, mode: 'list', value: callee } }
+    })),
+    connections: {}
+  });
+
+  const options = (extra = {}) => ({
+    parallelism: 1,
+    validators: [],
+    reporters: [],
+    skipCredentials: true,
+    journal: path.join(tmpDir, 'transfer.jsonl'),
+    ...extra
+  });
+
+  const createdIds = () => mockTargetClient.createWorkflow.mock.calls.map(call => call[0].id);
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-order-'));
+
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), setLevel: jest.fn() },
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn().mockReturnValue(deduplicator) }
+      }
+    );
+
+    manager.sourceClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockImplementation(async () => sourceWorkflows)
+    };
+
+    mockTargetClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue([]),
+      createWorkflow: jest.fn().mockImplementation(async wf => ({ id: `tgt-${wf.id}` })),
+      updateWorkflow: jest.fn().mockResolvedValue({})
+    };
+    manager.targetClient = mockTargetClient;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('deve criar sub-workflows primeiro e remapear referências na criação', async () => {
+    sourceWorkflows = [workflow('main', 'orders'), workflow('orders', 'notify'), workflow('notify')];
+
+    const summary = await manager.transfer(options());
+
+    expect(createdIds()).toEqual(['notify', 'orders', 'main']);
+
+    const mainPayload = mockTargetClient.createWorkflow.mock.calls[2][0];
+    expect(mainPayload.nodes[0].parameters.workflowId.value).toBe('tgt-orders');
+
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+    expect(summary.remap).toMatchObject({ remapped: 2, updated: 0, resolvedOnCreate: 2 });
+  });
+
+  it('deve re-enviar workflows em ciclo', async () => {
+    sourceWorkflows = [workflow('a', 'b'), workflow('b', 'a')];
+
+    const summary = await manager.transfer(options());
+
+    // 'b' é criado depois de 'a' e já recebe o ID dele; 'a' precisa do re-envio
+    expect(mockTargetClient.updateWorkflow).toHaveBeenCalledTimes(1);
+    expect(mockTargetClient.updateWorkflow.mock.calls[0][0]).toBe('tgt-a');
+    expect(summary.remap).toMatchObject({ remapped: 2, updated: 1, resolvedOnCreate: 1 });
+    expect(manager.getLogger().warn).toHaveBeenCalledWith(expect.stringContaining('1 workflow reference cycle(s) found'));
+  });
+
+  it('não deve misturar níveis de dependência no mesmo batch', async () => {
+    sourceWorkflows = [workflow('caller', 'leaf1'), workflow('leaf1'), workflow('leaf2')];
+
+    await manager.transfer(options({ parallelism: 3 }));
+
+    expect(createdIds()).toEqual(['leaf1', 'leaf2', 'caller']);
+    const callerPayload = mockTargetClient.createWorkflow.mock.calls[2][0];
+    expect(callerPayload.nodes[0].parameters.workflowId.value).toBe('tgt-leaf1');
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Testes unitários dos modos create-only, upsert e mirror do TransferManager
+ * @module tests/unit/core/transfer-manager-modes.test
+ *
+ * Cobre:
+ * - create-only pula workflows encontrados pelo deduplicator
+ * - upsert atualiza o workflow encontrado (ou pula se já estiver igual)
+ * - mirror arquiva ou exclui workflows do TARGET ausentes no SOURCE, dentro do escopo dos filtros
+ * - Dry-run mostra o que seria feito sem chamar a API
+ */
+
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+const StandardDeduplicator = require('../../../../scripts/admin/n8n-transfer/plugins/deduplicators/standard-deduplicator');
+
+describe('TransferManager - modos de transferência', () => {
+  let manager;
+  let mockTargetClient;
+  let sourceWorkflows;
+  let targetWorkflows;
+
+  const node = (url) => ({
+    id: 'n1',
+    name: 'HTTP',
+    type: 'n8n-nodes-base.httpRequest',
+    parameters: { url }
+  });
+
+  const workflow = (id, name, url, tags = []) => ({
+    id,
+    name,
+    nodes: [node(url)],
+    connections: {},
+    settings: {},
+    tags
+  });
+
+  const baseOptions = (options = {}) => ({
+    parallelism: 1,
+    validators: [],
+    reporters: [],
+    skipCredentials: true,
+    ...options
+  });
+
+  beforeEach(() => {
+    const deduplicator = new StandardDeduplicator();
+
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), setLevel: jest.fn() },
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn().mockReturnValue(deduplicator) }
+      }
+    );
+
+    sourceWorkflows = [
+      workflow('1', 'Pedidos', 'https://api.example.com/v2/orders', ['prod']),
+      workflow('2', 'Clientes', 'https://api.example.com/customers', ['prod']),
+      workflow('3', 'Novo', 'https://api.example.com/new', ['prod'])
+    ];
+    targetWorkflows = [
+      workflow('t-1', 'Pedidos', 'https://api.example.com/v1/orders', ['prod']),
+      workflow('t-2', 'Clientes', 'https://api.example.com/customers', ['prod']),
+      { ...workflow('t-9', 'Legado', 'https://api.example.com/legacy', ['prod']), active: true },
+      workflow('t-10', 'Outro time', 'https://api.example.com/other', ['staging'])
+    ];
+
+    manager.sourceClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue(sourceWorkflows)
+    };
+
+    mockTargetClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue(targetWorkflows),
+      createWorkflow: jest.fn().mockResolvedValue({ id: 't-new' }),
+      updateWorkflow: jest.fn().mockImplementation(async (id, payload) => ({ id, ...payload })),
+      deleteWorkflow: jest.fn().mockResolvedValue(undefined),
+      deactivateWorkflow: jest.fn().mockResolvedValue({})
+    };
+    manager.targetClient = mockTargetClient;
+  });
+
+  it('deve pular workflows existentes em create-only (padrão)', async () => {
+    const summary = await manager.transfer(baseOptions());
+
+    expect(summary).toMatchObject({ mode: 'create-only', transferred: 1, updated: 0, skipped: 2, mirror: null });
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+    expect(mockTargetClient.createWorkflow).toHaveBeenCalledTimes(1);
+  });
+
+  it('deve atualizar apenas workflows com diferenças em upsert', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'upsert' }));
+
+    expect(mockTargetClient.updateWorkflow).toHaveBeenCalledTimes(1);
+    expect(mockTargetClient.updateWorkflow).toHaveBeenCalledWith('t-1', {
+      name: 'Pedidos',
+      nodes: [node('https://api.example.com/v2/orders')],
+      connections: {},
+      settings: {}
+    });
+    expect(summary).toMatchObject({ mode: 'upsert', transferred: 1, updated: 1, skipped: 1, deleted: 0, archived: 0 });
+    expect(summary.workflows.find(w => w.sourceId === '2')).toMatchObject({ status: 'skipped', reason: 'Up to date on TARGET' });
+    expect(summary.idMapping).toEqual({ 1: 't-1', 2: 't-2', 3: 't-new' });
+  });
+
+  it('deve arquivar workflows ausentes no SOURCE dentro do escopo dos filtros em mirror', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'mirror', filters: { tags: ['prod'] } }));
+
+    // "Outro time" não tem a tag prod: fora do escopo
+    expect(mockTargetClient.deactivateWorkflow).toHaveBeenCalledWith('t-9');
+    expect(mockTargetClient.updateWorkflow).toHaveBeenCalledWith('t-9', expect.objectContaining({ name: '[ARCHIVED] Legado' }));
+    expect(mockTargetClient.deleteWorkflow).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ updated: 1, archived: 1, deleted: 0 });
+    expect(summary.mirror).toEqual({ action: 'archive', inScope: 3, deleted: 0, archived: 1, failed: 0, skipped: false });
+    expect(summary.workflows.find(w => w.targetId === 't-9')).toMatchObject({ status: 'archived', reason: 'Missing from SOURCE' });
+  });
+
+  it('deve excluir com mirrorAction delete e registrar falhas', async () => {
+    mockTargetClient.deleteWorkflow.mockRejectedValueOnce(new Error('HTTP 403'));
+
+    const summary = await manager.transfer(baseOptions({ mode: 'mirror', mirrorAction: 'delete' }));
+
+    expect(mockTargetClient.deleteWorkflow.mock.calls.map(call => call[0])).toEqual(['t-9', 't-10']);
+    expect(summary).toMatchObject({ deleted: 1, failed: 1 });
+    expect(summary.workflows.find(w => w.targetId === 't-9').error).toContain('HTTP 403');
+  });
+
+  it('não deve remover nada em mirror com filtro por workflowIds', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'mirror', filters: { workflowIds: ['1'] } }));
+
+    expect(summary.mirror.skipped).toBe(true);
+    expect(mockTargetClient.deleteWorkflow).not.toHaveBeenCalled();
+    expect(mockTargetClient.deactivateWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('deve mostrar updates e remoções em dry-run sem chamar a API', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'mirror', mirrorAction: 'delete', dryRun: true }));
+
+    expect(mockTargetClient.createWorkflow).not.toHaveBeenCalled();
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+    expect(mockTargetClient.deleteWorkflow).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ dryRun: true, transferred: 1, updated: 1, deleted: 2 });
+    expect(summary.workflows.filter(w => w.simulated).map(w => w.status)).toEqual(['updated', 'transferred', 'deleted', 'deleted']);
+  });
+});
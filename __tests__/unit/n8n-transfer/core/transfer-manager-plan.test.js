@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Testes unitários dos planos de deploy do TransferManager
+ * @module tests/unit/core/transfer-manager-plan.test
+ *
+ * Cobre:
+ * - Dry-run com planFile grava ações, mudanças campo a campo e versões
+ * - applyPlan executa só o plano, com as opções dele (inclusive o mapeamento de credenciais)
+ * - applyPlan é recusado se SOURCE ou TARGET mudaram desde o plano
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+const StandardDeduplicator = require('../../../../scripts/admin/n8n-transfer/plugins/deduplicators/standard-deduplicator');
+const CredentialMapper = require('../../../../src/services/credential-mapper');
+
+describe('TransferManager - planos de deploy', () => {
+  let tmpDir;
+  let planFile;
+  let manager;
+  let mockTargetClient;
+  let sourceWorkflows;
+  let targetWorkflows;
+
+  const workflow = (id, name, url, extra = {}) => ({
+    id,
+    name,
+    nodes: [{ id: 'n1', name: 'HTTP', type: 'n8n-nodes-base.httpRequest', parameters: { url } }],
+    connections: {},
+    settings: {},
+    tags: ['prod'],
+    versionId: `${id}-v1`,
+    updatedAt: '2025-10-01T00:00:00.000Z',
+    ...extra
+  });
+
+  const baseOptions = (options = {}) => ({
+    parallelism: 1,
+    validators: [],
+    reporters: [],
+    skipCredentials: true,
+    ...options
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-plan-'));
+    planFile = path.join(tmpDir, 'plan.json');
+    const deduplicator = new StandardDeduplicator();
+
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), setLevel: jest.fn() },
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn().mockReturnValue(deduplicator) }
+      }
+    );
+
+    sourceWorkflows = [
+      workflow('1', 'Pedidos', 'https://api.example.com/v2/orders'),
+      workflow('2', 'Clientes', 'https://api.example.com/customers'),
+      workflow('3', 'Novo', 'https://api.example.com/new')
+    ];
+    targetWorkflows = [
+      workflow('t-1', 'Pedidos', 'https://api.example.com/v1/orders'),
+      workflow('t-2', 'Clientes', 'https://api.example.com/customers'),
+      workflow('t-9', 'Legado', 'https://api.example.com/legacy')
+    ];
+
+    manager.sourceClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockImplementation(async () => sourceWorkflows)
+    };
+
+    mockTargetClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockImplementation(async () => targetWorkflows),
+      createWorkflow: jest.fn().mockResolvedValue({ id: 't-new' }),
+      updateWorkflow: jest.fn().mockImplementation(async (id, payload) => ({ id, ...payload })),
+      deleteWorkflow: jest.fn().mockResolvedValue(undefined),
+      deactivateWorkflow: jest.fn().mockResolvedValue({})
+    };
+    manager.targetClient = mockTargetClient;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('deve gravar o plano em dry-run com planFile', async () => {
+    const summary = await manager.transfer(baseOptions({ mode: 'mirror', mirrorAction: 'delete', dryRun: true, planFile }));
+
+    expect(summary.plan).toBe(planFile);
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+
+    const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    expect(plan).toMatchObject({
+      kind: 'transfer',
+      source: { url: 'https://source.n8n.io' },
+      target: { url: 'https://target.n8n.io' },
+      options: { mode: 'mirror', mirrorAction: 'delete' },
+      summary: { create: 1, update: 1, skip: 1, delete: 1, total: 4 }
+    });
+    expect(plan.workflows.find(item => item.name === 'Pedidos')).toMatchObject({
+      action: 'update',
+      source: { id: '1', versionId: '1-v1' },
+      target: { id: 't-1', versionId: 't-1-v1', updatedAt: '2025-10-01T00:00:00.000Z' },
+      changes: [{ path: 'nodes["HTTP"].parameters.url', before: 'https://api.example.com/v1/orders', after: 'https://api.example.com/v2/orders' }]
+    });
+    expect(plan.workflows.find(item => item.name === 'Legado')).toMatchObject({ action: 'delete', source: null });
+  });
+
+  it('deve executar apenas o plano aprovado, com as opções dele', async () => {
+    await manager.transfer(baseOptions({ mode: 'mirror', mirrorAction: 'delete', dryRun: true, planFile }));
+
+    // Criados depois do plano: ficam de fora
+    sourceWorkflows.push(workflow('4', 'Depois do plano', 'https://api.example.com/late'));
+    targetWorkflows.push(workflow('t-20', 'Outro', 'https://api.example.com/other'));
+
+    const summary = await manager.transfer(baseOptions({ applyPlan: planFile }));
+
+    expect(summary).toMatchObject({ mode: 'mirror', transferred: 1, updated: 1, skipped: 1, deleted: 1 });
+    expect(mockTargetClient.createWorkflow).toHaveBeenCalledTimes(1);
+    expect(mockTargetClient.createWorkflow).toHaveBeenCalledWith(expect.objectContaining({ name: 'Novo' }));
+    expect(mockTargetClient.deleteWorkflow.mock.calls).toEqual([['t-9']]);
+  });
+
+  it('deve recusar o plano se o TARGET ou o SOURCE mudaram', async () => {
+    await manager.transfer(baseOptions({ mode: 'upsert', dryRun: true, planFile }));
+
+    targetWorkflows[0] = { ...targetWorkflows[0], versionId: 't-1-v2' };
+    await expect(manager.transfer(baseOptions({ applyPlan: planFile })))
+      .rejects.toThrow('Pedidos: changed on target since the plan (versionId t-1-v1 → t-1-v2)');
+
+    targetWorkflows[0] = { ...targetWorkflows[0], versionId: 't-1-v1' };
+    sourceWorkflows[2] = { ...sourceWorkflows[2], updatedAt: '2025-10-02T00:00:00.000Z' };
+    await expect(manager.transfer(baseOptions({ applyPlan: planFile })))
+      .rejects.toThrow(/Novo: changed on source since the plan \(updatedAt/);
+
+    expect(mockTargetClient.createWorkflow).not.toHaveBeenCalled();
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('deve aplicar o mapeamento de credenciais do plano e recusar outro arquivo', async () => {
+    const mappingFile = path.join(tmpDir, 'credential-mapping.json');
+    fs.writeFileSync(mappingFile, JSON.stringify({ '*': { 'Postgres (staging)': 'Postgres (production)' } }));
+    const loadMappingFile = jest.spyOn(CredentialMapper.prototype, 'loadMappingFile');
+
+    await manager.transfer(baseOptions({ mode: 'upsert', dryRun: true, planFile, skipCredentials: false, credentialMappingFile: mappingFile }));
+    expect(JSON.parse(fs.readFileSync(planFile, 'utf8')).options).toMatchObject({ credentialMappingFile: mappingFile });
+
+    await expect(manager.transfer(baseOptions({ applyPlan: planFile, credentialMappingFile: path.join(tmpDir, 'other.json') })))
+      .rejects.toThrow(`Credential mapping ${path.join(tmpDir, 'other.json')} differs from the plan (${mappingFile})`);
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+
+    // Sem a opção: o arquivo do plano
+    loadMappingFile.mockClear();
+    await manager.transfer(baseOptions({ applyPlan: planFile }));
+    expect(loadMappingFile.mock.calls).toEqual([[mappingFile]]);
+
+    loadMappingFile.mockRestore();
+  });
+});
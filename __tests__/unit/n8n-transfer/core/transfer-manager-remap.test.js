@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Testes unitários para o remapeamento de sub-workflows do TransferManager
+ * @module tests/unit/core/transfer-manager-remap.test
+ *
+ * Cobre as Fases 2 e 3 (mesmas do n8n:upload) executadas após a criação
+ * dos workflows no TARGET:
+ * - Construção do mapeamento SOURCE → TARGET
+ * - Reescrita de nodes executeWorkflow e re-envio via updateWorkflow
+ * - Referências não resolvidas, dry-run e skipRemap
+ */
+
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+
+describe('TransferManager - remapeamento de referências', () => {
+  let manager;
+  let mockTargetClient;
+  let sourceWorkflows;
+
+  const createLogger = () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    setLevel: jest.fn()
+  });
+
+  beforeEach(() => {
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: createLogger(),
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn() }
+      }
+    );
+
+    mockTargetClient = {
+      updateWorkflow: jest.fn().mockResolvedValue({})
+    };
+    manager.targetClient = mockTargetClient;
+
+    sourceWorkflows = [
+      {
+        id: 'src-parent',
+        name: 'Parent',
+        nodes: [
+          {
+            name: 'Call Child',
+            type: 'n8n-nodes-base.executeWorkflow',
+            parameters: { workflowId: { __rl: true, value: 'src-child', mode: 'list' } }
+          },
+          { name: 'Start', type: 'n8n-nodes-base.manualTrigger', parameters: {} }
+        ],
+        connections: {},
+        settings: {}
+      },
+      {
+        id: 'src-child',
+        name: 'Child',
+        nodes: [{ name: 'Start', type: 'n8n-nodes-base.executeWorkflowTrigger', parameters: {} }],
+        connections: {}
+      }
+    ];
+  });
+
+  it('deve re-enviar workflows com referências remapeadas para os IDs do TARGET', async () => {
+    const processed = [
+      { name: 'Parent', sourceId: 'src-parent', targetId: 'tgt-parent', status: 'transferred' },
+      { name: 'Child', sourceId: 'src-child', targetId: 'tgt-child', status: 'transferred' }
+    ];
+
+    const result = await manager._remapWorkflowReferences(sourceWorkflows, processed, {});
+
+    expect(result.idMapping).toEqual({ 'src-parent': 'tgt-parent', 'src-child': 'tgt-child' });
+    expect(result.remapped).toBe(1);
+    expect(result.updated).toBe(1);
+    expect(result.unresolved).toEqual([]);
+
+    expect(mockTargetClient.updateWorkflow).toHaveBeenCalledTimes(1);
+    const [targetId, payload] = mockTargetClient.updateWorkflow.mock.calls[0];
+    expect(targetId).toBe('tgt-parent');
+    expect(payload.nodes[0].parameters.workflowId.value).toBe('tgt-child');
+    expect(payload).not.toHaveProperty('id');
+
+    // Workflow original do SOURCE não deve ser alterado
+    expect(sourceWorkflows[0].nodes[0].parameters.workflowId.value).toBe('src-child');
+    expect(processed[0].referencesRemapped).toBe(1);
+  });
+
+  it('deve usar o ID do duplicado existente no TARGET para workflows pulados', async () => {
+    const processed = [
+      { name: 'Parent', sourceId: 'src-parent', targetId: 'tgt-parent', status: 'transferred' },
+      { name: 'Child', sourceId: 'src-child', targetId: 'existing-child', status: 'skipped', reason: 'Duplicate' }
+    ];
+
+    await manager._remapWorkflowReferences(sourceWorkflows, processed, {});
+
+    const [, payload] = mockTargetClient.updateWorkflow.mock.calls[0];
+    expect(payload.nodes[0].parameters.workflowId.value).toBe('existing-child');
+  });
+
+  it('deve reportar referências não resolvidas sem re-enviar o workflow', async () => {
+    const processed = [
+      { name: 'Parent', sourceId: 'src-parent', targetId: 'tgt-parent', status: 'transferred' },
+      { name: 'Child', sourceId: 'src-child', status: 'failed', error: 'boom' }
+    ];
+
+    const result = await manager._remapWorkflowReferences(sourceWorkflows, processed, {});
+
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+    expect(result.unresolved).toHaveLength(1);
+    expect(result.unresolved[0]).toMatchObject({
+      workflow: 'Parent',
+      nodeName: 'Call Child',
+      referencedId: 'src-child'
+    });
+  });
+
+  it('deve contabilizar falhas no re-envio sem interromper a transferência', async () => {
+    mockTargetClient.updateWorkflow.mockRejectedValue(new Error('HTTP 400'));
+    const processed = [
+      { name: 'Parent', sourceId: 'src-parent', targetId: 'tgt-parent', status: 'transferred' },
+      { name: 'Child', sourceId: 'src-child', targetId: 'tgt-child', status: 'transferred' }
+    ];
+
+    const result = await manager._remapWorkflowReferences(sourceWorkflows, processed, {});
+
+    expect(result.failed).toBe(1);
+    expect(result.updated).toBe(0);
+    expect(processed[0].remapError).toBe('HTTP 400');
+  });
+
+  it('não deve chamar updateWorkflow em dry-run', async () => {
+    const processed = [
+      { name: 'Parent', sourceId: 'src-parent', targetId: 'simulated', status: 'transferred', simulated: true },
+      { name: 'Child', sourceId: 'src-child', targetId: 'simulated', status: 'transferred', simulated: true }
+    ];
+
+    const result = await manager._remapWorkflowReferences(sourceWorkflows, processed, { dryRun: true });
+
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+    expect(result.idMapping).toEqual({});
+    expect(result.remapped).toBe(1);
+    expect(result.unresolved).toEqual([]);
+  });
+
+  it('deve pular o remapeamento quando skipRemap=true', async () => {
+    const processed = [
+      { name: 'Parent', sourceId: 'src-parent', targetId: 'tgt-parent', status: 'transferred' },
+      { name: 'Child', sourceId: 'src-child', targetId: 'tgt-child', status: 'transferred' }
+    ];
+
+    const result = await manager._remapWorkflowReferences(sourceWorkflows, processed, { skipRemap: true });
+
+    expect(result.skipped).toBe(true);
+    expect(result.idMapping).toEqual({ 'src-parent': 'tgt-parent', 'src-child': 'tgt-child' });
+    expect(mockTargetClient.updateWorkflow).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Testes unitários para transferências retomáveis do TransferManager
+ * @module tests/unit/core/transfer-manager-resume.test
+ *
+ * Cobre:
+ * - Journal de checkpoint gravado durante a transferência
+ * - options.resume pula workflows concluídos e continua a partir do journal
+ * - Resultados retomados entram no summary (contadores, idMapping e journal)
+ * - Dry-run não grava journal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransferManager = require('../../../../scripts/admin/n8n-transfer/core/transfer-manager');
+const TransferJournal = require('../../../../scripts/admin/n8n-transfer/core/transfer-journal');
+
+describe('TransferManager - journal e resume', () => {
+  let tmpDir;
+  let journalPath;
+  let manager;
+  let mockTargetClient;
+  let sourceWorkflows;
+
+  const deduplicator = {
+    getName: () => 'standard-deduplicator',
+    isEnabled: () => true,
+    isDuplicate: () => false,
+    getReason: () => null
+  };
+
+  const workflow = (id) => ({
+    id,
+    name: `Workflow ${id}`,
+    nodes: [{ id: 'n1', name: 'Start', type: 'n8n-nodes-base.manualTrigger', parameters: {} }],
+    connections: {}
+  });
+
+  const baseOptions = () => ({
+    parallelism: 1,
+    validators: [],
+    reporters: [],
+    skipCredentials: true,
+    journal: journalPath
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-resume-'));
+    journalPath = path.join(tmpDir, 'transfer.jsonl');
+
+    manager = new TransferManager(
+      {
+        SOURCE: { url: 'https://source.n8n.io', apiKey: 'source-key' },
+        TARGET: { url: 'https://target.n8n.io', apiKey: 'target-key' }
+      },
+      {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), setLevel: jest.fn() },
+        pluginRegistry: { getAll: jest.fn().mockReturnValue([]), get: jest.fn().mockReturnValue(deduplicator) }
+      }
+    );
+
+    sourceWorkflows = [workflow('1'), workflow('2'), workflow('3')];
+
+    manager.sourceClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue(sourceWorkflows)
+    };
+
+    let created = 0;
+    mockTargetClient = {
+      testConnection: jest.fn().mockResolvedValue({ success: true }),
+      getWorkflows: jest.fn().mockResolvedValue([]),
+      createWorkflow: jest.fn().mockImplementation(async () => ({ id: `tgt-${++created}` }))
+    };
+    manager.targetClient = mockTargetClient;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('deve registrar cada workflow no journal', async () => {
+    const summary = await manager.transfer(baseOptions());
+
+    const journal = TransferJournal.open(journalPath);
+    expect(journal.getCompletedItems().map(item => item.sourceId)).toEqual(['1', '2', '3']);
+    expect(summary.journal).toEqual({ path: journalPath, resumed: 0 });
+  });
+
+  it('deve retomar sem recriar workflows concluídos', async () => {
+    // Execução anterior: workflow 1 transferido, workflow 2 falhou, interrompida antes do 3
+    const previous = TransferJournal.create(
+      { source: 'https://source.n8n.io', target: 'https://target.n8n.io' },
+      journalPath
+    );
+    previous.recordItem({ sourceId: '1', name: 'Workflow 1', status: 'transferred', targetId: 'tgt-old-1' });
+    previous.recordItem({ sourceId: '2', name: 'Workflow 2', status: 'failed', error: 'HTTP 500' });
+
+    const summary = await manager.transfer({ ...baseOptions(), journal: undefined, resume: journalPath });
+
+    expect(mockTargetClient.createWorkflow).toHaveBeenCalledTimes(2);
+    expect(mockTargetClient.createWorkflow.mock.calls.map(call => call[0].id)).toEqual(['2', '3']);
+
+    expect(summary).toMatchObject({ total: 3, transferred: 3, failed: 0, processed: 3 });
+    expect(summary.journal).toEqual({ path: journalPath, resumed: 1 });
+    expect(summary.idMapping).toEqual({ 1: 'tgt-old-1', 2: 'tgt-1', 3: 'tgt-2' });
+    expect(summary.workflows[0]).toMatchObject({ sourceId: '1', resumed: true });
+
+    const events = fs.readFileSync(journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(events.map(e => e.type)).toEqual(['start', 'item', 'item', 'resume', 'item', 'item', 'end']);
+  });
+
+  it('deve recusar journal de outro par SOURCE/TARGET', async () => {
+    TransferJournal.create({ source: 'https://other.n8n.io', target: 'https://target.n8n.io' }, journalPath);
+
+    await expect(manager.transfer({ ...baseOptions(), resume: journalPath })).rejects.toThrow('was recorded for');
+    expect(mockTargetClient.createWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('não deve gravar journal em dry-run', async () => {
+    const summary = await manager.transfer({ ...baseOptions(), dryRun: true });
+
+    expect(fs.existsSync(journalPath)).toBe(false);
+    expect(summary.journal).toBeNull();
+  });
+});
@@ -228,8 +228,11 @@ describe('TransferManager', () => {
         total: 0,
         processed: 0,
         transferred: 0,
+        updated: 0,
         skipped: 0,
         failed: 0,
+        deleted: 0,
+        archived: 0,
         percentage: 0,
         status: 'idle'
       });
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Testes unitários para CredentialValidator Plugin
+ * @module tests/unit/plugins/credential-validator.test
+ */
+
+const CredentialValidator = require('../../../../scripts/admin/n8n-transfer/plugins/validators/credential-validator');
+const CredentialMapper = require('../../../../src/services/credential-mapper');
+
+describe('CredentialValidator', () => {
+  let validator;
+  let mapper;
+
+  const workflow = {
+    name: 'Sync Orders',
+    nodes: [
+      {
+        name: 'HTTP Request',
+        type: 'n8n-nodes-base.httpRequest',
+        credentials: { httpHeaderAuth: { id: '1', name: 'Orders API' } }
+      },
+      {
+        name: 'Query',
+        type: 'n8n-nodes-base.postgres',
+        credentials: { postgres: { id: '2', name: 'DB staging' } }
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    validator = new CredentialValidator();
+    mapper = new CredentialMapper({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+  });
+
+  describe('constructor()', () => {
+    it('deve criar instância com configurações corretas', () => {
+      expect(validator.getName()).toBe('credential-validator');
+      expect(validator.getVersion()).toBe('1.0.0');
+      expect(validator.getType()).toBe('validator');
+    });
+  });
+
+  describe('validate()', () => {
+    it('deve aceitar qualquer workflow sem CredentialMapper configurado', () => {
+      const result = validator.validate(workflow);
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('deve reportar credenciais sem correspondente no TARGET', () => {
+      mapper.buildMapping(mapper.extractCredentialReferences([workflow]), [
+        { id: '10', name: 'Orders API', type: 'httpHeaderAuth' }
+      ]);
+      validator.setCredentialMapper(mapper);
+
+      const result = validator.validate(workflow);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Credencial sem correspondente no TARGET: postgres "DB staging" (node "Query")'
+      ]);
+      expect(result.metadata.unmatchedCredentials).toHaveLength(1);
+    });
+
+    it('deve aceitar workflow com todas as credenciais mapeadas', () => {
+      mapper.buildMapping(mapper.extractCredentialReferences([workflow]), [
+        { id: '10', name: 'Orders API', type: 'httpHeaderAuth' },
+        { id: '20', name: 'DB staging', type: 'postgres' }
+      ]);
+      validator.setCredentialMapper(mapper);
+
+      expect(validator.validate(workflow).valid).toBe(true);
+    });
+  });
+});
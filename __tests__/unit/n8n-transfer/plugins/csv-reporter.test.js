@@ -385,6 +385,35 @@ describe('CSVReporter', () => {
 
       expect(row).toContain('Duplicate');
     });
+
+    it('deve usar o Target ID do idMapping quando informado', () => {
+      const state = {
+        workflow: { name: 'Test', id: 'src-1' },
+        status: 'completed'
+      };
+
+      const row = reporter.generateRow(state, { 'src-1': 'tgt-1' });
+
+      const fields = row.split(',');
+      expect(fields[4]).toBe('src-1');
+      expect(fields[5]).toBe('tgt-1');
+    });
+
+    it('deve aceitar resultados do TransferManager (name/sourceId/targetId)', () => {
+      const state = {
+        name: 'Flat Workflow',
+        sourceId: 'src-2',
+        targetId: 'tgt-2',
+        status: 'transferred'
+      };
+
+      const row = reporter.generateRow(state);
+
+      const fields = row.split(',');
+      expect(fields[0]).toBe('Flat Workflow');
+      expect(fields[4]).toBe('src-2');
+      expect(fields[5]).toBe('tgt-2');
+    });
   });
 
   describe('generate() - validação', () => {
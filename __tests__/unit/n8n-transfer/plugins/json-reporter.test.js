@@ -229,6 +229,42 @@ describe('JSONReporter', () => {
       expect(parsed.metadata.duration.seconds).toBe(120);
       expect(parsed.metadata.duration.formatted).toBe('2m 0s');
     });
+
+    it('deve incluir idMapping e remap', () => {
+      const transferResult = {
+        success: true,
+        totalWorkflows: 2,
+        successCount: 2,
+        failureCount: 0,
+        duplicateCount: 0,
+        startTime: new Date(),
+        endTime: new Date(),
+        idMapping: { 'src-1': 'tgt-1', 'src-2': 'tgt-2' },
+        remap: { remapped: 1, updated: 1, failed: 0, unresolved: [], skipped: false }
+      };
+
+      const parsed = JSON.parse(reporter.generate(transferResult));
+
+      expect(parsed.idMapping).toEqual({ 'src-1': 'tgt-1', 'src-2': 'tgt-2' });
+      expect(parsed.remap.updated).toBe(1);
+    });
+
+    it('deve usar idMapping vazio quando ausente', () => {
+      const transferResult = {
+        success: true,
+        totalWorkflows: 0,
+        successCount: 0,
+        failureCount: 0,
+        duplicateCount: 0,
+        startTime: new Date(),
+        endTime: new Date()
+      };
+
+      const parsed = JSON.parse(reporter.generate(transferResult));
+
+      expect(parsed.idMapping).toEqual({});
+      expect(parsed.remap).toBeNull();
+    });
   });
 
   describe('_extractWorkflowDetails()', () => {
@@ -453,6 +453,56 @@ describe('MarkdownReporter', () => {
     });
   });
 
+  describe('_buildIdMapping()', () => {
+    it('deve incluir tabela de mapeamento de IDs e referências não resolvidas', () => {
+      const transferResult = {
+        total: 2,
+        transferred: 2,
+        skipped: 0,
+        failed: 0,
+        duration: 5000,
+        workflows: [
+          { name: 'Parent', sourceId: 'src-1', targetId: 'tgt-1', status: 'transferred' },
+          { name: 'Child', sourceId: 'src-2', targetId: 'tgt-2', status: 'transferred' }
+        ],
+        idMapping: { 'src-1': 'tgt-1', 'src-2': 'tgt-2' },
+        remap: {
+          remapped: 1,
+          updated: 1,
+          failed: 0,
+          skipped: false,
+          unresolved: [
+            { workflow: 'Parent', nodeName: 'Call Missing', referencedId: 'src-9', message: 'No mapping found' }
+          ]
+        }
+      };
+
+      reporter.generate(transferResult);
+      const reportContent = mockFs.writeFileSync.mock.calls[0][1];
+
+      expect(reportContent).toContain('## 🔗 Mapeamento de IDs');
+      expect(reportContent).toContain('| 1 | Parent | `src-1` | `tgt-1` |');
+      expect(reportContent).toContain('**Workflows re-enviados:** 1');
+      expect(reportContent).toContain('### Referências não resolvidas');
+      expect(reportContent).toContain('Call Missing');
+    });
+
+    it('NÃO deve incluir seção se não houver mapeamento', () => {
+      const transferResult = {
+        total: 1,
+        transferred: 0,
+        skipped: 0,
+        failed: 1,
+        duration: 5000
+      };
+
+      reporter.generate(transferResult);
+      const reportContent = mockFs.writeFileSync.mock.calls[0][1];
+
+      expect(reportContent).not.toContain('Mapeamento de IDs');
+    });
+  });
+
   describe('_buildErrorDetails()', () => {
     it('deve incluir detalhes de erros', () => {
       const transferResult = {
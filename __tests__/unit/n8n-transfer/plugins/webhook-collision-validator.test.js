@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Testes unitários para WebhookCollisionValidator Plugin
+ * @module tests/unit/plugins/webhook-collision-validator.test
+ */
+
+const WebhookCollisionValidator = require('../../../../scripts/admin/n8n-transfer/plugins/validators/webhook-collision-validator');
+
+describe('WebhookCollisionValidator', () => {
+  let validator;
+
+  const webhook = (name, path, httpMethod = 'POST') => ({
+    name,
+    type: 'n8n-nodes-base.webhook',
+    parameters: { path, httpMethod }
+  });
+
+  const workflow = (id, name, nodes, extra = {}) => ({ id, name, nodes, connections: {}, ...extra });
+
+  beforeEach(() => {
+    validator = new WebhookCollisionValidator();
+  });
+
+  describe('constructor()', () => {
+    it('deve criar instância com configurações corretas', () => {
+      expect(validator.getName()).toBe('webhook-collision-validator');
+      expect(validator.getVersion()).toBe('1.0.0');
+      expect(validator.getType()).toBe('validator');
+    });
+  });
+
+  describe('validate()', () => {
+    it('deve reportar nodes do próprio workflow com o mesmo path sem setWorkflows', () => {
+      const result = validator.validate(workflow('1', 'Pedidos', [webhook('Webhook', 'orders'), webhook('Webhook 2', '/orders/')]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Webhook POST /orders também usado por node "Webhook 2" do mesmo workflow']);
+    });
+
+    it('deve reportar o mesmo path em workflows com outros nomes no SOURCE e no TARGET', () => {
+      const pedidos = workflow('1', '[Jana] (B) Pedidos', [webhook('Webhook', 'orders')]);
+      const clientes = workflow('2', '[Jana] (B) Clientes', [webhook('Webhook', 'customers')]);
+      validator.setWorkflows(
+        [pedidos, clientes, workflow('3', '[Jana] (C) Pedidos v2', [webhook('Hook', 'orders')])],
+        [
+          workflow('t-1', '[Jana] (B) Pedidos', [webhook('Webhook', 'orders')], { active: true }),
+          workflow('t-7', 'Clientes antigo', [webhook('Webhook', 'customers')], { active: false })
+        ]
+      );
+
+      const result = validator.validate(pedidos);
+      expect(result.errors).toEqual(['Webhook POST /orders também usado por "[Jana] (C) Pedidos v2" (node "Hook")']);
+
+      // Só colide com workflow inativo do TARGET: warning
+      const warning = validator.validate(clientes);
+      expect(warning.valid).toBe(true);
+      expect(warning.warnings).toEqual(['Webhook POST /customers também usado por "Clientes antigo" (TARGET, inativo)']);
+    });
+
+    it('deve aceitar workflows sem colisão', () => {
+      const pedidos = workflow('1', 'Pedidos', [webhook('Webhook', 'orders', 'GET')]);
+      validator.setWorkflows([pedidos, workflow('2', 'Pedidos POST', [webhook('Webhook', 'orders', 'POST')])]);
+
+      expect(validator.validate(pedidos)).toMatchObject({ valid: true, errors: [], warnings: [] });
+    });
+  });
+});
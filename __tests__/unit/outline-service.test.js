@@ -5,8 +5,16 @@
  * - Cache size never exceeds maxCacheSize
  * - Async loop error handling (graceful failure, continue processing)
  * - Cache statistics and hit rate
+ * - Incremental download (updatedAt vs. the updated: frontmatter, deleted documents and unused attachments removed)
+ * - Attachments saved once per content hash, links rewritten to relative paths
+ * - Links between documents rewritten to relative paths, unresolved ones reported
+ * - Publishing a local Markdown tree (create, update, move, IDs written back, unchanged documents skipped)
+ * - Relative links between published files turned into /doc/<urlId> links
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const OutlineService = require('../../src/services/outline-service');
 
 describe('OutlineService', () => {
@@ -623,4 +631,423 @@ describe('OutlineService', () => {
       expect(outlineService.escapeYaml(null)).toBeNull();
     });
   });
+
+  describe('Incremental Download', () => {
+    let tmpDir;
+    let remote;
+
+    const exists = file => fs.existsSync(path.join(tmpDir, file));
+    const fetched = () => mockHttpClient.post.mock.calls.filter(call => call[0] === '/api/documents.info').map(call => call[1].id);
+    const document = (id, title, updatedAt, children = []) => ({ id, title, updatedAt, children });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outline-incremental-'));
+      mockFileManager.ensureDir.mockImplementation(dir => fs.promises.mkdir(dir, { recursive: true }));
+      mockFileManager.writeFile.mockImplementation((file, content) => fs.promises.writeFile(file, content));
+
+      remote = [
+        document('a', 'Guia', '2026-01-01T10:00:00.000Z'),
+        document('b', 'API', '2026-01-01T10:00:00.000Z', [document('c', 'Auth', '2026-01-01T10:00:00.000Z')]),
+        document('d', 'Sobre', '2026-01-01T10:00:00.000Z')
+      ];
+
+      const flatten = nodes => nodes.flatMap(node => [node, ...flatten(node.children)]);
+      mockHttpClient.post.mockImplementation(async (endpoint, body) => {
+        switch (endpoint) {
+        case '/api/collections.list':
+        case '/api/collections.info':
+          return { data: endpoint === '/api/collections.list' ? [{ id: 'col-1', name: 'Engenharia' }] : { id: 'col-1', name: 'Engenharia' } };
+        case '/api/collections.documents':
+          return { data: remote };
+        case '/api/documents.list':
+          return { data: flatten(remote).map(({ id, updatedAt }) => ({ id, updatedAt })) };
+        case '/api/documents.info': {
+          const found = flatten(remote).find(node => node.id === body.id);
+          return { data: { id: found.id, title: found.title, text: `Texto de ${found.title}`, createdAt: '2026-01-01', updatedAt: found.updatedAt } };
+        }
+        default:
+          throw new Error(`Unexpected ${endpoint}`);
+        }
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should download only changed documents and remove deleted ones', async () => {
+      const first = await outlineService.downloadAllDocuments(tmpDir, [], { incremental: true });
+
+      expect(first.incremental).toEqual({ added: 4, changed: 0, unchanged: 0, removed: 0, removedAttachments: 0 });
+      expect(exists('engenharia/api/auth.md')).toBe(true);
+
+      // Another collection, not downloaded this time: never removed
+      fs.mkdirSync(path.join(tmpDir, 'outra'));
+      fs.writeFileSync(path.join(tmpDir, 'outra', 'x.md'), '---\ntitle: X\nid: z\n---\n\nX');
+
+      // "Guia" edited, "Auth" deleted: "API" has no children anymore and moves to api.md
+      remote[0].updatedAt = '2026-02-01T10:00:00.000Z';
+      remote[1].children = [];
+      const service = new OutlineService(mockHttpClient, mockAuthStrategy, mockLogger, mockFileManager, config);
+      mockHttpClient.post.mockClear();
+
+      const second = await service.downloadAllDocuments(tmpDir, [], { incremental: true });
+
+      expect(second.incremental).toEqual({ added: 0, changed: 2, unchanged: 1, removed: 1, removedAttachments: 0 });
+      expect(fetched()).toEqual(['a', 'b']);
+      expect(fs.readFileSync(path.join(tmpDir, 'engenharia', 'guia.md'), 'utf8')).toContain('updated: 2026-02-01T10:00:00.000Z');
+      expect(exists('engenharia/api.md')).toBe(true);
+      expect(exists('engenharia/api')).toBe(false);
+      expect(exists('outra/x.md')).toBe(true);
+      expect(mockLogger.info).toHaveBeenCalledWith('  Novos: 0, Alterados: 2, Removidos: 1, Sem mudanças: 1, Anexos removidos: 0');
+      expect(service.incremental).toBeNull();
+    });
+
+    it('should download everything again without incremental', async () => {
+      await outlineService.downloadAllDocuments(tmpDir, [], { incremental: true });
+      const service = new OutlineService(mockHttpClient, mockAuthStrategy, mockLogger, mockFileManager, config);
+      mockHttpClient.post.mockClear();
+
+      const results = await service.downloadAllDocuments(tmpDir);
+
+      expect(results.incremental).toBeUndefined();
+      expect(fetched()).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  describe('Attachments', () => {
+    let tmpDir;
+    let texts;
+    let updates;
+
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+    const read = file => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outline-attachments-'));
+      mockFileManager.ensureDir.mockImplementation(dir => fs.promises.mkdir(dir, { recursive: true }));
+      mockFileManager.writeFile.mockImplementation((file, content) => fs.promises.writeFile(file, content));
+
+      updates = { a: '2026-01-02', b: '2026-01-02' };
+      texts = {
+        a: '![diagrama](/api/attachments.redirect?id=img-1 "=300x200")\n\n[planilha](https://outline.example.com/api/attachments.redirect?id=file-1)',
+        b: 'Mesma imagem: ![copia](/api/attachments.redirect?id=img-2)\n\n![sumiu](/api/attachments.redirect?id=gone)'
+      };
+      const remote = [{ id: 'a', title: 'Guia', children: [{ id: 'b', title: 'Detalhes', children: [] }] }];
+
+      mockHttpClient.post.mockImplementation(async (endpoint, body) => {
+        switch (endpoint) {
+        case '/api/collections.list':
+          return { data: [{ id: 'col-1', name: 'Engenharia' }] };
+        case '/api/collections.info':
+          return { data: { id: 'col-1', name: 'Engenharia' } };
+        case '/api/collections.documents':
+          return { data: remote };
+        case '/api/documents.list':
+          return { data: Object.entries(updates).map(([id, updatedAt]) => ({ id, updatedAt })) };
+        case '/api/documents.info':
+          return { data: { id: body.id, title: body.id === 'a' ? 'Guia' : 'Detalhes', text: texts[body.id], createdAt: '2026-01-01', updatedAt: updates[body.id] } };
+        default:
+          throw new Error(`Unexpected ${endpoint}`);
+        }
+      });
+
+      mockHttpClient.download = jest.fn(async (endpoint) => {
+        const id = new URLSearchParams(endpoint.split('?')[1]).get('id');
+        switch (id) {
+        case 'img-1':
+        case 'img-2':
+          return { data: png, contentType: 'image/png', url: `https://s3.example.com/uploads/${id}?X-Amz-Signature=abc` };
+        case 'file-1':
+          return { data: Buffer.from('a;b\n1;2\n'), contentType: 'text/csv', url: 'https://s3.example.com/uploads/Planilha.CSV' };
+        default:
+          throw Object.assign(new Error('HTTP 404: Not Found'), { statusCode: 404 });
+        }
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should store attachments once per content and link them relatively', async () => {
+      const results = await outlineService.downloadAllDocuments(tmpDir);
+
+      const files = fs.readdirSync(path.join(tmpDir, 'engenharia', '_attachments')).sort();
+      const image = files.find(file => file.endsWith('.png'));
+      expect(files).toEqual([expect.stringMatching(/^[0-9a-f]{16}\.csv$/), expect.stringMatching(/^[0-9a-f]{16}\.png$/)]);
+      expect(fs.readFileSync(path.join(tmpDir, 'engenharia', '_attachments', image))).toEqual(png);
+
+      expect(read('engenharia/guia/guia.md')).toContain(`![diagrama](../_attachments/${image} "=300x200")`);
+      expect(read('engenharia/guia/guia.md')).toMatch(/\[planilha\]\(\.\.\/_attachments\/[0-9a-f]{16}\.csv\)/);
+      expect(read('engenharia/guia/detalhes.md')).toContain(`![copia](../_attachments/${image})`);
+      // Not downloaded: still points at Outline
+      expect(read('engenharia/guia/detalhes.md')).toContain('![sumiu](/api/attachments.redirect?id=gone)');
+
+      expect(results.attachments).toEqual({ files: 2, bytes: png.length + 8, duplicates: 1, links: 3, failed: 1 });
+      expect(mockLogger.info).toHaveBeenCalledWith(expect.stringMatching(/^ {2}Anexos: 2 arquivo\(s\), 0\.0 KB \(1 repetido\(s\), 3 link\(s\) reescrito\(s\), 1 falha\(s\)\)$/));
+    });
+
+    it('should remove the attachments no document uses any more in incremental mode', async () => {
+      await outlineService.downloadAllDocuments(tmpDir, [], { incremental: true });
+      const csv = fs.readdirSync(path.join(tmpDir, 'engenharia', '_attachments')).find(file => file.endsWith('.csv'));
+
+      // "Guia" no longer links the spreadsheet; the image is still used by "Detalhes" (not downloaded again)
+      texts.a = '![diagrama](/api/attachments.redirect?id=img-1)';
+      updates.a = '2026-02-01';
+      const service = new OutlineService(mockHttpClient, mockAuthStrategy, mockLogger, mockFileManager, config);
+
+      const results = await service.downloadAllDocuments(tmpDir, [], { incremental: true });
+
+      expect(results.incremental).toEqual({ added: 0, changed: 1, unchanged: 1, removed: 0, removedAttachments: 1 });
+      expect(fs.readdirSync(path.join(tmpDir, 'engenharia', '_attachments'))).toEqual([expect.stringMatching(/^[0-9a-f]{16}\.png$/)]);
+      expect(mockLogger.info).toHaveBeenCalledWith(`Anexo removido (sem referências): ${path.join(tmpDir, 'engenharia', '_attachments', csv)}`);
+    });
+
+    it('should keep attachment links with attachments disabled', async () => {
+      const results = await outlineService.downloadAllDocuments(tmpDir, [], { attachments: false });
+
+      expect(results.attachments).toBeUndefined();
+      expect(mockHttpClient.download).not.toHaveBeenCalled();
+      expect(read('engenharia/guia/guia.md')).toContain('![diagrama](/api/attachments.redirect?id=img-1 "=300x200")');
+    });
+  });
+
+  describe('Document Links', () => {
+    let tmpDir;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, file), content);
+    };
+    const read = file => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outline-links-'));
+      mockHttpClient.baseUrl = 'https://outline.example.com';
+      mockFileManager.ensureDir.mockImplementation(dir => fs.promises.mkdir(dir, { recursive: true }));
+      mockFileManager.writeFile.mockImplementation((file, content) => fs.promises.writeFile(file, content));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should rewrite links across collections and list the unresolved ones', async () => {
+      write('engenharia/guia/guia.md', [
+        '---', 'title: Guia', 'id: doc-guia', 'urlId: AbCdEf1234', '---', '',
+        'Veja a [API](/doc/api-de-pedidos-ZyXwVu9876#autenticacao), o [antigo](https://outline.example.com/doc/removido-QqQqQqQqQq)',
+        'e o [guia do GitHub](https://github.com/org/repo/doc/guide-abcdefghij).'
+      ].join('\n'));
+      write('produto/api.md', '---\ntitle: API\nid: doc-api\nurlId: ZyXwVu9876\n---\n\nVoltar ao [Guia](https://outline.example.com/doc/guia-AbCdEf1234).\n');
+      write('produto/sem-links.md', '---\ntitle: Sem links\nid: doc-x\n---\n\nNada aqui.\n');
+
+      const result = await outlineService.rewriteDocumentLinks(tmpDir);
+
+      expect(result).toEqual({
+        files: 2,
+        rewritten: 2,
+        unresolved: [{ file: 'engenharia/guia/guia.md', link: 'https://outline.example.com/doc/removido-QqQqQqQqQq' }]
+      });
+      expect(read('engenharia/guia/guia.md')).toContain('Veja a [API](../../produto/api.md#autenticacao), o [antigo](https://outline.example.com/doc/removido-QqQqQqQqQq)');
+      expect(read('engenharia/guia/guia.md')).toContain('[guia do GitHub](https://github.com/org/repo/doc/guide-abcdefghij)');
+      expect(read('produto/api.md')).toContain('Voltar ao [Guia](../engenharia/guia/guia.md).');
+
+      // Already relative: nothing left to rewrite
+      expect(await outlineService.rewriteDocumentLinks(tmpDir)).toMatchObject({ files: 0, rewritten: 0 });
+    });
+
+    it('should write the urlId frontmatter and report unresolved links after a download', async () => {
+      mockHttpClient.post.mockImplementation(async (endpoint, body) => {
+        switch (endpoint) {
+        case '/api/collections.list':
+          return { data: [{ id: 'col-1', name: 'Engenharia' }] };
+        case '/api/collections.info':
+          return { data: { id: 'col-1', name: 'Engenharia' } };
+        case '/api/collections.documents':
+          return { data: [{ id: 'a', title: 'Guia', children: [] }, { id: 'b', title: 'API', children: [] }] };
+        default: {
+          const documents = {
+            a: { title: 'Guia', urlId: 'AbCdEf1234', text: '[API](/doc/api-ZyXwVu9876) e [fora](/doc/outro-QqQqQqQqQq)' },
+            b: { title: 'API', urlId: 'ZyXwVu9876', text: 'API' }
+          };
+          return { data: { id: body.id, createdAt: '2026-01-01', updatedAt: '2026-01-02', ...documents[body.id] } };
+        }
+        }
+      });
+
+      const results = await outlineService.downloadAllDocuments(tmpDir);
+
+      expect(read('engenharia/api.md')).toContain('urlId: ZyXwVu9876\n---');
+      expect(read('engenharia/guia.md')).toContain('[API](api.md) e [fora](/doc/outro-QqQqQqQqQq)');
+      expect(results.links).toEqual({ files: 1, rewritten: 1, unresolved: [{ file: 'engenharia/guia.md', link: '/doc/outro-QqQqQqQqQq' }] });
+      expect(mockLogger.warn).toHaveBeenCalledWith('    - engenharia/guia.md: /doc/outro-QqQqQqQqQq');
+    });
+  });
+
+  describe('Publishing', () => {
+    let tmpDir;
+    let remoteTree;
+    let remoteDocuments;
+    let created;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, file), content);
+    };
+    const read = file => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+    const calls = endpoint => mockHttpClient.post.mock.calls.filter(call => call[0] === endpoint).map(call => call[1]);
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outline-publish-'));
+      created = 0;
+      remoteTree = [{ id: 'doc-guia', title: 'Guia', children: [] }, { id: 'doc-ped', title: 'Pedidos: fluxo', children: [] }];
+      remoteDocuments = [];
+      mockFileManager.writeFile.mockImplementation((file, content) => fs.promises.writeFile(file, content));
+
+      mockHttpClient.post.mockImplementation(async (endpoint, body) => {
+        const document = { createdAt: '2026-01-01', updatedAt: '2026-01-02', ...body };
+        switch (endpoint) {
+        case '/api/collections.documents':
+          return { data: remoteTree };
+        case '/api/documents.list':
+          return { data: remoteDocuments };
+        case '/api/documents.create':
+          return { data: { ...document, id: `new-${++created}`, urlId: `UrlIdNew${created}0` } };
+        case '/api/documents.update':
+        case '/api/documents.move':
+          return { data: document };
+        default:
+          throw new Error(`Unexpected ${endpoint}`);
+        }
+      });
+
+      write('guia.md', '# Guia\n\nComo usar.\n');
+      write('(B) Negócio/pedidos.md', '---\ntitle: "Pedidos: fluxo"\nid: doc-ped\n---\n\nRecebe pedidos.\n');
+      write('engenharia/engenharia.md', '# Engenharia\n\nVisão geral.\n');
+      write('engenharia/api.md', '# API\n\nEndpoints.\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should create, update and move documents keeping the folder hierarchy', async () => {
+      const results = await outlineService.publishDirectory(tmpDir, 'col-1');
+
+      expect(results).toEqual({ totalDocs: 5, created: 3, updated: 2, unchanged: 0, moved: 1, failed: 0, errors: [] });
+      expect(calls('/api/documents.create')).toEqual([
+        { collectionId: 'col-1', title: '(B) Negócio', text: '', publish: true },
+        { collectionId: 'col-1', title: 'Engenharia', text: 'Visão geral.\n', publish: true },
+        { collectionId: 'col-1', parentDocumentId: 'new-2', title: 'API', text: 'Endpoints.\n', publish: true }
+      ]);
+      // Matched by the id: frontmatter, now under the "(B) Negócio" folder document
+      expect(calls('/api/documents.move')).toEqual([{ id: 'doc-ped', collectionId: 'col-1', parentDocumentId: 'new-1' }]);
+      // Matched by title; the leading "# Guia" is the title, not content
+      expect(calls('/api/documents.update')).toEqual([
+        { id: 'doc-ped', title: 'Pedidos: fluxo', text: 'Recebe pedidos.\n', publish: true },
+        { id: 'doc-guia', title: 'Guia', text: 'Como usar.\n', publish: true }
+      ]);
+    });
+
+    it('should write the IDs back so publishing again updates instead of duplicating', async () => {
+      await outlineService.publishDirectory(tmpDir, 'col-1');
+
+      expect(read('guia.md')).toBe('---\ntitle: Guia\nid: doc-guia\ncreated: 2026-01-01\nupdated: 2026-01-02\n---\n\n# Guia\n\nComo usar.\n');
+      expect(read('engenharia/api.md')).toContain('id: new-3\ncreated: 2026-01-01\nupdated: 2026-01-02\nparent: new-2\nurlId: UrlIdNew30\n---\n\n# API\n');
+      // Already had its ID: file untouched
+      expect(read('(B) Negócio/pedidos.md')).toBe('---\ntitle: "Pedidos: fluxo"\nid: doc-ped\n---\n\nRecebe pedidos.\n');
+
+      remoteTree = [
+        { id: 'doc-guia', title: 'Guia', children: [] },
+        { id: 'new-1', title: '(B) Negócio', children: [{ id: 'doc-ped', title: 'Pedidos: fluxo', children: [] }] },
+        { id: 'new-2', title: 'Engenharia', children: [{ id: 'new-3', title: 'API', children: [] }] }
+      ];
+      remoteDocuments = [
+        { id: 'doc-guia', title: 'Guia', text: 'Como usar.' },
+        { id: 'new-1', title: '(B) Negócio', text: '' },
+        { id: 'doc-ped', title: 'Pedidos: fluxo', text: 'Recebe pedidos.\n' },
+        { id: 'new-2', title: 'Engenharia', text: 'Visão geral antiga.\n' },
+        { id: 'new-3', title: 'API', text: 'Endpoints.\n' }
+      ];
+      mockHttpClient.post.mockClear();
+
+      const results = await outlineService.publishDirectory(tmpDir, 'col-1');
+
+      // Only the document edited on Outline is sent again
+      expect(results).toMatchObject({ created: 0, updated: 1, unchanged: 3, moved: 0, failed: 0 });
+      expect(calls('/api/documents.update')).toEqual([{ id: 'new-2', title: 'Engenharia', text: 'Visão geral.\n', publish: true }]);
+    });
+
+    it('should only report the plan with dryRun and count failed subtrees', async () => {
+      const dryRun = await outlineService.publishDirectory(tmpDir, 'col-1', { dryRun: true });
+
+      expect(dryRun).toMatchObject({ totalDocs: 5, created: 3, updated: 2, moved: 1, failed: 0 });
+      expect(mockHttpClient.post.mock.calls.map(call => call[0])).toEqual(['/api/collections.documents', '/api/documents.list']);
+      expect(read('guia.md')).toBe('# Guia\n\nComo usar.\n');
+
+      mockHttpClient.post.mockImplementation(async (endpoint) => {
+        if (endpoint === '/api/collections.documents' || endpoint === '/api/documents.list') {
+          return { data: [] };
+        }
+        throw new Error('Request failed with status 403');
+      });
+
+      const results = await outlineService.publishDirectory(tmpDir, 'col-1');
+
+      // engenharia.md fails: api.md has no parent to be published under
+      expect(results).toMatchObject({ created: 0, failed: 5 });
+      expect(results.errors.map(error => error.title)).toEqual(['(B) Negócio', 'Engenharia', 'Guia']);
+      await expect(outlineService.publishDirectory(path.join(tmpDir, 'nope'), 'col-1')).rejects.toThrow('Diretório não encontrado');
+    });
+
+    it('should publish relative links between files as /doc/<urlId> links', async () => {
+      remoteDocuments = [
+        { id: 'doc-guia', urlId: 'GuiaUrlId0', title: 'Guia', text: 'Como usar.' },
+        { id: 'doc-ped', urlId: 'PedUrlId00', title: 'Pedidos: fluxo', text: 'Recebe pedidos.\n' }
+      ];
+      write('guia.md', '# Guia\n\nVeja a [API](engenharia/api.md#auth "API"), os [pedidos](%28B%29%20Neg%C3%B3cio/pedidos.md) e o [README](../README.md).\n');
+      write('engenharia/api.md', '# API\n\nVoltar ao [guia](../guia.md).\n');
+      write('(B) Negócio/pedidos.md', '---\ntitle: "Pedidos: fluxo"\nid: doc-ped\n---\n\nRecebe pedidos pela [API](../engenharia/api.md).\n');
+
+      const results = await outlineService.publishDirectory(tmpDir, 'col-1');
+
+      expect(results).toMatchObject({ created: 3, updated: 2, unchanged: 0, failed: 0 });
+      expect(calls('/api/documents.create')[2]).toEqual(expect.objectContaining({ title: 'API', text: 'Voltar ao [guia](../guia.md).\n' }));
+      // "Pedidos" links to "API", created after it; "API" is created before "Guia" is matched
+      // by title: both are published in a second pass
+      expect(calls('/api/documents.update')).toEqual([
+        {
+          id: 'doc-guia',
+          title: 'Guia',
+          text: 'Veja a [API](/doc/UrlIdNew30#auth "API"), os [pedidos](/doc/PedUrlId00) e o [README](../README.md).\n',
+          publish: true
+        },
+        { id: 'doc-ped', title: 'Pedidos: fluxo', text: 'Recebe pedidos pela [API](/doc/UrlIdNew30).\n', publish: true },
+        { id: 'new-3', title: 'API', text: 'Voltar ao [guia](/doc/GuiaUrlId0).\n', publish: true }
+      ]);
+      // Local files keep their relative links
+      expect(read('engenharia/api.md')).toContain('Voltar ao [guia](../guia.md).');
+    });
+
+    it('should parse the frontmatter written by _generateMarkdown', () => {
+      const markdown = outlineService._generateMarkdown({
+        title: 'API: "v2"', id: 'abc', createdAt: '2026-01-01', updatedAt: '2026-01-02', parentDocumentId: 'def', text: '# API\n\nTexto'
+      });
+
+      expect(outlineService.parseMarkdown(markdown)).toEqual({
+        attributes: { title: 'API: "v2"', id: 'abc', created: '2026-01-01', updated: '2026-01-02', parent: 'def' },
+        body: '# API\n\nTexto'
+      });
+      expect(outlineService.parseMarkdown('Sem frontmatter')).toEqual({ attributes: {}, body: 'Sem frontmatter' });
+    });
+
+    it('should find a collection by ID or name', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: [{ id: 'col-1', name: 'Engenharia' }, { id: 'col-2', name: 'Workflows' }] });
+
+      await expect(outlineService.findCollection('col-2')).resolves.toEqual({ id: 'col-2', name: 'Workflows' });
+      await expect(outlineService.findCollection('engenharia')).resolves.toEqual({ id: 'col-1', name: 'Engenharia' });
+      await expect(outlineService.findCollection('Outra')).resolves.toBeNull();
+    });
+  });
 });
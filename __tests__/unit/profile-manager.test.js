@@ -0,0 +1,198 @@
+/**
+ * Unit Tests for ProfileManager
+ * Tests:
+ * - --profile / --from / --to extraction
+ * - Profiles file add / list / remove (owner-only permissions)
+ * - Applying profiles to the environment (roles, precedence, *Env credentials)
+ * - applyProfiles() in the orchestration layer and the n8n-transfer ConfigLoader
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProfileManager = require('../../src/utils/profile-manager');
+const { applyProfiles } = require('../../index');
+const ConfigLoader = require('../../scripts/admin/n8n-transfer/core/config-loader');
+
+describe('ProfileManager', () => {
+  let tmpDir;
+  let filePath;
+  let env;
+  let manager;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    filePath = path.join(tmpDir, 'nested', 'profiles.json');
+    env = {};
+    manager = new ProfileManager({ filePath, env });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const addDefaults = () => {
+    manager.add('staging', {
+      n8n: { url: 'https://n8n.staging.example.com/', apiKey: 'staging-key' },
+      outline: { url: 'https://docs.staging.example.com', apiTokenEnv: 'STAGING_OUTLINE_TOKEN' }
+    });
+    manager.add('prod', { n8n: { url: 'https://n8n.example.com', apiKeyEnv: 'PROD_N8N_API_KEY' } });
+  };
+
+  describe('extractFlags()', () => {
+    it('should remove profile flags in both forms and keep other arguments', () => {
+      const result = ProfileManager.extractFlags(['--from', 'staging', '--dry-run', '--to=prod', '--input', './wf']);
+
+      expect(result.args).toEqual(['--dry-run', '--input', './wf']);
+      expect(result.selection).toEqual({ from: 'staging', to: 'prod' });
+      expect(ProfileManager.hasSelection(result.selection)).toBe(true);
+      expect(ProfileManager.hasSelection(ProfileManager.extractFlags(['--dry-run']).selection)).toBe(false);
+    });
+
+    it('should reject a flag without profile name', () => {
+      expect(() => ProfileManager.extractFlags(['--profile'])).toThrow('--profile requires a profile name');
+      expect(() => ProfileManager.extractFlags(['--to', '--dry-run'])).toThrow('--to requires a profile name');
+    });
+  });
+
+  describe('add() / list() / remove()', () => {
+    it('should store normalized profiles with owner-only permissions', () => {
+      addDefaults();
+
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(stored.profiles.staging.n8n).toEqual({ url: 'https://n8n.staging.example.com', apiKey: 'staging-key' });
+      expect(manager.list().map(profile => profile.name)).toEqual(['prod', 'staging']);
+
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+      }
+    });
+
+    it('should validate names, URLs and duplicates', () => {
+      addDefaults();
+
+      expect(() => manager.add('bad name', { n8n: { url: 'https://x.io' } })).toThrow('Invalid profile name');
+      expect(() => manager.add('ftp', { n8n: { url: 'ftp://x.io' } })).toThrow('use http or https');
+      expect(() => manager.add('empty', {})).toThrow('needs an N8N or an Outline endpoint');
+      expect(() => manager.add('prod', { n8n: { url: 'https://x.io' } })).toThrow('already exists');
+
+      manager.add('prod', { n8n: { url: 'https://x.io' } }, { overwrite: true });
+      expect(manager.get('prod')).toEqual({ n8n: { url: 'https://x.io' } });
+    });
+
+    it('should remove profiles and report unknown ones', () => {
+      addDefaults();
+
+      expect(manager.remove('prod')).toBe(true);
+      expect(manager.remove('prod')).toBe(false);
+      expect(() => manager.get('prod')).toThrow('Unknown profile "prod" (available: staging)');
+    });
+  });
+
+  describe('apply()', () => {
+    it('should set every N8N and Outline variable for --profile', () => {
+      addDefaults();
+      env.STAGING_OUTLINE_TOKEN = 'outline-token';
+
+      const applied = manager.apply({ profile: 'staging' });
+
+      expect(env).toMatchObject({
+        N8N_URL: 'https://n8n.staging.example.com',
+        SOURCE_N8N_URL: 'https://n8n.staging.example.com',
+        TARGET_N8N_URL: 'https://n8n.staging.example.com',
+        TARGET_N8N_API_KEY: 'staging-key',
+        OUTLINE_URL: 'https://docs.staging.example.com',
+        OUTLINE_API_TOKEN: 'outline-token'
+      });
+      expect(applied.OUTLINE_URL).toBe('staging');
+    });
+
+    it('should apply --to after --from and clear keys a profile does not provide', () => {
+      addDefaults();
+      env.TARGET_N8N_API_KEY = 'key-from-dotenv';
+
+      manager.apply({ from: 'staging', to: 'prod' });
+
+      expect(env.SOURCE_N8N_URL).toBe('https://n8n.staging.example.com');
+      expect(env.SOURCE_N8N_API_KEY).toBe('staging-key');
+      expect(env.TARGET_N8N_URL).toBe('https://n8n.example.com');
+      // PROD_N8N_API_KEY is not set: never send the .env key to another instance
+      expect(env).not.toHaveProperty('TARGET_N8N_API_KEY');
+
+      env.PROD_N8N_API_KEY = 'prod-key';
+      manager.apply({ to: 'prod' });
+      expect(env.TARGET_N8N_API_KEY).toBe('prod-key');
+    });
+
+    it('should export profile variables as JANA_VAR_<NAME> for the template engine', () => {
+      manager.add('vars-dev', { variables: { API_BASE: 'https://api.dev.example.com', RETRIES: 3, PATH: '/tmp/bin' } });
+      manager.add('vars-prod', { variables: { API_BASE: 'https://api.example.com', SUFFIX: '' } });
+      expect(() => manager.add('bad', { variables: { 'API-BASE': 'x' } })).toThrow('Invalid variable name');
+      env.PATH = '/usr/bin';
+
+      manager.apply({ from: 'vars-dev', to: 'vars-prod' });
+
+      expect(env.JANA_VAR_API_BASE).toBe('https://api.example.com');
+      expect(env.JANA_VAR_RETRIES).toBe('3');
+      expect(env.JANA_VAR_SUFFIX).toBe('');
+      // Never replaces the real environment
+      expect(env.JANA_VAR_PATH).toBe('/tmp/bin');
+      expect(env.PATH).toBe('/usr/bin');
+      expect(env).not.toHaveProperty('API_BASE');
+    });
+  });
+
+  describe('applyProfiles()', () => {
+    it('should strip profile flags from command arguments and apply them', () => {
+      addDefaults();
+      env.JANA_PROFILES_FILE = filePath;
+
+      const ctx = { command: 'n8n:download', args: ['--profile', 'staging', '--output', './wf'], env };
+      applyProfiles(ctx, { ...ctx, to: 'prod' });
+
+      expect(ctx.args).toEqual(['--output', './wf']);
+      expect(env.N8N_URL).toBe('https://n8n.staging.example.com');
+      expect(env.TARGET_N8N_URL).toBe('https://n8n.example.com');
+    });
+  });
+
+  describe('n8n-transfer ConfigLoader', () => {
+    const keys = ['SOURCE_N8N_URL', 'SOURCE_N8N_API_KEY', 'TARGET_N8N_URL', 'TARGET_N8N_API_KEY', 'N8N_URL', 'N8N_API_KEY'];
+    let saved;
+
+    beforeEach(() => {
+      saved = {};
+      for (const key of keys) {
+        saved[key] = process.env[key];
+        delete process.env[key];
+      }
+    });
+
+    afterEach(() => {
+      for (const key of keys) {
+        if (saved[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = saved[key];
+        }
+      }
+    });
+
+    it('should load SOURCE / TARGET from --from / --to without a .env file', () => {
+      manager.add('dev', { n8n: { url: 'https://n8n.dev.example.com', apiKey: 'dev-key' } });
+      manager.add('prod', { n8n: { url: 'https://n8n.example.com', apiKey: 'prod-key' } });
+
+      const loader = new ConfigLoader(path.join(tmpDir, 'missing.env'), {
+        argv: ['--from', 'dev', '--to', 'prod'],
+        profileManager: new ProfileManager({ filePath, env: process.env })
+      });
+
+      expect(loader.load()).toEqual({
+        SOURCE_N8N_URL: 'https://n8n.dev.example.com',
+        SOURCE_N8N_API_KEY: 'dev-key',
+        TARGET_N8N_URL: 'https://n8n.example.com',
+        TARGET_N8N_API_KEY: 'prod-key'
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for the profiles command
+ * Tests:
+ * - add (explicit options and --from-env)
+ * - list with masked credentials
+ * - test against N8N and Outline (mocked HTTP client)
+ * - remove
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProfileManager = require('../../src/utils/profile-manager');
+const { ProfilesApp } = require('../../src/commands/profiles');
+
+describe('profiles command', () => {
+  let tmpDir;
+  let profileManager;
+  let env;
+  let client;
+  let createHttpClient;
+  let logger;
+
+  const app = (...args) => {
+    const instance = new ProfilesApp({ profileManager, createHttpClient, logger });
+    instance.parseArgs(args);
+    return instance;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-command-'));
+    env = {};
+    profileManager = new ProfileManager({ filePath: path.join(tmpDir, 'profiles.json'), env });
+    client = { get: jest.fn().mockResolvedValue({ data: [] }), post: jest.fn() };
+    createHttpClient = jest.fn().mockReturnValue(client);
+    logger = { debug: jest.fn(), info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should add profiles from options and from the current environment', async () => {
+    await app('add', 'prod', '--n8n-url', 'https://n8n.example.com', '--n8n-api-key-env', 'PROD_KEY').run();
+
+    Object.assign(env, { N8N_URL: 'https://n8n.dev.example.com', N8N_API_KEY: 'dev-key', OUTLINE_URL: 'https://docs.example.com', OUTLINE_API_TOKEN: 'token' });
+    await app('add', 'dev', '--from-env').run();
+
+    expect(profileManager.get('prod')).toEqual({ n8n: { url: 'https://n8n.example.com', apiKeyEnv: 'PROD_KEY' } });
+    expect(profileManager.get('dev')).toEqual({
+      n8n: { url: 'https://n8n.dev.example.com', apiKey: 'dev-key' },
+      outline: { url: 'https://docs.example.com', apiToken: 'token' }
+    });
+  });
+
+  it('should list profiles with masked credentials', async () => {
+    profileManager.add('dev', { n8n: { url: 'https://n8n.dev.example.com', apiKey: 'secret-key-123' } });
+
+    const profiles = await app('list').run();
+
+    expect(profiles).toEqual([{ name: 'dev', n8n: { url: 'https://n8n.dev.example.com', apiKey: '***123' } }]);
+  });
+
+  it('should test N8N and Outline endpoints and fail when a connection fails', async () => {
+    profileManager.add('dev', {
+      n8n: { url: 'https://n8n.dev.example.com', apiKey: 'dev-key' },
+      outline: { url: 'https://docs.example.com', apiToken: 'token' }
+    });
+    client.post.mockResolvedValue({ data: { user: { name: 'Ana' } } });
+
+    const results = await app('test', 'dev').run();
+
+    expect(createHttpClient).toHaveBeenCalledWith(expect.objectContaining({
+      baseUrl: 'https://n8n.dev.example.com',
+      headers: expect.objectContaining({ 'X-N8N-API-KEY': 'dev-key' })
+    }));
+    expect(client.post).toHaveBeenCalledWith('/api/auth.info', {});
+    expect(results.map(result => result.detail)).toEqual(['connected', 'connected as Ana']);
+
+    client.get.mockRejectedValue(Object.assign(new Error('HTTP 401: {"message":"unauthorized"}'), { statusCode: 401 }));
+    await expect(app('test').run()).rejects.toThrow('1 of 2 connection(s) failed');
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('authentication failed (HTTP 401)'));
+  });
+
+  it('should remove profiles and reject unknown ones', async () => {
+    profileManager.add('dev', { n8n: { url: 'https://n8n.dev.example.com' } });
+
+    await expect(app('remove', 'staging').run()).rejects.toThrow('Unknown profile "staging"');
+    await expect(app('rm', 'dev').run()).resolves.toEqual({ removed: ['dev'] });
+    expect(profileManager.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for the secrets command
+ * Tests:
+ * - set (prompted value) / get (masked and revealed) / list / delete
+ * - migrate of .env and profile credentials (dry run and real)
+ * - rotate to a new passphrase
+ * - scan (fails on findings) / scan --redact / restore of a download folder
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecretStore = require('../../src/utils/secret-store');
+const ProfileManager = require('../../src/utils/profile-manager');
+const { SecretsApp } = require('../../src/commands/secrets');
+
+describe('secrets command', () => {
+  let tmpDir;
+  let env;
+  let secretStore;
+  let profileManager;
+  let prompt;
+  let logger;
+
+  const app = (...args) => {
+    const instance = new SecretsApp({ secretStore, profileManager, prompt, env, logger });
+    instance.parseArgs(args);
+    return instance;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-command-'));
+    env = { JANA_SECRETS_PASSPHRASE: 'pass' };
+    secretStore = new SecretStore({ filePath: path.join(tmpDir, 'secrets.enc'), env });
+    profileManager = new ProfileManager({ filePath: path.join(tmpDir, 'profiles.json'), env });
+    prompt = jest.fn().mockResolvedValue('prompted-value');
+    logger = { debug: jest.fn(), info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should set, get, list and delete secrets', async () => {
+    await expect(app('set', 'N8N_API_KEY').run()).resolves.toEqual({ name: 'N8N_API_KEY', reference: 'secret:N8N_API_KEY' });
+    expect(prompt).toHaveBeenCalledWith('Value of N8N_API_KEY:');
+
+    await expect(app('get', 'N8N_API_KEY').run()).resolves.toEqual({ name: 'N8N_API_KEY', value: '***lue' });
+    await expect(app('get', 'N8N_API_KEY', '--reveal').run()).resolves.toEqual({ name: 'N8N_API_KEY', value: 'prompted-value' });
+    await expect(app('ls').run()).resolves.toEqual(['N8N_API_KEY']);
+    await expect(app('rm', 'N8N_API_KEY').run()).resolves.toEqual({ name: 'N8N_API_KEY', deleted: true });
+    await expect(app('get').run()).rejects.toThrow('Missing secret name');
+  });
+
+  it('should migrate plaintext keys of .env and profiles into the store', async () => {
+    const envFile = path.join(tmpDir, '.env');
+    fs.writeFileSync(envFile, [
+      'N8N_URL=https://n8n.example.com',
+      'N8N_API_KEY="n8n-key-123"',
+      'TARGET_N8N_API_KEY=secret:TARGET_N8N_API_KEY',
+      'OUTLINE_API_TOKEN=',
+      ''
+    ].join('\n'));
+    profileManager.add('prod', { n8n: { url: 'https://n8n.prod.example.com', apiKey: 'prod-key' } });
+
+    const dryRun = await app('migrate', '--env-file', envFile, '--dry-run').run();
+    expect(dryRun.moved).toEqual([
+      { source: '.env', name: 'N8N_API_KEY' },
+      { source: 'profile prod', name: 'profile.prod.n8n.apiKey' }
+    ]);
+    expect(secretStore.list()).toEqual([]);
+
+    await app('migrate', '--env-file', envFile).run();
+
+    expect(fs.readFileSync(envFile, 'utf8')).toBe([
+      'N8N_URL=https://n8n.example.com',
+      'N8N_API_KEY=secret:N8N_API_KEY',
+      'TARGET_N8N_API_KEY=secret:TARGET_N8N_API_KEY',
+      'OUTLINE_API_TOKEN=',
+      ''
+    ].join('\n'));
+    expect(new ProfileManager({ filePath: profileManager.filePath, env }).get('prod').n8n.apiKey).toBe('secret:profile.prod.n8n.apiKey');
+    expect(secretStore.get('N8N_API_KEY')).toBe('n8n-key-123');
+    expect(secretStore.get('profile.prod.n8n.apiKey')).toBe('prod-key');
+  });
+
+  it('should rotate the store to a new passphrase', async () => {
+    secretStore.set('N8N_API_KEY', 'n8n-key-123');
+    env.JANA_SECRETS_NEW_PASSPHRASE = 'new-pass';
+
+    await expect(app('rotate', '--new-passphrase').run()).resolves.toEqual({ secrets: 1, keySource: 'passphrase' });
+    expect(new SecretStore({ filePath: secretStore.filePath, passphrase: 'new-pass', env: {} }).get('N8N_API_KEY')).toBe('n8n-key-123');
+  });
+
+  it('should scan, redact and restore a download folder without opening the store', async () => {
+    const dir = path.join(tmpDir, 'workflows');
+    const restoreMap = path.join(tmpDir, 'restore.json');
+    const file = path.join(dir, 'pedidos.json');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(file, JSON.stringify({
+      name: 'Pedidos',
+      nodes: [{ name: 'HTTP', type: 'n8n-nodes-base.httpRequest', parameters: { url: 'https://api.example.com/?api_key=abc123def456' } }]
+    }, null, 2));
+    jest.spyOn(secretStore, 'load');
+
+    await expect(app('scan', dir).run()).rejects.toThrow(`secrets scan found 1 likely secret(s) in ${dir}`);
+    expect(console.log).toHaveBeenCalledWith('   pedidos.json  $.nodes[0].parameters.url (HTTP)  URL query key  *** (12 chars)');
+
+    await expect(app('scan', dir, '--redact', '--restore-map', restoreMap).run()).resolves.toMatchObject({ redaction: { redacted: 1, files: 1 } });
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('abc123def456');
+
+    await expect(app('restore', dir, '--restore-map', restoreMap).run()).resolves.toEqual({ restored: 1, files: 1, missing: [] });
+    expect(fs.readFileSync(file, 'utf8')).toContain('api_key=abc123def456');
+    expect(secretStore.load).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for UploadSnapshotService
+ * Tests:
+ * - Snapshot building (previous versions, created / updated results)
+ * - Persistence (save / load round-trip, missing and invalid files)
+ * - Rollback marker
+ * - Pruning of unreferenced snapshots
+ * - Upload history entry IDs used to reference snapshots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UploadSnapshotService = require('../../src/services/upload-snapshot-service');
+const UploadHistoryService = require('../../src/services/upload-history-service');
+
+describe('UploadSnapshotService', () => {
+  let tmpDir;
+  let snapshots;
+  let mockLogger;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-snapshots-'));
+
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+
+    snapshots = new UploadSnapshotService(mockLogger, tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('begin() / recordResults()', () => {
+    it('should store previous versions and upload results', () => {
+      const snapshot = snapshots.begin({ target: 'https://n8n.example.com', inputDir: '/wf' });
+
+      snapshots.addPreviousVersion({ id: 10, name: 'Sync Orders', nodes: [] });
+      snapshots.recordResults({
+        created: [{ status: 'created', oldId: 'a', newId: 'x', name: 'New', workflow: {} }],
+        updated: [{ status: 'updated', oldId: 'b', newId: 10, name: 'Sync Orders', workflow: {} }],
+        skipped: [],
+        failed: []
+      }, '/wf/_id-mapping.json');
+
+      expect(snapshot.id).toMatch(/^\d{8}-\d{6}-[0-9a-f]{4}$/);
+      expect(snapshot.previous['10'].name).toBe('Sync Orders');
+      expect(snapshot.created).toEqual([{ oldId: 'a', newId: 'x', name: 'New' }]);
+      expect(snapshot.updated).toEqual([{ oldId: 'b', newId: '10', name: 'Sync Orders' }]);
+      expect(snapshot.idMappingFile).toBe('/wf/_id-mapping.json');
+    });
+
+    it('should require begin() before adding data', () => {
+      expect(() => snapshots.addPreviousVersion({ id: '1' })).toThrow('No upload snapshot started');
+    });
+  });
+
+  describe('save() / load()', () => {
+    it('should round-trip a snapshot and its rollback marker', async () => {
+      const { id } = snapshots.begin({ id: 'entry-1', target: 'https://n8n.example.com', inputDir: '/wf' });
+      snapshots.addPreviousVersion({ id: '1', name: 'WF' });
+      snapshots.markRolledBack({ restored: 1, deleted: 0, failed: 0 });
+      await snapshots.save();
+
+      const reloaded = new UploadSnapshotService(mockLogger, tmpDir);
+      const snapshot = await reloaded.load(id);
+
+      expect(snapshot.previous['1'].name).toBe('WF');
+      expect(snapshot.rolledBack).toMatchObject({ restored: 1, deleted: 0, failed: 0 });
+    });
+
+    it('should report missing snapshots', async () => {
+      await expect(snapshots.load('nope')).rejects.toThrow('No pre-upload snapshot found for history entry nope');
+    });
+
+    it('should reject invalid snapshot files', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'bad.json'), '{ nope');
+
+      await expect(snapshots.load('bad')).rejects.toThrow('Invalid upload snapshot');
+    });
+  });
+
+  describe('prune()', () => {
+    it('should delete snapshots not referenced by the history', async () => {
+      for (const id of ['keep', 'drop']) {
+        snapshots.begin({ id, target: 't', inputDir: '/wf' });
+        await snapshots.save();
+      }
+
+      expect(await snapshots.prune(['keep'])).toBe(1);
+      expect(fs.readdirSync(tmpDir)).toEqual(['keep.json']);
+    });
+
+    it('should ignore a missing snapshot directory', async () => {
+      const empty = new UploadSnapshotService(mockLogger, path.join(tmpDir, 'missing'));
+
+      expect(await empty.prune([])).toBe(0);
+    });
+  });
+
+  describe('UploadHistoryService entry IDs', () => {
+    it('should assign IDs, keep snapshot references and find entries by ID', () => {
+      const history = new UploadHistoryService(mockLogger, path.join(tmpDir, '.upload-history.json'));
+
+      const entry = history.addEntry({
+        id: 'entry-1',
+        summary: { total: 1, succeeded: 1, failed: 0, folder: 'jana' },
+        details: '1/1 workflows uploaded',
+        snapshot: 'entry-1'
+      });
+      const generated = history.addEntry({
+        action: 'rollback',
+        summary: { total: 1, succeeded: 1, failed: 0, folder: 'jana' },
+        details: 'Rolled back upload entry-1'
+      });
+
+      expect(entry.snapshot).toBe('entry-1');
+      expect(generated.id).toMatch(/^\d{8}-\d{6}-[0-9a-f]{4}$/);
+      expect(history.getEntryById('entry-1')).toBe(entry);
+      expect(history.formatLastN(2)).toContain('jana: 1/1 workflows uploaded #entry-1');
+      expect(history.formatLastN(2)).toContain('jana: 1/1 workflows reverted');
+    });
+  });
+});
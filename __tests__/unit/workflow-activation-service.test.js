@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for WorkflowActivationService
+ * Tests:
+ * - preserve / all / none policies
+ * - Workflows without a trigger node are not activated
+ * - Webhook collisions with active target workflows and within the run
+ * - Activation failures are collected, dry-run calls nothing
+ */
+
+const WorkflowActivationService = require('../../src/services/workflow-activation-service');
+
+describe('WorkflowActivationService', () => {
+  let logger;
+  let activation;
+  let client;
+
+  const webhook = (path, extra = {}) => ({ name: 'Webhook', type: 'n8n-nodes-base.webhook', parameters: { path, ...extra } });
+  const schedule = { name: 'Schedule', type: 'n8n-nodes-base.scheduleTrigger', parameters: {} };
+
+  const item = (name, nodes, { source = false, current = false } = {}) => ({
+    name,
+    targetId: `t-${name}`,
+    workflow: { name, active: source, nodes },
+    active: current
+  });
+
+  beforeEach(() => {
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    activation = new WorkflowActivationService(logger);
+    client = {
+      activateWorkflow: jest.fn().mockResolvedValue({}),
+      deactivateWorkflow: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  it('should apply the preserve, all and none policies', async () => {
+    const items = [
+      item('Pedidos', [schedule], { source: true }),
+      item('Clientes', [schedule], { source: false, current: true }),
+      item('Relatório', [schedule], { source: true, current: true })
+    ];
+
+    const preserve = await activation.apply(items, 'preserve', [], client);
+    expect(preserve).toMatchObject({ activated: ['Pedidos'], deactivated: ['Clientes'], unchanged: 1, failed: [] });
+
+    const all = activation.plan(items, 'all');
+    expect(all.activate.map(i => i.name)).toEqual(['Pedidos']);
+    expect(all.deactivate).toEqual([]);
+    expect(all.unchanged).toBe(2);
+
+    const none = activation.plan(items, 'none');
+    expect(none.deactivate.map(i => i.name)).toEqual(['Clientes', 'Relatório']);
+
+    expect(() => activation.plan(items, 'sometimes')).toThrow('Unknown activation policy "sometimes"');
+  });
+
+  it('should skip workflows without a trigger node', () => {
+    const manual = { name: 'Manual', type: 'n8n-nodes-base.manualTrigger', parameters: {} };
+    const disabled = { ...schedule, disabled: true };
+
+    const decisions = activation.plan([item('Manual', [manual]), item('Desligado', [disabled])], 'all');
+
+    expect(decisions.activate).toEqual([]);
+    expect(decisions.skipped).toEqual([
+      { name: 'Manual', reason: 'No trigger node to activate' },
+      { name: 'Desligado', reason: 'No trigger node to activate' }
+    ]);
+  });
+
+  it('should extract webhook routes, leaving expression paths out', () => {
+    const workflow = {
+      nodes: [
+        webhook('/orders/', { httpMethod: ['post', 'PUT'] }),
+        { name: 'Form', type: 'n8n-nodes-base.formTrigger', parameters: { path: 'signup' } },
+        { name: 'Dynamic', type: 'n8n-nodes-base.webhook', parameters: { path: '={{ $env.PATH }}' } },
+        { name: 'Slack', type: 'n8n-nodes-base.slackTrigger', webhookId: 'abc-123', parameters: {} }
+      ]
+    };
+
+    expect(activation.webhookRoutes(workflow).map(route => route.key)).toEqual([
+      'POST webhook/orders', 'PUT webhook/orders', 'GET form/signup', 'POST form/signup', 'webhookId abc-123'
+    ]);
+  });
+
+  it('should leave workflows inactive when their webhook is used by an active workflow', async () => {
+    const targetWorkflows = [
+      { id: 't-9', name: 'Legado', active: true, nodes: [webhook('orders')] },
+      { id: 't-8', name: 'Inativo', active: false, nodes: [webhook('customers')] }
+    ];
+    const items = [
+      item('Pedidos', [webhook('orders')], { source: true }),
+      item('Clientes', [webhook('customers')], { source: true }),
+      item('Clientes (cópia)', [webhook('/customers')], { source: true })
+    ];
+
+    const report = await activation.apply(items, 'preserve', targetWorkflows, client);
+
+    expect(report.activated).toEqual(['Clientes']);
+    expect(report.collisions).toEqual([
+      { name: 'Pedidos', node: 'Webhook', method: 'GET', path: 'orders', conflictsWith: 'Legado' },
+      { name: 'Clientes (cópia)', node: 'Webhook', method: 'GET', path: 'customers', conflictsWith: 'Clientes' }
+    ]);
+    expect(client.activateWorkflow.mock.calls).toEqual([['t-Clientes']]);
+  });
+
+  it('should report activation failures without stopping', async () => {
+    client.activateWorkflow
+      .mockRejectedValueOnce(new Error('Workflow has issues'))
+      .mockResolvedValueOnce({});
+    const items = [item('Pedidos', [schedule], { source: true }), item('Clientes', [schedule], { source: true })];
+
+    const report = await activation.apply(items, 'preserve', [], client);
+
+    expect(report.activated).toEqual(['Clientes']);
+    expect(report.failed).toEqual([{ name: 'Pedidos', action: 'activate', error: 'Workflow has issues' }]);
+  });
+
+  it('should only report what would be done in dry-run', async () => {
+    const items = [item('Pedidos', [schedule], { source: true }), item('Clientes', [schedule], { current: true })];
+
+    const report = await activation.apply(items, 'preserve', [], client, { dryRun: true });
+
+    expect(report).toMatchObject({ activated: ['Pedidos'], deactivated: ['Clientes'], simulated: true });
+    expect(client.activateWorkflow).not.toHaveBeenCalled();
+    expect(client.deactivateWorkflow).not.toHaveBeenCalled();
+  });
+});
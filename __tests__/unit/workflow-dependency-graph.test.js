@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for WorkflowDependencyGraph
+ * Tests:
+ * - Reference extraction (executeWorkflow, toolWorkflow, expressions)
+ * - Topological order and dependency levels (callees first)
+ * - Cycle detection and cycle report
+ * - Dangling references and JSON export
+ * - Mermaid / DOT / HTML exports (layer groups, active state, dangling references)
+ */
+
+const WorkflowDependencyGraph = require('../../src/services/workflow-dependency-graph');
+
+describe('WorkflowDependencyGraph', () => {
+  let mockLogger;
+
+  const call = (name, workflowId, type = 'n8n-nodes-base.executeWorkflow') => ({
+    name,
+    type,
+    parameters: { workflowId }
+  });
+
+  const workflow = (id, ...nodes) => ({ id, name: `WF ${id}`, nodes, connections: {} });
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+  });
+
+  describe('extractReferences()', () => {
+    it('should read object and string workflow IDs and skip expressions', () => {
+      const references = WorkflowDependencyGraph.extractReferences(workflow('a',
+        call('Call B', { __rl: true, mode: 'list', value: 'b' }),
+        call('Tool C', 'c', '@n8n/n8n-nodes-langchain.toolWorkflow'),
+        call('Dynamic', { __rl: true, mode: 'id', value: '={{ $json.target }}' }),
+        { name: 'HTTP', type: 'n8n-nodes-base.httpRequest', parameters: { workflowId: 'x' } }
+      ));
+
+      expect(references).toEqual([
+        { nodeName: 'Call B', nodeType: 'n8n-nodes-base.executeWorkflow', workflowId: 'b' },
+        { nodeName: 'Tool C', nodeType: '@n8n/n8n-nodes-langchain.toolWorkflow', workflowId: 'c' }
+      ]);
+    });
+  });
+
+  describe('build()', () => {
+    it('should order callees before callers and group them by level', () => {
+      const workflows = [
+        workflow('main', call('Call Orders', { value: 'orders' }), call('Call Notify', { value: 'notify' })),
+        workflow('orders', call('Call Notify', { value: 'notify' })),
+        workflow('notify'),
+        workflow('standalone')
+      ];
+
+      const graph = new WorkflowDependencyGraph(mockLogger).build(workflows);
+
+      expect(graph.getOrder()).toEqual(['notify', 'standalone', 'orders', 'main']);
+      expect(graph.getLevels()).toEqual([['notify', 'standalone'], ['orders'], ['main']]);
+      expect(graph.getCycles()).toEqual([]);
+      expect(graph.formatCycleReport()).toBe('');
+      expect(graph.sortWorkflows(workflows).map(wf => wf.id)).toEqual(['notify', 'standalone', 'orders', 'main']);
+    });
+
+    it('should detect cycles and self-calls and keep their callees first', () => {
+      const graph = new WorkflowDependencyGraph(mockLogger).build([
+        workflow('a', call('Call B', { value: 'b' })),
+        workflow('b', call('Call A', { value: 'a' }), call('Call Leaf', { value: 'leaf' })),
+        workflow('leaf'),
+        workflow('loop', call('Retry', 'loop'))
+      ]);
+
+      expect(graph.getCycles()).toEqual([['a', 'b'], ['loop']]);
+      expect(graph.getOrder()).toEqual(['leaf', 'loop', 'a', 'b']);
+      expect(graph.isInCycle('b')).toBe(true);
+      expect(graph.isInCycle('leaf')).toBe(false);
+
+      const report = graph.formatCycleReport();
+      expect(report).toContain('2 workflow reference cycle(s) found');
+      expect(report).toContain('1. WF a (a) → WF b (b) → WF a (a)');
+      expect(report).toContain('2. WF loop (loop) → WF loop (loop)');
+    });
+  });
+
+  describe('toJSON()', () => {
+    it('should export workflows, edges, dangling references and order', () => {
+      const graph = new WorkflowDependencyGraph(mockLogger).build([
+        workflow('a', call('Call B', { value: 'b' }), call('Call B again', { value: 'b' }), call('Legacy', 'gone')),
+        workflow('b')
+      ]);
+
+      expect(JSON.parse(JSON.stringify(graph))).toEqual({
+        workflows: [
+          { id: 'a', name: 'WF a', active: null, layer: null, level: 1, calls: ['b'], calledBy: [] },
+          { id: 'b', name: 'WF b', active: null, layer: null, level: 0, calls: [], calledBy: ['a'] }
+        ],
+        edges: [{ from: 'a', to: 'b', nodes: ['Call B', 'Call B again'] }],
+        dangling: [{ from: 'a', to: 'gone', nodes: ['Legacy'] }],
+        order: ['b', 'a'],
+        levels: [['b'], ['a']],
+        cycles: []
+      });
+    });
+  });
+
+  describe('format()', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new WorkflowDependencyGraph(mockLogger).build([
+        { ...workflow('main', call('Call Bridge', { value: 'bridge' }), call('Old', 'deleted')), active: true, tags: [{ name: '(D) Agentes' }] },
+        { ...workflow('bridge'), name: 'Bridge "v2"', active: false, tags: ['jana', '(A) Pontes'] },
+        workflow('untagged')
+      ]);
+    });
+
+    it('should export Mermaid grouped by layer with dangling references highlighted', () => {
+      const mermaid = graph.format('mermaid');
+
+      expect(mermaid).toMatch(/^flowchart LR/);
+      expect(mermaid).toContain('subgraph layer_A["(A) Pontes"]');
+      expect(mermaid).toContain('subgraph layer_none["No layer"]');
+      expect(mermaid.indexOf('layer_A')).toBeLessThan(mermaid.indexOf('layer_D'));
+      expect(mermaid).toContain('wf1["Bridge #quot;v2#quot;"]');
+      expect(mermaid).toContain('wf0 --> wf1');
+      expect(mermaid).toContain('wf0 -.-> missing0');
+      expect(mermaid).toContain('missing0["missing: deleted"]');
+      expect(mermaid).toContain('class wf0 active');
+      expect(mermaid).toContain('class wf1,wf2 inactive');
+      expect(mermaid).toContain('linkStyle 1 stroke:#dc3545');
+    });
+
+    it('should export Graphviz DOT clusters', () => {
+      const dot = graph.format('dot');
+
+      expect(dot).toMatch(/^digraph workflows \{/);
+      expect(dot).toContain('subgraph "cluster_D" {');
+      expect(dot).toContain('"bridge" [label="Bridge \\"v2\\"", fillcolor="#eeeeee"');
+      expect(dot).toContain('"main" -> "bridge"');
+      expect(dot).toContain('"main" -> "missing:deleted" [color="#dc3545", style=dashed');
+    });
+
+    it('should export a self-contained HTML page', () => {
+      const html = graph.format('html');
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).not.toMatch(/<script|<link/);
+      expect(html).toContain('<svg');
+      expect(html).toContain('Bridge &quot;v2&quot;');
+      expect(html).toContain('class="workflow dangling"');
+      expect(html).toContain('<h2>Dangling references</h2>');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => graph.format('png')).toThrow('Unsupported graph format "png"');
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Unit Tests for WorkflowDiffService
+ * Tests:
+ * - Node matching by id (reorder and rename are not add/remove)
+ * - Parameter changes per path
+ * - Connection rewiring
+ * - Credential and settings changes
+ * - Collection diff (snapshot directories)
+ * - Text / JSON / Markdown output
+ */
+
+const WorkflowDiffService = require('../../src/services/workflow-diff-service');
+
+describe('WorkflowDiffService', () => {
+  let differ;
+  let mockLogger;
+
+  const buildWorkflow = (overrides = {}) => ({
+    id: 'wf1',
+    name: 'Sync Orders',
+    active: false,
+    nodes: [
+      {
+        id: 'n1',
+        name: 'Webhook',
+        type: 'n8n-nodes-base.webhook',
+        typeVersion: 1,
+        position: [0, 0],
+        parameters: { path: 'orders' }
+      },
+      {
+        id: 'n2',
+        name: 'HTTP Request',
+        type: 'n8n-nodes-base.httpRequest',
+        typeVersion: 4,
+        position: [200, 0],
+        parameters: { url: 'https://api.example.com', options: { timeout: 1000 } },
+        credentials: { httpHeaderAuth: { id: '10', name: 'API Key' } }
+      },
+      {
+        id: 'n3',
+        name: 'Notify',
+        type: 'n8n-nodes-base.slack',
+        typeVersion: 2,
+        position: [400, 0],
+        parameters: { channel: '#ops' }
+      }
+    ],
+    connections: {
+      Webhook: { main: [[{ node: 'HTTP Request', type: 'main', index: 0 }]] },
+      'HTTP Request': { main: [[{ node: 'Notify', type: 'main', index: 0 }]] }
+    },
+    settings: { executionOrder: 'v1' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+
+    differ = new WorkflowDiffService(mockLogger);
+  });
+
+  describe('diff()', () => {
+    it('should report identical workflows', () => {
+      const diff = differ.diff(buildWorkflow(), buildWorkflow());
+
+      expect(diff.identical).toBe(true);
+      expect(diff.summary.nodesModified).toBe(0);
+    });
+
+    it('should match nodes by id regardless of array position', () => {
+      const head = buildWorkflow();
+      head.nodes.reverse();
+
+      expect(differ.diff(buildWorkflow(), head).identical).toBe(true);
+    });
+
+    it('should report added and removed nodes', () => {
+      const head = buildWorkflow();
+      head.nodes = head.nodes.filter(node => node.id !== 'n3');
+      head.nodes.push({ id: 'n4', name: 'Email', type: 'n8n-nodes-base.emailSend', parameters: {} });
+
+      const diff = differ.diff(buildWorkflow(), head);
+
+      expect(diff.nodes.added).toEqual([{ id: 'n4', name: 'Email', type: 'n8n-nodes-base.emailSend' }]);
+      expect(diff.nodes.removed).toEqual([{ id: 'n3', name: 'Notify', type: 'n8n-nodes-base.slack' }]);
+    });
+
+    it('should report parameter changes by path', () => {
+      const head = buildWorkflow();
+      head.nodes[1].parameters.options.timeout = 5000;
+      head.nodes[1].parameters.method = 'POST';
+
+      const diff = differ.diff(buildWorkflow(), head);
+
+      expect(diff.nodes.modified).toHaveLength(1);
+      expect(diff.nodes.modified[0].changes).toEqual([
+        { path: 'parameters.options.timeout', change: 'changed', before: 1000, after: 5000 },
+        { path: 'parameters.method', change: 'added', before: null, after: 'POST' }
+      ]);
+    });
+
+    it('should treat a renamed node as modified, not rewired', () => {
+      const head = buildWorkflow();
+      head.nodes[2].name = 'Notify Team';
+      head.connections['HTTP Request'].main[0][0].node = 'Notify Team';
+
+      const diff = differ.diff(buildWorkflow(), head);
+
+      expect(diff.nodes.modified[0]).toMatchObject({ id: 'n3', name: 'Notify Team', renamedFrom: 'Notify' });
+      expect(diff.connections.added).toEqual([]);
+      expect(diff.connections.removed).toEqual([]);
+    });
+
+    it('should ignore position changes unless requested', () => {
+      const head = buildWorkflow();
+      head.nodes[0].position = [50, 50];
+
+      expect(differ.diff(buildWorkflow(), head).identical).toBe(true);
+
+      const withPosition = new WorkflowDiffService(mockLogger, { includePosition: true });
+      expect(withPosition.diff(buildWorkflow(), head).nodes.modified[0].changes.map(c => c.path))
+        .toEqual(['position[0]', 'position[1]']);
+    });
+
+    it('should report rewired connections', () => {
+      const head = buildWorkflow();
+      head.connections.Webhook.main[0] = [{ node: 'Notify', type: 'main', index: 0 }];
+
+      const diff = differ.diff(buildWorkflow(), head);
+
+      expect(diff.connections.added).toEqual([{ from: 'Webhook', to: 'Notify', type: 'main', output: 0, input: 0 }]);
+      expect(diff.connections.removed).toEqual([{ from: 'Webhook', to: 'HTTP Request', type: 'main', output: 0, input: 0 }]);
+    });
+
+    it('should report credential changes separately from parameters', () => {
+      const head = buildWorkflow();
+      head.nodes[1].credentials.httpHeaderAuth = { id: '20', name: 'Prod API Key' };
+
+      const diff = differ.diff(buildWorkflow(), head);
+
+      expect(diff.nodes.modified).toEqual([]);
+      expect(diff.credentials).toEqual([{
+        nodeId: 'n2',
+        node: 'HTTP Request',
+        type: 'httpHeaderAuth',
+        change: 'changed',
+        before: 'API Key (10)',
+        after: 'Prod API Key (20)'
+      }]);
+    });
+
+    it('should report settings and workflow property changes', () => {
+      const diff = differ.diff(
+        buildWorkflow(),
+        buildWorkflow({ active: true, settings: { executionOrder: 'v1', timezone: 'America/Sao_Paulo' } })
+      );
+
+      expect(diff.workflow).toEqual([{ path: 'active', change: 'changed', before: false, after: true }]);
+      expect(diff.settings).toEqual([
+        { path: 'settings.timezone', change: 'added', before: null, after: 'America/Sao_Paulo' }
+      ]);
+    });
+
+    it('should fall back to node names for exports without node ids', () => {
+      const strip = wf => ({
+        ...wf,
+        nodes: wf.nodes.map(node => {
+          const copy = { ...node };
+          delete copy.id;
+          return copy;
+        })
+      });
+      const head = strip(buildWorkflow());
+      head.nodes[0].parameters.path = 'orders-v2';
+
+      const diff = differ.diff(strip(buildWorkflow()), head);
+
+      expect(diff.nodes.modified).toHaveLength(1);
+      expect(diff.nodes.modified[0].name).toBe('Webhook');
+    });
+  });
+
+  describe('diffCollections()', () => {
+    it('should match workflows by id, then by name', () => {
+      const changed = buildWorkflow({ id: 'other-id', settings: { executionOrder: 'v0' } });
+
+      const result = differ.diffCollections(
+        [buildWorkflow(), buildWorkflow({ id: 'wf2', name: 'Legacy' }), buildWorkflow({ id: 'wf3', name: 'Same' })],
+        [changed, buildWorkflow({ id: 'wf3', name: 'Same' }), buildWorkflow({ id: 'wf4', name: 'New' })]
+      );
+
+      expect(result.changed.map(d => d.head.id)).toEqual(['other-id']);
+      expect(result.unchanged).toEqual([{ id: 'wf3', name: 'Same' }]);
+      expect(result.added).toEqual([{ id: 'wf4', name: 'New' }]);
+      expect(result.removed).toEqual([{ id: 'wf2', name: 'Legacy' }]);
+    });
+  });
+
+  describe('format()', () => {
+    let diff;
+
+    beforeEach(() => {
+      const head = buildWorkflow();
+      head.nodes[1].parameters.options.timeout = 5000;
+      head.nodes.push({ id: 'n4', name: 'Email | Alert', type: 'n8n-nodes-base.emailSend', parameters: {} });
+      diff = differ.diff(buildWorkflow(), head);
+    });
+
+    it('should render terminal text', () => {
+      const text = differ.format(diff);
+
+      expect(text).toContain('Workflow: Sync Orders (wf1)');
+      expect(text).toContain('+ Email | Alert (n8n-nodes-base.emailSend)');
+      expect(text).toContain('parameters.options.timeout: 1000 → 5000');
+    });
+
+    it('should render Markdown with escaped table cells', () => {
+      const markdown = differ.format(diff, 'markdown');
+
+      expect(markdown).toContain('## Sync Orders (wf1)');
+      expect(markdown).toContain('| ➕ Added | Email \\| Alert | `n8n-nodes-base.emailSend` |');
+      expect(markdown).toContain('| `parameters.options.timeout` | 1000 | 5000 |');
+    });
+
+    it('should render JSON', () => {
+      expect(JSON.parse(differ.format(diff, 'json')).summary.nodesAdded).toBe(1);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => differ.format(diff, 'html')).toThrow('Unsupported diff format');
+    });
+  });
+});
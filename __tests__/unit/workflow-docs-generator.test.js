@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for WorkflowDocsGenerator and docs:generate
+ * Tests:
+ * - Workflow page: summary, sticky notes, trigger, nodes, credentials, layer
+ * - Calls / Called by links relative to the download layout
+ * - Index grouped by folder or tag
+ * - docs:generate writes the pages next to each other like the download
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowDocsGenerator = require('../../src/services/workflow-docs-generator');
+const { DocsGenerateApp } = require('../../src/commands/docs-generate');
+
+describe('WorkflowDocsGenerator', () => {
+  let generator;
+
+  const pedidos = {
+    id: '1',
+    name: '[Jana] (B) Pedidos (JAN-PED-001)',
+    active: true,
+    tags: [{ name: '(B) Negócio' }, { name: 'production' }],
+    nodes: [
+      { name: 'Detalhes', type: 'n8n-nodes-base.stickyNote', position: [0, 400], parameters: { content: '## Detalhes\nChama o cadastro.' } },
+      { name: 'Sobre', type: 'n8n-nodes-base.stickyNote', position: [0, 0], parameters: { content: '# Pedidos\nRecebe pedidos da loja.' } },
+      { name: 'Webhook', type: 'n8n-nodes-base.webhook', parameters: { httpMethod: 'POST', path: 'pedidos' }, webhookId: 'abc' },
+      {
+        name: 'Salvar',
+        type: 'n8n-nodes-base.postgres',
+        notes: 'Tabela pedidos | histórico',
+        credentials: { postgres: { id: '7', name: 'Postgres Produção' } }
+      },
+      { name: 'Debug', type: 'n8n-nodes-base.noOp', disabled: true },
+      { name: 'Cadastro', type: 'n8n-nodes-base.executeWorkflow', parameters: { workflowId: '2' } },
+      { name: 'Legado', type: 'n8n-nodes-base.executeWorkflow', parameters: { workflowId: '99' } }
+    ]
+  };
+  const cadastro = {
+    id: '2',
+    name: '[Jana] (C) Cadastro (JAN-CAD-001)',
+    tags: [{ name: '(C) Dados' }],
+    nodes: [
+      { name: 'Start', type: 'n8n-nodes-base.executeWorkflowTrigger' },
+      { name: 'Salvar', type: 'n8n-nodes-base.postgres', credentials: { postgres: { id: '7', name: 'Postgres Produção' } } }
+    ]
+  };
+  const utilitario = { id: '3', name: 'Utilitário', nodes: [{ name: 'Set', type: 'n8n-nodes-base.set' }] };
+  const entries = [
+    { workflow: pedidos, file: '(B) Negócio/[Jana] (B) Pedidos (JAN-PED-001).json' },
+    { workflow: cadastro, file: '(C) Dados/[Jana] (C) Cadastro (JAN-CAD-001).json' },
+    { workflow: utilitario, file: 'no-tag/Utilitário.json' }
+  ];
+
+  beforeEach(() => {
+    generator = new WorkflowDocsGenerator();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should document a workflow from its sticky notes, trigger, nodes and credentials', () => {
+    const { pages } = generator.generate(entries);
+    const page = pages[0].content;
+
+    expect(pages.map(candidate => candidate.file)).toEqual([
+      '(B) Negócio/[Jana] (B) Pedidos (JAN-PED-001).md',
+      '(C) Dados/[Jana] (C) Cadastro (JAN-CAD-001).md',
+      'no-tag/Utilitário.md'
+    ]);
+    expect(page).toMatch(/^# \[Jana\] \(B\) Pedidos \(JAN-PED-001\)\n/);
+    expect(page).toContain('| Layer | (B) Negócio |');
+    expect(page).toContain('| Tags | (B) Negócio, production |');
+    expect(page).toContain('| Active | Yes |');
+    expect(page).toContain('| Trigger | webhook: POST /webhook/pedidos (Webhook) |');
+    // Same path under /form/: not the same route as the webhook
+    expect(generator.triggersOf({ nodes: [{ name: 'Form', type: 'n8n-nodes-base.formTrigger', parameters: { path: 'pedidos' } }] })[0].detail)
+      .toBe('GET /form/pedidos, POST /form/pedidos');
+    // Sticky notes top to bottom, headings under "## Description"
+    expect(page).toContain('## Description\n\n### Pedidos\nRecebe pedidos da loja.\n\n#### Detalhes\nChama o cadastro.\n');
+    expect(page).toContain('## Nodes (5)');
+    expect(page).toContain('| Salvar | `postgres` | Tabela pedidos \\| histórico |');
+    expect(page).toContain('| Debug | `noOp` | **disabled** |');
+    expect(page).not.toContain('| Sobre |');
+    expect(page).toContain('| Postgres Produção | `postgres` | Salvar |');
+
+    expect(pages[2].content).toContain('| Trigger | None (called by other workflows or run manually) |');
+    expect(pages[2].content).toContain('_No sticky notes in this workflow._');
+    expect(pages[2].content).toContain('_No credentials._');
+  });
+
+  it('should link callers and callees relative to each page', () => {
+    const { pages } = generator.generate(entries);
+
+    expect(pages[0].content).toContain(
+      '## Calls\n\n' +
+      '- [[Jana] (C) Cadastro (JAN-CAD-001)](../(C)%20Dados/%5BJana%5D%20(C)%20Cadastro%20(JAN-CAD-001).md) (Cadastro)\n' +
+      '- Workflow `99`, not in this folder (Legado)\n'
+    );
+    expect(pages[1].content).toContain(
+      '## Called by\n\n- [[Jana] (B) Pedidos (JAN-PED-001)](../(B)%20Neg%C3%B3cio/%5BJana%5D%20(B)%20Pedidos%20(JAN-PED-001).md) (Cadastro)\n'
+    );
+    expect(pages[2].content).toContain('_Calls no other workflow._');
+    expect(pages[2].content).toContain('_Not called by other workflows of this folder._');
+  });
+
+  it('should group the index by folder or by tag', () => {
+    const byFolder = generator.generate(entries).index;
+    expect(byFolder.file).toBe('index.md');
+    expect(byFolder.content.match(/^## .+$/gm)).toEqual(['## (B) Negócio', '## (C) Dados', '## no-tag']);
+    expect(byFolder.content).toContain(
+      '| [[Jana] (B) Pedidos (JAN-PED-001)]((B)%20Neg%C3%B3cio/%5BJana%5D%20(B)%20Pedidos%20(JAN-PED-001).md) | webhook | Yes | 5 | 1 | 0 |'
+    );
+
+    const byTag = generator.generate(entries, { groupBy: 'tag' }).index;
+    expect(byTag.content.match(/^## .+$/gm)).toEqual(['## (B) Negócio', '## (C) Dados', '## no-tag', '## production']);
+
+    expect(() => generator.generate(entries, { groupBy: 'layer' })).toThrow('Unknown grouping: layer');
+  });
+
+  it('should write the pages and the index with docs:generate', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-generate-'));
+    try {
+      for (const entry of entries) {
+        fs.mkdirSync(path.join(tmpDir, 'workflows', path.dirname(entry.file)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, 'workflows', entry.file), JSON.stringify(entry.workflow, null, 2));
+      }
+      fs.writeFileSync(path.join(tmpDir, 'workflows', '_download-manifest.json'), JSON.stringify({ nodes: [] }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const app = new DocsGenerateApp();
+      app.parseArgs(['--input', path.join(tmpDir, 'workflows'), '--output', path.join(tmpDir, 'docs'), '--group-by', 'tag']);
+      const result = await app.run();
+
+      expect(result.workflows).toBe(3);
+      expect(result.files.sort()).toEqual([
+        '(B) Negócio/[Jana] (B) Pedidos (JAN-PED-001).md',
+        '(C) Dados/[Jana] (C) Cadastro (JAN-CAD-001).md',
+        'index.md',
+        'no-tag/Utilitário.md'
+      ]);
+      expect(fs.readFileSync(path.join(tmpDir, 'docs', 'index.md'), 'utf8')).toContain('## production');
+
+      const missing = new DocsGenerateApp();
+      missing.parseArgs(['--input', path.join(tmpDir, 'nope')]);
+      await expect(missing.run()).rejects.toThrow('Input directory does not exist');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
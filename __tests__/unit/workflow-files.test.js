@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for WorkflowFiles
+ * Tests:
+ * - Files skipped by every command (_ files, .git, non-workflows, invalid JSON)
+ * - Custom validation (n8n:upload requires an ID and a name)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowFiles = require('../../src/utils/workflow-files');
+const { N8nUploadApp } = require('../../src/commands/n8n-upload');
+
+describe('WorkflowFiles', () => {
+  let tmpDir;
+  let logger;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-files-'));
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn() };
+
+    write('B/pedidos.json', { id: '1', name: 'Pedidos', nodes: [] });
+    write('clientes.json', { id: '2', nodes: [] });
+    write('_id-mapping.json', { nodes: [] });
+    write('.git/objects.json', { id: '3', name: 'Git', nodes: [] });
+    write('package.json', { name: 'not-a-workflow' });
+    write('broken.json', '{');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should load the workflows of a directory tree with their relative path', () => {
+    const entries = WorkflowFiles.load(tmpDir, { logger });
+
+    expect(entries.map(entry => entry.file).sort()).toEqual(['B/pedidos.json', 'clientes.json']);
+    expect(logger.warn).toHaveBeenCalledWith('⚠️  Skipping package.json: missing nodes');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^⚠️ {2}Skipping broken\.json: /));
+    expect(() => WorkflowFiles.load(path.join(tmpDir, 'missing'))).toThrow('Input directory does not exist');
+    expect(() => WorkflowFiles.read(path.join(tmpDir, 'package.json'))).toThrow('Not a workflow file (missing nodes)');
+  });
+
+  it('should apply the n8n:upload checks and keep the source folder', () => {
+    const app = new N8nUploadApp(['node', 'cli.js']);
+    app.logger = logger;
+    app.validateAndResolveInputDir = () => tmpDir;
+
+    const workflows = app.loadWorkflowFiles();
+
+    expect(workflows).toEqual([expect.objectContaining({ id: '1', file: 'pedidos.json', filePath: 'B/pedidos.json', sourceFolder: 'B' })]);
+    expect(logger.warn).toHaveBeenCalledWith('⚠️  Skipping clientes.json: missing workflow name');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for WorkflowLintService and WebhookCollisionService
+ * Tests:
+ * - webhook-collision rule: local files, target instance, layers, /webhook/ vs /form/ routes
+ * - Severity (inactive target workflows are warnings)
+ * - Unknown rules, text output
+ * - n8n:lint reads a download folder offline
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowLintService = require('../../src/services/workflow-lint-service');
+const WebhookCollisionService = require('../../src/services/webhook-collision-service');
+const { N8nLintApp } = require('../../src/commands/n8n-lint');
+
+describe('WorkflowLintService', () => {
+  let logger;
+  let linter;
+
+  const webhook = (name, path, extra = {}) => ({ name, type: 'n8n-nodes-base.webhook', parameters: { path, ...extra } });
+  const entry = (id, name, nodes, file = `${id}.json`) => ({ workflow: { id, name, nodes }, file });
+
+  beforeEach(() => {
+    logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    linter = new WorkflowLintService(logger);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report the same webhook path under different names across layers', () => {
+    const result = linter.lint([
+      entry('1', '[Jana] (B) Pedidos', [webhook('Webhook', 'orders')], 'B/pedidos.json'),
+      entry('2', '[Jana] (C) Pedidos v2', [webhook('Hook', '/orders/')], 'C/pedidos-v2.json'),
+      entry('3', '[Jana] (B) Clientes', [webhook('Webhook', 'orders', { httpMethod: 'POST' })])
+    ], { rules: ['webhook-collision'] });
+
+    expect(result).toMatchObject({ workflows: 3, errors: 1, warnings: 0 });
+    expect(result.findings).toEqual([{
+      rule: 'webhook-collision',
+      severity: 'error',
+      message: 'GET /orders: "[Jana] (B) Pedidos" (Webhook), "[Jana] (C) Pedidos v2" (Hook)',
+      workflows: [
+        { name: '[Jana] (B) Pedidos', file: 'B/pedidos.json' },
+        { name: '[Jana] (C) Pedidos v2', file: 'C/pedidos-v2.json' }
+      ]
+    }]);
+  });
+
+  it('should compare with target workflows, ignoring the ones the upload replaces', () => {
+    const entries = [entry('1', 'Pedidos', [webhook('Webhook', 'orders')]), entry('2', 'Clientes', [webhook('Webhook', 'customers')])];
+    const targetWorkflows = [
+      { id: 't-1', name: 'Pedidos', active: true, nodes: [webhook('Webhook', 'orders')] },
+      { id: 't-2', name: 'Clientes antigo', active: false, nodes: [webhook('Webhook', 'customers')] },
+      { id: 't-3', name: 'Slack', active: true, nodes: [{ name: 'Slack', type: 'n8n-nodes-base.slackTrigger', webhookId: 'abc' }] }
+    ];
+
+    const result = linter.lint(entries, { targetWorkflows, rules: ['webhook-collision'] });
+
+    expect(result).toMatchObject({ errors: 0, warnings: 1 });
+    expect(result.findings[0]).toMatchObject({
+      severity: 'warning',
+      message: 'GET /customers: "Clientes" (Webhook), "Clientes antigo" (Webhook, target, inactive)',
+      workflows: [{ name: 'Clientes', file: '2.json' }, { name: 'Clientes antigo', file: null }]
+    });
+  });
+
+  it('should report copies sharing the webhookId of a trigger', () => {
+    const slack = (id, name) => ({ id, name, nodes: [{ name: 'Slack', type: 'n8n-nodes-base.slackTrigger', webhookId: 'abc-123' }] });
+
+    const collisions = new WebhookCollisionService().findCollisions([slack('1', 'Alertas'), slack('2', 'Alertas (cópia)')]);
+
+    expect(collisions).toHaveLength(1);
+    expect(new WebhookCollisionService().describe(collisions[0]))
+      .toBe('webhookId abc-123: "Alertas" (Slack), "Alertas (cópia)" (Slack)');
+  });
+
+  it('should not mix up a Webhook and a Form Trigger with the same path', () => {
+    const form = (id, name) => ({ id, name, nodes: [{ name: 'Form', type: 'n8n-nodes-base.formTrigger', parameters: { path: 'signup' } }] });
+    const detector = new WebhookCollisionService();
+
+    expect(detector.findCollisions([entry('1', 'Webhook', [webhook('Webhook', 'signup')]).workflow, form('2', 'Cadastro')])).toEqual([]);
+    expect(detector.findCollisions([form('2', 'Cadastro'), form('3', 'Cadastro v2')]).map(collision => collision.key))
+      .toEqual(['GET form/signup', 'POST form/signup']);
+  });
+
+  it('should reject unknown rules and format the result as text', () => {
+    expect(() => linter.lint([], { rules: ['no-such-rule'] })).toThrow('Unknown lint rule(s): no-such-rule');
+
+    const result = linter.lint([
+      entry('1', 'A', [webhook('Webhook', 'orders')], 'a.json'),
+      entry('2', 'B', [webhook('Webhook', 'orders')], 'b.json')
+    ], { rules: ['webhook-collision'] });
+    expect(linter.format(result)).toBe([
+      '✖ error   webhook-collision  GET /orders: "A" (Webhook), "B" (Webhook)',
+      '    a.json',
+      '    b.json',
+      '',
+      '2 workflow(s): 1 error(s), 0 warning(s)'
+    ].join('\n'));
+  });
+
+  it('should lint a download folder offline with n8n:lint', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-'));
+    try {
+      fs.mkdirSync(path.join(tmpDir, 'B'));
+      fs.writeFileSync(path.join(tmpDir, 'B', 'a.json'), JSON.stringify({ id: '1', name: 'A', nodes: [webhook('Webhook', 'orders')] }));
+      fs.writeFileSync(path.join(tmpDir, 'b.json'), JSON.stringify({ id: '2', name: 'B', nodes: [webhook('Webhook', 'orders')] }));
+      fs.writeFileSync(path.join(tmpDir, '_manifest.json'), JSON.stringify({ nodes: [webhook('Webhook', 'orders')] }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const app = new N8nLintApp();
+      app.parseArgs(['--input', tmpDir]);
+
+      await expect(app.run()).rejects.toThrow('n8n:lint found 1 error(s)');
+      expect(console.log.mock.calls[0][0]).toContain('B/a.json');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for WorkflowSyncService
+ * Tests:
+ * - Content fingerprints (order independent, ignores server fields)
+ * - Three-way decisions (push / pull / conflict / unchanged / deletions)
+ * - Matching by base entry, ID and name
+ * - Conflict resolution by policy
+ * - Persistence (save / load round-trip, target change)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowSyncService = require('../../src/services/workflow-sync-service');
+
+const { ACTIONS } = WorkflowSyncService;
+
+describe('WorkflowSyncService', () => {
+  let tmpDir;
+  let sync;
+  let mockLogger;
+
+  const workflow = (id, name, url = 'https://api.example.com', extra = {}) => ({
+    id,
+    name,
+    nodes: [
+      { id: 'n1', name: 'Start', type: 'n8n-nodes-base.manualTrigger', parameters: {} },
+      { id: 'n2', name: 'HTTP', type: 'n8n-nodes-base.httpRequest', parameters: { url } }
+    ],
+    connections: { Start: { main: [[{ node: 'HTTP', type: 'main', index: 0 }]] } },
+    settings: {},
+    ...extra
+  });
+
+  const actionOf = (plan, name) => plan.find(item => item.name === name).action;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-sync-'));
+
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+
+    sync = new WorkflowSyncService(mockLogger, WorkflowSyncService.pathFor(tmpDir));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('fingerprint()', () => {
+    it('should ignore node order, key order and server-managed fields', () => {
+      const a = workflow('1', 'WF');
+      const b = { ...workflow('1', 'WF'), updatedAt: '2025-01-01', active: true, id: 'other' };
+      b.nodes.reverse();
+      b.nodes[0] = { parameters: b.nodes[0].parameters, type: b.nodes[0].type, name: b.nodes[0].name, id: b.nodes[0].id };
+
+      expect(WorkflowSyncService.fingerprint(b)).toBe(WorkflowSyncService.fingerprint(a));
+    });
+
+    it('should change when a parameter changes', () => {
+      expect(WorkflowSyncService.fingerprint(workflow('1', 'WF', 'https://a')))
+        .not.toBe(WorkflowSyncService.fingerprint(workflow('1', 'WF', 'https://b')));
+    });
+  });
+
+  describe('plan()', () => {
+    beforeEach(() => {
+      for (const name of ['Local Edit', 'Remote Edit', 'Both Edit', 'Same', 'Gone Local', 'Gone Remote']) {
+        sync.recordSynced(name, workflow(name, name), workflow(name, name));
+      }
+    });
+
+    it('should decide push, pull, conflict and unchanged from the base', () => {
+      const plan = sync.plan(
+        [
+          workflow('Local Edit', 'Local Edit', 'https://local'),
+          workflow('Remote Edit', 'Remote Edit'),
+          workflow('Both Edit', 'Both Edit', 'https://local'),
+          workflow('Same', 'Same'),
+          workflow('Gone Remote', 'Gone Remote')
+        ],
+        [
+          workflow('Local Edit', 'Local Edit'),
+          workflow('Remote Edit', 'Remote Edit', 'https://remote'),
+          workflow('Both Edit', 'Both Edit', 'https://remote'),
+          workflow('Same', 'Same'),
+          workflow('Gone Local', 'Gone Local')
+        ]
+      );
+
+      expect(actionOf(plan, 'Local Edit')).toBe(ACTIONS.PUSH);
+      expect(actionOf(plan, 'Remote Edit')).toBe(ACTIONS.PULL);
+      expect(actionOf(plan, 'Both Edit')).toBe(ACTIONS.CONFLICT);
+      expect(actionOf(plan, 'Same')).toBe(ACTIONS.UNCHANGED);
+      expect(actionOf(plan, 'Gone Local')).toBe(ACTIONS.DELETE_REMOTE);
+      expect(actionOf(plan, 'Gone Remote')).toBe(ACTIONS.DELETE_LOCAL);
+    });
+
+    it('should treat the same change on both sides as unchanged', () => {
+      const plan = sync.plan(
+        [workflow('Both Edit', 'Both Edit', 'https://new')],
+        [workflow('Both Edit', 'Both Edit', 'https://new')]
+      );
+
+      expect(actionOf(plan, 'Both Edit')).toBe(ACTIONS.UNCHANGED);
+    });
+
+    it('should flag a deletion on one side and a change on the other as conflict', () => {
+      const plan = sync.plan([], [workflow('Gone Local', 'Gone Local', 'https://changed')]);
+
+      expect(actionOf(plan, 'Gone Local')).toBe(ACTIONS.CONFLICT);
+    });
+
+    it('should match remote workflows created with a new ID through the base', () => {
+      sync.recordSynced('local-id', workflow('local-id', 'Created'), workflow('remote-id', 'Created'));
+
+      const plan = sync.plan(
+        [workflow('local-id', 'Created', 'https://local')],
+        [workflow('remote-id', 'Created')]
+      );
+
+      const item = plan.find(i => i.id === 'local-id');
+      expect(item.action).toBe(ACTIONS.PUSH);
+      expect(item.remote.id).toBe('remote-id');
+    });
+
+    it('should use the base fingerprint for remote summaries with the same updatedAt', () => {
+      sync.recordSynced('s1', workflow('s1', 'Summary'), workflow('s1', 'Summary', undefined, { updatedAt: 'T1' }));
+
+      const plan = sync.plan([workflow('s1', 'Summary')], [{ id: 's1', name: 'Summary', updatedAt: 'T1' }]);
+
+      expect(actionOf(plan, 'Summary')).toBe(ACTIONS.UNCHANGED);
+      expect(sync.isRemoteUnchanged({ id: 's1', updatedAt: 'T2' })).toBe(false);
+    });
+  });
+
+  describe('plan() without base', () => {
+    it('should push local-only, pull remote-only and flag differing workflows', () => {
+      const plan = sync.plan(
+        [workflow('1', 'Only Local'), workflow('2', 'Differs', 'https://a'), workflow('3', 'Equal')],
+        [workflow('9', 'Only Remote'), workflow('2', 'Differs', 'https://b'), workflow('3', 'Equal')]
+      );
+
+      expect(actionOf(plan, 'Only Local')).toBe(ACTIONS.PUSH);
+      expect(actionOf(plan, 'Only Remote')).toBe(ACTIONS.PULL);
+      expect(actionOf(plan, 'Differs')).toBe(ACTIONS.CONFLICT);
+      expect(actionOf(plan, 'Equal')).toBe(ACTIONS.UNCHANGED);
+    });
+
+    it('should match by name when IDs differ', () => {
+      const plan = sync.plan([workflow('local', 'Named')], [workflow('remote', 'Named')]);
+
+      expect(plan).toHaveLength(1);
+      expect(plan[0].action).toBe(ACTIONS.UNCHANGED);
+    });
+  });
+
+  describe('resolveConflicts()', () => {
+    it('should resolve conflicts by policy', () => {
+      const plan = [
+        { id: '1', name: 'A', action: ACTIONS.CONFLICT, local: {}, remote: {} },
+        { id: '2', name: 'B', action: ACTIONS.CONFLICT, local: null, remote: {} },
+        { id: '3', name: 'C', action: ACTIONS.PULL, local: {}, remote: {} }
+      ];
+
+      expect(sync.resolveConflicts(plan, 'local').map(i => i.action))
+        .toEqual([ACTIONS.PUSH, ACTIONS.DELETE_REMOTE, ACTIONS.PULL]);
+      expect(sync.resolveConflicts(plan, 'remote').map(i => i.action))
+        .toEqual([ACTIONS.PULL, ACTIONS.PULL, ACTIONS.PULL]);
+      expect(sync.resolveConflicts(plan, null)).toBe(plan);
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => sync.resolveConflicts([], 'both')).toThrow('Invalid conflict policy');
+    });
+  });
+
+  describe('save() / load()', () => {
+    it('should round-trip the base', async () => {
+      sync.setTarget('https://n8n.example.com');
+      sync.recordSynced('1', workflow('1', 'WF'), workflow('r1', 'WF', undefined, { updatedAt: 'T1' }));
+      await sync.save();
+
+      const reloaded = new WorkflowSyncService(mockLogger, WorkflowSyncService.pathFor(tmpDir));
+      expect(await reloaded.load()).toBe(true);
+      expect(reloaded.workflows.get('1')).toMatchObject({ name: 'WF', remoteId: 'r1', remoteUpdatedAt: 'T1' });
+    });
+
+    it('should start a new base when the target changes', async () => {
+      sync.setTarget('https://a.example.com');
+      sync.recordSynced('1', workflow('1', 'WF'), workflow('1', 'WF'));
+
+      sync.setTarget('https://b.example.com');
+
+      expect(sync.workflows.size).toBe(0);
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+
+    it('should return false when there is no base file', async () => {
+      expect(await sync.load()).toBe(false);
+    });
+
+    it('should reject invalid base files', async () => {
+      fs.writeFileSync(WorkflowSyncService.pathFor(tmpDir), '{ nope');
+
+      await expect(sync.load()).rejects.toThrow('Invalid sync base');
+    });
+  });
+});
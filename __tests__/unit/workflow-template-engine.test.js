@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for WorkflowTemplateEngine
+ * Tests:
+ * - Value precedence (--set, profile and JANA_VAR_* variables, variables file)
+ * - The rest of the environment is never used
+ * - Unresolved placeholders (N8N expressions and code excluded)
+ * - Variables files (JSON and .env)
+ * - parameterise() for n8n:download
+ * - n8n:render
+ * - n8n:upload only refuses unresolved placeholders when templating is in use
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowTemplateEngine = require('../../src/utils/workflow-template-engine');
+const { N8nRenderApp } = require('../../src/commands/n8n-render');
+const { N8nUploadApp } = require('../../src/commands/n8n-upload');
+
+describe('WorkflowTemplateEngine', () => {
+  let tmpDir;
+
+  const template = () => ({
+    id: 'wf-1',
+    name: 'Sync Pedidos {SUFFIX}',
+    nodes: [
+      {
+        name: 'Buscar API',
+        type: 'n8n-nodes-base.httpRequest',
+        parameters: { url: '{API_BASE}/orders', options: { headers: ['X-Team: {TEAM}'] } },
+        notes: 'Calls {API_BASE}'
+      },
+      { name: 'Nota', type: 'n8n-nodes-base.stickyNote', parameters: { content: 'Owner: {OWNER}' } },
+      { name: 'Code', type: 'n8n-nodes-base.code', parameters: { jsCode: 'return {json};' } },
+      { name: 'Set', type: 'n8n-nodes-base.set', parameters: { value: '={{ $json.id }}' } }
+    ]
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should render names, parameters, sticky notes and node notes by precedence', () => {
+    const engine = new WorkflowTemplateEngine({
+      values: { SUFFIX: 'prod' },
+      env: { JANA_VAR_SUFFIX: 'from-env', JANA_VAR_API_BASE: 'https://api.example.com', API_BASE: 'https://ignored.example.com' },
+      variables: { API_BASE: 'https://api.dev.example.com', TEAM: 'ops', OWNER: 'Ana' }
+    });
+
+    const { workflow, resolved, unresolved } = engine.render(template());
+
+    expect(workflow.name).toBe('Sync Pedidos prod');
+    expect(workflow.nodes[0].parameters).toEqual({
+      url: 'https://api.example.com/orders',
+      options: { headers: ['X-Team: ops'] }
+    });
+    expect(workflow.nodes[0].notes).toBe('Calls https://api.example.com');
+    expect(workflow.nodes[1].parameters.content).toBe('Owner: Ana');
+    expect(workflow.nodes[3].parameters.value).toBe('={{ $json.id }}');
+    expect(resolved).toEqual(['API_BASE', 'OWNER', 'SUFFIX', 'TEAM']);
+    expect(unresolved).toEqual([]);
+  });
+
+  it('should report unresolved placeholders outside code parameters', () => {
+    const engine = new WorkflowTemplateEngine({ env: {}, variables: { TEAM: 'ops' } });
+
+    const { unresolved } = engine.renderAll([template()]);
+
+    expect(unresolved).toEqual([
+      { workflow: 'Sync Pedidos {SUFFIX}', node: null, path: 'name', placeholder: 'SUFFIX' },
+      { workflow: 'Sync Pedidos {SUFFIX}', node: 'Buscar API', path: 'parameters.url', placeholder: 'API_BASE' },
+      { workflow: 'Sync Pedidos {SUFFIX}', node: 'Buscar API', path: 'notes', placeholder: 'API_BASE' },
+      { workflow: 'Sync Pedidos {SUFFIX}', node: 'Nota', path: 'parameters.content', placeholder: 'OWNER' }
+    ]);
+    expect(WorkflowTemplateEngine.unresolvedError(unresolved).message)
+      .toContain('Provide SUFFIX, API_BASE, OWNER with --set NAME=value');
+  });
+
+  it('should load JSON and .env variables files and parse --set assignments', () => {
+    const jsonFile = path.join(tmpDir, 'vars.json');
+    const envFile = path.join(tmpDir, 'prod.env');
+    fs.writeFileSync(jsonFile, JSON.stringify({ API_BASE: 'https://api.example.com', RETRIES: 3 }));
+    fs.writeFileSync(envFile, '# prod\nAPI_BASE=https://api.example.com\nTEAM="ops"\n');
+
+    expect(WorkflowTemplateEngine.loadVariablesFile(jsonFile)).toEqual({ API_BASE: 'https://api.example.com', RETRIES: '3' });
+    expect(WorkflowTemplateEngine.loadVariablesFile(envFile)).toEqual({ API_BASE: 'https://api.example.com', TEAM: 'ops' });
+    expect(WorkflowTemplateEngine.parseAssignments(['URL=https://x.example.com/?a=1'])).toEqual({ URL: 'https://x.example.com/?a=1' });
+
+    fs.writeFileSync(jsonFile, JSON.stringify({ API: { nested: true } }));
+    expect(() => WorkflowTemplateEngine.loadVariablesFile(jsonFile)).toThrow('must be a string, number or boolean');
+    expect(() => WorkflowTemplateEngine.parseAssignments(['=value'])).toThrow('use NAME=value');
+    expect(() => WorkflowTemplateEngine.create({ variablesFile: path.join(tmpDir, 'missing.json') })).toThrow('not found');
+  });
+
+  it('should parameterise known values, longest first, without using the whole environment', () => {
+    const engine = new WorkflowTemplateEngine({
+      env: { JANA_VAR_API_HOST: 'api.example.com', JANA_VAR_API_BASE: 'https://api.example.com', HOME: '/root' },
+      variables: { TEAM: 'ops', OWNER: 'Ana Souza' }
+    });
+    const rendered = {
+      name: 'Sync Pedidos',
+      nodes: [{ name: 'Buscar API', parameters: { url: 'https://api.example.com/orders', note: 'Owner: Ana Souza, /root' } }]
+    };
+
+    const { workflow, replaced } = engine.parameterise(rendered);
+
+    expect(workflow.nodes[0].parameters).toEqual({ url: '{API_BASE}/orders', note: 'Owner: {OWNER}, /root' });
+    expect(replaced).toEqual({ API_BASE: 1, OWNER: 1 });
+    expect(rendered.nodes[0].parameters.url).toBe('https://api.example.com/orders');
+  });
+
+  it('should render a templates directory with n8n:render', async () => {
+    const inputDir = path.join(tmpDir, 'templates');
+    const outputDir = path.join(tmpDir, 'rendered');
+    fs.mkdirSync(path.join(inputDir, 'vendas'), { recursive: true });
+    fs.writeFileSync(path.join(inputDir, 'vendas', 'sync.json'), JSON.stringify(template()));
+    fs.writeFileSync(path.join(inputDir, '_draft.json'), JSON.stringify({ name: '{DRAFT}', nodes: [] }));
+
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), success: jest.fn() };
+    const app = new N8nRenderApp({ env: { JANA_VAR_API_BASE: 'https://api.example.com' }, logger });
+    app.parseArgs([inputDir, '--set', 'SUFFIX=prod', '--set', 'TEAM=ops', '--check']);
+
+    await expect(app.run()).rejects.toThrow('{OWNER} in Nota › parameters.content');
+
+    app.parseArgs(['--set', 'OWNER=Ana', '--output', outputDir]);
+    app.check = false;
+    const result = await app.run();
+
+    expect(result).toEqual({ workflows: 1, resolved: ['API_BASE', 'OWNER', 'SUFFIX', 'TEAM'], written: outputDir });
+    const written = JSON.parse(fs.readFileSync(path.join(outputDir, 'vendas', 'sync.json'), 'utf8'));
+    expect(written.name).toBe('Sync Pedidos prod');
+    expect(fs.existsSync(path.join(outputDir, '_draft.json'))).toBe(false);
+  });
+
+  it('should only read JANA_VAR_* variables (profile variables included) from the environment', () => {
+    const engine = new WorkflowTemplateEngine({
+      env: { HOME: '/root', USER: 'root', JANA_VAR_API_BASE: 'https://api.example.com', JANA_VAR_TEAM: 'ops', TEAM: 'other' }
+    });
+    const sticky = { name: 'Notas', nodes: [{ name: 'Nota', type: 'n8n-nodes-base.stickyNote', parameters: { content: 'Set {HOME} and {USER}: {API_BASE} ({TEAM})' } }] };
+
+    const { workflow, unresolved } = engine.render(sticky);
+
+    expect(workflow.nodes[0].parameters.content).toBe('Set {HOME} and {USER}: https://api.example.com (ops)');
+    expect(unresolved.map(item => item.placeholder)).toEqual(['HOME', 'USER']);
+    expect(new WorkflowTemplateEngine({ env: { HOME: '/root' } }).hasValues()).toBe(false);
+    expect(new WorkflowTemplateEngine({ env: { JANA_VAR_API_BASE: 'x' }, useEnv: false }).hasValues()).toBe(false);
+  });
+
+  describe('n8n:upload', () => {
+    const slack = () => ({
+      name: 'Pedidos',
+      nodes: [
+        { name: 'Slack', type: 'n8n-nodes-base.slack', parameters: { text: 'Pedido {id} criado em {API_BASE}' } },
+        { name: 'Nota', type: 'n8n-nodes-base.stickyNote', parameters: { content: 'Set {HOME} and {USER}' } }
+      ]
+    });
+    let app;
+
+    beforeEach(() => {
+      app = new N8nUploadApp(['node', 'cli.js']);
+      app.logger = { info: jest.fn(), warn: jest.fn() };
+    });
+
+    it('should refuse placeholders even when no value is provided, unless --allow-unresolved', () => {
+      app.templateEngine = new WorkflowTemplateEngine({ env: { HOME: '/root', USER: 'root' } });
+
+      expect(() => app.renderWorkflows([slack()])).toThrow(/\{API_BASE\} in Slack › parameters\.text[\s\S]*No placeholder values are configured/);
+
+      app.parseArgs(['--allow-unresolved']);
+      const [workflow] = app.renderWorkflows([slack()]);
+
+      expect(workflow.nodes[1].parameters.content).toBe('Set {HOME} and {USER}');
+      expect(app.logger.warn).toHaveBeenCalledWith('⚠️  Left as they are (--allow-unresolved): {id}, {API_BASE}, {HOME}, {USER}');
+    });
+
+    it('should refuse the placeholders left after filling the known values, unless --allow-unresolved', () => {
+      app.templateEngine = new WorkflowTemplateEngine({ env: { HOME: '/root' }, values: { API_BASE: 'https://api.example.com' } });
+
+      expect(() => app.renderWorkflows([slack()])).toThrow(/\{id\} in Slack › parameters\.text[\s\S]*--allow-unresolved/);
+
+      app.parseArgs(['--allow-unresolved']);
+      const [workflow] = app.renderWorkflows([slack()]);
+
+      expect(workflow.nodes.map(node => Object.values(node.parameters)[0]))
+        .toEqual(['Pedido {id} criado em https://api.example.com', 'Set {HOME} and {USER}']);
+      expect(app.logger.warn).toHaveBeenCalledWith('⚠️  Left as they are (--allow-unresolved): {id}, {HOME}, {USER}');
+    });
+  });
+});
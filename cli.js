@@ -44,17 +44,77 @@ const COMMANDS = {
     handler: () => require('./src/commands/n8n-configure-target'),
     aliases: ['n8n:config', 'config:n8n']
   },
+  'n8n:history': {
+    description: 'List and restore versions of a workflow from git snapshots',
+    handler: () => require('./src/commands/n8n-history'),
+    aliases: ['history:n8n']
+  },
+  'n8n:diff': {
+    description: 'Structural diff between workflow versions (local vs target or two local)',
+    handler: () => require('./src/commands/n8n-diff'),
+    aliases: ['diff:n8n']
+  },
+  'n8n:sync': {
+    description: 'Bidirectional sync between local folder and N8N with conflict detection',
+    handler: () => require('./src/commands/n8n-sync'),
+    aliases: ['sync:n8n']
+  },
+  'n8n:rollback': {
+    description: 'Revert an n8n:upload using its pre-upload snapshot',
+    handler: () => require('./src/commands/n8n-rollback'),
+    aliases: ['rollback:n8n']
+  },
+  'n8n:promote': {
+    description: 'Promote workflows to another environment with per-environment overrides',
+    handler: () => require('./src/commands/n8n-promote'),
+    aliases: ['promote:n8n']
+  },
+  'n8n:apply': {
+    description: 'Execute a reviewed deployment plan (refused if the target changed)',
+    handler: () => require('./src/commands/n8n-apply'),
+    aliases: ['apply:n8n']
+  },
+  'n8n:render': {
+    description: 'Render {placeholder} workflow templates into concrete workflows',
+    handler: () => require('./src/commands/n8n-render'),
+    aliases: ['render:n8n']
+  },
+  'n8n:graph': {
+    description: 'Export the workflow call graph (JSON, Mermaid, DOT, HTML)',
+    handler: () => require('./src/commands/n8n-graph'),
+    aliases: ['graph:n8n']
+  },
+  'n8n:lint': {
+    description: 'Check workflow files before upload (conventions, secrets, webhook collisions; text/JSON/SARIF)',
+    handler: () => require('./src/commands/n8n-lint'),
+    aliases: ['lint:n8n']
+  },
   'outline:download': {
     description: 'Download documentation from Outline',
     handler: () => require('./src/commands/outline-download'),
     aliases: ['download:outline']
   },
+  'outline:upload': {
+    description: 'Publish a Markdown tree to an Outline collection (create or update, keeping the hierarchy)',
+    handler: () => require('./src/commands/outline-upload'),
+    aliases: ['outline:publish', 'upload:outline']
+  },
+  'profiles': {
+    description: 'Manage named environments (add, list, test, remove)',
+    handler: () => require('./src/commands/profiles'),
+    aliases: ['profile']
+  },
+  'secrets': {
+    description: 'Manage encrypted API keys and tokens (set, get, rotate, migrate) and scan downloads for secrets',
+    handler: () => require('./src/commands/secrets'),
+    aliases: ['secret']
+  },
+  'docs:generate': {
+    description: 'Generate Markdown docs from workflow files (sticky notes, nodes, credentials, calls)',
+    handler: () => require('./src/commands/docs-generate'),
+    aliases: ['generate', 'generate:docs']
+  },
   // TODO: Implement these commands without legacy dependencies
-  // 'docs:generate': {
-  //   description: 'Generate markdown docs from workflow sticky notes',
-  //   handler: () => require('./src/commands/docs-generate'),
-  //   aliases: ['generate', 'generate:docs']
-  // },
   // 'test:migration': {
   //   description: 'Run migration tests',
   //   handler: () => require('./src/commands/test-migration'),
@@ -161,13 +221,52 @@ function printHelp() {
     console.log(`    ${themeEngine.applyTheme('n8n:upload', 'primary')}            Upload workflows to N8N with preserved IDs`);
     console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} upload:n8n, n8n:restore`);
     console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:history', 'primary')}           List and restore workflow versions (git snapshots)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} history:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:diff', 'primary')}              Structural diff of workflows (text, JSON, Markdown)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} diff:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:sync', 'primary')}              Sync local folder and N8N (push, pull, conflicts)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} sync:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:rollback', 'primary')}          Revert an upload (restore updated, delete created)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} rollback:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:promote', 'primary')}           Promote workflows to an environment (overrides + upload)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} promote:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:apply', 'primary')}             Execute a reviewed deployment plan (n8n:upload --plan-out)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} apply:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:render', 'primary')}            Fill {placeholders} in workflow templates`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} render:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:graph', 'primary')}             Workflow call graph (JSON, Mermaid, DOT, HTML)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} graph:n8n`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('n8n:lint', 'primary')}              Check workflow files against the .jana/config.json lint rules`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} lint:n8n`);
+    console.log('');
 
     console.log(themeEngine.applyTheme('  Outline Documentation:', 'info'));
     console.log(`    ${themeEngine.applyTheme('outline:download', 'primary')}      Download documentation from Outline`);
     console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} download:outline`);
     console.log('');
+    console.log(`    ${themeEngine.applyTheme('outline:upload', 'primary')}        Publish Markdown documents to an Outline collection`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} outline:publish, upload:outline`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('docs:generate', 'primary')}         Markdown pages and index from workflow files`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} generate, generate:docs`);
+    console.log('');
 
     console.log(themeEngine.applyTheme('  Utility:', 'info'));
+    console.log(`    ${themeEngine.applyTheme('profiles', 'primary')}              Named environments (add, list, test, remove)`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} profile`);
+    console.log('');
+    console.log(`    ${themeEngine.applyTheme('secrets', 'primary')}               Encrypted API keys; scan/redact downloads`);
+    console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} secret`);
+    console.log('');
     console.log(`    ${themeEngine.applyTheme('help', 'primary')}                  Show this help message`);
     console.log(`                          ${themeEngine.applyTheme('Aliases:', 'dimText')} -h, --help`);
     console.log('');
@@ -193,6 +292,9 @@ function printHelp() {
     console.log(`  ${themeEngine.applyTheme('# Download Outline documentation', 'muted')}`);
     console.log(`  ${CLI_NAME} outline:download --output ./docs`);
     console.log('');
+    console.log(`  ${themeEngine.applyTheme('# Promote workflows between named environments', 'muted')}`);
+    console.log(`  ${CLI_NAME} n8n:upload --from staging --to prod --input ./workflows`);
+    console.log('');
 
     // Global options section with separator
     console.log(borderRenderer.renderSeparator(width, 'single'));
@@ -201,6 +303,8 @@ function printHelp() {
     console.log(`  ${themeEngine.applyTheme('--help, -h', 'primary')}            Show command-specific help`);
     console.log(`  ${themeEngine.applyTheme('--verbose, -v', 'primary')}         Enable verbose logging`);
     console.log(`  ${themeEngine.applyTheme('--config <file>', 'primary')}       Use specific config file`);
+    console.log(`  ${themeEngine.applyTheme('--profile <name>', 'primary')}      Use a named environment for all connections`);
+    console.log(`  ${themeEngine.applyTheme('--from, --to <name>', 'primary')}   Source / target environment`);
     console.log(`  ${themeEngine.applyTheme('--interactive, -i', 'primary')}     Force interactive menu mode`);
     console.log(`  ${themeEngine.applyTheme('--no-interactive', 'primary')}      Disable interactive menu`);
     console.log('');
@@ -216,7 +320,9 @@ function printHelp() {
       '',
       '  # Outline Configuration',
       '  OUTLINE_URL=https://outline.example.com',
-      '  OUTLINE_API_TOKEN=your-api-token'
+      '  OUTLINE_API_TOKEN=your-api-token',
+      '',
+      `Or use named environments: ${CLI_NAME} profiles --help`
     ], {
       style: 'single',
       padding: 1,
@@ -261,11 +367,50 @@ COMMANDS:
     n8n:upload            Upload workflows to N8N instance with preserved IDs
                           Aliases: upload:n8n, n8n:restore
 
+    n8n:history           List and restore workflow versions (git snapshots)
+                          Aliases: history:n8n
+
+    n8n:diff              Structural diff of workflows (text, JSON, Markdown)
+                          Aliases: diff:n8n
+
+    n8n:sync              Sync local folder and N8N (push, pull, conflicts)
+                          Aliases: sync:n8n
+
+    n8n:rollback          Revert an upload (restore updated, delete created)
+                          Aliases: rollback:n8n
+
+    n8n:promote           Promote workflows to an environment (overrides + upload)
+                          Aliases: promote:n8n
+
+    n8n:apply             Execute a reviewed deployment plan (n8n:upload --plan-out)
+                          Aliases: apply:n8n
+
+    n8n:render            Fill {placeholders} in workflow templates
+                          Aliases: render:n8n
+
+    n8n:graph             Workflow call graph (JSON, Mermaid, DOT, HTML)
+                          Aliases: graph:n8n
+
+    n8n:lint              Check workflow files against the .jana/config.json lint rules
+                          Aliases: lint:n8n
+
   Outline Documentation:
     outline:download      Download documentation from Outline
                           Aliases: download:outline
 
+    outline:upload        Publish Markdown documents to an Outline collection
+                          Aliases: outline:publish, upload:outline
+
+    docs:generate         Markdown pages and index from workflow files
+                          Aliases: generate, generate:docs
+
   Utility:
+    profiles              Named environments (add, list, test, remove)
+                          Aliases: profile
+
+    secrets               Encrypted API keys; scan/redact downloads
+                          Aliases: secret
+
     help                  Show this help message
                           Aliases: -h, --help
 
@@ -289,10 +434,19 @@ EXAMPLES:
   # Download specific Outline collections
   ${CLI_NAME} outline:download --collections "Engineering,Product"
 
+  # Update a previous Outline download with what changed
+  ${CLI_NAME} outline:download --output ./docs --incremental
+
+  # Promote workflows between named environments
+  ${CLI_NAME} n8n:upload --from staging --to prod --input ./workflows
+
 GLOBAL OPTIONS:
   --help, -h            Show command-specific help
   --verbose, -v         Enable verbose logging
   --config <file>       Use specific config file
+  --profile <name>      Use a named environment for all connections
+  --from <name>         Environment to read from (download / source)
+  --to <name>           Environment to write to (upload / target)
   --interactive, -i     Force interactive menu mode
   --no-interactive      Disable interactive menu (use direct command mode)
 
@@ -308,6 +462,13 @@ CONFIGURATION:
     OUTLINE_URL=https://outline.example.com
     OUTLINE_API_TOKEN=your-api-token
 
+  Or keep several environments (dev, staging, prod...) as profiles:
+    ${CLI_NAME} profiles add staging --n8n-url https://n8n.staging.example.com --n8n-api-key <key>
+    ${CLI_NAME} n8n:download --profile staging
+
+  Keep API keys out of .env in the encrypted secrets store:
+    ${CLI_NAME} secrets migrate
+
   See command-specific help for detailed options:
     ${CLI_NAME} n8n:download --help
     ${CLI_NAME} n8n:upload --help
@@ -534,12 +695,27 @@ async function main() {
   const hasNoInteractiveFlag = args.includes('--no-interactive');
 
   // Remove interactive flags from args for command parsing
-  const filteredArgs = args.filter(arg =>
+  const interactiveFiltered = args.filter(arg =>
     arg !== '--interactive' &&
     arg !== '-i' &&
     arg !== '--no-interactive'
   );
 
+  // Resolve --profile / --from / --to (accepted before or after the command)
+  // so menu and direct commands use the same connections
+  const ProfileManager = require('./src/utils/profile-manager');
+  let filteredArgs;
+  try {
+    const profileFlags = ProfileManager.extractFlags(interactiveFiltered);
+    filteredArgs = profileFlags.args;
+
+    if (ProfileManager.hasSelection(profileFlags.selection)) {
+      new ProfileManager().apply(profileFlags.selection, process.env);
+    }
+  } catch (error) {
+    printError(error.message);
+  }
+
   // Show interactive menu if:
   // 1. No arguments provided, OR
   // 2. --interactive/-i flag is present (even with command), OR
@@ -614,7 +790,7 @@ async function main() {
 
   // Execute command via orchestration layer
   const { executeCommand } = require('./index');
-  const context = parseArguments(process.argv);
+  const context = parseArguments([...process.argv.slice(0, 2), ...filteredArgs]);
   context.command = commandName; // Override with canonical command name
 
   console.log(`\n[EXECUTANDO] ${commandName}\n`);
@@ -33,6 +33,9 @@
  * @property {string[]} [args] - Command arguments
  * @property {CommandFlags} [flags] - Command flags
  * @property {Object} [env] - Environment variables
+ * @property {string} [profile] - Profile used for every connection (same as --profile)
+ * @property {string} [from] - Profile to read from (same as --from)
+ * @property {string} [to] - Profile to write to (same as --to)
  */
 
 /**
@@ -297,7 +300,20 @@ class CommandOrchestrator {
       'n8n:configure-target': './src/commands/n8n-configure-target',
       'n8n:compare': './src/commands/n8n-compare',
       'n8n:dry-run': './src/commands/n8n-dry-run',
-      'outline:download': './src/commands/outline-download'
+      'n8n:history': './src/commands/n8n-history',
+      'n8n:diff': './src/commands/n8n-diff',
+      'n8n:sync': './src/commands/n8n-sync',
+      'n8n:rollback': './src/commands/n8n-rollback',
+      'n8n:promote': './src/commands/n8n-promote',
+      'n8n:apply': './src/commands/n8n-apply',
+      'n8n:render': './src/commands/n8n-render',
+      'n8n:graph': './src/commands/n8n-graph',
+      'n8n:lint': './src/commands/n8n-lint',
+      'outline:download': './src/commands/outline-download',
+      'outline:upload': './src/commands/outline-upload',
+      'docs:generate': './src/commands/docs-generate',
+      'profiles': './src/commands/profiles',
+      'secrets': './src/commands/secrets'
     };
 
     const commandPath = commandMap[commandName];
@@ -413,6 +429,9 @@ async function executeCommand(context) {
   const orchestrator = new CommandOrchestrator(container);
 
   try {
+    // Resolve --profile / --from / --to into the connection variables
+    applyProfiles(ctx, context);
+
     // Initialize
     orchestrator.initialize(ctx);
 
@@ -450,10 +469,41 @@ async function executeCommand(context) {
   }
 }
 
+/**
+ * Apply named environment profiles to a command context
+ *
+ * Removes --profile / --from / --to from the command arguments (commands never
+ * see them) and sets the N8N / Outline connection variables of ctx.env from the
+ * profiles file. Explicit context.profile / from / to take precedence over flags.
+ *
+ * @param {Object} ctx - Normalized command context (args and env are updated)
+ * @param {CommandContext} context - Context given by the caller
+ * @returns {Object<string, string>} Applied variables with the profile they came from
+ * @throws {Error} If a flag has no value or a profile does not exist
+ */
+function applyProfiles(ctx, context) {
+  const ProfileManager = require('./src/utils/profile-manager');
+  const { args, selection } = ProfileManager.extractFlags(ctx.args);
+
+  ctx.args = args;
+  for (const key of ['profile', 'from', 'to']) {
+    if (context[key]) {
+      selection[key] = context[key];
+    }
+  }
+
+  if (!ProfileManager.hasSelection(selection)) {
+    return {};
+  }
+
+  return new ProfileManager({ env: ctx.env }).apply(selection, ctx.env);
+}
+
 // ===== EXPORTS =====
 
 module.exports = {
   ServiceContainer,
   CommandOrchestrator,
-  executeCommand
+  executeCommand,
+  applyProfiles
 };
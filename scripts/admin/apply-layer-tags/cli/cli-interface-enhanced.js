@@ -15,6 +15,7 @@
  */
 
 const readline = require('readline');
+const ProfileManager = require('../../../../src/utils/profile-manager');
 
 class CLIInterfaceEnhanced {
   constructor() {
@@ -190,11 +191,17 @@ class CLIInterfaceEnhanced {
       help: false,
       mapping: null,
       output: null,
+      profile: null,
       interactive: true, // Default: modo interativo
       lang: 'pt-br',
       skipConfirm: false
     };
 
+    // --profile / --from sao resolvidos pelo ProfileManager (mesmas regras do docs-jana)
+    const { args, selection } = ProfileManager.extractFlags(this.args);
+    this.args = args;
+    options.profile = selection.profile || selection.from || null;
+
     for (let i = 0; i < this.args.length; i++) {
       const arg = this.args[i];
 
@@ -545,6 +552,7 @@ class CLIInterfaceEnhanced {
   \x1b[33m--no-interactive\x1b[0m    ${this.lang === 'pt-br' ? 'Desabilitar confirmações (modo CI/CD)' : 'Disable confirmations (CI/CD mode)'}
   \x1b[33m--mapping\x1b[0m <path>   ${this.lang === 'pt-br' ? 'Caminho customizado do arquivo de mapeamento' : 'Custom mapping file path'}
   \x1b[33m--output\x1b[0m <dir>     ${this.lang === 'pt-br' ? 'Diretório de saída customizado' : 'Custom output directory'}
+  \x1b[33m--profile\x1b[0m <name>   ${this.lang === 'pt-br' ? 'Profile nomeado no lugar de SOURCE_N8N_* (docs-jana profiles)' : 'Named profile instead of SOURCE_N8N_* (docs-jana profiles)'}
   \x1b[33m--help\x1b[0m, \x1b[33m-h\x1b[0m           ${this.lang === 'pt-br' ? 'Mostrar esta mensagem de ajuda' : 'Show this help message'}
 
 \x1b[1m${this.t('examples')}:\x1b[0m
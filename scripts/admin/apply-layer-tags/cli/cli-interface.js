@@ -15,10 +15,13 @@
  * --help, -h       : Exibe ajuda
  * --mapping <path> : Caminho alternativo do mapping
  * --output <dir>   : Diretorio de output customizado
+ * --profile <name> : Profile nomeado no lugar de SOURCE_N8N_* (docs-jana profiles)
  *
  * @module cli/cli-interface
  */
 
+const ProfileManager = require('../../../../src/utils/profile-manager');
+
 class CLIInterface {
   /**
    * Cria instancia da CLI Interface
@@ -44,11 +47,12 @@ class CLIInterface {
    * @returns {boolean} options.help - Flag de ajuda
    * @returns {string|null} options.mapping - Caminho customizado do mapping
    * @returns {string|null} options.output - Diretorio de output customizado
+   * @returns {string|null} options.profile - Profile nomeado da instancia n8n
    *
    * @example
    * const cli = new CLIInterface();
    * const options = cli.parseArguments();
-   * // { dryRun: true, verbose: false, quiet: false, help: false, mapping: null, output: null }
+   * // { dryRun: true, verbose: false, quiet: false, help: false, mapping: null, output: null, profile: null }
    */
   parseArguments() {
     const options = {
@@ -57,9 +61,15 @@ class CLIInterface {
       quiet: false,
       help: false,
       mapping: null,
-      output: null
+      output: null,
+      profile: null
     };
 
+    // --profile / --from sao resolvidos pelo ProfileManager (mesmas regras do docs-jana)
+    const { args, selection } = ProfileManager.extractFlags(this.args);
+    this.args = args;
+    options.profile = selection.profile || selection.from || null;
+
     for (let i = 0; i < this.args.length; i++) {
       const arg = this.args[i];
 
@@ -187,6 +197,7 @@ class CLIInterface {
   \x1b[33m--quiet\x1b[0m, \x1b[33m-q\x1b[0m          Disable progress bar
   \x1b[33m--mapping\x1b[0m <path>   Custom mapping file path
   \x1b[33m--output\x1b[0m <dir>     Custom output directory
+  \x1b[33m--profile\x1b[0m <name>   Use a named profile instead of SOURCE_N8N_* (docs-jana profiles)
   \x1b[33m--help\x1b[0m, \x1b[33m-h\x1b[0m           Show this help message
 
 \x1b[1mEXAMPLES:\x1b[0m
@@ -8,6 +8,7 @@
 
 require('dotenv').config();
 const path = require('path');
+const ProfileManager = require('../../../../src/utils/profile-manager');
 
 /**
  * Validacao de variaveis de ambiente obrigatorias
@@ -70,6 +71,28 @@ const API_CONFIG = {
   apiKey: process.env.SOURCE_N8N_API_KEY
 };
 
+/**
+ * Usa a instancia n8n de um profile nomeado (docs-jana profiles) no lugar
+ * de SOURCE_N8N_URL / SOURCE_N8N_API_KEY
+ *
+ * Atualiza API_CONFIG e as variaveis SOURCE_* de process.env.
+ *
+ * @param {string} name - Nome do profile
+ * @param {ProfileManager} [profileManager] - Armazenamento de profiles
+ * @throws {Error} Se o profile nao existir
+ *
+ * @example
+ * const { applyProfile, validateRequiredEnvVars } = require('./config/config');
+ * applyProfile('staging');
+ * validateRequiredEnvVars();
+ */
+function applyProfile(name, profileManager = new ProfileManager()) {
+  profileManager.apply({ from: name }, process.env);
+
+  API_CONFIG.url = process.env.SOURCE_N8N_URL;
+  API_CONFIG.apiKey = process.env.SOURCE_N8N_API_KEY;
+}
+
 /**
  * Layers arquiteturais disponiveis
  */
@@ -105,5 +128,6 @@ module.exports = {
   LAYERS,
   DEFAULT_LAYER,
   CACHE_CONFIG,
-  validateRequiredEnvVars
+  validateRequiredEnvVars,
+  applyProfile
 };
@@ -31,6 +31,7 @@
 const CLIInterfaceEnhanced = require('./cli/cli-interface-enhanced');
 const TagLayerOrchestrator = require('./core/orchestrator');
 const Logger = require('../../../src/utils/logger');
+const config = require('./config/config');
 
 /**
  * Função principal com UX melhorada
@@ -60,6 +61,11 @@ async function main() {
       process.exit(1);
     }
 
+    // Profile nomeado no lugar de SOURCE_N8N_URL / SOURCE_N8N_API_KEY
+    if (options.profile) {
+      config.applyProfile(options.profile);
+    }
+
     // 4. Banner inicial
     cli.printBanner(options);
 
@@ -63,6 +63,11 @@ async function main() {
       process.exit(1);
     }
 
+    // Profile nomeado no lugar de SOURCE_N8N_URL / SOURCE_N8N_API_KEY
+    if (options.profile) {
+      config.applyProfile(options.profile);
+    }
+
     // Banner inicial
     cli.printBanner(options);
 
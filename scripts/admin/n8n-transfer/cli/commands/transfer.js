@@ -9,13 +9,16 @@
  * @requires ../ui/components
  * @requires ../ui/progress-bar
  * @requires ../../core/transfer-manager
+ * @requires ../../core/transfer-journal
  */
 
 const { t } = require('../i18n');
-const { title, success, error, info, createTable, input } = require('../ui/components');
+const { title, success, error, warning, info, createTable, input } = require('../ui/components');
 const { select, confirm, multiSelect, inputNumber } = require('../ui/components');
 const { createSpinner } = require('../ui/components');
 const TransferManager = require('../../core/transfer-manager');
+const TransferJournal = require('../../core/transfer-journal');
+const { getFlag } = require('../utils/non-interactive');
 const ProgressBar = require('../ui/progress-bar');
 
 /**
@@ -28,6 +31,25 @@ const ProgressBar = require('../ui/progress-bar');
  * 4. Preview de workflows a transferir
  * 5. Confirmação e execução
  *
+ * Com `--resume <journal>`, as etapas 1-3 são puladas: as opções gravadas no
+ * journal são reutilizadas e workflows já concluídos não são reprocessados.
+ *
+ * `--mode <create-only|upsert|mirror>` e `--mirror-action <archive|delete>`
+ * definem o que fazer com workflows que já existem no TARGET (perguntado na
+ * etapa 1 quando não informados).
+ *
+ * `--credential-mapping <arquivo>` carrega o mapeamento explícito de
+ * credenciais ({ tipo: { origem: destino } }), usado antes do casamento por
+ * nome + tipo.
+ *
+ * `--activation <preserve|all|none>` aplica a política de ativação aos
+ * workflows criados e atualizados; falhas de ativação e colisões de webhook
+ * são listadas à parte no resumo.
+ *
+ * `--plan-out <arquivo>` faz um dry-run que grava o plano de deploy para
+ * revisão; `--apply-plan <arquivo>` pula as etapas 1-3 e executa o plano
+ * aprovado com as opções dele.
+ *
  * @async
  * @function transfer
  * @throws {Error} Se configuração inválida ou erro na transferência
@@ -36,6 +58,27 @@ const ProgressBar = require('../ui/progress-bar');
  * @example
  * // Executar wizard
  * await transfer();
+ *
+ * @example
+ * // Retomar transferência interrompida
+ * // npm run transfer -- --resume journals/transfer-2025-10-01T14-30-00-000.jsonl
+ *
+ * @example
+ * // Atualizar workflows existentes no TARGET
+ * // npm run transfer -- --mode upsert
+ *
+ * @example
+ * // Ativar como no SOURCE
+ * // npm run transfer -- --mode upsert --activation preserve
+ *
+ * @example
+ * // Credenciais com nomes diferentes no TARGET
+ * // npm run transfer -- --credential-mapping credential-mapping.json
+ *
+ * @example
+ * // Plano para revisão e execução do plano aprovado
+ * // npm run transfer -- --mode upsert --plan-out plan.json
+ * // npm run transfer -- --apply-plan plan.json
  */
 async function transfer() {
   // Check for help flag
@@ -53,59 +96,110 @@ async function transfer() {
     dryRun: false,
     parallelism: 3,
     deduplicator: 'standard-deduplicator',
-    validators: ['integrity-validator'],
+    validators: ['integrity-validator', 'webhook-collision-validator'],
     reporters: ['markdown-reporter']
   };
 
-  // ETAPA 1: Modo
-  console.log('📍 Etapa 1/5: Escolher Modo');
-  const mode = await select('Selecione o modo:', [
-    { name: 'Transferir todos workflows', value: 'all' },
-    { name: 'Transferência seletiva (com filtros)', value: 'selective' },
-    { name: 'Dry-run (simulação)', value: 'dryrun' }
-  ]);
+  const resumeJournal = getFlag('resume');
+  const applyPlan = getFlag('apply-plan');
 
-  if (mode === 'dryrun') {
-    options.dryRun = true;
-  }
+  if (resumeJournal) {
+    // Retomada: mesmas opções da execução interrompida
+    let journal;
+    try {
+      journal = TransferJournal.open(resumeJournal);
+    } catch (err) {
+      console.log(error(err.message));
+      process.exit(1);
+    }
 
-  // ETAPA 2: Filtros (se selective)
-  if (mode === 'selective') {
-    console.log('');
-    console.log('📍 Etapa 2/5: Configurar Filtros');
+    Object.assign(options, journal.header.options, { resume: resumeJournal });
+    console.log(info(`Retomando transferência: ${journal.getCompletedItems().length} workflow(s) já concluído(s)`));
+  } else if (applyPlan) {
+    // Plano aprovado: modo, filtros e plugins vêm do plano
+    options.applyPlan = applyPlan;
+    console.log(info(`Aplicando plano de deploy: ${applyPlan}`));
+  } else {
+    // ETAPA 1: Modo
+    console.log('📍 Etapa 1/5: Escolher Modo');
+    const mode = await select('Selecione o modo:', [
+      { name: 'Transferir todos workflows', value: 'all' },
+      { name: 'Transferência seletiva (com filtros)', value: 'selective' },
+      { name: 'Dry-run (simulação)', value: 'dryrun' }
+    ]);
 
-    const filterByTags = await confirm('Filtrar por tags?');
-    if (filterByTags) {
-      const tags = await input('Tags a incluir (separadas por vírgula):');
-      options.filters.tags = tags.split(',').map(t => t.trim());
+    if (mode === 'dryrun') {
+      options.dryRun = true;
     }
 
-    const filterByExcludeTags = await confirm('Excluir tags específicas?');
-    if (filterByExcludeTags) {
-      const excludeTags = await input('Tags a excluir (separadas por vírgula):');
-      options.filters.excludeTags = excludeTags.split(',').map(t => t.trim());
+    const planOut = getFlag('plan-out');
+    if (planOut) {
+      options.planFile = planOut;
+      options.dryRun = true;
     }
-  }
 
-  // ETAPA 3: Plugins
-  console.log('');
-  console.log('📍 Etapa 3/5: Escolher Plugins');
+    options.mode = getFlag('mode') || await select('Workflows que já existem no TARGET:', [
+      { name: 'Pular (create-only)', value: 'create-only' },
+      { name: 'Atualizar (upsert)', value: 'upsert' },
+      { name: 'Atualizar e remover os ausentes no SOURCE (mirror)', value: 'mirror' }
+    ]);
 
-  options.deduplicator = await select('Deduplicator:', [
-    { name: 'Standard (nome + tags exatos)', value: 'standard-deduplicator' },
-    { name: 'Fuzzy (similaridade)', value: 'fuzzy-deduplicator' }
-  ]);
+    if (options.mode === 'mirror') {
+      options.mirrorAction = getFlag('mirror-action') || await select('Workflows do TARGET ausentes no SOURCE:', [
+        { name: 'Arquivar (desativar + prefixo [ARCHIVED])', value: 'archive' },
+        { name: 'Excluir', value: 'delete' }
+      ]);
+    }
 
-  options.validators = await multiSelect('Validators:', [
-    { name: 'Integrity Validator', value: 'integrity-validator', checked: true },
-    { name: 'Schema Validator', value: 'schema-validator', checked: false }
-  ]);
+    const activation = getFlag('activation');
+    if (activation) {
+      options.activation = activation;
+    }
 
-  options.reporters = await multiSelect('Reporters:', [
-    { name: 'Markdown', value: 'markdown-reporter', checked: true },
-    { name: 'JSON', value: 'json-reporter', checked: false },
-    { name: 'CSV', value: 'csv-reporter', checked: false }
-  ]);
+    const credentialMapping = getFlag('credential-mapping');
+    if (credentialMapping) {
+      options.credentialMappingFile = credentialMapping;
+    }
+
+    // ETAPA 2: Filtros (se selective)
+    if (mode === 'selective') {
+      console.log('');
+      console.log('📍 Etapa 2/5: Configurar Filtros');
+
+      const filterByTags = await confirm('Filtrar por tags?');
+      if (filterByTags) {
+        const tags = await input('Tags a incluir (separadas por vírgula):');
+        options.filters.tags = tags.split(',').map(t => t.trim());
+      }
+
+      const filterByExcludeTags = await confirm('Excluir tags específicas?');
+      if (filterByExcludeTags) {
+        const excludeTags = await input('Tags a excluir (separadas por vírgula):');
+        options.filters.excludeTags = excludeTags.split(',').map(t => t.trim());
+      }
+    }
+
+    // ETAPA 3: Plugins
+    console.log('');
+    console.log('📍 Etapa 3/5: Escolher Plugins');
+
+    options.deduplicator = await select('Deduplicator:', [
+      { name: 'Standard (nome + tags exatos)', value: 'standard-deduplicator' },
+      { name: 'Fuzzy (similaridade)', value: 'fuzzy-deduplicator' }
+    ]);
+
+    options.validators = await multiSelect('Validators:', [
+      { name: 'Integrity Validator', value: 'integrity-validator', checked: true },
+      { name: 'Schema Validator', value: 'schema-validator', checked: false },
+      { name: 'Webhook Collision Validator (mesmo path no SOURCE/TARGET)', value: 'webhook-collision-validator', checked: true }
+    ]);
+
+    options.reporters = await multiSelect('Reporters:', [
+      { name: 'Markdown', value: 'markdown-reporter', checked: true },
+      { name: 'JSON', value: 'json-reporter', checked: false },
+      { name: 'CSV', value: 'csv-reporter', checked: false }
+    ]);
+  }
 
   // ETAPA 4: Preview
   console.log('');
@@ -133,6 +227,10 @@ async function transfer() {
   console.log('');
   console.log('📍 Etapa 5/5: Confirmação');
 
+  if (options.mode === 'mirror' && options.mirrorAction === 'delete' && !options.dryRun) {
+    console.log(warning('Modo mirror: workflows do TARGET ausentes no SOURCE (no escopo dos filtros) serão EXCLUÍDOS'));
+  }
+
   const confirmTransfer = await confirm('Confirmar transferência?', { default: true });
 
   if (!confirmTransfer) {
@@ -175,10 +273,37 @@ async function transfer() {
     failed: result.failed
   })));
 
+  if (result.mode && result.mode !== 'create-only') {
+    console.log(info(`Atualizados: ${result.updated}` +
+      (result.mode === 'mirror' ? ` | Excluídos: ${result.deleted} | Arquivados: ${result.archived}` : '')));
+  }
+
+  if (result.activation) {
+    const activation = result.activation;
+    console.log(info(`Ativação (${activation.policy}): ativados ${activation.activated.length}` +
+      ` | desativados ${activation.deactivated.length} | sem alteração ${activation.unchanged}`));
+    activation.collisions.forEach(c => {
+      console.log(warning(`Mantido inativo: ${c.name} (${c.node}: ${c.method} /${c.path} já usado por ${c.conflictsWith})`));
+    });
+    if (activation.failed.length > 0) {
+      console.log(error(`Falhas de ativação: ${activation.failed.length}`));
+      activation.failed.forEach(f => console.log(error(`  ${f.name} (${f.action}): ${f.error}`)));
+    }
+  }
+
   if (result.dryRun) {
     console.log(info(t('messages.dryRunComplete')));
   }
 
+  if (result.plan) {
+    console.log(info(`Plano de deploy salvo: ${result.plan}`));
+    console.log(info(`Após a revisão: npm run transfer -- --apply-plan ${result.plan}`));
+  }
+
+  if (result.cancelled && result.journal) {
+    console.log(info(`Para continuar: npm run transfer -- --resume ${result.journal.path}`));
+  }
+
   if (result.reports && result.reports.length > 0) {
     console.log('');
     console.log('📊 Relatórios gerados:');
@@ -27,7 +27,7 @@ async function validate() {
     // Modo não-interativo
     const options = {
       filters: {},
-      validators: (getFlag('validators') || 'integrity-validator,schema-validator').split(',')
+      validators: (getFlag('validators') || 'integrity-validator,schema-validator,webhook-collision-validator').split(',')
     };
 
     if (getFlag('filters.tags')) {
@@ -73,7 +73,8 @@ async function validate() {
   // Escolher validators
   options.validators = await multiSelect('Selecione validators:', [
     { name: 'Integrity Validator', value: 'integrity-validator', checked: true },
-    { name: 'Schema Validator', value: 'schema-validator', checked: true }
+    { name: 'Schema Validator', value: 'schema-validator', checked: true },
+    { name: 'Webhook Collision Validator', value: 'webhook-collision-validator', checked: true }
   ]);
 
   if (options.validators.length === 0) {
@@ -12,18 +12,31 @@ function isNonInteractive() {
 
 /**
  * Obtém valor de flag da linha de comando
+ *
+ * Aceita `--flag=valor` e `--flag valor`.
+ *
  * @param {string} flagName - Nome da flag (ex: 'filters.tags')
  * @returns {string|null} Valor da flag ou null
  *
  * @example
  * // node script.js --filters.tags=production,staging
  * getFlag('filters.tags') // => 'production,staging'
+ *
+ * @example
+ * // node script.js --resume journals/transfer-2025-10-01.jsonl
+ * getFlag('resume') // => 'journals/transfer-2025-10-01.jsonl'
  */
 function getFlag(flagName) {
   const arg = process.argv.find(a => a.startsWith(`--${flagName}=`));
-  if (!arg) return null;
+  if (arg) {
+    return arg.split('=')[1];
+  }
+
+  const index = process.argv.indexOf(`--${flagName}`);
+  const value = index !== -1 ? process.argv[index + 1] : undefined;
+  if (!value || value.startsWith('--')) return null;
 
-  return arg.split('=')[1];
+  return value;
 }
 
 /**
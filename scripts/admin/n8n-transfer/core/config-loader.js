@@ -16,6 +16,8 @@ const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
+const ProfileManager = require('../../../../src/utils/profile-manager');
+const SecretStore = require('../../../../src/utils/secret-store');
 
 // =============================================================================
 // ZOD VALIDATION SCHEMA
@@ -105,10 +107,15 @@ class ConfigLoader {
    * Create a ConfigLoader instance
    *
    * @param {string} [envPath='.env'] - Path to .env file (relative to project root)
+   * @param {Object} [options={}] - Additional options
+   * @param {string[]} [options.argv=process.argv.slice(2)] - Arguments with --profile / --from / --to
+   * @param {ProfileManager} [options.profileManager] - Named environment profiles
    */
-  constructor(envPath = '.env') {
+  constructor(envPath = '.env', options = {}) {
     this.envPath = path.resolve(process.cwd(), envPath);
     this.config = null;
+    this.argv = options.argv || process.argv.slice(2);
+    this.profileManager = options.profileManager || null;
   }
 
   /**
@@ -117,8 +124,14 @@ class ConfigLoader {
    * Reads the .env file, extracts N8N transfer variables, validates them using Zod schema,
    * and warns if SOURCE_N8N_URL equals TARGET_N8N_URL.
    *
+   * Named profiles given with --profile / --from / --to (see `docs-jana profiles`)
+   * replace the SOURCE / TARGET variables of the .env file, which is then optional.
+   * API keys stored as references ("secret:NAME") are read from the encrypted
+   * secrets store (see `docs-jana secrets`).
+   *
    * @returns {TransferConfig} Validated configuration object
-   * @throws {Error} If .env file doesn't exist
+   * @throws {Error} If .env file doesn't exist and no profile was selected
+   * @throws {Error} If a selected profile doesn't exist
    * @throws {Error} If required variables are missing
    * @throws {z.ZodError} If validation fails
    *
@@ -128,31 +141,43 @@ class ConfigLoader {
    * console.log('Source URL:', config.SOURCE_N8N_URL);
    */
   load() {
+    const { selection } = ProfileManager.extractFlags(this.argv);
+    const useProfiles = ProfileManager.hasSelection(selection);
+
     // Check if .env file exists
-    if (!fs.existsSync(this.envPath)) {
+    if (!fs.existsSync(this.envPath) && !useProfiles) {
       throw new Error(
         `Arquivo .env não encontrado em: ${this.envPath}\n\n` +
         'Crie um arquivo .env com as seguintes variáveis:\n' +
         '  SOURCE_N8N_URL=https://source.n8n.io\n' +
         '  SOURCE_N8N_API_KEY=seu_api_key_fonte\n' +
         '  TARGET_N8N_URL=https://target.n8n.io\n' +
-        '  TARGET_N8N_API_KEY=seu_api_key_destino'
+        '  TARGET_N8N_API_KEY=seu_api_key_destino\n\n' +
+        'Ou use profiles: --from <profile> --to <profile> (docs-jana profiles --help)'
       );
     }
 
     // Load .env file
-    const result = dotenv.config({ path: this.envPath });
+    if (fs.existsSync(this.envPath)) {
+      const result = dotenv.config({ path: this.envPath });
+
+      if (result.error) {
+        throw new Error(`Erro ao carregar .env: ${result.error.message}`);
+      }
+    }
 
-    if (result.error) {
-      throw new Error(`Erro ao carregar .env: ${result.error.message}`);
+    // Profiles override the .env values
+    if (useProfiles) {
+      const profileManager = this.profileManager || new ProfileManager();
+      profileManager.apply(selection, process.env);
     }
 
     // Extract N8N transfer variables
     const rawConfig = {
       SOURCE_N8N_URL: process.env.SOURCE_N8N_URL,
-      SOURCE_N8N_API_KEY: process.env.SOURCE_N8N_API_KEY,
+      SOURCE_N8N_API_KEY: SecretStore.resolveValue(process.env.SOURCE_N8N_API_KEY),
       TARGET_N8N_URL: process.env.TARGET_N8N_URL,
-      TARGET_N8N_API_KEY: process.env.TARGET_N8N_API_KEY,
+      TARGET_N8N_API_KEY: SecretStore.resolveValue(process.env.TARGET_N8N_API_KEY),
     };
 
     // Validate configuration using Zod
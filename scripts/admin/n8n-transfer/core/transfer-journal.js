@@ -0,0 +1,257 @@
+/**
+ * @fileoverview TransferJournal - Journal de checkpoint para transferências retomáveis
+ *
+ * Registra o resultado de cada workflow assim que ele termina de ser processado,
+ * em um arquivo JSON Lines (uma linha por evento, gravada de forma síncrona).
+ * Se a transferência for interrompida (Ctrl+C, crash, queda de rede), o journal
+ * permite retomar de onde parou sem recriar workflows já transferidos.
+ *
+ * Formato do arquivo (uma linha JSON por evento):
+ * - `{ "type": "start", "version": 1, "source": "...", "target": "...", "options": {...}, "at": "..." }`
+ * - `{ "type": "item", "sourceId": "...", "name": "...", "status": "transferred", "targetId": "...", "at": "..." }`
+ * - `{ "type": "resume", "at": "..." }`
+ * - `{ "type": "end", "status": "completed|cancelled|failed", "at": "..." }`
+ *
+ * Uma última linha truncada (crash durante a escrita) é ignorada na leitura.
+ *
+ * @module core/transfer-journal
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versão do formato do journal
+ * @type {number}
+ */
+const JOURNAL_VERSION = 1;
+
+/**
+ * Diretório padrão dos journals (ao lado de reports/ e logs/)
+ * @type {string}
+ */
+const DEFAULT_JOURNAL_DIR = path.join(__dirname, '..', 'journals');
+
+/**
+ * Status de item considerados concluídos (não são reprocessados ao retomar)
+ * @type {string[]}
+ */
+const COMPLETED_STATUSES = ['transferred', 'updated', 'skipped'];
+
+/**
+ * TransferJournal - journal append-only de uma transferência
+ *
+ * @class
+ * @example
+ * // Nova transferência
+ * const journal = TransferJournal.create({ source, target });
+ * journal.recordItem({ sourceId: '1', name: 'WF', status: 'transferred', targetId: '99' });
+ * journal.finish('completed');
+ *
+ * @example
+ * // Retomar transferência interrompida
+ * const journal = TransferJournal.open('journals/transfer-2025-10-01T14-30-00.jsonl');
+ * journal.isCompleted('1'); // true
+ */
+class TransferJournal {
+  /**
+   * Cria uma instância do TransferJournal
+   *
+   * Use TransferJournal.create() ou TransferJournal.open().
+   *
+   * @param {string} filePath - Caminho do arquivo de journal
+   * @param {Object} header - Evento 'start' do journal
+   * @param {Map<string, Object>} [items] - Último resultado registrado por sourceId
+   */
+  constructor(filePath, header, items = new Map()) {
+    this.filePath = filePath;
+    this.header = header;
+    this.items = items;
+  }
+
+  /**
+   * Cria um novo journal e grava o evento 'start'
+   *
+   * @param {Object} metadata - Metadados da transferência
+   * @param {string} metadata.source - URL do SOURCE
+   * @param {string} metadata.target - URL do TARGET
+   * @param {Object} [metadata.options] - Opções da transferência (reutilizadas ao retomar pela CLI)
+   * @param {string} [filePath] - Caminho do journal (padrão: journals/transfer-<timestamp>.jsonl)
+   * @returns {TransferJournal} Journal criado
+   */
+  static create({ source, target, options = {} }, filePath = null) {
+    const journalPath = filePath || TransferJournal.defaultPath();
+    const header = { type: 'start', version: JOURNAL_VERSION, source, target, options, at: new Date().toISOString() };
+
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.writeFileSync(journalPath, JSON.stringify(header) + '\n', 'utf8');
+
+    return new TransferJournal(journalPath, header);
+  }
+
+  /**
+   * Abre um journal existente para retomar a transferência
+   *
+   * @param {string} filePath - Caminho do journal
+   * @returns {TransferJournal} Journal com os resultados já registrados
+   * @throws {Error} Se o arquivo não existir ou não for um journal válido
+   */
+  static open(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Transfer journal not found: ${filePath}`);
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+    const events = [];
+
+    lines.forEach((line, index) => {
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // Apenas a última linha pode estar truncada (interrupção durante a escrita)
+        if (index !== lines.length - 1) {
+          throw new Error(`Invalid transfer journal ${filePath} (line ${index + 1}): ${error.message}`);
+        }
+      }
+    });
+
+    const header = events[0];
+    if (!header || header.type !== 'start') {
+      throw new Error(`Invalid transfer journal ${filePath}: missing start event`);
+    }
+
+    if (header.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported transfer journal version ${header.version} (expected ${JOURNAL_VERSION})`);
+    }
+
+    const items = new Map();
+    for (const event of events) {
+      if (event.type === 'item' && event.sourceId !== undefined) {
+        items.set(String(event.sourceId), event);
+      }
+    }
+
+    return new TransferJournal(filePath, header, items);
+  }
+
+  /**
+   * Caminho padrão para um novo journal
+   *
+   * @param {Date} [date] - Data da transferência (padrão: agora)
+   * @returns {string} Caminho do arquivo
+   */
+  static defaultPath(date = new Date()) {
+    const timestamp = date.toISOString().replace(/[:.]/g, '-').replace('Z', '');
+    return path.join(DEFAULT_JOURNAL_DIR, `transfer-${timestamp}.jsonl`);
+  }
+
+  /**
+   * Verifica se o journal pertence ao mesmo par SOURCE/TARGET
+   *
+   * @param {string} source - URL do SOURCE atual
+   * @param {string} target - URL do TARGET atual
+   * @throws {Error} Se SOURCE ou TARGET forem diferentes dos registrados
+   */
+  assertSameServers(source, target) {
+    if (this.header.source !== source || this.header.target !== target) {
+      throw new Error(
+        `Transfer journal ${this.filePath} was recorded for ${this.header.source} → ${this.header.target}, ` +
+        `not ${source} → ${target}`
+      );
+    }
+  }
+
+  /**
+   * Registra o resultado de um workflow
+   *
+   * Gravação síncrona: o resultado está no disco antes do próximo workflow.
+   *
+   * @param {Object} result - Resultado de TransferManager._processWorkflow
+   */
+  recordItem(result) {
+    const event = {
+      type: 'item',
+      sourceId: String(result.sourceId),
+      name: result.name,
+      status: result.status,
+      targetId: result.targetId !== undefined ? String(result.targetId) : undefined,
+      reason: result.reason,
+      error: result.error,
+      at: new Date().toISOString()
+    };
+
+    this._append(event);
+    this.items.set(event.sourceId, event);
+  }
+
+  /**
+   * Registra que a transferência foi retomada a partir deste journal
+   */
+  recordResume() {
+    this._append({ type: 'resume', completed: this.getCompletedItems().length, at: new Date().toISOString() });
+  }
+
+  /**
+   * Registra o fim da transferência
+   *
+   * @param {string} status - Status final (completed, cancelled ou failed)
+   */
+  finish(status) {
+    this._append({ type: 'end', status, at: new Date().toISOString() });
+  }
+
+  /**
+   * Verifica se um workflow já foi concluído (transferido ou pulado)
+   *
+   * Workflows que falharam não contam como concluídos e são reprocessados.
+   *
+   * @param {string} sourceId - ID do workflow no SOURCE
+   * @returns {boolean} True se concluído
+   */
+  isCompleted(sourceId) {
+    const item = this.items.get(String(sourceId));
+    return Boolean(item && COMPLETED_STATUSES.includes(item.status));
+  }
+
+  /**
+   * Retorna o resultado registrado de um workflow, no formato de _processWorkflow
+   *
+   * @param {string} sourceId - ID do workflow no SOURCE
+   * @returns {Object|null} Resultado (com resumed: true) ou null
+   */
+  getResult(sourceId) {
+    const item = this.items.get(String(sourceId));
+    if (!item) {
+      return null;
+    }
+
+    const result = { name: item.name, sourceId: item.sourceId, status: item.status, resumed: true };
+    if (item.targetId !== undefined) result.targetId = item.targetId;
+    if (item.reason !== undefined) result.reason = item.reason;
+    if (item.error !== undefined) result.error = item.error;
+
+    return result;
+  }
+
+  /**
+   * Lista os itens concluídos
+   *
+   * @returns {Array<Object>} Eventos 'item' com status concluído
+   */
+  getCompletedItems() {
+    return [...this.items.values()].filter(item => COMPLETED_STATUSES.includes(item.status));
+  }
+
+  /**
+   * Acrescenta um evento ao arquivo
+   *
+   * @private
+   * @param {Object} event - Evento a gravar
+   */
+  _append(event) {
+    fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n', 'utf8');
+  }
+}
+
+module.exports = TransferJournal;
+module.exports.DEFAULT_JOURNAL_DIR = DEFAULT_JOURNAL_DIR;
@@ -10,12 +10,26 @@
  * @requires ./http-client
  * @requires ./logger
  * @requires ./types
+ * @requires ../../../../src/services/id-mapping-service
+ * @requires ../../../../src/services/workflow-id-remapper
+ * @requires ../../../../src/services/credential-mapper
+ * @requires ../plugins/validators/credential-validator
+ * @requires ./transfer-journal
  */
 
 const path = require('path');
 const ConfigLoader = require('./config-loader');
 const PluginRegistry = require('./plugin-registry');
 const { N8NHttpClient } = require('../../../../src/core/http');
+const IDMappingService = require('../../../../src/services/id-mapping-service');
+const WorkflowIDRemapper = require('../../../../src/services/workflow-id-remapper');
+const WorkflowDependencyGraph = require('../../../../src/services/workflow-dependency-graph');
+const CredentialMapper = require('../../../../src/services/credential-mapper');
+const DeploymentPlanService = require('../../../../src/services/deployment-plan-service');
+const WorkflowActivationService = require('../../../../src/services/workflow-activation-service');
+const SecretScanner = require('../../../../src/services/secret-scanner');
+const CredentialValidator = require('../plugins/validators/credential-validator');
+const TransferJournal = require('./transfer-journal');
 const Logger = require('./logger');
 const { validateTransferOptions } = require('./types');
 
@@ -31,6 +45,61 @@ const TransferStatus = {
   FAILED: 'failed'
 };
 
+/**
+ * Modos de transferência (options.mode)
+ *
+ * - create-only: workflows que já existem no TARGET são pulados
+ * - upsert: workflows que já existem no TARGET são atualizados
+ * - mirror: upsert + workflows do TARGET ausentes no SOURCE são removidos ou arquivados
+ *
+ * @enum {string}
+ */
+const TransferMode = {
+  CREATE_ONLY: 'create-only',
+  UPSERT: 'upsert',
+  MIRROR: 'mirror'
+};
+
+/**
+ * Status de resultado contados no progresso (e no summary)
+ * @type {string[]}
+ */
+const COUNTED_STATUSES = ['transferred', 'updated', 'skipped', 'failed', 'deleted', 'archived'];
+
+/**
+ * Prefixo do nome de workflows arquivados pelo modo mirror
+ * @type {string}
+ */
+const ARCHIVE_PREFIX = '[ARCHIVED] ';
+
+/**
+ * Status de resultado com ID no TARGET que entram no mapeamento SOURCE → TARGET
+ * @type {string[]}
+ */
+const MAPPED_STATUSES = ['transferred', 'updated', 'skipped'];
+
+/**
+ * Ação do plano de deploy correspondente a cada status de resultado
+ * @type {Object<string, string>}
+ */
+const PLAN_ACTIONS = {
+  transferred: 'create',
+  updated: 'update',
+  skipped: 'skip',
+  failed: 'skip',
+  deleted: 'delete',
+  archived: 'archive'
+};
+
+/**
+ * Opções de transferência gravadas no plano e reaplicadas com applyPlan
+ * @type {string[]}
+ */
+const PLAN_OPTIONS = [
+  'mode', 'mirrorAction', 'filters', 'deduplicator', 'validators',
+  'skipCredentials', 'credentialMappingFile', 'skipRemap', 'activation'
+];
+
 /**
  * TransferManager - Orquestrador central do sistema de transferência
  *
@@ -210,8 +279,11 @@ class TransferManager {
       total: 0,
       processed: 0,
       transferred: 0,
+      updated: 0,
       skipped: 0,
       failed: 0,
+      deleted: 0,
+      archived: 0,
       percentage: 0,
       status: TransferStatus.IDLE
     };
@@ -240,6 +312,56 @@ class TransferManager {
       validators: [],
       reporters: []
     };
+
+    /**
+     * Mapeamento de credenciais SOURCE → TARGET da transferência atual
+     * @private
+     * @type {CredentialMapper|null}
+     */
+    this._credentialMapper = null;
+
+    /**
+     * Journal de checkpoint da transferência atual (null em dry-run sem resume)
+     * @private
+     * @type {TransferJournal|null}
+     */
+    this._journal = null;
+
+    /**
+     * Se resultados devem ser gravados no journal (false em dry-run)
+     * @private
+     * @type {boolean}
+     */
+    this._journalWritable = false;
+
+    /**
+     * Grafo de chamadas entre os workflows da transferência atual
+     * @private
+     * @type {WorkflowDependencyGraph|null}
+     */
+    this._dependencyGraph = null;
+
+    /**
+     * IDs no TARGET já conhecidos (sourceId → targetId), usados para remapear
+     * referências antes de criar cada workflow
+     * @private
+     * @type {Map<string, string>}
+     */
+    this._targetIds = new Map();
+
+    /**
+     * Referências resolvidas na criação (sourceId → IDs referenciados)
+     * @private
+     * @type {Map<string, Set<string>>}
+     */
+    this._resolvedOnCreate = new Map();
+
+    /**
+     * IDs do TARGET que o plano aprovado remove ou arquiva (null sem applyPlan)
+     * @private
+     * @type {Set<string>|null}
+     */
+    this._planRemovals = null;
   }
 
   /**
@@ -301,8 +423,17 @@ class TransferManager {
    * - Valida opções e conectividade (Task 20)
    * - Carrega plugins apropriados (Task 21)
    * - Busca workflows com filtros aplicados (Task 21)
+   * - Mapeia credenciais do SOURCE para credenciais existentes no TARGET
    * - Executa deduplicação e validação (Task 22)
-   * - Transfere workflows (ou simula em dry-run) (Task 22)
+   * - Registra cada resultado no journal de checkpoint (retomável com options.resume)
+   * - Transfere workflows (ou simula em dry-run) (Task 22); em upsert/mirror,
+   *   atualiza os que já existem no TARGET
+   * - Remapeia referências de sub-workflows e re-envia os afetados
+   * - Em mirror, remove ou arquiva workflows do TARGET ausentes no SOURCE
+   * - Aplica a política de ativação (options.activation) aos workflows
+   *   criados e atualizados, depois do remapeamento de referências
+   * - Grava o plano de deploy (dry-run com planFile) ou executa um plano
+   *   aprovado (applyPlan), recusando-o se SOURCE ou TARGET mudaram
    * - Gera relatórios (Task 23)
    *
    * @async
@@ -339,6 +470,28 @@ class TransferManager {
    * });
    * console.log(`[DRY-RUN] Would transfer ${result.transferred} workflows`);
    * console.log(`Dry-run flag: ${result.dryRun}`); // true
+   *
+   * @example
+   * // Retomar transferência interrompida (Ctrl+C ou crash)
+   * const result = await manager.transfer({
+   *   resume: 'journals/transfer-2025-10-01T14-30-00-000.jsonl'
+   * });
+   * console.log(`${result.journal.resumed} workflows already done in the previous run`);
+   *
+   * @example
+   * // Espelhar o SOURCE: atualiza os existentes e arquiva os que sumiram do SOURCE
+   * const result = await manager.transfer({
+   *   filters: { tags: ['production'] },
+   *   mode: 'mirror',
+   *   mirrorAction: 'archive'
+   * });
+   * console.log(`${result.updated} updated, ${result.archived} archived`);
+   *
+   * @example
+   * // Plano para revisão, depois execução exata do plano aprovado
+   * const planned = await manager.transfer({ mode: 'upsert', dryRun: true, planFile: 'plan.json' });
+   * console.log(`Plan saved to ${planned.plan}`);
+   * await manager.transfer({ applyPlan: 'plan.json' });
    */
   async transfer(options = {}) {
     const startTime = Date.now();
@@ -353,6 +506,12 @@ class TransferManager {
       // 1. Validar TransferOptions usando Zod
       const validatedOptions = this._validateTransferOptions(options);
 
+      // 1.1 Plano aprovado: opções do plano (modo, filtros...) substituem as informadas
+      this._planRemovals = null;
+      const plan = validatedOptions.applyPlan
+        ? await this._loadDeploymentPlan(validatedOptions)
+        : null;
+
       // 2. Atualizar status
       this._progress.status = TransferStatus.RUNNING;
 
@@ -375,13 +534,23 @@ class TransferManager {
 
       // PARTE 3: FETCHING DE WORKFLOWS (Task 22)
       this.logger.info('Fetching workflows...');
-      const { sourceWorkflows, targetWorkflows } = await this._fetchWorkflows(validatedOptions);
+      const fetched = await this._fetchWorkflows(validatedOptions);
+      const { targetWorkflows } = fetched;
+      const sourceWorkflows = plan
+        ? this._restrictToPlan(plan, fetched.sourceWorkflows, targetWorkflows)
+        : fetched.sourceWorkflows;
 
       this.logger.info('Workflows fetched successfully', {
         sourceCount: sourceWorkflows.length,
         targetCount: targetWorkflows.length
       });
 
+      // Secrets redigidos (--redact-secrets) enviados ao SOURCE substituiriam os valores reais no TARGET
+      const redacted = SecretScanner.findRedacted(sourceWorkflows);
+      if (redacted.length > 0) {
+        throw SecretScanner.redactedError(redacted);
+      }
+
       // Verificar se há workflows para processar
       if (sourceWorkflows.length === 0) {
         this.logger.warn('No workflows found matching filters. Transfer aborted.');
@@ -393,21 +562,40 @@ class TransferManager {
         return this._buildTransferSummary([], 0, validatedOptions);
       }
 
+      // PARTE 3.1: MAPEAMENTO DE CREDENCIAIS
+      const credentialResult = await this._prepareCredentialMapping(
+        sourceWorkflows,
+        targetWorkflows,
+        plugins,
+        validatedOptions
+      );
+      this._prepareWorkflowValidators(plugins.validators, sourceWorkflows, targetWorkflows);
+
+      // PARTE 3.2: JOURNAL DE CHECKPOINT (novo ou retomado)
+      this._openJournal(validatedOptions);
+
       // PARTE 4: LOOP PRINCIPAL DE PROCESSAMENTO
       this.logger.info('Starting workflow processing...');
 
       // Inicializar progresso
       this._progress.total = sourceWorkflows.length;
       this._progress.processed = 0;
-      this._progress.transferred = 0;
-      this._progress.skipped = 0;
-      this._progress.failed = 0;
+      COUNTED_STATUSES.forEach(status => { this._progress[status] = 0; });
+      this._targetIds = new Map();
+      this._resolvedOnCreate = new Map();
+
+      // Workflows concluídos em uma execução anterior não são reprocessados
+      const { pendingWorkflows: unorderedWorkflows, resumedResults } = this._splitResumed(sourceWorkflows);
+      resumedResults.forEach(result => this._trackTargetId(result));
+
+      // Sub-workflows chamados são criados antes de quem os chama
+      const pendingWorkflows = this._orderByDependencies(sourceWorkflows, unorderedWorkflows);
 
       // Processar workflows (sequencial ou paralelo)
       let processedWorkflows;
       if (validatedOptions.parallelism > 1) {
         processedWorkflows = await this._processWorkflowsBatch(
-          sourceWorkflows,
+          pendingWorkflows,
           targetWorkflows,
           plugins,
           validatedOptions
@@ -415,27 +603,66 @@ class TransferManager {
       } else {
         // Fallback para sequencial (parallelism = 1)
         processedWorkflows = await this._processWorkflowsSequential(
-          sourceWorkflows,
+          pendingWorkflows,
           targetWorkflows,
           plugins,
           validatedOptions
         );
       }
+      processedWorkflows = resumedResults.concat(processedWorkflows);
+
+      // PARTE 5: REMAPEAMENTO DE REFERÊNCIAS (mesmas fases do n8n:upload)
+      const remapResult = await this._remapWorkflowReferences(
+        sourceWorkflows,
+        processedWorkflows,
+        validatedOptions
+      );
+
+      // PARTE 6: ESPELHAMENTO (mode = mirror)
+      let mirrorResult = null;
+      if (validatedOptions.mode === TransferMode.MIRROR) {
+        mirrorResult = await this._mirrorTarget(sourceWorkflows, targetWorkflows, processedWorkflows, plugins, validatedOptions);
+        processedWorkflows = processedWorkflows.concat(mirrorResult.workflows);
+      }
+
+      // PARTE 7: ATIVAÇÃO (depois do remapeamento; falhas reportadas à parte)
+      let activationResult = null;
+      if (validatedOptions.activation && !this._cancelRequested) {
+        activationResult = await this._applyActivationPolicy(sourceWorkflows, targetWorkflows, processedWorkflows, validatedOptions);
+      }
 
       // Finalizar
       const duration = Date.now() - startTime;
       this._progress.status = this._cancelRequested ? TransferStatus.CANCELLED : TransferStatus.COMPLETED;
 
       this.logger.info('Transfer completed', {
+        mode: validatedOptions.mode,
         total: this._progress.total,
         transferred: this._progress.transferred,
+        updated: this._progress.updated,
         skipped: this._progress.skipped,
         failed: this._progress.failed,
+        deleted: this._progress.deleted,
+        archived: this._progress.archived,
         duration: `${duration}ms`
       });
 
       // Construir summary
-      const summary = this._buildTransferSummary(processedWorkflows, duration, validatedOptions);
+      const summary = this._buildTransferSummary(
+        processedWorkflows,
+        duration,
+        validatedOptions,
+        remapResult,
+        credentialResult,
+        mirrorResult,
+        activationResult
+      );
+      summary.journal = this._finishJournal(this._progress.status, resumedResults.length);
+
+      // Plano de deploy para revisão (dry-run)
+      if (validatedOptions.planFile && validatedOptions.dryRun) {
+        summary.plan = await this._writeDeploymentPlan(sourceWorkflows, targetWorkflows, processedWorkflows, validatedOptions);
+      }
 
       // Mensagem final de dry-run
       if (validatedOptions.dryRun) {
@@ -469,6 +696,7 @@ class TransferManager {
     } catch (error) {
       this._progress.status = TransferStatus.FAILED;
       this.logger.error('Transfer operation failed', { error: error.message });
+      this._finishJournal(TransferStatus.FAILED);
 
       // Cleanup signal handlers
       this._removeSignalHandlers();
@@ -654,6 +882,282 @@ class TransferManager {
     }
   }
 
+  /**
+   * Resolve as credenciais usadas pelos workflows do SOURCE no TARGET
+   *
+   * Credenciais são casadas por nome + tipo ou pelo arquivo de mapeamento
+   * explícito (options.credentialMappingFile). Credenciais sem correspondente
+   * viram findings do credential-validator, que é adicionado automaticamente
+   * aos validators da transferência quando o TARGET lista suas credenciais pela API.
+   *
+   * @private
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} targetWorkflows - Workflows do TARGET
+   * @param {Object} plugins - Plugins carregados
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Promise<Object|null>} Estatísticas do mapeamento (null se skipCredentials=true)
+   * @throws {Error} Se o arquivo de mapeamento for inválido
+   */
+  async _prepareCredentialMapping(sourceWorkflows, targetWorkflows, plugins, options) {
+    this._credentialMapper = null;
+
+    // Workflows com credenciais serão pulados - não há o que mapear
+    if (options.skipCredentials) {
+      return null;
+    }
+
+    const mapper = new CredentialMapper(this.logger);
+
+    if (options.credentialMappingFile) {
+      await mapper.loadMappingFile(options.credentialMappingFile);
+    }
+
+    const references = mapper.extractCredentialReferences(sourceWorkflows);
+    const credentialResult = {
+      references: references.length,
+      matched: 0,
+      unmatched: [],
+      targetSource: null
+    };
+
+    if (references.length > 0) {
+      this.logger.info(`Mapping ${references.length} credential reference(s) to TARGET...`);
+
+      const { credentials, source } = await this._fetchTargetCredentials(mapper, targetWorkflows);
+      const { matched, unmatched } = mapper.buildMapping(references, credentials);
+
+      credentialResult.matched = matched.length;
+      credentialResult.unmatched = unmatched;
+      credentialResult.targetSource = source;
+    }
+
+    this._credentialMapper = mapper;
+
+    // Lista derivada dos workflows do TARGET é incompleta: credenciais sem uso lá
+    // não aparecem, então não há como afirmar que estão ausentes
+    if (credentialResult.targetSource === 'workflows') {
+      if (credentialResult.unmatched.length > 0) {
+        this.logger.warn(`${credentialResult.unmatched.length} credential(s) not found among TARGET workflows; ` +
+          'transferring with original references (see report)');
+      }
+      return credentialResult;
+    }
+
+    // Garantir que credenciais sem correspondente apareçam como finding de validação
+    let validator = plugins.validators.find(v => v.getName() === 'credential-validator');
+    if (!validator) {
+      validator = new CredentialValidator();
+      plugins.validators.push(validator);
+    }
+    validator.setCredentialMapper(mapper);
+
+    return credentialResult;
+  }
+
+  /**
+   * Injeta os workflows do SOURCE e do TARGET nos validators que comparam workflows
+   *
+   * Validators que implementam setWorkflows() (ex.: webhook-collision-validator)
+   * validam cada workflow contra os demais, e não só isoladamente.
+   *
+   * @private
+   * @param {Array} validators - Validators carregados
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} targetWorkflows - Workflows do TARGET
+   */
+  _prepareWorkflowValidators(validators, sourceWorkflows, targetWorkflows) {
+    for (const validator of validators) {
+      if (typeof validator.setWorkflows === 'function') {
+        validator.setWorkflows(sourceWorkflows, targetWorkflows);
+      }
+    }
+  }
+
+  /**
+   * Busca credenciais do TARGET
+   *
+   * Usa a listagem da API quando disponível; versões do N8N sem esse endpoint
+   * caem para as credenciais referenciadas pelos workflows do TARGET.
+   *
+   * @private
+   * @param {CredentialMapper} mapper - Mapper usado no fallback
+   * @param {Array} targetWorkflows - Workflows do TARGET
+   * @returns {Promise<{credentials: Array, source: string}>} Credenciais e origem ('api' ou 'workflows')
+   */
+  async _fetchTargetCredentials(mapper, targetWorkflows) {
+    try {
+      const credentials = await this.targetClient.getCredentials();
+      this.logger.debug(`Fetched ${credentials.length} credentials from TARGET`);
+      return { credentials, source: 'api' };
+    } catch (error) {
+      this.logger.warn('Could not list TARGET credentials via API, using credentials referenced by TARGET workflows', {
+        error: error.message
+      });
+      return { credentials: mapper.collectCredentialsFromWorkflows(targetWorkflows), source: 'workflows' };
+    }
+  }
+
+  /**
+   * Reescreve node.credentials com os IDs do TARGET (se houver mapeamento ativo)
+   *
+   * @private
+   * @param {Object} workflow - Workflow do SOURCE
+   * @returns {Object} Workflow com credenciais remapeadas (clone) ou o próprio workflow
+   */
+  _applyCredentialMapping(workflow) {
+    if (!this._credentialMapper) {
+      return workflow;
+    }
+
+    return this._credentialMapper.remapWorkflowCredentials(workflow);
+  }
+
+  /**
+   * Abre o journal de checkpoint da transferência
+   *
+   * Com options.resume, carrega o journal existente (que continua recebendo os
+   * novos resultados); caso contrário cria um novo em options.journal ou em
+   * journals/. Em dry-run nada é gravado.
+   *
+   * @private
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @throws {Error} Se o journal de resume for inválido ou de outro SOURCE/TARGET
+   */
+  _openJournal(options) {
+    this._journal = null;
+    this._journalWritable = !options.dryRun;
+
+    if (options.resume) {
+      this._journal = TransferJournal.open(options.resume);
+      this._journal.assertSameServers(this.config.SOURCE.url, this.config.TARGET.url);
+
+      this.logger.info(`Resuming transfer from journal: ${options.resume}`, {
+        completed: this._journal.getCompletedItems().length
+      });
+
+      if (this._journalWritable) {
+        this._journal.recordResume();
+      }
+      return;
+    }
+
+    if (!this._journalWritable) {
+      return;
+    }
+
+    this._journal = TransferJournal.create(
+      {
+        source: this.config.SOURCE.url,
+        target: this.config.TARGET.url,
+        options: this._journalOptions(options)
+      },
+      options.journal
+    );
+    this.logger.info(`Transfer journal: ${this._journal.filePath}`);
+  }
+
+  /**
+   * Opções gravadas no journal, para que a CLI possa retomar com as mesmas escolhas
+   *
+   * @private
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Object} Opções sem dryRun/journal/resume
+   */
+  _journalOptions(options) {
+    const journalOptions = { ...options };
+    delete journalOptions.dryRun;
+    delete journalOptions.journal;
+    delete journalOptions.resume;
+    return journalOptions;
+  }
+
+  /**
+   * Separa workflows já concluídos no journal dos que ainda precisam ser processados
+   *
+   * Resultados retomados entram nos contadores de progresso e no summary
+   * (e portanto nos relatórios e no mapeamento de IDs).
+   *
+   * @private
+   * @param {Array} workflows - Workflows do SOURCE (após filtros)
+   * @returns {{pendingWorkflows: Array, resumedResults: Array}} Workflows pendentes e resultados retomados
+   */
+  _splitResumed(workflows) {
+    if (!this._journal) {
+      return { pendingWorkflows: workflows, resumedResults: [] };
+    }
+
+    const pendingWorkflows = [];
+    const resumedResults = [];
+
+    for (const workflow of workflows) {
+      if (!this._journal.isCompleted(workflow.id)) {
+        pendingWorkflows.push(workflow);
+        continue;
+      }
+
+      const result = this._journal.getResult(workflow.id);
+      resumedResults.push(result);
+
+      this._countResult(result);
+      this._progress.processed++;
+    }
+
+    if (resumedResults.length > 0) {
+      this.logger.info(`Skipping ${resumedResults.length} workflow(s) completed in the previous run`);
+      this._updateProgress();
+    }
+
+    return { pendingWorkflows, resumedResults };
+  }
+
+  /**
+   * Grava o resultado de um workflow no journal (se houver)
+   *
+   * Falhas de escrita não interrompem a transferência.
+   *
+   * @private
+   * @param {Object} result - Resultado de _processWorkflow
+   */
+  _recordJournal(result) {
+    if (!this._journal || !this._journalWritable) {
+      return;
+    }
+
+    try {
+      this._journal.recordItem(result);
+    } catch (error) {
+      this.logger.warn(`Could not write transfer journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra o fim da transferência no journal
+   *
+   * @private
+   * @param {string} status - Status final da transferência
+   * @param {number} [resumed=0] - Workflows retomados de uma execução anterior
+   * @returns {Object|null} Informações do journal para o summary
+   */
+  _finishJournal(status, resumed = 0) {
+    if (!this._journal) {
+      return null;
+    }
+
+    if (this._journalWritable) {
+      try {
+        this._journal.finish(status);
+      } catch (error) {
+        this.logger.warn(`Could not write transfer journal: ${error.message}`);
+      }
+
+      if (status !== TransferStatus.COMPLETED) {
+        this.logger.info(`To continue this transfer, resume from journal: ${this._journal.filePath}`);
+      }
+    }
+
+    return { path: this._journal.filePath, resumed };
+  }
+
   /**
    * Aplica filtros a lista de workflows
    *
@@ -723,20 +1227,22 @@ class TransferManager {
       try {
         const result = await this._processWorkflow(workflow, targetWorkflows, plugins, options);
         processedWorkflows.push(result);
+        this._recordJournal(result);
+        this._trackTargetId(result);
 
         // Atualizar contadores
-        if (result.status === 'transferred') this._progress.transferred++;
-        else if (result.status === 'skipped') this._progress.skipped++;
-        else if (result.status === 'failed') this._progress.failed++;
+        this._countResult(result);
 
       } catch (error) {
         this.logger.error(`Failed to process workflow: ${workflow.name}`, { error: error.message });
-        processedWorkflows.push({
+        const failed = {
           name: workflow.name,
           sourceId: workflow.id,
           status: 'failed',
           error: error.message
-        });
+        };
+        processedWorkflows.push(failed);
+        this._recordJournal(failed);
         this._progress.failed++;
       }
 
@@ -750,6 +1256,10 @@ class TransferManager {
 
   /**
    * Processa workflows em batches paralelos
+   *
+   * Um batch nunca mistura níveis de dependência: quando um workflow é criado,
+   * os sub-workflows que ele chama já foram processados em batches anteriores.
+   *
    * @private
    * @param {Array} workflows - Workflows a processar
    * @param {Array} targetWorkflows - Workflows do TARGET
@@ -764,15 +1274,17 @@ class TransferManager {
     this.logger.info(`Processing workflows with parallelism: ${parallelism}`);
 
     // Processar em batches
-    for (let i = 0; i < workflows.length; i += parallelism) {
+    const batches = this._buildBatches(workflows, parallelism);
+
+    for (let i = 0; i < batches.length; i++) {
       // Verificar cancelamento
       if (this._cancelRequested) {
         this.logger.warn('Transfer cancelled by user');
         break;
       }
 
-      const batch = workflows.slice(i, i + parallelism);
-      this.logger.debug(`Processing batch ${Math.floor(i / parallelism) + 1}: ${batch.length} workflow(s)`);
+      const batch = batches[i];
+      this.logger.debug(`Processing batch ${i + 1}: ${batch.length} workflow(s)`);
 
       // Processar batch em paralelo
       const batchPromises = batch.map(workflow =>
@@ -787,6 +1299,11 @@ class TransferManager {
               error: error.message
             };
           })
+          .then(result => {
+            // Registrado assim que termina, sem esperar o restante do batch
+            this._recordJournal(result);
+            return result;
+          })
       );
 
       // Aguardar batch completar
@@ -795,10 +1312,8 @@ class TransferManager {
       // Atualizar contadores e progresso
       for (const result of batchResults) {
         processedWorkflows.push(result);
-
-        if (result.status === 'transferred') this._progress.transferred++;
-        else if (result.status === 'skipped') this._progress.skipped++;
-        else if (result.status === 'failed') this._progress.failed++;
+        this._trackTargetId(result);
+        this._countResult(result);
 
         this._progress.processed++;
         this._updateProgress();
@@ -811,6 +1326,10 @@ class TransferManager {
   /**
    * Processa um workflow individual
    *
+   * Workflows que o deduplicator encontra no TARGET são pulados em create-only;
+   * em upsert/mirror passam pelas mesmas validações e atualizam o workflow
+   * encontrado (status 'updated', ou 'skipped' se já estiver igual ao SOURCE).
+   *
    * @private
    * @param {Object} workflow - Workflow a processar
    * @param {Array} targetWorkflows - Workflows do TARGET
@@ -823,16 +1342,32 @@ class TransferManager {
 
     // ETAPA 1: Deduplication Check
     const isDuplicate = plugins.deduplicator.isDuplicate(workflow, targetWorkflows);
+    let match = null;
 
     if (isDuplicate) {
       const reason = plugins.deduplicator.getReason();
-      this.logger.info(`Skipping duplicate workflow: ${workflow.name}`, { reason });
-      return {
-        name: workflow.name,
-        sourceId: workflow.id,
-        status: 'skipped',
-        reason: reason || 'Duplicate detected'
-      };
+
+      // O workflow equivalente no TARGET também entra no mapeamento de IDs,
+      // para que referências a ele continuem resolvíveis
+      const duplicate = typeof plugins.deduplicator.getDuplicateWorkflow === 'function'
+        ? plugins.deduplicator.getDuplicateWorkflow()
+        : null;
+
+      if (options.mode === TransferMode.CREATE_ONLY || !duplicate?.id) {
+        this.logger.info(`Skipping duplicate workflow: ${workflow.name}`, { reason });
+
+        return {
+          name: workflow.name,
+          sourceId: workflow.id,
+          targetId: duplicate?.id,
+          status: 'skipped',
+          reason: options.mode === TransferMode.CREATE_ONLY
+            ? reason || 'Duplicate detected'
+            : `${reason || 'Duplicate detected'} (matched TARGET workflow unknown, not updated)`
+        };
+      }
+
+      match = duplicate;
     }
 
     // ETAPA 2: Pre-validation
@@ -863,7 +1398,11 @@ class TransferManager {
       }
     }
 
-    // ETAPA 4: Transfer ou Simulate (dry-run)
+    // ETAPA 4: Update (upsert/mirror), Transfer ou Simulate (dry-run)
+    if (match) {
+      return await this._updateMatchedWorkflow(workflow, match, options);
+    }
+
     if (options.dryRun) {
       this.logger.info(`[DRY-RUN] Would transfer workflow: ${workflow.name}`);
       return {
@@ -876,20 +1415,694 @@ class TransferManager {
     } else {
       // Transfer real
       this.logger.info(`Transferring workflow: ${workflow.name}`);
-      const created = await this.targetClient.createWorkflow(workflow);
+      const { workflow: payload, resolved } = this._remapKnownReferences(this._applyCredentialMapping(workflow));
+      const created = await this.targetClient.createWorkflow(payload);
 
       this.logger.info(`✓ Workflow transferred successfully: ${workflow.name}`, {
         sourceId: workflow.id,
         targetId: created.id
       });
 
-      return {
+      const result = {
         name: workflow.name,
         sourceId: workflow.id,
         targetId: created.id,
         status: 'transferred'
       };
+
+      if (resolved) {
+        this._resolvedOnCreate.set(String(workflow.id), resolved);
+      }
+
+      return result;
+    }
+  }
+
+  /**
+   * Atualiza o workflow do TARGET encontrado pelo deduplicator (upsert/mirror)
+   *
+   * O payload passa pelos mesmos mapeamentos da criação (credenciais e
+   * referências já conhecidas). Workflows iguais ao SOURCE não são re-enviados.
+   *
+   * @private
+   * @param {Object} workflow - Workflow do SOURCE
+   * @param {Object} target - Workflow equivalente no TARGET
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Promise<Object>} Resultado ('updated' ou 'skipped')
+   */
+  async _updateMatchedWorkflow(workflow, target, options) {
+    const { workflow: remapped, resolved } = this._remapKnownReferences(this._applyCredentialMapping(workflow));
+    const payload = this._toUpdatePayload(remapped);
+    const result = {
+      name: workflow.name,
+      sourceId: workflow.id,
+      targetId: target.id
+    };
+
+    if (!this._hasDrifted(payload, target)) {
+      this.logger.info(`Workflow already up to date on TARGET: ${workflow.name}`);
+      return { ...result, status: 'skipped', reason: 'Up to date on TARGET' };
+    }
+
+    if (options.dryRun) {
+      this.logger.info(`[DRY-RUN] Would update workflow: ${workflow.name} (TARGET ${target.id})`);
+      return { ...result, status: 'updated', simulated: true };
+    }
+
+    this.logger.info(`Updating workflow: ${workflow.name}`);
+    await this.targetClient.updateWorkflow(target.id, payload);
+
+    this.logger.info(`✓ Workflow updated successfully: ${workflow.name}`, {
+      sourceId: workflow.id,
+      targetId: target.id
+    });
+
+    if (resolved) {
+      this._resolvedOnCreate.set(String(workflow.id), resolved);
+    }
+
+    return { ...result, status: 'updated' };
+  }
+
+  /**
+   * Verifica se o workflow do TARGET difere do payload de atualização
+   *
+   * Compara apenas os campos enviados no PUT (nome, nodes, conexões, settings,
+   * staticData), sem depender da ordem das chaves. Sem nodes na listagem do
+   * TARGET, considera que houve mudança.
+   *
+   * @private
+   * @param {Object} payload - Payload de _toUpdatePayload
+   * @param {Object} target - Workflow do TARGET
+   * @returns {boolean} True se o workflow precisa ser atualizado
+   */
+  _hasDrifted(payload, target) {
+    if (!Array.isArray(target.nodes)) {
+      return true;
+    }
+
+    return this._canonicalJson(payload) !== this._canonicalJson(this._toUpdatePayload(target));
+  }
+
+  /**
+   * Serializa um valor com as chaves de objetos ordenadas
+   *
+   * @private
+   * @param {*} value - Valor
+   * @returns {string} JSON canônico
+   */
+  _canonicalJson(value) {
+    return JSON.stringify(value, (key, item) => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        return Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]));
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Remove ou arquiva workflows do TARGET ausentes no SOURCE (mode = mirror)
+   *
+   * O escopo são os workflows do TARGET que passam pelos mesmos filtros da
+   * transferência. Um workflow do TARGET é mantido se algum resultado aponta
+   * para ele ou se o deduplicator o encontra entre os workflows do SOURCE.
+   * Com filtro por workflowIds (IDs do SOURCE) não há escopo equivalente no
+   * TARGET e nada é removido; sem workflows no SOURCE a transferência termina
+   * antes desta fase. Arquivar = desativar e prefixar o nome com
+   * "[ARCHIVED] " (workflows já arquivados ficam fora do escopo).
+   *
+   * @private
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} targetWorkflows - Workflows do TARGET
+   * @param {Array} processedWorkflows - Resultados do loop principal
+   * @param {Object} plugins - Plugins carregados
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Promise<Object>} Estatísticas e resultados ('deleted', 'archived' ou 'failed')
+   */
+  async _mirrorTarget(sourceWorkflows, targetWorkflows, processedWorkflows, plugins, options) {
+    const mirrorResult = {
+      action: options.mirrorAction,
+      inScope: 0,
+      deleted: 0,
+      archived: 0,
+      failed: 0,
+      skipped: false,
+      workflows: []
+    };
+
+    const { workflowIds, ...scopeFilters } = options.filters || {};
+
+    if (this._cancelRequested || (workflowIds && workflowIds.length > 0)) {
+      this.logger.warn(this._cancelRequested
+        ? 'Mirror skipped: transfer was cancelled'
+        : 'Mirror skipped: the workflowIds filter has no equivalent scope on TARGET');
+      mirrorResult.skipped = true;
+      return mirrorResult;
+    }
+
+    const keptIds = new Set(processedWorkflows.filter(result => result.targetId).map(result => String(result.targetId)));
+    const inScope = this._applyFilters(targetWorkflows, scopeFilters)
+      .filter(target => !(options.mirrorAction === 'archive' && String(target.name || '').startsWith(ARCHIVE_PREFIX)));
+    mirrorResult.inScope = inScope.length;
+
+    // Com applyPlan, só o que o plano aprovado remove
+    const orphans = inScope.filter(target =>
+      !keptIds.has(String(target.id)) && !plugins.deduplicator.isDuplicate(target, sourceWorkflows) &&
+      (!this._planRemovals || this._planRemovals.has(String(target.id)))
+    );
+
+    if (orphans.length === 0) {
+      this.logger.info('Mirror: every TARGET workflow in scope exists in SOURCE');
+      return mirrorResult;
+    }
+
+    const status = options.mirrorAction === 'delete' ? 'deleted' : 'archived';
+    this.logger.info(`Mirror: ${orphans.length} TARGET workflow(s) missing from SOURCE (${options.mirrorAction})`);
+
+    for (const target of orphans) {
+      const result = {
+        name: target.name,
+        sourceId: null,
+        targetId: target.id,
+        reason: 'Missing from SOURCE'
+      };
+
+      if (options.dryRun) {
+        this.logger.info(`[DRY-RUN] Would ${options.mirrorAction} TARGET workflow: ${target.name} (${target.id})`);
+        Object.assign(result, { status, simulated: true });
+      } else {
+        try {
+          if (options.mirrorAction === 'delete') {
+            await this.targetClient.deleteWorkflow(target.id);
+          } else {
+            await this._archiveWorkflow(target);
+          }
+          result.status = status;
+          this.logger.info(`✓ TARGET workflow ${status}: ${target.name}`, { targetId: target.id });
+        } catch (error) {
+          Object.assign(result, { status: 'failed', error: `Mirror ${options.mirrorAction} failed: ${error.message}` });
+          this.logger.error(`Failed to ${options.mirrorAction} TARGET workflow: ${target.name}`, { error: error.message });
+        }
+      }
+
+      mirrorResult[result.status]++;
+      this._countResult(result);
+      mirrorResult.workflows.push(result);
+    }
+
+    return mirrorResult;
+  }
+
+  /**
+   * Carrega o plano aprovado (options.applyPlan) e aplica suas opções
+   *
+   * @private
+   * @param {import('./types').TransferOptions} options - Opções validadas (alteradas)
+   * @returns {Promise<Object>} Plano (ver DeploymentPlanService)
+   * @throws {Error} Se o plano for inválido, de outro SOURCE/TARGET ou de outro
+   *   arquivo de mapeamento de credenciais
+   */
+  async _loadDeploymentPlan(options) {
+    const planner = new DeploymentPlanService(this.logger);
+    const plan = await planner.load(options.applyPlan, 'transfer');
+
+    planner.assertUrl(plan, 'source', this.config.SOURCE.url);
+    planner.assertUrl(plan, 'target', this.config.TARGET.url);
+
+    // As credenciais revisadas são as do mapeamento do plano: outro arquivo reescreveria outras
+    const planMapping = plan.options.credentialMappingFile;
+    if (options.credentialMappingFile && options.credentialMappingFile !== planMapping) {
+      throw new Error(`Credential mapping ${options.credentialMappingFile} differs from the plan ` +
+        `(${planMapping || 'no mapping file'}); create a new plan with it`);
+    }
+
+    PLAN_OPTIONS.forEach(option => {
+      if (plan.options[option] !== undefined) {
+        options[option] = plan.options[option];
+      }
+    });
+
+    this.logger.info(`Applying deployment plan from ${plan.createdAt}`, { plan: options.applyPlan, ...plan.summary });
+    return plan;
+  }
+
+  /**
+   * Recusa o plano se SOURCE ou TARGET mudaram e limita a transferência a ele
+   *
+   * Workflows do SOURCE fora do plano (criados depois dele) não são
+   * processados e o mirror só remove os workflows do TARGET listados no plano.
+   *
+   * @private
+   * @param {Object} plan - Plano aprovado
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} targetWorkflows - Workflows do TARGET
+   * @returns {Array} Workflows do SOURCE presentes no plano
+   * @throws {Error} Listando as diferenças encontradas
+   */
+  _restrictToPlan(plan, sourceWorkflows, targetWorkflows) {
+    new DeploymentPlanService(this.logger).assertNoDrift(plan, targetWorkflows, sourceWorkflows);
+
+    const plannedIds = new Set(plan.workflows.filter(item => item.source).map(item => item.source.id));
+    this._planRemovals = new Set(plan.workflows
+      .filter(item => item.action === 'delete' || item.action === 'archive')
+      .map(item => item.target.id));
+
+    this.logger.info('SOURCE and TARGET unchanged since the plan was made');
+    return sourceWorkflows.filter(workflow => plannedIds.has(String(workflow.id)));
+  }
+
+  /**
+   * Grava o plano de deploy de uma transferência em dry-run (options.planFile)
+   *
+   * Cada resultado vira uma ação (create, update, skip, delete, archive) com
+   * as versões de SOURCE e TARGET usadas pelo drift check de applyPlan, as
+   * mudanças campo a campo dos updates e as referências a remapear.
+   *
+   * @private
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} targetWorkflows - Workflows do TARGET
+   * @param {Array} processedWorkflows - Resultados do dry-run (inclui o mirror)
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Promise<string>} Caminho absoluto do plano
+   */
+  async _writeDeploymentPlan(sourceWorkflows, targetWorkflows, processedWorkflows, options) {
+    const planner = new DeploymentPlanService(this.logger);
+    const sourceById = new Map(sourceWorkflows.map(workflow => [String(workflow.id), workflow]));
+    const targetById = new Map(targetWorkflows.map(workflow => [String(workflow.id), workflow]));
+
+    const plan = planner.create({
+      kind: 'transfer',
+      target: this.config.TARGET.url,
+      source: { url: this.config.SOURCE.url },
+      options: Object.fromEntries(PLAN_OPTIONS.map(option => [option, options[option]]))
+    });
+
+    for (const result of processedWorkflows) {
+      const source = result.sourceId !== null && result.sourceId !== undefined
+        ? sourceById.get(String(result.sourceId))
+        : null;
+      const target = result.targetId ? targetById.get(String(result.targetId)) : null;
+      const item = {
+        name: result.name,
+        action: PLAN_ACTIONS[result.status] || 'skip',
+        reason: result.status === 'failed' ? `Failed: ${result.error || result.reason}` : result.reason,
+        source,
+        target
+      };
+
+      if (item.action === 'update' && source && target) {
+        item.changes = planner.describeChanges(target, this._toUpdatePayload(this._applyCredentialMapping(source)));
+      } else if (item.action === 'archive') {
+        item.changes = [{ path: 'name', change: 'changed', before: target.name, after: `${ARCHIVE_PREFIX}${target.name}` }];
+      }
+
+      if ((item.action === 'create' || item.action === 'update') && source && !options.skipRemap) {
+        item.remapReferences = WorkflowDependencyGraph.extractReferences(source).map(reference => ({
+          workflowId: reference.workflowId,
+          name: sourceById.get(reference.workflowId)?.name || null
+        }));
+      }
+
+      planner.addWorkflow(plan, item, targetWorkflows);
+    }
+
+    const planPath = await planner.save(plan, options.planFile);
+    this.logger.info(`Deployment plan saved: ${planPath}`, plan.summary);
+    return planPath;
+  }
+
+  /**
+   * Aplica a política de ativação aos workflows criados e atualizados
+   *
+   * Workflows do TARGET removidos ou arquivados pelo mirror não contam nas
+   * colisões de webhook. Em dry-run, só informa o que seria feito.
+   *
+   * @private
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (campo active e nodes)
+   * @param {Array} targetWorkflows - Workflows do TARGET antes da transferência
+   * @param {Array} processedWorkflows - Resultados (inclui o mirror)
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Promise<Object>} Relatório de WorkflowActivationService.apply
+   */
+  async _applyActivationPolicy(sourceWorkflows, targetWorkflows, processedWorkflows, options) {
+    const sourceById = new Map(sourceWorkflows.map(workflow => [String(workflow.id), workflow]));
+    const removedIds = new Set(processedWorkflows
+      .filter(result => result.status === 'deleted' || result.status === 'archived')
+      .map(result => String(result.targetId)));
+    const remainingTarget = targetWorkflows.filter(workflow => !removedIds.has(String(workflow.id)));
+    const activeIds = new Set(remainingTarget.filter(workflow => workflow.active).map(workflow => String(workflow.id)));
+
+    const items = processedWorkflows
+      .filter(result => (result.status === 'transferred' || result.status === 'updated') &&
+        result.targetId && sourceById.has(String(result.sourceId)))
+      .map(result => ({
+        name: result.name,
+        targetId: result.targetId,
+        workflow: sourceById.get(String(result.sourceId)),
+        active: activeIds.has(String(result.targetId))
+      }));
+
+    const activation = new WorkflowActivationService(this.logger);
+    const report = await activation.apply(items, options.activation, remainingTarget, this.targetClient, { dryRun: options.dryRun });
+
+    this.logger.info(`Activation (${report.policy})${report.simulated ? ' [DRY-RUN]' : ''}`, {
+      activated: report.activated.length,
+      deactivated: report.deactivated.length,
+      unchanged: report.unchanged,
+      skipped: report.skipped.length,
+      collisions: report.collisions.length,
+      failed: report.failed.length
+    });
+    report.collisions.forEach(collision => {
+      this.logger.warn(`Webhook collision, left inactive: ${collision.name}`, collision);
+    });
+    report.failed.forEach(failure => {
+      this.logger.error(`Activation failed: ${failure.name}`, failure);
+    });
+
+    return report;
+  }
+
+  /**
+   * Arquiva um workflow do TARGET: desativa e prefixa o nome
+   *
+   * @private
+   * @param {Object} target - Workflow do TARGET
+   */
+  async _archiveWorkflow(target) {
+    if (target.active) {
+      await this.targetClient.deactivateWorkflow(target.id);
+    }
+
+    await this.targetClient.updateWorkflow(target.id, {
+      ...this._toUpdatePayload(target),
+      name: `${ARCHIVE_PREFIX}${target.name}`
+    });
+  }
+
+  /**
+   * Incrementa o contador de progresso do status do resultado
+   *
+   * @private
+   * @param {Object} result - Resultado de _processWorkflow ou do espelhamento
+   */
+  _countResult(result) {
+    if (COUNTED_STATUSES.includes(result.status)) {
+      this._progress[result.status]++;
+    }
+  }
+
+  /**
+   * Ordena os workflows pendentes pelo grafo de chamadas (sub-workflows primeiro)
+   *
+   * O grafo é construído com todos os workflows do SOURCE, para que workflows
+   * retomados de uma execução anterior também contem como dependências.
+   *
+   * @private
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} pendingWorkflows - Workflows a processar
+   * @returns {Array} Workflows pendentes em ordem de dependência
+   */
+  _orderByDependencies(sourceWorkflows, pendingWorkflows) {
+    this._dependencyGraph = new WorkflowDependencyGraph(this.logger).build(sourceWorkflows);
+
+    const cycleReport = this._dependencyGraph.formatCycleReport();
+    if (cycleReport) {
+      this.logger.warn(cycleReport);
+    }
+
+    return this._dependencyGraph.sortWorkflows(pendingWorkflows);
+  }
+
+  /**
+   * Divide os workflows em batches sem misturar níveis de dependência
+   *
+   * @private
+   * @param {Array} workflows - Workflows em ordem de dependência
+   * @param {number} parallelism - Tamanho máximo do batch
+   * @returns {Array<Array>} Batches
+   */
+  _buildBatches(workflows, parallelism) {
+    const batches = [];
+    let batch = [];
+    let batchLevel = null;
+
+    for (const workflow of workflows) {
+      const level = this._dependencyGraph ? this._dependencyGraph.getLevel(workflow.id) : null;
+
+      if (batch.length === parallelism || (batch.length > 0 && level !== batchLevel)) {
+        batches.push(batch);
+        batch = [];
+      }
+
+      batch.push(workflow);
+      batchLevel = level;
+    }
+
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+
+    return batches;
+  }
+
+  /**
+   * Registra o ID no TARGET de um workflow processado
+   *
+   * Mesmos critérios de _buildIdMapping: criados, atualizados e duplicatas com
+   * equivalente conhecido; resultados simulados e falhas são ignorados.
+   *
+   * @private
+   * @param {Object} result - Resultado de _processWorkflow
+   */
+  _trackTargetId(result) {
+    if (result.simulated || !result.sourceId || !result.targetId) {
+      return;
+    }
+
+    if (MAPPED_STATUSES.includes(result.status)) {
+      this._targetIds.set(String(result.sourceId), String(result.targetId));
+    }
+  }
+
+  /**
+   * Remapeia referências para sub-workflows que já têm ID no TARGET
+   *
+   * @private
+   * @param {Object} workflow - Workflow prestes a ser criado
+   * @returns {{workflow: Object, resolved: Set<string>|null}} Workflow a enviar e IDs referenciados
+   *   resolvidos (null se o workflow não tem referências)
+   */
+  _remapKnownReferences(workflow) {
+    if (WorkflowDependencyGraph.extractReferences(workflow).length === 0) {
+      return { workflow, resolved: null };
+    }
+
+    const remapper = new WorkflowIDRemapper(this.logger);
+    const remapped = JSON.parse(JSON.stringify(workflow));
+    const resolved = new Set();
+
+    for (const node of remapper.findExecuteWorkflowNodes(remapped)) {
+      const [reference] = WorkflowDependencyGraph.extractReferences({ nodes: [node] });
+
+      if (reference && this._targetIds.has(reference.workflowId)) {
+        remapper.updateNodeWorkflowId(node, this._targetIds.get(reference.workflowId));
+        resolved.add(reference.workflowId);
+      }
+    }
+
+    return { workflow: remapped, resolved };
+  }
+
+  /**
+   * Constrói o mapeamento SOURCE → TARGET a partir dos workflows processados
+   *
+   * Inclui workflows criados, atualizados e duplicatas cujo equivalente no TARGET é conhecido.
+   * Resultados simulados (dry-run) e falhas são ignorados.
+   *
+   * @private
+   * @param {Array} processedWorkflows - Resultados de _processWorkflow
+   * @returns {IDMappingService} Serviço populado com os mapeamentos
+   */
+  _buildIdMapping(processedWorkflows) {
+    const idMappingService = new IDMappingService(this.logger);
+
+    for (const result of processedWorkflows) {
+      if (result.simulated || !result.sourceId || !result.targetId) {
+        continue;
+      }
+
+      if (!MAPPED_STATUSES.includes(result.status)) {
+        continue;
+      }
+
+      try {
+        idMappingService.addMapping(
+          String(result.sourceId),
+          String(result.targetId),
+          result.name || `workflow-${result.sourceId}`
+        );
+      } catch (error) {
+        this.logger.warn(`Could not map workflow ID: ${result.name}`, { error: error.message });
+      }
     }
+
+    return idMappingService;
+  }
+
+  /**
+   * Fases 2 e 3: remapeia referências de sub-workflows e re-envia os afetados
+   *
+   * Segue a mesma ordem do comando n8n:upload: todos os workflows são criados
+   * primeiro (Fase 1, no loop principal), depois os nodes executeWorkflow/toolWorkflow
+   * são reescritos com os IDs do TARGET e os workflows afetados são atualizados.
+   * Workflows cujas referências já foram todas resolvidas na criação (sub-workflows
+   * criados antes deles) não são re-enviados; sobram ciclos e falhas.
+   *
+   * @private
+   * @param {Array} sourceWorkflows - Workflows do SOURCE (após filtros)
+   * @param {Array} processedWorkflows - Resultados do loop principal
+   * @param {import('./types').TransferOptions} options - Opções validadas
+   * @returns {Promise<Object>} Mapeamento de IDs e estatísticas do remapeamento
+   */
+  async _remapWorkflowReferences(sourceWorkflows, processedWorkflows, options) {
+    const idMappingService = this._buildIdMapping(processedWorkflows);
+    const idMapping = {};
+    for (const [oldId, info] of Object.entries(idMappingService.getAllMappings())) {
+      idMapping[oldId] = info.newId;
+    }
+
+    const remapResult = {
+      idMapping,
+      remapped: 0,
+      updated: 0,
+      resolvedOnCreate: 0,
+      failed: 0,
+      unresolved: [],
+      skipped: false
+    };
+
+    if (options.skipRemap) {
+      this.logger.info('Skipping reference remapping (skipRemap=true)');
+      remapResult.skipped = true;
+      return remapResult;
+    }
+
+    const remapper = new WorkflowIDRemapper(this.logger);
+    const sourceById = new Map(sourceWorkflows.map(w => [w.id, w]));
+
+    // Em dry-run os workflows simulados contam como resolvíveis na validação
+    const resolvableIds = { ...idMapping };
+    for (const result of processedWorkflows) {
+      if (result.simulated && result.sourceId) {
+        resolvableIds[result.sourceId] = result.targetId;
+      }
+    }
+
+    // Apenas workflows efetivamente criados ou atualizados nesta execução (ou simulados) são re-enviados
+    const candidates = processedWorkflows.filter(result =>
+      (result.status === 'transferred' || result.status === 'updated') && sourceById.has(result.sourceId)
+    );
+
+    const withReferences = candidates.filter(result =>
+      remapper.findExecuteWorkflowNodes(sourceById.get(result.sourceId)).length > 0
+    );
+
+    if (withReferences.length === 0) {
+      this.logger.debug('No transferred workflows contain sub-workflow references');
+      return remapResult;
+    }
+
+    this.logger.info(`Remapping sub-workflow references in ${withReferences.length} workflow(s)...`);
+
+    for (const result of withReferences) {
+      if (this._cancelRequested) {
+        this.logger.warn('Reference remapping interrupted by cancellation');
+        break;
+      }
+
+      const sourceWorkflow = sourceById.get(result.sourceId);
+      const validation = remapper.validateRemapping(sourceWorkflow, resolvableIds);
+
+      for (const issue of validation.issues) {
+        remapResult.unresolved.push({
+          workflow: sourceWorkflow.name,
+          sourceId: sourceWorkflow.id,
+          nodeName: issue.nodeName,
+          referencedId: issue.oldId,
+          message: issue.message
+        });
+      }
+
+      const referenceCount = remapper.findExecuteWorkflowNodes(sourceWorkflow).length - validation.issues.length;
+      if (referenceCount === 0) {
+        continue;
+      }
+
+      remapResult.remapped += referenceCount;
+
+      // Referências resolvidas na criação não precisam de re-envio
+      const resolved = this._resolvedOnCreate.get(String(result.sourceId));
+      const pending = WorkflowDependencyGraph.extractReferences(sourceWorkflow)
+        .filter(reference => idMapping[reference.workflowId] && !(resolved && resolved.has(reference.workflowId)));
+
+      if (resolved && pending.length === 0) {
+        result.referencesRemapped = referenceCount;
+        remapResult.resolvedOnCreate++;
+        continue;
+      }
+
+      if (result.simulated) {
+        this.logger.info(`[DRY-RUN] Would remap ${referenceCount} reference(s) in: ${sourceWorkflow.name}`);
+        continue;
+      }
+
+      try {
+        const remapped = remapper.remapWorkflowReferences(this._applyCredentialMapping(sourceWorkflow), idMapping);
+        await this.targetClient.updateWorkflow(result.targetId, this._toUpdatePayload(remapped));
+
+        result.referencesRemapped = referenceCount;
+        remapResult.updated++;
+        this.logger.info(`✓ References remapped: ${sourceWorkflow.name}`, {
+          targetId: result.targetId,
+          references: referenceCount
+        });
+      } catch (error) {
+        result.remapError = error.message;
+        remapResult.failed++;
+        this.logger.error(`Failed to re-upload remapped workflow: ${sourceWorkflow.name}`, {
+          error: error.message
+        });
+      }
+    }
+
+    if (remapResult.unresolved.length > 0) {
+      this.logger.warn(`${remapResult.unresolved.length} sub-workflow reference(s) could not be resolved on TARGET`);
+    }
+
+    return remapResult;
+  }
+
+  /**
+   * Reduz um workflow aos campos aceitos pelo PUT /workflows/:id da API N8N
+   *
+   * @private
+   * @param {Object} workflow - Workflow completo
+   * @returns {Object} Payload de atualização
+   */
+  _toUpdatePayload(workflow) {
+    const payload = {
+      name: workflow.name,
+      nodes: workflow.nodes,
+      connections: workflow.connections || {},
+      settings: workflow.settings || {}
+    };
+
+    if (workflow.staticData) {
+      payload.staticData = workflow.staticData;
+    }
+
+    return payload;
   }
 
   /**
@@ -992,17 +2205,25 @@ class TransferManager {
    * @param {Array} processedWorkflows - Workflows processados
    * @param {number} duration - Duração em ms
    * @param {import('./types').TransferOptions} options - Opções validadas
+   * @param {Object} [remapResult] - Resultado de _remapWorkflowReferences
+   * @param {Object} [credentialResult] - Resultado de _prepareCredentialMapping
+   * @param {Object} [mirrorResult] - Resultado de _mirrorTarget
+   * @param {Object} [activationResult] - Resultado de _applyActivationPolicy
    * @returns {Object} TransferSummary
    */
-  _buildTransferSummary(processedWorkflows, duration, options) {
+  _buildTransferSummary(processedWorkflows, duration, options, remapResult = null, credentialResult = null, mirrorResult = null, activationResult = null) {
     const now = new Date();
     const startTime = new Date(now.getTime() - duration);
 
     return {
+      mode: options.mode || TransferMode.CREATE_ONLY,
       total: this._progress.total,
       transferred: this._progress.transferred,
+      updated: this._progress.updated,
       skipped: this._progress.skipped,
       failed: this._progress.failed,
+      deleted: this._progress.deleted,
+      archived: this._progress.archived,
       processed: this._progress.processed,
       duration,
       workflows: processedWorkflows,
@@ -1011,7 +2232,26 @@ class TransferManager {
       sourceUrl: this.config.SOURCE.url,
       targetUrl: this.config.TARGET.url,
       dryRun: options.dryRun || false,
-      cancelled: this._cancelRequested
+      cancelled: this._cancelRequested,
+      idMapping: remapResult ? remapResult.idMapping : {},
+      remap: remapResult ? {
+        remapped: remapResult.remapped,
+        updated: remapResult.updated,
+        resolvedOnCreate: remapResult.resolvedOnCreate,
+        failed: remapResult.failed,
+        unresolved: remapResult.unresolved,
+        skipped: remapResult.skipped
+      } : null,
+      credentials: credentialResult,
+      mirror: mirrorResult ? {
+        action: mirrorResult.action,
+        inScope: mirrorResult.inScope,
+        deleted: mirrorResult.deleted,
+        archived: mirrorResult.archived,
+        failed: mirrorResult.failed,
+        skipped: mirrorResult.skipped
+      } : null,
+      activation: activationResult
     };
   }
 
@@ -1154,6 +2394,7 @@ class TransferManager {
     this.logger.info('Fetching workflows from SOURCE...');
     const allWorkflows = await this.sourceClient.getWorkflows();
     const workflows = this._applyFilters(allWorkflows, validatedOptions.filters);
+    this._prepareWorkflowValidators(validators, workflows, []);
 
     this.logger.info(`Validating ${workflows.length} workflow(s)...`);
 
@@ -1309,3 +2550,4 @@ class TransferManager {
 }
 
 module.exports = TransferManager;
+module.exports.TransferMode = TransferMode;
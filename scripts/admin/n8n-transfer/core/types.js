@@ -166,14 +166,45 @@ const { z } = require('zod');
  * transferred/skipped/failed workflows, and error details.
  *
  * @typedef {Object} TransferSummary
+ * @property {'create-only'|'upsert'|'mirror'} [mode] - Transfer mode
  * @property {number} total - Total workflows found in source
- * @property {number} transferred - Number of workflows successfully transferred
- * @property {number} skipped - Number of workflows skipped (duplicates, filtered, invalid)
+ * @property {number} transferred - Number of workflows successfully transferred (created on target)
+ * @property {number} [updated] - Number of existing target workflows updated (upsert/mirror)
+ * @property {number} skipped - Number of workflows skipped (duplicates, up to date, filtered, invalid)
  * @property {number} failed - Number of workflows that failed to transfer
+ * @property {number} [deleted] - Number of target workflows deleted because they are missing from source (mirror)
+ * @property {number} [archived] - Number of target workflows archived because they are missing from source (mirror)
  * @property {number} [duplicates] - Number of workflows skipped due to duplication
  * @property {number} duration - Total transfer duration in milliseconds
  * @property {Array<{workflow: string, error: string, code: string}>} [errors] - Detailed error list for failed transfers
  * @property {ReportFile[]} [reports] - Array of generated report files
+ * @property {Object.<string, string>} [idMapping] - Source workflow ID → target workflow ID
+ * @property {Object} [remap] - Sub-workflow reference remapping statistics
+ * @property {number} remap.remapped - References rewritten to target IDs
+ * @property {number} remap.updated - Workflows re-uploaded with remapped references
+ * @property {number} remap.resolvedOnCreate - Workflows created with all references already resolved (not re-uploaded)
+ * @property {number} remap.failed - Re-uploads that failed
+ * @property {Array<{workflow: string, nodeName: string, referencedId: string}>} remap.unresolved - References with no target ID
+ * @property {Object|null} [credentials] - Credential mapping statistics (null when skipCredentials=true)
+ * @property {number} credentials.references - Unique credential references found in SOURCE workflows
+ * @property {number} credentials.matched - References matched to TARGET credentials
+ * @property {Array<{type: string, name: string, id: string, workflows: string[]}>} credentials.unmatched - References with no TARGET credential
+ * @property {Object|null} [journal] - Checkpoint journal of the transfer (null in dry-run without resume)
+ * @property {string} journal.path - Journal file path (pass as `resume` to continue an interrupted transfer)
+ * @property {number} journal.resumed - Workflows completed in a previous run and not processed again
+ * @property {Object|null} [mirror] - Mirror phase statistics (null unless mode is 'mirror')
+ * @property {'archive'|'delete'} mirror.action - What was done with target workflows missing from source
+ * @property {number} mirror.inScope - Target workflows within the filtered scope
+ * @property {boolean} mirror.skipped - True when the phase did not run (cancelled or workflowIds filter)
+ * @property {string} [plan] - Deployment plan file written by a dry-run with planFile
+ * @property {Object|null} [activation] - Activation report (null unless the activation option is set)
+ * @property {'preserve'|'all'|'none'} activation.policy - Policy applied
+ * @property {string[]} activation.activated - Workflows activated
+ * @property {string[]} activation.deactivated - Workflows deactivated
+ * @property {Array<{name: string, node: string, method: string, path: string, conflictsWith: string}>} activation.collisions -
+ *   Workflows left inactive because their webhook path is used by an active workflow
+ * @property {Array<{name: string, action: string, error: string}>} activation.failed - Activation failures
+ *   (not counted in failed)
  *
  * @example
  * const summary = {
@@ -285,11 +316,24 @@ const { z } = require('zod');
  * @property {string[]} [filters.tags] - Incluir apenas workflows com essas tags
  * @property {string[]} [filters.excludeTags] - Excluir workflows com essas tags
  * @property {boolean} [dryRun=false] - Modo simulação (valida mas não transfere de fato)
+ * @property {'create-only'|'upsert'|'mirror'} [mode='create-only'] - Workflows já existentes no TARGET: pular (create-only),
+ *   atualizar (upsert) ou atualizar e remover/arquivar os ausentes no SOURCE (mirror)
+ * @property {'archive'|'delete'} [mirrorAction='archive'] - Em mirror: arquivar (desativar + prefixo "[ARCHIVED] ") ou excluir
  * @property {number} [parallelism=3] - Número de transferências paralelas (1-10)
  * @property {string} [deduplicator='standard-deduplicator'] - Nome do plugin deduplicator a usar
  * @property {string[]} [validators=['integrity-validator']] - Nomes dos plugins validators a usar
  * @property {string[]} [reporters=['markdown-reporter']] - Nomes dos plugins reporters a usar
  * @property {boolean} [skipCredentials=false] - Pular workflows com credenciais (evita falhas de auth)
+ * @property {boolean} [skipRemap=false] - Não remapear referências de sub-workflows (executeWorkflow/toolWorkflow)
+ * @property {string} [credentialMappingFile] - Arquivo JSON com mapeamento explícito de credenciais ({ tipo: { origem: destino } })
+ * @property {string} [journal] - Caminho do journal de checkpoint (padrão: journals/transfer-<timestamp>.jsonl)
+ * @property {string} [resume] - Journal de uma transferência interrompida; workflows concluídos nele não são reprocessados
+ * @property {'preserve'|'all'|'none'} [activation] - Ativação depois da transferência: igual ao SOURCE (preserve),
+ *   ativar todos com trigger (all) ou manter inativos (none); sem a opção, o estado no TARGET não muda
+ * @property {string} [planFile] - Em dry-run: grava o plano de deploy (ação por workflow, mudanças campo a campo,
+ *   versões de SOURCE e TARGET) para revisão
+ * @property {string} [applyPlan] - Executa um plano aprovado com as opções dele (modo, filtros...); recusado se
+ *   algum workflow do plano mudou no SOURCE ou no TARGET (versionId, updatedAt)
  *
  * @example
  * // Transferência simples com defaults
@@ -421,11 +465,20 @@ const TransferOptionsSchema = z.object({
     excludeTags: z.array(z.string()).optional(),
   }).optional().default({}),
   dryRun: z.boolean().default(false),
+  mode: z.enum(['create-only', 'upsert', 'mirror']).default('create-only'),
+  mirrorAction: z.enum(['archive', 'delete']).default('archive'),
   parallelism: z.number().int().min(1).max(10).default(3),
   deduplicator: z.string().default('standard-deduplicator'),
   validators: z.array(z.string()).default(['integrity-validator']),
   reporters: z.array(z.string()).default(['markdown-reporter']),
   skipCredentials: z.boolean().default(false),
+  skipRemap: z.boolean().default(false),
+  credentialMappingFile: z.string().min(1).optional(),
+  journal: z.string().min(1).optional(),
+  resume: z.string().min(1).optional(),
+  activation: z.enum(['preserve', 'all', 'none']).optional(),
+  planFile: z.string().min(1).optional(),
+  applyPlan: z.string().min(1).optional(),
 }).strict();
 
 // =============================================================================
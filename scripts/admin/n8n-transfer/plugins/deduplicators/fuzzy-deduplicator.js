@@ -311,6 +311,22 @@ class FuzzyDeduplicator extends BasePlugin {
 
     return `Workflow similar encontrado: '${workflowName}' (similaridade: ${similarityPercent}%)`;
   }
+
+  /**
+   * Retorna o workflow existente encontrado na última chamada de isDuplicate()
+   *
+   * Usado pelo TransferManager para atualizar o workflow equivalente (modo upsert).
+   *
+   * @returns {Object|null} Workflow mais similar ou null se nenhuma duplicata
+   *
+   * @example
+   * if (deduplicator.isDuplicate(workflow, existingWorkflows)) {
+   *   console.log(deduplicator.getDuplicateWorkflow().id);
+   * }
+   */
+  getDuplicateWorkflow() {
+    return this.lastMatch ? this.lastMatch.workflow : null;
+  }
 }
 
 // ============================================================================
@@ -157,8 +157,14 @@ class CSVReporter extends BasePlugin {
     switch (state.status) {
     case 'completed':
       return 'Success';
+    case 'updated':
+      return 'Updated';
     case 'skipped':
       return state.reason ? `Skipped (${state.reason})` : 'Skipped';
+    case 'deleted':
+      return 'Deleted (missing from source)';
+    case 'archived':
+      return 'Archived (missing from source)';
     case 'failed':
       return 'Failed';
     case 'pending':
@@ -230,6 +236,7 @@ class CSVReporter extends BasePlugin {
    *
    * @private
    * @param {Object} state - TransferState object
+   * @param {Object.<string, string>} [idMapping={}] - Source ID → target ID mapping
    * @returns {string} CSV row for the workflow
    *
    * @example
@@ -241,17 +248,21 @@ class CSVReporter extends BasePlugin {
    * });
    * // '"My Workflow",Success,"",1,123,123,""'
    */
-  generateRow(state) {
+  generateRow(state, idMapping = {}) {
     const workflow = state.workflow || {};
     const delimiter = this.getOption('delimiter', ',');
 
+    // TransferManager results carry name/sourceId/targetId at the top level
+    const sourceId = workflow.id || state.sourceId || '';
+    const targetId = state.targetId || idMapping[sourceId] || workflow.id || '';
+
     const row = [
-      this.escapeCSVField(workflow.name || 'Unknown'),
+      this.escapeCSVField(workflow.name || state.name || 'Unknown'),
       this.escapeCSVField(this.getStatus(state)),
       this.escapeCSVField(this.formatTags(workflow.tags)),
       this.escapeCSVField(this.countNodes(workflow)),
-      this.escapeCSVField(workflow.id || ''),
-      this.escapeCSVField(workflow.id || ''), // Target ID (same as source after transfer)
+      this.escapeCSVField(sourceId),
+      this.escapeCSVField(targetId),
       this.escapeCSVField(this.getReason(state))
     ];
 
@@ -267,7 +278,7 @@ class CSVReporter extends BasePlugin {
    * - Tags: Comma-separated workflow tags
    * - Nodes: Number of nodes in workflow
    * - Source ID: Original workflow ID
-   * - Target ID: Workflow ID in target instance
+   * - Target ID: Workflow ID in target instance (from the result or transferResult.idMapping)
    * - Reason: Reason for skip/failure (if applicable)
    *
    * @param {Object} transferResult - Transfer result object
@@ -327,8 +338,9 @@ class CSVReporter extends BasePlugin {
     rows.push(this.generateHeader());
 
     // Data rows
+    const idMapping = transferResult.idMapping || {};
     transferResult.workflows.forEach(state => {
-      rows.push(this.generateRow(state));
+      rows.push(this.generateRow(state, idMapping));
     });
 
     // Join rows with newlines
@@ -88,6 +88,10 @@ class JSONReporter extends BasePlugin {
    * - statistics: total, success, failure, duplicate counts
    * - workflows: array with detailed workflow information (if enabled)
    * - errors: array with error details
+   * - idMapping: source workflow ID → target workflow ID
+   * - remap: sub-workflow reference remapping statistics
+   * - credentials: credential mapping statistics and unmatched credentials
+   * - journal: checkpoint journal path and workflows resumed from a previous run
    * - configuration: transfer options used
    *
    * @param {Object} transferResult - Result of the transfer operation
@@ -100,6 +104,10 @@ class JSONReporter extends BasePlugin {
    * @param {Object} transferResult.metadata - Additional metadata
    * @param {Date} transferResult.startTime - Transfer start timestamp
    * @param {Date} transferResult.endTime - Transfer end timestamp
+   * @param {Object.<string, string>} [transferResult.idMapping] - Source ID → target ID mapping
+   * @param {Object} [transferResult.remap] - Sub-workflow reference remapping statistics
+   * @param {Object} [transferResult.credentials] - Credential mapping statistics
+   * @param {Object} [transferResult.journal] - Checkpoint journal ({ path, resumed })
    *
    * @returns {string} JSON-formatted report (pretty-printed with 2-space indentation)
    *
@@ -192,6 +200,20 @@ class JSONReporter extends BasePlugin {
 
       errors: this._formatErrors(transferResult.errors || []),
 
+      idMapping: transferResult.idMapping || {},
+
+      remap: transferResult.remap || null,
+
+      credentials: transferResult.credentials || null,
+
+      journal: transferResult.journal || null,
+
+      mode: transferResult.mode || null,
+
+      mirror: transferResult.mirror || null,
+
+      activation: transferResult.activation || null,
+
       configuration: {
         options: transferResult.metadata?.options || {},
         pluginsUsed: transferResult.metadata?.plugins || [],
@@ -21,6 +21,8 @@ const { BasePlugin } = require('../index');
  * - Summary statistics (total, transferred, skipped, failed)
  * - Tables of transferred workflows
  * - Tables of skipped workflows with reasons
+ * - Source → target ID mapping and unresolved sub-workflow references
+ * - Credentials without a match on the target instance
  * - Detailed error information
  * - Footer with completion status
  *
@@ -72,6 +74,10 @@ class MarkdownReporter extends BasePlugin {
    * @param {string} [transferResult.targetUrl] - Target N8N instance URL
    * @param {Date} [transferResult.startTime] - Transfer start time
    * @param {Date} [transferResult.endTime] - Transfer end time
+   * @param {Object.<string, string>} [transferResult.idMapping] - Source ID → target ID mapping
+   * @param {Object} [transferResult.remap] - Sub-workflow reference remapping statistics
+   * @param {Object} [transferResult.credentials] - Credential mapping statistics
+   * @param {Object} [transferResult.journal] - Checkpoint journal ({ path, resumed })
    *
    * @returns {string} Path to the generated Markdown report file
    *
@@ -141,8 +147,13 @@ class MarkdownReporter extends BasePlugin {
       this._buildHeader(transferResult),
       this._buildSummary(transferResult),
       this._buildTransferredWorkflows(transferResult),
+      this._buildUpdatedWorkflows(transferResult),
       this._buildSkippedWorkflows(transferResult),
+      this._buildMirroredWorkflows(transferResult),
+      this._buildActivation(transferResult),
       this._buildFailedWorkflows(transferResult),
+      this._buildIdMapping(transferResult),
+      this._buildUnmatchedCredentials(transferResult),
       this._buildErrorDetails(transferResult),
       this._buildFooter(transferResult)
     ];
@@ -170,12 +181,22 @@ class MarkdownReporter extends BasePlugin {
     const sourceUrl = transferResult.sourceUrl || 'N/A';
     const targetUrl = transferResult.targetUrl || 'N/A';
 
+    // Journal de checkpoint (e workflows concluídos em uma execução anterior)
+    const journal = transferResult.journal;
+    let journalLines = '';
+    if (journal) {
+      journalLines = `\n**Journal:** \`${journal.path}\``;
+      if (journal.resumed > 0) {
+        journalLines += `\n**Retomada:** ${journal.resumed} workflow(s) concluído(s) em execução anterior`;
+      }
+    }
+
     return `# ${icon}Relatório de Transferência N8N
 
 **Data de Execução:** ${timestamp}
 **Duração:** ${duration}
 **Origem (SOURCE):** \`${sourceUrl}\`
-**Destino (TARGET):** \`${targetUrl}\`
+**Destino (TARGET):** \`${targetUrl}\`${journalLines}
 
 ---`;
   }
@@ -199,22 +220,37 @@ class MarkdownReporter extends BasePlugin {
       success: '✅',
       skipped: '⏭️',
       failed: '❌',
-      duplicate: '🔄'
+      duplicate: '🔄',
+      updated: '♻️',
+      removed: '🗑️'
     } : {
       total: '',
       success: '',
       skipped: '',
       failed: '',
-      duplicate: ''
+      duplicate: '',
+      updated: '',
+      removed: ''
     };
 
-    return `## ${icons.total} Resumo da Operação
+    // Modos upsert/mirror: atualizados e removidos/arquivados do destino
+    const modeRows = [];
+    if (transferResult.mode && transferResult.mode !== 'create-only') {
+      modeRows.push(`| ${icons.updated} **Atualizados no Destino** | ${transferResult.updated || 0} | ${this._calcPercentage(transferResult.updated || 0, transferResult.total)}% |`);
+    }
+    if (transferResult.mode === 'mirror') {
+      modeRows.push(`| ${icons.removed} **Excluídos do Destino** | ${transferResult.deleted || 0} | - |`);
+      modeRows.push(`| ${icons.removed} **Arquivados no Destino** | ${transferResult.archived || 0} | - |`);
+    }
+    const modeLine = transferResult.mode ? `\n**Modo:** \`${transferResult.mode}\`\n` : '';
 
+    return `## ${icons.total} Resumo da Operação
+${modeLine}
 | Métrica | Quantidade | Percentual |
 |---------|------------|------------|
 | ${icons.total} **Total de Workflows** | ${transferResult.total} | 100% |
 | ${icons.success} **Transferidos com Sucesso** | ${transferResult.transferred} | ${successRate}% |
-| ${icons.skipped} **Pulados** | ${transferResult.skipped} | ${this._calcPercentage(transferResult.skipped, transferResult.total)}% |
+${modeRows.map(row => `${row}\n`).join('')}| ${icons.skipped} **Pulados** | ${transferResult.skipped} | ${this._calcPercentage(transferResult.skipped, transferResult.total)}% |
 | ${icons.failed} **Falhas** | ${transferResult.failed} | ${this._calcPercentage(transferResult.failed, transferResult.total)}% |
 ${transferResult.duplicates !== undefined ? `| ${icons.duplicate} **Duplicatas Detectadas** | ${transferResult.duplicates} | ${this._calcPercentage(transferResult.duplicates, transferResult.total)}% |` : ''}`;
   }
@@ -257,6 +293,109 @@ ${transferResult.duplicates !== undefined ? `| ${icons.duplicate} **Duplicatas D
 ${rows}`;
   }
 
+  /**
+   * Builds updated workflows table (upsert/mirror)
+   *
+   * @private
+   * @param {Object} transferResult - Transfer result object
+   * @returns {string|null} Updated workflows Markdown table
+   */
+  _buildUpdatedWorkflows(transferResult) {
+    const updated = (transferResult.workflows || []).filter(w => w.status === 'updated');
+
+    if (updated.length === 0) {
+      return null;
+    }
+
+    const useEmojis = this.getOption('includeEmojis', true);
+    const icon = useEmojis ? '♻️ ' : '';
+
+    const rows = updated.map((w, index) => {
+      const simulated = w.simulated ? ' (simulado)' : '';
+      return `| ${index + 1} | ${w.name || 'Sem nome'}${simulated} | \`${w.sourceId || 'N/A'}\` | \`${w.targetId || 'N/A'}\` |`;
+    }).join('\n');
+
+    return `## ${icon}Workflows Atualizados no Destino
+
+| # | Nome do Workflow | ID Origem | ID Destino |
+|---|------------------|-----------|------------|
+${rows}`;
+  }
+
+  /**
+   * Builds deleted/archived target workflows table (mirror)
+   *
+   * @private
+   * @param {Object} transferResult - Transfer result object
+   * @returns {string|null} Mirrored workflows Markdown table
+   */
+  _buildMirroredWorkflows(transferResult) {
+    const removed = (transferResult.workflows || []).filter(w => w.status === 'deleted' || w.status === 'archived');
+
+    if (removed.length === 0) {
+      return null;
+    }
+
+    const useEmojis = this.getOption('includeEmojis', true);
+    const icon = useEmojis ? '🗑️ ' : '';
+    const labels = { deleted: 'Excluído', archived: 'Arquivado' };
+
+    const rows = removed.map((w, index) => {
+      const simulated = w.simulated ? ' (simulado)' : '';
+      return `| ${index + 1} | ${w.name || 'Sem nome'} | \`${w.targetId || 'N/A'}\` | ${labels[w.status]}${simulated} |`;
+    }).join('\n');
+
+    return `## ${icon}Workflows Ausentes na Origem (mirror)
+
+| # | Nome do Workflow | ID Destino | Ação |
+|---|------------------|------------|------|
+${rows}`;
+  }
+
+  /**
+   * Builds activation section (activation option)
+   *
+   * @private
+   * @param {Object} transferResult - Transfer result object
+   * @returns {string|null} Activation Markdown (null when no policy was applied)
+   */
+  _buildActivation(transferResult) {
+    const activation = transferResult.activation;
+
+    if (!activation) {
+      return null;
+    }
+
+    const useEmojis = this.getOption('includeEmojis', true);
+    const icon = useEmojis ? '⚡ ' : '';
+    const simulated = activation.simulated ? ' (simulado)' : '';
+    const lines = [
+      `## ${icon}Ativação (política \`${activation.policy}\`)${simulated}`,
+      '',
+      `- **Ativados:** ${activation.activated.length}${activation.activated.length > 0 ? ` (${activation.activated.join(', ')})` : ''}`,
+      `- **Desativados:** ${activation.deactivated.length}${activation.deactivated.length > 0 ? ` (${activation.deactivated.join(', ')})` : ''}`,
+      `- **Sem alteração:** ${activation.unchanged}`
+    ];
+
+    activation.skipped.forEach(item => lines.push(`- ${item.name}: ${item.reason}`));
+
+    if (activation.collisions.length > 0) {
+      lines.push('', '### Colisões de Webhook (mantidos inativos)', '',
+        '| Workflow | Node | Rota | Em uso por |',
+        '|----------|------|------|------------|');
+      activation.collisions.forEach(c => lines.push(`| ${c.name} | ${c.node} | \`${c.method} /${c.path}\` | ${c.conflictsWith} |`));
+    }
+
+    if (activation.failed.length > 0) {
+      lines.push('', '### Falhas de Ativação', '',
+        '| Workflow | Ação | Erro |',
+        '|----------|------|------|');
+      activation.failed.forEach(f => lines.push(`| ${f.name} | ${f.action} | ${f.error} |`));
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Builds skipped workflows table
    *
@@ -327,6 +466,94 @@ ${rows}`;
 ${rows}`;
   }
 
+  /**
+   * Builds source → target ID mapping section
+   *
+   * @private
+   * @param {Object} transferResult - Transfer result object
+   * @returns {string|null} ID mapping Markdown (null when there is no mapping)
+   */
+  _buildIdMapping(transferResult) {
+    const idMapping = transferResult.idMapping || {};
+    const entries = Object.entries(idMapping);
+    const remap = transferResult.remap;
+
+    if (entries.length === 0 && (!remap || remap.unresolved.length === 0)) {
+      return null;
+    }
+
+    const useEmojis = this.getOption('includeEmojis', true);
+    const icon = useEmojis ? '🔗 ' : '';
+
+    const names = new Map((transferResult.workflows || []).map(w => [w.sourceId || w.id, w.name]));
+
+    const rows = entries.map(([sourceId, targetId], index) => {
+      const name = names.get(sourceId) || 'Sem nome';
+      return `| ${index + 1} | ${name} | \`${sourceId}\` | \`${targetId}\` |`;
+    }).join('\n');
+
+    let content = `## ${icon}Mapeamento de IDs
+
+| # | Nome do Workflow | ID Origem | ID Destino |
+|---|------------------|-----------|------------|
+${rows}`;
+
+    if (remap) {
+      content += `
+
+**Referências remapeadas:** ${remap.remapped}
+**Resolvidas na criação:** ${remap.resolvedOnCreate || 0} workflow(s)
+**Workflows re-enviados:** ${remap.updated}${remap.failed > 0 ? `\n**Falhas no re-envio:** ${remap.failed}` : ''}`;
+
+      if (remap.unresolved.length > 0) {
+        const unresolvedRows = remap.unresolved.map((ref, index) =>
+          `| ${index + 1} | ${ref.workflow} | ${ref.nodeName} | \`${ref.referencedId || 'N/A'}\` |`
+        ).join('\n');
+
+        content += `
+
+### Referências não resolvidas
+
+| # | Workflow | Node | ID Referenciado |
+|---|----------|------|-----------------|
+${unresolvedRows}`;
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Builds unmatched credentials section
+   *
+   * @private
+   * @param {Object} transferResult - Transfer result object
+   * @returns {string|null} Unmatched credentials Markdown (null when all credentials were mapped)
+   */
+  _buildUnmatchedCredentials(transferResult) {
+    const credentials = transferResult.credentials;
+
+    if (!credentials || !credentials.unmatched || credentials.unmatched.length === 0) {
+      return null;
+    }
+
+    const useEmojis = this.getOption('includeEmojis', true);
+    const icon = useEmojis ? '🔑 ' : '';
+
+    const rows = credentials.unmatched.map((ref, index) => {
+      const workflows = (ref.workflows || []).join(', ') || 'N/A';
+      return `| ${index + 1} | ${ref.type} | ${ref.name || 'N/A'} | \`${ref.id || 'N/A'}\` | ${workflows} |`;
+    }).join('\n');
+
+    return `## ${icon}Credenciais sem Correspondente no Destino
+
+**Credenciais mapeadas:** ${credentials.matched} de ${credentials.references}
+
+| # | Tipo | Nome | ID Origem | Workflows |
+|---|------|------|-----------|-----------|
+${rows}`;
+  }
+
   /**
    * Builds error details section
    *
@@ -0,0 +1,112 @@
+/**
+ * CredentialValidator - Plugin de validação de credenciais entre SOURCE e TARGET
+ *
+ * Verifica se todas as credenciais referenciadas pelos nodes de um workflow
+ * possuem uma credencial equivalente no TARGET, usando o mapeamento construído
+ * pelo CredentialMapper (por nome + tipo ou pelo arquivo de mapeamento explícito).
+ *
+ * @module n8n-transfer/plugins/validators/credential-validator
+ * @author docs-jana
+ * @version 1.0.0
+ */
+
+const { BasePlugin } = require('../index');
+
+/**
+ * Validador de mapeamento de credenciais
+ *
+ * Sem um CredentialMapper configurado o validador não reporta nada - o
+ * TransferManager injeta o mapper via setCredentialMapper() após resolver
+ * as credenciais do TARGET.
+ *
+ * @class CredentialValidator
+ * @extends BasePlugin
+ *
+ * @example
+ * const validator = new CredentialValidator();
+ * validator.setCredentialMapper(mapper);
+ *
+ * const result = validator.validate(workflow);
+ * console.log(result.errors);
+ * // ['Credencial sem correspondente no TARGET: httpHeaderAuth "My API" (node "HTTP Request")']
+ */
+class CredentialValidator extends BasePlugin {
+  /**
+   * Cria uma nova instância do CredentialValidator
+   *
+   * @example
+   * const validator = new CredentialValidator();
+   * console.log(validator.getName()); // 'credential-validator'
+   */
+  constructor() {
+    super('credential-validator', '1.0.0', 'validator');
+    this.setDescription('Valida se as credenciais usadas pelos nodes possuem correspondente no TARGET (nome + tipo ou mapeamento explícito)');
+
+    /**
+     * Mapper com as credenciais resolvidas
+     * @type {import('../../../../../src/services/credential-mapper')|null}
+     * @private
+     */
+    this._credentialMapper = null;
+
+    // Validar que o método validate está implementado
+    this.validateImplementation(['validate']);
+  }
+
+  /**
+   * Define o CredentialMapper usado na validação
+   *
+   * @param {import('../../../../../src/services/credential-mapper')|null} mapper - Mapper já resolvido (buildMapping executado)
+   * @returns {CredentialValidator} this (para chaining)
+   */
+  setCredentialMapper(mapper) {
+    this._credentialMapper = mapper;
+    return this;
+  }
+
+  /**
+   * Valida que todas as credenciais do workflow foram mapeadas
+   *
+   * @param {Object} workflow - Workflow a ser validado
+   * @returns {ValidationResult} Resultado da validação
+   *
+   * @example
+   * const result = validator.validate(workflow);
+   * // {
+   * //   valid: false,
+   * //   errors: ['Credencial sem correspondente no TARGET: postgres "DB" (node "Query")'],
+   * //   warnings: [],
+   * //   metadata: { workflowName: 'Sync', unmatchedCredentials: [...] }
+   * // }
+   */
+  validate(workflow) {
+    const errors = [];
+    const warnings = [];
+    const metadata = {
+      workflowName: workflow.name || 'Unnamed Workflow',
+      unmatchedCredentials: []
+    };
+
+    if (!this._credentialMapper) {
+      return { valid: true, errors, warnings, metadata };
+    }
+
+    const unmatched = this._credentialMapper.findUnmatched(workflow);
+    metadata.unmatchedCredentials = unmatched;
+
+    for (const ref of unmatched) {
+      errors.push(
+        `Credencial sem correspondente no TARGET: ${ref.type} "${ref.name || ref.id}" (node "${ref.nodeName}")`
+      );
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      metadata
+    };
+  }
+}
+
+module.exports = CredentialValidator;
@@ -0,0 +1,146 @@
+/**
+ * WebhookCollisionValidator - Plugin de validação de colisões de webhook
+ *
+ * Dois workflows com o mesmo método + path de webhook quebram silenciosamente
+ * no N8N: só um deles recebe as chamadas. O validador coleta as rotas dos nodes
+ * Webhook e Form Trigger (e o webhookId dos demais triggers) dos workflows do
+ * SOURCE e do TARGET e reporta colisões antes da transferência.
+ *
+ * @module n8n-transfer/plugins/validators/webhook-collision-validator
+ * @author docs-jana
+ * @version 1.0.0
+ */
+
+const { BasePlugin } = require('../index');
+const WebhookCollisionService = require('../../../../../src/services/webhook-collision-service');
+
+/**
+ * Validador de colisões de webhook
+ *
+ * Sem setWorkflows() só compara os nodes do próprio workflow. O TransferManager
+ * injeta os workflows do SOURCE (após filtros) e do TARGET: um workflow do
+ * TARGET com o mesmo nome de um do SOURCE é o que será atualizado, não uma
+ * colisão; o mesmo path com outro nome (ex.: cópia em outra camada) é.
+ *
+ * @class WebhookCollisionValidator
+ * @extends BasePlugin
+ *
+ * @example
+ * const validator = new WebhookCollisionValidator();
+ * validator.setWorkflows(sourceWorkflows, targetWorkflows);
+ *
+ * const result = validator.validate(workflow);
+ * console.log(result.errors);
+ * // ['Webhook GET /orders também usado por "[Jana] (C) Pedidos v2" (TARGET, ativo)']
+ */
+class WebhookCollisionValidator extends BasePlugin {
+  /**
+   * Cria uma nova instância do WebhookCollisionValidator
+   *
+   * @example
+   * const validator = new WebhookCollisionValidator();
+   * console.log(validator.getName()); // 'webhook-collision-validator'
+   */
+  constructor() {
+    super('webhook-collision-validator', '1.0.0', 'validator');
+    this.setDescription('Detecta workflows com o mesmo webhook (método + path) no SOURCE e no TARGET');
+
+    /**
+     * Detector de colisões
+     * @type {WebhookCollisionService}
+     * @private
+     */
+    this._detector = new WebhookCollisionService();
+
+    /**
+     * Colisões dos workflows injetados (null sem setWorkflows)
+     * @type {Array<Object>|null}
+     * @private
+     */
+    this._collisions = null;
+
+    // Validar que o método validate está implementado
+    this.validateImplementation(['validate']);
+  }
+
+  /**
+   * Define os workflows comparados na validação
+   *
+   * @param {Array<Object>} workflows - Workflows a transferir (SOURCE, após filtros)
+   * @param {Array<Object>} [targetWorkflows=[]] - Workflows do TARGET
+   * @returns {WebhookCollisionValidator} this (para chaining)
+   */
+  setWorkflows(workflows, targetWorkflows = []) {
+    this._collisions = this._detector.findCollisions(workflows, targetWorkflows);
+    return this;
+  }
+
+  /**
+   * Valida que os webhooks do workflow não são usados por outros workflows
+   *
+   * Colisões só com workflows inativos do TARGET viram warnings.
+   *
+   * @param {Object} workflow - Workflow a ser validado
+   * @returns {ValidationResult} Resultado da validação
+   *
+   * @example
+   * const result = validator.validate(workflow);
+   * // {
+   * //   valid: false,
+   * //   errors: ['Webhook POST /signup também usado por "Cadastro" (node "Form")'],
+   * //   warnings: [],
+   * //   metadata: { workflowName: 'Cadastro v2', collisions: [...] }
+   * // }
+   */
+  validate(workflow) {
+    const errors = [];
+    const warnings = [];
+    const collisions = (this._collisions || this._detector.findCollisions([workflow]))
+      .filter(collision => collision.workflows.some(entry => this._isSameWorkflow(entry, workflow)));
+
+    for (const collision of collisions) {
+      const route = collision.method === '*' ? `webhookId ${collision.path}` : `${collision.method} /${collision.path}`;
+      const own = collision.workflows.filter(entry => this._isSameWorkflow(entry, workflow));
+      const others = collision.workflows
+        .filter(entry => !own.includes(entry))
+        .map(entry => entry.origin === 'target'
+          ? `"${entry.name}" (TARGET, ${entry.active ? 'ativo' : 'inativo'})`
+          : `"${entry.name}" (node "${entry.node}")`);
+
+      // Nodes do próprio workflow com o mesmo path
+      if (own.length > 1) {
+        others.unshift(...own.slice(1).map(entry => `node "${entry.node}" do mesmo workflow`));
+      }
+
+      const message = `Webhook ${route} também usado por ${others.join(', ')}`;
+      (collision.severity === 'error' ? errors : warnings).push(message);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      metadata: {
+        workflowName: workflow.name || 'Unnamed Workflow',
+        collisions
+      }
+    };
+  }
+
+  /**
+   * Verifica se uma rota coletada pertence ao workflow validado (do SOURCE)
+   *
+   * @private
+   * @param {Object} entry - Entrada de uma colisão
+   * @param {Object} workflow - Workflow validado
+   * @returns {boolean} True se a entrada é do workflow
+   */
+  _isSameWorkflow(entry, workflow) {
+    if (entry.origin !== 'local') {
+      return false;
+    }
+    return workflow.id ? entry.id === String(workflow.id) : entry.name === workflow.name;
+  }
+}
+
+module.exports = WebhookCollisionValidator;
@@ -5,15 +5,22 @@
 
 const ApiKeyStrategy = require('./api-key-strategy');
 const BasicAuthStrategy = require('./basic-auth-strategy');
+const SecretStore = require('../utils/secret-store');
 
 class AuthFactory {
   /**
    * Create authentication strategy based on available credentials
+   *
+   * apiKey and password may be secret references ("secret:NAME"), read from
+   * the encrypted secrets store (see SecretStore).
+   *
    * @param {object} credentials - Credentials object
    * @returns {AuthStrategy} Authentication strategy instance
    */
   static create(credentials) {
-    const { apiKey, username, password } = credentials;
+    const apiKey = SecretStore.resolveValue(credentials.apiKey);
+    const { username } = credentials;
+    const password = SecretStore.resolveValue(credentials.password);
 
     // Priority: API Key > Basic Auth
     if (apiKey) {
@@ -8,13 +8,14 @@ const HttpClient = require('../utils/http-client');
 const OutlineService = require('../services/outline-service');
 const Logger = require('../utils/logger');
 const FileManager = require('../utils/file-manager');
+const SecretStore = require('../utils/secret-store');
 
 class OutlineAuthFactory {
   /**
    * Cria uma instância configurada do OutlineService
    *
    * @param {object} config - Objeto de configuração
-   * @param {string} config.apiToken - Token de API do Outline
+   * @param {string} config.apiToken - Token de API do Outline (ou referência "secret:NOME" do SecretStore)
    * @param {string} config.baseUrl - URL base da API do Outline
    * @param {number} [config.delay=200] - Delay entre requisições (rate limiting)
    * @param {boolean} [config.verbose=false] - Ativar logs detalhados
@@ -25,6 +26,11 @@ class OutlineAuthFactory {
    * @throws {Error} Se a configuração for inválida
    */
   static create(config) {
+    // Resolve referência ao cofre de segredos (secret:NOME)
+    if (config && SecretStore.isReference(config.apiToken)) {
+      config = { ...config, apiToken: SecretStore.resolveValue(config.apiToken) };
+    }
+
     // Valida a configuração
     const validation = this.validate(config);
     if (!validation.valid) {
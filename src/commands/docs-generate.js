@@ -0,0 +1,170 @@
+/**
+ * Docs Generate Command
+ * Writes Markdown documentation for a folder of workflow files
+ * (e.g. an n8n:download folder): one page per workflow and an index
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const WorkflowFiles = require('../utils/workflow-files');
+const WorkflowDocsGenerator = require('../services/workflow-docs-generator');
+const fs = require('fs');
+const path = require('path');
+
+class DocsGenerateCommand {
+  /**
+   * Execute the docs:generate command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new DocsGenerateApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * Docs Generate Application
+ */
+class DocsGenerateApp {
+  constructor() {
+    this.logger = null;
+    this.generator = null;
+    this.showHelp = false;
+    this.inputDir = null;
+    this.outputDir = null;
+    this.groupBy = 'folder';
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--input':
+      case '-i':
+        this.inputDir = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.outputDir = args[++i];
+        break;
+      case '--group-by':
+        this.groupBy = args[++i];
+        break;
+      default:
+        if (!arg.startsWith('-') && !this.inputDir) {
+          this.inputDir = arg;
+        }
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+Docs Generate Command - Markdown documentation from workflow files
+
+USAGE:
+  docs-jana docs:generate [--input <dir>] [--output <dir>] [options]
+
+DESCRIPTION:
+  Reads workflow JSON files (recursively, e.g. an n8n:download folder) and
+  writes one Markdown page per workflow, in the same folder layout:
+
+    - Summary: ID, layer tag, tags, active state, trigger, source file
+    - Description: the content of the workflow sticky notes
+    - Nodes, and the credentials they use (names only, never secrets)
+    - Calls / Called by: Execute Workflow references, linked to their pages
+
+  and an index.md listing the workflows by folder (the tag folders of
+  n8n:download) or by tag. Works offline; existing pages are overwritten.
+
+OPTIONS:
+  --input, -i <dir>      Workflow directory (default: N8N_INPUT_DIR or ./n8n/workflows)
+  --output, -o <dir>     Documentation directory (default: ./n8n/docs)
+  --group-by <grouping>  Index grouping: folder or tag (default: folder)
+  --help, -h             Show this help message
+
+EXAMPLES:
+  # Document the last download
+  docs-jana docs:generate
+
+  # Index by tag, into the Outline docs folder
+  docs-jana docs:generate --input ./n8n/workflows --output ./docs/workflows --group-by tag
+`);
+  }
+
+  /**
+   * Initialize the application
+   */
+  initialize() {
+    this.logger = new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+    this.generator = new WorkflowDocsGenerator(this.logger);
+    this.inputDir = this.inputDir || process.env.N8N_INPUT_DIR || path.join(process.cwd(), 'n8n', 'workflows');
+    this.outputDir = this.outputDir || path.join(process.cwd(), 'n8n', 'docs');
+  }
+
+  /**
+   * Generate the documentation
+   *
+   * @returns {Promise<{workflows: number, files: string[]}>} Workflows documented and files written
+   * @throws {Error} If the input directory does not exist or the grouping is unknown
+   */
+  async run() {
+    this.initialize();
+
+    const entries = this.loadWorkflows(this.inputDir);
+    if (entries.length === 0) {
+      this.logger.warn(`⚠️  No workflows found in ${this.inputDir}`);
+    }
+
+    const { pages, index } = this.generator.generate(entries, { groupBy: this.groupBy });
+    const files = [];
+
+    for (const page of [...pages, index]) {
+      const filePath = path.join(this.outputDir, ...page.file.split('/'));
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, page.content);
+      files.push(page.file);
+    }
+
+    this.logger.success(`📚 ${pages.length} workflow page(s) and ${index.file} written to ${this.outputDir}`);
+
+    return { workflows: entries.length, files };
+  }
+
+  /**
+   * Load workflows from a directory (see WorkflowFiles.load())
+   *
+   * @param {string} dir - Workflow directory
+   * @returns {Array<{workflow: object, file: string}>} Workflows and their path relative to dir
+   * @throws {Error} If the directory does not exist
+   */
+  loadWorkflows(dir) {
+    return WorkflowFiles.load(dir, { logger: this.logger });
+  }
+}
+
+module.exports = DocsGenerateCommand;
+module.exports.DocsGenerateApp = DocsGenerateApp;
@@ -0,0 +1,174 @@
+/**
+ * N8N Apply Command
+ * Executes a reviewed deployment plan (n8n:upload --plan-out), refusing to
+ * run when the target changed since the plan was made
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const { N8nUploadApp } = require('./n8n-upload');
+const DeploymentPlanService = require('../services/deployment-plan-service');
+
+class N8nApplyCommand {
+  /**
+   * Execute the apply command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    // Only flags are passed on to ConfigManager (same as n8n:upload)
+    const app = new N8nApplyApp(process.argv.slice(0, 2).concat(args));
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Apply Application
+ *
+ * Runs the n8n:upload process (dependency order, ID remapping, snapshot for
+ * n8n:rollback, history) on the workflows embedded in the plan, with the
+ * options the plan was made with. The drift check guarantees the upload
+ * takes the same create/update/skip decisions as the plan.
+ *
+ * @class N8nApplyApp
+ * @extends N8nUploadApp
+ */
+class N8nApplyApp extends N8nUploadApp {
+  constructor(argv = process.argv) {
+    super(argv);
+    this.planFile = null;
+    this.plan = null;
+    this.planner = null;
+  }
+
+  /**
+   * Parse command-line arguments
+   *
+   * @param {string[]} args - Command-line arguments to parse
+   */
+  parseArgs(args) {
+    super.parseArgs(args);
+
+    for (let i = 0; i < args.length; i++) {
+      switch (args[i]) {
+      case '--plan':
+        this.planFile = args[++i];
+        break;
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Apply Command - Execute a reviewed deployment plan
+
+USAGE:
+  docs-jana n8n:apply --plan <file> [options]
+
+DESCRIPTION:
+  Uploads the workflows embedded in a plan written by
+  n8n:upload --dry-run --plan-out <file> (or n8n:promote, n8n:dry-run), with
+  the options the plan was made with (--force, --skip-remap, --sync-tags,
+  --activation).
+  Local workflow files are not read again.
+
+  The plan is refused when:
+    - it was made for another target N8N
+    - a planned target workflow was deleted or changed (versionId, updatedAt)
+    - a workflow the plan creates now exists on the target
+
+  Make a new plan (and have it reviewed) in those cases.
+
+OPTIONS:
+  --plan <file>             Deployment plan file (required)
+  --dry-run                 Only check the plan against the target
+  --help, -h                Show this help message
+
+ENVIRONMENT VARIABLES:
+  TARGET_N8N_URL            Target N8N instance URL (falls back to N8N_URL)
+  TARGET_N8N_API_KEY        Target N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # Plan, review, apply
+  docs-jana n8n:upload --input ./n8n/workflows --force --plan-out ./plan.json
+  docs-jana n8n:apply --plan ./plan.json --dry-run
+  docs-jana n8n:apply --plan ./plan.json
+`);
+  }
+
+  /**
+   * Load the plan, then run the upload
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the plan is missing, invalid or out of date
+   */
+  async run() {
+    if (!this.planFile) {
+      throw new Error('Missing --plan <file> (written by n8n:upload --dry-run --plan-out <file>)');
+    }
+
+    // The logger is created by initialize()
+    this.plan = await new DeploymentPlanService(this.logger).load(this.planFile, 'upload');
+
+    this.inputDir = this.plan.source.inputDir;
+    this.folderFilter = this.plan.source.folder || null;
+    this.skipRemap = this.plan.options.skipRemap === true;
+    this.syncTags = this.plan.options.syncTags === true;
+    this.activation = this.plan.options.activation || null;
+
+    return await super.run();
+  }
+
+  /**
+   * Initialize the application with the plan options
+   *
+   * @throws {Error} If the plan was made for another target
+   */
+  initialize() {
+    super.initialize();
+
+    // --force and N8N_FORCE are ignored: the plan decided which workflows are overwritten
+    this.config.force = this.plan.options.force === true;
+    this.planner = new DeploymentPlanService(this.logger);
+    this.planner.assertUrl(this.plan, 'target', this.config.baseUrl);
+
+    this.logger.info(`📝 Applying deployment plan from ${this.plan.createdAt}: ${this.plan.workflows.length} workflow(s)`);
+  }
+
+  /**
+   * Workflows embedded in the plan (already rendered)
+   *
+   * @returns {Array<Object>} Copies of the planned workflows
+   */
+  readWorkflowFiles() {
+    return this.plan.workflows
+      .filter(item => item.workflow)
+      .map(item => JSON.parse(JSON.stringify(item.workflow)));
+  }
+
+  /**
+   * Refuse to run when the target changed since the plan was made
+   *
+   * @param {Array<Object>} _workflows - Planned workflows
+   * @returns {Promise<void>}
+   * @throws {Error} Listing the differences
+   */
+  async verifyTarget(_workflows) {
+    const targetWorkflows = await this.workflowService.listWorkflows();
+    this.planner.assertNoDrift(this.plan, targetWorkflows);
+    this.logger.success('✅ Target unchanged since the plan was made');
+  }
+}
+
+module.exports = N8nApplyCommand;
+module.exports.N8nApplyApp = N8nApplyApp;
@@ -4,13 +4,15 @@
  * Configures the target N8N instance for workflow uploads.
  * - Prompts for URL and API key
  * - Tests the connection
- * - Saves to .env file
+ * - Saves to .env file (or to a named profile with --save-profile)
  *
- * Usage: node cli.js n8n:configure-target
+ * Usage: node cli.js n8n:configure-target [--save-profile <name>]
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const ProfileManager = require('../utils/profile-manager');
+const SecretStore = require('../utils/secret-store');
 
 // Load environment variables
 const EnvLoader = require('../utils/env-loader');
@@ -24,7 +26,14 @@ class N8NConfigureTargetCommand {
    */
   static async execute(args) {
     const chalk = (await import('chalk')).default;
-    const app = new N8NConfigureTargetApp(chalk);
+    const profileIndex = args.indexOf('--save-profile');
+    const profileName = profileIndex !== -1 ? args[profileIndex + 1] : null;
+
+    if (profileIndex !== -1 && (!profileName || profileName.startsWith('-'))) {
+      throw new Error('--save-profile requer o nome do profile');
+    }
+
+    const app = new N8NConfigureTargetApp(chalk, { profileName });
 
     // Check for help flag
     if (args.includes('--help') || args.includes('-h')) {
@@ -41,8 +50,58 @@ class N8NConfigureTargetCommand {
 }
 
 class N8NConfigureTargetApp {
-  constructor(chalk) {
+  /**
+   * @param {Object} chalk - Instância do chalk
+   * @param {Object} [options={}]
+   * @param {string} [options.profileName] - Salvar no profile informado em vez do .env
+   * @param {ProfileManager} [options.profileManager] - Armazenamento de profiles
+   * @param {SecretStore} [options.secretStore] - Cofre de segredos criptografado
+   */
+  constructor(chalk, options = {}) {
     this.chalk = chalk;
+    this.profileName = options.profileName || null;
+    this.profileManager = options.profileManager || new ProfileManager();
+    this.secretStore = options.secretStore || new SecretStore();
+  }
+
+  /**
+   * Lê a configuração atual do destino (profile informado ou .env)
+   * @returns {Promise<Object>} TARGET_N8N_URL e TARGET_N8N_API_KEY atuais
+   */
+  async readCurrentTarget() {
+    let current = {};
+
+    if (!this.profileName) {
+      current = await this.readCurrentConfig();
+    } else if (this.profileManager.has(this.profileName)) {
+      const { n8n } = this.profileManager.resolve(this.profileName);
+      current = n8n ? { TARGET_N8N_URL: n8n.url, TARGET_N8N_API_KEY: n8n.apiKey || undefined } : {};
+    }
+
+    // Chave guardada no cofre de segredos: mostrar o valor, não a referência
+    if (SecretStore.isReference(current.TARGET_N8N_API_KEY)) {
+      try {
+        current.TARGET_N8N_API_KEY = this.secretStore.resolve(current.TARGET_N8N_API_KEY);
+      } catch {
+        current.TARGET_N8N_API_KEY = undefined;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Guarda a chave API no cofre de segredos, quando ele já existe
+   * @param {string} apiKey - API Key
+   * @returns {string} Referência "secret:NOME" ou a própria chave (sem cofre)
+   */
+  protectApiKey(apiKey) {
+    if (!this.secretStore.exists()) {
+      return apiKey;
+    }
+
+    const name = this.profileName ? `profile.${this.profileName}.n8n.apiKey` : 'TARGET_N8N_API_KEY';
+    return this.secretStore.set(name, apiKey);
   }
 
   /**
@@ -59,7 +118,7 @@ class N8NConfigureTargetApp {
     console.log(chalk.dim('─'.repeat(70)));
 
     // Show current configuration if exists
-    const currentConfig = await this.readCurrentConfig();
+    const currentConfig = await this.readCurrentTarget();
     if (currentConfig.TARGET_N8N_URL) {
       console.log(chalk.bold('\nN8N ATUAL CONFIGURADO:\n'));
       console.log(chalk.cyan(`  URL: ${currentConfig.TARGET_N8N_URL}`));
@@ -121,8 +180,8 @@ class N8NConfigureTargetApp {
     console.log(''); // Espaço em branco
 
     try {
-      // Ler configuração atual do .env
-      const currentConfig = await this.readCurrentConfig();
+      // Ler configuração atual do .env (ou do profile)
+      const currentConfig = await this.readCurrentTarget();
 
       // Passo 1: Solicitar URL
       console.log(chalk.bold('📝 Passo 1/3: URL da Instância N8N\n'));
@@ -332,10 +391,18 @@ class N8NConfigureTargetApp {
         }
       }
 
-      // Salvar no .env
-      const saveSpinner = ora('Salvando configuração no arquivo .env...').start();
+      // Salvar no .env (ou no profile)
+      const destination = this.profileName ? `profile "${this.profileName}"` : 'arquivo .env';
+      const saveSpinner = ora(`Salvando configuração no ${destination}...`).start();
 
-      await this.saveToEnv(answers.url, answers.apiKey);
+      // Com o cofre de segredos, o .env / profile guarda só a referência
+      const storedApiKey = this.protectApiKey(answers.apiKey);
+
+      if (this.profileName) {
+        this.saveToProfile(answers.url, storedApiKey);
+      } else {
+        await this.saveToEnv(answers.url, storedApiKey);
+      }
 
       saveSpinner.succeed(chalk.green('✅ Configuração salva com sucesso!'));
 
@@ -346,14 +413,24 @@ class N8NConfigureTargetApp {
       console.log(`${chalk.bold('Chave API:')} ${chalk.dim('*'.repeat(35) + answers.apiKey.slice(-3))}`);
       console.log(chalk.dim('─'.repeat(50)));
       console.log(chalk.green('\n✅ Instância N8N de destino configurada!'));
-      console.log(chalk.cyan('🚀 Agora você pode usar a opção "Enviar Workflows para N8N".\n'));
+      if (SecretStore.isReference(storedApiKey)) {
+        console.log(chalk.dim(`🔒 Chave API criptografada em ${this.secretStore.filePath} (${storedApiKey})`));
+      } else {
+        console.log(chalk.dim('💡 Para não guardar a chave em texto puro: docs-jana secrets migrate'));
+      }
+      if (this.profileName) {
+        console.log(chalk.cyan(`🚀 Use --to ${this.profileName} (ou --profile ${this.profileName}) nos comandos de upload.\n`));
+      } else {
+        console.log(chalk.cyan('🚀 Agora você pode usar a opção "Enviar Workflows para N8N".\n'));
+      }
 
       return {
         success: true,
         message: 'N8N de destino configurado com sucesso',
         data: {
           url: answers.url,
-          apiKeyConfigured: true
+          apiKeyConfigured: true,
+          profile: this.profileName
         },
         exitCode: 0
       };
@@ -551,6 +628,20 @@ class N8NConfigureTargetApp {
     }
   }
 
+  /**
+   * Salva a instância de destino como endpoint N8N do profile
+   * (mantém o endpoint Outline de um profile existente)
+   * @param {string} url - URL do N8N
+   * @param {string} apiKey - API Key
+   */
+  saveToProfile(url, apiKey) {
+    const existing = this.profileManager.has(this.profileName)
+      ? this.profileManager.get(this.profileName)
+      : {};
+
+    this.profileManager.add(this.profileName, { ...existing, n8n: { url, apiKey } }, { overwrite: true });
+  }
+
   /**
    * Mostra ajuda do comando
    */
@@ -560,7 +651,7 @@ class N8NConfigureTargetApp {
 ${chalk.bold.cyan('n8n:configure-target')} - Configurar Instância N8N de Destino
 
 ${chalk.bold('USO:')}
-  docs-jana n8n:configure-target
+  docs-jana n8n:configure-target [--save-profile <nome>]
 
 ${chalk.bold('DESCRIÇÃO:')}
   Configure interativamente a instância N8N de destino onde os workflows serão enviados.
@@ -568,13 +659,16 @@ ${chalk.bold('DESCRIÇÃO:')}
   - Solicitar a URL do N8N de destino
   - Solicitar a chave API do N8N de destino (não usa usuário/senha)
   - Testar a conexão (opcional)
-  - Salvar a configuração no arquivo .env
+  - Salvar a configuração no arquivo .env (ou em um profile)
 
 ${chalk.bold('CONFIGURAÇÃO:')}
   As seguintes variáveis serão atualizadas no .env:
   - TARGET_N8N_URL     (URL da instância de destino)
   - TARGET_N8N_API_KEY (Chave API da instância de destino)
 
+  Com --save-profile, a instância é salva como endpoint N8N do profile
+  (veja: docs-jana profiles --help) e o .env não é alterado.
+
 ${chalk.bold('COMO OBTER A CHAVE API:')}
   1. Faça login na sua instância N8N
   2. Vá em Settings → API
@@ -582,12 +676,16 @@ ${chalk.bold('COMO OBTER A CHAVE API:')}
   4. Copie a chave (ela só será mostrada uma vez!)
 
 ${chalk.bold('OPÇÕES:')}
-  -h, --help     Mostra esta mensagem de ajuda
+  --save-profile <nome>  Salva no profile <nome> em vez do .env
+  -h, --help             Mostra esta mensagem de ajuda
 
 ${chalk.bold('EXEMPLOS:')}
   # Configurar instância N8N de destino
   docs-jana n8n:configure-target
 
+  # Configurar o profile "prod" (usado com --to prod)
+  docs-jana n8n:configure-target --save-profile prod
+
   # Ver esta ajuda
   docs-jana n8n:configure-target --help
 
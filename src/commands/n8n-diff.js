@@ -0,0 +1,279 @@
+/**
+ * N8N Diff Command
+ * Structural diff between a local workflow and the target N8N,
+ * or between two local workflows / snapshot directories
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const WorkflowFiles = require('../utils/workflow-files');
+const { HttpClientFactory } = require('../core/factories');
+const ConfigManager = require('../utils/config-manager');
+const AuthFactory = require('../auth/auth-factory');
+const WorkflowService = require('../services/workflow-service');
+const WorkflowDiffService = require('../services/workflow-diff-service');
+const fs = require('fs');
+const path = require('path');
+
+class N8nDiffCommand {
+  /**
+   * Execute the diff command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new N8nDiffApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Diff Application
+ */
+class N8nDiffApp {
+  constructor() {
+    // Positional arguments are file paths: keep them away from ConfigManager
+    this.configManager = new ConfigManager(null, process.argv.slice(0, 2));
+    this.config = null;
+    this.logger = null;
+    this.workflowService = null;
+    this.differ = null;
+    this.showHelp = false;
+    this.paths = [];
+    this.format = 'text';
+    this.output = null;
+    this.includePosition = false;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--format':
+      case '-f':
+        this.format = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.output = args[++i];
+        break;
+      case '--include-position':
+        this.includePosition = true;
+        break;
+      default:
+        if (!arg.startsWith('-')) {
+          this.paths.push(arg);
+        }
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Diff Command - Structural diff between workflow versions
+
+USAGE:
+  docs-jana n8n:diff <local> [options]           Local vs target N8N
+  docs-jana n8n:diff <base> <head> [options]     Two local versions
+
+  <local>, <base> and <head> are workflow JSON files or directories
+  (e.g. two n8n:download snapshots). Directories are compared workflow by
+  workflow, matched by ID and then by name.
+
+REPORTS:
+  - Nodes added / removed (matched by node id, not array position)
+  - Node parameter changes (per parameter path)
+  - Connections rewired
+  - Credential changes per node
+  - Workflow settings changes
+
+OPTIONS:
+  --format, -f <format>  Output format: text (default), json, markdown
+  --output, -o <file>    Write the diff to <file> instead of the terminal
+  --include-position     Also report node position (canvas layout) changes
+  --help, -h             Show this help message
+
+ENVIRONMENT VARIABLES (local vs target only):
+  TARGET_N8N_URL         Target N8N instance URL (falls back to N8N_URL)
+  TARGET_N8N_API_KEY     Target N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # What would change on the target if this workflow was uploaded?
+  docs-jana n8n:diff "n8n/workflows/no-tag/Sync Orders (abc123).json"
+
+  # Compare two snapshots and write a review comment
+  docs-jana n8n:diff ./backup-old ./n8n/workflows --format markdown --output diff.md
+`);
+  }
+
+  /**
+   * Initialize the application
+   *
+   * @param {boolean} needsTarget - Whether the target N8N connection is needed
+   */
+  initialize(needsTarget) {
+    if (!WorkflowDiffService.FORMATS.includes(this.format)) {
+      throw new Error(`Invalid --format "${this.format}" (use ${WorkflowDiffService.FORMATS.join(', ')})`);
+    }
+
+    this.logger = new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+    this.differ = new WorkflowDiffService(this.logger, { includePosition: this.includePosition });
+
+    if (!needsTarget) {
+      return;
+    }
+
+    this.config = this.configManager.load();
+
+    // Same precedence as n8n:upload: TARGET if available, otherwise N8N_URL
+    if (this.config.targetN8nUrl) {
+      this.config.n8nUrl = this.config.targetN8nUrl;
+      if (this.config.targetApiKey) {
+        this.config.apiKey = this.config.targetApiKey;
+      }
+    }
+    this.config.baseUrl = this.config.n8nUrl;
+
+    const validation = this.configManager.validate();
+    if (!validation.valid) {
+      console.error('❌ Configuration Error:\n');
+      validation.errors.forEach(error => console.error(`   - ${error}`));
+      console.error('\n💡 Configure the target N8N (TARGET_N8N_URL / TARGET_N8N_API_KEY) or pass two local paths\n');
+      throw new Error('Invalid configuration');
+    }
+
+    const authStrategy = AuthFactory.create(this.config);
+    const httpClient = HttpClientFactory.create({
+      baseUrl: this.config.baseUrl,
+      headers: authStrategy.getHeaders(),
+      maxRetries: 3,
+      timeout: 30000
+    });
+
+    this.workflowService = new WorkflowService(httpClient, authStrategy, this.logger);
+  }
+
+  /**
+   * Run the diff
+   *
+   * @returns {Promise<object>} Diff result
+   */
+  async run() {
+    if (this.paths.length === 0 || this.paths.length > 2) {
+      this.printHelp();
+      throw new Error('Expected one path (local vs target) or two paths (base and head)');
+    }
+
+    const againstTarget = this.paths.length === 1;
+    this.initialize(againstTarget);
+
+    const [first, second] = this.paths.map(p => this.loadWorkflows(p));
+
+    let result;
+    if (againstTarget) {
+      this.logger.info(`🎯 Comparing with target N8N: ${this.config.baseUrl}`);
+      const targetWorkflows = await this.fetchTargetWorkflows(first.workflows);
+      result = this._diff(first.isDirectory, targetWorkflows, first.workflows);
+    } else {
+      result = this._diff(first.isDirectory || second.isDirectory, first.workflows, second.workflows);
+    }
+
+    const output = this.differ.format(result, this.format);
+
+    if (this.output) {
+      fs.mkdirSync(path.dirname(path.resolve(this.output)), { recursive: true });
+      fs.writeFileSync(this.output, output + '\n', 'utf8');
+      this.logger.success(`✅ Diff saved to ${this.output}`);
+    } else {
+      console.log(output);
+    }
+
+    return result;
+  }
+
+  /**
+   * Diff single workflows or collections
+   *
+   * @param {boolean} collection - Whether a directory was given
+   * @param {Array<object>} baseWorkflows - Old workflows
+   * @param {Array<object>} headWorkflows - New workflows
+   * @returns {object} Workflow diff or collection diff
+   */
+  _diff(collection, baseWorkflows, headWorkflows) {
+    if (!collection) {
+      if (baseWorkflows.length === 0) {
+        throw new Error(`Workflow "${headWorkflows[0].name}" not found on target N8N`);
+      }
+      return this.differ.diff(baseWorkflows[0], headWorkflows[0]);
+    }
+
+    return this.differ.diffCollections(baseWorkflows, headWorkflows);
+  }
+
+  /**
+   * Load workflows from a JSON file or directory (see WorkflowFiles.load())
+   *
+   * @param {string} sourcePath - File or directory
+   * @returns {{isDirectory: boolean, workflows: Array<object>}} Loaded workflows
+   * @throws {Error} If the path does not exist or a file is not valid JSON
+   */
+  loadWorkflows(sourcePath) {
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`Path not found: ${sourcePath}`);
+    }
+
+    if (!fs.statSync(sourcePath).isDirectory()) {
+      return { isDirectory: false, workflows: [WorkflowFiles.read(sourcePath)] };
+    }
+
+    const entries = WorkflowFiles.load(sourcePath, { logger: this.logger });
+    return { isDirectory: true, workflows: entries.map(entry => entry.workflow) };
+  }
+
+  /**
+   * Fetch the target version of each local workflow (by ID, then by name)
+   *
+   * @param {Array<object>} localWorkflows - Local workflows
+   * @returns {Promise<Array<object>>} Full target workflows that have a local counterpart
+   */
+  async fetchTargetWorkflows(localWorkflows) {
+    const summaries = await this.workflowService.listWorkflows();
+    const byId = new Map(summaries.map(wf => [String(wf.id), wf]));
+    const byName = new Map(summaries.map(wf => [wf.name, wf]));
+    const targetWorkflows = [];
+
+    for (const local of localWorkflows) {
+      const match = (local.id && byId.get(String(local.id))) || byName.get(local.name);
+
+      if (match) {
+        targetWorkflows.push(await this.workflowService.getWorkflow(match.id));
+      }
+    }
+
+    return targetWorkflows;
+  }
+}
+
+module.exports = N8nDiffCommand;
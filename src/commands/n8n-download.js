@@ -13,6 +13,10 @@ const ConfigManager = require('../utils/config-manager');
 const AuthFactory = require('../auth/auth-factory');
 const WorkflowService = require('../services/workflow-service');
 const WorkflowValidator = require('../services/validation-wrapper');
+const DownloadManifestService = require('../services/download-manifest-service');
+const SecretScanner = require('../services/secret-scanner');
+const GitSnapshotService = require('../services/git-snapshot-service');
+const WorkflowTemplateEngine = require('../utils/workflow-template-engine');
 const fs = require('fs');
 const path = require('path');
 
@@ -53,6 +57,17 @@ class N8nBackupApp {
     this.noTagFilter = false;
     this.useSource = false;
     this.skipValidation = false;
+    this.incremental = false;
+    this.archiveDeleted = false;
+    this.archiveDir = null;
+    this.gitSnapshot = false;
+    this.parameterise = false;
+    this.variablesFile = null;
+    this.templateAssignments = [];
+    this.templateEngine = null;
+    this.secretScan = true;
+    this.redactSecrets = false;
+    this.restoreMap = null;
   }
 
   /**
@@ -84,6 +99,38 @@ class N8nBackupApp {
       case '--skip-validation':
         this.skipValidation = true;
         break;
+      case '--incremental':
+        this.incremental = true;
+        break;
+      case '--archive-deleted':
+        this.archiveDeleted = true;
+        break;
+      case '--archive-dir':
+        this.archiveDeleted = true;
+        this.archiveDir = args[++i];
+        break;
+      case '--git':
+        this.gitSnapshot = true;
+        break;
+      case '--parameterise':
+      case '--parameterize':
+        this.parameterise = true;
+        break;
+      case '--vars':
+        this.variablesFile = args[++i];
+        break;
+      case '--set':
+        this.templateAssignments.push(args[++i]);
+        break;
+      case '--no-secret-scan':
+        this.secretScan = false;
+        break;
+      case '--redact-secrets':
+        this.redactSecrets = true;
+        break;
+      case '--restore-map':
+        this.restoreMap = args[++i];
+        break;
       }
     }
   }
@@ -104,6 +151,23 @@ OPTIONS:
   --no-tag-filter       Ignore N8N_TAG from .env and download all workflows
   --output, -o <dir>    Output directory (default: ./n8n-workflows-TIMESTAMP)
   --skip-validation     Skip ID duplicate validation (not recommended)
+  --incremental         Only download workflows changed since the last run
+                        (uses _download-manifest.json in the output directory)
+  --archive-deleted     Move files of workflows deleted upstream to
+                        <output>-archive/ instead of removing them
+  --archive-dir <dir>   Archive directory for deleted workflows (implies --archive-deleted)
+  --git                 Commit the snapshot to a git repository in the output
+                        directory (browse versions with n8n:history)
+  --parameterise        Replace known values with {NAME} placeholders in the
+                        saved workflows (values from --set, the selected
+                        profile's variables and the variables file)
+  --vars <file>         Variables file (default: .jana/variables.json)
+  --set NAME=value      Value to parameterise (repeatable)
+  --no-secret-scan      Skip the scan for secrets pasted into node parameters
+  --redact-secrets      Replace the secrets found with ***REDACTED:<id>*** placeholders
+                        (values kept in a local restore map, see secrets restore;
+                        uploads refuse workflows still holding placeholders)
+  --restore-map <file>  Restore map (default: .jana/secret-restore-map.json)
   --help, -h            Show this help message
 
 ENVIRONMENT VARIABLES:
@@ -125,6 +189,18 @@ EXAMPLES:
 
   # Download to specific directory
   docs-jana n8n:download --output ./my-workflows
+
+  # Nightly backup: fetch only changed workflows, archive deleted ones
+  docs-jana n8n:download --incremental --archive-deleted
+
+  # Versioned backup: commit each snapshot to git
+  docs-jana n8n:download --incremental --git
+
+  # Versioned backup without the API keys pasted into HTTP Request nodes
+  docs-jana n8n:download --git --redact-secrets
+
+  # Export templates: https://api.dev.example.com → {API_BASE} (render with n8n:render)
+  docs-jana n8n:download --parameterise --set API_BASE=https://api.dev.example.com
 `);
   }
 
@@ -201,6 +277,17 @@ EXAMPLES:
     this.fileManager = new FileManager(this.logger);
     this.workflowService = new WorkflowService(httpClient, authStrategy, this.logger);
     this.workflowValidator = new WorkflowValidator(this.logger);
+
+    if (this.parameterise) {
+      this.templateEngine = WorkflowTemplateEngine.create({
+        variablesFile: this.variablesFile,
+        values: WorkflowTemplateEngine.parseAssignments(this.templateAssignments)
+      });
+
+      if (Object.keys(this.templateEngine.parameterValues()).length === 0) {
+        this.logger.warn('⚠️  --parameterise: no values to replace (use --set, --vars, a profile with variables or JANA_VAR_<NAME>)');
+      }
+    }
   }
 
   /**
@@ -255,73 +342,313 @@ EXAMPLES:
 
     // Create output directory - SEMPRE usa n8n/workflows/ (pasta fixa, substitui anterior)
     const outputDir = this.config.outputDir || path.join(process.cwd(), 'n8n', 'workflows');
+    const manifest = new DownloadManifestService(this.logger, DownloadManifestService.pathFor(outputDir));
+
+    // Incremental: only workflows added or changed since the last run
+    const delta = this.incremental
+      ? await this._prepareIncremental(manifest, filteredWorkflows, outputDir)
+      : null;
+
+    let toDownload = filteredWorkflows;
+
+    if (delta) {
+      toDownload = [...delta.added, ...delta.changed];
+      this._removeDeletedWorkflows(delta.removed, outputDir, manifest);
+    } else {
+      // Remove pasta anterior se existir (para substituir)
+      if (fs.existsSync(outputDir)) {
+        this.logger.info(`Removendo pasta anterior: ${outputDir}`);
+        this._clearOutputDir(outputDir);
+      }
 
-    // Remove pasta anterior se existir (para substituir)
-    if (fs.existsSync(outputDir)) {
-      this.logger.info(`Removendo pasta anterior: ${outputDir}`);
-      fs.rmSync(outputDir, { recursive: true, force: true });
+      // Cria pasta nova
+      fs.mkdirSync(outputDir, { recursive: true });
+      manifest.clear();
     }
 
-    // Cria pasta nova
-    fs.mkdirSync(outputDir, { recursive: true });
+    manifest.setScope(this.config.baseUrl, this.config.tagFilter);
     this.logger.info(`Salvando workflows em: ${outputDir}`);
 
     // Download workflows with progress
-    for (let i = 0; i < filteredWorkflows.length; i++) {
-      const workflow = filteredWorkflows[i];
+    let downloaded = 0;
+    const parameterised = {};
+    for (let i = 0; i < toDownload.length; i++) {
+      const workflow = toDownload[i];
       this.logger.progress(
         i + 1,
-        filteredWorkflows.length,
+        toDownload.length,
         `Downloading: ${workflow.name}`
       );
 
       try {
-        const fullWorkflow = await this.workflowService.getWorkflow(workflow.id);
-
-        // Organize by tag with layer priority
-        const tags = fullWorkflow.tags || [];
-
-        // Priority 1: Layer tags (A-F)
-        // Priority 2: Filter tag (if specified)
-        // Priority 3: First tag
-        // Fallback: 'no-tag'
-        let targetTag = 'no-tag';
-
-        if (tags.length > 0) {
-          // Define layer tag patterns (camadas)
-          const layerPattern = /^\([A-F]\)/i;
-
-          // Look for layer tag first (highest priority)
-          const layerTag = tags.find(tag => layerPattern.test(tag.name));
-
-          if (layerTag) {
-            targetTag = layerTag.name;
-          } else if (this.config.tagFilter) {
-            // Use filter tag if no layer tag found
-            const filterTag = tags.find(tag =>
-              tag.name.toLowerCase() === this.config.tagFilter.toLowerCase()
-            );
-            targetTag = filterTag ? filterTag.name : tags[0].name;
-          } else {
-            // Use first tag as fallback
-            targetTag = tags[0].name;
-          }
+        let fullWorkflow = await this.workflowService.getWorkflow(workflow.id);
+
+        if (this.templateEngine) {
+          const result = this.templateEngine.parameterise(fullWorkflow);
+          fullWorkflow = result.workflow;
+          Object.entries(result.replaced).forEach(([name, count]) => {
+            parameterised[name] = (parameterised[name] || 0) + count;
+          });
         }
 
-        // Sanitize tag name to remove invalid characters
-        const safeTag = targetTag.replace(/[<>:"/\\|?*]/g, '-');
+        const targetDir = this._resolveTargetDir(fullWorkflow, outputDir);
+        const filename = this.fileManager.saveWorkflow(targetDir, fullWorkflow);
+        const relativeFile = this._toManifestPath(outputDir, path.join(targetDir, filename));
 
-        // Create tag subfolder
-        const targetDir = this.fileManager.ensureDirectory(outputDir, safeTag);
+        // Renamed or re-tagged workflows are saved to a new path: drop the old file
+        const previous = manifest.get(fullWorkflow.id);
+        if (previous && previous.file && previous.file !== relativeFile) {
+          this._deleteWorkflowFile(outputDir, previous.file);
+        }
 
-        this.fileManager.saveWorkflow(targetDir, fullWorkflow);
+        manifest.set({ ...workflow, ...fullWorkflow }, relativeFile);
+        downloaded++;
       } catch (error) {
         this.logger.error(`Failed to download workflow ${workflow.name}: ${error.message}`);
       }
     }
 
+    try {
+      await manifest.save();
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not save download manifest: ${error.message}`);
+    }
+
+    // Before the git snapshot: redacted secrets never reach its history
+    if (this.secretScan) {
+      new SecretScanner(this.logger).scanAndReport(outputDir, { redact: this.redactSecrets, restoreMap: this.restoreMap });
+    }
+
+    if (this.gitSnapshot) {
+      this._commitGitSnapshot(outputDir);
+    }
+
     this.logger.success(`\n✅ Download complete! Saved to ${outputDir}`);
-    this.logger.info(`📊 Downloaded ${filteredWorkflows.length} workflows`);
+
+    if (delta) {
+      this.logger.info(
+        `📊 Incremental: ${delta.added.length} new, ${delta.changed.length} changed, ` +
+        `${delta.unchanged.length} unchanged, ${delta.removed.length} deleted upstream ` +
+        `(${downloaded}/${toDownload.length} downloaded)`
+      );
+    } else {
+      this.logger.info(`📊 Downloaded ${downloaded} workflows`);
+    }
+
+    if (this.templateEngine) {
+      const summary = Object.entries(parameterised).map(([name, count]) => `{${name}} ×${count}`);
+      this.logger.info(`🧩 Parameterised: ${summary.length > 0 ? summary.join(', ') : 'no known values found'}`);
+    }
+  }
+
+  /**
+   * Commit the downloaded snapshot to the git repository in the output directory
+   *
+   * Failures are reported as warnings: the files are already on disk.
+   *
+   * @param {string} outputDir - Output directory (repository root)
+   */
+  _commitGitSnapshot(outputDir) {
+    try {
+      const git = new GitSnapshotService(this.logger, outputDir);
+      git.ensureRepository();
+      // Manifest changes on every run (savedAt) and is not a workflow version
+      git.excludePaths([`/${DownloadManifestService.MANIFEST_FILENAME}`]);
+      git.commitSnapshot(this.config.baseUrl);
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not commit git snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the contents of the output directory, keeping its git history
+   *
+   * @param {string} outputDir - Output directory
+   */
+  _clearOutputDir(outputDir) {
+    for (const entry of fs.readdirSync(outputDir)) {
+      if (entry === '.git') {
+        continue;
+      }
+      fs.rmSync(path.join(outputDir, entry), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Load the manifest and compute the delta for an incremental download
+   *
+   * Falls back to a full download (returns null) when there is no usable
+   * manifest: first run, missing output directory, invalid manifest, or a
+   * manifest produced for another instance or tag filter.
+   *
+   * @param {DownloadManifestService} manifest - Manifest service
+   * @param {Array} workflows - Workflows listed by the API (after tag filter)
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<Object|null>} Delta ({ added, changed, unchanged, removed }) or null for a full download
+   */
+  async _prepareIncremental(manifest, workflows, outputDir) {
+    if (!fs.existsSync(outputDir)) {
+      this.logger.info('📂 Output directory not found, performing full download');
+      return null;
+    }
+
+    try {
+      await manifest.load();
+    } catch (error) {
+      this.logger.warn(`⚠️  ${error.message} - performing full download`);
+      return null;
+    }
+
+    if (!manifest.loaded) {
+      this.logger.info('📄 No download manifest found, performing full download');
+      return null;
+    }
+
+    if (!manifest.matchesScope(this.config.baseUrl, this.config.tagFilter)) {
+      this.logger.warn('⚠️  Download manifest was created for another instance or tag filter, performing full download');
+      return null;
+    }
+
+    const delta = manifest.computeDelta(workflows);
+    this.logger.info(
+      `🔄 Incremental download: ${delta.added.length} new, ${delta.changed.length} changed, ` +
+      `${delta.unchanged.length} unchanged, ${delta.removed.length} deleted upstream`
+    );
+
+    return delta;
+  }
+
+  /**
+   * Remove (or archive) files of workflows deleted upstream
+   *
+   * @param {Array} removed - Manifest entries of deleted workflows
+   * @param {string} outputDir - Output directory
+   * @param {DownloadManifestService} manifest - Manifest service
+   */
+  _removeDeletedWorkflows(removed, outputDir, manifest) {
+    const archiveDir = this.archiveDeleted
+      ? (this.archiveDir || path.join(path.dirname(outputDir), `${path.basename(outputDir)}-archive`))
+      : null;
+
+    for (const entry of removed) {
+      if (entry.file) {
+        if (archiveDir) {
+          this._archiveWorkflowFile(outputDir, entry.file, archiveDir);
+          this.logger.info(`📦 Archived deleted workflow: ${entry.name}`);
+        } else {
+          this._deleteWorkflowFile(outputDir, entry.file);
+          this.logger.info(`🗑️  Removed deleted workflow: ${entry.name}`);
+        }
+      }
+
+      manifest.remove(entry.id);
+    }
+  }
+
+  /**
+   * Resolve the tag subfolder for a workflow
+   *
+   * Priority 1: Layer tags (A-F)
+   * Priority 2: Filter tag (if specified)
+   * Priority 3: First tag
+   * Fallback: 'no-tag'
+   *
+   * @param {Object} workflow - Full workflow
+   * @param {string} outputDir - Output directory
+   * @returns {string} Directory where the workflow file is saved
+   */
+  _resolveTargetDir(workflow, outputDir) {
+    const tags = workflow.tags || [];
+    let targetTag = 'no-tag';
+
+    if (tags.length > 0) {
+      // Define layer tag patterns (camadas)
+      const layerPattern = /^\([A-F]\)/i;
+
+      // Look for layer tag first (highest priority)
+      const layerTag = tags.find(tag => layerPattern.test(tag.name));
+
+      if (layerTag) {
+        targetTag = layerTag.name;
+      } else if (this.config.tagFilter) {
+        // Use filter tag if no layer tag found
+        const filterTag = tags.find(tag =>
+          tag.name.toLowerCase() === this.config.tagFilter.toLowerCase()
+        );
+        targetTag = filterTag ? filterTag.name : tags[0].name;
+      } else {
+        // Use first tag as fallback
+        targetTag = tags[0].name;
+      }
+    }
+
+    // Sanitize tag name to remove invalid characters
+    const safeTag = targetTag.replace(/[<>:"/\\|?*]/g, '-');
+
+    // Create tag subfolder
+    return this.fileManager.ensureDirectory(outputDir, safeTag);
+  }
+
+  /**
+   * Convert an absolute file path to the portable path stored in the manifest
+   *
+   * @param {string} outputDir - Output directory
+   * @param {string} filePath - Absolute file path
+   * @returns {string} Path relative to outputDir with forward slashes
+   */
+  _toManifestPath(outputDir, filePath) {
+    return path.relative(outputDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Delete a workflow file recorded in the manifest (and its folder, if left empty)
+   *
+   * @param {string} outputDir - Output directory
+   * @param {string} relativeFile - File path relative to outputDir
+   */
+  _deleteWorkflowFile(outputDir, relativeFile) {
+    const filePath = path.join(outputDir, ...relativeFile.split('/'));
+
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      this._removeEmptyDir(outputDir, path.dirname(filePath));
+    }
+  }
+
+  /**
+   * Move a workflow file recorded in the manifest to the archive directory
+   *
+   * @param {string} outputDir - Output directory
+   * @param {string} relativeFile - File path relative to outputDir
+   * @param {string} archiveDir - Archive directory
+   */
+  _archiveWorkflowFile(outputDir, relativeFile, archiveDir) {
+    const filePath = path.join(outputDir, ...relativeFile.split('/'));
+
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    const archivePath = path.join(archiveDir, ...relativeFile.split('/'));
+    fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+    fs.renameSync(filePath, archivePath);
+    this._removeEmptyDir(outputDir, path.dirname(filePath));
+  }
+
+  /**
+   * Remove a tag subfolder left empty (never the output directory itself)
+   *
+   * @param {string} outputDir - Output directory
+   * @param {string} dir - Directory to check
+   */
+  _removeEmptyDir(outputDir, dir) {
+    if (path.resolve(dir) === path.resolve(outputDir)) {
+      return;
+    }
+
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+    }
   }
 }
 
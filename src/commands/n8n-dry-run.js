@@ -32,6 +32,8 @@ class N8nDryRunCommand {
     console.log('  Esta foi apenas uma simulação.');
     console.log('\n  Se tudo estiver OK:');
     console.log('    Use a opção 5 (Enviar Workflows) para fazer o upload de verdade.');
+    console.log('\n  Para revisão antes de produção:');
+    console.log('    --plan-out <arquivo> grava o plano; aplique com n8n:apply --plan <arquivo>.');
     console.log('\n' + '='.repeat(70) + '\n');
   }
 }
@@ -0,0 +1,276 @@
+/**
+ * N8N Graph Command
+ * Exports the call graph between workflows (executeWorkflow / toolWorkflow
+ * references) of a local folder or a live instance, as JSON, Mermaid,
+ * Graphviz DOT or a self-contained HTML page
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const WorkflowFiles = require('../utils/workflow-files');
+const { HttpClientFactory } = require('../core/factories');
+const ConfigManager = require('../utils/config-manager');
+const AuthFactory = require('../auth/auth-factory');
+const WorkflowService = require('../services/workflow-service');
+const WorkflowDependencyGraph = require('../services/workflow-dependency-graph');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Output format inferred from the --output extension (when --format is omitted)
+ * @type {Object<string, string>}
+ */
+const FORMAT_BY_EXTENSION = {
+  '.json': 'json',
+  '.mmd': 'mermaid',
+  '.mermaid': 'mermaid',
+  '.dot': 'dot',
+  '.gv': 'dot',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+class N8nGraphCommand {
+  /**
+   * Execute the graph command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new N8nGraphApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Graph Application
+ */
+class N8nGraphApp {
+  constructor() {
+    // Positional arguments are paths: keep them away from ConfigManager
+    this.configManager = new ConfigManager(null, process.argv.slice(0, 2));
+    this.config = null;
+    this.logger = null;
+    this.workflowService = null;
+    this.showHelp = false;
+    this.inputDir = null;
+    this.live = false;
+    this.format = null;
+    this.output = null;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--input':
+      case '-i':
+        this.inputDir = args[++i];
+        break;
+      case '--live':
+        this.live = true;
+        break;
+      case '--format':
+      case '-f':
+        this.format = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.output = args[++i];
+        break;
+      default:
+        if (!arg.startsWith('-') && !this.inputDir) {
+          this.inputDir = arg;
+        }
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Graph Command - Workflow call graph, upload order and architecture view
+
+USAGE:
+  docs-jana n8n:graph [--input <dir> | --live] [options]
+
+DESCRIPTION:
+  Reads workflow JSON files (recursively, e.g. an n8n:download folder) or the
+  workflows of a live N8N instance and builds the graph of executeWorkflow /
+  toolWorkflow references between them:
+
+    - edges caller → callee (with the referencing nodes)
+    - dangling references (calls to workflow IDs that no longer exist)
+    - upload order: called workflows first (used by n8n:upload and n8n:transfer)
+    - reference cycles, which still need a second remap pass on upload
+
+  Mermaid, DOT and HTML exports group workflows by layer tag ((A) to (F),
+  see apply-layer-tags), colour them by active state (green: active,
+  grey: inactive) and highlight dangling references in red.
+
+  Expression references (workflowId starting with "=") are ignored.
+
+OPTIONS:
+  --input, -i <dir>      Workflow directory (default: N8N_INPUT_DIR or current directory)
+  --live                 Read the workflows from the N8N instance instead of a folder
+  --format, -f <format>  Output format: json, mermaid, dot, html
+                         (default: from the --output extension, otherwise json)
+  --output, -o <file>    Write the graph to <file> instead of the terminal
+  --help, -h             Show this help message
+
+ENVIRONMENT VARIABLES (--live only):
+  SOURCE_N8N_URL         N8N instance URL (falls back to N8N_URL)
+  SOURCE_N8N_API_KEY     N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # Print the graph of a downloaded folder
+  docs-jana n8n:graph --input ./n8n/workflows
+
+  # Architecture page of the live instance
+  docs-jana n8n:graph --live --output architecture.html
+
+  # Mermaid diagram for a README / PR, DOT for Graphviz
+  docs-jana n8n:graph --input ./n8n/workflows --format mermaid --output graph.mmd
+  docs-jana n8n:graph --input ./n8n/workflows --output graph.dot && dot -Tsvg graph.dot -o graph.svg
+`);
+  }
+
+  /**
+   * Initialize the application
+   */
+  initialize() {
+    if (!this.format) {
+      const extension = this.output ? path.extname(this.output).toLowerCase() : '';
+      this.format = FORMAT_BY_EXTENSION[extension] || 'json';
+    }
+
+    if (!WorkflowDependencyGraph.FORMATS.includes(this.format)) {
+      throw new Error(`Invalid --format "${this.format}" (use ${WorkflowDependencyGraph.FORMATS.join(', ')})`);
+    }
+
+    if (this.live && this.inputDir) {
+      throw new Error('Use either --input or --live, not both');
+    }
+
+    this.logger = new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+
+    if (!this.live) {
+      this.inputDir = this.inputDir || process.env.N8N_INPUT_DIR || process.cwd();
+      return;
+    }
+
+    this.config = this.configManager.load();
+
+    const validation = this.configManager.validate();
+    if (!validation.valid) {
+      console.error('❌ Configuration Error:\n');
+      validation.errors.forEach(error => console.error(`   - ${error}`));
+      console.error('\n💡 Configure the N8N instance (SOURCE_N8N_URL / SOURCE_N8N_API_KEY) or pass --input <dir>\n');
+      throw new Error('Invalid configuration');
+    }
+
+    this.config.baseUrl = this.config.n8nUrl;
+
+    const authStrategy = AuthFactory.create(this.config);
+    const httpClient = HttpClientFactory.create({
+      baseUrl: this.config.baseUrl,
+      headers: authStrategy.getHeaders(),
+      maxRetries: 3,
+      timeout: 30000
+    });
+
+    this.workflowService = new WorkflowService(httpClient, authStrategy, this.logger);
+  }
+
+  /**
+   * Run the export
+   *
+   * @returns {Promise<object>} Graph (see WorkflowDependencyGraph.toJSON())
+   */
+  async run() {
+    this.initialize();
+
+    const workflows = this.live
+      ? await this.fetchWorkflows()
+      : this.loadWorkflows(this.inputDir);
+    const graph = new WorkflowDependencyGraph(this.logger).build(workflows);
+    const result = graph.toJSON();
+
+    const output = graph.format(this.format);
+
+    if (this.output) {
+      fs.mkdirSync(path.dirname(path.resolve(this.output)), { recursive: true });
+      fs.writeFileSync(this.output, output + '\n', 'utf8');
+      this.logger.success(`✅ Graph of ${result.workflows.length} workflows saved to ${this.output} (${this.format})`);
+    } else {
+      console.log(output);
+    }
+
+    const cycleReport = graph.formatCycleReport();
+    if (cycleReport) {
+      this.logger.warn(`⚠️  ${cycleReport}`);
+    }
+
+    if (result.dangling.length > 0) {
+      const origin = this.live ? this.config.baseUrl : this.inputDir;
+      this.logger.warn(`⚠️  ${result.dangling.length} references to workflows that are not in ${origin}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch all workflows of the N8N instance
+   *
+   * @returns {Promise<Array<object>>} Workflows with nodes, tags and active state
+   */
+  async fetchWorkflows() {
+    this.logger.info(`📥 Reading workflows from ${this.config.baseUrl}`);
+
+    const summaries = await this.workflowService.listWorkflows();
+    const workflows = [];
+
+    for (const summary of summaries) {
+      // The list endpoint usually includes nodes; fetch the full workflow otherwise
+      workflows.push(Array.isArray(summary.nodes) ? summary : await this.workflowService.getWorkflow(summary.id));
+    }
+
+    return workflows;
+  }
+
+  /**
+   * Load workflows from a directory (see WorkflowFiles.load())
+   *
+   * @param {string} dir - Workflow directory
+   * @returns {Array<object>} Workflows with an ID
+   * @throws {Error} If the directory does not exist
+   */
+  loadWorkflows(dir) {
+    const validate = workflow => WorkflowFiles.validate(workflow) || (workflow.id ? null : 'missing workflow ID');
+    return WorkflowFiles.load(dir, { logger: this.logger, validate }).map(entry => entry.workflow);
+  }
+}
+
+module.exports = N8nGraphCommand;
+module.exports.N8nGraphApp = N8nGraphApp;
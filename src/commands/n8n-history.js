@@ -0,0 +1,208 @@
+/**
+ * N8N History Command
+ * Lists and restores versions of a workflow from the git snapshots
+ * created by `n8n:download --git`
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const GitSnapshotService = require('../services/git-snapshot-service');
+const path = require('path');
+
+class N8nHistoryCommand {
+  /**
+   * Execute the history command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new N8nHistoryApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    await app.run();
+  }
+}
+
+/**
+ * N8N History Application
+ */
+class N8nHistoryApp {
+  constructor() {
+    this.logger = null;
+    this.git = null;
+    this.showHelp = false;
+    this.workflow = null;
+    this.dir = null;
+    this.limit = null;
+    this.restoreCommit = null;
+    this.output = null;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--dir':
+      case '-d':
+        this.dir = args[++i];
+        break;
+      case '--limit':
+      case '-n':
+        this.limit = parseInt(args[++i], 10);
+        break;
+      case '--restore':
+      case '-r':
+        this.restoreCommit = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.output = args[++i];
+        break;
+      default:
+        if (!arg.startsWith('-') && !this.workflow) {
+          this.workflow = arg;
+        }
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N History Command - Browse and restore workflow versions
+
+USAGE:
+  docs-jana n8n:history <workflow> [options]
+
+  <workflow> is a workflow ID or name (case-insensitive). Workflows that were
+  removed upstream can still be found by ID.
+
+OPTIONS:
+  --dir, -d <dir>        Snapshot directory (default: ./n8n/workflows)
+  --limit, -n <count>    Show only the latest <count> versions
+  --restore, -r <commit> Restore the version of <commit> to disk
+  --output, -o <file>    Restore to <file> instead of the workflow's path
+  --help, -h             Show this help message
+
+NOTES:
+  Snapshots are created by: docs-jana n8n:download --git
+  This command works offline, no N8N connection is needed.
+
+EXAMPLES:
+  # List versions of a workflow
+  docs-jana n8n:history "Customer Onboarding"
+
+  # Restore an older version in place
+  docs-jana n8n:history abc123 --restore 1a2b3c4d
+
+  # Export an older version to a separate file
+  docs-jana n8n:history abc123 --restore 1a2b3c4d --output ./old-version.json
+`);
+  }
+
+  /**
+   * Initialize the application
+   */
+  initialize() {
+    this.logger = new Logger({ logLevel: process.env.LOG_LEVEL || 'info' });
+
+    const repoDir = this.dir || path.join(process.cwd(), 'n8n', 'workflows');
+    this.git = new GitSnapshotService(this.logger, repoDir);
+
+    if (!this.git.isRepository()) {
+      throw new Error(
+        `No snapshot history found in ${repoDir}. Run "docs-jana n8n:download --git" first.`
+      );
+    }
+  }
+
+  /**
+   * Run the history listing or restore
+   */
+  async run() {
+    if (!this.workflow) {
+      this.printHelp();
+      throw new Error('Missing <workflow> argument (ID or name)');
+    }
+
+    if (this.limit !== null && (!Number.isInteger(this.limit) || this.limit < 1)) {
+      throw new Error('--limit must be a positive integer');
+    }
+
+    this.initialize();
+
+    const resolved = this.git.resolveWorkflow(this.workflow);
+    const versions = this.git.getWorkflowHistory(resolved.id, this.restoreCommit ? null : this.limit);
+
+    if (versions.length === 0) {
+      throw new Error(`No versions found for workflow "${this.workflow}"`);
+    }
+
+    if (this.restoreCommit) {
+      return this._restore(versions);
+    }
+
+    this._printVersions(resolved, versions);
+  }
+
+  /**
+   * Restore the version of the requested commit
+   *
+   * @param {Array<object>} versions - Workflow versions (newest first)
+   * @returns {string} Restored file path
+   */
+  _restore(versions) {
+    const version = versions.find(v => v.commit.startsWith(this.restoreCommit));
+
+    if (!version) {
+      throw new Error(`Commit ${this.restoreCommit} does not contain a version of "${this.workflow}"`);
+    }
+
+    if (version.status === 'removed') {
+      throw new Error(
+        `Workflow was removed in ${version.commit.substring(0, 8)} - restore an earlier commit`
+      );
+    }
+
+    return this.git.restoreVersion(version.commit, version.file, this.output);
+  }
+
+  /**
+   * Print the version list
+   *
+   * @param {{id: string, name: (string|null)}} resolved - Resolved workflow
+   * @param {Array<object>} versions - Workflow versions (newest first)
+   */
+  _printVersions(resolved, versions) {
+    const label = resolved.name ? `${resolved.name} (${resolved.id})` : resolved.id;
+
+    console.log(`\n📚 History of ${label} - ${versions.length} version(s)\n`);
+
+    for (const version of versions) {
+      const date = version.date.replace('T', ' ').substring(0, 19);
+      console.log(`  ${version.commit.substring(0, 8)}  ${date}  ${version.status.padEnd(8)}  ${version.file}`);
+      console.log(`            ${version.subject}`);
+    }
+
+    console.log('\n💡 Restore a version with: docs-jana n8n:history ' +
+      `${resolved.id} --restore <commit> [--output <file>]\n`);
+  }
+}
+
+module.exports = N8nHistoryCommand;
@@ -0,0 +1,308 @@
+/**
+ * N8N Lint Command
+ * Checks workflow files (e.g. an n8n:download folder) before they are
+ * uploaded, optionally against the workflows of the target N8N
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const WorkflowFiles = require('../utils/workflow-files');
+const { HttpClientFactory } = require('../core/factories');
+const ConfigManager = require('../utils/config-manager');
+const AuthFactory = require('../auth/auth-factory');
+const WorkflowService = require('../services/workflow-service');
+const WorkflowLintService = require('../services/workflow-lint-service');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+class N8nLintCommand {
+  /**
+   * Execute the lint command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new N8nLintApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Lint Application
+ */
+class N8nLintApp {
+  constructor() {
+    // Positional arguments are paths: keep them away from ConfigManager
+    this.configManager = new ConfigManager(null, process.argv.slice(0, 2));
+    this.config = null;
+    this.logger = null;
+    this.workflowService = null;
+    this.linter = null;
+    this.showHelp = false;
+    this.inputDir = null;
+    this.target = false;
+    this.rules = null;
+    this.configFile = null;
+    this.lintConfig = {};
+    this.format = null;
+    this.outputFile = null;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--input':
+      case '-i':
+        this.inputDir = args[++i];
+        break;
+      case '--target':
+        this.target = true;
+        break;
+      case '--rule':
+        this.rules = (this.rules || []).concat(args[++i].split(','));
+        break;
+      case '--config':
+        this.configFile = args[++i];
+        break;
+      case '--format':
+        this.format = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.outputFile = args[++i];
+        break;
+      default:
+        if (!arg.startsWith('-') && !this.inputDir) {
+          this.inputDir = arg;
+        }
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    const rules = Object.entries(WorkflowLintService.RULES)
+      .map(([id, description]) => `  ${id.padEnd(24)}${description}`)
+      .join('\n');
+
+    console.log(`
+N8N Lint Command - Check workflow files before uploading them
+
+USAGE:
+  docs-jana n8n:lint [--input <dir>] [options]
+
+DESCRIPTION:
+  Reads workflow JSON files (recursively, e.g. an n8n:download folder) and
+  reports problems N8N does not catch on upload. Works offline; with --target
+  the files are also checked against the workflows of the target N8N.
+
+  Exits with an error when a rule reports an error (for CI).
+
+RULES:
+${rules}
+
+  webhook-collision: two workflows with the same webhook (method + path of
+  Webhook / Form Trigger nodes, or the webhookId of other triggers) break
+  silently, only one of them receives the calls. A target workflow with the
+  same name as a file is the one the upload replaces, not a collision; the
+  same path under another name (e.g. a copy in another layer) is. Collisions
+  only with inactive target workflows are warnings.
+
+  no-hardcoded-secrets reports where a secret is, never its value.
+
+CONFIGURATION:
+  Rules are configured in the "lint" section of .jana/config.json, like ESLint:
+  "off", "warning", "error" or [severity, options]. Rules not configured run
+  with their default severity (no-hardcoded-secrets and webhook-collision are
+  errors, the others warnings).
+
+    "lint": {
+      "rules": {
+        "naming-convention": ["error", { "pattern": "^\\\\[Jana\\\\] .+$" }],
+        "no-disabled-nodes": ["warning", { "productionTags": ["production"] }],
+        "sticky-note": "off"
+      }
+    }
+
+OPTIONS:
+  --input, -i <dir>      Workflow directory (default: N8N_INPUT_DIR or current directory)
+  --target               Also compare with the workflows of the target N8N
+  --rule <id>            Only run these rules, even if "off" (repeatable or comma-separated)
+  --config <file>        Config file (default: .jana/config.json if it exists)
+  --format <format>      text, json or sarif (default: text, or from the --output extension)
+  --output, -o <file>    Write the report to a file; the text summary stays on the console
+  --help, -h             Show this help message
+
+ENVIRONMENT VARIABLES (--target only):
+  TARGET_N8N_URL         Target N8N instance URL (falls back to N8N_URL)
+  TARGET_N8N_API_KEY     Target N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # Check a downloaded folder
+  docs-jana n8n:lint --input ./n8n/workflows
+
+  # Before an upload: webhook paths already used on the target
+  docs-jana n8n:lint --input ./n8n/workflows --target --rule webhook-collision
+
+  # CI: SARIF report for GitHub code scanning
+  docs-jana n8n:lint --input ./n8n/workflows --output n8n-lint.sarif
+`);
+  }
+
+  /**
+   * Initialize the application
+   */
+  initialize() {
+    this.logger = new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+    this.linter = new WorkflowLintService(this.logger);
+    this.inputDir = this.inputDir || process.env.N8N_INPUT_DIR || process.cwd();
+    this.lintConfig = this.loadLintConfig(this.configFile);
+    // --output report.sarif / report.json implies the format
+    this.format = this.format || (this.outputFile && { '.json': 'json', '.sarif': 'sarif' }[path.extname(this.outputFile)]) || 'text';
+
+    if (!this.target) {
+      return;
+    }
+
+    this.config = this.configManager.load();
+
+    // Same precedence as n8n:upload: TARGET if available, otherwise N8N_URL
+    if (this.config.targetN8nUrl) {
+      this.config.n8nUrl = this.config.targetN8nUrl;
+      if (this.config.targetApiKey) {
+        this.config.apiKey = this.config.targetApiKey;
+      }
+    }
+    this.config.baseUrl = this.config.n8nUrl;
+
+    const validation = this.configManager.validate();
+    if (!validation.valid) {
+      console.error('❌ Configuration Error:\n');
+      validation.errors.forEach(error => console.error(`   - ${error}`));
+      console.error('\n💡 Configure the target N8N (TARGET_N8N_URL / TARGET_N8N_API_KEY) or run without --target\n');
+      throw new Error('Invalid configuration');
+    }
+
+    const authStrategy = AuthFactory.create(this.config);
+    const httpClient = HttpClientFactory.create({
+      baseUrl: this.config.baseUrl,
+      headers: authStrategy.getHeaders(),
+      maxRetries: 3,
+      timeout: 30000
+    });
+
+    this.workflowService = new WorkflowService(httpClient, authStrategy, this.logger);
+  }
+
+  /**
+   * Run the linter
+   *
+   * @returns {Promise<object>} Result (see WorkflowLintService.lint())
+   * @throws {Error} If a rule reported an error
+   */
+  async run() {
+    this.initialize();
+
+    const entries = this.loadWorkflows(this.inputDir);
+    const targetWorkflows = this.target ? await this.fetchTargetWorkflows() : [];
+    const result = this.linter.lint(entries, { targetWorkflows, rules: this.rules || undefined, config: this.lintConfig });
+    const report = this.linter.format(result, this.format, { baseUri: `${pathToFileURL(path.resolve(this.inputDir))}/` });
+
+    if (this.outputFile) {
+      fs.writeFileSync(this.outputFile, report + '\n');
+      this.logger.info(`📄 Lint report written to ${this.outputFile}`);
+      // Keep the summary on the console for CI logs
+      console.log(this.linter.format(result));
+    } else {
+      console.log(report);
+    }
+
+    if (result.errors > 0) {
+      throw new Error(`n8n:lint found ${result.errors} error(s) in ${this.inputDir}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the "lint" section of the Jana config
+   *
+   * Without --config, .jana/config.json of the current directory is used if it exists.
+   *
+   * @param {string|null} file - Config file given with --config
+   * @returns {Object} Lint configuration ({} = default severities)
+   * @throws {Error} If --config does not exist or the file is not valid JSON
+   */
+  loadLintConfig(file) {
+    const configPath = file || path.join(process.cwd(), '.jana', 'config.json');
+
+    if (!fs.existsSync(configPath)) {
+      if (file) {
+        throw new Error(`Config file does not exist: ${file}`);
+      }
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8')).lint || {};
+    } catch (error) {
+      throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch the workflows of the target N8N (with nodes)
+   *
+   * @returns {Promise<Array<object>>} Workflows
+   */
+  async fetchTargetWorkflows() {
+    this.logger.info(`📥 Reading workflows from ${this.config.baseUrl}`);
+
+    const summaries = await this.workflowService.listWorkflows();
+    const workflows = [];
+
+    for (const summary of summaries) {
+      // The list endpoint usually includes nodes; fetch the full workflow otherwise
+      workflows.push(Array.isArray(summary.nodes) ? summary : await this.workflowService.getWorkflow(summary.id));
+    }
+
+    return workflows;
+  }
+
+  /**
+   * Load workflows from a directory (see WorkflowFiles.load())
+   *
+   * @param {string} dir - Workflow directory
+   * @returns {Array<{workflow: object, file: string}>} Workflows and their path relative to dir
+   * @throws {Error} If the directory does not exist
+   */
+  loadWorkflows(dir) {
+    return WorkflowFiles.load(dir, { logger: this.logger });
+  }
+}
+
+module.exports = N8nLintCommand;
+module.exports.N8nLintApp = N8nLintApp;
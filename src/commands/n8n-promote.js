@@ -0,0 +1,259 @@
+/**
+ * N8N Promote Command
+ * Promotes workflows to another environment (dev → staging → prod), applying
+ * the environment's override file before the upload
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const { N8nUploadApp } = require('./n8n-upload');
+const EnvironmentOverrideService = require('../services/environment-override-service');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Workflow properties added by loadWorkflowFiles (not written to --output)
+ * @type {string[]}
+ */
+const FILE_PROPERTIES = ['file', 'filePath', 'sourceFolder'];
+
+class N8nPromoteCommand {
+  /**
+   * Execute the promote command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    // Only flags are passed on to ConfigManager (same as n8n:upload)
+    const app = new N8nPromoteApp(process.argv.slice(0, 2).concat(args));
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Promote Application
+ *
+ * Runs the n8n:upload process (dependency order, ID remapping, snapshot for
+ * n8n:rollback, history) on the promoted copies of the workflows: the local
+ * files are never modified.
+ *
+ * @class N8nPromoteApp
+ * @extends N8nUploadApp
+ */
+class N8nPromoteApp extends N8nUploadApp {
+  constructor(argv = process.argv) {
+    super(argv);
+    this.environment = null;
+    this.overridesFile = null;
+    this.outputDir = null;
+    this.overrides = null;
+    this.overrideService = null;
+    this.promotion = null;
+  }
+
+  /**
+   * Parse command-line arguments
+   *
+   * @param {string[]} args - Command-line arguments to parse
+   */
+  parseArgs(args) {
+    super.parseArgs(args);
+
+    for (let i = 0; i < args.length; i++) {
+      switch (args[i]) {
+      case '--env':
+        this.environment = args[++i];
+        break;
+      case '--overrides':
+        this.overridesFile = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.outputDir = args[++i];
+        break;
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Promote Command - Promote workflows to another environment
+
+USAGE:
+  docs-jana n8n:promote --env <name> --input <dir> [options]
+
+DESCRIPTION:
+  Applies the override file of the environment to the workflows, fills the
+  {placeholders} left (override values, then --set, profile and JANA_VAR_<NAME>
+  variables and the variables file), refuses workflows with unresolved
+  placeholders (unless --allow-unresolved) and uploads the result to the TARGET
+  N8N (same process as n8n:upload). Local files are not modified.
+
+OPTIONS:
+  --env <name>              Target environment (e.g. staging, prod) (required)
+  --overrides <file>        Override file (default: .jana/overrides/<env>.json)
+  --input, -i <dir>         Input directory with workflow JSON files
+  --folder, -F <name>       Filter workflows from specific subfolder
+  --output, -o <dir>        Also save the promoted workflows to this directory
+  --dry-run                 Show the overrides and compare with the target, without uploading
+  --force, -f               Overwrite existing workflows
+  --skip-remap              Skip ID remapping phase
+  --sync-tags               Sync tags from source workflows to target N8N
+  --activation <policy>     Activation after upload: preserve, all or none
+  --vars <file>             Variables file (default: .jana/variables.json)
+  --set NAME=value          Value for a {placeholder} (repeatable)
+  --allow-unresolved        Upload {placeholders} without a value as they are (warning only)
+  --help, -h                Show this help message
+
+OVERRIDE FILE:
+  {
+    "values": { "API_BASE": "https://api.example.com", "SUFFIX": "prod" },
+    "types": {
+      "n8n-nodes-base.httpRequest": { "$.parameters.url": "{API_BASE}/orders" }
+    },
+    "nodes": {
+      "Webhook Pedidos": { "parameters.path": "pedidos-{SUFFIX}" }
+    },
+    "workflows": {
+      "Sync Pedidos": { "nodes": { "Directus": { "parameters.collection": "orders_{SUFFIX}" } } }
+    },
+    "replace": { "https://api.dev.example.com": "https://api.example.com" }
+  }
+
+  types / nodes    Selectors per node type (full or short name) or node name
+  workflows        Same sections, only for the named workflow (applied last)
+  replace          Literal text replaced in every node parameter
+  values           Fill {name} placeholders in names and node parameters
+
+  Selectors: "$." prefix optional, [n] indexes, [*] for every array item.
+
+ENVIRONMENT VARIABLES:
+  TARGET_N8N_URL            Target N8N instance URL (falls back to N8N_URL)
+  TARGET_N8N_API_KEY        Target N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # Preview the promotion to staging
+  docs-jana n8n:promote --env staging --input ./n8n/workflows --to staging --dry-run
+
+  # Promote to production, keeping the promoted files for review
+  docs-jana n8n:promote --env prod --input ./n8n/workflows --to prod --force --output ./promoted-prod
+`);
+  }
+
+  /**
+   * Initialize the application and load the override file
+   *
+   * @throws {Error} If --env is missing or the override file is invalid
+   */
+  initialize() {
+    if (!this.environment) {
+      throw new Error('Missing --env <name> (target environment, e.g. staging or prod)');
+    }
+
+    super.initialize();
+
+    this.overrideService = new EnvironmentOverrideService(this.logger);
+    this.overridesFile = path.resolve(this.overridesFile || EnvironmentOverrideService.pathFor(this.environment));
+    this.overrides = this.overrideService.load(this.overridesFile);
+
+    this.logger.info(`🚀 Promoting to "${this.environment}" with ${this.overridesFile}`);
+  }
+
+  /**
+   * Read the workflow files, apply the environment overrides and render the
+   * placeholders left (override values take precedence over --set, the
+   * environment and the variables file)
+   *
+   * Called by run() and again by the remapping phase; the promotion report
+   * and the --output files are only produced the first time.
+   *
+   * @returns {Array<Object>} Promoted workflows
+   * @throws {Error} If placeholders are left unresolved
+   */
+  readWorkflowFiles() {
+    const result = this.overrideService.applyAll(this.loadWorkflowFiles(), this.overrides);
+
+    if (!this.promotion) {
+      this.printPromotion(result);
+    }
+
+    const workflows = this.renderWorkflows(result.workflows);
+
+    if (!this.promotion && this.outputDir) {
+      this.writePromoted(workflows);
+    }
+
+    this.promotion = result;
+    return workflows;
+  }
+
+  /**
+   * Print the changes made by the overrides
+   *
+   * @param {Object} result - Result of EnvironmentOverrideService.applyAll
+   */
+  printPromotion(result) {
+    this.logger.info(`\n📝 Overrides for "${this.environment}": ${result.changes.length} change(s)`);
+
+    let currentWorkflow = null;
+    for (const change of result.changes) {
+      if (change.workflow !== currentWorkflow) {
+        currentWorkflow = change.workflow;
+        this.logger.info(`   ${currentWorkflow}`);
+      }
+      const location = change.node ? `${change.node} › ${change.path}` : change.path;
+      this.logger.info(`      ${location}: ${this._preview(change.before)} → ${this._preview(change.after)}`);
+    }
+
+    for (const rule of result.unused) {
+      this.logger.warn(`⚠️  Override not applied (no match): ${rule}`);
+    }
+
+    this.logger.info('');
+  }
+
+  /**
+   * Save the promoted workflows, keeping the input folder layout
+   *
+   * @param {Array<Object>} workflows - Promoted workflows
+   */
+  writePromoted(workflows) {
+    const outputDir = path.resolve(this.outputDir);
+
+    for (const workflow of workflows) {
+      const filePath = path.join(outputDir, workflow.filePath || workflow.file || `${workflow.id}.json`);
+      const content = { ...workflow };
+      FILE_PROPERTIES.forEach(property => delete content[property]);
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf8');
+    }
+
+    this.logger.success(`✅ ${workflows.length} promoted workflow(s) saved to ${outputDir}`);
+  }
+
+  /**
+   * Short, single-line representation of a value
+   *
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Preview (max 60 characters)
+   */
+  _preview(value) {
+    const text = value === undefined ? '(unset)' : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+}
+
+module.exports = N8nPromoteCommand;
+module.exports.N8nPromoteApp = N8nPromoteApp;
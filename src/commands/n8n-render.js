@@ -0,0 +1,206 @@
+/**
+ * N8N Render Command
+ * Renders workflow templates ({name} placeholders in names, node parameters
+ * and sticky notes) into concrete workflows
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const WorkflowFiles = require('../utils/workflow-files');
+const WorkflowTemplateEngine = require('../utils/workflow-template-engine');
+const fs = require('fs');
+const path = require('path');
+
+class N8nRenderCommand {
+  /**
+   * Execute the render command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new N8nRenderApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Render Application
+ */
+class N8nRenderApp {
+  /**
+   * @param {Object} [options={}]
+   * @param {Object} [options.env=process.env] - Environment variables
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.logger = options.logger || new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+    this.showHelp = false;
+    this.inputDir = null;
+    this.outputDir = null;
+    this.variablesFile = null;
+    this.assignments = [];
+    this.check = false;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--input':
+      case '-i':
+        this.inputDir = args[++i];
+        break;
+      case '--output':
+      case '-o':
+        this.outputDir = args[++i];
+        break;
+      case '--vars':
+        this.variablesFile = args[++i];
+        break;
+      case '--set':
+        this.assignments.push(args[++i]);
+        break;
+      case '--check':
+        this.check = true;
+        break;
+      default:
+        if (!arg.startsWith('-') && !this.inputDir) {
+          this.inputDir = arg;
+        }
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Render Command - Fill {placeholders} in workflow templates
+
+USAGE:
+  docs-jana n8n:render --input <dir> --output <dir> [options]
+  docs-jana n8n:render --input <dir> --check
+
+DESCRIPTION:
+  Workflow JSON files can hold {NAME} placeholders in workflow names, node
+  parameters (including sticky notes) and node notes:
+
+    "url": "{API_BASE}/orders"
+
+  Values come from, in order of precedence:
+    1. --set NAME=value
+    2. The variables of the selected profile (docs-jana profiles add <name>
+       --var NAME=value, then --profile <name>), then JANA_VAR_<NAME>
+       environment variables (other environment variables are not used)
+    3. The variables file (--vars, default .jana/variables.json; JSON or .env format)
+
+  N8N expressions ({{ ... }}) are left untouched. n8n:upload and n8n:promote
+  render the same way and refuse workflows with unresolved placeholders
+  (--allow-unresolved to upload them as they are).
+
+OPTIONS:
+  --input, -i <dir>      Workflow templates directory (recursive)
+  --output, -o <dir>     Write the rendered workflows here (same folder layout)
+  --check                Only report placeholders; fail if any is unresolved
+  --vars <file>          Variables file (default: .jana/variables.json)
+  --set NAME=value       Value for a placeholder (repeatable)
+  --help, -h             Show this help message
+
+EXAMPLES:
+  # Which placeholders are still missing for production?
+  docs-jana n8n:render --input ./n8n/workflows --profile prod --check
+
+  # Concrete workflows for review
+  docs-jana n8n:render --input ./n8n/workflows --vars ./vars/prod.env --output ./rendered-prod
+
+  # Turn known values into placeholders on download
+  docs-jana n8n:download --parameterise --vars ./vars/dev.env
+`);
+  }
+
+  /**
+   * Render the templates
+   *
+   * @returns {Promise<{workflows: number, resolved: string[], written: ?string}>} Summary
+   * @throws {Error} If options are missing or placeholders are unresolved
+   */
+  async run() {
+    if (!this.inputDir) {
+      throw new Error('Missing --input <dir> (workflow templates directory)');
+    }
+
+    if (!this.outputDir && !this.check) {
+      throw new Error('Missing --output <dir> (or use --check to only validate)');
+    }
+
+    const inputDir = path.resolve(this.inputDir);
+    const engine = WorkflowTemplateEngine.create({
+      variablesFile: this.variablesFile,
+      values: WorkflowTemplateEngine.parseAssignments(this.assignments),
+      env: this.env
+    });
+
+    const templates = this.loadTemplates(inputDir);
+    const { workflows, resolved, unresolved } = engine.renderAll(templates.map(template => template.workflow));
+
+    this.logger.info(`🧩 ${templates.length} workflow(s), placeholders filled: ${resolved.length > 0 ? resolved.join(', ') : 'none'}`);
+
+    if (unresolved.length > 0) {
+      throw WorkflowTemplateEngine.unresolvedError(unresolved);
+    }
+
+    if (this.check) {
+      this.logger.success('✅ All placeholders resolved');
+      return { workflows: workflows.length, resolved, written: null };
+    }
+
+    const outputDir = path.resolve(this.outputDir);
+    if (outputDir === inputDir) {
+      throw new Error('--output must differ from --input (templates would be overwritten)');
+    }
+
+    workflows.forEach((workflow, index) => {
+      const filePath = path.join(outputDir, templates[index].file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(workflow, null, 2), 'utf8');
+    });
+
+    this.logger.success(`✅ ${workflows.length} rendered workflow(s) saved to ${outputDir}`);
+    return { workflows: workflows.length, resolved, written: outputDir };
+  }
+
+  /**
+   * Load workflow templates (see WorkflowFiles.load())
+   *
+   * @param {string} dir - Templates directory
+   * @returns {Array<{file: string, workflow: object}>} Templates with their relative path
+   * @throws {Error} If the directory does not exist
+   */
+  loadTemplates(dir) {
+    return WorkflowFiles.load(dir, { logger: this.logger });
+  }
+}
+
+module.exports = N8nRenderCommand;
+module.exports.N8nRenderApp = N8nRenderApp;
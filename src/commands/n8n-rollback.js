@@ -0,0 +1,390 @@
+/**
+ * N8N Rollback Command
+ * Reverts an n8n:upload using its pre-upload snapshot: restores the previous
+ * version of updated workflows and deletes the workflows it created
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const { N8nUploadApp } = require('./n8n-upload');
+const IDMappingService = require('../services/id-mapping-service');
+const fs = require('fs');
+
+class N8nRollbackCommand {
+  /**
+   * Execute the rollback command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    // Only flags are passed on to ConfigManager (same as n8n:upload)
+    const app = new N8nRollbackApp(process.argv.slice(0, 2).concat(args));
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Rollback Application
+ *
+ * Reuses the n8n:upload application for configuration (TARGET instance),
+ * the upload history and the pre-upload snapshots.
+ *
+ * @class N8nRollbackApp
+ * @extends N8nUploadApp
+ */
+class N8nRollbackApp extends N8nUploadApp {
+  constructor(argv = process.argv) {
+    super(argv);
+    this.useLast = false;
+    this.entryId = null;
+    this.listOnly = false;
+  }
+
+  /**
+   * Parse command-line arguments
+   *
+   * @param {string[]} args - Command-line arguments to parse
+   */
+  parseArgs(args) {
+    super.parseArgs(args);
+
+    for (let i = 0; i < args.length; i++) {
+      switch (args[i]) {
+      case '--last':
+        this.useLast = true;
+        break;
+      case '--id':
+        this.entryId = args[++i];
+        break;
+      case '--list':
+        this.listOnly = true;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Rollback Command - Revert an n8n:upload
+
+USAGE:
+  docs-jana n8n:rollback [--last | --id <historyEntry>] [options]
+
+DESCRIPTION:
+  Every n8n:upload saves a pre-upload snapshot of the target workflows it
+  overwrites (.upload-snapshots/). Rollback uses that snapshot to:
+
+    - restore updated workflows to their previous contents
+    - delete workflows created by that upload (IDs recorded in the
+      snapshot, cross-checked with the upload's _id-mapping.json)
+
+  A snapshot can only be rolled back once (use --force to repeat).
+
+OPTIONS:
+  --last                    Roll back the most recent upload that was not rolled back yet
+  --id <historyEntry>       Roll back a specific upload (ID shown in the upload history)
+  --list                    List uploads that can be rolled back
+  --dry-run                 Show what would be reverted without changing anything
+  --force, -f               Roll back again, or against a different target than the upload
+  --help, -h                Show this help message
+
+ENVIRONMENT VARIABLES:
+  TARGET_N8N_URL            Target N8N instance URL (falls back to N8N_URL)
+  TARGET_N8N_API_KEY        Target N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # List uploads with a pre-upload snapshot
+  docs-jana n8n:rollback --list
+
+  # Preview the rollback of the last upload
+  docs-jana n8n:rollback --last --dry-run
+
+  # Roll back a specific upload
+  docs-jana n8n:rollback --id 20251001-143000-a1b2
+
+NOTES:
+  - Without --force, n8n:upload skips existing workflows, so its rollback
+    only deletes the created workflows
+  - Workflows created by the upload and edited afterwards are deleted anyway
+`);
+  }
+
+  /**
+   * Initialize the application
+   */
+  initialize() {
+    if (!this.listOnly && !this.useLast && !this.entryId) {
+      throw new Error('Specify --last or --id <historyEntry> (see n8n:rollback --list)');
+    }
+
+    if (this.useLast && this.entryId) {
+      throw new Error('Use either --last or --id, not both');
+    }
+
+    // The upload configuration requires an input directory; rollback does not read it
+    this.inputDir = this.inputDir || process.cwd();
+    super.initialize();
+  }
+
+  /**
+   * Run the rollback
+   *
+   * @returns {Promise<Object|undefined>} Rollback report (undefined for --list)
+   */
+  async run() {
+    this.initialize();
+
+    await this.uploadHistory.load();
+
+    const candidates = this.uploadHistory.getAllEntries()
+      .filter(entry => entry.action === 'upload' && entry.snapshot);
+
+    if (this.listOnly) {
+      this.printCandidates(candidates);
+      return;
+    }
+
+    const entry = await this.selectEntry(candidates);
+    const snapshot = await this.uploadSnapshots.load(entry.snapshot);
+
+    if (snapshot.rolledBack && !this.force) {
+      throw new Error(`Upload ${entry.id} was already rolled back at ${snapshot.rolledBack.at} (use --force to repeat)`);
+    }
+
+    if (snapshot.target !== this.config.baseUrl && !this.force) {
+      throw new Error(
+        `Upload ${entry.id} was made to ${snapshot.target}, not ${this.config.baseUrl} (use --force to roll back anyway)`
+      );
+    }
+
+    const plan = await this.buildPlan(snapshot);
+    this.printPlan(entry, plan);
+
+    if (this.dryRun) {
+      this.logger.info('\n🔍 Dry run: nothing was changed');
+      return { plan };
+    }
+
+    const report = await this.executePlan(plan);
+    this.printReport(report);
+
+    this.uploadSnapshots.markRolledBack({
+      restored: report.restored.length,
+      deleted: report.deleted.length,
+      failed: report.failed.length
+    });
+    await this.uploadSnapshots.save();
+    await this.saveHistory(entry, report);
+
+    return report;
+  }
+
+  /**
+   * Pick the history entry to roll back
+   *
+   * @param {Array<Object>} candidates - Upload entries with a snapshot
+   * @returns {Promise<Object>} History entry
+   * @throws {Error} If no matching entry exists
+   */
+  async selectEntry(candidates) {
+    if (this.entryId) {
+      const entry = this.uploadHistory.getEntryById(this.entryId);
+      if (!entry) {
+        throw new Error(`Upload history entry not found: ${this.entryId}`);
+      }
+      if (!entry.snapshot) {
+        throw new Error(`Upload ${this.entryId} has no pre-upload snapshot and cannot be rolled back`);
+      }
+      return entry;
+    }
+
+    // --last: most recent upload that was not rolled back yet
+    for (const entry of [...candidates].reverse()) {
+      const snapshot = await this.uploadSnapshots.load(entry.snapshot).catch(() => null);
+      if (snapshot && !snapshot.rolledBack) {
+        return entry;
+      }
+    }
+
+    throw new Error('No upload to roll back (see n8n:rollback --list)');
+  }
+
+  /**
+   * Build the rollback plan from a snapshot
+   *
+   * Created workflow IDs are cross-checked with the upload's _id-mapping.json
+   * (IDMappingService), which is also used when the snapshot has no new ID.
+   *
+   * @param {Object} snapshot - Pre-upload snapshot
+   * @returns {Promise<{restore: Array, delete: Array, missing: Array}>} Rollback plan
+   */
+  async buildPlan(snapshot) {
+    const idMapping = new IDMappingService(this.logger);
+
+    if (snapshot.idMappingFile && fs.existsSync(snapshot.idMappingFile)) {
+      try {
+        await idMapping.loadFromFile(snapshot.idMappingFile);
+      } catch (error) {
+        this.logger.warn(`⚠️  Could not read ${snapshot.idMappingFile}: ${error.message}`);
+      }
+    }
+
+    const restore = [];
+    const missing = [];
+
+    for (const updated of snapshot.updated) {
+      const previous = snapshot.previous[updated.newId];
+      if (previous) {
+        restore.push({ id: updated.newId, name: updated.name, workflow: previous });
+      } else {
+        missing.push({ id: updated.newId, name: updated.name });
+      }
+    }
+
+    const toDelete = snapshot.created.map(created => {
+      const mappedId = created.oldId ? idMapping.getNewId(created.oldId) : null;
+
+      // A later upload from the same folder overwrites _id-mapping.json
+      if (mappedId && created.newId && String(mappedId) !== created.newId) {
+        this.logger.warn(`⚠️  ${created.name}: _id-mapping.json points to ${mappedId}, using ${created.newId} from the snapshot`);
+      }
+
+      return { id: created.newId || mappedId, name: created.name };
+    });
+
+    return { restore, delete: toDelete, missing };
+  }
+
+  /**
+   * Restore updated workflows and delete created ones
+   *
+   * @param {Object} plan - Plan from buildPlan()
+   * @returns {Promise<{restored: Array, deleted: Array, failed: Array}>} Rollback report
+   */
+  async executePlan(plan) {
+    const report = { restored: [], deleted: [], failed: [] };
+
+    for (const item of plan.restore) {
+      try {
+        await this.workflowService.updateWorkflow(item.id, item.workflow);
+        report.restored.push({ id: item.id, name: item.name });
+      } catch (error) {
+        report.failed.push({ id: item.id, name: item.name, action: 'restore', error: error.message });
+      }
+    }
+
+    for (const item of plan.delete) {
+      try {
+        await this.workflowService.deleteWorkflow(item.id);
+        report.deleted.push({ id: item.id, name: item.name });
+      } catch (error) {
+        report.failed.push({ id: item.id, name: item.name, action: 'delete', error: error.message });
+      }
+    }
+
+    for (const item of plan.missing) {
+      report.failed.push({ ...item, action: 'restore', error: 'No previous version in snapshot' });
+    }
+
+    return report;
+  }
+
+  /**
+   * Print uploads that can be rolled back
+   *
+   * @param {Array<Object>} candidates - Upload entries with a snapshot
+   */
+  printCandidates(candidates) {
+    if (candidates.length === 0) {
+      this.logger.info('No uploads with a pre-upload snapshot');
+      return;
+    }
+
+    this.logger.info('Uploads with a pre-upload snapshot (most recent first):\n');
+    for (const entry of [...candidates].reverse()) {
+      this.logger.info(`  ${entry.id}  ${entry.timestamp}  ${entry.details}`);
+    }
+  }
+
+  /**
+   * Print the rollback plan
+   *
+   * @param {Object} entry - Upload history entry
+   * @param {Object} plan - Plan from buildPlan()
+   */
+  printPlan(entry, plan) {
+    this.logger.info(`\n⏪ Rollback of upload ${entry.id} (${entry.timestamp})`);
+    this.logger.info(`🎯 Target N8N: ${this.config.baseUrl}`);
+    this.logger.info('━'.repeat(50));
+
+    plan.restore.forEach(item => this.logger.info(`   ↩️  restore  ${item.name} (${item.id})`));
+    plan.delete.forEach(item => this.logger.info(`   🗑️  delete   ${item.name} (${item.id})`));
+    plan.missing.forEach(item => this.logger.warn(`   ⚠️  no previous version for ${item.name} (${item.id})`));
+
+    if (plan.restore.length === 0 && plan.delete.length === 0) {
+      this.logger.info('   Nothing to revert');
+    }
+  }
+
+  /**
+   * Print the rollback report
+   *
+   * @param {Object} report - Report from executePlan()
+   */
+  printReport(report) {
+    this.logger.info('\n' + '═'.repeat(50));
+    this.logger.info('📊 ROLLBACK SUMMARY');
+    this.logger.info('═'.repeat(50));
+    this.logger.success(`   Restored: ${report.restored.length}`);
+    this.logger.success(`   Deleted:  ${report.deleted.length}`);
+    this.logger.error(`   Failed:   ${report.failed.length}`);
+
+    report.failed.forEach(item => {
+      this.logger.error(`   - ${item.action} ${item.name} (${item.id}): ${item.error}`);
+    });
+
+    this.logger.info('═'.repeat(50) + '\n');
+  }
+
+  /**
+   * Add the rollback to the upload history
+   *
+   * @param {Object} entry - Rolled back history entry
+   * @param {Object} report - Report from executePlan()
+   */
+  async saveHistory(entry, report) {
+    try {
+      const succeeded = report.restored.length + report.deleted.length;
+      const total = succeeded + report.failed.length;
+
+      this.uploadHistory.addEntry({
+        action: 'rollback',
+        summary: {
+          total,
+          succeeded,
+          failed: report.failed.length,
+          folder: entry.summary.folder
+        },
+        details: `Rolled back upload ${entry.id}: ${report.restored.length} restored, ` +
+          `${report.deleted.length} deleted on ${this.config.baseUrl}`
+      });
+
+      await this.uploadHistory.save();
+    } catch (error) {
+      this.logger.debug(`Failed to save upload history: ${error.message}`);
+    }
+  }
+}
+
+module.exports = N8nRollbackCommand;
+module.exports.N8nRollbackApp = N8nRollbackApp;
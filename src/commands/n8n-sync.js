@@ -0,0 +1,484 @@
+/**
+ * N8N Sync Command
+ * Bidirectional sync between the local workflows folder and the target N8N,
+ * using a base snapshot (three-way comparison) to detect conflicts
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const { N8nUploadApp } = require('./n8n-upload');
+const WorkflowSyncService = require('../services/workflow-sync-service');
+const WorkflowDiffService = require('../services/workflow-diff-service');
+const SecretScanner = require('../services/secret-scanner');
+const fs = require('fs');
+const path = require('path');
+
+const { ACTIONS } = WorkflowSyncService;
+
+/**
+ * Icons used in the plan output
+ * @type {Object<string, string>}
+ */
+const ACTION_ICONS = {
+  [ACTIONS.PUSH]: '⬆️ ',
+  [ACTIONS.PULL]: '⬇️ ',
+  [ACTIONS.CONFLICT]: '⚠️ ',
+  [ACTIONS.UNCHANGED]: '✓ ',
+  [ACTIONS.DELETE_REMOTE]: '🗑️ ',
+  [ACTIONS.DELETE_LOCAL]: '🗑️ '
+};
+
+class N8nSyncCommand {
+  /**
+   * Execute the sync command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    // Only flags are passed on to ConfigManager (same as n8n:upload)
+    const app = new N8nSyncApp(process.argv.slice(0, 2).concat(args));
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * N8N Sync Application
+ *
+ * Reuses the n8n:upload application for configuration (TARGET instance),
+ * local workflow reading and the upload history.
+ *
+ * @class N8nSyncApp
+ * @extends N8nUploadApp
+ */
+class N8nSyncApp extends N8nUploadApp {
+  constructor(argv = process.argv) {
+    super(argv);
+    this.sync = null;
+    this.syncDir = null;
+    this.prefer = null;
+    this.propagateDeletes = false;
+    this.interactive = true;
+  }
+
+  /**
+   * Parse command-line arguments
+   *
+   * @param {string[]} args - Command-line arguments to parse
+   */
+  parseArgs(args) {
+    super.parseArgs(args);
+
+    for (let i = 0; i < args.length; i++) {
+      switch (args[i]) {
+      case '--prefer':
+        this.prefer = args[++i];
+        break;
+      case '--delete':
+        this.propagateDeletes = true;
+        break;
+      case '--no-interactive':
+        this.interactive = false;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+N8N Sync Command - Bidirectional sync between local folder and N8N
+
+USAGE:
+  docs-jana n8n:sync [options]
+
+DESCRIPTION:
+  Compares each workflow with the base snapshot of the last sync
+  (_sync-base.json in the local folder) and decides:
+
+    push       changed locally only       → upload to N8N
+    pull       changed in N8N only        → save to the local folder
+    conflict   changed on both sides      → resolve interactively or with --prefer
+    unchanged  no changes
+
+  Without a base snapshot (first sync), workflows that differ between the
+  local folder and N8N are conflicts.
+
+OPTIONS:
+  --input, -i <dir>         Local workflows folder (default: ./n8n/workflows)
+  --prefer <local|remote>   Resolve all conflicts keeping the local or the remote version
+  --no-interactive          Do not prompt for conflicts (unresolved conflicts are skipped)
+  --delete                  Propagate deletions (workflows deleted on one side
+                            are deleted on the other; otherwise only reported)
+  --dry-run                 Show the sync plan without changing anything
+  --help, -h                Show this help message
+
+ENVIRONMENT VARIABLES:
+  TARGET_N8N_URL            Target N8N instance URL (falls back to N8N_URL)
+  TARGET_N8N_API_KEY        Target N8N API key (falls back to N8N_API_KEY)
+
+EXAMPLES:
+  # Preview what would be pushed, pulled or conflict
+  docs-jana n8n:sync --dry-run
+
+  # Sync, resolving conflicts interactively
+  docs-jana n8n:sync
+
+  # First sync: local folder is the source of truth
+  docs-jana n8n:sync --prefer local --no-interactive
+`);
+  }
+
+  /**
+   * Initialize the application
+   */
+  initialize() {
+    if (this.folderFilter) {
+      throw new Error('n8n:sync works on the whole folder: --folder is not supported');
+    }
+
+    if (this.prefer && !['local', 'remote'].includes(this.prefer)) {
+      throw new Error(`Invalid --prefer "${this.prefer}" (use local or remote)`);
+    }
+
+    this.inputDir = this.inputDir || process.env.N8N_INPUT_DIR || path.join(process.cwd(), 'n8n', 'workflows');
+    super.initialize();
+
+    this.syncDir = this.validateAndResolveInputDir();
+    this.sync = new WorkflowSyncService(this.logger, WorkflowSyncService.pathFor(this.syncDir));
+  }
+
+  /**
+   * Run the sync
+   *
+   * @returns {Promise<Object>} Sync results per action
+   */
+  async run() {
+    this.initialize();
+
+    this.logger.info(`🔄 Sync: ${this.syncDir} ⇄ ${this.config.baseUrl}`);
+
+    await this.sync.load();
+    this.sync.setTarget(this.config.baseUrl);
+
+    const localWorkflows = this.readWorkflowFiles();
+    const remoteWorkflows = await this.fetchRemoteWorkflows();
+
+    let plan = this.sync.plan(localWorkflows, remoteWorkflows);
+    plan = this.sync.resolveConflicts(plan, this.prefer);
+
+    if (!this.dryRun && this.interactive && process.stdin.isTTY) {
+      plan = await this.resolveConflictsInteractively(plan);
+    }
+
+    this.printPlan(plan);
+
+    if (this.dryRun) {
+      this.logger.info('\n🔍 Dry run: nothing was changed');
+      return { plan };
+    }
+
+    const results = await this.executePlan(plan);
+    await this.sync.save();
+
+    this.printResults(results);
+    await this.saveHistory(results);
+
+    return results;
+  }
+
+  /**
+   * Fetch remote workflows, loading full content only when needed
+   *
+   * Workflows whose updatedAt matches the base snapshot are not fetched again.
+   *
+   * @returns {Promise<Array<Object>>} Remote workflows (full, or summaries known to be unchanged)
+   */
+  async fetchRemoteWorkflows() {
+    const summaries = await this.workflowService.listWorkflows();
+    const workflows = [];
+
+    for (const summary of summaries) {
+      if (Array.isArray(summary.nodes) || this.sync.isRemoteUnchanged(summary)) {
+        workflows.push(summary);
+      } else {
+        workflows.push(await this.workflowService.getWorkflow(summary.id));
+      }
+    }
+
+    this.logger.info(`📥 Found ${workflows.length} workflows in N8N`);
+    return workflows;
+  }
+
+  /**
+   * Ask how to resolve each remaining conflict
+   *
+   * @param {Array<Object>} plan - Sync plan
+   * @returns {Promise<Array<Object>>} Plan with resolved (or skipped) conflicts
+   */
+  async resolveConflictsInteractively(plan) {
+    const conflicts = plan.filter(item => item.action === ACTIONS.CONFLICT);
+    if (conflicts.length === 0) {
+      return plan;
+    }
+
+    const inquirer = (await import('inquirer')).default;
+    const differ = new WorkflowDiffService(this.logger);
+
+    this.logger.warn(`\n⚠️  ${conflicts.length} conflict(s) to resolve\n`);
+
+    const resolved = [];
+    for (const item of plan) {
+      if (item.action !== ACTIONS.CONFLICT) {
+        resolved.push(item);
+        continue;
+      }
+
+      let choice = 'diff';
+      while (choice === 'diff') {
+        ({ choice } = await inquirer.prompt([{
+          type: 'list',
+          name: 'choice',
+          message: `${item.name}: ${item.reason}`,
+          choices: [
+            { name: item.local ? 'Keep local (push)' : 'Keep local (delete in N8N)', value: 'local' },
+            { name: item.remote ? 'Keep remote (pull)' : 'Keep remote (delete local file)', value: 'remote' },
+            ...(item.local && item.remote ? [{ name: 'Show diff (remote → local)', value: 'diff' }] : []),
+            { name: 'Skip', value: 'skip' }
+          ]
+        }]));
+
+        if (choice === 'diff') {
+          const remote = await this._ensureFullRemote(item.remote);
+          console.log('\n' + differ.format(differ.diff(remote, item.local)) + '\n');
+        }
+      }
+
+      resolved.push(choice === 'skip' ? item : this.sync.resolveItem(item, choice));
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Print the sync plan
+   *
+   * @param {Array<Object>} plan - Sync plan
+   */
+  printPlan(plan) {
+    const changes = plan.filter(item => item.action !== ACTIONS.UNCHANGED);
+    const unchanged = plan.length - changes.length;
+
+    this.logger.info('\n📋 Sync plan:\n');
+
+    for (const item of changes) {
+      const note = this._isDeletion(item.action) && !this.propagateDeletes ? ' (skipped, use --delete)' : '';
+      this.logger.info(`   ${ACTION_ICONS[item.action]} ${item.action.padEnd(13)} ${item.name} - ${item.reason}${note}`);
+    }
+
+    this.logger.info(`\n   ${ACTION_ICONS[ACTIONS.UNCHANGED]} ${unchanged} unchanged`);
+  }
+
+  /**
+   * Execute the sync plan
+   *
+   * Conflicts left unresolved and deletions without --delete are skipped.
+   *
+   * @param {Array<Object>} plan - Sync plan
+   * @returns {Promise<Object>} Results per action ({ pushed, pulled, deleted, skipped, failed })
+   */
+  async executePlan(plan) {
+    const results = { pushed: [], pulled: [], deleted: [], skipped: [], failed: [] };
+
+    for (const item of plan) {
+      try {
+        switch (item.action) {
+        case ACTIONS.PUSH:
+          await this._push(item);
+          results.pushed.push(item.name);
+          break;
+        case ACTIONS.PULL:
+          await this._pull(item);
+          results.pulled.push(item.name);
+          break;
+        case ACTIONS.DELETE_REMOTE:
+        case ACTIONS.DELETE_LOCAL:
+          if (!this.propagateDeletes) {
+            results.skipped.push(item.name);
+            break;
+          }
+          await this._delete(item);
+          results.deleted.push(item.name);
+          break;
+        case ACTIONS.CONFLICT:
+          results.skipped.push(item.name);
+          break;
+        default:
+          // Identical on both sides: make sure the base knows about it
+          if (item.local && item.remote && !this.sync.workflows.has(item.id)) {
+            this.sync.recordSynced(item.id, item.local, await this._ensureFullRemote(item.remote));
+          }
+        }
+      } catch (error) {
+        this.logger.error(`❌ ${item.action} failed for ${item.name}: ${error.message}`);
+        results.failed.push({ name: item.name, action: item.action, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Print the sync results
+   *
+   * @param {Object} results - Results per action
+   */
+  printResults(results) {
+    this.logger.info('\n' + '═'.repeat(50));
+    this.logger.success(
+      `✅ Sync complete: ${results.pushed.length} pushed, ${results.pulled.length} pulled, ` +
+      `${results.deleted.length} deleted`
+    );
+
+    if (results.skipped.length > 0) {
+      this.logger.warn(`⚠️  Skipped: ${results.skipped.join(', ')}`);
+    }
+
+    if (results.failed.length > 0) {
+      this.logger.error(`❌ Failed: ${results.failed.map(f => f.name).join(', ')}`);
+    }
+
+    this.logger.info('═'.repeat(50) + '\n');
+  }
+
+  /**
+   * Add the sync to the upload history
+   *
+   * @param {Object} results - Results per action
+   */
+  async saveHistory(results) {
+    const succeeded = results.pushed.length + results.pulled.length + results.deleted.length;
+    const total = succeeded + results.failed.length;
+
+    if (total === 0) {
+      return;
+    }
+
+    try {
+      await this.uploadHistory.load();
+      this.uploadHistory.addEntry({
+        action: 'sync',
+        summary: {
+          total,
+          succeeded,
+          failed: results.failed.length,
+          folder: path.basename(this.syncDir)
+        },
+        details: `${results.pushed.length} pushed, ${results.pulled.length} pulled, ` +
+          `${results.deleted.length} deleted, ${results.skipped.length} skipped with ${this.config.baseUrl}`
+      });
+      await this.uploadHistory.save();
+    } catch (error) {
+      this.logger.debug(`Failed to save upload history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a local workflow (update when it exists remotely, create otherwise)
+   *
+   * @private
+   * @param {Object} item - Plan item
+   * @throws {Error} If the local workflow still holds redacted secrets
+   */
+  async _push(item) {
+    const redacted = SecretScanner.findRedacted([item.local]);
+    if (redacted.length > 0) {
+      throw SecretScanner.redactedError(redacted);
+    }
+
+    const result = item.remote
+      ? await this.workflowService.updateWorkflow(item.remote.id, item.local)
+      : await this.workflowService.createWorkflow(item.local);
+
+    const remoteAfter = Array.isArray(result.nodes)
+      ? result
+      : { ...item.local, id: result.id, updatedAt: result.updatedAt };
+
+    this.sync.recordSynced(item.id, item.local, remoteAfter);
+    this.logger.success(`   ⬆️  ${item.name}`);
+  }
+
+  /**
+   * Save the remote workflow to the local folder
+   *
+   * Existing files are overwritten in place and keep their local workflow ID.
+   *
+   * @private
+   * @param {Object} item - Plan item
+   */
+  async _pull(item) {
+    const remote = await this._ensureFullRemote(item.remote);
+    let localAfter;
+
+    if (item.local) {
+      localAfter = { ...remote, id: item.local.id };
+      const filePath = path.join(this.syncDir, item.local.filePath);
+      fs.writeFileSync(filePath, JSON.stringify(localAfter, null, 2), 'utf8');
+    } else {
+      localAfter = remote;
+      this.fileManager.saveWorkflow(this.syncDir, remote);
+    }
+
+    this.sync.recordSynced(item.id, localAfter, remote);
+    this.logger.success(`   ⬇️  ${item.name}`);
+  }
+
+  /**
+   * Propagate a deletion to the other side
+   *
+   * @private
+   * @param {Object} item - Plan item
+   */
+  async _delete(item) {
+    if (item.action === ACTIONS.DELETE_REMOTE) {
+      await this.workflowService.deleteWorkflow(item.remote.id);
+    } else {
+      fs.unlinkSync(path.join(this.syncDir, item.local.filePath));
+    }
+
+    this.sync.remove(item.id);
+    this.logger.success(`   🗑️  ${item.name}`);
+  }
+
+  /**
+   * Fetch the full remote workflow if only the summary is available
+   *
+   * @private
+   * @param {Object} remote - Remote workflow or summary
+   * @returns {Promise<Object>} Full remote workflow
+   */
+  async _ensureFullRemote(remote) {
+    return Array.isArray(remote.nodes) ? remote : await this.workflowService.getWorkflow(remote.id);
+  }
+
+  /**
+   * Checks if an action deletes a workflow
+   *
+   * @private
+   * @param {string} action - Plan action
+   * @returns {boolean} True for delete actions
+   */
+  _isDeletion(action) {
+    return action === ACTIONS.DELETE_REMOTE || action === ACTIONS.DELETE_LOCAL;
+  }
+}
+
+module.exports = N8nSyncCommand;
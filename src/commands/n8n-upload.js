@@ -14,8 +14,15 @@ const AuthFactory = require('../auth/auth-factory');
 const WorkflowService = require('../services/workflow-service');
 const IDMappingService = require('../services/id-mapping-service');
 const WorkflowIDRemapper = require('../services/workflow-id-remapper');
+const WorkflowDependencyGraph = require('../services/workflow-dependency-graph');
 const UploadHistoryService = require('../services/upload-history-service');
+const UploadSnapshotService = require('../services/upload-snapshot-service');
+const DeploymentPlanService = require('../services/deployment-plan-service');
+const WorkflowActivationService = require('../services/workflow-activation-service');
+const SecretScanner = require('../services/secret-scanner');
 const PlaceholderResolver = require('../utils/placeholder-resolver');
+const WorkflowTemplateEngine = require('../utils/workflow-template-engine');
+const WorkflowFiles = require('../utils/workflow-files');
 const fs = require('fs');
 const path = require('path');
 
@@ -46,12 +53,14 @@ class N8nUploadCommand {
  * Implements a three-phase upload process to handle workflow ID remapping:
  *
  * Phase 1: Initial Upload
- *   - Uploads all workflows to N8N
+ *   - Uploads workflows in dependency order (called workflows first)
  *   - N8N assigns new IDs to each workflow
  *   - Builds old ID → new ID mapping
+ *   - References to workflows uploaded earlier are remapped before each upload
  *
  * Phase 2: Reference Remapping
- *   - Identifies workflows with executeWorkflow node references
+ *   - Identifies workflows with references that were not resolved in Phase 1
+ *     (reference cycles, or callees that failed and were retried)
  *   - Updates references to use new IDs from Phase 1
  *   - Saves ID mapping to _id-mapping.json
  *
@@ -76,6 +85,8 @@ class N8nUploadApp {
     this.workflowService = null;
     this.fileManager = null;
     this.uploadHistory = null;
+    this.uploadSnapshots = null;
+    this.referencesResolvedOnUpload = new Map();
     this.showHelp = false;
     this.inputDir = null;
     this.dryRun = false;
@@ -83,6 +94,13 @@ class N8nUploadApp {
     this.skipRemap = false;
     this.syncTags = false;
     this.folderFilter = null;
+    this.variablesFile = null;
+    this.templateAssignments = [];
+    this.allowUnresolved = false;
+    this.templateEngine = null;
+    this.templatesReported = false;
+    this.planOut = null;
+    this.activation = null;
   }
 
   /**
@@ -96,6 +114,11 @@ class N8nUploadApp {
    *   --force, -f         Overwrite existing workflows
    *   --skip-remap        Skip ID remapping phase
    *   --sync-tags         Sync tags from source workflows to target N8N
+   *   --vars <file>       Variables file for {placeholders} in workflows
+   *   --set NAME=value    Value for a {placeholder} (repeatable)
+   *   --allow-unresolved  Upload {placeholders} without a value as they are
+   *   --plan-out <file>   Write a deployment plan (implies --dry-run)
+   *   --activation <policy> Activation after upload: preserve, all or none
    *
    * @param {string[]} args - Command-line arguments to parse
    */
@@ -129,6 +152,22 @@ class N8nUploadApp {
       case '--sync-tags':
         this.syncTags = true;
         break;
+      case '--vars':
+        this.variablesFile = args[++i];
+        break;
+      case '--set':
+        this.templateAssignments.push(args[++i]);
+        break;
+      case '--allow-unresolved':
+        this.allowUnresolved = true;
+        break;
+      case '--plan-out':
+        this.planOut = args[++i];
+        this.dryRun = true;
+        break;
+      case '--activation':
+        this.activation = args[++i];
+        break;
       }
     }
   }
@@ -147,9 +186,18 @@ OPTIONS:
   --input, -i <dir>     Input directory with workflow JSON files (required)
   --folder, -F <name>   Filter workflows from specific subfolder (optional)
   --dry-run             Validate workflows without uploading
+  --plan-out <file>     Write a deployment plan for review (implies --dry-run,
+                        apply it with n8n:apply --plan <file>)
   --force, -f           Overwrite existing workflows
   --skip-remap          Skip ID remapping phase (default: false)
   --sync-tags           Sync tags from source workflows to target N8N (default: false)
+  --activation <policy> Activation after upload (default: leave as on the target):
+                          preserve  same state as the "active" field of the files
+                          all       activate every workflow with a trigger node
+                          none      keep the uploaded workflows inactive
+  --vars <file>         Variables file for {placeholders} (default: .jana/variables.json)
+  --set NAME=value      Value for a {placeholder} (repeatable)
+  --allow-unresolved    Upload {placeholders} without a value as they are (warning only)
   --skip-errors         Continue on errors (default: true)
   --help, -h            Show this help message
 
@@ -167,21 +215,36 @@ ENVIRONMENT VARIABLES:
   N8N_FORCE             Force overwrite existing workflows (true/false)
   N8N_SKIP_ERRORS       Continue on errors (true/false, default: true)
 
+WORKFLOW TEMPLATES:
+  {NAME} placeholders in workflow names, node parameters and sticky notes are
+  filled from --set, profile variables, JANA_VAR_<NAME> environment variables
+  and the variables file, in that order. Workflows with unresolved
+  placeholders are refused, even when no value is configured (preview with
+  n8n:render, or --allow-unresolved for text such as "Pedido {id}").
+
 WORKFLOW UPLOAD PROCESS:
   Phase 1: Initial Upload
-    - Uploads all workflows (N8N assigns new IDs)
+    - Uploads workflows in dependency order: called workflows first
+      (see n8n:graph), so references are remapped before each upload
     - Builds old ID → new ID mapping
     - Saves mapping to {input-dir}/_id-mapping.json
 
   Phase 2: Reference Remapping (unless --skip-remap is used)
     - Loads all uploaded workflows from JSON files
-    - Updates all executeWorkflow node references with new IDs
+    - Updates executeWorkflow references not resolved in Phase 1
+      (reference cycles) with new IDs
     - Validates all references can be resolved
 
   Phase 3: Re-upload with Corrected References
-    - Re-uploads workflows with updated ID references
+    - Re-uploads only workflows with references updated in Phase 2
     - Uses --force to overwrite existing workflows
 
+  Phase 5: Activation (only with --activation)
+    - Runs after references are remapped (and tags synced)
+    - Workflows whose webhook paths are already used by an active workflow
+      on the target are left inactive and reported as collisions
+    - Activation failures are reported separately from upload failures
+
 EXAMPLES:
   # Upload workflows with automatic ID remapping
   docs-jana n8n:upload --input ./n8n-workflows-2025-10-01T13-27-51
@@ -192,12 +255,19 @@ EXAMPLES:
   # Test upload without making changes
   docs-jana n8n:upload --input ./workflows --dry-run
 
+  # Plan a production push for review, then apply exactly that plan
+  docs-jana n8n:upload --input ./workflows --force --plan-out ./plan.json
+  docs-jana n8n:apply --plan ./plan.json
+
   # Upload without ID remapping (if no executeWorkflow nodes exist)
   docs-jana n8n:upload --input ./workflows --skip-remap
 
   # Force overwrite existing workflows
   docs-jana n8n:upload --input ./workflows --force
 
+  # Upload and activate the workflows that are active in the files
+  docs-jana n8n:upload --input ./workflows --force --activation preserve
+
   # Upload with specific target URL
   N8N_URL=https://n8n.refrisol.com.br docs-jana n8n:upload --input ./workflows
 
@@ -205,6 +275,7 @@ NOTES:
   - N8N assigns new IDs on upload; old IDs are not preserved
   - executeWorkflow node references are automatically updated with new IDs
   - ID mapping is saved to _id-mapping.json for reference
+  - A pre-upload snapshot is saved to .upload-snapshots/ (revert with n8n:rollback)
   - Existing workflows are skipped unless --force is used
   - Use --dry-run to validate before uploading
   - Use --skip-remap if workflows have no executeWorkflow nodes
@@ -261,6 +332,10 @@ NOTES:
       this.config.force = this.force;
     }
 
+    if (this.activation) {
+      WorkflowActivationService.validatePolicy(this.activation);
+    }
+
     // Validate inputDir is provided (required for upload operation)
     if (!this.config.inputDir) {
       console.error('❌ Configuration Error:\n');
@@ -304,6 +379,11 @@ NOTES:
     this.fileManager = new FileManager(this.logger);
     this.workflowService = new WorkflowService(httpClient, authStrategy, this.logger);
     this.uploadHistory = new UploadHistoryService(this.logger);
+    this.uploadSnapshots = new UploadSnapshotService(this.logger);
+    this.templateEngine = WorkflowTemplateEngine.create({
+      variablesFile: this.variablesFile,
+      values: WorkflowTemplateEngine.parseAssignments(this.templateAssignments)
+    });
   }
 
   /**
@@ -361,6 +441,52 @@ NOTES:
     return resolvedPath;
   }
 
+  /**
+   * Read workflow files and render their {placeholders}
+   *
+   * @returns {Array<Object>} Rendered workflows (see loadWorkflowFiles)
+   * @throws {Error} If a workflow has unresolved placeholders
+   */
+  readWorkflowFiles() {
+    return this.renderWorkflows(this.loadWorkflowFiles());
+  }
+
+  /**
+   * Fill the {placeholders} of workflows with the template engine
+   *
+   * Every workflow is scanned, even when no value is configured (--set,
+   * --vars, a variables file, profile or JANA_VAR_* variables): the whole set
+   * is refused if any placeholder is left, so no workflow is pushed with
+   * template tokens in its parameters, unless --allow-unresolved is given.
+   *
+   * @param {Array<Object>} workflows - Workflow templates
+   * @returns {Array<Object>} Rendered copies
+   * @throws {Error} Listing every unresolved placeholder
+   */
+  renderWorkflows(workflows) {
+    const { workflows: rendered, resolved, unresolved } = this.templateEngine.renderAll(workflows);
+
+    if (unresolved.length > 0 && !this.allowUnresolved) {
+      const hint = this.templateEngine.hasValues()
+        ? 'Not placeholders? Upload them as they are with --allow-unresolved'
+        : 'No placeholder values are configured. Not placeholders? Upload them as they are with --allow-unresolved';
+      throw WorkflowTemplateEngine.unresolvedError(unresolved, hint);
+    }
+
+    if (!this.templatesReported) {
+      if (resolved.length > 0) {
+        this.logger.info(`🧩 Placeholders filled: ${resolved.join(', ')}`);
+      }
+      if (unresolved.length > 0) {
+        const names = [...new Set(unresolved.map(item => `{${item.placeholder}}`))];
+        this.logger.warn(`⚠️  Left as they are (--allow-unresolved): ${names.join(', ')}`);
+      }
+      this.templatesReported = true;
+    }
+
+    return rendered;
+  }
+
   /**
    * Read workflow files from input directory
    *
@@ -372,6 +498,9 @@ NOTES:
    *   - Start with underscore (e.g., _backup-log.json, _id-mapping.json)
    *   - Are missing required fields (id, name)
    *   - Cannot be parsed as valid JSON
+   *   - Are inside a .git folder
+   *
+   * Files are read with WorkflowFiles.load(), like the other commands reading workflows.
    *
    * Features:
    *   - Folder filtering via --folder flag
@@ -382,7 +511,7 @@ NOTES:
    * @returns {Array<Object>} Array of workflow objects with id, name, nodes, connections, sourceFolder, etc.
    * @throws {Error} If input directory doesn't exist or placeholder cannot be resolved
    */
-  readWorkflowFiles() {
+  loadWorkflowFiles() {
     // Validate and resolve inputDir with placeholder support
     let inputDir = this.validateAndResolveInputDir();
 
@@ -394,62 +523,25 @@ NOTES:
 
     this.logger.info(`📂 Reading workflows from ${inputDir}`);
 
-    if (!fs.existsSync(inputDir)) {
-      throw new Error(`Input directory does not exist: ${inputDir}`);
-    }
-
-    const workflows = [];
-
-    // Recursive function to read workflows from directory
-    const readDir = (dir, relativePath = '') => {
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        const relPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
-
-        if (entry.isDirectory()) {
-          // Recursively read subdirectories
-          readDir(fullPath, relPath);
-        } else if (entry.isFile()) {
-          // Skip non-JSON files and backup logs
-          if (!entry.name.endsWith('.json') || entry.name.startsWith('_')) {
-            continue;
-          }
-
-          try {
-            const content = fs.readFileSync(fullPath, 'utf8');
-            const workflow = JSON.parse(content);
-
-            // Validate workflow has required fields
-            if (!workflow.id) {
-              this.logger.warn(`⚠️  Skipping ${relPath}: missing workflow ID`);
-              continue;
-            }
-
-            if (!workflow.name) {
-              this.logger.warn(`⚠️  Skipping ${relPath}: missing workflow name`);
-              continue;
-            }
-
-            // Extract source folder from file path
-            const sourceFolder = relativePath || this.folderFilter || path.basename(path.dirname(fullPath));
-
-            workflows.push({
-              file: entry.name,
-              filePath: relPath,
-              sourceFolder,
-              ...workflow
-            });
-          } catch (error) {
-            this.logger.error(`❌ Failed to read ${relPath}: ${error.message}`);
-          }
-        }
+    // Validate workflow has required fields
+    const validate = workflow => {
+      if (!workflow.id) {
+        return 'missing workflow ID';
       }
+      return workflow.name ? null : 'missing workflow name';
     };
 
-    // Start recursive reading
-    readDir(inputDir);
+    const workflows = WorkflowFiles.load(inputDir, { logger: this.logger, validate }).map(({ workflow, file }) => {
+      // Extract source folder from file path
+      const folder = path.posix.dirname(file);
+
+      return {
+        file: path.posix.basename(file),
+        filePath: file,
+        sourceFolder: folder !== '.' ? folder : (this.folderFilter || path.basename(inputDir)),
+        ...workflow
+      };
+    });
 
     this.logger.info(`✅ Found ${workflows.length} valid workflow files`);
     return workflows;
@@ -616,6 +708,72 @@ NOTES:
     }
   }
 
+  /**
+   * Sort workflows in dependency order (called workflows first)
+   *
+   * Uses WorkflowDependencyGraph so that, in Phase 1, every workflow is
+   * uploaded after the workflows it calls. Reference cycles are reported;
+   * their workflows are resolved by Phase 2 & 3.
+   *
+   * @param {Array<Object>} workflows - Workflows read from the input directory
+   * @returns {Array<Object>} Workflows in upload order
+   */
+  orderByDependencies(workflows) {
+    const graph = new WorkflowDependencyGraph(this.logger).build(workflows);
+    const levels = graph.getLevels();
+
+    if (levels.length > 1) {
+      this.logger.info(`🔗 Upload order: ${workflows.length} workflows in ${levels.length} dependency levels (called workflows first)`);
+    }
+
+    const cycleReport = graph.formatCycleReport();
+    if (cycleReport) {
+      this.logger.warn(`⚠️  ${cycleReport}`);
+    }
+
+    return graph.sortWorkflows(workflows);
+  }
+
+  /**
+   * Remap references to workflows already uploaded in this run (Phase 1)
+   *
+   * Called by WorkflowService.uploadWorkflows() before each upload. The IDs
+   * resolved here are recorded so Phase 2 & 3 only re-upload workflows that
+   * still had unresolved references.
+   *
+   * @param {Object} workflow - Workflow about to be uploaded
+   * @param {Object} resultsSoFar - Upload results of the previous workflows
+   * @returns {Object} Workflow to upload (a remapped copy if it has references)
+   */
+  remapKnownReferences(workflow, resultsSoFar) {
+    if (WorkflowDependencyGraph.extractReferences(workflow).length === 0) {
+      return workflow;
+    }
+
+    const idMapping = {};
+    [...resultsSoFar.created, ...resultsSoFar.updated].forEach(result => {
+      if (result.oldId && result.newId) {
+        idMapping[result.oldId] = String(result.newId);
+      }
+    });
+
+    const remapper = new WorkflowIDRemapper(this.logger);
+    const remapped = JSON.parse(JSON.stringify(workflow));
+    const resolved = new Set();
+
+    for (const node of remapper.findExecuteWorkflowNodes(remapped)) {
+      const [reference] = WorkflowDependencyGraph.extractReferences({ nodes: [node] });
+
+      if (reference && idMapping[reference.workflowId]) {
+        remapper.updateNodeWorkflowId(node, idMapping[reference.workflowId]);
+        resolved.add(reference.workflowId);
+      }
+    }
+
+    this.referencesResolvedOnUpload.set(String(workflow.id), resolved);
+    return remapped;
+  }
+
   /**
    * Phase 2 & 3: Remap workflow IDs and re-upload
    *
@@ -623,6 +781,7 @@ NOTES:
    * 1. Loads the ID mapping from Phase 1
    * 2. Reads all workflow files from the input directory
    * 3. Uses WorkflowIDRemapper to update executeWorkflow node references
+   *    (workflows whose references were all resolved in Phase 1 are skipped)
    * 4. Re-uploads workflows with corrected references using --force
    *
    * @param {Object} phase1Results - Results from initial upload (contains old→new ID mappings)
@@ -694,6 +853,7 @@ NOTES:
     const remapper = new WorkflowIDRemapper(this.logger);
     const remapResults = {
       remapped: 0,
+      resolvedOnUpload: 0,
       unresolvedReferences: [],
       reuploadSucceeded: 0,
       reuploadFailed: 0
@@ -710,6 +870,18 @@ NOTES:
           continue; // Skip workflows without workflow references
         }
 
+        // Skip workflows uploaded with all their (mappable) references resolved
+        const resolved = this.referencesResolvedOnUpload.get(String(workflow.id));
+        const pending = WorkflowDependencyGraph.extractReferences(workflow)
+          .filter(reference => idMapping[reference.workflowId] && !(resolved && resolved.has(reference.workflowId)));
+
+        if (resolved && idMapping[workflow.id] && pending.length === 0) {
+          remapResults.remapped += resolved.size;
+          remapResults.resolvedOnUpload++;
+          this.logger.debug(`   ${workflow.name}: references already resolved on upload`);
+          continue;
+        }
+
         // Remap the workflow
         const remappedWorkflow = remapper.remapWorkflowReferences(workflow, idMapping);
 
@@ -730,6 +902,10 @@ NOTES:
       }
     }
 
+    if (remapResults.resolvedOnUpload > 0) {
+      this.logger.success(`   ✅ ${remapResults.resolvedOnUpload} workflows already had their references resolved on upload`);
+    }
+
     // Phase 3: Re-upload with corrected references
     if (remappedWorkflows.length === 0) {
       this.logger.info('✅ No workflows need re-uploading\n');
@@ -780,6 +956,46 @@ NOTES:
     return remapResults;
   }
 
+  /**
+   * Salva um snapshot pré-upload dos workflows do target que serão afetados
+   *
+   * Workflows são encontrados por nome (como em WorkflowService.uploadWorkflow).
+   * Sem --force, workflows existentes são ignorados pelo upload, então só o
+   * registro dos criados é necessário para o rollback.
+   *
+   * @param {Array} localWorkflows - Workflows locais a enviar
+   * @returns {Promise<Object|null>} Snapshot salvo, ou null se não foi possível criá-lo
+   */
+  async createPreUploadSnapshot(localWorkflows) {
+    this.logger.info('\n📸 Saving pre-upload snapshot...');
+
+    try {
+      const snapshot = this.uploadSnapshots.begin({
+        target: this.config.baseUrl,
+        inputDir: path.resolve(this.config.inputDir)
+      });
+
+      if (this.config.force) {
+        const localNames = new Set(localWorkflows.map(wf => wf.name));
+        const targetWorkflows = await this.workflowService.listWorkflows();
+        const affected = targetWorkflows.filter(wf => localNames.has(wf.name));
+
+        for (const summary of affected) {
+          this.uploadSnapshots.addPreviousVersion(await this.workflowService.getWorkflow(summary.id));
+        }
+      }
+
+      await this.uploadSnapshots.save();
+
+      const count = Object.keys(snapshot.previous).length;
+      this.logger.success(`   Snapshot ${snapshot.id}: ${count} existing workflows saved`);
+      return snapshot;
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not save pre-upload snapshot, rollback will not be available: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Compara workflows locais com workflows no N8N target
    * Mostra quais workflows serão criados, atualizados ou são idênticos
@@ -900,6 +1116,84 @@ NOTES:
     }
   }
 
+  /**
+   * Check the target before anything is compared or uploaded
+   *
+   * No-op here; n8n:apply refuses to run when the target changed since the
+   * plan was made.
+   *
+   * @param {Array<Object>} _workflows - Workflows about to be uploaded (upload order)
+   * @returns {Promise<void>}
+   */
+  async verifyTarget(_workflows) {}
+
+  /**
+   * Build the deployment plan of this upload
+   *
+   * Same decisions as WorkflowService.uploadWorkflow (workflows matched by
+   * name; existing ones updated only with --force), with the field changes
+   * of each update, the references remapped and the tags synced. The
+   * rendered workflows are embedded, so n8n:apply pushes exactly what was
+   * reviewed.
+   *
+   * @param {Array<Object>} workflows - Workflows in upload order
+   * @returns {Promise<Object>} Plan (see DeploymentPlanService)
+   */
+  async buildDeploymentPlan(workflows) {
+    const planner = new DeploymentPlanService(this.logger);
+    const targetWorkflows = await this.workflowService.listWorkflows();
+    const targetByName = new Map(targetWorkflows.map(wf => [wf.name, wf]));
+    const localNames = new Map(workflows.map(wf => [String(wf.id), wf.name]));
+
+    const plan = planner.create({
+      kind: 'upload',
+      target: this.config.baseUrl,
+      source: { inputDir: path.resolve(this.config.inputDir), folder: this.folderFilter },
+      options: {
+        force: Boolean(this.config.force),
+        skipRemap: this.skipRemap,
+        syncTags: this.syncTags,
+        activation: this.activation
+      }
+    });
+
+    for (const workflow of workflows) {
+      const existing = targetByName.get(workflow.name);
+      const item = { name: workflow.name, source: workflow, workflow };
+
+      if (!existing) {
+        Object.assign(item, { action: 'create', reason: 'Not on target' });
+      } else if (!this.config.force) {
+        Object.assign(item, { action: 'skip', reason: 'Already exists on target (use --force to overwrite)', target: existing });
+      } else {
+        const current = await this.workflowService.getWorkflow(existing.id);
+        const changes = planner.describeChanges(current, workflow);
+        Object.assign(item, {
+          action: 'update',
+          reason: changes.length > 0 ? `${changes.length} field change(s)` : 'No field changes (re-uploaded with --force)',
+          target: existing,
+          changes
+        });
+      }
+
+      if (item.action !== 'skip') {
+        if (!this.skipRemap) {
+          item.remapReferences = WorkflowDependencyGraph.extractReferences(workflow).map(reference => ({
+            workflowId: reference.workflowId,
+            name: localNames.get(String(reference.workflowId)) || null
+          }));
+        }
+        if (this.syncTags) {
+          item.tags = this._extractTagNames(workflow);
+        }
+      }
+
+      planner.addWorkflow(plan, item, targetWorkflows);
+    }
+
+    return plan;
+  }
+
   /**
    * Extrai versão do ID do workflow
    * Suporta padrões como: (AAA-AAA-001), (v1), (v2.0), etc.
@@ -956,14 +1250,24 @@ NOTES:
       this.logger.warn('⚠️  FORCE MODE: Existing workflows will be overwritten');
     }
 
-    // Read workflow files
-    const workflows = this.readWorkflowFiles();
+    // Read workflow files (called workflows first, see orderByDependencies)
+    const fileWorkflows = this.readWorkflowFiles();
 
-    if (workflows.length === 0) {
+    if (fileWorkflows.length === 0) {
       this.logger.warn('⚠️  No workflows to upload');
       return;
     }
 
+    // Secrets redacted by --redact-secrets would replace the real values on the target
+    const redacted = SecretScanner.findRedacted(fileWorkflows);
+    if (redacted.length > 0) {
+      throw SecretScanner.redactedError(redacted);
+    }
+
+    const workflows = this.orderByDependencies(fileWorkflows);
+
+    await this.verifyTarget(workflows);
+
     // Dry-run mode: validate and compare
     if (this.config.dryRun) {
       this.validateWorkflows(workflows);
@@ -975,10 +1279,22 @@ NOTES:
         this.logger.warn(`⚠️  Could not compare with target: ${error.message}`);
       }
 
+      if (this.planOut) {
+        const plan = await this.buildDeploymentPlan(workflows);
+        const planner = new DeploymentPlanService(this.logger);
+        this.logger.info(`\n${planner.format(plan)}`);
+        const planPath = await planner.save(plan, this.planOut);
+        this.logger.success(`\n📝 Deployment plan saved to ${planPath}`);
+        this.logger.info(`   Apply it with: docs-jana n8n:apply --plan ${this.planOut}`);
+      }
+
       this.logger.info('\n✅ Dry-run complete. Use without --dry-run to upload.');
       return;
     }
 
+    // Pre-upload snapshot (used by n8n:rollback)
+    const snapshot = await this.createPreUploadSnapshot(workflows);
+
     // Phase 1: Upload workflows
     this.logger.info('\n🔄 Phase 1: Initial Upload');
     this.logger.info('━'.repeat(50));
@@ -988,9 +1304,20 @@ NOTES:
     const results = await this.workflowService.uploadWorkflows(
       workflows,
       this.config.force,
-      this.config.skipErrors
+      this.config.skipErrors,
+      this.skipRemap ? {} : { beforeUpload: (workflow, resultsSoFar) => this.remapKnownReferences(workflow, resultsSoFar) }
     );
 
+    if (snapshot) {
+      try {
+        const mappingFilePath = path.join(path.resolve(this.config.inputDir), '_id-mapping.json');
+        this.uploadSnapshots.recordResults(results, this.skipRemap ? null : mappingFilePath);
+        await this.uploadSnapshots.save();
+      } catch (error) {
+        this.logger.warn(`⚠️  Could not update pre-upload snapshot: ${error.message}`);
+      }
+    }
+
     // Print Phase 1 results summary
     this.logger.info('\n📊 Phase 1 Results:');
     this.logger.success(`   Created:  ${results.created.length}`);
@@ -1061,6 +1388,9 @@ NOTES:
     if (remapResults && !remapResults.skipped) {
       this.logger.info('\nPhase 2 & 3 (ID Remapping & Re-upload):');
       this.logger.success(`   References remapped:  ${remapResults.remapped}`);
+      if (remapResults.resolvedOnUpload > 0) {
+        this.logger.success(`   Resolved on upload:   ${remapResults.resolvedOnUpload} workflows`);
+      }
       this.logger.success(`   Re-upload succeeded:  ${remapResults.reuploadSucceeded}`);
       if (remapResults.reuploadFailed > 0) {
         this.logger.error(`   Re-upload failed:     ${remapResults.reuploadFailed}`);
@@ -1082,6 +1412,16 @@ NOTES:
       }
     }
 
+    // Phase 5: Activation (optional, after references are remapped)
+    if (this.activation) {
+      this.logger.info('\n🔄 Phase 5: Activation');
+      this.logger.info('━'.repeat(50));
+      const activationReport = await this.applyActivationPolicy(workflows, results);
+      if (activationReport) {
+        this.printActivationReport(activationReport);
+      }
+    }
+
     // Overall status
     this.logger.info('');
     if (results.failed.length === 0 && (!remapResults || remapResults.reuploadFailed === 0)) {
@@ -1106,6 +1446,7 @@ NOTES:
         path.basename(this.config.inputDir);
 
       this.uploadHistory.addEntry({
+        id: snapshot ? snapshot.id : undefined,
         action: 'upload',
         summary: {
           total: results.total,
@@ -1113,16 +1454,85 @@ NOTES:
           failed: totalFailed,
           folder: folderName
         },
-        details: `${successCount}/${results.total} workflows uploaded successfully to ${this.config.baseUrl}`
+        details: `${successCount}/${results.total} workflows uploaded successfully to ${this.config.baseUrl}`,
+        snapshot: snapshot ? snapshot.id : null
       });
 
       await this.uploadHistory.save();
       this.logger.debug('Upload history saved successfully');
+
+      // Drop snapshots whose history entry was pruned
+      const referenced = this.uploadHistory.getAllEntries()
+        .map(entry => entry.snapshot)
+        .filter(Boolean);
+      await this.uploadSnapshots.prune(referenced);
     } catch (error) {
       this.logger.debug(`Failed to save upload history: ${error.message}`);
     }
   }
 
+  /**
+   * Apply the --activation policy to the created and updated workflows
+   *
+   * @param {Array} workflows - Uploaded workflows (source "active" field and webhook nodes)
+   * @param {Object} uploadResults - Results from Phase 1 upload
+   * @returns {Promise<Object|null>} Report of WorkflowActivationService.apply, or null if the target could not be listed
+   */
+  async applyActivationPolicy(workflows, uploadResults) {
+    const byName = new Map(workflows.map(wf => [wf.name, wf]));
+
+    let targetWorkflows;
+    try {
+      targetWorkflows = await this.workflowService.listWorkflows();
+    } catch (error) {
+      this.logger.error(`❌ Activation skipped, could not list target workflows: ${error.message}`);
+      return null;
+    }
+
+    const activeIds = new Set(targetWorkflows.filter(wf => wf.active).map(wf => String(wf.id)));
+    const items = [...uploadResults.created, ...uploadResults.updated]
+      .filter(result => result.newId && byName.has(result.name))
+      .map(result => ({
+        name: result.name,
+        targetId: result.newId,
+        workflow: byName.get(result.name),
+        active: activeIds.has(String(result.newId))
+      }));
+
+    const activation = new WorkflowActivationService(this.logger);
+    return await activation.apply(items, this.activation, targetWorkflows, this.workflowService);
+  }
+
+  /**
+   * Print the activation report (failures apart from upload failures)
+   *
+   * @param {Object} report - Report of WorkflowActivationService.apply
+   */
+  printActivationReport(report) {
+    this.logger.info(`\nPhase 5 (Activation, policy "${report.policy}"):`);
+    this.logger.success(`   Activated:    ${report.activated.length}`);
+    this.logger.success(`   Deactivated:  ${report.deactivated.length}`);
+    this.logger.info(`   Unchanged:    ${report.unchanged}`);
+
+    report.skipped.forEach(item => {
+      this.logger.warn(`   ⏭️  ${item.name}: ${item.reason}`);
+    });
+
+    if (report.collisions.length > 0) {
+      this.logger.warn(`   Webhook collisions (left inactive): ${report.collisions.length}`);
+      report.collisions.forEach(collision => {
+        this.logger.warn(`   ⚠️  ${collision.name} › ${collision.node}: ${collision.method} /${collision.path} is used by "${collision.conflictsWith}"`);
+      });
+    }
+
+    if (report.failed.length > 0) {
+      this.logger.error(`   Activation failed:   ${report.failed.length}`);
+      report.failed.forEach(failure => {
+        this.logger.error(`   ❌ ${failure.name} (${failure.action}): ${failure.error}`);
+      });
+    }
+  }
+
   /**
    * Sync tags from source workflows to target N8N instance
    * Extracts tags from workflow JSON files and links them to uploaded workflows
@@ -1219,3 +1629,5 @@ NOTES:
 }
 
 module.exports = N8nUploadCommand;
+
+module.exports.N8nUploadApp = N8nUploadApp;
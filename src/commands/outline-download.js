@@ -10,6 +10,8 @@
 const path = require('path');
 const OutlineAuthFactory = require('../auth/outline-auth-factory');
 const ConfigManager = require('../utils/config-manager');
+const Logger = require('../utils/logger');
+const SecretScanner = require('../services/secret-scanner');
 const outlineConfigSchema = require('../config/outline-config-schema');
 
 /**
@@ -37,6 +39,18 @@ class OutlineDownloadCommand {
    */
   constructor(args) {
     this.configManager = new ConfigManager(outlineConfigSchema, process.argv.slice(0, 2).concat(args));
+
+    // Secret scan flags are handled here, not by the config schema
+    const restoreMapIndex = args.indexOf('--restore-map');
+    this.secretScan = !args.includes('--no-secret-scan');
+    this.redactSecrets = args.includes('--redact-secrets');
+    this.restoreMap = restoreMapIndex !== -1 ? args[restoreMapIndex + 1] : null;
+
+    // --incremental: only documents changed since the last download (see OutlineService.downloadAllDocuments)
+    this.incremental = args.includes('--incremental');
+
+    // --no-attachments: keep attachment links pointing at the Outline server
+    this.attachments = !args.includes('--no-attachments');
   }
 
   /**
@@ -45,8 +59,11 @@ class OutlineDownloadCommand {
    * Orchestrates the complete download workflow:
    * 1. Load and validate configuration
    * 2. Create OutlineService via factory
-   * 3. Execute download
-   * 4. Report results
+   * 3. Execute download (--incremental: only changed documents, deleted ones and unused attachments removed;
+   *    attachments saved to _attachments/ unless --no-attachments,
+   *    links between documents rewritten to relative paths)
+   * 4. Scan the documents for secrets (--no-secret-scan to skip, --redact-secrets to redact)
+   * 5. Report results
    *
    * @returns {Promise<void>}
    * @throws {Error} If configuration is invalid or download fails
@@ -76,9 +93,18 @@ class OutlineDownloadCommand {
     // Execute download
     const results = await outlineService.downloadAllDocuments(
       config.outputDir,
-      config.collections
+      config.collections,
+      { incremental: this.incremental, attachments: this.attachments }
     );
 
+    if (this.secretScan) {
+      const logger = new Logger({ logLevel: config.logLevel });
+      new SecretScanner(logger).scanAndReport(path.resolve(config.outputDir), {
+        redact: this.redactSecrets,
+        restoreMap: this.restoreMap
+      });
+    }
+
     // Report results
     this._reportResults(results);
   }
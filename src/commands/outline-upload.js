@@ -0,0 +1,176 @@
+/**
+ * Outline Upload Command
+ *
+ * Thin wrapper command that publishes a local Markdown tree to an Outline
+ * collection (docs:generate output, an outline:download folder, or documents
+ * edited by hand). Delegates business logic to OutlineService.publishDirectory().
+ *
+ * @module commands/outline-upload
+ */
+
+const path = require('path');
+const OutlineAuthFactory = require('../auth/outline-auth-factory');
+const ConfigManager = require('../utils/config-manager');
+const outlineConfigSchema = require('../config/outline-config-schema');
+
+/**
+ * Outline Upload Command
+ *
+ * Creates or updates documents in a collection, keeping the folder hierarchy
+ * as parent/child documents. Uses configuration from CLI args, environment
+ * variables, or defaults.
+ */
+class OutlineUploadCommand {
+  /**
+   * Execute the upload command
+   *
+   * @param {string[]} args - Command-line arguments
+   * @returns {Promise<object|undefined>} Publish summary (undefined with --help)
+   */
+  static async execute(args) {
+    const command = new OutlineUploadCommand(args);
+
+    if (command.showHelp) {
+      command.printHelp();
+      return;
+    }
+
+    return await command.run();
+  }
+
+  /**
+   * Creates command instance
+   *
+   * @param {string[]} args - Command-line arguments
+   */
+  constructor(args) {
+    const schemaArgs = [];
+    this.inputDir = null;
+    this.collection = null;
+    this.dryRun = false;
+    this.showHelp = false;
+
+    for (let i = 0; i < args.length; i++) {
+      switch (args[i]) {
+      case '--input':
+        this.inputDir = args[++i];
+        break;
+      case '--collection':
+        this.collection = args[++i];
+        break;
+      case '--dry-run':
+        this.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      default:
+        schemaArgs.push(args[i]);
+      }
+    }
+
+    // Only the schema flags reach ConfigManager: a path must not be read as the positional URL
+    this.configManager = new ConfigManager(outlineConfigSchema, process.argv.slice(0, 2).concat(schemaArgs));
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+Outline Upload Command - Publish a Markdown tree to an Outline collection
+
+USAGE:
+  docs-jana outline:upload --input <dir> --collection <id|name> [options]
+
+DESCRIPTION:
+  Creates or updates one document per .md file, keeping the folder hierarchy
+  as parent/child documents. A folder's own document is <folder>/<folder>.md
+  (outline:download layout) or <folder>/index.md; other folders become empty
+  parent documents titled after the folder.
+
+  Documents are matched by the "id:" frontmatter written by outline:download,
+  then by title under the same parent. The ID of created documents is written
+  back to the files, so publishing again updates instead of duplicating.
+  Documents whose title and content did not change are not updated.
+
+  Relative links to other .md files of the directory are published as links
+  to their Outline documents.
+
+OPTIONS:
+  --input <dir>            Markdown directory (e.g. docs:generate output)
+  --collection <id|name>   Target collection
+  --dry-run                Show what would be created, updated or moved
+  --help, -h               Show this help message
+
+ENVIRONMENT VARIABLES:
+  OUTLINE_URL              Outline URL (or --url)
+  OUTLINE_API_TOKEN        Outline API token (or --api-key)
+
+EXAMPLES:
+  # Publish the workflow docs
+  docs-jana docs:generate --output ./n8n/docs
+  docs-jana outline:upload --input ./n8n/docs --collection "Workflows" --dry-run
+  docs-jana outline:upload --input ./n8n/docs --collection "Workflows"
+
+  # Publish back a downloaded collection after editing it
+  docs-jana outline:upload --input ./docs/engineering --collection Engineering
+`);
+  }
+
+  /**
+   * Run the upload process
+   *
+   * Orchestrates the complete upload workflow:
+   * 1. Load and validate configuration
+   * 2. Create OutlineService via factory
+   * 3. Resolve the target collection
+   * 4. Publish the directory
+   *
+   * @returns {Promise<object>} Publish summary (see OutlineService.publishDirectory())
+   * @throws {Error} If configuration is invalid, the collection is not found or documents failed
+   */
+  async run() {
+    if (!this.inputDir || !this.collection) {
+      throw new Error('outline:upload requires --input <dir> and --collection <id|name> (see --help)');
+    }
+
+    // Load and validate configuration
+    const config = this.configManager.load();
+    const validation = this.configManager.validate();
+
+    if (!validation.valid) {
+      console.error('Configuration Error:');
+      validation.errors.forEach(err => console.error(`  - ${err}`));
+      throw new Error('Invalid configuration');
+    }
+
+    // Create service with all dependencies
+    const outlineService = OutlineAuthFactory.create({
+      apiToken: config.apiToken,
+      baseUrl: config.url,
+      delay: config.delay,
+      verbose: config.verbose,
+      logLevel: config.logLevel,
+      maxRetries: config.maxRetries,
+      timeout: config.timeout
+    });
+
+    const collection = await outlineService.findCollection(this.collection);
+    if (!collection) {
+      throw new Error(`Collection not found: ${this.collection}`);
+    }
+
+    const results = await outlineService.publishDirectory(path.resolve(this.inputDir), collection.id, { dryRun: this.dryRun });
+
+    if (results.failed > 0) {
+      throw new Error(`outline:upload failed for ${results.failed} of ${results.totalDocs} document(s)`);
+    }
+
+    console.log(`\n✅ ${results.totalDocs} document(s) published to "${collection.name}"${this.dryRun ? ' (dry-run)' : ''}`);
+    return results;
+  }
+}
+
+module.exports = OutlineUploadCommand;
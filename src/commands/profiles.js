@@ -0,0 +1,488 @@
+/**
+ * Profiles Command
+ * Manages named environment profiles (dev, staging, prod, client-x...) holding
+ * N8N and Outline endpoints, used by every command through --profile / --from / --to
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const Logger = require('../utils/logger');
+const ProfileManager = require('../utils/profile-manager');
+const SecretStore = require('../utils/secret-store');
+const { HttpClientFactory } = require('../core/factories');
+
+/**
+ * Options of "profiles add" mapped to profile fields
+ * @type {Object<string, string[]>}
+ */
+const ADD_OPTIONS = {
+  '--n8n-url': ['n8n', 'url'],
+  '--n8n-api-key': ['n8n', 'apiKey'],
+  '--n8n-api-key-env': ['n8n', 'apiKeyEnv'],
+  '--outline-url': ['outline', 'url'],
+  '--outline-api-token': ['outline', 'apiToken'],
+  '--outline-api-token-env': ['outline', 'apiTokenEnv']
+};
+
+/**
+ * Subcommand aliases
+ * @type {Object<string, string>}
+ */
+const SUBCOMMANDS = {
+  add: 'add',
+  list: 'list',
+  ls: 'list',
+  test: 'test',
+  remove: 'remove',
+  rm: 'remove'
+};
+
+class ProfilesCommand {
+  /**
+   * Execute the profiles command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new ProfilesApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * Profiles Application
+ */
+class ProfilesApp {
+  /**
+   * @param {Object} [options={}]
+   * @param {ProfileManager} [options.profileManager] - Profile store (default: profiles file)
+   * @param {Function} [options.createHttpClient] - HTTP client factory used by "test"
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    this.profileManager = options.profileManager || new ProfileManager();
+    this.createHttpClient = options.createHttpClient || (config => HttpClientFactory.create(config));
+    this.logger = options.logger || new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+    this.showHelp = false;
+    this.subcommand = null;
+    this.names = [];
+    this.profile = {};
+    this.fromEnv = false;
+    this.force = false;
+    this.json = false;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (ADD_OPTIONS[arg]) {
+        const [service, field] = ADD_OPTIONS[arg];
+        this.profile[service] = { ...this.profile[service], [field]: args[++i] };
+        continue;
+      }
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--var': {
+        const assignment = args[++i] || '';
+        const index = assignment.indexOf('=');
+        if (index <= 0) {
+          throw new Error(`Invalid --var "${assignment}" (use NAME=value)`);
+        }
+        this.profile.variables = { ...this.profile.variables, [assignment.slice(0, index)]: assignment.slice(index + 1) };
+        break;
+      }
+      case '--from-env':
+        this.fromEnv = true;
+        break;
+      case '--force':
+        this.force = true;
+        break;
+      case '--json':
+        this.json = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+
+        if (!this.subcommand) {
+          this.subcommand = arg;
+        } else {
+          this.names.push(arg);
+        }
+      }
+    }
+
+    if (!this.subcommand) {
+      this.showHelp = true;
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+Profiles Command - Named environments for N8N and Outline
+
+USAGE:
+  docs-jana profiles <add|list|test|remove> [name] [options]
+
+DESCRIPTION:
+  A profile is a named environment (dev, staging, prod, client-x...) holding an
+  N8N endpoint, an Outline endpoint, or both. Every command accepts:
+
+    --profile <name>   Use the profile for all connections
+    --from <name>      Read workflows / documents from the profile
+    --to <name>        Write workflows to the profile
+
+  They replace N8N_URL, SOURCE_N8N_URL, TARGET_N8N_URL and OUTLINE_URL (and
+  their keys) from .env for that run.
+
+  Profiles are stored in ${ProfileManager.getDefaultPath()}
+  (owner-only permissions; set JANA_PROFILES_FILE to use another file).
+
+SUBCOMMANDS:
+  add <name>             Add a profile (--force replaces an existing one)
+  list, ls               List profiles (credentials are masked)
+  test [name...]         Test the connections of the given profiles (default: all)
+  remove, rm <name>      Remove a profile
+
+ADD OPTIONS:
+  --n8n-url <url>                  N8N instance URL
+  --n8n-api-key <key>              N8N API key (stored in the profiles file)
+  --n8n-api-key-env <VAR>          Read the N8N API key from VAR at run time instead
+  --outline-url <url>              Outline URL
+  --outline-api-token <token>      Outline API token (stored in the profiles file)
+  --outline-api-token-env <VAR>    Read the Outline API token from VAR at run time instead
+  --var NAME=value                 Template variable for {NAME} placeholders in
+                                   workflows (repeatable, see n8n:render)
+  --from-env                       Fill missing values from the current .env
+                                   (N8N_URL, N8N_API_KEY, OUTLINE_URL, OUTLINE_API_TOKEN)
+  --force                          Replace an existing profile
+
+OTHER OPTIONS:
+  --json                 Print "list" / "test" results as JSON
+  --help, -h             Show this help message
+
+EXAMPLES:
+  # Turn the current .env into a profile
+  docs-jana profiles add dev --from-env
+
+  # Production without storing the key in the file
+  docs-jana profiles add prod --n8n-url https://n8n.example.com --n8n-api-key-env PROD_N8N_API_KEY \\
+    --var API_BASE=https://api.example.com
+
+  docs-jana profiles test
+  docs-jana n8n:download --profile prod
+  docs-jana n8n:upload --from staging --to prod --input ./n8n/workflows
+`);
+  }
+
+  /**
+   * Run the subcommand
+   *
+   * @returns {Promise<object>} Subcommand result
+   * @throws {Error} On unknown subcommands, invalid profiles or failed connection tests
+   */
+  async run() {
+    switch (SUBCOMMANDS[this.subcommand]) {
+    case 'add':
+      return this.add();
+    case 'list':
+      return this.list();
+    case 'test':
+      return await this.test();
+    case 'remove':
+      return this.remove();
+    default:
+      throw new Error(`Unknown profiles subcommand "${this.subcommand}" (use add, list, test or remove)`);
+    }
+  }
+
+  /**
+   * Add a profile
+   *
+   * @returns {{name: string, profile: object}} Stored profile
+   */
+  add() {
+    const name = this._requireName('add');
+    const profile = this.fromEnv ? this._mergeEnv(this.profile) : this.profile;
+
+    const stored = this.profileManager.add(name, profile, { overwrite: this.force });
+    this.logger.success(`✅ Profile "${name}" saved to ${this.profileManager.filePath}`);
+
+    this._printProfile(name, stored);
+    this.logger.info(`💡 Check it with: docs-jana profiles test ${name}`);
+
+    return { name, profile: this._mask(stored) };
+  }
+
+  /**
+   * List profiles
+   *
+   * @returns {Array<object>} Profiles with masked credentials
+   */
+  list() {
+    const profiles = this.profileManager.list().map(({ name, ...profile }) => ({ name, ...this._mask(profile) }));
+
+    if (this.json) {
+      console.log(JSON.stringify(profiles, null, 2));
+      return profiles;
+    }
+
+    if (profiles.length === 0) {
+      this.logger.info(`No profiles in ${this.profileManager.filePath}`);
+      this.logger.info('💡 Add one with: docs-jana profiles add <name> --n8n-url <url> --n8n-api-key <key>');
+      return profiles;
+    }
+
+    console.log(`\nProfiles (${this.profileManager.filePath}):`);
+    for (const { name, ...profile } of profiles) {
+      this._printProfile(name, profile);
+    }
+    console.log('');
+
+    return profiles;
+  }
+
+  /**
+   * Test the connections of profiles
+   *
+   * @returns {Promise<Array<{name: string, service: string, url: ?string, success: boolean, detail: string}>>} Results
+   * @throws {Error} If a connection failed
+   */
+  async test() {
+    const names = this.names.length > 0 ? this.names : this.profileManager.list().map(profile => profile.name);
+
+    if (names.length === 0) {
+      throw new Error(`No profiles to test in ${this.profileManager.filePath}`);
+    }
+
+    const results = [];
+
+    for (const name of names) {
+      const resolved = this.profileManager.resolve(name);
+
+      if (resolved.n8n) {
+        results.push({ name, service: 'n8n', url: resolved.n8n.url, ...await this._testN8n(resolved.n8n) });
+      }
+
+      if (resolved.outline) {
+        results.push({ name, service: 'outline', url: resolved.outline.url, ...await this._testOutline(resolved.outline) });
+      }
+    }
+
+    if (this.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const result of results) {
+        const line = `${result.name} ${result.service} ${result.url}: ${result.detail}`;
+        if (result.success) {
+          this.logger.success(`✅ ${line}`);
+        } else {
+          this.logger.error(`❌ ${line}`);
+        }
+      }
+    }
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} of ${results.length} connection(s) failed`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove profiles
+   *
+   * @returns {{removed: string[]}} Removed profile names
+   * @throws {Error} If a profile does not exist
+   */
+  remove() {
+    this._requireName('remove');
+
+    for (const name of this.names) {
+      // get() throws a helpful error listing the available profiles
+      this.profileManager.get(name);
+    }
+
+    for (const name of this.names) {
+      this.profileManager.remove(name);
+      this.logger.success(`✅ Profile "${name}" removed`);
+    }
+
+    return { removed: [...this.names] };
+  }
+
+  /**
+   * Test an N8N endpoint (lists one workflow)
+   * @private
+   */
+  async _testN8n({ url, apiKey }) {
+    if (!apiKey) {
+      return { success: false, detail: 'no API key (set apiKey or apiKeyEnv)' };
+    }
+
+    try {
+      apiKey = SecretStore.resolveValue(apiKey);
+      const client = this.createHttpClient({
+        baseUrl: url,
+        headers: { 'X-N8N-API-KEY': apiKey, 'Accept': 'application/json' },
+        maxRetries: 1,
+        timeout: 10000
+      });
+      await client.get('/api/v1/workflows?limit=1');
+
+      return { success: true, detail: 'connected' };
+    } catch (error) {
+      return { success: false, detail: this._errorDetail(error) };
+    }
+  }
+
+  /**
+   * Test an Outline endpoint (auth.info)
+   * @private
+   */
+  async _testOutline({ url, apiToken }) {
+    if (!apiToken) {
+      return { success: false, detail: 'no API token (set apiToken or apiTokenEnv)' };
+    }
+
+    try {
+      apiToken = SecretStore.resolveValue(apiToken);
+      const client = this.createHttpClient({
+        baseUrl: url,
+        headers: { 'Authorization': `Bearer ${apiToken}`, 'Accept': 'application/json' },
+        maxRetries: 1,
+        timeout: 10000
+      });
+      const response = await client.post('/api/auth.info', {});
+      const user = response && response.data && response.data.user;
+
+      return { success: true, detail: user && user.name ? `connected as ${user.name}` : 'connected' };
+    } catch (error) {
+      return { success: false, detail: this._errorDetail(error) };
+    }
+  }
+
+  /**
+   * Short error description (HTTP errors include the whole response body)
+   * @private
+   */
+  _errorDetail(error) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return `authentication failed (HTTP ${error.statusCode})`;
+    }
+
+    return error.statusCode ? `HTTP ${error.statusCode}` : error.message;
+  }
+
+  /**
+   * Fill missing endpoint fields from the current environment
+   * @private
+   */
+  _mergeEnv(profile) {
+    const env = this.profileManager.env;
+    const merged = { ...profile };
+
+    const n8nUrl = env.N8N_URL || env.SOURCE_N8N_URL;
+    if (n8nUrl || merged.n8n) {
+      const n8n = { url: n8nUrl, ...merged.n8n };
+      if (!n8n.apiKey && !n8n.apiKeyEnv) {
+        n8n.apiKey = env.N8N_API_KEY || env.SOURCE_N8N_API_KEY;
+      }
+      merged.n8n = n8n;
+    }
+
+    if (env.OUTLINE_URL || merged.outline) {
+      const outline = { url: env.OUTLINE_URL, ...merged.outline };
+      if (!outline.apiToken && !outline.apiTokenEnv) {
+        outline.apiToken = env.OUTLINE_API_TOKEN;
+      }
+      merged.outline = outline;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Replace inline credentials with a masked value
+   * @private
+   */
+  _mask(profile) {
+    const masked = {};
+
+    for (const [service, credentialKey] of [['n8n', 'apiKey'], ['outline', 'apiToken']]) {
+      if (!profile[service]) {
+        continue;
+      }
+
+      masked[service] = { ...profile[service] };
+      // Secret references are not secret: show them as they are
+      if (masked[service][credentialKey] && !SecretStore.isReference(masked[service][credentialKey])) {
+        masked[service][credentialKey] = '***' + String(masked[service][credentialKey]).slice(-3);
+      }
+    }
+
+    if (profile.variables) {
+      masked.variables = { ...profile.variables };
+    }
+
+    return masked;
+  }
+
+  /**
+   * Print one profile (credentials masked)
+   * @private
+   */
+  _printProfile(name, profile) {
+    const masked = this._mask(profile);
+    const credential = (endpoint, key) => endpoint[key] || (endpoint[`${key}Env`] ? `$${endpoint[`${key}Env`]}` : 'none');
+
+    console.log(`\n  ${name}`);
+    if (masked.n8n) {
+      console.log(`    n8n:     ${masked.n8n.url} (key: ${credential(masked.n8n, 'apiKey')})`);
+    }
+    if (masked.outline) {
+      console.log(`    outline: ${masked.outline.url} (token: ${credential(masked.outline, 'apiToken')})`);
+    }
+    if (masked.variables) {
+      console.log(`    vars:    ${Object.entries(masked.variables).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the profile name argument
+   * @private
+   */
+  _requireName(subcommand) {
+    if (this.names.length === 0) {
+      throw new Error(`Missing profile name (usage: docs-jana profiles ${subcommand} <name>)`);
+    }
+
+    return this.names[0];
+  }
+}
+
+module.exports = ProfilesCommand;
+module.exports.ProfilesApp = ProfilesApp;
@@ -0,0 +1,564 @@
+/**
+ * Secrets Command
+ * Manages the encrypted secrets store (API keys and tokens) and moves
+ * plaintext keys out of .env and the profiles file
+ */
+
+const EnvLoader = require('../utils/env-loader');
+EnvLoader.load();
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+const SecretStore = require('../utils/secret-store');
+const SecretScanner = require('../services/secret-scanner');
+const ProfileManager = require('../utils/profile-manager');
+
+/**
+ * .env variables holding credentials (moved by "secrets migrate")
+ * @type {string[]}
+ */
+const SECRET_ENV_VARS = [
+  'N8N_API_KEY',
+  'SOURCE_N8N_API_KEY',
+  'TARGET_N8N_API_KEY',
+  'N8N_PASSWORD',
+  'OUTLINE_API_TOKEN'
+];
+
+/**
+ * Subcommand aliases
+ * @type {Object<string, string>}
+ */
+const SUBCOMMANDS = {
+  set: 'set',
+  get: 'get',
+  list: 'list',
+  ls: 'list',
+  delete: 'delete',
+  rm: 'delete',
+  rotate: 'rotate',
+  migrate: 'migrate',
+  scan: 'scan',
+  restore: 'restore'
+};
+
+class SecretsCommand {
+  /**
+   * Execute the secrets command
+   * @param {string[]} args - Command-line arguments
+   */
+  static async execute(args) {
+    const app = new SecretsApp();
+    app.parseArgs(args);
+
+    if (app.showHelp) {
+      app.printHelp();
+      return;
+    }
+
+    return await app.run();
+  }
+}
+
+/**
+ * Secrets Application
+ */
+class SecretsApp {
+  /**
+   * @param {Object} [options={}]
+   * @param {SecretStore} [options.secretStore] - Secrets store (default: JANA_SECRETS_FILE / ~/.docs-jana/secrets.enc)
+   * @param {ProfileManager} [options.profileManager] - Profiles migrated by "migrate"
+   * @param {Function} [options.prompt] - Hidden input prompt: (message) => Promise<string>
+   * @param {Object} [options.env=process.env] - Environment (JANA_SECRETS_NEW_PASSPHRASE)
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.secretStore = options.secretStore || null;
+    this.profileManager = options.profileManager || new ProfileManager();
+    this.prompt = options.prompt || (message => this._promptHidden(message));
+    this.logger = options.logger || new Logger({
+      logLevel: process.env.LOG_LEVEL || 'info',
+      enableColors: true
+    });
+    this.showHelp = false;
+    this.subcommand = null;
+    this.positional = [];
+    this.reveal = false;
+    this.dryRun = false;
+    this.envFile = path.join(process.cwd(), '.env');
+    this.newPassphrase = false;
+    this.newKeyfile = null;
+    this.keyring = false;
+    this.redact = false;
+    this.restoreMap = null;
+    this.json = false;
+  }
+
+  /**
+   * Parse command-line arguments
+   */
+  parseArgs(args) {
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      switch (arg) {
+      case '--help':
+      case '-h':
+        this.showHelp = true;
+        break;
+      case '--reveal':
+        this.reveal = true;
+        break;
+      case '--dry-run':
+        this.dryRun = true;
+        break;
+      case '--env-file':
+        this.envFile = path.resolve(args[++i]);
+        break;
+      case '--new-passphrase':
+        this.newPassphrase = true;
+        break;
+      case '--new-keyfile':
+        this.newKeyfile = path.resolve(args[++i]);
+        break;
+      case '--keyring':
+        this.keyring = true;
+        break;
+      case '--redact':
+        this.redact = true;
+        break;
+      case '--restore-map':
+        this.restoreMap = args[++i];
+        break;
+      case '--json':
+        this.json = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+
+        if (!this.subcommand) {
+          this.subcommand = arg;
+        } else {
+          this.positional.push(arg);
+        }
+      }
+    }
+
+    if (!this.subcommand) {
+      this.showHelp = true;
+    }
+  }
+
+  /**
+   * Print help message
+   */
+  printHelp() {
+    console.log(`
+Secrets Command - Encrypted storage for API keys and tokens
+
+USAGE:
+  docs-jana secrets <set|get|list|delete|rotate|migrate> [name] [options]
+  docs-jana secrets <scan|restore> <dir> [options]
+
+DESCRIPTION:
+  Keeps API keys and tokens in an AES-256-GCM encrypted file instead of .env:
+    ${SecretStore.getDefaultPath()}
+
+  .env and profiles then hold references that every command resolves:
+    TARGET_N8N_API_KEY=secret:TARGET_N8N_API_KEY
+
+  Encryption key (first available):
+    JANA_SECRETS_PASSPHRASE    Passphrase
+    JANA_SECRETS_KEYFILE       Keyfile path
+    JANA_SECRETS_KEYRING=true  OS keyring (macOS Keychain, Linux secret-tool)
+    secrets.key                Keyfile next to the store, created on first use
+
+SUBCOMMANDS:
+  set <name> [value]     Store a secret (prompts for the value when omitted)
+  get <name>             Show a secret (masked unless --reveal)
+  list, ls               List secret names
+  delete, rm <name>      Delete a secret
+  rotate                 Re-encrypt the store with a new key
+  migrate                Move plaintext keys from .env and profiles into the store
+  scan <dir>             Find secrets pasted into workflows (node parameters) and
+                         Markdown documents; fails when it finds any, unless --redact
+  restore <dir>          Put redacted secrets back from the restore map (before an upload)
+
+OPTIONS:
+  --reveal               get: print the value in clear
+  --new-passphrase       rotate: switch to a new passphrase
+                         (JANA_SECRETS_NEW_PASSPHRASE or prompt)
+  --new-keyfile <path>   rotate: switch to a keyfile (created if missing)
+  --keyring              rotate: move the key to the OS keyring
+  --env-file <path>      migrate: .env file (default: ./.env)
+  --dry-run              migrate: only list what would be moved
+  --redact               scan: replace the secrets with ***REDACTED:<id>*** placeholders
+  --restore-map <file>   scan, restore: restore map of the redacted values
+                         (default: .jana/secret-restore-map.json, local only)
+  --json                 scan: print the findings as JSON (values masked)
+  --help, -h             Show this help message
+
+SECRET SCAN:
+  n8n:download and outline:download scan what they download (--no-secret-scan
+  to skip, --redact-secrets to redact). Rules: known token formats (JWT, AWS,
+  GitHub, Slack, Stripe/OpenAI keys, private keys, Bearer tokens, credentials in
+  URLs), the masking patterns of the logger (password: …, token: …), parameters
+  named like a secret (Authorization, apiKey…) and long high-entropy strings.
+  Findings are reported with their file and JSON path (or line); values are
+  never printed in full. n8n:upload, n8n:apply, n8n:sync and transfers refuse
+  workflows with ***REDACTED:<id>*** placeholders: run secrets restore first.
+
+MIGRATED VARIABLES:
+  ${SECRET_ENV_VARS.join(', ')}
+  and inline apiKey / apiToken of profiles (docs-jana profiles)
+
+EXAMPLES:
+  docs-jana secrets migrate --dry-run
+  docs-jana secrets migrate
+  docs-jana secrets set OUTLINE_API_TOKEN
+  docs-jana secrets scan ./n8n/workflows --redact
+  docs-jana secrets restore ./n8n/workflows
+  JANA_SECRETS_NEW_PASSPHRASE=... docs-jana secrets rotate --new-passphrase
+`);
+  }
+
+  /**
+   * Run the subcommand
+   *
+   * @returns {Promise<object>} Subcommand result
+   * @throws {Error} On unknown subcommands, missing names or a locked store
+   */
+  async run() {
+    const subcommand = SUBCOMMANDS[this.subcommand];
+    if (!subcommand) {
+      throw new Error(`Unknown secrets subcommand "${this.subcommand}" (use set, get, list, delete, rotate, migrate, scan or restore)`);
+    }
+
+    // Scanning files does not need the store
+    if (subcommand === 'scan') {
+      return this.scan();
+    }
+    if (subcommand === 'restore') {
+      return this.restore();
+    }
+
+    await this._openStore();
+
+    switch (subcommand) {
+    case 'set':
+      return await this.set();
+    case 'get':
+      return this.get();
+    case 'list':
+      return this.list();
+    case 'delete':
+      return this.delete();
+    case 'rotate':
+      return await this.rotate();
+    default:
+      return this.migrate();
+    }
+  }
+
+  /**
+   * Store a secret
+   *
+   * @returns {Promise<{name: string, reference: string}>}
+   */
+  async set() {
+    const name = this._requireName('set');
+    const value = this.positional[1] || await this.prompt(`Value of ${name}:`);
+
+    const reference = this.secretStore.set(name, value);
+    this.logger.success(`✅ Secret "${name}" saved (${this.secretStore.describeKeySource()})`);
+    this.logger.info(`💡 Use it in .env or profiles as: ${reference}`);
+
+    return { name, reference };
+  }
+
+  /**
+   * Show a secret
+   *
+   * @returns {{name: string, value: string}} Value (masked unless --reveal)
+   */
+  get() {
+    const name = this._requireName('get');
+    const secret = this.secretStore.get(name);
+    const value = this.reveal ? secret : `***${secret.slice(-3)}`;
+
+    console.log(value);
+    return { name, value };
+  }
+
+  /**
+   * List secret names
+   *
+   * @returns {string[]} Names
+   */
+  list() {
+    const names = this.secretStore.list();
+
+    if (names.length === 0) {
+      this.logger.info(`No secrets in ${this.secretStore.filePath}`);
+    } else {
+      console.log(`\nSecrets (${this.secretStore.filePath}, ${this.secretStore.describeKeySource()}):`);
+      names.forEach(name => console.log(`  ${name}`));
+      console.log('');
+    }
+
+    return names;
+  }
+
+  /**
+   * Delete a secret
+   *
+   * @returns {{name: string, deleted: boolean}}
+   */
+  delete() {
+    const name = this._requireName('delete');
+    const deleted = this.secretStore.delete(name);
+
+    if (deleted) {
+      this.logger.success(`✅ Secret "${name}" deleted`);
+    } else {
+      this.logger.warn(`⚠️  Secret "${name}" not found`);
+    }
+
+    return { name, deleted };
+  }
+
+  /**
+   * Re-encrypt the store with a new key
+   *
+   * @returns {Promise<{secrets: number, keySource: string}>}
+   */
+  async rotate() {
+    const source = {};
+
+    if (this.newPassphrase) {
+      source.passphrase = this.env.JANA_SECRETS_NEW_PASSPHRASE || await this._promptNewPassphrase();
+    } else if (this.newKeyfile) {
+      source.keyfile = this.newKeyfile;
+    } else if (this.keyring) {
+      source.keyring = true;
+    }
+
+    const result = this.secretStore.rotate(source);
+    this.logger.success(`✅ ${result.secrets} secret(s) re-encrypted (${result.keySource})`);
+
+    if (source.passphrase) {
+      this.logger.info('💡 Use the new passphrase from now on: JANA_SECRETS_PASSPHRASE');
+    } else if (source.keyfile) {
+      this.logger.info(`💡 Use the new keyfile from now on: JANA_SECRETS_KEYFILE=${source.keyfile}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Move plaintext keys of .env and profiles into the store
+   *
+   * @returns {{moved: Array<{source: string, name: string}>, dryRun: boolean}} Moved secrets
+   */
+  migrate() {
+    const moved = [];
+
+    // .env
+    if (fs.existsSync(this.envFile)) {
+      const lines = fs.readFileSync(this.envFile, 'utf8').split('\n');
+      let changed = false;
+
+      lines.forEach((line, index) => {
+        const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/);
+        if (!match || !SECRET_ENV_VARS.includes(match[1])) {
+          return;
+        }
+
+        const value = match[2].replace(/^(['"])(.*)\1$/, '$2');
+        if (!value || SecretStore.isReference(value)) {
+          return;
+        }
+
+        moved.push({ source: path.basename(this.envFile), name: match[1] });
+        if (!this.dryRun) {
+          lines[index] = `${match[1]}=${this.secretStore.set(match[1], value)}`;
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        fs.writeFileSync(this.envFile, lines.join('\n'), 'utf8');
+      }
+    }
+
+    // Profiles
+    const { profiles } = this.profileManager.load();
+    let profilesChanged = false;
+
+    for (const [profileName, profile] of Object.entries(profiles)) {
+      for (const [service, credentialKey] of [['n8n', 'apiKey'], ['outline', 'apiToken']]) {
+        const value = profile[service] && profile[service][credentialKey];
+        if (!value || SecretStore.isReference(value)) {
+          continue;
+        }
+
+        const name = `profile.${profileName}.${service}.${credentialKey}`;
+        moved.push({ source: `profile ${profileName}`, name });
+        if (!this.dryRun) {
+          profile[service][credentialKey] = this.secretStore.set(name, value);
+          profilesChanged = true;
+        }
+      }
+    }
+
+    if (profilesChanged) {
+      this.profileManager.save();
+    }
+
+    if (moved.length === 0) {
+      this.logger.info('No plaintext keys found in .env or profiles');
+    } else {
+      const verb = this.dryRun ? 'Would move' : 'Moved';
+      moved.forEach(({ source, name }) => this.logger.info(`   ${source}: ${name}`));
+      this.logger.success(`✅ ${verb} ${moved.length} key(s) to ${this.secretStore.filePath}`);
+
+      if (!this.dryRun) {
+        this.logger.info(`🔒 Encryption key: ${this.secretStore.describeKeySource()}`);
+      }
+    }
+
+    return { moved, dryRun: this.dryRun };
+  }
+
+  /**
+   * Find secrets in a directory of workflows / Markdown documents
+   *
+   * @returns {{files: number, findings: Array<Object>, redaction: Object|null}} Scan result
+   * @throws {Error} If secrets were found and not redacted
+   */
+  scan() {
+    const dir = this._requireDir('scan');
+    const scanner = new SecretScanner(this.logger);
+    let result;
+
+    if (this.json) {
+      result = { ...scanner.scanDirectory(dir), redaction: null };
+      if (this.redact) {
+        result.redaction = scanner.redact(dir, result.findings, { restoreMap: this.restoreMap });
+      }
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      result = scanner.scanAndReport(dir, { redact: this.redact, restoreMap: this.restoreMap });
+    }
+
+    if (result.findings.length > 0 && !this.redact) {
+      throw new Error(`secrets scan found ${result.findings.length} likely secret(s) in ${dir}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Put redacted secrets back from the restore map
+   *
+   * @returns {{restored: number, files: number, missing: string[]}} Restore result
+   */
+  restore() {
+    const dir = this._requireDir('restore');
+    const result = new SecretScanner(this.logger).restore(dir, { restoreMap: this.restoreMap });
+
+    this.logger.success(`✅ Restored ${result.restored} secret(s) in ${result.files} file(s)`);
+    if (result.missing.length > 0) {
+      this.logger.warn(`⚠️  ${result.missing.length} placeholder(s) not in the restore map: ${result.missing.join(', ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Create the store and unlock it (prompting for the passphrase when needed)
+   * @private
+   */
+  async _openStore() {
+    if (!this.secretStore) {
+      this.secretStore = new SecretStore({ env: this.env });
+    }
+
+    try {
+      this.secretStore.load();
+    } catch (error) {
+      if (!error.message.includes('is locked') || !process.stdin.isTTY) {
+        throw error;
+      }
+
+      this.secretStore = new SecretStore({
+        env: this.env,
+        filePath: this.secretStore.filePath,
+        passphrase: await this.prompt('Secrets passphrase:')
+      });
+      this.secretStore.load();
+    }
+  }
+
+  /**
+   * Ask a new passphrase twice
+   * @private
+   */
+  async _promptNewPassphrase() {
+    const passphrase = await this.prompt('New passphrase:');
+    const confirmation = await this.prompt('Repeat the new passphrase:');
+
+    if (!passphrase || passphrase !== confirmation) {
+      throw new Error('Passphrases are empty or do not match');
+    }
+
+    return passphrase;
+  }
+
+  /**
+   * Hidden input prompt (reads stdin when it is not a terminal)
+   * @private
+   */
+  async _promptHidden(message) {
+    if (!process.stdin.isTTY) {
+      return fs.readFileSync(0, 'utf8').trim();
+    }
+
+    const inquirer = (await import('inquirer')).default;
+    const answer = await inquirer.prompt([{ type: 'password', name: 'value', message, mask: '*' }]);
+
+    return answer.value;
+  }
+
+  /**
+   * Get the directory argument
+   * @private
+   */
+  _requireDir(subcommand) {
+    if (this.positional.length === 0) {
+      throw new Error(`Missing directory (usage: docs-jana secrets ${subcommand} <dir>)`);
+    }
+
+    return this.positional[0];
+  }
+
+  /**
+   * Get the secret name argument
+   * @private
+   */
+  _requireName(subcommand) {
+    if (this.positional.length === 0) {
+      throw new Error(`Missing secret name (usage: docs-jana secrets ${subcommand} <name>)`);
+    }
+
+    return this.positional[0];
+  }
+}
+
+module.exports = SecretsCommand;
+module.exports.SecretsApp = SecretsApp;
+module.exports.SECRET_ENV_VARS = SECRET_ENV_VARS;
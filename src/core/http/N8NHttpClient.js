@@ -40,6 +40,13 @@ const HttpClient = require('./HttpClient');
  * @property {Object} [settings] - Workflow settings
  */
 
+/**
+ * @typedef {Object} Credential
+ * @property {string} id - Credential unique ID
+ * @property {string} name - Credential name
+ * @property {string} type - Credential type (e.g., httpHeaderAuth)
+ */
+
 /**
  * @typedef {Object} Tag
  * @property {string} id - Tag unique ID
@@ -81,6 +88,7 @@ class N8NHttpClient extends HttpClient {
       workflowsDeleted: 0,
       tagsFetched: 0,
       tagsCreated: 0,
+      credentialsFetched: 0,
     };
   }
 
@@ -232,6 +240,75 @@ class N8NHttpClient extends HttpClient {
     this.logger.info('[N8NHttpClient] Workflow deleted successfully');
   }
 
+  /**
+   * Activate a workflow (registers its triggers and webhooks)
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Workflow>} Activated workflow
+   * @throws {Error} If activation fails (no trigger node, webhook path in use...)
+   *
+   * @example
+   * await client.activateWorkflow('123');
+   */
+  async activateWorkflow(workflowId) {
+    if (!workflowId) {
+      throw new Error('N8NHttpClient.activateWorkflow: workflowId is required');
+    }
+
+    this.logger.info(`[N8NHttpClient] Activating workflow ID: ${workflowId}`);
+    const workflow = await this.post(`/api/v1/workflows/${workflowId}/activate`, {});
+
+    this.n8nStats.workflowsUpdated++;
+    return workflow;
+  }
+
+  /**
+   * Deactivate a workflow (stops its triggers)
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Workflow>} Deactivated workflow
+   * @throws {Error} If deactivation fails or workflow not found
+   *
+   * @example
+   * await client.deactivateWorkflow('123');
+   */
+  async deactivateWorkflow(workflowId) {
+    if (!workflowId) {
+      throw new Error('N8NHttpClient.deactivateWorkflow: workflowId is required');
+    }
+
+    this.logger.info(`[N8NHttpClient] Deactivating workflow ID: ${workflowId}`);
+    const workflow = await this.post(`/api/v1/workflows/${workflowId}/deactivate`, {});
+
+    this.n8nStats.workflowsUpdated++;
+    return workflow;
+  }
+
+  /**
+   * Fetch all credentials from N8N instance (metadata only, no secrets)
+   *
+   * Requires an N8N version whose public API exposes credential listing.
+   *
+   * @returns {Promise<Array<Credential>>} List of credentials
+   * @throws {Error} If request fails or endpoint is not available
+   *
+   * @example
+   * const credentials = await client.getCredentials();
+   * console.log(`Found ${credentials.length} credentials`);
+   */
+  async getCredentials() {
+    this.logger.info('[N8NHttpClient] Fetching credentials...');
+
+    const response = await this.get('/api/v1/credentials');
+
+    // N8N API returns { data: [...credentials] }
+    const credentials = response.data || response || [];
+    this.n8nStats.credentialsFetched += credentials.length;
+    this.logger.info(`[N8NHttpClient] ${credentials.length} credentials found`);
+
+    return credentials;
+  }
+
   /**
    * Fetch all tags from N8N instance
    *
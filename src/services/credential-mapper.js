@@ -0,0 +1,363 @@
+/**
+ * CredentialMapper - Maps credential references between N8N instances
+ *
+ * Credentials are not migrated together with workflows: each N8N instance has
+ * its own credential IDs. This service lists the credential references used by
+ * source workflow nodes, matches them to credentials that already exist on the
+ * target instance and rewrites `node.credentials` before upload.
+ *
+ * Features:
+ * - Extract credential references (type, name, id) from workflow nodes
+ * - Match source credentials to target credentials by name and type
+ * - Explicit mapping file for credentials whose names differ between instances
+ * - Deep cloning to avoid mutating original workflows
+ * - Report unmatched credentials (consumed by the credential-validator plugin)
+ *
+ * Mapping file format (keys and values may be credential names or IDs;
+ * the "*" type applies to any credential type):
+ *
+ * {
+ *   "httpHeaderAuth": { "Source API Key": "Target API Key" },
+ *   "*": { "Postgres (staging)": "Postgres (production)" }
+ * }
+ *
+ * @example
+ * const mapper = new CredentialMapper(logger);
+ * await mapper.loadMappingFile('./credential-mapping.json');
+ * mapper.buildMapping(mapper.extractCredentialReferences(sourceWorkflows), targetCredentials);
+ * const ready = mapper.remapWorkflowCredentials(workflow);
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * Wildcard type used in mapping files to match any credential type
+ * @type {string}
+ */
+const ANY_TYPE = '*';
+
+class CredentialMapper {
+  /**
+   * Creates an instance of CredentialMapper
+   *
+   * @param {Logger} logger - Logger instance for debug/info messages
+   */
+  constructor(logger) {
+    this.logger = logger;
+
+    // Explicit mappings: Map<type, Map<sourceNameOrId, targetNameOrId>>
+    this.explicitMappings = new Map();
+
+    // Resolved mappings: Map<referenceKey, { id, name, type, via }>
+    this.mapping = new Map();
+
+    // Source references without a target credential
+    this.unmatched = [];
+  }
+
+  /**
+   * Builds the lookup key for a credential reference
+   *
+   * @param {string} type - Credential type (e.g. 'httpHeaderAuth')
+   * @param {{id?: string, name?: string}} ref - Credential reference
+   * @returns {string} Key in the form "type:id" (or "type:name:<name>" when there is no ID)
+   */
+  static referenceKey(type, ref) {
+    return ref.id ? `${type}:${ref.id}` : `${type}:name:${ref.name}`;
+  }
+
+  /**
+   * Normalises a node credential entry to { id, name }
+   *
+   * Older exports store only the credential name as a string.
+   *
+   * @param {object|string} value - Value of node.credentials[type]
+   * @returns {{id: (string|null), name: (string|null)}} Normalised reference
+   */
+  static normalizeReference(value) {
+    if (typeof value === 'string') {
+      return { id: null, name: value };
+    }
+
+    return {
+      id: value && value.id ? String(value.id) : null,
+      name: value && value.name ? value.name : null
+    };
+  }
+
+  /**
+   * Lists the unique credential references used by the given workflows
+   *
+   * @param {Array<object>} workflows - Workflows to scan
+   * @returns {Array<{type: string, id: (string|null), name: (string|null), workflows: string[]}>}
+   *   Unique references, with the names of the workflows that use each one
+   *
+   * @example
+   * const refs = mapper.extractCredentialReferences(workflows);
+   * // [{ type: 'httpHeaderAuth', id: '12', name: 'My API', workflows: ['Sync Orders'] }]
+   */
+  extractCredentialReferences(workflows) {
+    const references = new Map();
+
+    for (const workflow of workflows) {
+      for (const node of workflow.nodes || []) {
+        if (!node.credentials || typeof node.credentials !== 'object') {
+          continue;
+        }
+
+        for (const [type, value] of Object.entries(node.credentials)) {
+          const ref = CredentialMapper.normalizeReference(value);
+          if (!ref.id && !ref.name) {
+            continue;
+          }
+
+          const key = CredentialMapper.referenceKey(type, ref);
+          if (!references.has(key)) {
+            references.set(key, { type, id: ref.id, name: ref.name, workflows: [] });
+          }
+
+          const entry = references.get(key);
+          if (!entry.workflows.includes(workflow.name)) {
+            entry.workflows.push(workflow.name);
+          }
+        }
+      }
+    }
+
+    this.logger.debug(`Found ${references.size} unique credential references`);
+    return Array.from(references.values());
+  }
+
+  /**
+   * Loads explicit mappings from a JSON file
+   *
+   * @param {string} filePath - Path to the mapping file
+   * @returns {Promise<number>} Number of explicit mappings loaded
+   * @throws {Error} If the file cannot be read or has an invalid format
+   */
+  async loadMappingFile(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load credential mapping file ${filePath}: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Invalid credential mapping file ${filePath}: expected an object keyed by credential type`);
+    }
+
+    let count = 0;
+    for (const [type, entries] of Object.entries(data)) {
+      if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error(`Invalid credential mapping for type "${type}": expected { "source": "target" }`);
+      }
+
+      for (const [source, target] of Object.entries(entries)) {
+        this.addExplicitMapping(type, source, target);
+        count++;
+      }
+    }
+
+    this.logger.info(`Loaded ${count} explicit credential mappings from ${filePath}`);
+    return count;
+  }
+
+  /**
+   * Adds an explicit mapping for a credential whose name differs on the target
+   *
+   * @param {string} type - Credential type, or '*' for any type
+   * @param {string} source - Source credential name or ID
+   * @param {string} target - Target credential name or ID
+   * @throws {TypeError} If source or target is not a non-empty string
+   */
+  addExplicitMapping(type, source, target) {
+    if (typeof source !== 'string' || !source || typeof target !== 'string' || !target) {
+      throw new TypeError(`Credential mapping entries must be non-empty strings (type "${type}")`);
+    }
+
+    if (!this.explicitMappings.has(type)) {
+      this.explicitMappings.set(type, new Map());
+    }
+
+    this.explicitMappings.get(type).set(source, target);
+  }
+
+  /**
+   * Resolves source references against the credentials available on the target
+   *
+   * Matching order for each reference:
+   * 1. Explicit mapping (same type first, then '*'), by source ID then source name
+   * 2. Target credential with the same name and type
+   *
+   * @param {Array<object>} sourceReferences - Result of extractCredentialReferences
+   * @param {Array<{id: string, name: string, type: string}>} targetCredentials - Target credentials
+   * @returns {{matched: Array<object>, unmatched: Array<object>}} Match result
+   */
+  buildMapping(sourceReferences, targetCredentials) {
+    this.mapping = new Map();
+    this.unmatched = [];
+
+    const matched = [];
+
+    for (const ref of sourceReferences) {
+      const candidates = targetCredentials.filter(cred => cred.type === ref.type);
+      let target = null;
+      let via = null;
+
+      const explicit = this._findExplicitTarget(ref);
+      if (explicit) {
+        target = candidates.find(cred => String(cred.id) === explicit) ||
+          candidates.find(cred => cred.name === explicit) ||
+          null;
+        via = 'explicit';
+
+        if (!target) {
+          this.logger.warn(`Explicit credential mapping for "${ref.name || ref.id}" points to unknown ${ref.type} credential: ${explicit}`);
+        }
+      }
+
+      if (!target && ref.name) {
+        target = candidates.find(cred => cred.name === ref.name) || null;
+        via = 'name';
+      }
+
+      if (target) {
+        const resolved = { id: String(target.id), name: target.name, type: ref.type, via };
+        this.mapping.set(CredentialMapper.referenceKey(ref.type, ref), resolved);
+        matched.push({ source: ref, target: resolved });
+        this.logger.debug(`  Credential mapped (${via}): ${ref.type} "${ref.name}" -> ${resolved.id}`);
+      } else {
+        this.unmatched.push(ref);
+        this.logger.warn(`No target credential found for ${ref.type} "${ref.name || ref.id}"`);
+      }
+    }
+
+    this.logger.info(`Credentials mapped: ${matched.length}, unmatched: ${this.unmatched.length}`);
+    return { matched, unmatched: this.unmatched };
+  }
+
+  /**
+   * Returns the target credential for a source reference
+   *
+   * @param {string} type - Credential type
+   * @param {object|string} value - Value of node.credentials[type]
+   * @returns {{id: string, name: string}|null} Target credential or null if unmatched
+   */
+  resolve(type, value) {
+    const ref = CredentialMapper.normalizeReference(value);
+    const resolved = this.mapping.get(CredentialMapper.referenceKey(type, ref));
+    return resolved ? { id: resolved.id, name: resolved.name } : null;
+  }
+
+  /**
+   * Rewrites node credentials with the target instance IDs
+   *
+   * Unmatched references are left untouched.
+   *
+   * @param {object} workflow - Workflow to process
+   * @returns {object} Workflow with remapped credentials (deep cloned)
+   */
+  remapWorkflowCredentials(workflow) {
+    const clone = this._deepClone(workflow);
+
+    for (const node of clone.nodes || []) {
+      if (!node.credentials || typeof node.credentials !== 'object') {
+        continue;
+      }
+
+      for (const [type, value] of Object.entries(node.credentials)) {
+        const target = this.resolve(type, value);
+        if (target) {
+          node.credentials[type] = target;
+        }
+      }
+    }
+
+    return clone;
+  }
+
+  /**
+   * Lists the unmatched credential references used by a workflow
+   *
+   * @param {object} workflow - Workflow to check
+   * @returns {Array<{nodeName: string, type: string, id: (string|null), name: (string|null)}>} Unmatched references
+   */
+  findUnmatched(workflow) {
+    const unmatched = [];
+
+    for (const node of workflow.nodes || []) {
+      if (!node.credentials || typeof node.credentials !== 'object') {
+        continue;
+      }
+
+      for (const [type, value] of Object.entries(node.credentials)) {
+        if (!this.resolve(type, value)) {
+          const ref = CredentialMapper.normalizeReference(value);
+          unmatched.push({ nodeName: node.name, type, id: ref.id, name: ref.name });
+        }
+      }
+    }
+
+    return unmatched;
+  }
+
+  /**
+   * Derives the list of credentials known to an instance from its workflows
+   *
+   * Used as a fallback when the instance API does not expose credential listing.
+   *
+   * @param {Array<object>} workflows - Workflows of the instance
+   * @returns {Array<{id: string, name: string, type: string}>} Credentials referenced by the workflows
+   */
+  collectCredentialsFromWorkflows(workflows) {
+    return this.extractCredentialReferences(workflows)
+      .filter(ref => ref.id && ref.name)
+      .map(ref => ({ id: ref.id, name: ref.name, type: ref.type }));
+  }
+
+  /**
+   * Finds the explicit target (name or ID) configured for a source reference
+   *
+   * @private
+   * @param {{type: string, id: (string|null), name: (string|null)}} ref - Source reference
+   * @returns {string|null} Target name or ID
+   */
+  _findExplicitTarget(ref) {
+    for (const type of [ref.type, ANY_TYPE]) {
+      const entries = this.explicitMappings.get(type);
+      if (!entries) {
+        continue;
+      }
+
+      if (ref.id && entries.has(ref.id)) {
+        return entries.get(ref.id);
+      }
+
+      if (ref.name && entries.has(ref.name)) {
+        return entries.get(ref.name);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Deep clones an object using JSON serialization
+   *
+   * @private
+   * @param {object} obj - Object to clone
+   * @returns {object} Deep cloned object
+   * @throws {Error} If object cannot be cloned
+   */
+  _deepClone(obj) {
+    try {
+      return JSON.parse(JSON.stringify(obj));
+    } catch (error) {
+      this.logger.error(`Failed to deep clone object: ${error.message}`);
+      throw new Error(`Cannot clone workflow: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CredentialMapper;
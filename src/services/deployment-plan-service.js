@@ -0,0 +1,507 @@
+/**
+ * Deployment Plan Service - Reviewable plans for uploads and transfers
+ *
+ * A dry-run (n8n:upload --dry-run --plan-out, TransferManager with planFile)
+ * writes a plan listing the exact action for each workflow and a field-level
+ * summary of what changes on the target. Reviewers approve the plan; apply
+ * (n8n:apply --plan, TransferManager with applyPlan) then executes that plan
+ * and refuses to run when the target changed in between.
+ *
+ * Plan Structure:
+ * {
+ *   version: 1,
+ *   kind: 'upload' | 'transfer',
+ *   createdAt: '2025-10-18T12:00:00.000Z',
+ *   source: { inputDir, folder } | { url },
+ *   target: { url },
+ *   options: { force, skipRemap, syncTags } | { mode, mirrorAction, filters, ... },
+ *   summary: { create, update, skip, delete, archive, total },
+ *   workflows: [{
+ *     name, action: 'create' | 'update' | 'skip' | 'delete' | 'archive', reason,
+ *     source: { id, versionId, updatedAt } | null,
+ *     target: { id, name, versionId, updatedAt } | null,
+ *     namesakes: ['id'],                 // create only: same-name target workflows not matched
+ *     changes: [{ path, change, before, after }],
+ *     remapReferences: [{ workflowId, name }],
+ *     tags: ['name'],                    // tags synced after the upload
+ *     workflow: { ... }                  // upload only: the rendered workflow to push
+ *   }]
+ * }
+ *
+ * Drift check: every planned target workflow must still exist with the same
+ * versionId and updatedAt, no new workflow may have taken the name of a
+ * planned creation and (transfers) the source workflows must be unchanged.
+ *
+ * @example
+ * const planner = new DeploymentPlanService(logger);
+ * const plan = planner.create({ kind: 'upload', target: url, source: { inputDir } });
+ * planner.addWorkflow(plan, { name, action: 'create', workflow }, targetWorkflows);
+ * await planner.save(plan, 'plan.json');
+ *
+ * const approved = await planner.load('plan.json', 'upload');
+ * planner.assertNoDrift(approved, await workflowService.listWorkflows());
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const WorkflowDiffService = require('./workflow-diff-service');
+const { cell } = require('../utils/markdown');
+
+/**
+ * Plan file format version
+ * @type {number}
+ */
+const PLAN_VERSION = 1;
+
+/**
+ * Actions of a plan item
+ * @enum {string}
+ */
+const PlanAction = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip',
+  DELETE: 'delete',
+  ARCHIVE: 'archive'
+};
+
+/**
+ * Plan kinds (which command applies the plan)
+ * @type {string[]}
+ */
+const PLAN_KINDS = ['upload', 'transfer'];
+
+/**
+ * Supported output formats
+ * @type {string[]}
+ */
+const FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Symbols of each action in text and Markdown output
+ * @type {Object<string, string>}
+ */
+const ACTION_SYMBOLS = {
+  create: '+',
+  update: '~',
+  skip: '=',
+  delete: '-',
+  archive: '-'
+};
+
+class DeploymentPlanService {
+  /**
+   * @param {Logger} logger - Logger instance for debug messages
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.differ = new WorkflowDiffService(logger);
+  }
+
+  /**
+   * Create an empty plan
+   *
+   * @param {Object} params
+   * @param {string} params.kind - 'upload' or 'transfer'
+   * @param {string} params.target - Target N8N URL
+   * @param {Object} [params.source={}] - Where the workflows come from
+   * @param {Object} [params.options={}] - Options the plan must be applied with
+   * @returns {Object} Plan without workflows
+   * @throws {Error} If the kind is unknown
+   */
+  create({ kind, target, source = {}, options = {} }) {
+    if (!PLAN_KINDS.includes(kind)) {
+      throw new Error(`Unknown plan kind "${kind}" (expected: ${PLAN_KINDS.join(', ')})`);
+    }
+
+    return {
+      version: PLAN_VERSION,
+      kind,
+      createdAt: new Date().toISOString(),
+      source,
+      target: { url: target },
+      options,
+      summary: this._emptySummary(),
+      workflows: []
+    };
+  }
+
+  /**
+   * Add a workflow to the plan
+   *
+   * @param {Object} plan - Plan from create()
+   * @param {Object} item - Plan item
+   * @param {string} item.name - Workflow name
+   * @param {string} item.action - One of PlanAction
+   * @param {string} [item.reason] - Why this action was chosen
+   * @param {Object} [item.source] - Source workflow (id, versionId and updatedAt are kept)
+   * @param {Object} [item.target] - Matched target workflow (id, name, versionId and updatedAt are kept)
+   * @param {Array<Object>} [item.changes] - Field changes (see describeChanges)
+   * @param {Array<Object>} [item.remapReferences] - Sub-workflow references remapped on apply
+   * @param {string[]} [item.tags] - Tags synced after the upload
+   * @param {Object} [item.workflow] - Workflow pushed on apply (upload plans)
+   * @param {Array<Object>} [targetWorkflows=[]] - Current target workflows (namesakes of created workflows)
+   * @returns {Object} Added plan item
+   * @throws {Error} If the action is unknown
+   */
+  addWorkflow(plan, item, targetWorkflows = []) {
+    if (!Object.values(PlanAction).includes(item.action)) {
+      throw new Error(`Unknown plan action "${item.action}" for workflow "${item.name}"`);
+    }
+
+    const entry = {
+      name: item.name,
+      action: item.action,
+      reason: item.reason || null,
+      source: this._version(item.source),
+      target: item.target ? { ...this._version(item.target), name: item.target.name || null } : null,
+      changes: item.changes || [],
+      remapReferences: item.remapReferences || [],
+      tags: item.tags || []
+    };
+
+    if (item.action === PlanAction.CREATE) {
+      entry.namesakes = targetWorkflows
+        .filter(workflow => workflow.name === item.name)
+        .map(workflow => String(workflow.id));
+    }
+
+    if (item.workflow) {
+      entry.workflow = item.workflow;
+    }
+
+    plan.workflows.push(entry);
+    plan.summary[item.action]++;
+    plan.summary.total++;
+    return entry;
+  }
+
+  /**
+   * Field-level changes a push of `head` makes to `base`
+   *
+   * Uses WorkflowDiffService; node changes are reported under
+   * nodes["<name>"], connections as "<from> → <to>". The active flag is left
+   * out: uploads and transfers do not change it.
+   *
+   * @param {Object} base - Current target workflow
+   * @param {Object} head - Workflow that will be pushed
+   * @returns {Array<{path: string, change: string, before: *, after: *}>} Changes
+   */
+  describeChanges(base, head) {
+    const diff = this.differ.diff(base, head);
+    const changes = diff.workflow.filter(change => change.path !== 'active');
+    const nodePath = node => `nodes["${node.name}"]`;
+
+    for (const node of diff.nodes.added) {
+      changes.push({ path: nodePath(node), change: 'added', before: null, after: node.type });
+    }
+    for (const node of diff.nodes.removed) {
+      changes.push({ path: nodePath(node), change: 'removed', before: node.type, after: null });
+    }
+    for (const node of diff.nodes.modified) {
+      if (node.renamedFrom) {
+        changes.push({ path: `${nodePath(node)}.name`, change: 'changed', before: node.renamedFrom, after: node.name });
+      }
+      for (const change of node.changes.filter(item => item.path !== 'name')) {
+        changes.push({ ...change, path: `${nodePath(node)}.${change.path}` });
+      }
+    }
+    for (const credential of diff.credentials) {
+      changes.push({
+        path: `nodes["${credential.node}"].credentials.${credential.type}`,
+        change: credential.change,
+        before: credential.before,
+        after: credential.after
+      });
+    }
+    for (const edge of diff.connections.added) {
+      changes.push({ path: 'connections', change: 'added', before: null, after: `${edge.from} → ${edge.to}` });
+    }
+    for (const edge of diff.connections.removed) {
+      changes.push({ path: 'connections', change: 'removed', before: `${edge.from} → ${edge.to}`, after: null });
+    }
+
+    return changes.concat(diff.settings);
+  }
+
+  /**
+   * Save a plan as JSON
+   *
+   * @param {Object} plan - Plan
+   * @param {string} filePath - Plan file
+   * @returns {Promise<string>} Absolute path of the saved file
+   */
+  async save(plan, filePath) {
+    const absolutePath = path.resolve(filePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, JSON.stringify(plan, null, 2), 'utf8');
+    this.logger.debug(`Deployment plan saved to ${absolutePath}`);
+    return absolutePath;
+  }
+
+  /**
+   * Load and validate a plan file
+   *
+   * @param {string} filePath - Plan file
+   * @param {string} [kind] - Expected kind (refuses plans made by the other command)
+   * @returns {Promise<Object>} Plan
+   * @throws {Error} If the file is missing, invalid or of another kind or version
+   */
+  async load(filePath, kind = null) {
+    let plan;
+    try {
+      plan = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read deployment plan ${filePath}: ${error.message}`);
+    }
+
+    if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.workflows) || !plan.target?.url) {
+      throw new Error(`Invalid deployment plan ${filePath} (expected version ${PLAN_VERSION} with target and workflows)`);
+    }
+
+    if (kind && plan.kind !== kind) {
+      throw new Error(`Deployment plan ${filePath} is for ${plan.kind}, not ${kind}`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Refuse a plan made for another instance
+   *
+   * @param {Object} plan - Plan
+   * @param {string} role - 'target' or 'source'
+   * @param {string} url - URL the plan is about to be applied to
+   * @throws {Error} If the URLs differ (trailing slashes ignored)
+   */
+  assertUrl(plan, role, url) {
+    const normalize = value => String(value || '').replace(/\/+$/, '');
+    const planned = plan[role]?.url;
+
+    if (normalize(planned) !== normalize(url)) {
+      throw new Error(`Deployment plan was made for ${role} ${planned}, not ${url}`);
+    }
+  }
+
+  /**
+   * Compare a plan with the current state of the instances
+   *
+   * @param {Object} plan - Plan
+   * @param {Array<Object>} targetWorkflows - Current target workflows (id, name, versionId, updatedAt)
+   * @param {Array<Object>|null} [sourceWorkflows=null] - Current source workflows (checked when given)
+   * @returns {Array<{name: string, reason: string}>} Differences (empty when the plan can be applied)
+   */
+  checkDrift(plan, targetWorkflows, sourceWorkflows = null) {
+    const drift = [];
+    const targetById = new Map(targetWorkflows.map(workflow => [String(workflow.id), workflow]));
+    const sourceById = new Map((sourceWorkflows || []).map(workflow => [String(workflow.id), workflow]));
+
+    for (const item of plan.workflows) {
+      if (item.target) {
+        const reason = this._versionDrift(item.target, targetById.get(item.target.id), 'target');
+        if (reason) {
+          drift.push({ name: item.name, reason });
+        }
+      }
+
+      if (item.action === PlanAction.CREATE) {
+        const namesakes = new Set(item.namesakes || []);
+        const created = targetWorkflows.find(workflow =>
+          workflow.name === item.name && !namesakes.has(String(workflow.id)));
+        if (created) {
+          drift.push({ name: item.name, reason: `created on target since the plan (${created.id})` });
+        }
+      }
+
+      if (sourceWorkflows && item.source) {
+        const reason = this._versionDrift(item.source, sourceById.get(item.source.id), 'source');
+        if (reason) {
+          drift.push({ name: item.name, reason });
+        }
+      }
+    }
+
+    this.logger.debug(`Drift check of ${plan.workflows.length} planned workflows: ${drift.length} difference(s)`);
+    return drift;
+  }
+
+  /**
+   * Throw when the plan no longer matches the instances
+   *
+   * @param {Object} plan - Plan
+   * @param {Array<Object>} targetWorkflows - Current target workflows
+   * @param {Array<Object>|null} [sourceWorkflows=null] - Current source workflows
+   * @throws {Error} Listing every difference; make a new plan
+   */
+  assertNoDrift(plan, targetWorkflows, sourceWorkflows = null) {
+    const drift = this.checkDrift(plan, targetWorkflows, sourceWorkflows);
+
+    if (drift.length > 0) {
+      const lines = drift.map(item => `  - ${item.name}: ${item.reason}`).join('\n');
+      const error = new Error(
+        `Deployment plan from ${plan.createdAt} is out of date:\n${lines}\nMake a new plan and have it reviewed again.`
+      );
+      error.drift = drift;
+      throw error;
+    }
+  }
+
+  /**
+   * Format a plan for review
+   *
+   * @param {Object} plan - Plan
+   * @param {string} [format='text'] - 'text', 'json' or 'markdown'
+   * @returns {string} Formatted plan
+   * @throws {Error} If the format is unknown
+   */
+  format(plan, format = 'text') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}" (expected: ${FORMATS.join(', ')})`);
+    }
+
+    if (format === 'json') {
+      const { workflows, ...rest } = plan;
+      // Embedded workflows are left out: they are in the plan file
+      return JSON.stringify({ ...rest, workflows: workflows.map(({ workflow: _workflow, ...item }) => item) }, null, 2);
+    }
+
+    return format === 'markdown' ? this._formatMarkdown(plan) : this._formatText(plan);
+  }
+
+  /**
+   * @private
+   * @param {Object} plan - Plan
+   * @returns {string} Terminal output
+   */
+  _formatText(plan) {
+    const lines = [
+      `Deployment plan (${plan.kind}) for ${plan.target.url}, made ${plan.createdAt}`,
+      `  ${this._summaryLine(plan.summary)}`,
+      ''
+    ];
+
+    for (const item of plan.workflows) {
+      lines.push(`${ACTION_SYMBOLS[item.action]} ${item.action.padEnd(7)} ${item.name}${item.reason ? `  (${item.reason})` : ''}`);
+      for (const change of item.changes) {
+        lines.push(`      ${change.path}: ${this._preview(change.before)} → ${this._preview(change.after)}`);
+      }
+      for (const reference of item.remapReferences) {
+        lines.push(`      remap reference: ${reference.name || reference.workflowId} (${reference.workflowId})`);
+      }
+      if (item.tags.length > 0) {
+        lines.push(`      sync tags: ${item.tags.join(', ')}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   * @param {Object} plan - Plan
+   * @returns {string} Markdown for pull requests and approvals
+   */
+  _formatMarkdown(plan) {
+    const lines = [
+      `## Deployment plan (${plan.kind})`,
+      '',
+      `- **Target:** ${plan.target.url}`,
+      `- **Made:** ${plan.createdAt}`,
+      `- **Summary:** ${this._summaryLine(plan.summary)}`,
+      '',
+      '| Action | Workflow | Changes | Remap | Tags | Reason |',
+      '|--------|----------|---------|-------|------|--------|'
+    ];
+
+    for (const item of plan.workflows) {
+      lines.push(`| ${item.action} | ${cell(item.name)} | ${item.changes.length} | ${item.remapReferences.length} | ` +
+        `${cell(item.tags.join(', '))} | ${cell(item.reason || '')} |`);
+    }
+
+    for (const item of plan.workflows.filter(entry => entry.changes.length > 0)) {
+      lines.push('', `### ${ACTION_SYMBOLS[item.action]} ${item.name}`, '');
+      for (const change of item.changes) {
+        lines.push(`- \`${change.path}\` (${change.change}): ${this._preview(change.before)} → ${this._preview(change.after)}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   * @param {Object} summary - Plan summary
+   * @returns {string} e.g. "2 create, 1 update, 3 skip"
+   */
+  _summaryLine(summary) {
+    const parts = Object.values(PlanAction)
+      .filter(action => summary[action] > 0)
+      .map(action => `${summary[action]} ${action}`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing to do';
+  }
+
+  /**
+   * @private
+   * @returns {Object} Counters per action and total
+   */
+  _emptySummary() {
+    const summary = { total: 0 };
+    Object.values(PlanAction).forEach(action => { summary[action] = 0; });
+    return summary;
+  }
+
+  /**
+   * Fields of a workflow used by the drift check
+   *
+   * @private
+   * @param {Object|null|undefined} workflow - Workflow
+   * @returns {{id: string, versionId: (string|null), updatedAt: (string|null)}|null} Version
+   */
+  _version(workflow) {
+    if (!workflow || workflow.id === undefined || workflow.id === null) {
+      return null;
+    }
+
+    return {
+      id: String(workflow.id),
+      versionId: workflow.versionId || null,
+      updatedAt: workflow.updatedAt || null
+    };
+  }
+
+  /**
+   * @private
+   * @param {Object} planned - Version recorded in the plan
+   * @param {Object|undefined} current - Current workflow
+   * @param {string} role - 'target' or 'source'
+   * @returns {string|null} Reason, or null when unchanged
+   */
+  _versionDrift(planned, current, role) {
+    if (!current) {
+      return `deleted from ${role} since the plan (${planned.id})`;
+    }
+
+    if ((current.versionId || null) !== planned.versionId) {
+      return `changed on ${role} since the plan (versionId ${planned.versionId} → ${current.versionId || null})`;
+    }
+
+    if ((current.updatedAt || null) !== planned.updatedAt) {
+      return `changed on ${role} since the plan (updatedAt ${planned.updatedAt} → ${current.updatedAt || null})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Single-line preview (max 60 characters)
+   */
+  _preview(value) {
+    const text = value === null || value === undefined ? '(unset)' : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+}
+
+module.exports = DeploymentPlanService;
+module.exports.PlanAction = PlanAction;
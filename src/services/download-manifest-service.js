@@ -0,0 +1,292 @@
+/**
+ * Download Manifest Service - Tracks downloaded N8N workflows for incremental backups
+ *
+ * This service keeps a local manifest of the workflows saved by n8n:download,
+ * so that subsequent runs with --incremental only fetch workflows that changed
+ * upstream and clean up files of workflows that were deleted.
+ *
+ * Features:
+ * - Persist workflow id, versionId, updatedAt and saved file path
+ * - Compute the delta (added / changed / unchanged / removed) against the API list
+ * - Detect scope changes (different source URL or tag filter) that invalidate the manifest
+ *
+ * Manifest Structure (_download-manifest.json in the output directory):
+ * {
+ *   metadata: { source: "https://n8n.example.com", tagFilter: "jana", savedAt: "..." },
+ *   workflows: {
+ *     "abc123": {
+ *       name: "Customer Onboarding",
+ *       versionId: "7f1c...",
+ *       updatedAt: "2025-10-01T14:30:00.000Z",
+ *       file: "(A) Layer/Customer Onboarding (abc123).json"
+ *     }
+ *   }
+ * }
+ *
+ * @example
+ * const manifest = new DownloadManifestService(logger, './n8n/workflows/_download-manifest.json');
+ * await manifest.load();
+ * const delta = manifest.computeDelta(workflows);
+ * // download delta.added + delta.changed, clean up delta.removed
+ * await manifest.save();
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Default manifest file name (underscore prefix keeps it out of n8n:upload)
+ * @type {string}
+ */
+const MANIFEST_FILENAME = '_download-manifest.json';
+
+class DownloadManifestService {
+  /**
+   * Creates an instance of DownloadManifestService
+   *
+   * @param {Logger} logger - Logger instance for debug/info messages
+   * @param {string} manifestFilePath - Path to the manifest file
+   */
+  constructor(logger, manifestFilePath) {
+    if (!manifestFilePath || typeof manifestFilePath !== 'string') {
+      throw new TypeError('manifestFilePath must be a non-empty string');
+    }
+
+    this.logger = logger;
+    this.manifestFilePath = manifestFilePath;
+
+    // Manifest scope (source instance and tag filter of the last download)
+    this.metadata = {};
+
+    // Internal data structure: Map<workflowId, { name, versionId, updatedAt, file }>
+    this.workflows = new Map();
+
+    // Whether a manifest file was found by load()
+    this.loaded = false;
+  }
+
+  /**
+   * Builds the default manifest path for an output directory
+   *
+   * @param {string} outputDir - n8n:download output directory
+   * @returns {string} Manifest file path
+   */
+  static pathFor(outputDir) {
+    return path.join(outputDir, MANIFEST_FILENAME);
+  }
+
+  /**
+   * Checks if the manifest was produced with the same source and tag filter
+   *
+   * @param {string} source - Source N8N URL
+   * @param {string|null} tagFilter - Tag filter used for the download
+   * @returns {boolean} True if the manifest can be reused for an incremental run
+   */
+  matchesScope(source, tagFilter) {
+    if (!this.loaded) {
+      return false;
+    }
+
+    return this.metadata.source === source &&
+      (this.metadata.tagFilter || null) === (tagFilter || null);
+  }
+
+  /**
+   * Sets the scope recorded in the manifest
+   *
+   * @param {string} source - Source N8N URL
+   * @param {string|null} tagFilter - Tag filter used for the download
+   */
+  setScope(source, tagFilter) {
+    this.metadata.source = source;
+    this.metadata.tagFilter = tagFilter || null;
+  }
+
+  /**
+   * Checks if a workflow changed since it was recorded in the manifest
+   *
+   * A workflow is considered changed when its versionId or updatedAt differs
+   * from the manifest entry, or when it is not in the manifest at all.
+   *
+   * @param {object} workflow - Workflow summary from the API list (id, versionId, updatedAt)
+   * @returns {boolean} True if the workflow must be downloaded
+   */
+  hasChanged(workflow) {
+    const entry = this.workflows.get(String(workflow.id));
+    if (!entry) {
+      return true;
+    }
+
+    if (workflow.versionId && entry.versionId !== workflow.versionId) {
+      return true;
+    }
+
+    if (workflow.updatedAt && entry.updatedAt !== workflow.updatedAt) {
+      return true;
+    }
+
+    // Without versionId and updatedAt there is nothing to compare against
+    return !workflow.versionId && !workflow.updatedAt;
+  }
+
+  /**
+   * Computes which workflows must be downloaded and which were deleted upstream
+   *
+   * @param {Array<object>} workflows - Workflow summaries from the API list
+   * @returns {{added: Array<object>, changed: Array<object>, unchanged: Array<object>, removed: Array<object>}}
+   *   Workflows grouped by state; removed contains manifest entries ({ id, name, file, ... })
+   *
+   * @example
+   * const { added, changed, removed } = manifest.computeDelta(workflows);
+   */
+  computeDelta(workflows) {
+    const delta = { added: [], changed: [], unchanged: [], removed: [] };
+    const currentIds = new Set();
+
+    for (const workflow of workflows) {
+      const id = String(workflow.id);
+      currentIds.add(id);
+
+      if (!this.workflows.has(id)) {
+        delta.added.push(workflow);
+      } else if (this.hasChanged(workflow)) {
+        delta.changed.push(workflow);
+      } else {
+        delta.unchanged.push(workflow);
+      }
+    }
+
+    for (const [id, entry] of this.workflows) {
+      if (!currentIds.has(id)) {
+        delta.removed.push({ id, ...entry });
+      }
+    }
+
+    this.logger.debug(
+      `Manifest delta: ${delta.added.length} added, ${delta.changed.length} changed, ` +
+      `${delta.unchanged.length} unchanged, ${delta.removed.length} removed`
+    );
+
+    return delta;
+  }
+
+  /**
+   * Gets the manifest entry of a workflow
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {object|null} Manifest entry or null
+   */
+  get(workflowId) {
+    return this.workflows.get(String(workflowId)) || null;
+  }
+
+  /**
+   * Records a downloaded workflow
+   *
+   * @param {object} workflow - Downloaded workflow (id, name, versionId, updatedAt)
+   * @param {string} file - Saved file path, relative to the output directory
+   */
+  set(workflow, file) {
+    if (!workflow || !workflow.id) {
+      throw new TypeError('workflow with id is required');
+    }
+
+    this.workflows.set(String(workflow.id), {
+      name: workflow.name,
+      versionId: workflow.versionId || null,
+      updatedAt: workflow.updatedAt || null,
+      file
+    });
+  }
+
+  /**
+   * Removes a workflow from the manifest
+   *
+   * @param {string} workflowId - Workflow ID
+   * @returns {boolean} True if the entry existed
+   */
+  remove(workflowId) {
+    return this.workflows.delete(String(workflowId));
+  }
+
+  /**
+   * Removes all entries (used when a full download replaces the output directory)
+   */
+  clear() {
+    this.workflows.clear();
+  }
+
+  /**
+   * Save manifest to file
+   *
+   * @throws {Error} If file write operation fails
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.manifestFilePath), { recursive: true });
+
+      const data = {
+        metadata: {
+          ...this.metadata,
+          totalWorkflows: this.workflows.size,
+          savedAt: new Date().toISOString()
+        },
+        workflows: Object.fromEntries(this.workflows)
+      };
+
+      await fs.writeFile(this.manifestFilePath, JSON.stringify(data, null, 2), 'utf8');
+      this.logger.debug(`Saved download manifest with ${this.workflows.size} workflows: ${this.manifestFilePath}`);
+    } catch (error) {
+      this.logger.error(`Failed to save download manifest: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Load manifest from file
+   *
+   * A missing file is not an error: the manifest starts empty and
+   * `loaded` stays false so callers can fall back to a full download.
+   *
+   * @returns {Promise<boolean>} True if a manifest file was loaded
+   * @throws {Error} If the file exists but contains invalid JSON or structure
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.manifestFilePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.debug(`No download manifest found at: ${this.manifestFilePath}`);
+        this.loaded = false;
+        return false;
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid download manifest ${this.manifestFilePath}: ${error.message}`);
+    }
+
+    if (!data || typeof data.workflows !== 'object' || data.workflows === null) {
+      throw new Error(`Invalid download manifest ${this.manifestFilePath}: missing workflows`);
+    }
+
+    this.metadata = {
+      source: data.metadata?.source,
+      tagFilter: data.metadata?.tagFilter || null
+    };
+    this.workflows = new Map(Object.entries(data.workflows));
+    this.loaded = true;
+
+    this.logger.debug(`Loaded download manifest with ${this.workflows.size} workflows`);
+    return true;
+  }
+}
+
+DownloadManifestService.MANIFEST_FILENAME = MANIFEST_FILENAME;
+
+module.exports = DownloadManifestService;
@@ -0,0 +1,466 @@
+/**
+ * Environment Override Service - Per-environment changes applied on promotion
+ *
+ * Workflows built in one environment (dev) carry values that must change in
+ * the next one (staging, prod): webhook paths, base URLs of HTTP Request
+ * nodes, Directus collection names... An override file describes those
+ * changes with JSONPath-like selectors keyed by node name or node type.
+ *
+ * Override file (default: .jana/overrides/<environment>.json):
+ * {
+ *   "values": { "API_BASE": "https://api.example.com", "SUFFIX": "prod" },
+ *   "types": {
+ *     "n8n-nodes-base.httpRequest": { "$.parameters.url": "{API_BASE}/orders" }
+ *   },
+ *   "nodes": {
+ *     "Webhook Pedidos": { "parameters.path": "pedidos-{SUFFIX}" }
+ *   },
+ *   "workflows": {
+ *     "Sync Pedidos": {
+ *       "nodes": { "Directus": { "parameters.collection": "orders_{SUFFIX}" } }
+ *     }
+ *   },
+ *   "replace": { "https://api.dev.example.com": "https://api.example.com" }
+ * }
+ *
+ * Order of application (later wins): types, nodes, then the types and nodes
+ * of the workflow scope, then "replace" (literal text in node parameters).
+ * Finally {name} placeholders in the workflow name and node parameters are
+ * filled from "values" with PlaceholderResolver. Placeholders left are
+ * filled by the upload (WorkflowTemplateEngine: --set, profile and JANA_VAR_*
+ * variables, variables file), which refuses workflows still holding any.
+ *
+ * Selectors: optional "$." prefix, dot segments, [n] indexes, [*] for every
+ * array item and ["key.with.dots"] for keys with special characters.
+ * Missing objects along a selector without [*] are created.
+ *
+ * @example
+ * const overrides = new EnvironmentOverrideService(logger);
+ * const file = overrides.load(EnvironmentOverrideService.pathFor('prod'));
+ * const { workflows, changes, unused } = overrides.applyAll(workflows, file);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlaceholderResolver = require('../utils/placeholder-resolver');
+const WorkflowTemplateEngine = require('../utils/workflow-template-engine');
+
+/**
+ * Sections of an override file (and of each workflow scope)
+ * @type {string[]}
+ */
+const SELECTOR_SECTIONS = ['types', 'nodes'];
+
+class EnvironmentOverrideService {
+  /**
+   * @param {Logger} logger - Logger instance for debug messages
+   */
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Default override file of an environment
+   *
+   * @param {string} environment - Environment name (e.g. "prod")
+   * @param {string} [baseDir=process.cwd()] - Project directory
+   * @returns {string} Path of .jana/overrides/<environment>.json
+   */
+  static pathFor(environment, baseDir = process.cwd()) {
+    return path.join(baseDir, '.jana', 'overrides', `${environment}.json`);
+  }
+
+  /**
+   * Parse a selector into path segments
+   *
+   * @param {string} selector - Selector (e.g. "$.parameters.rules[*].value")
+   * @returns {Array<string|number>} Segments ("*" for every array item)
+   * @throws {Error} If the selector is empty or malformed
+   */
+  static parseSelector(selector) {
+    const source = String(selector).trim().replace(/^\$\.?/, '');
+    const pattern = /\.?([^.[\]]+)|\[(\d+|\*)\]|\[(["'])(.*?)\3\]/y;
+    const segments = [];
+    let match;
+
+    while (pattern.lastIndex < source.length && (match = pattern.exec(source)) !== null) {
+      if (match[1] !== undefined) {
+        segments.push(match[1]);
+      } else if (match[2] !== undefined) {
+        segments.push(match[2] === '*' ? '*' : Number(match[2]));
+      } else {
+        segments.push(match[4]);
+      }
+    }
+
+    if (segments.length === 0 || pattern.lastIndex !== source.length) {
+      throw new Error(`Invalid selector "${selector}"`);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Load and validate an override file
+   *
+   * @param {string} filePath - Override file
+   * @returns {Object} Normalized overrides ({ values, types, nodes, workflows, replace })
+   * @throws {Error} If the file is missing or invalid
+   */
+  load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Override file not found: ${filePath}`);
+    }
+
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid override file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return this.normalize(content);
+    } catch (error) {
+      throw new Error(`Invalid override file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate override content and fill in missing sections
+   *
+   * @param {Object} content - Override file content
+   * @returns {Object} Normalized overrides
+   * @throws {Error} If a section has the wrong shape or a selector is malformed
+   */
+  normalize(content) {
+    if (!this._isObject(content)) {
+      throw new Error('expected a JSON object');
+    }
+
+    const overrides = this._normalizeScope(content, '');
+
+    overrides.values = this._section(content, 'values');
+    for (const [name, value] of Object.entries(overrides.values)) {
+      if (this._isObject(value) || Array.isArray(value)) {
+        throw new Error(`values.${name} must be a string, number or boolean`);
+      }
+    }
+
+    overrides.replace = this._section(content, 'replace');
+    overrides.workflows = {};
+    for (const [name, scope] of Object.entries(this._section(content, 'workflows'))) {
+      if (!this._isObject(scope)) {
+        throw new Error(`workflows["${name}"] must be an object`);
+      }
+      overrides.workflows[name] = this._normalizeScope(scope, `workflows["${name}"].`);
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Apply overrides to a set of workflows
+   *
+   * @param {Array<Object>} workflows - Workflows (not modified)
+   * @param {Object} overrides - Normalized overrides
+   * @returns {{workflows: Array<Object>, changes: Array<Object>, unused: string[]}}
+   *   Promoted copies, changes ({ workflow, node, path, before, after }) and
+   *   rules that matched nothing (likely typos)
+   */
+  applyAll(workflows, overrides) {
+    const used = new Set();
+    const changes = [];
+
+    const promoted = workflows.map(workflow => {
+      const result = this.apply(workflow, overrides, used);
+      changes.push(...result.changes);
+      return result.workflow;
+    });
+
+    return { workflows: promoted, changes, unused: this._unused(overrides, used) };
+  }
+
+  /**
+   * Apply overrides to one workflow
+   *
+   * @param {Object} workflow - Workflow (not modified)
+   * @param {Object} overrides - Normalized overrides
+   * @param {Set<string>} [used] - Collects the rules that matched
+   * @returns {{workflow: Object, changes: Array<Object>}} Promoted copy and its changes
+   */
+  apply(workflow, overrides, used = new Set()) {
+    const promoted = JSON.parse(JSON.stringify(workflow));
+    const changes = [];
+    const record = (node, selector, before, after) => {
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ workflow: promoted.name, node: node ? node.name : null, path: selector, before, after });
+      }
+    };
+
+    const scopes = [{ prefix: '', scope: overrides }];
+    if (overrides.workflows[workflow.name]) {
+      scopes.push({ prefix: `workflows["${workflow.name}"].`, scope: overrides.workflows[workflow.name] });
+      used.add(`workflows["${workflow.name}"]`);
+    }
+
+    for (const { prefix, scope } of scopes) {
+      for (const section of SELECTOR_SECTIONS) {
+        for (const [key, selectors] of Object.entries(scope[section])) {
+          const nodes = (promoted.nodes || []).filter(node => this._matches(node, section, key));
+
+          for (const node of nodes) {
+            used.add(`${prefix}${section}["${key}"]`);
+
+            for (const [selector, value] of Object.entries(selectors)) {
+              for (const { before, after, location } of this._set(node, selector, value)) {
+                used.add(`${prefix}${section}["${key}"]["${selector}"]`);
+                record(node, location, before, after);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    for (const node of promoted.nodes || []) {
+      if (node.parameters) {
+        const before = JSON.parse(JSON.stringify(node.parameters));
+        node.parameters = this._mapStrings(node.parameters, text => this._fill(text, overrides));
+        this._diffStrings(before, node.parameters, 'parameters', (location, from, to) => record(node, location, from, to));
+      }
+    }
+
+    if (typeof promoted.name === 'string') {
+      const name = PlaceholderResolver.resolveKnown(promoted.name, overrides.values);
+      record(null, 'name', promoted.name, name);
+      promoted.name = name;
+    }
+
+    return { workflow: promoted, changes };
+  }
+
+  /**
+   * Find {name} placeholders left in a workflow
+   *
+   * @param {Object} workflow - Promoted workflow
+   * @returns {Array<{node: ?string, path: string, placeholder: string}>} Unresolved placeholders
+   */
+  findUnresolvedPlaceholders(workflow) {
+    return new WorkflowTemplateEngine({ useEnv: false }).findPlaceholders(workflow);
+  }
+
+  /**
+   * Validate the selector sections of a scope
+   * @private
+   */
+  _normalizeScope(content, prefix) {
+    const scope = {};
+
+    for (const section of SELECTOR_SECTIONS) {
+      scope[section] = this._section(content, section, prefix);
+
+      for (const [key, selectors] of Object.entries(scope[section])) {
+        if (!this._isObject(selectors)) {
+          throw new Error(`${prefix}${section}["${key}"] must map selectors to values`);
+        }
+        Object.keys(selectors).forEach(selector => EnvironmentOverrideService.parseSelector(selector));
+      }
+    }
+
+    return scope;
+  }
+
+  /**
+   * Optional object section of the override file
+   * @private
+   */
+  _section(content, name, prefix = '') {
+    if (content[name] === undefined) {
+      return {};
+    }
+
+    if (!this._isObject(content[name])) {
+      throw new Error(`${prefix}${name} must be an object`);
+    }
+
+    return content[name];
+  }
+
+  /**
+   * Rules that matched nothing: a workflow scope or node key is reported
+   * once, a selector only when its node exists but the path does not
+   * @private
+   */
+  _unused(overrides, used) {
+    const unused = [];
+    const scopes = [['', overrides], ...Object.entries(overrides.workflows).map(([name, scope]) => [`workflows["${name}"].`, scope])];
+
+    for (const [prefix, scope] of scopes) {
+      if (prefix && !used.has(prefix.slice(0, -1))) {
+        unused.push(prefix.slice(0, -1));
+        continue;
+      }
+
+      for (const section of SELECTOR_SECTIONS) {
+        for (const [key, selectors] of Object.entries(scope[section])) {
+          const rule = `${prefix}${section}["${key}"]`;
+          if (!used.has(rule)) {
+            unused.push(rule);
+            continue;
+          }
+          Object.keys(selectors)
+            .filter(selector => !used.has(`${rule}["${selector}"]`))
+            .forEach(selector => unused.push(`${rule}["${selector}"]`));
+        }
+      }
+    }
+
+    return unused;
+  }
+
+  /**
+   * Check whether a node is selected by a "types" or "nodes" key
+   *
+   * Types match the full type or its short name (httpRequest).
+   * @private
+   */
+  _matches(node, section, key) {
+    if (section === 'nodes') {
+      return node.name === key;
+    }
+
+    return node.type === key || (typeof node.type === 'string' && node.type.split('.').pop() === key);
+  }
+
+  /**
+   * Set a selector on a node
+   *
+   * @private
+   * @returns {Array<{location: string, before: *, after: *}>} One entry per matched location
+   */
+  _set(node, selector, value) {
+    const segments = EnvironmentOverrideService.parseSelector(selector);
+    const results = [];
+
+    const visit = (target, index, location) => {
+      const segment = segments[index];
+      const last = index === segments.length - 1;
+
+      if (segment === '*') {
+        if (Array.isArray(target)) {
+          target.forEach((_item, position) => {
+            if (last) {
+              results.push(this._assign(target, position, value, `${location}[${position}]`));
+            } else {
+              visit(target[position], index + 1, `${location}[${position}]`);
+            }
+          });
+        }
+        return;
+      }
+
+      const childLocation = typeof segment === 'number' ? `${location}[${segment}]` : (location ? `${location}.${segment}` : segment);
+
+      if (last) {
+        if (this._isObject(target) || (Array.isArray(target) && typeof segment === 'number' && segment < target.length)) {
+          results.push(this._assign(target, segment, value, childLocation));
+        }
+        return;
+      }
+
+      if (target[segment] === undefined && this._isObject(target) && !segments.includes('*')) {
+        target[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+      }
+
+      if (target[segment] !== null && typeof target[segment] === 'object') {
+        visit(target[segment], index + 1, childLocation);
+      }
+    };
+
+    visit(node, 0, '');
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _assign(target, key, value, location) {
+    const before = target[key];
+    target[key] = JSON.parse(JSON.stringify(value));
+    return { location, before, after: target[key] };
+  }
+
+  /**
+   * Apply "replace" and fill known placeholders in a string
+   * @private
+   */
+  _fill(text, overrides) {
+    let result = text;
+
+    for (const [from, to] of Object.entries(overrides.replace)) {
+      result = result.split(from).join(String(to));
+    }
+
+    return PlaceholderResolver.resolveKnown(result, overrides.values);
+  }
+
+  /**
+   * Copy a value, mapping every string
+   * @private
+   */
+  _mapStrings(value, mapper) {
+    if (typeof value === 'string') {
+      return mapper(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._mapStrings(item, mapper));
+    }
+
+    if (this._isObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._mapStrings(item, mapper)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Report strings that differ between two copies of the same structure
+   * @private
+   */
+  _diffStrings(before, after, location, report) {
+    const previous = new Map();
+    this._walkStrings(before, location, (at, text) => previous.set(at, text));
+    this._walkStrings(after, location, (at, text) => {
+      if (previous.get(at) !== text) {
+        report(at, previous.get(at), text);
+      }
+    });
+  }
+
+  /**
+   * Visit every string of a value: callback(location, text, key)
+   * @private
+   */
+  _walkStrings(value, location, callback, key = null) {
+    if (typeof value === 'string') {
+      callback(location, value, key);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => this._walkStrings(item, `${location}[${index}]`, callback, key));
+    } else if (this._isObject(value)) {
+      for (const [childKey, item] of Object.entries(value)) {
+        this._walkStrings(item, `${location}.${childKey}`, callback, childKey);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = EnvironmentOverrideService;
@@ -0,0 +1,533 @@
+/**
+ * Git Snapshot Service - Versions N8N workflow backups in a local git repository
+ *
+ * Each n8n:download can commit the downloaded snapshot into a git repository
+ * living in the output directory, turning the backup folder into an audit trail
+ * of workflow changes. The commit message lists added, modified and removed
+ * workflows by name, plus the source instance URL.
+ *
+ * Features:
+ * - Initialize the repository on first use (nested repo, independent of the project repo)
+ * - Commit snapshots with a generated message (no commit when nothing changed)
+ * - List the versions of a single workflow, following moves between tag folders
+ * - Read or restore any version of a workflow file
+ *
+ * Commit Message Structure:
+ *   n8n snapshot: 1 added, 2 modified, 1 removed
+ *
+ *   Source: https://n8n.example.com
+ *
+ *   Added:
+ *   - Customer Onboarding
+ *   Modified:
+ *   - Sync Orders
+ *   - Notify Team
+ *   Removed:
+ *   - Legacy Import
+ *
+ * @example
+ * const git = new GitSnapshotService(logger, './n8n/workflows');
+ * git.ensureRepository();
+ * const result = git.commitSnapshot('https://n8n.example.com');
+ * const versions = git.getWorkflowHistory('abc123');
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Identity used when the repository has no user.name/user.email configured
+ * @type {{name: string, email: string}}
+ */
+const DEFAULT_IDENTITY = {
+  name: 'docs-jana',
+  email: 'docs-jana@localhost'
+};
+
+/**
+ * Field separator for git log output
+ * @type {string}
+ */
+const FIELD_SEPARATOR = '\x1f';
+
+class GitSnapshotService {
+  /**
+   * Creates an instance of GitSnapshotService
+   *
+   * @param {Logger} logger - Logger instance for debug/info messages
+   * @param {string} repoDir - Directory holding the snapshots (repository root)
+   */
+  constructor(logger, repoDir) {
+    if (!repoDir || typeof repoDir !== 'string') {
+      throw new TypeError('repoDir must be a non-empty string');
+    }
+
+    this.logger = logger;
+    this.repoDir = path.resolve(repoDir);
+  }
+
+  /**
+   * Checks if the git executable is available
+   *
+   * @returns {boolean} True if git can be executed
+   */
+  isGitAvailable() {
+    try {
+      execFileSync('git', ['--version'], { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Checks if the snapshot directory is the root of a git repository
+   *
+   * A parent repository (e.g. the project itself) does not count: snapshots
+   * always live in their own repository.
+   *
+   * @returns {boolean} True if repoDir/.git exists
+   */
+  isRepository() {
+    return fs.existsSync(path.join(this.repoDir, '.git'));
+  }
+
+  /**
+   * Initializes the repository if needed
+   *
+   * @returns {boolean} True if a new repository was created
+   * @throws {Error} If git is not available or init fails
+   */
+  ensureRepository() {
+    if (this.isRepository()) {
+      return false;
+    }
+
+    if (!this.isGitAvailable()) {
+      throw new Error('git executable not found - install git to use versioned backups');
+    }
+
+    fs.mkdirSync(this.repoDir, { recursive: true });
+    this._git(['init', '--quiet']);
+    this.logger.info(`📚 Initialized snapshot repository: ${this.repoDir}`);
+    return true;
+  }
+
+  /**
+   * Keeps files out of the snapshots (local .git/info/exclude, not versioned)
+   *
+   * @param {string[]} patterns - gitignore patterns
+   */
+  excludePaths(patterns) {
+    const excludeFile = path.join(this.repoDir, '.git', 'info', 'exclude');
+    const current = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, 'utf8') : '';
+    const lines = current.split(/\r?\n/);
+    const missing = patterns.filter(pattern => !lines.includes(pattern));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+    const prefix = current && !current.endsWith('\n') ? '\n' : '';
+    fs.appendFileSync(excludeFile, prefix + missing.join('\n') + '\n', 'utf8');
+  }
+
+  /**
+   * Stages the working tree and commits it as a snapshot
+   *
+   * @param {string} source - Source N8N URL (recorded in the commit message)
+   * @returns {{commit: string, changes: Object}|null} Commit hash and changes, or null if nothing changed
+   * @throws {Error} If the repository does not exist or the commit fails
+   */
+  commitSnapshot(source) {
+    if (!this.isRepository()) {
+      throw new Error(`Not a snapshot repository: ${this.repoDir}`);
+    }
+
+    this._git(['add', '--all', '.']);
+
+    const changes = this.getStagedChanges();
+    const total = changes.added.length + changes.modified.length + changes.removed.length;
+
+    if (total === 0 && !this._hasStagedFiles()) {
+      this.logger.info('📚 No workflow changes since last snapshot - nothing to commit');
+      return null;
+    }
+
+    const message = this.buildCommitMessage(changes, source);
+    this._git([...this._identityArgs(), 'commit', '--quiet', '--no-verify', '-F', '-'], message);
+
+    const commit = this._git(['rev-parse', 'HEAD']).trim();
+    this.logger.success(`📚 Snapshot committed: ${commit.substring(0, 8)} (${this._summaryLine(changes)})`);
+
+    return { commit, changes };
+  }
+
+  /**
+   * Lists staged workflow changes by workflow name
+   *
+   * Only workflow files are considered (JSON files not starting with "_").
+   * Renamed/moved files count as modified.
+   *
+   * @returns {{added: string[], modified: string[], removed: string[]}} Workflow names per change type
+   */
+  getStagedChanges() {
+    const output = this._git(['diff', '--cached', '--name-status', '-M', '-z']);
+    const tokens = output.split('\0').filter(Boolean);
+    const changes = { added: [], modified: [], removed: [] };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const status = tokens[i];
+      const file = tokens[++i];
+
+      if (status.startsWith('R') || status.startsWith('C')) {
+        const newFile = tokens[++i];
+        if (this._isWorkflowFile(newFile)) {
+          changes.modified.push(this._workflowNameFromFile(newFile, 'working'));
+        }
+        continue;
+      }
+
+      if (!this._isWorkflowFile(file)) {
+        continue;
+      }
+
+      switch (status[0]) {
+      case 'A':
+        changes.added.push(this._workflowNameFromFile(file, 'working'));
+        break;
+      case 'D':
+        changes.removed.push(this._workflowNameFromFile(file, 'HEAD'));
+        break;
+      default:
+        changes.modified.push(this._workflowNameFromFile(file, 'working'));
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Builds the snapshot commit message
+   *
+   * @param {{added: string[], modified: string[], removed: string[]}} changes - Workflow names per change type
+   * @param {string} source - Source N8N URL
+   * @returns {string} Commit message
+   */
+  buildCommitMessage(changes, source) {
+    const lines = [`n8n snapshot: ${this._summaryLine(changes)}`, ''];
+
+    if (source) {
+      lines.push(`Source: ${source}`, '');
+    }
+
+    const sections = [
+      ['Added', changes.added],
+      ['Modified', changes.modified],
+      ['Removed', changes.removed]
+    ];
+
+    for (const [title, names] of sections) {
+      if (names.length === 0) {
+        continue;
+      }
+
+      lines.push(`${title}:`);
+      [...names].sort((a, b) => a.localeCompare(b)).forEach(name => lines.push(`- ${name}`));
+    }
+
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * Resolves a workflow (by ID or name) to its ID
+   *
+   * Looks at the current snapshot files first; an argument that matches no
+   * current workflow is treated as a workflow ID (it may have been removed).
+   *
+   * @param {string} workflow - Workflow ID or name (case-insensitive)
+   * @returns {{id: string, name: (string|null), file: (string|null)}} Resolved workflow
+   */
+  resolveWorkflow(workflow) {
+    const wanted = String(workflow).toLowerCase();
+
+    for (const file of this._listWorkflowFiles()) {
+      const id = this._workflowIdFromFile(file);
+
+      let name = null;
+      try {
+        name = JSON.parse(fs.readFileSync(path.join(this.repoDir, file), 'utf8')).name || null;
+      } catch {
+        // Ignora arquivos inválidos
+      }
+
+      if (id === workflow || (name && name.toLowerCase() === wanted)) {
+        return { id, name, file };
+      }
+    }
+
+    return { id: String(workflow), name: null, file: null };
+  }
+
+  /**
+   * Lists the versions of one workflow (newest first)
+   *
+   * Files are matched by the "(<id>).json" suffix used by FileManager.saveWorkflow,
+   * so versions are followed across renames and tag folder moves.
+   *
+   * @param {string} workflowId - Workflow ID
+   * @param {number} [limit] - Maximum number of versions
+   * @returns {Array<{commit: string, date: string, subject: string, status: string, file: string}>}
+   *   Versions; status is 'added', 'modified', 'moved' or 'removed'
+   */
+  getWorkflowHistory(workflowId, limit) {
+    if (!this.isRepository()) {
+      throw new Error(`Not a snapshot repository: ${this.repoDir}`);
+    }
+
+    const args = [
+      'log',
+      `--format=${FIELD_SEPARATOR}%H${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`,
+      '--name-status',
+      '--no-renames'
+    ];
+
+    if (limit) {
+      args.push(`--max-count=${limit}`);
+    }
+
+    args.push('--', this._workflowPathspec(workflowId));
+
+    let output;
+    try {
+      output = this._git(args);
+    } catch (error) {
+      // Repository without commits yet
+      if (/does not have any commits/.test(error.message)) {
+        return [];
+      }
+      throw error;
+    }
+
+    const versions = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      if (line.startsWith(FIELD_SEPARATOR)) {
+        const [, commit, date, subject] = line.split(FIELD_SEPARATOR);
+        current = { commit, date, subject, status: null, file: null };
+        versions.push(current);
+      } else if (current && line.trim()) {
+        const [status, file] = line.split('\t');
+
+        const change = status === 'A' ? 'added' : status === 'D' ? 'removed' : 'modified';
+
+        if (!current.file) {
+          current.status = change;
+          current.file = file;
+        } else {
+          // A move between tag folders shows as D + A: keep the file that exists after the commit
+          current.status = 'moved';
+          if (change !== 'removed') {
+            current.file = file;
+          }
+        }
+      }
+    }
+
+    return versions;
+  }
+
+  /**
+   * Reads a workflow file as it was in a given commit
+   *
+   * @param {string} commit - Commit hash (or any git revision)
+   * @param {string} file - File path relative to the repository root
+   * @returns {Object} Parsed workflow
+   * @throws {Error} If the file does not exist in that commit
+   */
+  readVersion(commit, file) {
+    const content = this._git(['show', `${commit}:${file}`]);
+    return JSON.parse(content);
+  }
+
+  /**
+   * Writes a version of a workflow file to disk
+   *
+   * @param {string} commit - Commit hash (or any git revision)
+   * @param {string} file - File path in the commit
+   * @param {string} [destination] - Target path (default: same path in the snapshot directory)
+   * @returns {string} Path of the restored file
+   */
+  restoreVersion(commit, file, destination = null) {
+    const workflow = this.readVersion(commit, file);
+    const targetPath = destination
+      ? path.resolve(destination)
+      : path.join(this.repoDir, ...file.split('/'));
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, JSON.stringify(workflow, null, 2), 'utf8');
+
+    this.logger.success(`♻️  Restored ${workflow.name || file} from ${commit.substring(0, 8)} to ${targetPath}`);
+    return targetPath;
+  }
+
+  /**
+   * Runs a git command in the snapshot repository
+   *
+   * @private
+   * @param {string[]} args - git arguments
+   * @param {string} [input] - Data written to stdin
+   * @returns {string} stdout
+   * @throws {Error} With git's stderr if the command fails
+   */
+  _git(args, input) {
+    try {
+      return execFileSync('git', args, {
+        cwd: this.repoDir,
+        encoding: 'utf8',
+        input,
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      const stderr = error.stderr ? error.stderr.toString().trim() : '';
+      throw new Error(`git ${args[0] === '-c' ? args[4] : args[0]} failed: ${stderr || error.message}`);
+    }
+  }
+
+  /**
+   * Returns "-c user.name=... -c user.email=..." when the repo has no identity
+   *
+   * @private
+   * @returns {string[]} Extra git arguments
+   */
+  _identityArgs() {
+    try {
+      const email = this._git(['config', 'user.email']).trim();
+      if (email) {
+        return [];
+      }
+    } catch {
+      // git config exits with 1 when the key is not set
+    }
+
+    return ['-c', `user.name=${DEFAULT_IDENTITY.name}`, '-c', `user.email=${DEFAULT_IDENTITY.email}`];
+  }
+
+  /**
+   * Checks if anything is staged (covers non-workflow files such as the manifest)
+   *
+   * @private
+   * @returns {boolean} True if the index differs from HEAD
+   */
+  _hasStagedFiles() {
+    return this._git(['diff', '--cached', '--name-only']).trim().length > 0;
+  }
+
+  /**
+   * Builds the one-line change summary
+   *
+   * @private
+   * @param {{added: string[], modified: string[], removed: string[]}} changes - Changes
+   * @returns {string} e.g. "1 added, 2 modified, 0 removed"
+   */
+  _summaryLine(changes) {
+    return `${changes.added.length} added, ${changes.modified.length} modified, ${changes.removed.length} removed`;
+  }
+
+  /**
+   * Checks if a path is a workflow file (JSON not starting with "_")
+   *
+   * @private
+   * @param {string} file - Path relative to the repository root
+   * @returns {boolean} True for workflow files
+   */
+  _isWorkflowFile(file) {
+    const basename = path.posix.basename(file);
+    return basename.endsWith('.json') && !basename.startsWith('_');
+  }
+
+  /**
+   * Reads the workflow name from a file (working tree or HEAD)
+   *
+   * @private
+   * @param {string} file - Path relative to the repository root
+   * @param {'working'|'HEAD'} from - Where to read the file from
+   * @returns {string} Workflow name (falls back to the file name)
+   */
+  _workflowNameFromFile(file, from) {
+    try {
+      const content = from === 'HEAD'
+        ? this._git(['show', `HEAD:${file}`])
+        : fs.readFileSync(path.join(this.repoDir, ...file.split('/')), 'utf8');
+      const workflow = JSON.parse(content);
+      if (workflow.name) {
+        return workflow.name;
+      }
+    } catch {
+      // Fallback para o nome do arquivo
+    }
+
+    return path.posix.basename(file, '.json');
+  }
+
+  /**
+   * Extracts the workflow ID from a FileManager file name ("Name (id).json")
+   *
+   * @private
+   * @param {string} file - File path
+   * @returns {string|null} Workflow ID
+   */
+  _workflowIdFromFile(file) {
+    const match = path.posix.basename(file).match(/\(([^()]+)\)\.json$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Builds the git pathspec matching every file of a workflow
+   *
+   * @private
+   * @param {string} workflowId - Workflow ID
+   * @returns {string} Glob pathspec
+   */
+  _workflowPathspec(workflowId) {
+    const safeId = String(workflowId).replace(/[*?[\]\\]/g, '');
+    return `:(glob)**/*(${safeId}).json`;
+  }
+
+  /**
+   * Lists workflow files in the working tree (relative paths with "/")
+   *
+   * @private
+   * @returns {string[]} Workflow files
+   */
+  _listWorkflowFiles() {
+    const files = [];
+
+    const walk = (dir, relative) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name === '.git') {
+          continue;
+        }
+
+        const relPath = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          walk(path.join(dir, entry.name), relPath);
+        } else if (entry.isFile() && this._isWorkflowFile(relPath)) {
+          files.push(relPath);
+        }
+      }
+    };
+
+    if (fs.existsSync(this.repoDir)) {
+      walk(this.repoDir, '');
+    }
+
+    return files;
+  }
+}
+
+module.exports = GitSnapshotService;
@@ -11,6 +11,51 @@
  * - Clean separation of concerns
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Links to Outline attachments in document markdown (relative or absolute)
+ * @type {RegExp}
+ */
+const ATTACHMENT_URL_PATTERN = /(?:https?:\/\/[^\s()"'<>]+)?\/api\/attachments\.redirect\?id=([0-9a-zA-Z-]+)/g;
+
+/**
+ * Links to attachments saved by a download (_attachments/<content hash><extension>)
+ * @type {RegExp}
+ */
+const LOCAL_ATTACHMENT_PATTERN = /_attachments\/([0-9a-f]{16}(?:\.[a-z0-9]+)?)(?![0-9A-Za-z.])/g;
+
+/**
+ * Links between Outline documents (/doc/<slug>-<urlId>, relative or absolute, with an optional anchor)
+ * @type {RegExp}
+ */
+const DOCUMENT_URL_PATTERN = /(?:https?:\/\/[^\s()"'<>]+)?\/doc\/(?:[^\s()"'<>#?]*-)?([A-Za-z0-9]{10})(?=[\s()"'<>#?]|$)(#[^\s()"'<>]*)?/g;
+
+/**
+ * Markdown links to a .md file (target, optional anchor and title), e.g. ](../(B)%20Pedidos/api.md#auth "API")
+ * @type {RegExp}
+ */
+const MARKDOWN_FILE_LINK_PATTERN = /\]\(((?:[^\s()#]|\([^\s()#]*\))+?\.md)(#[^\s()]*)?(\s+"[^"]*")?\)/g;
+
+/**
+ * File extensions of attachments without one in their storage URL
+ * @type {Object<string, string>}
+ */
+const ATTACHMENT_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/json': '.json',
+  'text/plain': '.txt',
+  'text/csv': '.csv'
+};
+
 class OutlineService {
   /**
    * Creates an instance of OutlineService
@@ -46,6 +91,12 @@ class OutlineService {
       evictions: 0   // Número de vezes que documentos foram removidos para liberar espaço
     };
 
+    // Estado do download incremental (apenas durante downloadAllDocuments com incremental)
+    this.incremental = null;
+
+    // Estado dos anexos baixados (apenas durante downloadAllDocuments)
+    this.attachments = null;
+
     // Set authentication headers on the HTTP client
     this.httpClient.setHeaders(this.authStrategy.getHeaders());
   }
@@ -145,6 +196,53 @@ class OutlineService {
     }
   }
 
+  /**
+   * List the published documents of a collection, with their content
+   *
+   * Uses the paginated documents.list endpoint (archived and deleted documents
+   * are not listed), so callers get every document without fetching each one.
+   *
+   * @param {string} collectionId - The ID of the collection
+   * @returns {Promise<Array<object>>} Documents (id, urlId, title, text, updatedAt...)
+   * @throws {Error} If API request fails
+   */
+  async listDocuments(collectionId) {
+    const limit = 100;
+    const documents = [];
+
+    try {
+      for (let offset = 0; ; offset += limit) {
+        const response = await this.httpClient.post('/api/documents.list', { collectionId, limit, offset });
+        const page = response.data || [];
+
+        documents.push(...page);
+        if (page.length < limit) {
+          break;
+        }
+      }
+
+      this.logger.debug(`Retrieved ${documents.length} documents for collection ${collectionId}`);
+      return documents;
+    } catch (error) {
+      this.logger.error(`Failed to list documents of collection ${collectionId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the last update of every published document in a collection
+   *
+   * Incremental downloads use it to know what changed without fetching each document.
+   *
+   * @param {string} collectionId - The ID of the collection
+   * @returns {Promise<Map<string, string>>} Document ID → updatedAt
+   * @throws {Error} If API request fails
+   */
+  async listDocumentUpdates(collectionId) {
+    const documents = await this.listDocuments(collectionId);
+    return new Map(documents.map(document => [document.id, document.updatedAt]));
+  }
+
   /**
    * Get the full content of a specific document
    *
@@ -236,6 +334,18 @@ class OutlineService {
     }
   }
 
+  /**
+   * Download the content of an attachment
+   *
+   * @param {string} attachmentId - The ID of the attachment (from /api/attachments.redirect?id=...)
+   * @returns {Promise<{data: Buffer, contentType: string|null, url: string}>} Content, type and storage URL
+   * @throws {Error} If the download fails
+   */
+  async downloadAttachment(attachmentId) {
+    this.logger.debug(`Downloading attachment ${attachmentId}`);
+    return this.httpClient.download(`/api/attachments.redirect?id=${encodeURIComponent(attachmentId)}`);
+  }
+
   /**
    * Clear the document cache
    *
@@ -480,6 +590,162 @@ class OutlineService {
     return `${sanitizedTitle}.md`;
   }
 
+  /**
+   * Caminho do arquivo do documento (o mesmo que downloadDocument() grava)
+   *
+   * @private
+   * @param {object} doc - Objeto do documento
+   * @param {string} collectionName - Nome da coleção
+   * @param {string} parentPath - Diretório pai
+   * @returns {string} Caminho do arquivo .md
+   */
+  _documentFilePath(doc, collectionName, parentPath) {
+    const filename = this._generateDocumentFilename(doc);
+
+    if (doc.children && doc.children.length > 0) {
+      const sanitizedTitle = this.sanitizeFilename(doc.title);
+      const subfolderPath = parentPath
+        ? `${parentPath}/${sanitizedTitle}`
+        : this.sanitizePath(collectionName, sanitizedTitle);
+      return `${subfolderPath}/${filename}`;
+    }
+
+    return `${parentPath || this.sanitizePath(collectionName)}/${filename}`;
+  }
+
+  /**
+   * Verifica se o arquivo local do documento está atualizado (download incremental)
+   *
+   * Atualizado = mesmo "updated:" no frontmatter que o updatedAt do Outline, no mesmo caminho.
+   *
+   * @private
+   * @param {object} doc - Objeto do documento
+   * @param {string} filepath - Caminho onde o documento seria gravado
+   * @returns {boolean} true se o download pode ser pulado
+   */
+  _isUnchanged(doc, filepath) {
+    if (!this.incremental) {
+      return false;
+    }
+
+    this.incremental.seen.add(doc.id);
+
+    const local = this.incremental.local.get(doc.id);
+    const updatedAt = this.incremental.updates.get(doc.id);
+    const unchanged = Boolean(local && updatedAt) &&
+      local.updated === updatedAt &&
+      local.file === path.resolve(filepath) &&
+      fs.existsSync(local.file);
+
+    if (unchanged) {
+      this.incremental.counts.unchanged++;
+      this.logger.debug(`Sem mudanças: ${filepath}`);
+    }
+
+    return unchanged;
+  }
+
+  /**
+   * Contabiliza um documento gravado no download incremental (novo ou alterado)
+   *
+   * Se o documento mudou de caminho (renomeado ou movido), o arquivo antigo é removido.
+   *
+   * @private
+   * @param {object} doc - Objeto do documento
+   * @param {string} filepath - Caminho gravado
+   * @returns {void}
+   */
+  _trackIncrementalWrite(doc, filepath) {
+    if (!this.incremental) {
+      return;
+    }
+
+    const local = this.incremental.local.get(doc.id);
+
+    if (!local) {
+      this.incremental.counts.added++;
+      return;
+    }
+
+    this.incremental.counts.changed++;
+    if (local.file !== path.resolve(filepath)) {
+      this._removeLocalFile(local.file);
+    }
+  }
+
+  /**
+   * Baixa os anexos referenciados no markdown e reescreve os links para arquivos locais
+   *
+   * Links de anexos que falharem continuam apontando para o Outline.
+   *
+   * @private
+   * @param {string} markdown - Markdown do documento
+   * @param {string} filepath - Caminho do arquivo do documento (base dos links relativos)
+   * @returns {Promise<string>} Markdown com os links reescritos
+   */
+  async _localizeAttachments(markdown, filepath) {
+    if (!this.attachments || !this.attachments.collection) {
+      return markdown;
+    }
+
+    const ids = [...new Set([...markdown.matchAll(ATTACHMENT_URL_PATTERN)].map(match => match[1]))];
+    const files = new Map();
+
+    for (const id of ids) {
+      files.set(id, await this._storeAttachment(id));
+    }
+
+    return markdown.replace(ATTACHMENT_URL_PATTERN, (url, id) => {
+      const file = files.get(id);
+      if (!file) {
+        return url;
+      }
+
+      this.attachments.counts.links++;
+      return path.relative(path.dirname(filepath), file).split(path.sep).join('/');
+    });
+  }
+
+  /**
+   * Baixa um anexo para _attachments/ da coleção (uma vez por conteúdo)
+   *
+   * @private
+   * @param {string} id - ID do anexo
+   * @returns {Promise<string|null>} Caminho do arquivo, ou null se o download falhou
+   */
+  async _storeAttachment(id) {
+    const { collection, counts } = this.attachments;
+
+    if (collection.byId.has(id)) {
+      return collection.byId.get(id);
+    }
+
+    let file = null;
+
+    try {
+      const { data, contentType, url } = await this.downloadAttachment(id);
+      const hash = crypto.createHash('sha256').update(data).digest('hex');
+      const extension = path.extname(new URL(url).pathname) ||
+        ATTACHMENT_EXTENSIONS[String(contentType).split(';')[0].trim()] || '';
+      file = `${collection.dir}/${hash.slice(0, 16)}${extension.toLowerCase()}`;
+
+      if (fs.existsSync(file)) {
+        counts.duplicates++;
+      } else {
+        await this.fileManager.ensureDir(collection.dir);
+        await this.fileManager.writeFile(file, data);
+        counts.files++;
+        counts.bytes += data.length;
+      }
+    } catch (error) {
+      this.logger.warn(`Anexo ${id} não baixado, o link continua apontando para o Outline: ${error.message}`);
+      counts.failed++;
+    }
+
+    collection.byId.set(id, file);
+    return file;
+  }
+
   /**
    * Cria o conteúdo markdown do documento com frontmatter
    *
@@ -590,8 +856,13 @@ class OutlineService {
    */
   async downloadDocument(document, collectionName, parentPath = '') {
     try {
+      const filepath = this._documentFilePath(document, collectionName, parentPath);
+
+      // Download incremental: documento sem mudanças desde o último download não é buscado
+      const unchanged = this._isUnchanged(document, filepath);
+
       // Busca o conteúdo completo do documento da API
-      const content = await this.getDocumentContent(document.id);
+      const content = unchanged ? null : await this.getDocumentContent(document.id);
 
       // Inicializa rastreamento de estatísticas
       const stats = { success: 1, failed: 0, errors: [] };
@@ -599,24 +870,22 @@ class OutlineService {
       // Se o documento tem filhos, cria um subdiretório para ele
       if (document.children && document.children.length > 0) {
         const subfolderPath = await this._createDocumentDirectory(document, collectionName, parentPath);
-        const filename = this._generateDocumentFilename(document);
-        const filepath = `${subfolderPath}/${filename}`;
 
-        const markdown = this._createDocumentMarkdown(content);
-        await this._writeDocumentFile(filepath, markdown);
+        if (!unchanged) {
+          const markdown = await this._localizeAttachments(this._createDocumentMarkdown(content), filepath);
+          await this._writeDocumentFile(filepath, markdown);
+          this._trackIncrementalWrite(document, filepath);
+        }
 
         // Processa documentos filhos recursivamente no mesmo subdiretório
         await this._downloadChildDocuments(document.children, subfolderPath, collectionName, stats);
-      } else {
+      } else if (!unchanged) {
         // Sem filhos - apenas salva o documento no diretório atual
-        const basePath = parentPath || this.sanitizePath(collectionName);
-        await this.fileManager.ensureDir(basePath);
-
-        const filename = this._generateDocumentFilename(document);
-        const filepath = `${basePath}/${filename}`;
+        await this.fileManager.ensureDir(path.posix.dirname(filepath));
 
-        const markdown = this._createDocumentMarkdown(content);
+        const markdown = await this._localizeAttachments(this._createDocumentMarkdown(content), filepath);
         await this._writeDocumentFile(filepath, markdown);
+        this._trackIncrementalWrite(document, filepath);
       }
 
       return stats;
@@ -764,6 +1033,11 @@ class OutlineService {
         const collectionPath = this.sanitizePath(collection.name);
         const collectionDir = `${outputDir}/${collectionPath}`;
         await this.fileManager.ensureDir(collectionDir);
+
+        // Anexos ficam em _attachments/ da coleção, um arquivo por conteúdo
+        if (this.attachments) {
+          this.attachments.collection = { dir: `${collectionDir}/_attachments`, byId: new Map() };
+        }
         this.logger.debug(`Criado diretório da coleção: ${collectionDir}`);
 
         // Recupera a árvore do cache ao invés de fazer nova chamada de API
@@ -789,6 +1063,11 @@ class OutlineService {
         // Processa árvore de documentos para esta coleção
         const collectionStats = await this.processDocumentTree(tree, collection.name, collectionDir);
 
+        // Download incremental: só coleções percorridas por completo podem ter arquivos removidos
+        if (this.incremental) {
+          this.incremental.collectionDirs.push(path.resolve(collectionDir));
+        }
+
         // Atualiza estatísticas da coleção
         collectionResults.success = collectionStats.success;
         collectionResults.failed = collectionStats.failed;
@@ -859,6 +1138,21 @@ class OutlineService {
     this.logger.info(`  Total de Documentos: ${results.totalDocs}`);
     this.logger.info(`  Sucesso: ${results.success}`);
     this.logger.info(`  Falhas: ${results.failed}`);
+    if (results.incremental) {
+      const { added, changed, unchanged, removed, removedAttachments } = results.incremental;
+      this.logger.info(`  Novos: ${added}, Alterados: ${changed}, Removidos: ${removed}, Sem mudanças: ${unchanged}, Anexos removidos: ${removedAttachments}`);
+    }
+    if (results.links) {
+      this.logger.info(`  Links entre documentos: ${results.links.rewritten} reescrito(s), ${results.links.unresolved.length} sem destino local`);
+      results.links.unresolved.forEach(({ file, link }) => this.logger.warn(`    - ${file}: ${link}`));
+    }
+    if (results.attachments) {
+      const { files, bytes, duplicates, links, failed } = results.attachments;
+      this.logger.info(
+        `  Anexos: ${files} arquivo(s), ${(bytes / 1024).toFixed(1)} KB ` +
+        `(${duplicates} repetido(s), ${links} link(s) reescrito(s), ${failed} falha(s))`
+      );
+    }
     this.logger.info(`  Tempo decorrido: ${elapsedSeconds}s`);
     this.logger.info(`  Diretório de saída: ${outputDir}`);
 
@@ -888,14 +1182,34 @@ class OutlineService {
    * 1. First pass: Count all documents for progress tracking
    * 2. Second pass: Download all documents
    *
+   * Incremental mode compares each document's updatedAt with the "updated:"
+   * frontmatter of the files already in outputDir: unchanged documents are
+   * not fetched, renamed or moved ones replace their old file, and files of
+   * documents deleted or archived in Outline are removed (only in the
+   * collections that were downloaded), with the attachments no local
+   * document references any more.
+   *
+   * Attachments linked with /api/attachments.redirect URLs are saved in the
+   * "_attachments/" folder of each collection, named by content hash (the
+   * same file is stored once), and the links rewritten to relative paths.
+   * Links between documents, across collections too, are then rewritten to
+   * the downloaded files (see rewriteDocumentLinks()).
+   *
    * @param {string} outputDir - The base output directory for all downloads
    * @param {Array<string>} [collectionFilter=[]] - Optional array of collection IDs to filter
+   * @param {object} [options={}]
+   * @param {boolean} [options.incremental=false] - Only download documents changed since the last download
+   * @param {boolean} [options.attachments=true] - Download attachments and rewrite their links
    * @returns {Promise<object>} Summary object with comprehensive statistics
    * @returns {number} return.totalDocs - Total number of documents processed
    * @returns {number} return.success - Number of successfully downloaded documents
    * @returns {number} return.failed - Number of failed downloads
    * @returns {Array} return.errors - Array of error objects with details
    * @returns {Array} return.collections - Per-collection statistics
+   * @returns {object} [return.incremental] - Incremental mode: added, changed, unchanged and removed counts,
+   *   and attachments no document references any more (removedAttachments)
+   * @returns {object} [return.attachments] - Attachment files and bytes stored, duplicates, links rewritten, failures
+   * @returns {object} return.links - Links between documents rewritten and unresolved (see rewriteDocumentLinks())
    * @throws {TypeError} If outputDir is not a string or collectionFilter is not an array
    * @throws {Error} If outputDir is empty
    *
@@ -907,8 +1221,13 @@ class OutlineService {
    * @example
    * // Filter specific collections
    * const summary = await service.downloadAllDocuments('./docs', ['collection-id-1', 'collection-id-2']);
+   *
+   * @example
+   * // Only what changed since the last download
+   * const summary = await service.downloadAllDocuments('./docs', [], { incremental: true });
+   * // summary.incremental: { added: 1, changed: 3, unchanged: 46, removed: 2, removedAttachments: 1 }
    */
-  async downloadAllDocuments(outputDir, collectionFilter = []) {
+  async downloadAllDocuments(outputDir, collectionFilter = [], options = {}) {
     // Validação de parâmetros
     if (!outputDir || typeof outputDir !== 'string') {
       throw new TypeError('outputDir é obrigatório e deve ser uma string');
@@ -962,17 +1281,43 @@ class OutlineService {
       // Primeiro passo: conta todos os documentos e constrói cache
       const { collectionTrees, totalDocuments } = await this._buildCollectionTreeCache(collections);
 
-      // Inicializa rastreamento de progresso se o logger suportar
-      if (this.logger.startProgress) {
-        this.logger.startProgress(totalDocuments, 'Baixando documentos do Outline');
+      if (options.incremental) {
+        this.incremental = await this._prepareIncremental(outputDir, collections);
+      }
+
+      if (options.attachments !== false) {
+        this.attachments = { collection: null, counts: { files: 0, bytes: 0, duplicates: 0, links: 0, failed: 0 } };
       }
 
-      // Segundo passo: baixa documentos de cada coleção
-      await this._downloadCollectionBatch(collections, collectionTrees, outputDir, results);
+      try {
+        // Inicializa rastreamento de progresso se o logger suportar
+        if (this.logger.startProgress) {
+          this.logger.startProgress(totalDocuments, 'Baixando documentos do Outline');
+        }
+
+        // Segundo passo: baixa documentos de cada coleção
+        await this._downloadCollectionBatch(collections, collectionTrees, outputDir, results);
+
+        // Completa rastreamento de progresso se o logger suportar
+        if (this.logger.completeProgress) {
+          this.logger.completeProgress('Download concluído');
+        }
+
+        if (this.incremental) {
+          this._removeDeletedDocuments();
+          this._removeUnusedAttachments();
+          results.incremental = this.incremental.counts;
+        }
+
+        if (this.attachments) {
+          results.attachments = this.attachments.counts;
+        }
 
-      // Completa rastreamento de progresso se o logger suportar
-      if (this.logger.completeProgress) {
-        this.logger.completeProgress('Download concluído');
+        // Pós-processamento: links entre documentos (inclusive de outras coleções) viram caminhos relativos
+        results.links = await this.rewriteDocumentLinks(outputDir);
+      } finally {
+        this.incremental = null;
+        this.attachments = null;
       }
 
       // Gera e loga estatísticas finais
@@ -986,6 +1331,778 @@ class OutlineService {
     }
   }
 
+  /**
+   * Prepara o download incremental: documentos locais e datas de atualização no Outline
+   *
+   * @private
+   * @param {string} outputDir - Diretório de saída base
+   * @param {Array} collections - Coleções a baixar
+   * @returns {Promise<object>} Estado { outputDir, local, updates, seen, collectionDirs, counts }
+   *   (counts: added, changed, unchanged, removed, removedAttachments)
+   */
+  async _prepareIncremental(outputDir, collections) {
+    const local = this._readLocalDocuments(outputDir);
+    const updates = new Map();
+
+    for (const collection of collections) {
+      try {
+        (await this.listDocumentUpdates(collection.id)).forEach((updatedAt, id) => updates.set(id, updatedAt));
+      } catch (error) {
+        // Sem as datas, os documentos da coleção são baixados de novo
+        this.logger.warn(`Datas de atualização indisponíveis para a coleção "${collection.name}": ${error.message}`);
+      }
+    }
+
+    this.logger.info(`Download incremental: ${local.size} documento(s) já baixados em ${outputDir}`);
+
+    return {
+      outputDir: path.resolve(outputDir),
+      local,
+      updates,
+      seen: new Set(),
+      collectionDirs: [],
+      counts: { added: 0, changed: 0, unchanged: 0, removed: 0, removedAttachments: 0 }
+    };
+  }
+
+  /**
+   * Lê o "id:" e o "updated:" do frontmatter dos arquivos já baixados
+   *
+   * @private
+   * @param {string} outputDir - Diretório de saída base
+   * @returns {Map<string, {file: string, updated: string}>} ID do documento → arquivo local
+   */
+  _readLocalDocuments(outputDir) {
+    const local = new Map();
+
+    for (const file of this._listMarkdownFiles(outputDir)) {
+      const { attributes } = this.parseMarkdown(fs.readFileSync(file, 'utf8'));
+      if (attributes.id) {
+        local.set(attributes.id, { file, updated: attributes.updated });
+      }
+    }
+
+    return local;
+  }
+
+  /**
+   * Lista os arquivos .md de um diretório (recursivo)
+   *
+   * @private
+   * @param {string} dir - Diretório
+   * @returns {Array<string>} Caminhos absolutos, em ordem alfabética por pasta
+   */
+  _listMarkdownFiles(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap(entry => {
+        const fullPath = path.resolve(dir, entry.name);
+        if (entry.isDirectory()) {
+          return this._listMarkdownFiles(fullPath);
+        }
+        return entry.isFile() && entry.name.endsWith('.md') ? [fullPath] : [];
+      });
+  }
+
+  /**
+   * Remove os arquivos de documentos apagados ou arquivados no Outline
+   *
+   * Apenas nas coleções baixadas por completo: um filtro de coleções ou uma
+   * coleção com erro não apaga nada fora delas.
+   *
+   * @private
+   * @returns {void}
+   */
+  _removeDeletedDocuments() {
+    const { local, seen, collectionDirs, counts } = this.incremental;
+
+    for (const [id, { file }] of local) {
+      if (!seen.has(id) && collectionDirs.some(dir => file.startsWith(dir + path.sep))) {
+        this._removeLocalFile(file);
+        counts.removed++;
+        this.logger.info(`Removido (apagado ou arquivado no Outline): ${file}`);
+      }
+    }
+  }
+
+  /**
+   * Remove os anexos que nenhum documento local da coleção referencia mais
+   *
+   * Documentos alterados ou apagados deixam para trás os anexos que só eles
+   * usavam. Como _removeDeletedDocuments(), apenas nas coleções baixadas por completo.
+   *
+   * @private
+   * @returns {void}
+   */
+  _removeUnusedAttachments() {
+    const { collectionDirs, counts } = this.incremental;
+
+    for (const dir of collectionDirs) {
+      const attachmentsDir = path.join(dir, '_attachments');
+      if (!fs.existsSync(attachmentsDir)) {
+        continue;
+      }
+
+      // Anexos são nomeados pelo hash do conteúdo: o nome basta para saber se são usados
+      const referenced = new Set(this._listMarkdownFiles(dir).flatMap(file =>
+        [...fs.readFileSync(file, 'utf8').matchAll(LOCAL_ATTACHMENT_PATTERN)].map(match => match[1])));
+
+      for (const name of fs.readdirSync(attachmentsDir)) {
+        if (!referenced.has(name)) {
+          this._removeLocalFile(path.join(attachmentsDir, name));
+          counts.removedAttachments++;
+          this.logger.info(`Anexo removido (sem referências): ${path.join(attachmentsDir, name)}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove um arquivo local e as pastas que ficarem vazias (até o diretório de saída)
+   *
+   * @private
+   * @param {string} file - Caminho absoluto do arquivo
+   * @returns {void}
+   */
+  _removeLocalFile(file) {
+    fs.rmSync(file, { force: true });
+
+    let dir = path.dirname(file);
+    while (dir.startsWith(this.incremental.outputDir + path.sep) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * Rewrite links between downloaded documents to relative Markdown paths
+   *
+   * Builds a urlId → file index from the "urlId:" frontmatter of every .md
+   * file under outputDir (all collections), then replaces /doc/<slug>-<urlId>
+   * links (relative or absolute, anchors kept) with the relative path of the
+   * target file. Files downloaded before "urlId:" was added to the frontmatter
+   * are not indexed until they are downloaded again.
+   *
+   * @param {string} outputDir - The base output directory of the download
+   * @returns {Promise<{files: number, rewritten: number, unresolved: Array<{file: string, link: string}>}>}
+   *   Files changed, links rewritten and links without a local document (file relative to outputDir)
+   *
+   * @example
+   * const { rewritten, unresolved } = await service.rewriteDocumentLinks('./docs');
+   */
+  async rewriteDocumentLinks(outputDir) {
+    const files = this._listMarkdownFiles(outputDir);
+    const contents = new Map(files.map(file => [file, fs.readFileSync(file, 'utf8')]));
+    const byUrlId = new Map();
+    const result = { files: 0, rewritten: 0, unresolved: [] };
+    // Links absolutos para outros sites com /doc/ no caminho não são do Outline
+    const origin = this.httpClient.baseUrl ? new URL(this.httpClient.baseUrl).origin : null;
+
+    for (const [file, content] of contents) {
+      const { attributes } = this.parseMarkdown(content);
+      if (attributes.urlId) {
+        byUrlId.set(attributes.urlId, file);
+      }
+    }
+
+    for (const [file, content] of contents) {
+      const rewritten = content.replace(DOCUMENT_URL_PATTERN, (link, urlId, anchor = '') => {
+        if (origin && /^https?:/.test(link) && !link.startsWith(`${origin}/`)) {
+          return link;
+        }
+
+        const target = byUrlId.get(urlId);
+        if (!target) {
+          result.unresolved.push({ file: path.relative(outputDir, file).split(path.sep).join('/'), link });
+          return link;
+        }
+
+        result.rewritten++;
+        return path.relative(path.dirname(file), target).split(path.sep).join('/') + anchor;
+      });
+
+      if (rewritten !== content) {
+        await this.fileManager.writeFile(file, rewritten);
+        result.files++;
+      }
+    }
+
+    this.logger.debug(`Links entre documentos: ${result.rewritten} reescrito(s) em ${result.files} arquivo(s)`);
+    return result;
+  }
+
+  /**
+   * Find a collection by ID or name (case-insensitive)
+   *
+   * @param {string} idOrName - Collection ID or name
+   * @returns {Promise<object|null>} Collection, or null if not found
+   * @throws {Error} If API request fails
+   */
+  async findCollection(idOrName) {
+    const collections = await this.listCollections();
+    const name = String(idOrName).toLowerCase();
+
+    return collections.find(c => c.id === idOrName) ||
+      collections.find(c => String(c.name).toLowerCase() === name) ||
+      null;
+  }
+
+  /**
+   * Create and publish a document
+   *
+   * @param {object} document - Document to create
+   * @param {string} document.collectionId - Target collection ID
+   * @param {string} [document.parentDocumentId] - Parent document ID (nested document)
+   * @param {string} document.title - Document title
+   * @param {string} document.text - Markdown content (without the title)
+   * @returns {Promise<object>} Created document
+   * @throws {Error} If API request fails
+   */
+  async createDocument({ collectionId, parentDocumentId, title, text }) {
+    try {
+      this.logger.debug(`Creating document "${title}" in collection ${collectionId}`);
+
+      const response = await this.httpClient.post('/api/documents.create', {
+        collectionId,
+        ...(parentDocumentId ? { parentDocumentId } : {}),
+        title,
+        text,
+        publish: true
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logger.error(`Failed to create document "${title}": ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the title and content of a document
+   *
+   * @param {string} documentId - The ID of the document to update
+   * @param {object} changes - New title and markdown content
+   * @param {string} changes.title - Document title
+   * @param {string} changes.text - Markdown content (without the title)
+   * @returns {Promise<object>} Updated document
+   * @throws {Error} If API request fails
+   */
+  async updateDocument(documentId, { title, text }) {
+    try {
+      this.logger.debug(`Updating document ${documentId}`);
+
+      const response = await this.httpClient.post('/api/documents.update', {
+        id: documentId,
+        title,
+        text,
+        publish: true
+      });
+
+      // O conteúdo em cache ficou desatualizado
+      this.documentCache.delete(documentId);
+
+      return response.data;
+    } catch (error) {
+      this.logger.error(`Failed to update document ${documentId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a document to another parent (or to the root of the collection)
+   *
+   * @param {string} documentId - The ID of the document to move
+   * @param {string} collectionId - Target collection ID
+   * @param {string|null} parentDocumentId - New parent document ID (null = collection root)
+   * @returns {Promise<object>} Move result from the API
+   * @throws {Error} If API request fails
+   */
+  async moveDocument(documentId, collectionId, parentDocumentId = null) {
+    try {
+      this.logger.debug(`Moving document ${documentId} under ${parentDocumentId || 'collection root'}`);
+
+      const response = await this.httpClient.post('/api/documents.move', {
+        id: documentId,
+        collectionId,
+        ...(parentDocumentId ? { parentDocumentId } : {})
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logger.error(`Failed to move document ${documentId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a local Markdown tree to a collection
+   *
+   * The inverse of downloadAllDocuments(): each .md file becomes a document
+   * and each folder the parent of the documents inside it. A folder's own
+   * document is "<folder>/<folder>.md" (the outline:download layout) or
+   * "<folder>/index.md"; a folder without one becomes an empty document
+   * titled after the folder.
+   *
+   * Documents are matched, in order:
+   * 1. By the "id:" frontmatter written by _generateMarkdown(), if the document
+   *    is in the collection
+   * 2. By title, among the documents with the same parent in the collection
+   *
+   * Matched documents are updated when their title or content differ from
+   * the collection (and moved if their parent changed), the others created.
+   * The ID of created documents is written back to the file frontmatter, so
+   * publishing again updates instead of duplicating.
+   *
+   * Relative links to other .md files of the tree (docs:generate pages, or
+   * outline:download files after rewriteDocumentLinks()) are published as
+   * /doc/<urlId> links. Documents linking to ones created later in the same
+   * run are updated once those exist.
+   *
+   * Title: "title:" frontmatter, else the first "# heading", else the file
+   * name. A leading "# heading" equal to the title is not sent as content.
+   *
+   * @param {string} inputDir - Local Markdown directory (e.g. docs:generate output)
+   * @param {string} collectionId - Target collection ID
+   * @param {object} [options={}]
+   * @param {boolean} [options.dryRun=false] - Only log what would be published
+   * @returns {Promise<object>} Summary: totalDocs, created, updated, unchanged, moved, failed, errors
+   * @throws {TypeError} If inputDir or collectionId is not a string
+   * @throws {Error} If inputDir does not exist
+   *
+   * @example
+   * const summary = await service.publishDirectory('./n8n/docs', 'collection-id');
+   * // Returns: { totalDocs: 12, created: 2, updated: 3, unchanged: 7, moved: 0, failed: 0, errors: [] }
+   */
+  async publishDirectory(inputDir, collectionId, options = {}) {
+    // Validação de parâmetros
+    if (!inputDir || typeof inputDir !== 'string') {
+      throw new TypeError('inputDir é obrigatório e deve ser uma string');
+    }
+
+    if (!collectionId || typeof collectionId !== 'string') {
+      throw new TypeError('collectionId é obrigatório e deve ser uma string');
+    }
+
+    if (!fs.existsSync(inputDir) || !fs.statSync(inputDir).isDirectory()) {
+      throw new Error(`Diretório não encontrado: ${inputDir}`);
+    }
+
+    const tree = this._readMarkdownTree(inputDir);
+    const results = {
+      totalDocs: this._countDocuments(tree),
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      moved: 0,
+      failed: 0,
+      errors: []
+    };
+
+    this.logger.info(`Publicando ${results.totalDocs} documento(s) de ${inputDir}${options.dryRun ? ' (dry-run)' : ''}`);
+
+    const remote = this._indexRemoteTree(await this.getCollectionDocuments(collectionId));
+    remote.documents = new Map((await this.listDocuments(collectionId)).map(document => [document.id, document]));
+
+    const context = { collectionId, remote, results, dryRun: Boolean(options.dryRun), ...this._indexLocalLinks(tree, remote), pending: [] };
+    await this._publishNodes(tree, null, context);
+    await this._publishPendingLinks(context);
+
+    this.logger.info(
+      `Publicação concluída: ${results.created} criado(s), ${results.updated} atualizado(s), ` +
+      `${results.unchanged} sem mudanças, ${results.moved} movido(s), ${results.failed} falha(s)`
+    );
+
+    return results;
+  }
+
+  /**
+   * Parse markdown with the YAML frontmatter written by _generateMarkdown()
+   *
+   * Only "key: value" lines are supported, with values quoted by escapeYaml().
+   *
+   * @param {string} markdown - Markdown content
+   * @returns {{attributes: object, body: string}} Frontmatter attributes and content
+   *
+   * @example
+   * parseMarkdown('---\ntitle: "API: v2"\nid: abc\n---\n\nContent')
+   * // Returns: { attributes: { title: 'API: v2', id: 'abc' }, body: 'Content' }
+   */
+  parseMarkdown(markdown) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(markdown);
+
+    if (!match) {
+      return { attributes: {}, body: markdown };
+    }
+
+    const attributes = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        continue;
+      }
+
+      let value = line.slice(separator + 1).trim();
+      // Desfaz o escape de escapeYaml()
+      if (/^".*"$/.test(value)) {
+        value = value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+      }
+      attributes[line.slice(0, separator).trim()] = value;
+    }
+
+    return { attributes, body: markdown.slice(match[0].length).replace(/^(\r?\n)+/, '') };
+  }
+
+  /**
+   * Lê a árvore local de documentos (pastas = documentos pais)
+   *
+   * @private
+   * @param {string} dir - Diretório a ler
+   * @returns {Array<object>} Nós { title, id, file, body, text, children }
+   */
+  _readMarkdownTree(dir) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.') && !entry.name.startsWith('_'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const nodes = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        // Documento da própria pasta: layout do outline:download ou index.md
+        const ownFile = [`${entry.name}.md`, 'index.md']
+          .map(name => path.join(fullPath, name))
+          .find(file => fs.existsSync(file));
+        const node = ownFile
+          ? this._readMarkdownFile(ownFile)
+          : { title: entry.name, id: null, file: null, body: '', text: '' };
+
+        node.children = this._readMarkdownTree(fullPath)
+          .filter(child => child.file !== ownFile);
+        nodes.push(node);
+      } else if (entry.isFile() && entry.name.endsWith('.md')) {
+        nodes.push({ ...this._readMarkdownFile(fullPath), children: [] });
+      }
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Lê um arquivo markdown: título, ID do frontmatter e conteúdo a publicar
+   *
+   * @private
+   * @param {string} file - Caminho do arquivo
+   * @returns {object} { title, id, file, body, text }
+   */
+  _readMarkdownFile(file) {
+    const { attributes, body } = this.parseMarkdown(fs.readFileSync(file, 'utf8'));
+    const heading = /^#\s+(.+?)\s*#*\s*$/m.exec(body);
+    const title = attributes.title || (heading && heading[1]) || path.basename(file, '.md');
+
+    // O título vai no campo title do Outline, não repetido no conteúdo
+    const leadingHeading = /^#\s+(.+?)\s*#*\s*(\r?\n|$)/.exec(body);
+    const text = leadingHeading && leadingHeading[1] === title
+      ? body.slice(leadingHeading[0].length).replace(/^(\r?\n)+/, '')
+      : body;
+
+    return { title, id: attributes.id || null, file, body, text };
+  }
+
+  /**
+   * Indexa a árvore remota da coleção: pai de cada documento e filhos por título
+   *
+   * @private
+   * @param {Array} documents - Árvore de collections.documents
+   * @returns {object} { parents: Map<id, parentId>, children: Map<parentId, Map<title, id>> }
+   */
+  _indexRemoteTree(documents) {
+    const parents = new Map();
+    const children = new Map();
+
+    const visit = (nodes, parentId) => {
+      for (const node of nodes) {
+        parents.set(node.id, parentId);
+        if (!children.has(parentId)) {
+          children.set(parentId, new Map());
+        }
+        children.get(parentId).set(node.title, node.id);
+        visit(node.children || [], node.id);
+      }
+    };
+
+    visit(documents, null);
+    return { parents, children };
+  }
+
+  /**
+   * Indexa os arquivos da árvore local para resolver links entre eles
+   *
+   * O urlId dos documentos já casados pelo "id:" do frontmatter é conhecido
+   * antes da publicação; o dos demais é registrado ao criá-los ou casá-los.
+   *
+   * @private
+   * @param {Array<object>} tree - Nós de _readMarkdownTree()
+   * @param {object} remote - Árvore remota indexada (com os documentos da coleção)
+   * @returns {{files: Set<string>, urls: Map<string, string>}} Arquivos da árvore e urlId por arquivo (caminhos absolutos)
+   */
+  _indexLocalLinks(tree, remote) {
+    const files = new Set();
+    const urls = new Map();
+
+    const visit = (nodes) => {
+      for (const node of nodes) {
+        if (node.file) {
+          files.add(path.resolve(node.file));
+          const document = node.id && remote.documents.get(node.id);
+          if (document && document.urlId) {
+            urls.set(path.resolve(node.file), document.urlId);
+          }
+        }
+        visit(node.children);
+      }
+    };
+
+    visit(tree);
+    return { files, urls };
+  }
+
+  /**
+   * Troca os links relativos para outros .md da árvore por /doc/<urlId>
+   *
+   * Links para arquivos fora da árvore ficam como estão.
+   *
+   * @private
+   * @param {object} node - Nó a publicar
+   * @param {object} context - { files, urls } de _indexLocalLinks()
+   * @returns {{text: string, pending: boolean}} Conteúdo a publicar; pending se algum
+   *   link aponta para um documento da árvore ainda sem urlId
+   */
+  _resolveDocumentLinks(node, context) {
+    let pending = false;
+
+    const text = node.text.replace(MARKDOWN_FILE_LINK_PATTERN, (link, target, anchor = '', title = '') => {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('/')) {
+        return link;
+      }
+
+      let decoded = target;
+      try {
+        decoded = decodeURI(target);
+      } catch {
+        // Caminho com % literal: usado como está
+      }
+
+      const file = path.resolve(path.dirname(node.file), decoded);
+      const urlId = context.urls.get(file);
+
+      if (urlId) {
+        return `](/doc/${urlId}${anchor}${title})`;
+      }
+      if (context.files.has(file)) {
+        pending = true;
+      }
+      return link;
+    });
+
+    return { text, pending };
+  }
+
+  /**
+   * Atualiza um documento casado, se o título ou o conteúdo mudou
+   *
+   * @private
+   * @param {string} documentId - ID do documento no Outline
+   * @param {object} node - Nó publicado
+   * @param {string} text - Conteúdo a publicar (links resolvidos)
+   * @param {object} context - { remote, dryRun }
+   * @returns {Promise<object|null>} Documento atualizado (ou o da coleção em dry-run), null se não mudou
+   */
+  async _updateIfChanged(documentId, node, text, context) {
+    const current = context.remote.documents.get(documentId);
+
+    if (current && current.title === node.title && String(current.text || '').trimEnd() === text.trimEnd()) {
+      return null;
+    }
+
+    if (context.dryRun) {
+      return current || { id: documentId };
+    }
+
+    const updated = await this.updateDocument(documentId, { title: node.title, text });
+    context.remote.documents.set(documentId, { ...current, ...updated, title: node.title, text });
+    return updated;
+  }
+
+  /**
+   * Publica nós irmãos e, recursivamente, seus filhos
+   *
+   * @private
+   * @param {Array<object>} nodes - Nós de _readMarkdownTree()
+   * @param {string|null} parentId - ID do documento pai no Outline (null = raiz da coleção)
+   * @param {object} context - { collectionId, remote, results, dryRun, files, urls, pending }
+   * @returns {Promise<void>}
+   */
+  async _publishNodes(nodes, parentId, context) {
+    const { collectionId, remote, results, dryRun } = context;
+
+    for (const node of nodes) {
+      const label = node.file || `${node.title}/`;
+
+      try {
+        const existingId = (node.id && remote.parents.has(node.id) ? node.id : null) ||
+          (remote.children.get(parentId) || new Map()).get(node.title) || null;
+
+        if (node.id && !remote.parents.has(node.id)) {
+          this.logger.debug(`Documento ${node.id} (${label}) não está na coleção, procurando pelo título`);
+        }
+
+        let documentId = existingId;
+        // Links para documentos ainda não criados são resolvidos depois de publicar a árvore
+        const { text, pending } = node.file ? this._resolveDocumentLinks(node, context) : { text: node.text, pending: false };
+
+        if (!existingId) {
+          this.logger.info(`${dryRun ? '[dry-run] ' : ''}Criar: ${label}`);
+          // Em dry-run o documento não existe: os filhos não podem casar com documentos da raiz
+          documentId = undefined;
+          if (!dryRun) {
+            const created = await this.createDocument({ collectionId, parentDocumentId: parentId, title: node.title, text });
+            documentId = created.id;
+            remote.documents.set(created.id, { ...created, title: node.title, text });
+            this._registerDocumentUrl(node, created, context);
+            await this._writeDocumentId(node, created);
+            if (pending) {
+              context.pending.push({ node, documentId, created: true });
+            }
+          }
+          results.created++;
+        } else {
+          if (remote.parents.get(existingId) !== parentId) {
+            this.logger.info(`${dryRun ? '[dry-run] ' : ''}Mover: ${label}`);
+            if (!dryRun) {
+              await this.moveDocument(existingId, collectionId, parentId);
+            }
+            results.moved++;
+          }
+
+          this._registerDocumentUrl(node, remote.documents.get(existingId), context);
+
+          // Pastas sem documento próprio não têm conteúdo a atualizar
+          if (node.file && pending && !dryRun) {
+            context.pending.push({ node, documentId: existingId, created: false });
+          } else if (node.file) {
+            await this._publishExisting(existingId, node, text, context);
+          }
+        }
+
+        if (this.config.delay && this.config.delay > 0 && !dryRun) {
+          await new Promise(resolve => setTimeout(resolve, this.config.delay));
+        }
+
+        await this._publishNodes(node.children, documentId, context);
+      } catch (error) {
+        // Continua com os demais documentos; os filhos deste não têm onde ser publicados
+        const skipped = this._countDocuments(node.children);
+        this.logger.error(`Erro ao publicar "${label}": ${error.message}${skipped > 0 ? ` (${skipped} filho(s) ignorado(s))` : ''}`);
+        results.failed += 1 + skipped;
+        results.errors.push({ title: node.title, file: node.file, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Atualiza (se mudou) um documento casado e conta o resultado
+   *
+   * @private
+   * @param {string} documentId - ID do documento no Outline
+   * @param {object} node - Nó publicado
+   * @param {string} text - Conteúdo a publicar (links resolvidos)
+   * @param {object} context - { remote, results, dryRun }
+   * @returns {Promise<void>}
+   */
+  async _publishExisting(documentId, node, text, context) {
+    const { results, dryRun } = context;
+    const updated = await this._updateIfChanged(documentId, node, text, context);
+
+    if (!updated) {
+      this.logger.debug(`Sem mudanças: ${node.file}`);
+      results.unchanged++;
+      if (node.id !== documentId && !dryRun) {
+        await this._writeDocumentId(node, context.remote.documents.get(documentId));
+      }
+      return;
+    }
+
+    this.logger.info(`${dryRun ? '[dry-run] ' : ''}Atualizar: ${node.file}`);
+    if (node.id !== documentId && !dryRun) {
+      await this._writeDocumentId(node, updated);
+    }
+    results.updated++;
+  }
+
+  /**
+   * Publica os documentos com links para documentos criados depois deles
+   *
+   * @private
+   * @param {object} context - Contexto de _publishNodes()
+   * @returns {Promise<void>}
+   */
+  async _publishPendingLinks(context) {
+    const { results } = context;
+
+    for (const { node, documentId, created } of context.pending) {
+      const { text } = this._resolveDocumentLinks(node, context);
+
+      try {
+        if (!created) {
+          await this._publishExisting(documentId, node, text, context);
+        } else if (await this._updateIfChanged(documentId, node, text, context)) {
+          this.logger.debug(`Links atualizados: ${node.file}`);
+        }
+      } catch (error) {
+        this.logger.error(`Erro ao publicar "${node.file}": ${error.message}`);
+        results.failed++;
+        results.errors.push({ title: node.title, file: node.file, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Registra o urlId do documento de um arquivo, para os links de outros documentos
+   *
+   * @private
+   * @param {object} node - Nó publicado
+   * @param {object|undefined} document - Documento no Outline
+   * @param {object} context - { urls }
+   * @returns {void}
+   */
+  _registerDocumentUrl(node, document, context) {
+    if (node.file && document && document.urlId) {
+      context.urls.set(path.resolve(node.file), document.urlId);
+    }
+  }
+
+  /**
+   * Grava o ID do documento no frontmatter do arquivo (mantendo o conteúdo)
+   *
+   * @private
+   * @param {object} node - Nó publicado
+   * @param {object} document - Documento retornado pela API
+   * @returns {Promise<void>}
+   */
+  async _writeDocumentId(node, document) {
+    if (!node.file || !document || !document.id) {
+      return;
+    }
+
+    await this.fileManager.writeFile(node.file, this._generateMarkdown({ ...document, title: node.title, text: node.body }));
+    this.logger.debug(`ID ${document.id} gravado em ${node.file}`);
+  }
+
   /**
    * Count total documents in a document tree recursively
    *
@@ -1024,6 +2141,7 @@ class OutlineService {
    * - created: Creation timestamp
    * - updated: Last update timestamp
    * - parent: Parent document ID (if exists)
+   * - urlId: Short ID used in /doc/<slug>-<urlId> links (if exists)
    *
    * @private
    * @param {object} document - The document data from Outline API
@@ -1032,6 +2150,7 @@ class OutlineService {
    * @param {string} document.createdAt - Creation timestamp
    * @param {string} document.updatedAt - Update timestamp
    * @param {string} [document.parentDocumentId] - Parent document ID (optional)
+   * @param {string} [document.urlId] - Short ID of the document URL (optional)
    * @param {string} document.text - Document markdown content
    * @returns {string} Complete markdown with frontmatter
    */
@@ -1050,6 +2169,11 @@ class OutlineService {
       frontmatter.push(`parent: ${document.parentDocumentId}`);
     }
 
+    // urlId: resolves /doc/<slug>-<urlId> links between downloaded documents
+    if (document.urlId) {
+      frontmatter.push(`urlId: ${document.urlId}`);
+    }
+
     frontmatter.push('---');
 
     // Combine frontmatter and document content
@@ -0,0 +1,588 @@
+/**
+ * Secret Scanner - Finds likely secrets in downloaded workflows and documents
+ *
+ * Scans the node parameters of workflow JSON files and the text of Markdown
+ * files with three kinds of rules:
+ * - pattern: known token formats (JWT, AWS, GitHub, Slack, Stripe/OpenAI keys,
+ *   private keys, Bearer tokens, URL credentials and query keys)
+ * - keyword: the masking patterns of Logger (password: …, token: …) and
+ *   parameters named like a secret (Authorization header, apiKey, …)
+ * - entropy: long random-looking strings (Shannon entropy per character)
+ *
+ * Expressions ({{ … }}), {NAME} placeholders and secret: references are
+ * never reported. Findings carry the secret in a non-enumerable "value"
+ * property: reports and JSON output only show a masked preview.
+ *
+ * Redaction replaces each secret with ***REDACTED:<id>*** in place; the
+ * values are kept in a local restore map (default .jana/secret-restore-map.json,
+ * git-ignored, mode 600) so restore() can put them back before an upload.
+ * Uploads and transfers refuse workflows still holding placeholders
+ * (findRedacted()), which would replace the real secrets on the target.
+ *
+ * @example
+ * const scanner = new SecretScanner(logger);
+ * const { findings } = scanner.scanDirectory('./n8n/workflows');
+ * scanner.redact('./n8n/workflows', findings);
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SENSITIVE_PATTERNS, SENSITIVE_KEYS } = require('../utils/logger');
+
+/**
+ * Default restore map location (relative to the current directory)
+ * @type {string}
+ */
+const DEFAULT_RESTORE_MAP = path.join('.jana', 'secret-restore-map.json');
+
+/**
+ * Redaction placeholder
+ * @type {RegExp}
+ */
+const PLACEHOLDER = /\*\*\*REDACTED:([0-9a-f]{12})\*\*\*/g;
+
+/**
+ * Known token formats; the secret is the capture group when there is one
+ * @type {Array<{kind: string, pattern: RegExp}>}
+ */
+const TOKEN_PATTERNS = [
+  { kind: 'bearer token', pattern: /Bearer\s+([A-Za-z0-9\-._~+/]{12,}=*)/g },
+  { kind: 'JSON key', pattern: /"(?:api[_-]?key|token|password|secret|client_secret)"\s*:\s*"([^"{]{6,})"/gi },
+  { kind: 'URL query key', pattern: /[?&](?:api[_-]?key|access_token|token|secret|key)=([^&\s"'{}]{8,})/gi },
+  { kind: 'URL credentials', pattern: /https?:\/\/[^/\s:@{}]+:([^/\s@{}]+)@/g },
+  { kind: 'JWT', pattern: /eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { kind: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/g },
+  { kind: 'API key', pattern: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}|\bsk-[A-Za-z0-9_-]{20,}|\bgh[pousr]_[A-Za-z0-9]{30,}|\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { kind: 'private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g }
+];
+
+/**
+ * Candidates of the entropy rule (no "/" or ".": paths and host names are not
+ * secrets; "=" only as base64 padding: NAME=value is an assignment)
+ * @type {RegExp}
+ */
+const ENTROPY_CANDIDATE = /(?<![A-Za-z0-9+_=-])[A-Za-z0-9+_-]{20,200}={0,2}(?![A-Za-z0-9+_=-])/g;
+
+/**
+ * Spans never reported: placeholders of an earlier redaction, inline base64 data (images)
+ * @type {RegExp}
+ */
+const IGNORED_SPANS = /\*\*\*REDACTED:[0-9a-f]{12}\*\*\*|data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SecretScanner {
+  /**
+   * @param {Logger} [logger] - Logger instance
+   * @param {Object} [options={}]
+   * @param {number} [options.minEntropy=4.5] - Entropy (bits per character) above which a string is random;
+   *   shorter strings need 90% of the maximum entropy for their length instead
+   */
+  constructor(logger = null, options = {}) {
+    this.logger = logger;
+    this.minEntropy = options.minEntropy ?? 4.5;
+  }
+
+  /**
+   * Default restore map path
+   * @returns {string}
+   */
+  static get DEFAULT_RESTORE_MAP() {
+    return DEFAULT_RESTORE_MAP;
+  }
+
+  /**
+   * Shannon entropy of a string
+   *
+   * @param {string} value - String
+   * @returns {number} Bits per character
+   */
+  static entropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  /**
+   * Masked preview of a secret (never more than its first 4 characters)
+   *
+   * @param {string} value - Secret
+   * @returns {string} e.g. "sk-l… (51 chars)"
+   */
+  static mask(value) {
+    return value.length >= 16 ? `${value.slice(0, 4)}… (${value.length} chars)` : `*** (${value.length} chars)`;
+  }
+
+  /**
+   * Find redaction placeholders left in workflows (anywhere in the workflow)
+   *
+   * @param {Array<Object>} workflows - Workflows
+   * @returns {Array<{workflow: string, path: string, id: string}>} Placeholders found (JSON path into the workflow)
+   */
+  static findRedacted(workflows) {
+    const found = [];
+
+    const walk = (value, jsonPath, workflow) => {
+      if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER)) {
+          found.push({ workflow: workflow.name, path: jsonPath, id: match[1] });
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => walk(item, `${jsonPath}[${index}]`, workflow));
+      } else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+          walk(item, /^[A-Za-z_$][\w$]*$/.test(key) ? `${jsonPath}.${key}` : `${jsonPath}[${JSON.stringify(key)}]`, workflow);
+        }
+      }
+    };
+
+    workflows.forEach(workflow => walk(workflow, '$', workflow));
+    return found;
+  }
+
+  /**
+   * Error refusing to push workflows with redaction placeholders
+   *
+   * @param {Array<Object>} redacted - Result of findRedacted()
+   * @returns {Error} Error listing every placeholder and how to put the secrets back
+   */
+  static redactedError(redacted) {
+    const lines = redacted.map(item => `   - ${item.workflow}: ***REDACTED:${item.id}*** in ${item.path}`);
+
+    return new Error(
+      `${redacted.length} redacted secret(s) in workflows, uploading them would replace the real values:\n` +
+      lines.join('\n') + '\n' +
+      '   💡 Put the secrets back first: docs-jana secrets restore <dir> (restore map: ' +
+      `${DEFAULT_RESTORE_MAP} or --restore-map <file>)`
+    );
+  }
+
+  /**
+   * Find secrets in a string
+   *
+   * @param {string} text - String to scan
+   * @param {Object} [context={}]
+   * @param {string} [context.name] - Parameter name (e.g. header name) the whole string is the value of
+   * @param {string} [context.key] - Object key the string is stored under
+   * @returns {Array<{kind: string, rule: string, start: number, end: number, value: string}>} Secrets, most specific rule first
+   */
+  findInString(text, context = {}) {
+    const found = [];
+    const add = (kind, rule, start, value) => {
+      const end = start + value.length;
+      const overlaps = found.some(other => start < other.end && other.start < end);
+      if (!overlaps && !this._isReference(value)) {
+        found.push({ kind, rule, start, end, value });
+      }
+    };
+
+    for (const match of text.matchAll(IGNORED_SPANS)) {
+      found.push({ ignored: true, start: match.index, end: match.index + match[0].length });
+    }
+
+    // Value of a parameter named like a secret: the whole literal string
+    const named = context.name || context.key;
+    if (named && this._isSensitiveName(named)) {
+      const offset = text.startsWith('=') ? 1 : 0;
+      const literal = text.slice(offset).trim();
+      if (literal && (context.name || this._looksRandom(literal))) {
+        add(`"${named}" value`, 'keyword', text.indexOf(literal, offset), literal);
+      }
+    }
+
+    for (const { kind, pattern } of TOKEN_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        const value = match[1] || match[0];
+        add(kind, 'pattern', match.index + match[0].indexOf(value), value);
+      }
+    }
+
+    // Logger masking patterns ("password: …", "token=…"): the value is the last word
+    for (const { pattern } of SENSITIVE_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        const value = (match[0].match(/([^\s:="',;]+)["',;]*$/) || [])[1];
+        if (value && this._looksRandom(value)) {
+          const offset = match[0].lastIndexOf(value);
+          add(`"${match[0].slice(0, offset).replace(/[^A-Za-z_]/g, '')}" value`, 'keyword', match.index + offset, value);
+        }
+      }
+    }
+
+    for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+      const value = match[0];
+      if (!UUID.test(value) && (value.match(/\d/g) || []).length >= 2 && /[A-Za-z]/.test(value) &&
+          SecretScanner.entropy(value) >= Math.min(this.minEntropy, 0.9 * Math.log2(value.length))) {
+        add('high-entropy string', 'entropy', match.index, value);
+      }
+    }
+
+    return found.filter(secret => !secret.ignored);
+  }
+
+  /**
+   * Find secrets in the node parameters of a workflow
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {Array<{path: string, node: string, kind: string, rule: string}>} Findings (JSON path into the file)
+   */
+  scanWorkflow(workflow) {
+    const findings = [];
+
+    (workflow.nodes || []).forEach((node, index) => {
+      this._walkStrings(node.parameters || {}, `$.nodes[${index}].parameters`, (text, jsonPath, context) => {
+        for (const secret of this.findInString(text, context)) {
+          findings.push(this._finding({ path: jsonPath, node: node.name, kind: secret.kind, rule: secret.rule }, secret.value));
+        }
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Find secrets in a Markdown document
+   *
+   * @param {string} text - Markdown
+   * @returns {Array<{line: number, kind: string, rule: string}>} Findings (1-based line)
+   */
+  scanMarkdown(text) {
+    const findings = [];
+
+    text.split('\n').forEach((line, index) => {
+      for (const secret of this.findInString(line)) {
+        findings.push(this._finding({ line: index + 1, kind: secret.kind, rule: secret.rule }, secret.value));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Scan the workflow (.json) and Markdown (.md) files of a directory (recursive)
+   *
+   * @param {string} dir - Directory
+   * @returns {{files: number, findings: Array<Object>}} Scanned files and findings ({ file, path | line, … })
+   * @throws {Error} If the directory does not exist
+   */
+  scanDirectory(dir) {
+    const files = this._listFiles(dir);
+    const findings = [];
+
+    for (const file of files) {
+      const content = fs.readFileSync(path.join(dir, file), 'utf8');
+      let fileFindings = [];
+
+      if (file.endsWith('.md')) {
+        fileFindings = this.scanMarkdown(content);
+      } else {
+        const workflow = this._parseWorkflow(content, file);
+        fileFindings = workflow ? this.scanWorkflow(workflow) : [];
+      }
+
+      fileFindings.forEach(finding => findings.push(this._finding({ file, ...finding }, finding.value)));
+    }
+
+    if (this.logger) {
+      this.logger.debug(`Scanned ${files.length} files in ${dir}: ${findings.length} likely secret(s)`);
+    }
+
+    return { files: files.length, findings };
+  }
+
+  /**
+   * Scan a download folder, print the findings and optionally redact them
+   *
+   * Used after n8n:download and outline:download. Findings are printed with
+   * console.log: Logger would mask their descriptions.
+   *
+   * @param {string} dir - Downloaded directory
+   * @param {Object} [options={}]
+   * @param {boolean} [options.redact=false] - Redact the secrets in place
+   * @param {string} [options.restoreMap] - Restore map file (default: .jana/secret-restore-map.json)
+   * @returns {{files: number, findings: Array<Object>, redaction: Object|null}} Scan (and redaction) result
+   */
+  scanAndReport(dir, options = {}) {
+    const result = this.scanDirectory(dir);
+    let redaction = null;
+
+    if (result.findings.length === 0) {
+      this.logger.info(`🔐 Secret scan: no likely secrets in ${result.files} file(s)`);
+      return { ...result, redaction };
+    }
+
+    this.logger.warn(`⚠️  Secret scan: ${result.findings.length} likely secret(s) in ${dir}`);
+    result.findings.forEach(finding => console.log(`   ${this.describe(finding)}`));
+
+    if (options.redact) {
+      redaction = this.redact(dir, result.findings, { restoreMap: options.restoreMap });
+      this.logger.success(`🔒 Redacted ${redaction.redacted} secret(s) in ${redaction.files} file(s)`);
+      this.logger.info(`   Restore map (local only, never commit it): ${redaction.restoreMap}`);
+      this.logger.info(`💡 Put them back before an upload: docs-jana secrets restore ${dir}`);
+    } else {
+      this.logger.info('💡 Move them to N8N credentials, or redact the files (--redact-secrets on download, secrets scan --redact)');
+    }
+
+    return { ...result, redaction };
+  }
+
+  /**
+   * Replace the secrets of findings with placeholders, in place
+   *
+   * The values are merged into the restore map, which is written with mode 600.
+   *
+   * @param {string} dir - Scanned directory
+   * @param {Array<Object>} findings - Findings of scanDirectory()
+   * @param {Object} [options={}]
+   * @param {string} [options.restoreMap] - Restore map file (default: .jana/secret-restore-map.json)
+   * @returns {{redacted: number, files: number, restoreMap: string}} Redacted secrets and rewritten files
+   */
+  redact(dir, findings, options = {}) {
+    const restoreMap = options.restoreMap || DEFAULT_RESTORE_MAP;
+    if (findings.length === 0) {
+      return { redacted: 0, files: 0, restoreMap };
+    }
+
+    const map = this._loadRestoreMap(restoreMap);
+    const byFile = new Map();
+
+    for (const finding of findings) {
+      const id = crypto.createHash('sha256').update(finding.value).digest('hex').slice(0, 12);
+      map.secrets[id] = finding.value;
+
+      if (!byFile.has(finding.file)) {
+        byFile.set(finding.file, new Map());
+      }
+      byFile.get(finding.file).set(finding.value, `***REDACTED:${id}***`);
+    }
+
+    // Longest first: a secret may contain a shorter one
+    const replaceAll = (text, replacements) => [...replacements.entries()]
+      .sort(([a], [b]) => b.length - a.length)
+      .reduce((result, [value, placeholder]) => result.split(value).join(placeholder), text);
+
+    for (const [file, replacements] of byFile) {
+      this._rewrite(path.join(dir, file), text => replaceAll(text, replacements));
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(restoreMap)), { recursive: true });
+    fs.writeFileSync(restoreMap, JSON.stringify(map, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.chmodSync(restoreMap, 0o600);
+
+    return { redacted: findings.length, files: byFile.size, restoreMap };
+  }
+
+  /**
+   * Put redacted secrets back from the restore map
+   *
+   * @param {string} dir - Directory with redacted files
+   * @param {Object} [options={}]
+   * @param {string} [options.restoreMap] - Restore map file (default: .jana/secret-restore-map.json)
+   * @returns {{restored: number, files: number, missing: string[]}} Restored placeholders, rewritten files, IDs not in the map
+   * @throws {Error} If the restore map does not exist
+   */
+  restore(dir, options = {}) {
+    const restoreMap = options.restoreMap || DEFAULT_RESTORE_MAP;
+    if (!fs.existsSync(restoreMap)) {
+      throw new Error(`Restore map not found: ${restoreMap}`);
+    }
+
+    const { secrets } = this._loadRestoreMap(restoreMap);
+    const missing = new Set();
+    let restored = 0;
+    let files = 0;
+
+    for (const file of this._listFiles(dir)) {
+      try {
+        const changed = this._rewrite(path.join(dir, file), text => text.replace(PLACEHOLDER, (placeholder, id) => {
+          if (secrets[id] === undefined) {
+            missing.add(id);
+            return placeholder;
+          }
+          restored++;
+          return secrets[id];
+        }));
+
+        if (changed) {
+          files++;
+        }
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn(`⚠️  Skipping ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    return { restored, files, missing: [...missing] };
+  }
+
+  /**
+   * One-line description of a finding
+   *
+   * @param {Object} finding - Finding of scanDirectory()
+   * @returns {string} e.g. "B/pedidos.json  $.nodes[2].parameters.url (HTTP)  URL query key  abcd… (32 chars)"
+   */
+  describe(finding) {
+    const where = finding.path ? `${finding.path}${finding.node ? ` (${finding.node})` : ''}` : `line ${finding.line}`;
+    return `${finding.file}  ${where}  ${finding.kind}  ${finding.preview}`;
+  }
+
+  /**
+   * Finding with a masked preview and the secret as non-enumerable "value"
+   * @private
+   */
+  _finding(fields, value) {
+    const finding = { ...fields, preview: SecretScanner.mask(value) };
+    Object.defineProperty(finding, 'value', { value, enumerable: false });
+    return finding;
+  }
+
+  /**
+   * Parameter / header names holding secrets (Logger's sensitive keys, ignoring - and _)
+   * @private
+   */
+  _isSensitiveName(name) {
+    const normalized = name.toLowerCase().replace(/[-_\s]/g, '');
+    return SENSITIVE_KEYS.some(key => normalized.includes(key.replace(/_/g, '')));
+  }
+
+  /**
+   * Value that looks random rather than like a word, an identifier or a reference
+   * @private
+   */
+  _looksRandom(value) {
+    return value.length >= 8 && !/\s/.test(value) && /\d/.test(value) && !this._isReference(value);
+  }
+
+  /**
+   * Expressions, {NAME} placeholders, secret: references, masked values and code identifiers
+   * @private
+   */
+  _isReference(value) {
+    return /\{\{|\$\{|^\$|\(|\*\*\*REDACTED/.test(value) ||
+      /^\{[A-Z0-9_]+\}$/.test(value) ||
+      value.startsWith('secret:') ||
+      /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)+$/.test(value);
+  }
+
+  /**
+   * Walk the strings of node parameters with their JSON path
+   * @private
+   */
+  _walkStrings(value, jsonPath, visit, context = {}) {
+    if (typeof value === 'string') {
+      visit(value, jsonPath, context);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => this._walkStrings(item, `${jsonPath}[${index}]`, visit));
+    } else if (value && typeof value === 'object') {
+      // Resource locators (__rl) hold document / sheet IDs, not secrets
+      if (value.__rl) {
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const childPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${jsonPath}.${key}` : `${jsonPath}[${JSON.stringify(key)}]`;
+        const name = key === 'value' && typeof value.name === 'string' ? value.name : undefined;
+        this._walkStrings(item, childPath, visit, { key, name });
+      }
+    }
+  }
+
+  /**
+   * Workflow (.json with nodes) or null
+   * @private
+   */
+  _parseWorkflow(content, file) {
+    try {
+      const workflow = JSON.parse(content);
+      return workflow && Array.isArray(workflow.nodes) ? workflow : null;
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`⚠️  Skipping ${file}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Rewrite the strings of a file (JSON files string by string, keeping them valid)
+   * @private
+   * @returns {boolean} Whether the file changed
+   */
+  _rewrite(filePath, transform) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    let updated;
+
+    if (filePath.endsWith('.json')) {
+      const transformDeep = value => {
+        if (typeof value === 'string') {
+          return transform(value);
+        }
+        if (Array.isArray(value)) {
+          return value.map(transformDeep);
+        }
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, transformDeep(item)]));
+        }
+        return value;
+      };
+      // Same format as FileManager.saveWorkflow()
+      updated = JSON.stringify(transformDeep(JSON.parse(content)), null, 2);
+    } else {
+      updated = transform(content);
+    }
+
+    if (updated === content) {
+      return false;
+    }
+
+    fs.writeFileSync(filePath, updated, 'utf8');
+    return true;
+  }
+
+  /**
+   * Load the restore map ({ version, secrets: { id: value } })
+   * @private
+   */
+  _loadRestoreMap(restoreMap) {
+    if (!fs.existsSync(restoreMap)) {
+      return { version: 1, secrets: {} };
+    }
+    return JSON.parse(fs.readFileSync(restoreMap, 'utf8'));
+  }
+
+  /**
+   * Workflow and Markdown files of a directory, relative to it (skips "_" files and .git)
+   * @private
+   */
+  _listFiles(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Directory does not exist: ${dir}`);
+    }
+
+    const files = [];
+    const readDir = (current) => {
+      for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+        const fullPath = path.join(current, entry.name);
+
+        if (entry.isDirectory()) {
+          if (entry.name !== '.git' && entry.name !== 'node_modules') {
+            readDir(fullPath);
+          }
+        } else if (entry.isFile() && /\.(json|md)$/.test(entry.name) && !entry.name.startsWith('_')) {
+          files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    readDir(dir);
+    return files.sort();
+  }
+}
+
+module.exports = SecretScanner;
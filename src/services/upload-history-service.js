@@ -14,6 +14,7 @@
  *
  * Entry Structure:
  * {
+ *   id: "20251001-143000-a1b2",
  *   timestamp: "2025-10-01T14:30:00Z",
  *   action: "upload",
  *   status: "success" | "failed" | "partial",
@@ -23,7 +24,8 @@
  *     failed: 2,
  *     folder: "jana"
  *   },
- *   details: "28/30 workflows uploaded successfully to https://n8n.target.com"
+ *   details: "28/30 workflows uploaded successfully to https://n8n.target.com",
+ *   snapshot: "20251001-143000-a1b2"   // pre-upload snapshot (see n8n:rollback), or null
  * }
  *
  * @example
@@ -78,6 +80,9 @@ class UploadHistoryService {
    * @param {number} entry.summary.failed - Failed uploads
    * @param {string} [entry.summary.folder] - Source folder name
    * @param {string} entry.details - Detailed description
+   * @param {string} [entry.id] - Entry ID (generated if omitted)
+   * @param {string} [entry.snapshot] - ID of the pre-upload snapshot used by n8n:rollback
+   * @returns {Object} The created entry
    * @throws {TypeError} If entry is not an object or missing required fields
    *
    * @example
@@ -134,8 +139,10 @@ class UploadHistoryService {
     }
 
     // Create the new entry
+    const now = new Date();
     const newEntry = {
-      timestamp: new Date().toISOString(),
+      id: entry.id || UploadHistoryService.generateEntryId(now),
+      timestamp: now.toISOString(),
       action: entry.action || 'upload',
       status: status,
       summary: {
@@ -144,7 +151,8 @@ class UploadHistoryService {
         failed: entry.summary.failed,
         folder: entry.summary.folder || null
       },
-      details: entry.details
+      details: entry.details,
+      snapshot: entry.snapshot || null
     };
 
     // Add to entries array
@@ -154,6 +162,36 @@ class UploadHistoryService {
 
     // Prune old entries if we exceed the limit
     this._pruneOldEntries();
+
+    return newEntry;
+  }
+
+  /**
+   * Generate a sortable, human-readable entry ID
+   *
+   * @param {Date} [date] - Entry date (default: now)
+   * @returns {string} ID in the form YYYYMMDD-HHMMSS-xxxx
+   *
+   * @example
+   * UploadHistoryService.generateEntryId(); // '20251001-143000-a1b2'
+   */
+  static generateEntryId(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    const datePart = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    const timePart = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    const random = Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0');
+
+    return `${datePart}-${timePart}-${random}`;
+  }
+
+  /**
+   * Find an entry by ID
+   *
+   * @param {string} id - Entry ID
+   * @returns {Object|null} Entry or null if not found (entries from older versions have no ID)
+   */
+  getEntryById(id) {
+    return this.entries.find(entry => entry.id === id) || null;
   }
 
   /**
@@ -418,13 +456,20 @@ class UploadHistoryService {
       const total = entry.summary.total;
       const failed = entry.summary.failed;
 
-      let summaryLine = `${folder}: ${succeeded}/${total} workflows uploaded`;
+      const verb = entry.action === 'rollback' ? 'reverted' : 'uploaded';
+
+      let summaryLine = `${folder}: ${succeeded}/${total} workflows ${verb}`;
 
       // Add failure info if present
       if (failed > 0) {
         summaryLine += ` (${failed} failed)`;
       }
 
+      // Entries with a pre-upload snapshot can be rolled back by ID
+      if (entry.snapshot) {
+        summaryLine += ` #${entry.id}`;
+      }
+
       // Combine into formatted line
       output += `${statusEmoji} [${formattedDate}] ${summaryLine}\n`;
     }
@@ -0,0 +1,237 @@
+/**
+ * Upload Snapshot Service - Pre-upload snapshots used to roll back n8n:upload
+ *
+ * Before n8n:upload overwrites workflows on the target, the current target
+ * version of every affected workflow is saved to a snapshot file. After the
+ * upload, the snapshot also records which workflows were created and updated,
+ * so n8n:rollback can restore updated workflows and delete created ones.
+ *
+ * Features:
+ * - One snapshot per upload, named after the upload history entry ID
+ * - Full previous content of workflows that will be overwritten
+ * - Created / updated workflows and the _id-mapping.json file of the upload
+ * - Rollback marker (a snapshot is rolled back only once)
+ * - Pruning of snapshots whose history entry was pruned
+ *
+ * Snapshot Structure (.upload-snapshots/<id>.json in project root):
+ * {
+ *   id: "20251001-143000-a1b2",
+ *   createdAt: "2025-10-01T14:30:00Z",
+ *   target: "https://n8n.target.com",
+ *   inputDir: "/path/to/n8n/workflows",
+ *   idMappingFile: "/path/to/n8n/workflows/_id-mapping.json",
+ *   previous: { "<targetId>": { ...full workflow before the upload } },
+ *   created: [{ oldId: "abc", newId: "xyz", name: "Customer Onboarding" }],
+ *   updated: [{ oldId: "def", newId: "def", name: "Sync Orders" }],
+ *   rolledBack: null | { at: "...", restored: 1, deleted: 2, failed: 0 }
+ * }
+ *
+ * @example
+ * const snapshots = new UploadSnapshotService(logger);
+ * snapshots.begin({ target, inputDir });
+ * snapshots.addPreviousVersion(await workflowService.getWorkflow(id));
+ * await snapshots.save();
+ * // ... upload ...
+ * snapshots.recordResults(results, mappingFilePath);
+ * await snapshots.save();
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const UploadHistoryService = require('./upload-history-service');
+
+class UploadSnapshotService {
+  /**
+   * Creates an instance of UploadSnapshotService
+   *
+   * @param {Logger} logger - Logger instance for debug/info messages
+   * @param {string} snapshotsDir - Snapshot directory (default: .upload-snapshots in project root)
+   */
+  constructor(logger, snapshotsDir = null) {
+    this.logger = logger;
+
+    this.snapshotsDir = snapshotsDir ||
+      path.join(process.cwd(), '.upload-snapshots');
+
+    // Snapshot being built or loaded
+    this.snapshot = null;
+  }
+
+  /**
+   * Start a new snapshot
+   *
+   * @param {Object} metadata - Upload metadata
+   * @param {string} metadata.target - Target N8N URL
+   * @param {string} metadata.inputDir - Uploaded directory
+   * @param {string} [metadata.id] - Snapshot ID (generated if omitted; used as history entry ID)
+   * @returns {Object} New snapshot
+   */
+  begin({ target, inputDir, id = null }) {
+    this.snapshot = {
+      id: id || UploadHistoryService.generateEntryId(),
+      createdAt: new Date().toISOString(),
+      target,
+      inputDir,
+      idMappingFile: null,
+      previous: {},
+      created: [],
+      updated: [],
+      rolledBack: null
+    };
+
+    return this.snapshot;
+  }
+
+  /**
+   * Store the current target version of a workflow that will be overwritten
+   *
+   * @param {Object} workflow - Full workflow fetched from the target
+   * @throws {Error} If no snapshot was started
+   */
+  addPreviousVersion(workflow) {
+    this._requireSnapshot();
+    this.snapshot.previous[String(workflow.id)] = workflow;
+  }
+
+  /**
+   * Record which workflows the upload created and updated
+   *
+   * @param {Object} results - Results of WorkflowService.uploadWorkflows()
+   * @param {string|null} idMappingFile - _id-mapping.json written by the upload (if any)
+   * @throws {Error} If no snapshot was started
+   */
+  recordResults(results, idMappingFile = null) {
+    this._requireSnapshot();
+
+    const toEntry = result => ({
+      oldId: result.oldId ? String(result.oldId) : null,
+      newId: result.newId ? String(result.newId) : null,
+      name: result.name
+    });
+
+    this.snapshot.created = (results.created || []).map(toEntry);
+    this.snapshot.updated = (results.updated || []).map(toEntry);
+    this.snapshot.idMappingFile = idMappingFile;
+  }
+
+  /**
+   * Mark the snapshot as rolled back
+   *
+   * @param {{restored: number, deleted: number, failed: number}} report - Rollback counts
+   * @throws {Error} If no snapshot is loaded
+   */
+  markRolledBack(report) {
+    this._requireSnapshot();
+    this.snapshot.rolledBack = { at: new Date().toISOString(), ...report };
+  }
+
+  /**
+   * Path of a snapshot file
+   *
+   * @param {string} id - Snapshot ID
+   * @returns {string} File path
+   */
+  filePath(id) {
+    return path.join(this.snapshotsDir, `${id}.json`);
+  }
+
+  /**
+   * Save the current snapshot
+   *
+   * @throws {Error} If no snapshot was started or the write fails
+   */
+  async save() {
+    this._requireSnapshot();
+
+    try {
+      await fs.mkdir(this.snapshotsDir, { recursive: true });
+      await fs.writeFile(this.filePath(this.snapshot.id), JSON.stringify(this.snapshot, null, 2), 'utf8');
+      this.logger.debug(`Saved upload snapshot: ${this.filePath(this.snapshot.id)}`);
+    } catch (error) {
+      this.logger.error(`Failed to save upload snapshot: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a snapshot
+   *
+   * @param {string} id - Snapshot ID (upload history entry ID)
+   * @returns {Promise<Object>} Snapshot
+   * @throws {Error} If the snapshot does not exist or is invalid
+   */
+  async load(id) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath(id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No pre-upload snapshot found for history entry ${id}`);
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid upload snapshot ${this.filePath(id)}: ${error.message}`);
+    }
+
+    if (!data || typeof data.previous !== 'object' || !Array.isArray(data.created)) {
+      throw new Error(`Invalid upload snapshot ${this.filePath(id)}: missing previous/created`);
+    }
+
+    this.snapshot = data;
+    return data;
+  }
+
+  /**
+   * Delete snapshots that are not referenced anymore
+   *
+   * @param {string[]} keepIds - Snapshot IDs still referenced by the upload history
+   * @returns {Promise<number>} Number of deleted snapshots
+   */
+  async prune(keepIds) {
+    let files;
+    try {
+      files = await fs.readdir(this.snapshotsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const keep = new Set(keepIds);
+    let deleted = 0;
+
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      if (file.endsWith('.json') && !keep.has(id)) {
+        await fs.unlink(path.join(this.snapshotsDir, file));
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      this.logger.debug(`Pruned ${deleted} upload snapshots`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Throws if there is no current snapshot
+   *
+   * @private
+   * @throws {Error} If no snapshot was started or loaded
+   */
+  _requireSnapshot() {
+    if (!this.snapshot) {
+      throw new Error('No upload snapshot started (call begin() or load() first)');
+    }
+  }
+}
+
+module.exports = UploadSnapshotService;
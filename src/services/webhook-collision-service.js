@@ -0,0 +1,160 @@
+/**
+ * Webhook Collision Service - Detects workflows registering the same webhook
+ *
+ * N8N keeps a single registration per webhook route: when two workflows use
+ * the same method + URL, the second one fails to activate (or one of them
+ * silently stops receiving calls after a deploy). Routes are collected from:
+ *
+ * - Webhook and Form Trigger nodes (method + path, under /webhook/ and /form/:
+ *   a Webhook and a Form Trigger with the same path do not collide)
+ * - Other trigger nodes with a webhookId (copies of a workflow share it)
+ *
+ * Workflows are identified by name: a target workflow with the same name as
+ * a local one is the workflow being replaced, not a collision. The same path
+ * under different names (e.g. "[Jana] (B) Pedidos" and "[Jana] (C) Pedidos v2",
+ * usually a workflow copied to another layer) is reported.
+ *
+ * @example
+ * const detector = new WebhookCollisionService(logger);
+ * const collisions = detector.findCollisions(localWorkflows, targetWorkflows);
+ * collisions.forEach(collision => console.log(detector.describe(collision)));
+ */
+
+/**
+ * Node types registering a webhook path: URL prefix of the path, and the
+ * methods used when the node has no httpMethod
+ * @type {Object<string, {prefix: string, methods: string[]}>}
+ */
+const WEBHOOK_NODES = {
+  'n8n-nodes-base.webhook': { prefix: 'webhook', methods: ['GET'] },
+  'n8n-nodes-base.formTrigger': { prefix: 'form', methods: ['GET', 'POST'] }
+};
+
+class WebhookCollisionService {
+  /**
+   * @param {Logger} [logger] - Logger instance for debug messages
+   */
+  constructor(logger = null) {
+    this.logger = logger;
+  }
+
+  /**
+   * Webhook routes a workflow registers when active
+   *
+   * Paths set by expressions are resolved at runtime and left out.
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {Array<{node: string, method: string, path: string, prefix: string, key: string}>} Routes
+   *   (key: method and URL path, e.g. "POST webhook/orders"; no prefix for webhookId routes)
+   */
+  webhookRoutes(workflow) {
+    const routes = [];
+
+    for (const node of workflow.nodes || []) {
+      if (node.disabled) {
+        continue;
+      }
+
+      const type = String(node.type || '');
+      const webhookNode = WEBHOOK_NODES[type];
+
+      if (webhookNode) {
+        const rawPath = node.parameters?.path;
+        if (typeof rawPath !== 'string' || rawPath === '' || rawPath.startsWith('=')) {
+          continue;
+        }
+
+        const path = rawPath.replace(/^\/+|\/+$/g, '');
+        const configured = node.parameters.httpMethod;
+        const methods = configured ? [].concat(configured) : webhookNode.methods;
+
+        for (const method of methods) {
+          const upper = String(method).toUpperCase();
+          const key = `${upper} ${webhookNode.prefix}/${path}`;
+          routes.push({ node: node.name, method: upper, path, prefix: webhookNode.prefix, key });
+        }
+      } else if (node.webhookId && /trigger$/i.test(type)) {
+        // Service triggers register /webhook/<webhookId>/...: copies of a workflow share it
+        routes.push({ node: node.name, method: '*', path: node.webhookId, key: `webhookId ${node.webhookId}` });
+      }
+    }
+
+    return routes;
+  }
+
+  /**
+   * Find webhook routes used by more than one workflow
+   *
+   * Only routes involving at least one local workflow are reported. Severity
+   * is "warning" when the other workflows are inactive target workflows (the
+   * collision only shows up if they are activated), "error" otherwise.
+   *
+   * @param {Array<Object>} workflows - Local workflows (files, or the source of a transfer)
+   * @param {Array<Object>} [targetWorkflows=[]] - Workflows of the target instance
+   * @returns {Array<{method: string, path: string, key: string, severity: string,
+   *   workflows: Array<{name: string, id: string, node: string, origin: string, active: boolean}>}>} Collisions
+   */
+  findCollisions(workflows, targetWorkflows = []) {
+    const localNames = new Set(workflows.map(workflow => workflow.name));
+    const byKey = new Map();
+
+    const collect = (workflow, origin) => {
+      for (const route of this.webhookRoutes(workflow)) {
+        if (!byKey.has(route.key)) {
+          byKey.set(route.key, { method: route.method, path: route.path, key: route.key, workflows: [] });
+        }
+        byKey.get(route.key).workflows.push({
+          name: workflow.name,
+          id: workflow.id ? String(workflow.id) : null,
+          node: route.node,
+          origin,
+          active: workflow.active === true
+        });
+      }
+    };
+
+    workflows.forEach(workflow => collect(workflow, 'local'));
+    targetWorkflows
+      .filter(workflow => !localNames.has(workflow.name))
+      .forEach(workflow => collect(workflow, 'target'));
+
+    const collisions = [];
+    for (const route of byKey.values()) {
+      const local = route.workflows.filter(entry => entry.origin === 'local');
+      if (route.workflows.length < 2 || local.length === 0) {
+        continue;
+      }
+
+      const blocking = local.length > 1 || route.workflows.some(entry => entry.origin === 'target' && entry.active);
+      collisions.push({ ...route, severity: blocking ? 'error' : 'warning' });
+    }
+
+    if (this.logger) {
+      this.logger.debug(`Webhook routes: ${byKey.size}, collisions: ${collisions.length}`);
+    }
+
+    return collisions;
+  }
+
+  /**
+   * One-line description of a collision
+   *
+   * @param {Object} collision - Collision (see findCollisions())
+   * @returns {string} e.g. 'GET /orders: "Pedidos" (Webhook), "Pedidos v2" (Webhook, target, active)'
+   */
+  describe(collision) {
+    const route = collision.method === '*' ? `webhookId ${collision.path}` : `${collision.method} /${collision.path}`;
+    const users = collision.workflows.map(entry => {
+      const details = [entry.node];
+      if (entry.origin === 'target') {
+        details.push('target', entry.active ? 'active' : 'inactive');
+      }
+      return `"${entry.name}" (${details.join(', ')})`;
+    });
+
+    return `${route}: ${users.join(', ')}`;
+  }
+}
+
+module.exports = WebhookCollisionService;
+module.exports.WEBHOOK_NODES = WEBHOOK_NODES;
@@ -0,0 +1,223 @@
+/**
+ * Workflow Activation Service - Activation policy for uploads and transfers
+ *
+ * The N8N API ignores the "active" field on create/update, so uploaded
+ * workflows keep the target's activation state (new ones are inactive).
+ * This service applies an activation policy once the workflows are on the
+ * target and their sub-workflow references are remapped:
+ *
+ * - preserve   Same state as the source file/instance ("active" field)
+ * - all        Activate every workflow with a trigger node
+ * - none       Keep everything inactive (deactivates active ones)
+ *
+ * Before activating, the webhook routes of the workflow (method + path of
+ * Webhook and Form Trigger nodes, webhookId of other trigger nodes) are
+ * checked against the workflows active on the target and the ones activated
+ * earlier in the same run: colliding workflows are left inactive and
+ * reported instead of failing on the N8N side.
+ *
+ * @example
+ * const activation = new WorkflowActivationService(logger);
+ * const report = await activation.apply(items, 'preserve', targetWorkflows, workflowService);
+ * report.failed.forEach(failure => console.log(failure.name, failure.error));
+ */
+
+const WebhookCollisionService = require('./webhook-collision-service');
+const { WEBHOOK_NODES } = WebhookCollisionService;
+
+/**
+ * Activation policies
+ * @enum {string}
+ */
+const ActivationPolicy = {
+  PRESERVE: 'preserve',
+  ALL: 'all',
+  NONE: 'none'
+};
+
+/**
+ * Trigger nodes that do not make a workflow activatable
+ * @type {string[]}
+ */
+const NON_ACTIVATING_TRIGGERS = [
+  'n8n-nodes-base.manualTrigger',
+  'n8n-nodes-base.executeWorkflowTrigger',
+  'n8n-nodes-base.start',
+  '@n8n/n8n-nodes-langchain.manualChatTrigger'
+];
+
+class WorkflowActivationService {
+  /**
+   * @param {Logger} logger - Logger instance for debug messages
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.collisions = new WebhookCollisionService(logger);
+  }
+
+  /**
+   * Validate an activation policy
+   *
+   * @param {string} policy - Policy name
+   * @returns {string} The policy
+   * @throws {Error} If the policy is unknown
+   */
+  static validatePolicy(policy) {
+    if (!Object.values(ActivationPolicy).includes(policy)) {
+      throw new Error(`Unknown activation policy "${policy}" (expected: ${Object.values(ActivationPolicy).join(', ')})`);
+    }
+    return policy;
+  }
+
+  /**
+   * Check if a workflow has a trigger node N8N can activate
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {boolean} True if the workflow can be activated
+   */
+  hasTrigger(workflow) {
+    return (workflow.nodes || []).some(node => {
+      const type = String(node.type || '');
+      return !node.disabled &&
+        !NON_ACTIVATING_TRIGGERS.includes(type) &&
+        (/trigger$/i.test(type) || Object.prototype.hasOwnProperty.call(WEBHOOK_NODES, type));
+    });
+  }
+
+  /**
+   * Webhook routes a workflow registers when active
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {Array<{node: string, method: string, path: string, key: string}>} Routes (see WebhookCollisionService)
+   */
+  webhookRoutes(workflow) {
+    return this.collisions.webhookRoutes(workflow);
+  }
+
+  /**
+   * Decide what to activate and deactivate
+   *
+   * @param {Array<Object>} items - Workflows on the target after the upload
+   * @param {string} items[].name - Workflow name
+   * @param {string} items[].targetId - Workflow ID on the target
+   * @param {Object} items[].workflow - Uploaded content (source "active" field and nodes)
+   * @param {boolean} items[].active - Current activation state on the target
+   * @param {string} policy - Activation policy
+   * @param {Array<Object>} [targetWorkflows=[]] - Target workflows (active ones are checked for collisions)
+   * @returns {{activate: Array<Object>, deactivate: Array<Object>, unchanged: number,
+   *   skipped: Array<{name: string, reason: string}>, collisions: Array<Object>}} Decisions
+   */
+  plan(items, policy, targetWorkflows = []) {
+    WorkflowActivationService.validatePolicy(policy);
+
+    const decisions = { activate: [], deactivate: [], unchanged: 0, skipped: [], collisions: [] };
+    const wanted = [];
+    const itemIds = new Set(items.map(item => String(item.targetId)));
+
+    for (const item of items) {
+      const desired = policy === ActivationPolicy.ALL ||
+        (policy === ActivationPolicy.PRESERVE && item.workflow.active === true);
+
+      if (desired === Boolean(item.active)) {
+        decisions.unchanged++;
+        if (desired) {
+          wanted.push(item);
+        }
+      } else if (!desired) {
+        decisions.deactivate.push(item);
+      } else if (!this.hasTrigger(item.workflow)) {
+        decisions.skipped.push({ name: item.name, reason: 'No trigger node to activate' });
+      } else {
+        decisions.activate.push(item);
+      }
+    }
+
+    // Routes held by workflows that stay active: other target workflows, then the uploaded ones
+    const claimed = new Map();
+    const claim = (routes, owner) => routes.forEach(route => {
+      if (!claimed.has(route.key)) {
+        claimed.set(route.key, owner);
+      }
+    });
+
+    targetWorkflows
+      .filter(workflow => workflow.active && !itemIds.has(String(workflow.id)))
+      .forEach(workflow => claim(this.webhookRoutes(workflow), workflow.name));
+    wanted.forEach(item => claim(this.webhookRoutes(item.workflow), item.name));
+
+    decisions.activate = decisions.activate.filter(item => {
+      const routes = this.webhookRoutes(item.workflow);
+      const collisions = routes
+        .filter(route => claimed.has(route.key))
+        .map(route => ({ name: item.name, node: route.node, method: route.method, path: route.path, conflictsWith: claimed.get(route.key) }));
+
+      if (collisions.length > 0) {
+        decisions.collisions.push(...collisions);
+        return false;
+      }
+
+      claim(routes, item.name);
+      return true;
+    });
+
+    return decisions;
+  }
+
+  /**
+   * Apply an activation policy
+   *
+   * Deactivations run first, so paths they free can be taken by the
+   * activations. Failures are collected, not thrown.
+   *
+   * @param {Array<Object>} items - Workflows on the target (see plan())
+   * @param {string} policy - Activation policy
+   * @param {Array<Object>} targetWorkflows - Target workflows (collision check)
+   * @param {{activateWorkflow: Function, deactivateWorkflow: Function}} client - Target API
+   * @param {Object} [options={}]
+   * @param {boolean} [options.dryRun=false] - Only report what would be done
+   * @returns {Promise<Object>} Report: policy, activated, deactivated (names), unchanged,
+   *   skipped, collisions, failed ({ name, action, error }), simulated
+   */
+  async apply(items, policy, targetWorkflows, client, options = {}) {
+    const decisions = this.plan(items, policy, targetWorkflows);
+    const report = {
+      policy,
+      activated: [],
+      deactivated: [],
+      unchanged: decisions.unchanged,
+      skipped: decisions.skipped,
+      collisions: decisions.collisions,
+      failed: [],
+      simulated: options.dryRun === true
+    };
+
+    const run = async (item, action, fn, done) => {
+      if (options.dryRun) {
+        done.push(item.name);
+        return;
+      }
+
+      try {
+        await fn(item.targetId);
+        done.push(item.name);
+      } catch (error) {
+        report.failed.push({ name: item.name, action, error: error.message });
+        this.logger.debug(`Failed to ${action} ${item.name}: ${error.message}`);
+      }
+    };
+
+    for (const item of decisions.deactivate) {
+      await run(item, 'deactivate', id => client.deactivateWorkflow(id), report.deactivated);
+    }
+    for (const item of decisions.activate) {
+      await run(item, 'activate', id => client.activateWorkflow(id), report.activated);
+    }
+
+    this.logger.debug(`Activation (${policy}): ${report.activated.length} activated, ` +
+      `${report.deactivated.length} deactivated, ${report.failed.length} failed, ${report.collisions.length} collision(s)`);
+    return report;
+  }
+}
+
+module.exports = WorkflowActivationService;
+module.exports.ActivationPolicy = ActivationPolicy;
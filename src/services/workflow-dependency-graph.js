@@ -0,0 +1,865 @@
+/**
+ * Workflow Dependency Graph - Call graph between N8N workflows
+ *
+ * Builds the graph of executeWorkflow / toolWorkflow references across a set
+ * of workflows, so they can be uploaded (or transferred) callees first: when a
+ * caller is created, the workflows it calls already have their new IDs and its
+ * references can be remapped in the same request.
+ *
+ * Features:
+ * - Edges caller → callee, with the referencing node names
+ * - Dangling references (workflow IDs that are not in the set)
+ * - Topological order (callees first) and dependency levels
+ * - Cycle detection (strongly connected components, including self-calls)
+ *   with a readable report; cycle members are ordered after their callees
+ *   and still need a second remap pass
+ * - JSON export for other tooling
+ * - Mermaid, Graphviz DOT and self-contained HTML exports, with workflows
+ *   grouped by layer tag ("(A) ..." to "(F) ...", as applied by apply-layer-tags),
+ *   coloured by active state and dangling references highlighted
+ *
+ * Expression references (workflowId starting with "=") are resolved at runtime
+ * by N8N and are not part of the graph.
+ *
+ * JSON Structure (toJSON()):
+ * {
+ *   workflows: [{ id, name, active, layer, level, calls: ["id"], calledBy: ["id"] }],
+ *   edges: [{ from, to, nodes: ["Call Sync"] }],
+ *   dangling: [{ from, to, nodes: ["Call Legacy"] }],
+ *   order: ["callee-id", "caller-id"],
+ *   levels: [["callee-id"], ["caller-id"]],
+ *   cycles: [["a", "b"]]
+ * }
+ *
+ * @example
+ * const graph = new WorkflowDependencyGraph(logger).build(workflows);
+ * const ordered = graph.sortWorkflows(workflows);
+ * if (graph.getCycles().length > 0) {
+ *   logger.warn(graph.formatCycleReport());
+ * }
+ * fs.writeFileSync('graph.mmd', graph.format('mermaid'));
+ */
+
+const { tagNames } = require('../utils/workflow-files');
+
+/**
+ * Node types that reference other workflows (same as WorkflowIDRemapper)
+ * @type {string[]}
+ */
+const WORKFLOW_NODE_TYPES = [
+  'n8n-nodes-base.executeWorkflow',
+  '@n8n/n8n-nodes-langchain.toolWorkflow'
+];
+
+/**
+ * Layer tag pattern (same as n8n:download folder resolution)
+ * @type {RegExp}
+ */
+const LAYER_TAG_PATTERN = /^\(([A-F])\)/i;
+
+/**
+ * Supported output formats
+ * @type {string[]}
+ */
+const FORMATS = ['json', 'mermaid', 'dot', 'html'];
+
+/**
+ * Colours by workflow state (fill, stroke)
+ * @type {Object<string, {fill: string, stroke: string}>}
+ */
+const COLORS = {
+  active: { fill: '#d4edda', stroke: '#28a745' },
+  inactive: { fill: '#eeeeee', stroke: '#999999' },
+  dangling: { fill: '#f8d7da', stroke: '#dc3545' }
+};
+
+/**
+ * Group of workflows without a layer tag
+ * @type {{key: string, name: string}}
+ */
+const NO_LAYER = { key: 'none', name: 'No layer' };
+
+class WorkflowDependencyGraph {
+  /**
+   * Creates an instance of WorkflowDependencyGraph
+   *
+   * @param {Logger} logger - Logger instance for debug messages
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this._reset();
+  }
+
+  /**
+   * Extracts the workflow references of a workflow
+   *
+   * @param {object} workflow - Workflow with nodes
+   * @returns {Array<{nodeName: string, nodeType: string, workflowId: string}>} References
+   */
+  static extractReferences(workflow) {
+    const references = [];
+
+    for (const node of workflow?.nodes || []) {
+      if (!WORKFLOW_NODE_TYPES.includes(node.type) || !node.parameters?.workflowId) {
+        continue;
+      }
+
+      const workflowId = node.parameters.workflowId;
+      let refId = null;
+
+      if (typeof workflowId === 'object' && workflowId !== null && 'value' in workflowId) {
+        refId = workflowId.value;
+      } else if (typeof workflowId === 'string') {
+        refId = workflowId;
+      }
+
+      // Expressions are evaluated by N8N at runtime
+      if (refId === null || refId === undefined || refId === '' || String(refId).startsWith('=')) {
+        continue;
+      }
+
+      references.push({ nodeName: node.name, nodeType: node.type, workflowId: String(refId) });
+    }
+
+    return references;
+  }
+
+  /**
+   * Layer tag of a workflow
+   *
+   * @param {object} workflow - Workflow with tags (objects with a name, or strings)
+   * @returns {{key: string, name: string}|null} Layer letter and tag name, or null
+   */
+  static layerOf(workflow) {
+    for (const name of tagNames(workflow)) {
+      const match = LAYER_TAG_PATTERN.exec(name);
+
+      if (match) {
+        return { key: match[1].toUpperCase(), name };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the call graph of a set of workflows
+   *
+   * @param {Array<object>} workflows - Workflows (with id, name and nodes)
+   * @returns {WorkflowDependencyGraph} This graph (for chaining)
+   */
+  build(workflows) {
+    this._reset();
+
+    for (const workflow of workflows) {
+      const id = String(workflow.id);
+      if (this.workflows.has(id)) {
+        this.logger.debug(`Duplicate workflow ID in dependency graph: ${id} (${workflow.name})`);
+        continue;
+      }
+      this.workflows.set(id, {
+        id,
+        name: workflow.name,
+        active: typeof workflow.active === 'boolean' ? workflow.active : null,
+        layer: WorkflowDependencyGraph.layerOf(workflow),
+        calls: new Set(),
+        calledBy: new Set()
+      });
+      this.ids.push(id);
+    }
+
+    const edges = new Map();
+    const dangling = new Map();
+
+    for (const workflow of workflows) {
+      const from = String(workflow.id);
+
+      for (const ref of WorkflowDependencyGraph.extractReferences(workflow)) {
+        const target = this.workflows.has(ref.workflowId) ? edges : dangling;
+        const key = `${from}\u0000${ref.workflowId}`;
+
+        if (!target.has(key)) {
+          target.set(key, { from, to: ref.workflowId, nodes: [] });
+        }
+        if (!target.get(key).nodes.includes(ref.nodeName)) {
+          target.get(key).nodes.push(ref.nodeName);
+        }
+
+        if (target === edges) {
+          this.workflows.get(from).calls.add(ref.workflowId);
+          this.workflows.get(ref.workflowId).calledBy.add(from);
+        }
+      }
+    }
+
+    this.edges = [...edges.values()];
+    this.dangling = [...dangling.values()];
+
+    this._computeOrder();
+
+    this.logger.debug(
+      `Dependency graph: ${this.ids.length} workflows, ${this.edges.length} edges, ` +
+      `${this.dangling.length} dangling references, ${this.cycles.length} cycles`
+    );
+
+    return this;
+  }
+
+  /**
+   * Workflow IDs in upload order (callees before callers)
+   *
+   * @returns {string[]} Workflow IDs
+   */
+  getOrder() {
+    return [...this.order];
+  }
+
+  /**
+   * Workflow IDs grouped by dependency level
+   *
+   * Level 0 calls no workflow of the set; level n only calls workflows of
+   * lower levels (or of its own cycle). Workflows of the same level can be
+   * processed in parallel.
+   *
+   * @returns {string[][]} Levels, lowest first
+   */
+  getLevels() {
+    return this.levels.map(level => [...level]);
+  }
+
+  /**
+   * Dependency level of a workflow
+   *
+   * @param {string} id - Workflow ID
+   * @returns {number|null} Level, or null if the workflow is not in the graph
+   */
+  getLevel(id) {
+    return this.levelOf.has(String(id)) ? this.levelOf.get(String(id)) : null;
+  }
+
+  /**
+   * Reference cycles (each cycle lists its workflow IDs in graph order)
+   *
+   * @returns {string[][]} Cycles
+   */
+  getCycles() {
+    return this.cycles.map(cycle => [...cycle]);
+  }
+
+  /**
+   * IDs of the workflows of the set called by a workflow
+   *
+   * @param {string} id - Workflow ID
+   * @returns {string[]} Callee IDs
+   */
+  getCallees(id) {
+    const node = this.workflows.get(String(id));
+    return node ? [...node.calls] : [];
+  }
+
+  /**
+   * Whether a workflow is part of a reference cycle
+   *
+   * @param {string} id - Workflow ID
+   * @returns {boolean} True if the workflow calls itself, directly or indirectly
+   */
+  isInCycle(id) {
+    return this.cycles.some(cycle => cycle.includes(String(id)));
+  }
+
+  /**
+   * Sorts workflow objects in dependency order (callees first)
+   *
+   * Workflows that are not part of the graph keep their relative order at the end.
+   *
+   * @param {Array<object>} workflows - Workflows (same set passed to build())
+   * @returns {Array<object>} New array in dependency order
+   */
+  sortWorkflows(workflows) {
+    const position = new Map(this.order.map((id, index) => [id, index]));
+    const rank = workflow => position.has(String(workflow.id)) ? position.get(String(workflow.id)) : Infinity;
+
+    return workflows
+      .map((workflow, index) => ({ workflow, index }))
+      .sort((a, b) => (rank(a.workflow) - rank(b.workflow)) || (a.index - b.index))
+      .map(entry => entry.workflow);
+  }
+
+  /**
+   * Human readable cycle report
+   *
+   * @returns {string} One line per cycle (e.g. "Orders → Billing → Orders"), empty if there are none
+   */
+  formatCycleReport() {
+    if (this.cycles.length === 0) {
+      return '';
+    }
+
+    const lines = [`${this.cycles.length} workflow reference cycle(s) found:`];
+
+    this.cycles.forEach((cycle, index) => {
+      const path = this._cyclePath(cycle);
+      const others = cycle.filter(id => !path.includes(id));
+      const suffix = others.length > 0 ? ` (same cycle: ${others.map(id => this._label(id)).join(', ')})` : '';
+      lines.push(`  ${index + 1}. ${path.map(id => this._label(id)).join(' → ')}${suffix}`);
+    });
+
+    lines.push('  Workflows in a cycle are re-uploaded once all of them have an ID.');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * JSON representation of the graph (see module documentation)
+   *
+   * @returns {object} Serializable graph
+   */
+  toJSON() {
+    return {
+      workflows: this.ids.map(id => {
+        const node = this.workflows.get(id);
+        return {
+          id,
+          name: node.name,
+          active: node.active,
+          layer: node.layer ? node.layer.key : null,
+          level: this.levelOf.get(id),
+          calls: [...node.calls],
+          calledBy: [...node.calledBy]
+        };
+      }),
+      edges: this.edges.map(edge => ({ ...edge, nodes: [...edge.nodes] })),
+      dangling: this.dangling.map(edge => ({ ...edge, nodes: [...edge.nodes] })),
+      order: this.getOrder(),
+      levels: this.getLevels(),
+      cycles: this.getCycles()
+    };
+  }
+
+  /**
+   * Renders the graph
+   *
+   * @param {string} [format='json'] - One of FORMATS (json, mermaid, dot, html)
+   * @returns {string} Rendered graph
+   * @throws {Error} If the format is not supported
+   */
+  format(format = 'json') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unsupported graph format "${format}" (use ${FORMATS.join(', ')})`);
+    }
+
+    switch (format) {
+    case 'mermaid':
+      return this._toMermaid();
+    case 'dot':
+      return this._toDot();
+    case 'html':
+      return this._toHtml();
+    default:
+      return JSON.stringify(this.toJSON(), null, 2);
+    }
+  }
+
+  /**
+   * Clears the graph
+   *
+   * @private
+   */
+  _reset() {
+    this.workflows = new Map();
+    this.ids = [];
+    this.edges = [];
+    this.dangling = [];
+    this.order = [];
+    this.levels = [];
+    this.levelOf = new Map();
+    this.cycles = [];
+  }
+
+  /**
+   * Computes cycles, order and levels
+   *
+   * Cycles are collapsed into a single component (Tarjan), each component
+   * gets the level after its deepest callee, and the order lists the levels
+   * lowest first (input order inside a level).
+   *
+   * @private
+   */
+  _computeOrder() {
+    const components = this._stronglyConnectedComponents();
+    const indexOf = new Map(this.ids.map((id, index) => [id, index]));
+    const componentOf = new Map();
+
+    components.forEach((members, index) => {
+      members.sort((a, b) => indexOf.get(a) - indexOf.get(b));
+      members.forEach(id => componentOf.set(id, index));
+    });
+
+    this.cycles = components
+      .filter(members => members.length > 1 || this.workflows.get(members[0]).calls.has(members[0]))
+      .sort((a, b) => indexOf.get(a[0]) - indexOf.get(b[0]));
+
+    // Component dependencies (callee components)
+    const dependsOn = components.map(() => new Set());
+    for (const edge of this.edges) {
+      const from = componentOf.get(edge.from);
+      const to = componentOf.get(edge.to);
+      if (from !== to) {
+        dependsOn[from].add(to);
+      }
+    }
+
+    // Kahn over components: each component gets the level after its deepest callee
+    const remaining = dependsOn.map(deps => deps.size);
+    const dependents = components.map(() => []);
+    dependsOn.forEach((deps, component) => deps.forEach(dep => dependents[dep].push(component)));
+
+    const componentLevel = new Array(components.length).fill(0);
+    const ready = components.map((_, component) => component).filter(component => remaining[component] === 0);
+
+    while (ready.length > 0) {
+      const component = ready.shift();
+
+      for (const dependent of dependents[component]) {
+        componentLevel[dependent] = Math.max(componentLevel[dependent], componentLevel[component] + 1);
+        if (--remaining[dependent] === 0) {
+          ready.push(dependent);
+        }
+      }
+    }
+
+    // Order: level by level, input order inside a level (cycle members stay together)
+    const first = component => indexOf.get(components[component][0]);
+    const sorted = components
+      .map((_, component) => component)
+      .sort((a, b) => (componentLevel[a] - componentLevel[b]) || (first(a) - first(b)));
+
+    for (const component of sorted) {
+      const level = componentLevel[component];
+      if (!this.levels[level]) {
+        this.levels[level] = [];
+      }
+
+      for (const id of components[component]) {
+        this.order.push(id);
+        this.levels[level].push(id);
+        this.levelOf.set(id, level);
+      }
+    }
+  }
+
+  /**
+   * Tarjan's strongly connected components
+   *
+   * @private
+   * @returns {string[][]} Components (workflow IDs)
+   */
+  _stronglyConnectedComponents() {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    const visit = (id) => {
+      index.set(id, counter);
+      lowLink.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+
+      for (const callee of this.workflows.get(id).calls) {
+        if (!index.has(callee)) {
+          visit(callee);
+          lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(callee)));
+        } else if (onStack.has(callee)) {
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(callee)));
+        }
+      }
+
+      if (lowLink.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+        components.push(component);
+      }
+    };
+
+    for (const id of this.ids) {
+      if (!index.has(id)) {
+        visit(id);
+      }
+    }
+
+    return components;
+  }
+
+  /**
+   * Shortest call path from the first member of a cycle back to itself
+   *
+   * @private
+   * @param {string[]} cycle - Cycle members
+   * @returns {string[]} Workflow IDs (first ID repeated at the end)
+   */
+  _cyclePath(cycle) {
+    const start = cycle[0];
+    const members = new Set(cycle);
+    const previous = new Map();
+    const queue = [start];
+
+    // Breadth-first search inside the cycle until an edge returns to start
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      for (const callee of this.workflows.get(current).calls) {
+        if (callee === start) {
+          const path = [start];
+          for (let id = current; id !== start; id = previous.get(id)) {
+            path.splice(1, 0, id);
+          }
+          path.push(start);
+          return path;
+        }
+
+        if (members.has(callee) && !previous.has(callee)) {
+          previous.set(callee, current);
+          queue.push(callee);
+        }
+      }
+    }
+
+    return [start, start];
+  }
+
+  /**
+   * Workflows grouped by layer (A-F first, then workflows without a layer tag)
+   *
+   * @private
+   * @returns {Array<{key: string, name: string, ids: string[]}>} Groups, IDs in graph order
+   */
+  _groups() {
+    const groups = new Map();
+
+    for (const id of this.order) {
+      const layer = this.workflows.get(id).layer || NO_LAYER;
+
+      if (!groups.has(layer.key)) {
+        groups.set(layer.key, { key: layer.key, name: layer.name, ids: [] });
+      }
+      groups.get(layer.key).ids.push(id);
+    }
+
+    return [...groups.values()].sort((a, b) => {
+      if (a.key === NO_LAYER.key || b.key === NO_LAYER.key) {
+        return a.key === NO_LAYER.key ? 1 : -1;
+      }
+      return a.key.localeCompare(b.key);
+    });
+  }
+
+  /**
+   * Distinct missing workflow IDs (targets of dangling references)
+   *
+   * @private
+   * @returns {string[]} Missing IDs, in order of first reference
+   */
+  _missingIds() {
+    return [...new Set(this.dangling.map(edge => edge.to))];
+  }
+
+  /**
+   * State of a workflow used for colouring
+   *
+   * @private
+   * @param {string} id - Workflow ID
+   * @returns {string} 'active' or 'inactive'
+   */
+  _state(id) {
+    return this.workflows.get(id).active ? 'active' : 'inactive';
+  }
+
+  /**
+   * Mermaid flowchart
+   *
+   * @private
+   * @returns {string} Mermaid source
+   */
+  _toMermaid() {
+    const key = new Map(this.ids.map((id, index) => [id, `wf${index}`]));
+    const missingKey = new Map(this._missingIds().map((id, index) => [id, `missing${index}`]));
+    const label = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+    const lines = ['flowchart LR'];
+
+    for (const group of this._groups()) {
+      lines.push(`  subgraph layer_${group.key}[${label(group.name)}]`);
+      group.ids.forEach(id => lines.push(`    ${key.get(id)}[${label(this.workflows.get(id).name || id)}]`));
+      lines.push('  end');
+    }
+
+    missingKey.forEach((node, id) => lines.push(`  ${node}[${label(`missing: ${id}`)}]`));
+
+    const danglingLinks = [];
+    this.edges.forEach(edge => lines.push(`  ${key.get(edge.from)} --> ${key.get(edge.to)}`));
+    this.dangling.forEach((edge, index) => {
+      danglingLinks.push(this.edges.length + index);
+      lines.push(`  ${key.get(edge.from)} -.-> ${missingKey.get(edge.to)}`);
+    });
+
+    for (const [state, color] of Object.entries(COLORS)) {
+      const dash = state === 'dangling' ? ',stroke-dasharray: 5 5' : '';
+      lines.push(`  classDef ${state} fill:${color.fill},stroke:${color.stroke}${dash}`);
+    }
+
+    for (const state of ['active', 'inactive']) {
+      const members = this.ids.filter(id => this._state(id) === state).map(id => key.get(id));
+      if (members.length > 0) {
+        lines.push(`  class ${members.join(',')} ${state}`);
+      }
+    }
+
+    if (missingKey.size > 0) {
+      lines.push(`  class ${[...missingKey.values()].join(',')} dangling`);
+    }
+
+    if (danglingLinks.length > 0) {
+      lines.push(`  linkStyle ${danglingLinks.join(',')} stroke:${COLORS.dangling.stroke},stroke-width:2px`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Graphviz DOT digraph
+   *
+   * @private
+   * @returns {string} DOT source
+   */
+  _toDot() {
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const missingKey = new Map(this._missingIds().map(id => [id, `missing:${id}`]));
+    const lines = [
+      'digraph workflows {',
+      '  rankdir=LR;',
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+      '  edge [color="#555555"];'
+    ];
+
+    for (const group of this._groups()) {
+      lines.push(`  subgraph ${quote(`cluster_${group.key}`)} {`);
+      lines.push(`    label=${quote(group.name)};`);
+      lines.push('    style=dashed;');
+      for (const id of group.ids) {
+        const color = COLORS[this._state(id)];
+        lines.push(`    ${quote(id)} [label=${quote(this.workflows.get(id).name || id)}, fillcolor="${color.fill}", color="${color.stroke}"];`);
+      }
+      lines.push('  }');
+    }
+
+    missingKey.forEach((node, id) => {
+      lines.push(
+        `  ${quote(node)} [label=${quote(`missing: ${id}`)}, style="rounded,filled,dashed", ` +
+        `fillcolor="${COLORS.dangling.fill}", color="${COLORS.dangling.stroke}"];`
+      );
+    });
+
+    this.edges.forEach(edge => {
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [tooltip=${quote(edge.nodes.join(', '))}];`);
+    });
+    this.dangling.forEach(edge => {
+      lines.push(
+        `  ${quote(edge.from)} -> ${quote(missingKey.get(edge.to))} ` +
+        `[color="${COLORS.dangling.stroke}", style=dashed, tooltip=${quote(edge.nodes.join(', '))}];`
+      );
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Self-contained HTML page (inline SVG, no external scripts)
+   *
+   * One column per layer (plus one for missing workflows); inside a column
+   * workflows are sorted by dependency level.
+   *
+   * @private
+   * @returns {string} HTML document
+   */
+  _toHtml() {
+    const box = { width: 220, height: 34, gapX: 90, gapY: 12, top: 48, left: 20 };
+    const escape = text => String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const truncate = text => (text.length > 30 ? `${text.slice(0, 29)}…` : text);
+
+    const columns = this._groups().map(group => ({ title: group.name, ids: group.ids, missing: false }));
+    const missingIds = this._missingIds();
+    if (missingIds.length > 0) {
+      columns.push({ title: 'Missing workflows', ids: missingIds, missing: true });
+    }
+
+    // Box positions
+    const position = new Map();
+    columns.forEach((column, columnIndex) => {
+      column.ids.forEach((id, row) => {
+        position.set(`${column.missing ? 'missing' : 'wf'}:${id}`, {
+          x: box.left + columnIndex * (box.width + box.gapX),
+          y: box.top + row * (box.height + box.gapY)
+        });
+      });
+    });
+
+    const rows = Math.max(1, ...columns.map(column => column.ids.length));
+    const width = box.left * 2 + columns.length * box.width + Math.max(0, columns.length - 1) * box.gapX;
+    const height = box.top + rows * (box.height + box.gapY) + box.left;
+
+    const edgePath = (from, to) => {
+      const a = position.get(from);
+      const b = position.get(to);
+      const y1 = a.y + box.height / 2;
+      const y2 = b.y + box.height / 2;
+
+      if (a.x === b.x) {
+        // Same column: loop out to the right
+        const x = a.x + box.width;
+        const bend = x + 40 + Math.min(60, Math.abs(y2 - y1) / 4);
+        return `M${x},${y1} C${bend},${y1} ${bend},${y2} ${x},${y2}`;
+      }
+
+      const forward = b.x > a.x;
+      const x1 = forward ? a.x + box.width : a.x;
+      const x2 = forward ? b.x : b.x + box.width;
+      const middle = (x1 + x2) / 2;
+      return `M${x1},${y1} C${middle},${y1} ${middle},${y2} ${x2},${y2}`;
+    };
+
+    const svg = [];
+
+    columns.forEach((column, columnIndex) => {
+      const x = box.left + columnIndex * (box.width + box.gapX);
+      svg.push(`<text class="group" x="${x}" y="${box.top - 18}">${escape(column.title)}</text>`);
+    });
+
+    this.edges.forEach(edge => {
+      svg.push(
+        `<path class="edge" d="${edgePath(`wf:${edge.from}`, `wf:${edge.to}`)}" marker-end="url(#arrow)">` +
+        `<title>${escape(`${this._label(edge.from)} → ${this._label(edge.to)}: ${edge.nodes.join(', ')}`)}</title></path>`
+      );
+    });
+
+    this.dangling.forEach(edge => {
+      svg.push(
+        `<path class="edge dangling" d="${edgePath(`wf:${edge.from}`, `missing:${edge.to}`)}" marker-end="url(#arrow-dangling)">` +
+        `<title>${escape(`${this._label(edge.from)} → missing ${edge.to}: ${edge.nodes.join(', ')}`)}</title></path>`
+      );
+    });
+
+    for (const id of this.ids) {
+      const node = this.workflows.get(id);
+      const { x, y } = position.get(`wf:${id}`);
+      const title = `${this._label(id)}\nLevel ${this.levelOf.get(id)} · calls ${node.calls.size} · called by ${node.calledBy.size}` +
+        (node.active === null ? '' : ` · ${node.active ? 'active' : 'inactive'}`);
+
+      svg.push(
+        `<g class="workflow ${this._state(id)}"><title>${escape(title)}</title>` +
+        `<rect x="${x}" y="${y}" width="${box.width}" height="${box.height}" rx="6"/>` +
+        `<text x="${x + 10}" y="${y + 21}">${escape(truncate(node.name || id))}</text></g>`
+      );
+    }
+
+    for (const id of missingIds) {
+      const { x, y } = position.get(`missing:${id}`);
+      svg.push(
+        `<g class="workflow dangling"><title>${escape(`Missing workflow ${id}`)}</title>` +
+        `<rect x="${x}" y="${y}" width="${box.width}" height="${box.height}" rx="6"/>` +
+        `<text x="${x + 10}" y="${y + 21}">${escape(truncate(`missing: ${id}`))}</text></g>`
+      );
+    }
+
+    const danglingRows = this.dangling.map(edge =>
+      `<tr><td>${escape(this._label(edge.from))}</td><td>${escape(edge.nodes.join(', '))}</td><td><code>${escape(edge.to)}</code></td></tr>`
+    ).join('\n');
+
+    const cycles = this.cycles.map(cycle =>
+      `<li>${escape(this._cyclePath(cycle).map(id => this._label(id)).join(' → '))}</li>`
+    ).join('\n');
+
+    const marker = (id, color) =>
+      `<marker id="${id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+      `<path d="M0,0 L10,5 L0,10 z" fill="${color}"/></marker>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Workflow call graph</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+  .summary span { margin-right: 16px; }
+  .legend span { display: inline-block; padding: 2px 10px; margin-right: 8px; border-radius: 4px; border: 1px solid; }
+  .canvas { overflow: auto; border: 1px solid #ddd; border-radius: 6px; margin: 16px 0; }
+  svg text { font-size: 12px; }
+  svg .group { font-weight: bold; font-size: 13px; fill: #444; }
+  .workflow rect { stroke-width: 1.5; }
+  .workflow.active rect { fill: ${COLORS.active.fill}; stroke: ${COLORS.active.stroke}; }
+  .workflow.inactive rect { fill: ${COLORS.inactive.fill}; stroke: ${COLORS.inactive.stroke}; }
+  .workflow.inactive text { fill: #666; }
+  .workflow.dangling rect { fill: ${COLORS.dangling.fill}; stroke: ${COLORS.dangling.stroke}; stroke-dasharray: 5 4; }
+  .edge { fill: none; stroke: #777; stroke-width: 1.2; }
+  .edge.dangling { stroke: ${COLORS.dangling.stroke}; stroke-dasharray: 5 4; stroke-width: 1.8; }
+  .edge:hover { stroke-width: 3; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+<h1>Workflow call graph</h1>
+<p class="summary">
+  <span><strong>${this.ids.length}</strong> workflows</span>
+  <span><strong>${this.edges.length}</strong> calls</span>
+  <span><strong>${this.levels.length}</strong> dependency levels</span>
+  <span><strong>${this.cycles.length}</strong> cycles</span>
+  <span><strong>${this.dangling.length}</strong> dangling references</span>
+</p>
+<p class="legend">
+  <span style="background:${COLORS.active.fill};border-color:${COLORS.active.stroke}">active</span>
+  <span style="background:${COLORS.inactive.fill};border-color:${COLORS.inactive.stroke}">inactive</span>
+  <span style="background:${COLORS.dangling.fill};border-color:${COLORS.dangling.stroke};border-style:dashed">missing (dangling reference)</span>
+</p>
+<div class="canvas">
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<defs>${marker('arrow', '#777')}${marker('arrow-dangling', COLORS.dangling.stroke)}</defs>
+${svg.join('\n')}
+</svg>
+</div>
+${this.cycles.length > 0 ? `<h2>Reference cycles</h2>\n<ul>\n${cycles}\n</ul>\n` : ''}${this.dangling.length > 0 ? `<h2>Dangling references</h2>
+<table>
+<tr><th>Workflow</th><th>Nodes</th><th>Missing ID</th></tr>
+${danglingRows}
+</table>
+` : ''}</body>
+</html>
+`;
+  }
+
+  /**
+   * Display label of a workflow
+   *
+   * @private
+   * @param {string} id - Workflow ID
+   * @returns {string} "Name (id)"
+   */
+  _label(id) {
+    const node = this.workflows.get(id);
+    return node && node.name ? `${node.name} (${id})` : id;
+  }
+}
+
+WorkflowDependencyGraph.WORKFLOW_NODE_TYPES = WORKFLOW_NODE_TYPES;
+WorkflowDependencyGraph.FORMATS = FORMATS;
+
+module.exports = WorkflowDependencyGraph;
@@ -0,0 +1,696 @@
+/**
+ * Workflow Diff Service - Structural (semantic) diff between N8N workflows
+ *
+ * Compares two versions of a workflow (local file vs target instance, or two
+ * local snapshots) and reports what actually changed, instead of comparing
+ * version suffixes in names.
+ *
+ * Features:
+ * - Nodes matched by node id (falls back to node name for exports without ids),
+ *   so reordering the nodes array or renaming a node is not reported as add/remove
+ * - Node changes reported per parameter path (e.g. parameters.options.timeout)
+ * - Connections compared as edges between node ids (rewiring detection)
+ * - Credential and settings changes reported separately
+ * - Collection diff for snapshot directories (workflows matched by id, then name)
+ * - Output as terminal text, JSON or Markdown (for PR reviews)
+ *
+ * Diff Structure:
+ * {
+ *   base: { id, name }, head: { id, name },
+ *   identical: false,
+ *   workflow: [{ path: 'name', change: 'changed', before, after }],
+ *   nodes: { added: [...], removed: [...], modified: [{ id, name, type, renamedFrom, changes: [...] }] },
+ *   credentials: [{ nodeId, node, type, change, before, after }],
+ *   connections: { added: [{ from, to, type, output, input }], removed: [...] },
+ *   settings: [{ path: 'settings.timezone', change: 'changed', before, after }],
+ *   summary: { nodesAdded, nodesRemoved, nodesModified, credentialsChanged, connectionsAdded, connectionsRemoved, settingsChanged }
+ * }
+ *
+ * @example
+ * const differ = new WorkflowDiffService(logger);
+ * const diff = differ.diff(targetWorkflow, localWorkflow);
+ * console.log(differ.format(diff, 'markdown'));
+ */
+
+const { cell } = require('../utils/markdown');
+
+/**
+ * Node properties that are compared separately (or not at all)
+ * @type {string[]}
+ */
+const NODE_SPECIAL_KEYS = ['id', 'credentials', 'position'];
+
+/**
+ * Top-level workflow properties reported in the "workflow" section
+ * @type {string[]}
+ */
+const WORKFLOW_KEYS = ['name', 'active'];
+
+/**
+ * Supported output formats
+ * @type {string[]}
+ */
+const FORMATS = ['text', 'json', 'markdown'];
+
+class WorkflowDiffService {
+  /**
+   * Creates an instance of WorkflowDiffService
+   *
+   * @param {Logger} logger - Logger instance for debug messages
+   * @param {object} [options] - Diff options
+   * @param {boolean} [options.includePosition=false] - Report node position (canvas layout) changes
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.includePosition = options.includePosition === true;
+  }
+
+  /**
+   * Computes the structural diff between two versions of a workflow
+   *
+   * @param {object} base - Old version (e.g. target instance or older snapshot)
+   * @param {object} head - New version (e.g. local file or newer snapshot)
+   * @returns {object} Diff (see module documentation)
+   */
+  diff(base, head) {
+    const baseNodes = this._indexNodes(base);
+    const headNodes = this._indexNodes(head);
+
+    const result = {
+      base: { id: base.id || null, name: base.name || null },
+      head: { id: head.id || null, name: head.name || null },
+      identical: false,
+      workflow: [],
+      nodes: { added: [], removed: [], modified: [] },
+      credentials: [],
+      connections: { added: [], removed: [] },
+      settings: []
+    };
+
+    for (const key of WORKFLOW_KEYS) {
+      this._diffValues(base[key], head[key], key, result.workflow);
+    }
+
+    for (const [key, node] of headNodes) {
+      const baseNode = baseNodes.get(key);
+
+      if (!baseNode) {
+        result.nodes.added.push(this._nodeSummary(node));
+        this._diffCredentials(null, node, result.credentials);
+        continue;
+      }
+
+      const changes = this._diffNode(baseNode, node);
+      if (changes.length > 0) {
+        const modified = { ...this._nodeSummary(node), changes };
+        if (baseNode.name !== node.name) {
+          modified.renamedFrom = baseNode.name;
+        }
+        result.nodes.modified.push(modified);
+      }
+
+      this._diffCredentials(baseNode, node, result.credentials);
+    }
+
+    for (const [key, node] of baseNodes) {
+      if (!headNodes.has(key)) {
+        result.nodes.removed.push(this._nodeSummary(node));
+        this._diffCredentials(node, null, result.credentials);
+      }
+    }
+
+    this._diffConnections(base, head, baseNodes, headNodes, result.connections);
+    this._diffValues(base.settings || {}, head.settings || {}, 'settings', result.settings);
+
+    result.summary = {
+      nodesAdded: result.nodes.added.length,
+      nodesRemoved: result.nodes.removed.length,
+      nodesModified: result.nodes.modified.length,
+      credentialsChanged: result.credentials.length,
+      connectionsAdded: result.connections.added.length,
+      connectionsRemoved: result.connections.removed.length,
+      settingsChanged: result.settings.length
+    };
+
+    result.identical = result.workflow.length === 0 &&
+      Object.values(result.summary).every(count => count === 0);
+
+    this.logger.debug(`Diff ${result.head.name || result.head.id}: ${result.identical ? 'identical' : 'changed'}`);
+    return result;
+  }
+
+  /**
+   * Diffs two sets of workflows (e.g. two snapshot directories)
+   *
+   * Workflows are matched by id first, then by name (ids change when a
+   * workflow is recreated on another instance).
+   *
+   * @param {Array<object>} baseWorkflows - Old workflows
+   * @param {Array<object>} headWorkflows - New workflows
+   * @returns {{added: Array<object>, removed: Array<object>, changed: Array<object>, unchanged: Array<object>}}
+   *   added/removed/unchanged contain { id, name }; changed contains workflow diffs
+   */
+  diffCollections(baseWorkflows, headWorkflows) {
+    const result = { added: [], removed: [], changed: [], unchanged: [] };
+    const matchedBase = new Set();
+
+    const baseById = new Map(baseWorkflows.filter(wf => wf.id).map(wf => [String(wf.id), wf]));
+    const baseByName = new Map(baseWorkflows.map(wf => [wf.name, wf]));
+
+    for (const headWf of headWorkflows) {
+      let baseWf = headWf.id ? baseById.get(String(headWf.id)) : null;
+      if (!baseWf || matchedBase.has(baseWf)) {
+        baseWf = baseByName.get(headWf.name);
+      }
+
+      if (!baseWf || matchedBase.has(baseWf)) {
+        result.added.push({ id: headWf.id || null, name: headWf.name });
+        continue;
+      }
+
+      matchedBase.add(baseWf);
+      const diff = this.diff(baseWf, headWf);
+
+      if (diff.identical) {
+        result.unchanged.push({ id: headWf.id || null, name: headWf.name });
+      } else {
+        result.changed.push(diff);
+      }
+    }
+
+    for (const baseWf of baseWorkflows) {
+      if (!matchedBase.has(baseWf)) {
+        result.removed.push({ id: baseWf.id || null, name: baseWf.name });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Formats a workflow diff or collection diff
+   *
+   * @param {object} result - Result of diff() or diffCollections()
+   * @param {string} [format='text'] - 'text', 'json' or 'markdown'
+   * @returns {string} Formatted output
+   * @throws {Error} If the format is not supported
+   */
+  format(result, format = 'text') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unsupported diff format "${format}" (use ${FORMATS.join(', ')})`);
+    }
+
+    if (format === 'json') {
+      return JSON.stringify(result, null, 2);
+    }
+
+    const isCollection = Array.isArray(result.changed);
+
+    if (format === 'markdown') {
+      return isCollection ? this._collectionToMarkdown(result) : this._diffToMarkdown(result, '##');
+    }
+
+    return isCollection ? this._collectionToText(result) : this._diffToText(result);
+  }
+
+  /**
+   * Indexes workflow nodes by id (or "name:<name>" when the node has no id)
+   *
+   * @private
+   * @param {object} workflow - Workflow
+   * @returns {Map<string, object>} Nodes by key
+   */
+  _indexNodes(workflow) {
+    const nodes = new Map();
+
+    for (const node of workflow.nodes || []) {
+      nodes.set(this._nodeKey(node), node);
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Returns the matching key of a node
+   *
+   * @private
+   * @param {object} node - Workflow node
+   * @returns {string} Node key
+   */
+  _nodeKey(node) {
+    return node.id ? String(node.id) : `name:${node.name}`;
+  }
+
+  /**
+   * Returns the fields used to identify a node in reports
+   *
+   * @private
+   * @param {object} node - Workflow node
+   * @returns {{id: (string|null), name: string, type: string}} Node summary
+   */
+  _nodeSummary(node) {
+    return { id: node.id || null, name: node.name, type: node.type };
+  }
+
+  /**
+   * Lists property changes of a node (credentials are reported separately)
+   *
+   * @private
+   * @param {object} baseNode - Old node
+   * @param {object} headNode - New node
+   * @returns {Array<object>} Changes
+   */
+  _diffNode(baseNode, headNode) {
+    const changes = [];
+    const ignored = this.includePosition
+      ? NODE_SPECIAL_KEYS.filter(key => key !== 'position')
+      : NODE_SPECIAL_KEYS;
+
+    const keys = new Set([...Object.keys(baseNode), ...Object.keys(headNode)]);
+    for (const key of keys) {
+      if (!ignored.includes(key)) {
+        this._diffValues(baseNode[key], headNode[key], key, changes);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Lists credential changes of a node (added, removed or pointing to another credential)
+   *
+   * @private
+   * @param {object|null} baseNode - Old node (null if the node was added)
+   * @param {object|null} headNode - New node (null if the node was removed)
+   * @param {Array<object>} out - Output list
+   */
+  _diffCredentials(baseNode, headNode, out) {
+    const baseCreds = (baseNode && baseNode.credentials) || {};
+    const headCreds = (headNode && headNode.credentials) || {};
+    const node = headNode || baseNode;
+
+    for (const type of new Set([...Object.keys(baseCreds), ...Object.keys(headCreds)])) {
+      const before = this._credentialLabel(baseCreds[type]);
+      const after = this._credentialLabel(headCreds[type]);
+
+      if (before === after) {
+        continue;
+      }
+
+      out.push({
+        nodeId: node.id || null,
+        node: node.name,
+        type,
+        change: before === null ? 'added' : after === null ? 'removed' : 'changed',
+        before,
+        after
+      });
+    }
+  }
+
+  /**
+   * Formats a node credential reference as "name (id)"
+   *
+   * @private
+   * @param {object|string|undefined} value - Value of node.credentials[type]
+   * @returns {string|null} Label or null when absent
+   */
+  _credentialLabel(value) {
+    if (!value) {
+      return null;
+    }
+
+    if (typeof value === 'string') {
+      return value;
+    }
+
+    return value.id ? `${value.name || ''} (${value.id})`.trim() : (value.name || null);
+  }
+
+  /**
+   * Compares connections as edges between node keys
+   *
+   * Connections are stored by node name in N8N, so both sides are translated
+   * to node keys first: renaming a node does not count as rewiring.
+   *
+   * @private
+   * @param {object} base - Old workflow
+   * @param {object} head - New workflow
+   * @param {Map<string, object>} baseNodes - Old nodes by key
+   * @param {Map<string, object>} headNodes - New nodes by key
+   * @param {{added: Array<object>, removed: Array<object>}} out - Output lists
+   */
+  _diffConnections(base, head, baseNodes, headNodes, out) {
+    const baseEdges = this._collectEdges(base, baseNodes);
+    const headEdges = this._collectEdges(head, headNodes);
+
+    for (const [key, edge] of headEdges) {
+      if (!baseEdges.has(key)) {
+        out.added.push(edge);
+      }
+    }
+
+    for (const [key, edge] of baseEdges) {
+      if (!headEdges.has(key)) {
+        out.removed.push(edge);
+      }
+    }
+  }
+
+  /**
+   * Flattens workflow connections into edges keyed by node keys
+   *
+   * @private
+   * @param {object} workflow - Workflow
+   * @param {Map<string, object>} nodes - Nodes by key
+   * @returns {Map<string, {from: string, to: string, type: string, output: number, input: number}>} Edges
+   */
+  _collectEdges(workflow, nodes) {
+    const keyByName = new Map();
+    for (const [key, node] of nodes) {
+      keyByName.set(node.name, key);
+    }
+
+    const keyOf = name => keyByName.get(name) || `name:${name}`;
+    const edges = new Map();
+
+    for (const [sourceName, outputs] of Object.entries(workflow.connections || {})) {
+      for (const [type, outputList] of Object.entries(outputs || {})) {
+        (outputList || []).forEach((targets, output) => {
+          for (const target of targets || []) {
+            const input = target.index || 0;
+            const key = [keyOf(sourceName), type, output, keyOf(target.node), target.type || type, input].join('|');
+            edges.set(key, { from: sourceName, to: target.node, type, output, input });
+          }
+        });
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Recursively compares two values and records leaf changes
+   *
+   * @private
+   * @param {*} before - Old value
+   * @param {*} after - New value
+   * @param {string} path - Property path of the values
+   * @param {Array<object>} out - Output list of { path, change, before, after }
+   */
+  _diffValues(before, after, path, out) {
+    if (before === undefined && after === undefined) {
+      return;
+    }
+
+    if (this._isObject(before) && this._isObject(after)) {
+      for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        this._diffValues(before[key], after[key], `${path}.${key}`, out);
+      }
+      return;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const length = Math.max(before.length, after.length);
+      for (let i = 0; i < length; i++) {
+        this._diffValues(before[i], after[i], `${path}[${i}]`, out);
+      }
+      return;
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return;
+    }
+
+    out.push({
+      path,
+      change: before === undefined ? 'added' : after === undefined ? 'removed' : 'changed',
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after
+    });
+  }
+
+  /**
+   * Checks if a value is a plain object
+   *
+   * @private
+   * @param {*} value - Value to check
+   * @returns {boolean} True for non-array objects
+   */
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Formats a value for display (truncated JSON)
+   *
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Display value
+   */
+  _formatValue(value) {
+    const text = JSON.stringify(value) ?? 'null';
+    return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+  }
+
+  /**
+   * Formats a property change as "path: before → after"
+   *
+   * @private
+   * @param {object} change - Change entry
+   * @returns {string} Display line
+   */
+  _formatChange(change) {
+    if (change.change === 'added') {
+      return `${change.path}: + ${this._formatValue(change.after)}`;
+    }
+
+    if (change.change === 'removed') {
+      return `${change.path}: - ${this._formatValue(change.before)}`;
+    }
+
+    return `${change.path}: ${this._formatValue(change.before)} → ${this._formatValue(change.after)}`;
+  }
+
+  /**
+   * Formats a connection edge as "A[main:0] → B[0]"
+   *
+   * @private
+   * @param {object} edge - Connection edge
+   * @returns {string} Display text
+   */
+  _formatEdge(edge) {
+    return `${edge.from}[${edge.type}:${edge.output}] → ${edge.to}[${edge.input}]`;
+  }
+
+  /**
+   * Returns the workflow label used in headings
+   *
+   * @private
+   * @param {object} diff - Workflow diff
+   * @returns {string} Label
+   */
+  _diffLabel(diff) {
+    const name = diff.head.name || diff.base.name || 'Unnamed Workflow';
+    return diff.head.id ? `${name} (${diff.head.id})` : name;
+  }
+
+  /**
+   * Renders a workflow diff for the terminal
+   *
+   * @private
+   * @param {object} diff - Workflow diff
+   * @returns {string} Text output
+   */
+  _diffToText(diff) {
+    const lines = [`Workflow: ${this._diffLabel(diff)}`];
+
+    if (diff.identical) {
+      lines.push('  = No differences');
+      return lines.join('\n');
+    }
+
+    diff.workflow.forEach(change => lines.push(`  ~ ${this._formatChange(change)}`));
+
+    if (diff.nodes.added.length + diff.nodes.removed.length + diff.nodes.modified.length > 0) {
+      lines.push('', '  Nodes:');
+      diff.nodes.added.forEach(node => lines.push(`    + ${node.name} (${node.type})`));
+      diff.nodes.removed.forEach(node => lines.push(`    - ${node.name} (${node.type})`));
+      diff.nodes.modified.forEach(node => {
+        const renamed = node.renamedFrom ? ` (renamed from "${node.renamedFrom}")` : '';
+        lines.push(`    ~ ${node.name}${renamed}`);
+        node.changes.forEach(change => lines.push(`        ${this._formatChange(change)}`));
+      });
+    }
+
+    if (diff.connections.added.length + diff.connections.removed.length > 0) {
+      lines.push('', '  Connections:');
+      diff.connections.added.forEach(edge => lines.push(`    + ${this._formatEdge(edge)}`));
+      diff.connections.removed.forEach(edge => lines.push(`    - ${this._formatEdge(edge)}`));
+    }
+
+    if (diff.credentials.length > 0) {
+      lines.push('', '  Credentials:');
+      diff.credentials.forEach(cred => {
+        lines.push(`    ~ ${cred.node} [${cred.type}]: ${cred.before || '(none)'} → ${cred.after || '(none)'}`);
+      });
+    }
+
+    if (diff.settings.length > 0) {
+      lines.push('', '  Settings:');
+      diff.settings.forEach(change => lines.push(`    ~ ${this._formatChange(change)}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Renders a collection diff for the terminal
+   *
+   * @private
+   * @param {object} result - Collection diff
+   * @returns {string} Text output
+   */
+  _collectionToText(result) {
+    const lines = [
+      `Workflows: ${result.added.length} added, ${result.removed.length} removed, ` +
+      `${result.changed.length} changed, ${result.unchanged.length} unchanged`
+    ];
+
+    result.added.forEach(wf => lines.push(`  + ${wf.name}`));
+    result.removed.forEach(wf => lines.push(`  - ${wf.name}`));
+
+    for (const diff of result.changed) {
+      lines.push('', this._diffToText(diff));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Renders a workflow diff as Markdown
+   *
+   * @private
+   * @param {object} diff - Workflow diff
+   * @param {string} heading - Heading prefix for the workflow ('##' or '###')
+   * @returns {string} Markdown output
+   */
+  _diffToMarkdown(diff, heading) {
+    const sub = `${heading}#`;
+    const lines = [`${heading} ${this._diffLabel(diff)}`, ''];
+
+    if (diff.identical) {
+      lines.push('No differences.', '');
+      return lines.join('\n');
+    }
+
+    const s = diff.summary;
+    lines.push(
+      `**Nodes:** +${s.nodesAdded} / -${s.nodesRemoved} / ~${s.nodesModified} · ` +
+      `**Connections:** +${s.connectionsAdded} / -${s.connectionsRemoved} · ` +
+      `**Credentials:** ${s.credentialsChanged} · **Settings:** ${s.settingsChanged}`,
+      ''
+    );
+
+    if (diff.workflow.length > 0) {
+      lines.push(`${sub} Workflow`, '');
+      diff.workflow.forEach(change => lines.push(`- \`${change.path}\`: ${this._markdownChange(change)}`));
+      lines.push('');
+    }
+
+    if (diff.nodes.added.length + diff.nodes.removed.length > 0) {
+      lines.push(`${sub} Nodes added / removed`, '', '| Change | Node | Type |', '|--------|------|------|');
+      diff.nodes.added.forEach(node => lines.push(`| ➕ Added | ${cell(node.name)} | \`${node.type}\` |`));
+      diff.nodes.removed.forEach(node => lines.push(`| ➖ Removed | ${cell(node.name)} | \`${node.type}\` |`));
+      lines.push('');
+    }
+
+    if (diff.nodes.modified.length > 0) {
+      lines.push(`${sub} Nodes modified`, '');
+      for (const node of diff.nodes.modified) {
+        const renamed = node.renamedFrom ? ` (renamed from "${node.renamedFrom}")` : '';
+        lines.push(`**${node.name}**${renamed} \`${node.type}\``, '', '| Path | Before | After |', '|------|--------|-------|');
+        node.changes.forEach(change => {
+          lines.push(
+            `| \`${change.path}\` | ${cell(this._formatValue(change.before))} | ` +
+            `${cell(this._formatValue(change.after))} |`
+          );
+        });
+        lines.push('');
+      }
+    }
+
+    if (diff.connections.added.length + diff.connections.removed.length > 0) {
+      lines.push(`${sub} Connections`, '');
+      diff.connections.added.forEach(edge => lines.push(`- ➕ ${this._formatEdge(edge)}`));
+      diff.connections.removed.forEach(edge => lines.push(`- ➖ ${this._formatEdge(edge)}`));
+      lines.push('');
+    }
+
+    if (diff.credentials.length > 0) {
+      lines.push(`${sub} Credentials`, '', '| Node | Type | Before | After |', '|------|------|--------|-------|');
+      diff.credentials.forEach(cred => {
+        lines.push(
+          `| ${cell(cred.node)} | \`${cred.type}\` | ${cell(cred.before || '—')} | ` +
+          `${cell(cred.after || '—')} |`
+        );
+      });
+      lines.push('');
+    }
+
+    if (diff.settings.length > 0) {
+      lines.push(`${sub} Settings`, '');
+      diff.settings.forEach(change => lines.push(`- \`${change.path}\`: ${this._markdownChange(change)}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Renders a collection diff as Markdown
+   *
+   * @private
+   * @param {object} result - Collection diff
+   * @returns {string} Markdown output
+   */
+  _collectionToMarkdown(result) {
+    const lines = [
+      '# Workflow Diff',
+      '',
+      '| Added | Removed | Changed | Unchanged |',
+      '|-------|---------|---------|-----------|',
+      `| ${result.added.length} | ${result.removed.length} | ${result.changed.length} | ${result.unchanged.length} |`,
+      ''
+    ];
+
+    if (result.added.length + result.removed.length > 0) {
+      lines.push('## Workflows added / removed', '');
+      result.added.forEach(wf => lines.push(`- ➕ ${wf.name}`));
+      result.removed.forEach(wf => lines.push(`- ➖ ${wf.name}`));
+      lines.push('');
+    }
+
+    if (result.changed.length > 0) {
+      lines.push('## Workflows changed', '');
+      result.changed.forEach(diff => lines.push(this._diffToMarkdown(diff, '###')));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Formats a property change for Markdown lists
+   *
+   * @private
+   * @param {object} change - Change entry
+   * @returns {string} Markdown text
+   */
+  _markdownChange(change) {
+    return `\`${this._formatValue(change.before)}\` → \`${this._formatValue(change.after)}\``;
+  }
+}
+
+WorkflowDiffService.FORMATS = FORMATS;
+
+module.exports = WorkflowDiffService;
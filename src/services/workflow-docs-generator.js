@@ -0,0 +1,310 @@
+/**
+ * Workflow Docs Generator - Markdown documentation of a workflow folder
+ *
+ * Renders one page per workflow and an index, from the workflow files alone
+ * (e.g. an n8n:download folder). Pages mirror the folder layout of the
+ * download ("<tag folder>/<workflow>.json" → "<tag folder>/<workflow>.md"),
+ * so relative links between them keep working wherever the docs are published.
+ *
+ * Each page has:
+ * - Summary: ID, layer tag, tags, active state, trigger, source file
+ * - Description: the content of the sticky notes, top to bottom
+ * - Nodes: inventory with type, node notes and disabled state
+ * - Credentials: credentials used and the nodes using them
+ * - Calls / Called by: executeWorkflow references, from WorkflowDependencyGraph
+ *
+ * The generator does not write files: generate() returns the pages.
+ *
+ * @example
+ * const generator = new WorkflowDocsGenerator(logger);
+ * const { pages, index } = generator.generate(entries, { groupBy: 'folder' });
+ */
+
+const path = require('path');
+const WorkflowDependencyGraph = require('./workflow-dependency-graph');
+const WebhookCollisionService = require('./webhook-collision-service');
+const WorkflowFiles = require('../utils/workflow-files');
+const Markdown = require('../utils/markdown');
+
+const { tagNames } = WorkflowFiles;
+const { cell } = Markdown;
+
+/**
+ * Index groupings
+ * @type {string[]}
+ */
+const GROUP_BY = ['folder', 'tag'];
+
+/**
+ * Index file name
+ * @type {string}
+ */
+const INDEX_FILE = 'index.md';
+
+const STICKY_NOTE_TYPE = 'n8n-nodes-base.stickyNote';
+
+/**
+ * Trigger nodes whose type does not end with "Trigger"
+ * @type {string[]}
+ */
+const OTHER_TRIGGER_TYPES = ['n8n-nodes-base.webhook', 'n8n-nodes-base.cron', 'n8n-nodes-base.interval', 'n8n-nodes-base.start'];
+
+class WorkflowDocsGenerator {
+  /**
+   * @param {Logger} [logger] - Logger instance for debug messages
+   */
+  constructor(logger = null) {
+    this.logger = logger;
+    this.webhooks = new WebhookCollisionService(logger);
+  }
+
+  /**
+   * Render the documentation of a set of workflows
+   *
+   * @param {Array<{workflow: Object, file: string}>} entries - Workflows and their files (relative, "/" separated)
+   * @param {Object} [options={}]
+   * @param {string} [options.groupBy='folder'] - Index grouping: folder (download layout) or tag
+   * @param {string} [options.title='N8N Workflows'] - Index title
+   * @returns {{pages: Array<{file: string, content: string}>, index: {file: string, content: string}}} Pages and index
+   * @throws {Error} If groupBy is unknown
+   */
+  generate(entries, options = {}) {
+    const groupBy = options.groupBy || 'folder';
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new Error(`Unknown grouping: ${groupBy} (available: ${GROUP_BY.join(', ')})`);
+    }
+
+    const graph = new WorkflowDependencyGraph(this.logger || { debug: () => {} }).build(entries.map(entry => entry.workflow));
+    const pageById = new Map(entries.map(entry => [String(entry.workflow.id), WorkflowDocsGenerator.pageFor(entry.file)]));
+    const context = { graph: graph.toJSON(), entries, pageById };
+
+    const pages = entries.map(entry => ({
+      file: WorkflowDocsGenerator.pageFor(entry.file),
+      content: this.renderPage(entry, context)
+    }));
+
+    return {
+      pages,
+      index: { file: INDEX_FILE, content: this.renderIndex(entries, { ...context, groupBy, title: options.title || 'N8N Workflows' }) }
+    };
+  }
+
+  /**
+   * Page of a workflow file ("B/pedidos.json" → "B/pedidos.md")
+   *
+   * @param {string} file - Workflow file
+   * @returns {string} Page file
+   */
+  static pageFor(file) {
+    return file.replace(/\.json$/i, '') + '.md';
+  }
+
+  /**
+   * Trigger nodes of a workflow, with the webhook route when there is one
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {Array<{node: string, type: string, detail: string|null}>} Triggers
+   */
+  triggersOf(workflow) {
+    const routes = this.webhooks.webhookRoutes(workflow).filter(route => route.method !== '*');
+
+    return (workflow.nodes || [])
+      .filter(node => /Trigger$/.test(node.type || '') || OTHER_TRIGGER_TYPES.includes(node.type))
+      .map(node => {
+        const route = routes.filter(candidate => candidate.node === node.name);
+        return {
+          node: node.name,
+          type: WorkflowDocsGenerator.shortType(node.type),
+          detail: route.length > 0 ? route.map(candidate => `${candidate.method} /${candidate.prefix}/${candidate.path}`).join(', ') : null
+        };
+      });
+  }
+
+  /**
+   * Node type without the n8n-nodes-base package
+   *
+   * @param {string} type - Node type
+   * @returns {string} e.g. "httpRequest", "@n8n/n8n-nodes-langchain.agent"
+   */
+  static shortType(type) {
+    return String(type || '').replace(/^n8n-nodes-base\./, '');
+  }
+
+  /**
+   * Render the page of a workflow
+   *
+   * @param {{workflow: Object, file: string}} entry - Workflow and its file
+   * @param {Object} context - Graph, entries and pages (see generate())
+   * @returns {string} Markdown
+   */
+  renderPage({ workflow, file }, context) {
+    const page = WorkflowDocsGenerator.pageFor(file);
+    const nodes = workflow.nodes || [];
+    const stickyNotes = nodes.filter(node => node.type === STICKY_NOTE_TYPE);
+    const otherNodes = nodes.filter(node => node.type !== STICKY_NOTE_TYPE);
+    const layer = WorkflowDependencyGraph.layerOf(workflow);
+    const triggers = this.triggersOf(workflow);
+    const lines = [];
+
+    lines.push(`# ${workflow.name}`, '');
+    lines.push('| | |', '|---|---|');
+    lines.push(`| ID | \`${workflow.id}\` |`);
+    lines.push(`| Layer | ${layer ? cell(layer.name) : '—'} |`);
+    lines.push(`| Tags | ${tagNames(workflow).map(cell).join(', ') || '—'} |`);
+    lines.push(`| Active | ${workflow.active ? 'Yes' : 'No'} |`);
+    lines.push(`| Trigger | ${triggers.length > 0 ? triggers.map(trigger => cell(describeTrigger(trigger))).join('<br>') : 'None (called by other workflows or run manually)'} |`);
+    lines.push(`| Source | \`${file}\` |`, '');
+
+    lines.push('## Description', '');
+    if (stickyNotes.length === 0) {
+      lines.push('_No sticky notes in this workflow._', '');
+    } else {
+      // Canvas order: top to bottom, then left to right
+      const position = node => node.position || [0, 0];
+      [...stickyNotes]
+        .sort((a, b) => (position(a)[1] - position(b)[1]) || (position(a)[0] - position(b)[0]))
+        .forEach(note => lines.push(demoteHeadings(String(note.parameters?.content || '').trim()), ''));
+    }
+
+    lines.push(`## Nodes (${otherNodes.length})`, '');
+    if (otherNodes.length > 0) {
+      lines.push('| Node | Type | Notes |', '|---|---|---|');
+      otherNodes.forEach(node => {
+        const notes = [node.disabled ? '**disabled**' : null, node.notes ? cell(node.notes) : null].filter(Boolean).join(' — ');
+        lines.push(`| ${cell(node.name)} | \`${WorkflowDocsGenerator.shortType(node.type)}\` | ${notes} |`);
+      });
+      lines.push('');
+    }
+
+    const credentials = this._credentials(otherNodes);
+    lines.push('## Credentials', '');
+    if (credentials.length === 0) {
+      lines.push('_No credentials._', '');
+    } else {
+      lines.push('| Credential | Type | Used by |', '|---|---|---|');
+      credentials.forEach(credential => lines.push(`| ${cell(credential.name)} | \`${credential.type}\` | ${credential.nodes.map(cell).join(', ')} |`));
+      lines.push('');
+    }
+
+    const id = String(workflow.id);
+    const graphEntry = context.graph.workflows.find(candidate => candidate.id === id) || { calls: [], calledBy: [] };
+    const link = otherId => this._link(otherId, page, context);
+    const nodesOf = (from, to) => (context.graph.edges.find(edge => edge.from === from && edge.to === to) || { nodes: [] }).nodes;
+
+    lines.push('## Calls', '');
+    const dangling = context.graph.dangling.filter(edge => edge.from === id);
+    if (graphEntry.calls.length === 0 && dangling.length === 0) {
+      lines.push('_Calls no other workflow._', '');
+    } else {
+      graphEntry.calls.forEach(callee => lines.push(`- ${link(callee)} (${nodesOf(id, callee).map(cell).join(', ')})`));
+      dangling.forEach(edge => lines.push(`- Workflow \`${edge.to}\`, not in this folder (${edge.nodes.map(cell).join(', ')})`));
+      lines.push('');
+    }
+
+    lines.push('## Called by', '');
+    if (graphEntry.calledBy.length === 0) {
+      lines.push('_Not called by other workflows of this folder._', '');
+    } else {
+      graphEntry.calledBy.forEach(caller => lines.push(`- ${link(caller)} (${nodesOf(caller, id).map(cell).join(', ')})`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the index, grouped by folder or tag
+   *
+   * @param {Array<{workflow: Object, file: string}>} entries - Workflows and their files
+   * @param {Object} context - Graph, pages, groupBy and title (see generate())
+   * @returns {string} Markdown
+   */
+  renderIndex(entries, context) {
+    const groups = new Map();
+    const addTo = (group, entry) => {
+      if (!groups.has(group)) {
+        groups.set(group, []);
+      }
+      groups.get(group).push(entry);
+    };
+
+    for (const entry of entries) {
+      if (context.groupBy === 'tag') {
+        const tags = tagNames(entry.workflow);
+        (tags.length > 0 ? tags : ['no-tag']).forEach(tag => addTo(tag, entry));
+      } else {
+        addTo(path.posix.dirname(entry.file) === '.' ? '(root)' : path.posix.dirname(entry.file), entry);
+      }
+    }
+
+    const lines = [`# ${context.title}`, '', `${entries.length} workflow(s), grouped by ${context.groupBy}.`, ''];
+
+    [...groups.keys()].sort((a, b) => a.localeCompare(b)).forEach(group => {
+      lines.push(`## ${group}`, '', '| Workflow | Trigger | Active | Nodes | Calls | Called by |', '|---|---|---|---|---|---|');
+
+      groups.get(group)
+        .sort((a, b) => String(a.workflow.name).localeCompare(String(b.workflow.name)))
+        .forEach(({ workflow, file }) => {
+          const graphEntry = context.graph.workflows.find(candidate => candidate.id === String(workflow.id)) || { calls: [], calledBy: [] };
+          const trigger = this.triggersOf(workflow).map(candidate => candidate.type).join(', ') || '—';
+          const nodeCount = (workflow.nodes || []).filter(node => node.type !== STICKY_NOTE_TYPE).length;
+
+          lines.push(`| [${cell(workflow.name)}](${encodeURI(WorkflowDocsGenerator.pageFor(file))}) | ${cell(trigger)} | ` +
+            `${workflow.active ? 'Yes' : 'No'} | ${nodeCount} | ${graphEntry.calls.length} | ${graphEntry.calledBy.length} |`);
+        });
+
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Credentials used by nodes ({ type: { id, name } } on each node)
+   * @private
+   */
+  _credentials(nodes) {
+    const byKey = new Map();
+
+    for (const node of nodes) {
+      for (const [type, credential] of Object.entries(node.credentials || {})) {
+        const name = (credential && credential.name) || (credential && credential.id) || type;
+        const key = `${type}\u0000${name}`;
+        if (!byKey.has(key)) {
+          byKey.set(key, { name, type, nodes: [] });
+        }
+        byKey.get(key).nodes.push(node.name);
+      }
+    }
+
+    return [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Relative link from a page to the page of another workflow
+   * @private
+   */
+  _link(id, fromPage, context) {
+    const target = context.entries.find(entry => String(entry.workflow.id) === id);
+    const relative = path.posix.relative(path.posix.dirname(fromPage), context.pageById.get(id));
+    return `[${cell(target.workflow.name)}](${encodeURI(relative)})`;
+  }
+}
+
+/**
+ * Trigger description ("webhook: POST /webhook/orders (Webhook)")
+ * @private
+ */
+function describeTrigger(trigger) {
+  return `${trigger.type}${trigger.detail ? `: ${trigger.detail}` : ''} (${trigger.node})`;
+}
+
+/**
+ * Push sticky note headings two levels down, under the "## Description" section
+ * @private
+ */
+function demoteHeadings(markdown) {
+  return markdown.replace(/^(#{1,4})(?=\s)/gm, '$1##');
+}
+
+module.exports = WorkflowDocsGenerator;
@@ -0,0 +1,154 @@
+/**
+ * Workflow Lint Rules - Built-in rules of n8n:lint
+ *
+ * Each rule has a default severity, default options (overridden in the
+ * "lint" section of .jana/config.json) and a check() receiving all the
+ * workflows at once:
+ *
+ *   check({ entries, targetWorkflows, options, logger }) → [{ message, workflows, path?, severity? }]
+ *
+ * entries are { workflow, file } pairs; findings without a severity get the
+ * configured one. Rules checking one workflow at a time use perWorkflow().
+ */
+
+const WebhookCollisionService = require('./webhook-collision-service');
+const SecretScanner = require('./secret-scanner');
+const { tagNames } = require('../utils/workflow-files');
+
+/**
+ * HTTP request node types (no-hardcoded-secrets)
+ * @type {string[]}
+ */
+const HTTP_NODE_TYPES = [
+  'n8n-nodes-base.httpRequest',
+  'n8n-nodes-base.httpRequestTool',
+  '@n8n/n8n-nodes-langchain.toolHttpRequest'
+];
+
+/**
+ * Rule checking one workflow at a time
+ *
+ * @param {Function} check - (workflow, options) → Array<{message, path?, severity?}>
+ * @returns {Function} Rule check()
+ */
+function perWorkflow(check) {
+  return ({ entries, options }) => entries.flatMap(({ workflow, file }) =>
+    check(workflow, options).map(finding => ({ ...finding, workflows: [{ name: workflow.name, file }] })));
+}
+
+/**
+ * Hardcoded secrets in the parameters of a node (one per parameter, the most specific kind)
+ *
+ * Values are never returned, only where they are and what they look like.
+ *
+ * @param {Object} node - Node
+ * @returns {Array<{path: string, kind: string}>} Secrets found
+ */
+function findSecrets(node) {
+  const secrets = new Map();
+
+  for (const finding of new SecretScanner().scanWorkflow({ nodes: [node] })) {
+    const path = finding.path.replace(/^\$\.nodes\[0\]\./, '');
+    if (!secrets.has(path)) {
+      secrets.set(path, { path, kind: finding.kind });
+    }
+  }
+
+  return [...secrets.values()];
+}
+
+/**
+ * Built-in rules
+ * @type {Object<string, {description: string, severity: string, options: Object, check: Function}>}
+ */
+const RULES = {
+  'naming-convention': {
+    description: 'Workflow names follow "[Jana] (Layer) Name (AAA-BBB-001)"',
+    severity: 'warning',
+    options: { pattern: String.raw`^\[Jana\] \([A-Z]\) .+ \([A-Z]+-[A-Z]+-\d{3}\)$` },
+    check: perWorkflow((workflow, options) => {
+      if (new RegExp(options.pattern).test(workflow.name || '')) {
+        return [];
+      }
+      return [{ message: `Name "${workflow.name}" does not follow the naming convention (${options.pattern})` }];
+    })
+  },
+
+  'no-disabled-nodes': {
+    description: 'No disabled nodes left in production workflows (active or tagged production)',
+    severity: 'warning',
+    options: { productionTags: ['production', 'prod'] },
+    check: perWorkflow((workflow, options) => {
+      const production = workflow.active === true || tagNames(workflow).some(tag => options.productionTags.includes(tag));
+      const disabled = (workflow.nodes || []).filter(node => node.disabled === true);
+
+      if (!production || disabled.length === 0) {
+        return [];
+      }
+      return [{ message: `Disabled node(s) in a production workflow: ${disabled.map(node => `"${node.name}"`).join(', ')}` }];
+    })
+  },
+
+  'no-hardcoded-secrets': {
+    description: 'HTTP Request nodes use credentials, not secrets pasted into headers, query or body',
+    severity: 'error',
+    options: {},
+    check: perWorkflow(workflow => (workflow.nodes || [])
+      .filter(node => HTTP_NODE_TYPES.includes(node.type))
+      .flatMap(node => findSecrets(node).map(secret => ({
+        message: `Hardcoded secret (${secret.kind}) in node "${node.name}": use an N8N credential`,
+        path: `nodes["${node.name}"].${secret.path}`
+      }))))
+  },
+
+  'error-workflow': {
+    description: 'Every workflow has an error workflow set (settings.errorWorkflow)',
+    severity: 'warning',
+    options: {},
+    check: perWorkflow(workflow => {
+      // Error workflows themselves are the handlers
+      const isErrorHandler = (workflow.nodes || []).some(node => node.type === 'n8n-nodes-base.errorTrigger');
+      if (isErrorHandler || (workflow.settings && workflow.settings.errorWorkflow)) {
+        return [];
+      }
+      return [{ message: 'No error workflow set (Workflow settings → Error Workflow)' }];
+    })
+  },
+
+  'sticky-note': {
+    description: 'Every workflow documents itself with at least one sticky note',
+    severity: 'warning',
+    options: {},
+    check: perWorkflow(workflow => {
+      if ((workflow.nodes || []).some(node => node.type === 'n8n-nodes-base.stickyNote')) {
+        return [];
+      }
+      return [{ message: 'No sticky note documenting the workflow' }];
+    })
+  },
+
+  'webhook-collision': {
+    description: 'Webhook paths (method + path, webhookId) used by more than one workflow',
+    severity: 'error',
+    options: {},
+    check({ entries, targetWorkflows, logger }) {
+      const detector = new WebhookCollisionService(logger);
+      const fileById = new Map(entries.map(entry => [String(entry.workflow.id), entry.file]));
+      const fileByName = new Map(entries.map(entry => [entry.workflow.name, entry.file]));
+      const fileOf = route => {
+        if (route.origin !== 'local') {
+          return null;
+        }
+        return (route.id ? fileById.get(route.id) : fileByName.get(route.name)) || null;
+      };
+
+      return detector.findCollisions(entries.map(entry => entry.workflow), targetWorkflows).map(collision => ({
+        severity: collision.severity,
+        message: detector.describe(collision),
+        workflows: collision.workflows.map(route => ({ name: route.name, file: fileOf(route) }))
+      }));
+    }
+  }
+};
+
+module.exports = { RULES, perWorkflow, findSecrets };
@@ -0,0 +1,210 @@
+/**
+ * Workflow Lint Service - Rule-based checks on workflow files
+ *
+ * Rules receive all the workflows at once (some compare workflows with each
+ * other, or with the target instance) and return findings:
+ *
+ *   { rule, severity: 'error' | 'warning', message, workflows: [{ name, file }], path? }
+ *
+ * Files are reported relative to the linted folder; target workflows have no file.
+ * Rules are in workflow-lint-rules.js and configured like ESLint, in the
+ * "lint" section of .jana/config.json:
+ *
+ *   { "rules": { "sticky-note": "off", "naming-convention": ["error", { "pattern": "^\\[Jana\\]" }] } }
+ *
+ * Rules not configured run with their default severity.
+ *
+ * @example
+ * const linter = new WorkflowLintService(logger);
+ * const result = linter.lint(entries, { targetWorkflows, config: janaConfig.lint });
+ * console.log(linter.format(result, 'sarif'));
+ */
+
+const { RULES } = require('./workflow-lint-rules');
+
+/**
+ * Rule severities, as in the "lint" section of .jana/config.json
+ * @type {string[]}
+ */
+const SEVERITIES = ['off', 'warning', 'error'];
+
+class WorkflowLintService {
+  /**
+   * @param {Logger} [logger] - Logger instance for debug messages
+   */
+  constructor(logger = null) {
+    this.logger = logger;
+  }
+
+  /**
+   * Built-in rules (ID → description)
+   * @returns {Object<string, string>}
+   */
+  static get RULES() {
+    return Object.fromEntries(Object.entries(RULES).map(([id, rule]) => [id, rule.description]));
+  }
+
+  /**
+   * Resolve the rules to run from the lint configuration
+   *
+   * @param {Object} [config={}] - "lint" section of .jana/config.json
+   * @param {string[]} [only] - Run only these rules (even the ones configured "off")
+   * @returns {Array<{id: string, severity: string, options: Object}>} Rules to run
+   * @throws {Error} If a rule is unknown or a severity invalid
+   */
+  resolveRules(config = {}, only = null) {
+    const configured = config.rules || {};
+    const unknown = [...new Set([...(only || []), ...Object.keys(configured)])].filter(id => !RULES[id]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lint rule(s): ${unknown.join(', ')} (available: ${Object.keys(RULES).join(', ')})`);
+    }
+
+    return Object.entries(RULES)
+      .filter(([id]) => !only || only.includes(id))
+      .map(([id, rule]) => {
+        const setting = configured[id] === undefined ? rule.severity : configured[id];
+        const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+
+        if (!SEVERITIES.includes(severity)) {
+          throw new Error(`Invalid severity for lint rule ${id}: ${JSON.stringify(severity)} (expected ${SEVERITIES.join(', ')})`);
+        }
+
+        return {
+          id,
+          severity: severity === 'off' && only ? rule.severity : severity,
+          options: { ...rule.options, ...options }
+        };
+      })
+      .filter(rule => rule.severity !== 'off');
+  }
+
+  /**
+   * Run the rules on a set of workflows
+   *
+   * A rule configured as "warning" reports warnings only; as "error", its
+   * findings keep their own severity (e.g. collisions only with inactive
+   * target workflows stay warnings).
+   *
+   * @param {Array<{workflow: Object, file: string}>} entries - Workflows and their files
+   * @param {Object} [options={}]
+   * @param {Array<Object>} [options.targetWorkflows=[]] - Workflows of the target instance
+   * @param {string[]} [options.rules] - Rules to run (default: all the ones not configured "off")
+   * @param {Object} [options.config={}] - "lint" section of .jana/config.json
+   * @returns {{workflows: number, rules: Array<Object>, findings: Array<Object>, errors: number, warnings: number}} Result
+   * @throws {Error} If a rule is unknown
+   */
+  lint(entries, options = {}) {
+    const rules = this.resolveRules(options.config, options.rules);
+    const findings = [];
+
+    for (const rule of rules) {
+      const context = { entries, targetWorkflows: options.targetWorkflows || [], options: rule.options, logger: this.logger };
+
+      findings.push(...RULES[rule.id].check(context).map(finding => ({
+        rule: rule.id,
+        ...finding,
+        severity: rule.severity === 'warning' ? 'warning' : (finding.severity || rule.severity)
+      })));
+    }
+
+    return {
+      workflows: entries.length,
+      rules: rules.map(rule => ({ id: rule.id, severity: rule.severity })),
+      findings,
+      errors: findings.filter(finding => finding.severity === 'error').length,
+      warnings: findings.filter(finding => finding.severity === 'warning').length
+    };
+  }
+
+  /**
+   * Format a lint result
+   *
+   * @param {Object} result - Result of lint()
+   * @param {string} [format='text'] - text, json or sarif
+   * @param {Object} [options={}]
+   * @param {string} [options.baseUri] - file:// URI of the linted folder (SARIF)
+   * @returns {string} Formatted result
+   * @throws {Error} If the format is unknown
+   */
+  format(result, format = 'text', options = {}) {
+    switch (format) {
+    case 'text':
+      return this.formatText(result);
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'sarif':
+      return JSON.stringify(this.toSarif(result, options.baseUri), null, 2);
+    default:
+      throw new Error(`Unknown lint output format: ${format} (available: text, json, sarif)`);
+    }
+  }
+
+  /**
+   * Convert a lint result to SARIF 2.1.0 (GitHub code scanning, IDEs)
+   *
+   * @param {Object} result - Result of lint()
+   * @param {string} [baseUri] - file:// URI of the linted folder
+   * @returns {Object} SARIF log
+   */
+  toSarif(result, baseUri) {
+    const run = {
+      tool: {
+        driver: {
+          name: 'docs-jana n8n:lint',
+          informationUri: 'https://github.com/jana-team/docs-jana',
+          rules: result.rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: RULES[rule.id].description },
+            defaultConfiguration: { level: rule.severity }
+          }))
+        }
+      },
+      results: result.findings.map(finding => {
+        const files = finding.workflows.map(workflow => workflow.file).filter(Boolean);
+        const sarifResult = {
+          ruleId: finding.rule,
+          level: finding.severity,
+          message: { text: finding.message }
+        };
+
+        if (files.length > 0) {
+          sarifResult.locations = files.map(file => ({
+            physicalLocation: { artifactLocation: { uri: file, uriBaseId: 'WORKFLOWS' } },
+            ...(finding.path ? { logicalLocations: [{ fullyQualifiedName: finding.path }] } : {})
+          }));
+        }
+        return sarifResult;
+      })
+    };
+
+    if (baseUri) {
+      run.originalUriBaseIds = { WORKFLOWS: { uri: baseUri } };
+    }
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [run]
+    };
+  }
+
+  /**
+   * Format a lint result as text
+   *
+   * @param {Object} result - Result of lint()
+   * @returns {string} One line per finding, then the totals
+   */
+  formatText(result) {
+    const lines = result.findings.map(finding => {
+      const files = finding.workflows.map(workflow => workflow.file).filter(Boolean)
+        .map(file => (finding.path ? `${file}  ${finding.path}` : file));
+      const where = files.length > 0 ? `\n    ${files.join('\n    ')}` : '';
+      return `${finding.severity === 'error' ? '✖' : '⚠'} ${finding.severity.padEnd(7)} ${finding.rule}  ${finding.message}${where}`;
+    });
+
+    lines.push('', `${result.workflows} workflow(s): ${result.errors} error(s), ${result.warnings} warning(s)`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = WorkflowLintService;
@@ -436,13 +436,14 @@ class WorkflowService {
 
   /**
    * Activate a workflow
+   * The "active" field is read-only on create/update: N8N has dedicated endpoints
    * @param {string} workflowId - Workflow ID
    * @returns {Promise<object>} Updated workflow
    */
   async activateWorkflow(workflowId) {
     try {
       this.logger.debug(`Activating workflow ${workflowId}`);
-      return await this.updateWorkflow(workflowId, { active: true });
+      return await this.httpClient.post(`/api/v1/workflows/${workflowId}/activate`, {});
     } catch (error) {
       this.logger.error(`Failed to activate workflow ${workflowId}: ${error.message}`);
       throw error;
@@ -457,7 +458,7 @@ class WorkflowService {
   async deactivateWorkflow(workflowId) {
     try {
       this.logger.debug(`Deactivating workflow ${workflowId}`);
-      return await this.updateWorkflow(workflowId, { active: false });
+      return await this.httpClient.post(`/api/v1/workflows/${workflowId}/deactivate`, {});
     } catch (error) {
       this.logger.error(`Failed to deactivate workflow ${workflowId}: ${error.message}`);
       throw error;
@@ -692,11 +693,13 @@ class WorkflowService {
    * Prepare workflow data for upload by removing invalid fields
    * Removes server-managed fields that cause HTTP 400 errors
    *
+   * The "active" field is removed too: N8N ignores it on create/update.
+   * Activation is applied after the upload (see WorkflowActivationService).
+   *
    * @param {object} workflowData - Raw workflow data
-   * @param {boolean} _activate - Whether to activate the workflow (default: false)
    * @returns {object} Cleaned workflow ready for upload
    */
-  prepareWorkflowForUpload(workflowData, _activate = false) {
+  prepareWorkflowForUpload(workflowData) {
     // Create a deep clone to avoid modifying the original
     const workflow = JSON.parse(JSON.stringify(workflowData));
 
@@ -863,9 +866,12 @@ class WorkflowService {
    * @param {Array} workflows - Array of workflow objects to upload
    * @param {boolean} force - Force update existing workflows
    * @param {boolean} skipErrors - Continue on errors
+   * @param {object} [options] - Upload options
+   * @param {Function} [options.beforeUpload] - Called as (workflow, resultsSoFar) before each upload;
+   *   returns the workflow to upload (e.g. with references remapped to IDs created earlier)
    * @returns {Promise<object>} Upload results with statistics
    */
-  async uploadWorkflows(workflows, force = false, skipErrors = true) {
+  async uploadWorkflows(workflows, force = false, skipErrors = true, options = {}) {
     const results = {
       created: [],
       updated: [],
@@ -883,7 +889,8 @@ class WorkflowService {
       try {
         this.logger.progress(i + 1, workflows.length, `Uploading: ${workflowName}`);
 
-        const result = await this.uploadWorkflow(workflow, force);
+        const toUpload = options.beforeUpload ? await options.beforeUpload(workflow, results) : workflow;
+        const result = await this.uploadWorkflow(toUpload, force);
 
         switch (result.status) {
         case 'created':
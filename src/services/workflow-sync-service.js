@@ -0,0 +1,473 @@
+/**
+ * Workflow Sync Service - Three-way sync planning between a local folder and N8N
+ *
+ * Keeps a base snapshot of the last synchronized state of each workflow and
+ * compares it with the current local file and the current remote workflow to
+ * decide, per workflow, whether to push, pull or flag a conflict.
+ *
+ * Features:
+ * - Content fingerprints (SHA-256 of name, nodes, connections and settings;
+ *   node order and server-managed fields are ignored)
+ * - Separate local and remote fingerprints in the base (N8N may normalize
+ *   workflows on save, so both sides are tracked independently)
+ * - Local/remote matching by base entry, then workflow ID, then name
+ * - Deletion detection on either side (executed only on request)
+ * - Conflict resolution by policy (prefer local or remote)
+ *
+ * Decision Table (per workflow):
+ *   local changed | remote changed | action
+ *   no            | no             | unchanged
+ *   yes           | no             | push
+ *   no            | yes            | pull
+ *   yes           | yes            | conflict (unchanged if both sides are now equal)
+ *
+ * Base File Structure (_sync-base.json in the local folder):
+ * {
+ *   metadata: { target: "https://n8n.example.com", savedAt: "..." },
+ *   workflows: {
+ *     "abc123": {
+ *       name: "Customer Onboarding",
+ *       remoteId: "abc123",
+ *       localHash: "5f1c...",
+ *       remoteHash: "5f1c...",
+ *       remoteUpdatedAt: "2025-10-01T14:30:00.000Z",
+ *       syncedAt: "2025-10-02T09:00:00.000Z"
+ *     }
+ *   }
+ * }
+ *
+ * @example
+ * const sync = new WorkflowSyncService(logger, WorkflowSyncService.pathFor('./n8n/workflows'));
+ * await sync.load();
+ * const plan = sync.resolveConflicts(sync.plan(localWorkflows, remoteWorkflows), 'local');
+ * // execute plan items, then:
+ * sync.recordSynced(item.id, localWorkflow, remoteWorkflow);
+ * await sync.save();
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Default base file name (underscore prefix keeps it out of n8n:upload)
+ * @type {string}
+ */
+const BASE_FILENAME = '_sync-base.json';
+
+/**
+ * Sync actions
+ * @type {Object<string, string>}
+ */
+const ACTIONS = {
+  PUSH: 'push',
+  PULL: 'pull',
+  CONFLICT: 'conflict',
+  UNCHANGED: 'unchanged',
+  DELETE_REMOTE: 'delete-remote',
+  DELETE_LOCAL: 'delete-local'
+};
+
+class WorkflowSyncService {
+  /**
+   * Creates an instance of WorkflowSyncService
+   *
+   * @param {Logger} logger - Logger instance for debug/info messages
+   * @param {string} baseFilePath - Path to the base snapshot file
+   */
+  constructor(logger, baseFilePath) {
+    if (!baseFilePath || typeof baseFilePath !== 'string') {
+      throw new TypeError('baseFilePath must be a non-empty string');
+    }
+
+    this.logger = logger;
+    this.baseFilePath = baseFilePath;
+
+    // Base metadata (target instance of the last sync)
+    this.metadata = {};
+
+    // Internal data structure: Map<localId, { name, remoteId, localHash, remoteHash, remoteUpdatedAt, syncedAt }>
+    this.workflows = new Map();
+  }
+
+  /**
+   * Builds the default base file path for a local workflows folder
+   *
+   * @param {string} dir - Local workflows folder
+   * @returns {string} Base file path
+   */
+  static pathFor(dir) {
+    return path.join(dir, BASE_FILENAME);
+  }
+
+  /**
+   * Computes the content fingerprint of a workflow
+   *
+   * Only name, nodes, connections and settings are considered. Nodes are
+   * sorted by id (or name) and object keys are sorted, so the fingerprint does
+   * not depend on array order or key order.
+   *
+   * @param {object} workflow - Workflow
+   * @returns {string} SHA-256 hex digest
+   */
+  static fingerprint(workflow) {
+    const nodes = [...(workflow.nodes || [])].sort((a, b) =>
+      String(a.id || a.name).localeCompare(String(b.id || b.name))
+    );
+
+    const content = WorkflowSyncService._canonicalize({
+      name: workflow.name || null,
+      nodes,
+      connections: workflow.connections || {},
+      settings: workflow.settings || {}
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * Returns a copy of a value with object keys sorted recursively
+   *
+   * @private
+   * @param {*} value - Value to canonicalize
+   * @returns {*} Canonical value
+   */
+  static _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => WorkflowSyncService._canonicalize(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = WorkflowSyncService._canonicalize(value[key]);
+        return acc;
+      }, {});
+    }
+
+    return value;
+  }
+
+  /**
+   * Checks if a remote workflow is known to be unchanged without its content
+   *
+   * Used to avoid fetching every workflow: if the list endpoint reports the
+   * same updatedAt as the last sync, the remote side did not change.
+   *
+   * @param {object} summary - Workflow summary from the list endpoint (id, updatedAt)
+   * @returns {boolean} True if the remote workflow did not change since the last sync
+   */
+  isRemoteUnchanged(summary) {
+    if (!summary.updatedAt) {
+      return false;
+    }
+
+    const entry = this._findByRemoteId(summary.id);
+    return Boolean(entry && entry.remoteUpdatedAt === summary.updatedAt);
+  }
+
+  /**
+   * Builds the sync plan
+   *
+   * Remote workflows without content (no nodes) must be known to be unchanged
+   * (see isRemoteUnchanged); they are compared by their base fingerprint.
+   *
+   * @param {Array<object>} localWorkflows - Local workflows
+   * @param {Array<object>} remoteWorkflows - Remote workflows (full or summaries)
+   * @returns {Array<{id: string, name: string, action: string, reason: string, local: (object|null), remote: (object|null)}>}
+   *   Plan items; id is the local workflow ID (remote ID for workflows that only exist remotely)
+   */
+  plan(localWorkflows, remoteWorkflows) {
+    const remoteById = new Map(remoteWorkflows.map(wf => [String(wf.id), wf]));
+    const remoteByName = new Map(remoteWorkflows.map(wf => [wf.name, wf]));
+    const matchedRemote = new Set();
+    const items = [];
+
+    for (const local of localWorkflows) {
+      const id = String(local.id);
+      const base = this.workflows.get(id) || null;
+
+      let remote = null;
+      if (base && base.remoteId) {
+        remote = remoteById.get(String(base.remoteId)) || null;
+      } else {
+        remote = remoteById.get(id) || remoteByName.get(local.name) || null;
+      }
+
+      if (remote && matchedRemote.has(remote)) {
+        remote = null;
+      }
+      if (remote) {
+        matchedRemote.add(remote);
+      }
+
+      items.push({ id, name: local.name, local, remote, ...this._decide(base, local, remote) });
+    }
+
+    for (const remote of remoteWorkflows) {
+      if (matchedRemote.has(remote)) {
+        continue;
+      }
+
+      const entry = this._findByRemoteId(remote.id);
+      const id = entry ? entry.id : String(remote.id);
+      const base = entry ? this.workflows.get(entry.id) : null;
+
+      items.push({ id, name: remote.name, local: null, remote, ...this._decide(base, null, remote) });
+    }
+
+    const counts = items.reduce((acc, item) => {
+      acc[item.action] = (acc[item.action] || 0) + 1;
+      return acc;
+    }, {});
+    this.logger.debug(`Sync plan: ${JSON.stringify(counts)}`);
+
+    return items;
+  }
+
+  /**
+   * Resolves conflicts by policy
+   *
+   * @param {Array<object>} plan - Result of plan()
+   * @param {'local'|'remote'|null} prefer - Side that wins conflicts (null keeps conflicts)
+   * @returns {Array<object>} New plan (conflicting items get action push or pull)
+   * @throws {Error} If prefer is not 'local', 'remote' or null
+   */
+  resolveConflicts(plan, prefer) {
+    if (!prefer) {
+      return plan;
+    }
+
+    if (prefer !== 'local' && prefer !== 'remote') {
+      throw new Error(`Invalid conflict policy "${prefer}" (use local or remote)`);
+    }
+
+    return plan.map(item => (item.action === ACTIONS.CONFLICT ? this.resolveItem(item, prefer) : item));
+  }
+
+  /**
+   * Resolves one conflicting plan item
+   *
+   * A side that was deleted wins by deleting the other side.
+   *
+   * @param {object} item - Conflicting plan item
+   * @param {'local'|'remote'} side - Winning side
+   * @returns {object} Resolved plan item
+   */
+  resolveItem(item, side) {
+    let action;
+    if (side === 'local') {
+      action = item.local ? ACTIONS.PUSH : ACTIONS.DELETE_REMOTE;
+    } else {
+      action = item.remote ? ACTIONS.PULL : ACTIONS.DELETE_LOCAL;
+    }
+
+    return { ...item, action, reason: `conflict resolved: keep ${side}`, resolved: side };
+  }
+
+  /**
+   * Records the synchronized state of a workflow in the base
+   *
+   * @param {string} id - Local workflow ID (plan item id)
+   * @param {object} localWorkflow - Workflow as stored locally after the sync
+   * @param {object} remoteWorkflow - Workflow as stored remotely after the sync
+   */
+  recordSynced(id, localWorkflow, remoteWorkflow) {
+    this.workflows.set(String(id), {
+      name: localWorkflow.name || remoteWorkflow.name,
+      remoteId: String(remoteWorkflow.id),
+      localHash: WorkflowSyncService.fingerprint(localWorkflow),
+      remoteHash: WorkflowSyncService.fingerprint(remoteWorkflow),
+      remoteUpdatedAt: remoteWorkflow.updatedAt || null,
+      syncedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Removes a workflow from the base (after a deletion was propagated)
+   *
+   * @param {string} id - Local workflow ID
+   * @returns {boolean} True if the entry existed
+   */
+  remove(id) {
+    return this.workflows.delete(String(id));
+  }
+
+  /**
+   * Sets the target instance recorded in the base
+   *
+   * A base recorded for another instance is discarded: its fingerprints
+   * describe different remote workflows.
+   *
+   * @param {string} target - Target N8N URL
+   */
+  setTarget(target) {
+    if (this.metadata.target && this.metadata.target !== target) {
+      this.logger.warn(`⚠️  Sync base was created for ${this.metadata.target}, starting a new base for ${target}`);
+      this.workflows.clear();
+    }
+
+    this.metadata.target = target;
+  }
+
+  /**
+   * Save base to file
+   *
+   * @throws {Error} If file write operation fails
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.baseFilePath), { recursive: true });
+
+      const data = {
+        metadata: {
+          ...this.metadata,
+          totalWorkflows: this.workflows.size,
+          savedAt: new Date().toISOString()
+        },
+        workflows: Object.fromEntries(this.workflows)
+      };
+
+      await fs.writeFile(this.baseFilePath, JSON.stringify(data, null, 2), 'utf8');
+      this.logger.debug(`Saved sync base with ${this.workflows.size} workflows: ${this.baseFilePath}`);
+    } catch (error) {
+      this.logger.error(`Failed to save sync base: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Load base from file
+   *
+   * A missing file is not an error: every workflow is then compared without
+   * a base (equal content is unchanged, different content is a conflict).
+   *
+   * @returns {Promise<boolean>} True if a base file was loaded
+   * @throws {Error} If the file exists but contains invalid JSON or structure
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.baseFilePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.debug(`No sync base found at: ${this.baseFilePath}`);
+        return false;
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid sync base ${this.baseFilePath}: ${error.message}`);
+    }
+
+    if (!data || typeof data.workflows !== 'object' || data.workflows === null) {
+      throw new Error(`Invalid sync base ${this.baseFilePath}: missing workflows`);
+    }
+
+    this.metadata = { target: data.metadata?.target };
+    this.workflows = new Map(Object.entries(data.workflows));
+
+    this.logger.debug(`Loaded sync base with ${this.workflows.size} workflows`);
+    return true;
+  }
+
+  /**
+   * Decides the action for a matched local/remote pair
+   *
+   * @private
+   * @param {object|null} base - Base entry
+   * @param {object|null} local - Local workflow
+   * @param {object|null} remote - Remote workflow
+   * @returns {{action: string, reason: string}} Decision
+   */
+  _decide(base, local, remote) {
+    const localHash = local ? WorkflowSyncService.fingerprint(local) : null;
+    const remoteHash = remote ? this._remoteFingerprint(remote, base) : null;
+
+    if (!base) {
+      if (!remote) {
+        return { action: ACTIONS.PUSH, reason: 'new local workflow' };
+      }
+      if (!local) {
+        return { action: ACTIONS.PULL, reason: 'new remote workflow' };
+      }
+      return localHash === remoteHash
+        ? { action: ACTIONS.UNCHANGED, reason: 'identical (no base)' }
+        : { action: ACTIONS.CONFLICT, reason: 'differs on both sides and there is no base snapshot' };
+    }
+
+    const localChanged = local ? localHash !== base.localHash : true;
+    const remoteChanged = remote ? remoteHash !== base.remoteHash : true;
+
+    if (!local && !remote) {
+      return { action: ACTIONS.UNCHANGED, reason: 'deleted on both sides' };
+    }
+
+    if (!local) {
+      return remoteChanged
+        ? { action: ACTIONS.CONFLICT, reason: 'deleted locally, changed remotely' }
+        : { action: ACTIONS.DELETE_REMOTE, reason: 'deleted locally' };
+    }
+
+    if (!remote) {
+      return localChanged
+        ? { action: ACTIONS.CONFLICT, reason: 'changed locally, deleted remotely' }
+        : { action: ACTIONS.DELETE_LOCAL, reason: 'deleted remotely' };
+    }
+
+    if (!localChanged && !remoteChanged) {
+      return { action: ACTIONS.UNCHANGED, reason: 'no changes' };
+    }
+    if (localChanged && !remoteChanged) {
+      return { action: ACTIONS.PUSH, reason: 'changed locally' };
+    }
+    if (!localChanged && remoteChanged) {
+      return { action: ACTIONS.PULL, reason: 'changed remotely' };
+    }
+
+    return localHash === remoteHash
+      ? { action: ACTIONS.UNCHANGED, reason: 'same change on both sides' }
+      : { action: ACTIONS.CONFLICT, reason: 'changed on both sides' };
+  }
+
+  /**
+   * Fingerprint of a remote workflow (base fingerprint for summaries known to be unchanged)
+   *
+   * @private
+   * @param {object} remote - Remote workflow or summary
+   * @param {object|null} base - Base entry
+   * @returns {string|null} Fingerprint
+   */
+  _remoteFingerprint(remote, base) {
+    if (Array.isArray(remote.nodes)) {
+      return WorkflowSyncService.fingerprint(remote);
+    }
+
+    return base && this.isRemoteUnchanged(remote) ? base.remoteHash : null;
+  }
+
+  /**
+   * Finds the base entry of a remote workflow ID
+   *
+   * @private
+   * @param {string} remoteId - Remote workflow ID
+   * @returns {object|null} Base entry with its local id
+   */
+  _findByRemoteId(remoteId) {
+    for (const [id, entry] of this.workflows) {
+      if (String(entry.remoteId) === String(remoteId)) {
+        return { id, ...entry };
+      }
+    }
+
+    return null;
+  }
+}
+
+WorkflowSyncService.BASE_FILENAME = BASE_FILENAME;
+WorkflowSyncService.ACTIONS = ACTIONS;
+
+module.exports = WorkflowSyncService;
@@ -143,6 +143,11 @@ class HttpClient {
    */
   async executeRequest(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
+
+    if (options.binary) {
+      return this.executeDownload(url, options);
+    }
+
     const parsedUrl = new URL(url);
     const protocol = parsedUrl.protocol === 'https:' ? https : http;
 
@@ -218,6 +223,59 @@ class HttpClient {
     });
   }
 
+  /**
+   * Executa um download binário, seguindo redirects
+   *
+   * Os headers padrão (autenticação) só são enviados para a origem do baseUrl:
+   * redirects para outro host (ex: URL assinada do S3) não recebem o token.
+   *
+   * @param {string} url - URL absoluta
+   * @param {object} options - Request options (headers)
+   * @param {number} [redirects=0] - Redirects já seguidos
+   * @returns {Promise<{data: Buffer, contentType: string|null, url: string}>} Conteúdo, tipo e URL final
+   */
+  async executeDownload(url, options = {}, redirects = 0) {
+    const parsedUrl = new URL(url);
+    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+    const sameOrigin = parsedUrl.origin === new URL(this.baseUrl).origin;
+    const headers = sameOrigin ? { ...this.defaultHeaders, ...options.headers, Accept: '*/*' } : {};
+    delete headers['Content-Type'];
+
+    return new Promise((resolve, reject) => {
+      const req = protocol.request(parsedUrl, { method: 'GET', headers, timeout: this.retryConfig.timeout }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          if (redirects >= 5) {
+            reject(new Error(`Too many redirects downloading ${parsedUrl.pathname}`));
+            return;
+          }
+          resolve(this.executeDownload(new URL(res.headers.location, url).toString(), options, redirects + 1));
+          return;
+        }
+
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ data: Buffer.concat(chunks), contentType: res.headers['content-type'] || null, url });
+          } else {
+            const error = new Error(`HTTP ${res.statusCode}: ${Buffer.concat(chunks).toString().slice(0, 200)}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        const timeoutError = new Error(`Request timeout after ${this.retryConfig.timeout}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        req.destroy(timeoutError);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
   /**
    * Extrai o código de status HTTP de um erro
    * @param {Error} error - Erro ocorrido
@@ -239,6 +297,14 @@ class HttpClient {
     return this.request(endpoint, { method: 'GET', headers });
   }
 
+  /**
+   * GET request for binary content (files, attachments), with retry and redirects
+   * @returns {Promise<{data: Buffer, contentType: string|null, url: string}>}
+   */
+  async download(endpoint, headers = {}) {
+    return this.request(endpoint, { method: 'GET', headers, binary: true });
+  }
+
   /**
    * POST request
    */
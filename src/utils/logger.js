@@ -3,6 +3,27 @@
  * Supports progress tracking and sensitive data masking
  */
 
+/**
+ * Sensitive data patterns to mask (also used by SecretScanner to find secrets in files)
+ * @type {Array<{pattern: RegExp, replacement: string}>}
+ */
+const SENSITIVE_PATTERNS = [
+  { pattern: /Bearer\s+\S+/gi, replacement: 'Bearer ***REDACTED***' },
+  { pattern: /password[:\s=]+\S+/gi, replacement: 'password: ***REDACTED***' },
+  { pattern: /apiKey[:\s=]+\S+/gi, replacement: 'apiKey: ***REDACTED***' },
+  { pattern: /token[:\s=]+\S+/gi, replacement: 'token: ***REDACTED***' },
+  { pattern: /authorization[:\s=]+\S+/gi, replacement: 'authorization: ***REDACTED***' },
+  { pattern: /"api[_-]?key"\s*:\s*"[^"]+"/gi, replacement: '"api_key":"***REDACTED***"' },
+  { pattern: /"token"\s*:\s*"[^"]+"/gi, replacement: '"token":"***REDACTED***"' },
+  { pattern: /"password"\s*:\s*"[^"]+"/gi, replacement: '"password":"***REDACTED***"' }
+];
+
+/**
+ * Object keys whose values are masked (case-insensitive, partial match)
+ * @type {string[]}
+ */
+const SENSITIVE_KEYS = ['password', 'token', 'apikey', 'api_key', 'authorization', 'bearer', 'secret'];
+
 class Logger {
   constructor(options = {}) {
     this.enableTimestamp = options.enableTimestamp ?? true;
@@ -19,16 +40,7 @@ class Logger {
     }
 
     // Sensitive data patterns to mask
-    this.sensitivePatterns = [
-      { pattern: /Bearer\s+\S+/gi, replacement: 'Bearer ***REDACTED***' },
-      { pattern: /password[:\s=]+\S+/gi, replacement: 'password: ***REDACTED***' },
-      { pattern: /apiKey[:\s=]+\S+/gi, replacement: 'apiKey: ***REDACTED***' },
-      { pattern: /token[:\s=]+\S+/gi, replacement: 'token: ***REDACTED***' },
-      { pattern: /authorization[:\s=]+\S+/gi, replacement: 'authorization: ***REDACTED***' },
-      { pattern: /"api[_-]?key"\s*:\s*"[^"]+"/gi, replacement: '"api_key":"***REDACTED***"' },
-      { pattern: /"token"\s*:\s*"[^"]+"/gi, replacement: '"token":"***REDACTED***"' },
-      { pattern: /"password"\s*:\s*"[^"]+"/gi, replacement: '"password":"***REDACTED***"' }
-    ];
+    this.sensitivePatterns = SENSITIVE_PATTERNS;
   }
 
   _getTimestamp() {
@@ -84,7 +96,7 @@ class Logger {
    */
   _maskObjectDeep(obj) {
     // Sensitive keys to mask (case-insensitive)
-    const sensitiveKeys = ['password', 'token', 'apikey', 'api_key', 'authorization', 'bearer', 'secret'];
+    const sensitiveKeys = SENSITIVE_KEYS;
 
     for (const key in obj) {
       if (Object.prototype.hasOwnProperty.call(obj, key)) {
@@ -285,4 +297,6 @@ class Logger {
   }
 }
 
-module.exports = Logger;
\ No newline at end of file
+module.exports = Logger;
+module.exports.SENSITIVE_PATTERNS = SENSITIVE_PATTERNS;
+module.exports.SENSITIVE_KEYS = SENSITIVE_KEYS;
@@ -0,0 +1,17 @@
+/**
+ * Markdown - Helpers for the Markdown reports (n8n:diff, plans, docs:generate)
+ */
+
+class Markdown {
+  /**
+   * Text safe for a Markdown table cell (pipes escaped, line breaks joined)
+   *
+   * @param {*} text - Cell text
+   * @returns {string} Escaped text
+   */
+  static cell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+}
+
+module.exports = Markdown;
@@ -22,6 +22,14 @@
 
 const TimestampResolver = require('./timestamp-resolver');
 
+/**
+ * Padrão de placeholder: {nome}
+ *
+ * Chaves duplas ({{ ... }}) são expressões do N8N e não são placeholders.
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /(?<!\{)\{([a-zA-Z_][a-zA-Z0-9_]*)\}(?!\})/;
+
 /**
  * Classe utilitária para resolução de placeholders
  */
@@ -42,8 +50,7 @@ class PlaceholderResolver {
       return false;
     }
 
-    const PLACEHOLDER_PATTERN = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
-    return PLACEHOLDER_PATTERN.test(value);
+    return new RegExp(PLACEHOLDER_PATTERN.source).test(value);
   }
 
   /**
@@ -63,7 +70,6 @@ class PlaceholderResolver {
     }
 
     const placeholders = [];
-    const PLACEHOLDER_PATTERN = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
     const regex = new RegExp(PLACEHOLDER_PATTERN.source, 'g');
     let match;
 
@@ -186,8 +192,12 @@ class PlaceholderResolver {
     let resolved = value;
     const resolvers = PlaceholderResolver.getResolvers();
 
+    const customValues = context.customValues || {};
+
     for (const placeholder of placeholders) {
-      const resolver = resolvers.get(placeholder);
+      const resolver = Object.prototype.hasOwnProperty.call(customValues, placeholder)
+        ? () => String(customValues[placeholder])
+        : resolvers.get(placeholder);
 
       if (!resolver) {
         throw new Error(
@@ -202,10 +212,7 @@ class PlaceholderResolver {
         const resolvedValue = resolver(context);
 
         // Substituir placeholder pelo valor resolvido
-        resolved = resolved.replace(
-          new RegExp(`\\{${placeholder}\\}`, 'g'),
-          resolvedValue
-        );
+        resolved = this._replacePlaceholder(resolved, placeholder, resolvedValue);
       } catch (error) {
         throw new Error(
           `Failed to resolve placeholder {${placeholder}}\n` +
@@ -220,6 +227,31 @@ class PlaceholderResolver {
     return resolved;
   }
 
+  /**
+   * Resolve apenas os placeholders com valor em `values`
+   *
+   * Diferente de resolve(), placeholders sem valor são mantidos na string
+   * (para serem reportados depois) e os resolvers registrados não são usados.
+   * Usado para valores dentro de workflows, onde {timestamp} não se aplica.
+   *
+   * @param {string} value - String com placeholders
+   * @param {Object<string, *>} values - Valores por nome de placeholder
+   * @returns {string} String com os placeholders conhecidos substituídos
+   *
+   * @example
+   * PlaceholderResolver.resolveKnown('{API_BASE}/orders/{id}', { API_BASE: 'https://api.example.com' })
+   * // 'https://api.example.com/orders/{id}'
+   */
+  static resolveKnown(value, values = {}) {
+    if (!this.hasPlaceholder(value)) {
+      return value;
+    }
+
+    return this.extractPlaceholders(value)
+      .filter(placeholder => Object.prototype.hasOwnProperty.call(values, placeholder))
+      .reduce((resolved, placeholder) => this._replacePlaceholder(resolved, placeholder, String(values[placeholder])), value);
+  }
+
   /**
    * Registra um novo resolver de placeholder
    *
@@ -275,6 +307,22 @@ class PlaceholderResolver {
     return PlaceholderResolver._resolvers;
   }
 
+  /**
+   * Substitui todas as ocorrências de um placeholder
+   *
+   * @param {string} value - String com placeholders
+   * @param {string} placeholder - Nome do placeholder
+   * @param {string} replacement - Valor
+   * @returns {string} String com o placeholder substituído
+   * @private
+   */
+  static _replacePlaceholder(value, placeholder, replacement) {
+    return value.replace(
+      new RegExp(`(?<!\\{)\\{${placeholder}\\}(?!\\})`, 'g'),
+      () => replacement
+    );
+  }
+
   /**
    * Obtém dica específica para um placeholder
    *
@@ -0,0 +1,457 @@
+/**
+ * Profile Manager - Named environment profiles
+ *
+ * Stores named environments (dev, staging, prod, client-x...) with their N8N
+ * and Outline endpoints in a single profiles file, and resolves the
+ * --profile / --from / --to flags into the environment variables every
+ * command already reads (N8N_URL, SOURCE_N8N_URL, TARGET_N8N_URL, OUTLINE_URL...).
+ *
+ * Profiles file (default ~/.docs-jana/profiles.json, override with JANA_PROFILES_FILE):
+ *
+ *   {
+ *     "profiles": {
+ *       "staging": {
+ *         "n8n": { "url": "https://n8n.staging.example.com", "apiKey": "..." },
+ *         "outline": { "url": "https://docs.example.com", "apiTokenEnv": "STAGING_OUTLINE_TOKEN" },
+ *         "variables": { "API_BASE": "https://api.staging.example.com" }
+ *       }
+ *     }
+ *   }
+ *
+ * Credentials are stored inline (apiKey / apiToken) or referenced by the name
+ * of an environment variable (apiKeyEnv / apiTokenEnv), so the file can be
+ * shared without secrets.
+ *
+ * Variables are exported as JANA_VAR_<NAME> environment variables when the
+ * profile is selected and fill the {NAME} placeholders of workflow templates
+ * (see WorkflowTemplateEngine). The prefix keeps a variable named PATH or
+ * N8N_API_KEY from replacing the real environment.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ENV_VARIABLE_PREFIX } = require('./workflow-template-engine');
+
+/**
+ * Default location of the profiles file
+ * @type {string}
+ */
+const DEFAULT_PROFILES_PATH = path.join(os.homedir(), '.docs-jana', 'profiles.json');
+
+/**
+ * Global flags resolved by the profile manager, mapped to selection keys
+ * @type {Object<string, string>}
+ */
+const PROFILE_FLAGS = {
+  '--profile': 'profile',
+  '--from': 'from',
+  '--to': 'to'
+};
+
+/**
+ * Profile names: letters, digits, ".", "_" and "-" (used on the command line)
+ * @type {RegExp}
+ */
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Variable names (same rule as workflow template placeholders)
+ * @type {RegExp}
+ */
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Environment variables set for each role of a profile
+ *
+ * - profile: the instance the command talks to (read and write)
+ * - from: the instance workflows / documents are read from
+ * - to: the instance workflows are written to
+ *
+ * @type {Object<string, {n8n: {url: string[], apiKey: string[]}, outline?: {url: string[], apiToken: string[]}}>}
+ */
+const ENV_BY_ROLE = {
+  profile: {
+    n8n: {
+      url: ['N8N_URL', 'SOURCE_N8N_URL', 'TARGET_N8N_URL'],
+      apiKey: ['N8N_API_KEY', 'SOURCE_N8N_API_KEY', 'TARGET_N8N_API_KEY']
+    },
+    outline: {
+      url: ['OUTLINE_URL'],
+      apiToken: ['OUTLINE_API_TOKEN']
+    }
+  },
+  from: {
+    n8n: {
+      url: ['N8N_URL', 'SOURCE_N8N_URL'],
+      apiKey: ['N8N_API_KEY', 'SOURCE_N8N_API_KEY']
+    },
+    outline: {
+      url: ['OUTLINE_URL'],
+      apiToken: ['OUTLINE_API_TOKEN']
+    }
+  },
+  to: {
+    n8n: {
+      url: ['TARGET_N8N_URL'],
+      apiKey: ['TARGET_N8N_API_KEY']
+    }
+  }
+};
+
+class ProfileManager {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.filePath] - Profiles file (default: JANA_PROFILES_FILE or ~/.docs-jana/profiles.json)
+   * @param {Object} [options.env=process.env] - Environment used to resolve *Env credential references
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.filePath = options.filePath || ProfileManager.getDefaultPath(this.env);
+    this.data = null;
+  }
+
+  /**
+   * Resolve the profiles file location
+   *
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {string} Absolute path of the profiles file
+   */
+  static getDefaultPath(env = process.env) {
+    return env.JANA_PROFILES_FILE ? path.resolve(env.JANA_PROFILES_FILE) : DEFAULT_PROFILES_PATH;
+  }
+
+  /**
+   * Remove --profile / --from / --to (and their --flag=value forms) from an argument list
+   *
+   * @param {string[]} args - Command arguments
+   * @returns {{args: string[], selection: {profile?: string, from?: string, to?: string}}} Remaining arguments and selected profiles
+   * @throws {Error} If a flag has no profile name
+   *
+   * @example
+   * ProfileManager.extractFlags(['--from', 'staging', '--to', 'prod', '--dry-run']);
+   * // => { args: ['--dry-run'], selection: { from: 'staging', to: 'prod' } }
+   */
+  static extractFlags(args = []) {
+    const remaining = [];
+    const selection = {};
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+        ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+        : [arg, undefined];
+      const key = PROFILE_FLAGS[flag];
+
+      if (!key) {
+        remaining.push(arg);
+        continue;
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (!value || value.startsWith('-')) {
+        throw new Error(`${flag} requires a profile name`);
+      }
+
+      selection[key] = value;
+    }
+
+    return { args: remaining, selection };
+  }
+
+  /**
+   * Check whether a selection names at least one profile
+   *
+   * @param {Object} selection - Result of extractFlags().selection
+   * @returns {boolean}
+   */
+  static hasSelection(selection) {
+    return Boolean(selection && (selection.profile || selection.from || selection.to));
+  }
+
+  /**
+   * Read the profiles file (missing file = no profiles)
+   *
+   * @returns {{profiles: Object<string, Object>}} Profiles data
+   * @throws {Error} If the file is not valid JSON
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!fs.existsSync(this.filePath)) {
+      this.data = { profiles: {} };
+      return this.data;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid profiles file ${this.filePath}: ${error.message}`);
+    }
+
+    this.data = { ...parsed, profiles: (parsed && parsed.profiles) || {} };
+    return this.data;
+  }
+
+  /**
+   * Write the profiles file (owner-only permissions, it may contain API keys)
+   */
+  save() {
+    const data = this.load();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+
+    // writeFileSync only applies mode when creating the file
+    if (process.platform !== 'win32') {
+      fs.chmodSync(this.filePath, 0o600);
+    }
+  }
+
+  /**
+   * List profiles sorted by name
+   *
+   * @returns {Array<{name: string, n8n?: Object, outline?: Object}>} Profiles as stored
+   */
+  list() {
+    const { profiles } = this.load();
+
+    return Object.keys(profiles)
+      .sort()
+      .map(name => ({ name, ...profiles[name] }));
+  }
+
+  /**
+   * Check whether a profile exists
+   *
+   * @param {string} name - Profile name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.load().profiles, name);
+  }
+
+  /**
+   * Get a stored profile
+   *
+   * @param {string} name - Profile name
+   * @returns {{n8n?: Object, outline?: Object}} Profile as stored
+   * @throws {Error} If the profile does not exist
+   */
+  get(name) {
+    if (!this.has(name)) {
+      const known = Object.keys(this.load().profiles);
+      throw new Error(
+        `Unknown profile "${name}"` +
+        (known.length > 0 ? ` (available: ${known.sort().join(', ')})` : ` (no profiles in ${this.filePath})`) +
+        `. Add it with: docs-jana profiles add ${name}`
+      );
+    }
+
+    return this.load().profiles[name];
+  }
+
+  /**
+   * Add or replace a profile and save the file
+   *
+   * @param {string} name - Profile name
+   * @param {{n8n?: Object, outline?: Object, variables?: Object}} profile - Endpoints and template variables
+   * @param {Object} [options={}]
+   * @param {boolean} [options.overwrite=false] - Replace an existing profile
+   * @returns {Object} Stored profile
+   * @throws {Error} If the name, URLs, credentials or variables are invalid, or the profile exists
+   */
+  add(name, profile, options = {}) {
+    if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid profile name "${name || ''}" (use letters, digits, ".", "_" and "-")`);
+    }
+
+    if (this.has(name) && !options.overwrite) {
+      throw new Error(`Profile "${name}" already exists (use --force to replace it)`);
+    }
+
+    const stored = {};
+
+    if (profile.n8n) {
+      stored.n8n = this._normalizeEndpoint('n8n', profile.n8n, 'apiKey');
+    }
+
+    if (profile.outline) {
+      stored.outline = this._normalizeEndpoint('outline', profile.outline, 'apiToken');
+    }
+
+    if (profile.variables && Object.keys(profile.variables).length > 0) {
+      stored.variables = this._normalizeVariables(profile.variables);
+    }
+
+    if (!stored.n8n && !stored.outline && !stored.variables) {
+      throw new Error(`Profile "${name}" needs an N8N or an Outline endpoint, or variables`);
+    }
+
+    this.load().profiles[name] = stored;
+    this.save();
+
+    return stored;
+  }
+
+  /**
+   * Remove a profile and save the file
+   *
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile existed
+   */
+  remove(name) {
+    if (!this.has(name)) {
+      return false;
+    }
+
+    delete this.load().profiles[name];
+    this.save();
+
+    return true;
+  }
+
+  /**
+   * Resolve a profile's endpoints and credentials
+   *
+   * @param {string} name - Profile name
+   * @returns {{name: string, n8n: ?{url: string, apiKey: ?string}, outline: ?{url: string, apiToken: ?string}, variables: Object<string, string>}}
+   * @throws {Error} If the profile does not exist
+   */
+  resolve(name) {
+    const profile = this.get(name);
+
+    return {
+      name,
+      n8n: profile.n8n ? this._resolveEndpoint(profile.n8n, 'apiKey') : null,
+      outline: profile.outline ? this._resolveEndpoint(profile.outline, 'apiToken') : null,
+      variables: { ...profile.variables }
+    };
+  }
+
+  /**
+   * Apply selected profiles to an environment object
+   *
+   * --profile is applied first, then --from and --to, so
+   * "--profile dev --to prod" reads from dev and writes to prod.
+   * Profile values replace variables loaded from .env. When a profile sets a URL
+   * without a credential, the matching credential variables are removed so a key
+   * for another instance is never sent to it. Profile variables are exported
+   * as JANA_VAR_<NAME> (the --to profile wins; empty values are kept).
+   *
+   * @param {{profile?: string, from?: string, to?: string}} selection - Selected profiles
+   * @param {Object} [env=this.env] - Environment to update (usually process.env)
+   * @returns {Object<string, string>} Applied variables with the profile they came from
+   * @throws {Error} If a selected profile does not exist
+   */
+  apply(selection, env = this.env) {
+    const applied = {};
+
+    for (const role of ['profile', 'from', 'to']) {
+      if (!selection || !selection[role]) {
+        continue;
+      }
+
+      const resolved = this.resolve(selection[role]);
+      const targets = ENV_BY_ROLE[role];
+
+      if (resolved.n8n && targets.n8n) {
+        this._setEnv(env, targets.n8n.url, resolved.n8n.url, resolved.name, applied);
+        this._setEnv(env, targets.n8n.apiKey, resolved.n8n.apiKey, resolved.name, applied);
+      }
+
+      if (resolved.outline && targets.outline) {
+        this._setEnv(env, targets.outline.url, resolved.outline.url, resolved.name, applied);
+        this._setEnv(env, targets.outline.apiToken, resolved.outline.apiToken, resolved.name, applied);
+      }
+
+      for (const [variable, value] of Object.entries(resolved.variables)) {
+        env[`${ENV_VARIABLE_PREFIX}${variable}`] = value;
+        applied[`${ENV_VARIABLE_PREFIX}${variable}`] = resolved.name;
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Validate and copy an endpoint definition
+   * @private
+   */
+  _normalizeEndpoint(service, endpoint, credentialKey) {
+    const url = (endpoint.url || '').trim().replace(/\/+$/, '');
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Invalid ${service} URL "${endpoint.url || ''}"`);
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw new Error(`Invalid ${service} URL "${url}" (use http or https)`);
+    }
+
+    const normalized = { url };
+    if (endpoint[credentialKey]) {
+      normalized[credentialKey] = endpoint[credentialKey];
+    } else if (endpoint[`${credentialKey}Env`]) {
+      normalized[`${credentialKey}Env`] = endpoint[`${credentialKey}Env`];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate variable names and convert values to strings
+   * @private
+   */
+  _normalizeVariables(variables) {
+    const normalized = {};
+
+    for (const [name, value] of Object.entries(variables)) {
+      if (!VARIABLE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid variable name "${name}" (use letters, digits and "_")`);
+      }
+      if (value === null || typeof value === 'object') {
+        throw new Error(`Variable ${name} must be a string, number or boolean`);
+      }
+      normalized[name] = String(value);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Resolve inline or *Env credentials of an endpoint
+   * @private
+   */
+  _resolveEndpoint(endpoint, credentialKey) {
+    const envName = endpoint[`${credentialKey}Env`];
+    const credential = endpoint[credentialKey] || (envName ? this.env[envName] : null) || null;
+
+    return { url: endpoint.url, [credentialKey]: credential };
+  }
+
+  /**
+   * Set (or clear, when value is empty) a list of environment variables
+   * @private
+   */
+  _setEnv(env, names, value, profileName, applied) {
+    for (const name of names) {
+      if (value) {
+        env[name] = value;
+        applied[name] = profileName;
+      } else {
+        delete env[name];
+      }
+    }
+  }
+}
+
+module.exports = ProfileManager;
+module.exports.DEFAULT_PROFILES_PATH = DEFAULT_PROFILES_PATH;
+module.exports.PROFILE_FLAGS = PROFILE_FLAGS;
@@ -0,0 +1,124 @@
+/**
+ * Secret Keyring - OS keyring key provider for the secrets store
+ *
+ * Optional plugin of SecretStore: keeps the store's master key in the OS
+ * keyring instead of deriving it from a passphrase or keyfile. Uses the
+ * platform command-line tools, so no native module is needed:
+ *
+ * - macOS: `security` (login keychain)
+ * - Linux: `secret-tool` (libsecret: GNOME Keyring, KWallet...)
+ *
+ * Enable it with JANA_SECRETS_KEYRING=true before the store is created.
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * Keyring entry holding the master key
+ * @type {{service: string, account: string}}
+ */
+const KEYRING_ENTRY = {
+  service: 'docs-jana',
+  account: 'secrets-master-key'
+};
+
+class SecretKeyring {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.platform=process.platform] - Platform (for tests)
+   * @param {Function} [options.exec=execFileSync] - Command runner (for tests)
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.exec = options.exec || execFileSync;
+    this.name = 'keyring';
+  }
+
+  /**
+   * Check whether the keyring tool of this platform is installed
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    const tool = this._tool();
+    if (!tool) {
+      return false;
+    }
+
+    try {
+      this.exec('which', [tool], { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read the master key
+   *
+   * @returns {?Buffer} 32-byte key, or null when the keyring has no entry
+   * @throws {Error} If the platform has no supported keyring tool
+   */
+  getKey() {
+    this._requireTool();
+
+    const args = this.platform === 'darwin'
+      ? ['find-generic-password', '-s', KEYRING_ENTRY.service, '-a', KEYRING_ENTRY.account, '-w']
+      : ['lookup', 'service', KEYRING_ENTRY.service, 'account', KEYRING_ENTRY.account];
+
+    try {
+      const value = this.exec(this._tool(), args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      return value ? Buffer.from(value, 'base64') : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store the master key (replaces an existing entry)
+   *
+   * @param {Buffer} key - 32-byte key
+   * @throws {Error} If the keyring tool fails
+   */
+  setKey(key) {
+    this._requireTool();
+
+    const encoded = key.toString('base64');
+
+    if (this.platform === 'darwin') {
+      this.exec('security', [
+        'add-generic-password', '-U', '-s', KEYRING_ENTRY.service, '-a', KEYRING_ENTRY.account, '-w', encoded
+      ], { stdio: 'ignore' });
+      return;
+    }
+
+    // secret-tool reads the secret from stdin so it never shows in the process list
+    this.exec('secret-tool', [
+      'store', '--label', 'docs-jana secrets', 'service', KEYRING_ENTRY.service, 'account', KEYRING_ENTRY.account
+    ], { input: encoded, stdio: ['pipe', 'ignore', 'ignore'] });
+  }
+
+  /**
+   * Keyring tool of the platform
+   * @private
+   */
+  _tool() {
+    if (this.platform === 'darwin') {
+      return 'security';
+    }
+
+    return this.platform === 'linux' ? 'secret-tool' : null;
+  }
+
+  /**
+   * @private
+   */
+  _requireTool() {
+    if (!this._tool()) {
+      throw new Error(`OS keyring is not supported on ${this.platform} (use JANA_SECRETS_PASSPHRASE or JANA_SECRETS_KEYFILE)`);
+    }
+  }
+}
+
+module.exports = SecretKeyring;
+module.exports.KEYRING_ENTRY = KEYRING_ENTRY;
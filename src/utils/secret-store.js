@@ -0,0 +1,421 @@
+/**
+ * Secret Store - Encrypted local storage for API keys and tokens
+ *
+ * Keeps secrets in one AES-256-GCM encrypted file (default
+ * ~/.docs-jana/secrets.enc, override with JANA_SECRETS_FILE). Configuration
+ * (.env, profiles) then holds references instead of plaintext values:
+ *
+ *   TARGET_N8N_API_KEY=secret:TARGET_N8N_API_KEY
+ *
+ * References are resolved by AuthFactory, OutlineAuthFactory and the
+ * n8n-transfer ConfigLoader through SecretStore.resolveValue().
+ *
+ * Key sources, in order of precedence:
+ * 1. Passphrase: JANA_SECRETS_PASSPHRASE (scrypt-derived key)
+ * 2. Keyfile: JANA_SECRETS_KEYFILE (scrypt-derived key from the file content)
+ * 3. OS keyring: JANA_SECRETS_KEYRING=true (random master key, see secret-keyring.js)
+ * 4. Default keyfile: secrets.key next to the store, when it exists (created
+ *    on first use when no other key source is configured)
+ *
+ * A store created with the keyring always reads its key from the keyring.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecretKeyring = require('./secret-keyring');
+
+/**
+ * Prefix of secret references in configuration values
+ * @type {string}
+ */
+const SECRET_REFERENCE_PREFIX = 'secret:';
+
+/**
+ * Default location of the store
+ * @type {string}
+ */
+const DEFAULT_SECRETS_PATH = path.join(os.homedir(), '.docs-jana', 'secrets.enc');
+
+/**
+ * scrypt parameters (Node defaults: 16 MiB of memory per derivation)
+ * @type {{N: number, r: number, p: number}}
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+class SecretStore {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.filePath] - Store file (default: JANA_SECRETS_FILE or ~/.docs-jana/secrets.enc)
+   * @param {Object} [options.env=process.env] - Environment with the key source variables
+   * @param {string} [options.passphrase] - Passphrase (overrides JANA_SECRETS_PASSPHRASE)
+   * @param {string} [options.keyfile] - Keyfile path (overrides JANA_SECRETS_KEYFILE)
+   * @param {Object} [options.keyring] - Keyring provider (default: SecretKeyring)
+   * @param {boolean} [options.useKeyring] - Create the store with the keyring (default: JANA_SECRETS_KEYRING=true)
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.filePath = options.filePath || SecretStore.getDefaultPath(this.env);
+    this.passphrase = options.passphrase || this.env.JANA_SECRETS_PASSPHRASE || null;
+    this.keyfile = options.keyfile || this.env.JANA_SECRETS_KEYFILE || null;
+    this.keyring = options.keyring || new SecretKeyring();
+    this.useKeyring = options.useKeyring !== undefined
+      ? Boolean(options.useKeyring)
+      : this.env.JANA_SECRETS_KEYRING === 'true';
+    this.defaultKeyfile = path.join(path.dirname(this.filePath), 'secrets.key');
+    this.secrets = null;
+    this.kdf = null;
+    this.key = null;
+  }
+
+  /**
+   * Resolve the store file location
+   *
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {string} Absolute path of the store file
+   */
+  static getDefaultPath(env = process.env) {
+    return env.JANA_SECRETS_FILE ? path.resolve(env.JANA_SECRETS_FILE) : DEFAULT_SECRETS_PATH;
+  }
+
+  /**
+   * Check whether a configuration value is a secret reference
+   *
+   * @param {*} value - Configuration value
+   * @returns {boolean}
+   */
+  static isReference(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_REFERENCE_PREFIX) && value.length > SECRET_REFERENCE_PREFIX.length;
+  }
+
+  /**
+   * Build a reference to a secret
+   *
+   * @param {string} name - Secret name
+   * @returns {string} Reference (e.g. "secret:TARGET_N8N_API_KEY")
+   */
+  static reference(name) {
+    return `${SECRET_REFERENCE_PREFIX}${name}`;
+  }
+
+  /**
+   * Resolve a configuration value: references are read from the store,
+   * other values are returned unchanged
+   *
+   * @param {*} value - Configuration value
+   * @param {Object} [options={}] - SecretStore options
+   * @returns {*} Secret value or the original value
+   * @throws {Error} If the store is locked or the secret does not exist
+   *
+   * @example
+   * SecretStore.resolveValue(process.env.TARGET_N8N_API_KEY);
+   */
+  static resolveValue(value, options = {}) {
+    if (!SecretStore.isReference(value)) {
+      return value;
+    }
+
+    return new SecretStore(options).resolve(value);
+  }
+
+  /**
+   * Resolve a configuration value with this store
+   *
+   * @param {*} value - Configuration value
+   * @returns {*} Secret value for references, the original value otherwise
+   * @throws {Error} If the store is locked or the secret does not exist
+   */
+  resolve(value) {
+    return SecretStore.isReference(value) ? this.get(value.slice(SECRET_REFERENCE_PREFIX.length)) : value;
+  }
+
+  /**
+   * Check whether the store file exists
+   *
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Decrypt the store (missing file = empty store)
+   *
+   * @returns {Object<string, string>} Secrets by name
+   * @throws {Error} If no key source is available or the key is wrong
+   */
+  load() {
+    if (this.secrets) {
+      return this.secrets;
+    }
+
+    if (!this.exists()) {
+      this.secrets = {};
+      return this.secrets;
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid secrets store ${this.filePath}: ${error.message}`);
+    }
+
+    this.kdf = envelope.kdf;
+    this.key = this._deriveKey(envelope.kdf);
+
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      this.secrets = JSON.parse(plaintext.toString('utf8'));
+    } catch {
+      this.key = null;
+      throw new Error(`Cannot decrypt ${this.filePath}: wrong passphrase or keyfile`);
+    }
+
+    return this.secrets;
+  }
+
+  /**
+   * Encrypt and write the store (owner-only permissions)
+   */
+  save() {
+    const secrets = this.load();
+
+    if (!this.key) {
+      this._initKey();
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    const envelope = {
+      version: 1,
+      cipher: CIPHER,
+      kdf: this.kdf,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    this._writePrivate(this.filePath, JSON.stringify(envelope, null, 2) + '\n');
+  }
+
+  /**
+   * List secret names
+   *
+   * @returns {string[]} Sorted names
+   */
+  list() {
+    return Object.keys(this.load()).sort();
+  }
+
+  /**
+   * Check whether a secret exists
+   *
+   * @param {string} name - Secret name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.load(), name);
+  }
+
+  /**
+   * Read a secret
+   *
+   * @param {string} name - Secret name
+   * @returns {string} Secret value
+   * @throws {Error} If the secret does not exist
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Secret "${name}" not found in ${this.filePath} (add it with: docs-jana secrets set ${name})`);
+    }
+
+    return this.load()[name];
+  }
+
+  /**
+   * Add or replace a secret and save the store
+   *
+   * @param {string} name - Secret name
+   * @param {string} value - Secret value
+   * @returns {string} Reference to the secret
+   * @throws {Error} If the name or value is empty
+   */
+  set(name, value) {
+    if (!name || /\s/.test(name)) {
+      throw new Error(`Invalid secret name "${name || ''}"`);
+    }
+
+    if (!value) {
+      throw new Error(`Secret "${name}" cannot be empty`);
+    }
+
+    this.load()[name] = value;
+    this.save();
+
+    return SecretStore.reference(name);
+  }
+
+  /**
+   * Delete a secret and save the store
+   *
+   * @param {string} name - Secret name
+   * @returns {boolean} True if the secret existed
+   */
+  delete(name) {
+    if (!this.has(name)) {
+      return false;
+    }
+
+    delete this.load()[name];
+    this.save();
+
+    return true;
+  }
+
+  /**
+   * Re-encrypt the store with a new key
+   *
+   * Without a new key source the current one is kept and only the salt and
+   * derived key change.
+   *
+   * @param {Object} [source={}] - New key source
+   * @param {string} [source.passphrase] - New passphrase
+   * @param {string} [source.keyfile] - New keyfile (created with a random key if missing)
+   * @param {boolean} [source.keyring] - Move the key to the OS keyring
+   * @returns {{secrets: number, keySource: string}} Number of re-encrypted secrets and the new key source
+   */
+  rotate(source = {}) {
+    this.load();
+
+    if (source.passphrase) {
+      this.passphrase = source.passphrase;
+    } else if (source.keyfile) {
+      this.passphrase = null;
+      this.keyfile = source.keyfile;
+      if (!fs.existsSync(source.keyfile)) {
+        this._writePrivate(source.keyfile, crypto.randomBytes(KEY_LENGTH).toString('base64') + '\n');
+      }
+    }
+
+    this.useKeyring = Boolean(source.keyring) || (!source.passphrase && !source.keyfile && this.kdf && this.kdf.name === 'keyring');
+    this._initKey();
+    this.save();
+
+    return { secrets: this.list().length, keySource: this.describeKeySource() };
+  }
+
+  /**
+   * Describe where the key of the store comes from
+   *
+   * @returns {string} "keyring", "passphrase", "keyfile <path>" or "none"
+   */
+  describeKeySource() {
+    if ((this.kdf && this.kdf.name === 'keyring') || (!this.kdf && this.useKeyring)) {
+      return 'keyring';
+    }
+
+    if (this.passphrase) {
+      return 'passphrase';
+    }
+
+    const keyfile = this._keyfilePath();
+    return keyfile ? `keyfile ${keyfile}` : 'none';
+  }
+
+  /**
+   * Create a new key (and kdf parameters) for the current key source
+   * @private
+   */
+  _initKey() {
+    if (this.useKeyring) {
+      const key = crypto.randomBytes(KEY_LENGTH);
+      this.keyring.setKey(key);
+      this.kdf = { name: 'keyring' };
+      this.key = key;
+      return;
+    }
+
+    if (!this.passphrase && !this._keyfilePath()) {
+      // First use without any key source: create the default keyfile
+      this._writePrivate(this.defaultKeyfile, crypto.randomBytes(KEY_LENGTH).toString('base64') + '\n');
+    }
+
+    this.kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+    this.key = this._deriveKey(this.kdf);
+  }
+
+  /**
+   * Derive (or read) the key described by kdf
+   * @private
+   */
+  _deriveKey(kdf) {
+    if (kdf && kdf.name === 'keyring') {
+      const key = this.keyring.getKey();
+      if (!key) {
+        throw new Error(`The key of ${this.filePath} is not in the OS keyring`);
+      }
+      return key;
+    }
+
+    const material = this._keyMaterial();
+    return crypto.scryptSync(material, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, { N: kdf.N, r: kdf.r, p: kdf.p });
+  }
+
+  /**
+   * Passphrase or keyfile content used to derive the key
+   * @private
+   */
+  _keyMaterial() {
+    if (this.passphrase) {
+      return Buffer.from(this.passphrase, 'utf8');
+    }
+
+    const keyfile = this._keyfilePath();
+    if (!keyfile) {
+      throw new Error(
+        `The secrets store ${this.filePath} is locked: set JANA_SECRETS_PASSPHRASE or JANA_SECRETS_KEYFILE`
+      );
+    }
+
+    return fs.readFileSync(keyfile);
+  }
+
+  /**
+   * Configured keyfile, or the default keyfile when it exists
+   * @private
+   */
+  _keyfilePath() {
+    if (this.keyfile) {
+      return path.resolve(this.keyfile);
+    }
+
+    return fs.existsSync(this.defaultKeyfile) ? this.defaultKeyfile : null;
+  }
+
+  /**
+   * Write a file readable by the owner only
+   * @private
+   */
+  _writePrivate(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, { encoding: 'utf8', mode: 0o600 });
+
+    // writeFileSync only applies mode when creating the file
+    if (process.platform !== 'win32') {
+      fs.chmodSync(filePath, 0o600);
+    }
+  }
+}
+
+module.exports = SecretStore;
+module.exports.SECRET_REFERENCE_PREFIX = SECRET_REFERENCE_PREFIX;
+module.exports.DEFAULT_SECRETS_PATH = DEFAULT_SECRETS_PATH;
@@ -0,0 +1,113 @@
+/**
+ * Workflow Files - Reads workflow JSON files from a download folder
+ *
+ * Shared by every command reading workflows from disk (n8n:upload, n8n:diff,
+ * n8n:graph, n8n:lint, n8n:render, docs:generate), so they all see the same
+ * files:
+ *
+ * - Subfolders are read recursively (.git is skipped)
+ * - Only .json files; files starting with "_" (manifests, ID mappings, logs) are skipped
+ * - Files that are not valid JSON or not workflows are skipped with a warning
+ *
+ * @example
+ * const entries = WorkflowFiles.load('./workflows', { logger });
+ * entries.forEach(({ workflow, file }) => console.log(file, workflow.name));
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class WorkflowFiles {
+  /**
+   * Load the workflows of a directory (recursive)
+   *
+   * @param {string} dir - Workflow directory
+   * @param {Object} [options={}]
+   * @param {Logger} [options.logger] - Logger for skipped files
+   * @param {Function} [options.validate] - (workflow) => reason to skip the file, or null
+   *   (default: WorkflowFiles.validate, which requires nodes)
+   * @returns {Array<{workflow: Object, file: string}>} Workflows and their path relative to dir ("/" separated)
+   * @throws {Error} If the directory does not exist
+   */
+  static load(dir, options = {}) {
+    const { logger = null, validate = WorkflowFiles.validate } = options;
+
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Input directory does not exist: ${dir}`);
+    }
+
+    const entries = [];
+
+    const readDir = (current) => {
+      for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+        const fullPath = path.join(current, entry.name);
+
+        if (entry.isDirectory()) {
+          if (entry.name !== '.git') {
+            readDir(fullPath);
+          }
+        } else if (entry.isFile() && entry.name.endsWith('.json') && !entry.name.startsWith('_')) {
+          const file = path.relative(dir, fullPath).split(path.sep).join('/');
+
+          try {
+            const workflow = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+            const reason = validate(workflow || {});
+
+            if (reason) {
+              logger?.warn(`⚠️  Skipping ${file}: ${reason}`);
+            } else {
+              entries.push({ workflow, file });
+            }
+          } catch (error) {
+            logger?.warn(`⚠️  Skipping ${file}: ${error.message}`);
+          }
+        }
+      }
+    };
+
+    readDir(dir);
+    logger?.debug(`Loaded ${entries.length} workflows from ${dir}`);
+
+    return entries;
+  }
+
+  /**
+   * Read one workflow file
+   *
+   * @param {string} filePath - Workflow JSON file
+   * @returns {Object} Workflow
+   * @throws {Error} If the file is not valid JSON or not a workflow
+   */
+  static read(filePath) {
+    const workflow = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const reason = WorkflowFiles.validate(workflow || {});
+
+    if (reason) {
+      throw new Error(`Not a workflow file (${reason}): ${filePath}`);
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Default check of a loaded file
+   *
+   * @param {Object} workflow - Parsed file
+   * @returns {string|null} Reason to skip the file, or null
+   */
+  static validate(workflow) {
+    return Array.isArray(workflow.nodes) ? null : 'missing nodes';
+  }
+
+  /**
+   * Tag names of a workflow (tags are objects on the API, strings in some exports)
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {string[]} Tag names
+   */
+  static tagNames(workflow) {
+    return (workflow?.tags || []).map(tag => (typeof tag === 'string' ? tag : tag && tag.name)).filter(Boolean);
+  }
+}
+
+module.exports = WorkflowFiles;
@@ -0,0 +1,457 @@
+/**
+ * Workflow Template Engine - {name} placeholders inside workflow JSON
+ *
+ * Extends the PlaceholderResolver syntax (used for directory names such as
+ * ./n8n-workflows-{timestamp}) to the content of workflows: workflow names,
+ * node parameters (including sticky note text) and node notes.
+ *
+ *   "url": "{API_BASE}/orders"   →   "url": "https://api.example.com/orders"
+ *
+ * Values, in order of precedence:
+ * 1. Explicit values (--set NAME=value)
+ * 2. JANA_VAR_<NAME> environment variables (ProfileManager exports the
+ *    variables of the selected profile this way). Other environment variables
+ *    are never used, so text such as "{HOME}" in a sticky note is not filled
+ *    with the local value.
+ * 3. Variables file (--vars <file>, default .jana/variables.json; JSON or .env format)
+ *
+ * N8N expressions ({{ ... }}) are not placeholders. Code parameters (jsCode...)
+ * get known values filled in, but unknown {name} tokens in them are not
+ * reported, since they are usually object literals.
+ *
+ * The reverse operation, parameterise(), turns known values back into
+ * placeholders (used by n8n:download --parameterise).
+ *
+ * @example
+ * const engine = WorkflowTemplateEngine.create({ variablesFile: '.jana/variables.json' });
+ * const { workflows, unresolved } = engine.renderAll(workflows);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const PlaceholderResolver = require('./placeholder-resolver');
+
+/**
+ * Node parameters holding code
+ * @type {string[]}
+ */
+const CODE_PARAMETERS = ['jsCode', 'pythonCode', 'functionCode', 'code'];
+
+/**
+ * Variable names (same rule as placeholder names)
+ * @type {RegExp}
+ */
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Shortest value turned back into a placeholder by parameterise()
+ * (shorter values such as "1" or "id" would match everywhere)
+ * @type {number}
+ */
+const MIN_PARAMETERISE_LENGTH = 4;
+
+/**
+ * Prefix of environment variables holding placeholder values (JANA_VAR_API_BASE fills {API_BASE})
+ * @type {string}
+ */
+const ENV_VARIABLE_PREFIX = 'JANA_VAR_';
+
+class WorkflowTemplateEngine {
+  /**
+   * @param {Object} [options={}]
+   * @param {Object<string, string>} [options.values={}] - Explicit values (highest precedence)
+   * @param {Object<string, string>} [options.variables={}] - Variables file values (lowest precedence)
+   * @param {Object} [options.env=process.env] - Environment variables
+   * @param {boolean} [options.useEnv=true] - Read profile and JANA_VAR_* values from the environment
+   */
+  constructor(options = {}) {
+    this.values = { ...options.values };
+    this.variables = { ...options.variables };
+    this.env = options.env || process.env;
+    this.useEnv = options.useEnv !== false;
+  }
+
+  /**
+   * Create an engine, loading the variables file
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.variablesFile] - Variables file (must exist when given)
+   * @param {Object<string, string>} [options.values] - Explicit values
+   * @param {Object} [options.env=process.env] - Environment variables
+   * @param {string} [options.baseDir=process.cwd()] - Directory of the default .jana/variables.json
+   * @returns {WorkflowTemplateEngine}
+   * @throws {Error} If the variables file is missing or invalid
+   */
+  static create(options = {}) {
+    const defaultFile = WorkflowTemplateEngine.getDefaultVariablesPath(options.baseDir);
+    const variablesFile = options.variablesFile || (fs.existsSync(defaultFile) ? defaultFile : null);
+
+    return new WorkflowTemplateEngine({
+      values: options.values,
+      env: options.env,
+      variables: variablesFile ? WorkflowTemplateEngine.loadVariablesFile(variablesFile) : {}
+    });
+  }
+
+  /**
+   * Default variables file
+   *
+   * @param {string} [baseDir=process.cwd()] - Project directory
+   * @returns {string} Path of .jana/variables.json
+   */
+  static getDefaultVariablesPath(baseDir = process.cwd()) {
+    return path.join(baseDir, '.jana', 'variables.json');
+  }
+
+  /**
+   * Load a variables file (.json: flat object, otherwise .env format)
+   *
+   * @param {string} filePath - Variables file
+   * @returns {Object<string, string>} Variables
+   * @throws {Error} If the file is missing or invalid
+   */
+  static loadVariablesFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Variables file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    let variables;
+
+    if (path.extname(filePath).toLowerCase() === '.json') {
+      try {
+        variables = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid variables file ${filePath}: ${error.message}`);
+      }
+    } else {
+      variables = dotenv.parse(content);
+    }
+
+    try {
+      return WorkflowTemplateEngine.normalizeVariables(variables);
+    } catch (error) {
+      throw new Error(`Invalid variables file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate variable names and convert values to strings
+   *
+   * @param {Object} variables - Variables
+   * @returns {Object<string, string>} Normalized variables
+   * @throws {Error} If a name is invalid or a value is not a scalar
+   */
+  static normalizeVariables(variables) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw new Error('expected an object of NAME: value');
+    }
+
+    const normalized = {};
+    for (const [name, value] of Object.entries(variables)) {
+      if (!VARIABLE_NAME_PATTERN.test(name)) {
+        throw new Error(`invalid variable name "${name}" (use letters, digits and "_")`);
+      }
+      if (value === null || typeof value === 'object') {
+        throw new Error(`variable ${name} must be a string, number or boolean`);
+      }
+      normalized[name] = String(value);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Parse NAME=value assignments (--set)
+   *
+   * @param {string[]} assignments - Assignments
+   * @returns {Object<string, string>} Values
+   * @throws {Error} If an assignment has no "="
+   */
+  static parseAssignments(assignments = []) {
+    const values = {};
+
+    for (const assignment of assignments) {
+      const index = assignment.indexOf('=');
+      if (index <= 0) {
+        throw new Error(`Invalid assignment "${assignment}" (use NAME=value)`);
+      }
+      values[assignment.slice(0, index)] = assignment.slice(index + 1);
+    }
+
+    return WorkflowTemplateEngine.normalizeVariables(values);
+  }
+
+  /**
+   * Value of a placeholder
+   *
+   * @param {string} name - Placeholder name
+   * @returns {string|undefined} Value, or undefined when unknown
+   */
+  lookup(name) {
+    if (Object.prototype.hasOwnProperty.call(this.values, name)) {
+      return this.values[name];
+    }
+
+    const environment = this.environmentValues();
+    if (Object.prototype.hasOwnProperty.call(environment, name)) {
+      return environment[name];
+    }
+
+    return Object.prototype.hasOwnProperty.call(this.variables, name) ? this.variables[name] : undefined;
+  }
+
+  /**
+   * Render a template string
+   *
+   * @param {string} text - Text with placeholders
+   * @returns {string} Text with the known placeholders filled in
+   */
+  renderString(text) {
+    const known = {};
+
+    for (const name of PlaceholderResolver.extractPlaceholders(text)) {
+      const value = this.lookup(name);
+      if (value !== undefined) {
+        known[name] = value;
+      }
+    }
+
+    return PlaceholderResolver.resolveKnown(text, known);
+  }
+
+  /**
+   * Render a workflow
+   *
+   * @param {Object} workflow - Workflow template (not modified)
+   * @returns {{workflow: Object, resolved: string[], unresolved: Array<{node: ?string, path: string, placeholder: string}>}}
+   *   Rendered copy, names of the filled placeholders and placeholders left
+   */
+  render(workflow) {
+    const resolved = new Set();
+    const rendered = this._mapTemplate(workflow, text => {
+      PlaceholderResolver.extractPlaceholders(text)
+        .filter(name => this.lookup(name) !== undefined)
+        .forEach(name => resolved.add(name));
+      return this.renderString(text);
+    });
+
+    return { workflow: rendered, resolved: [...resolved].sort(), unresolved: this.findPlaceholders(rendered) };
+  }
+
+  /**
+   * Render a set of workflows
+   *
+   * @param {Array<Object>} workflows - Workflow templates (not modified)
+   * @returns {{workflows: Array<Object>, resolved: string[], unresolved: Array<{workflow: string, node: ?string, path: string, placeholder: string}>}}
+   */
+  renderAll(workflows) {
+    const resolved = new Set();
+    const unresolved = [];
+
+    const rendered = workflows.map(workflow => {
+      const result = this.render(workflow);
+      result.resolved.forEach(name => resolved.add(name));
+      result.unresolved.forEach(item => unresolved.push({ workflow: result.workflow.name, ...item }));
+      return result.workflow;
+    });
+
+    return { workflows: rendered, resolved: [...resolved].sort(), unresolved };
+  }
+
+  /**
+   * Find the placeholders of a workflow (code parameters excluded)
+   *
+   * @param {Object} workflow - Workflow
+   * @returns {Array<{node: ?string, path: string, placeholder: string}>} Placeholders
+   */
+  findPlaceholders(workflow) {
+    const found = [];
+
+    this._walkTemplate(workflow, (node, location, text, key) => {
+      if (CODE_PARAMETERS.includes(key)) {
+        return;
+      }
+      PlaceholderResolver.extractPlaceholders(text).forEach(placeholder => {
+        found.push({ node: node ? node.name : null, path: location, placeholder });
+      });
+    });
+
+    return found;
+  }
+
+  /**
+   * Turn known values back into placeholders
+   *
+   * Uses the same values as rendering. Longer values are replaced first;
+   * values shorter than 4 characters are ignored.
+   *
+   * @param {Object} workflow - Concrete workflow (not modified)
+   * @returns {{workflow: Object, replaced: Object<string, number>}} Parameterised copy and replacements per name
+   */
+  parameterise(workflow) {
+    const replaced = {};
+    const candidates = Object.entries(this.parameterValues())
+      .filter(([, value]) => value.length >= MIN_PARAMETERISE_LENGTH)
+      .sort(([, a], [, b]) => b.length - a.length);
+
+    const parameterised = this._mapTemplate(workflow, text => {
+      let result = text;
+
+      for (const [name, value] of candidates) {
+        const parts = result.split(value);
+        if (parts.length > 1) {
+          replaced[name] = (replaced[name] || 0) + parts.length - 1;
+          result = parts.join(`{${name}}`);
+        }
+      }
+
+      return result;
+    });
+
+    return { workflow: parameterised, replaced };
+  }
+
+  /**
+   * Every known value, by precedence (used by parameterise())
+   *
+   * @returns {Object<string, string>} Values by name
+   */
+  parameterValues() {
+    return { ...this.variables, ...this.environmentValues(), ...this.values };
+  }
+
+  /**
+   * Whether any value is known (--set, profile or JANA_VAR_* variables, variables file)
+   *
+   * Without values there is no templating: "{name}" is ordinary text.
+   *
+   * @returns {boolean} True when at least one value is known
+   */
+  hasValues() {
+    return Object.keys(this.parameterValues()).length > 0;
+  }
+
+  /**
+   * Values from the environment: JANA_VAR_<NAME> variables (profile variables included)
+   *
+   * @returns {Object<string, string>} Values by name (empty when useEnv is false)
+   */
+  environmentValues() {
+    const values = {};
+    if (!this.useEnv) {
+      return values;
+    }
+
+    for (const [name, value] of Object.entries(this.env)) {
+      const variable = name.slice(ENV_VARIABLE_PREFIX.length);
+      if (name.startsWith(ENV_VARIABLE_PREFIX) && VARIABLE_NAME_PATTERN.test(variable) && value !== undefined) {
+        values[variable] = value;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Format unresolved placeholders as an error
+   *
+   * @param {Array<Object>} unresolved - Result of renderAll().unresolved
+   * @param {string} [hint] - Extra line for the command (e.g. an opt-out flag)
+   * @returns {Error} Error listing every placeholder and how to provide it
+   */
+  static unresolvedError(unresolved, hint = null) {
+    const lines = unresolved.map(item => {
+      const location = item.node ? `${item.node} › ${item.path}` : item.path;
+      return `   - ${item.workflow}: {${item.placeholder}} in ${location}`;
+    });
+    const names = [...new Set(unresolved.map(item => item.placeholder))];
+
+    return new Error(
+      `${unresolved.length} unresolved placeholder(s) in workflows:\n` +
+      lines.join('\n') + '\n' +
+      `   💡 Provide ${names.join(', ')} with --set NAME=value, --vars <file>, ` +
+      `.jana/variables.json, profile variables or ${ENV_VARIABLE_PREFIX}<NAME> environment variables` +
+      (hint ? `\n   💡 ${hint}` : '')
+    );
+  }
+
+  /**
+   * Copy a workflow, mapping every template string
+   * @private
+   */
+  _mapTemplate(workflow, mapper) {
+    const copy = JSON.parse(JSON.stringify(workflow));
+
+    if (typeof copy.name === 'string') {
+      copy.name = mapper(copy.name);
+    }
+
+    for (const node of copy.nodes || []) {
+      if (node.parameters) {
+        node.parameters = this._mapStrings(node.parameters, mapper);
+      }
+      if (typeof node.notes === 'string') {
+        node.notes = mapper(node.notes);
+      }
+    }
+
+    return copy;
+  }
+
+  /**
+   * Visit every template string: callback(node, location, text, key)
+   * @private
+   */
+  _walkTemplate(workflow, callback) {
+    if (typeof workflow.name === 'string') {
+      callback(null, 'name', workflow.name, 'name');
+    }
+
+    for (const node of workflow.nodes || []) {
+      this._walkStrings(node.parameters, 'parameters', (location, text, key) => callback(node, location, text, key));
+      if (typeof node.notes === 'string') {
+        callback(node, 'notes', node.notes, 'notes');
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _mapStrings(value, mapper) {
+    if (typeof value === 'string') {
+      return mapper(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._mapStrings(item, mapper));
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._mapStrings(item, mapper)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _walkStrings(value, location, callback, key = null) {
+    if (typeof value === 'string') {
+      callback(location, value, key);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => this._walkStrings(item, `${location}[${index}]`, callback, key));
+    } else if (value !== null && typeof value === 'object') {
+      for (const [childKey, item] of Object.entries(value)) {
+        this._walkStrings(item, `${location}.${childKey}`, callback, childKey);
+      }
+    }
+  }
+}
+
+module.exports = WorkflowTemplateEngine;
+module.exports.CODE_PARAMETERS = CODE_PARAMETERS;
+module.exports.ENV_VARIABLE_PREFIX = ENV_VARIABLE_PREFIX;